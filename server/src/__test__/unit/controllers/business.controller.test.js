@@ -35,17 +35,36 @@ jest.mock("../../../utils/cardGenerator", () => ({
   maskCardNumber: jest.fn((num) => `****${num.slice(-4)}`),
 }));
 
+// Mock webhook queue
+jest.mock("../../../utils/webhooks", () => ({
+  enqueueEvent: jest.fn().mockResolvedValue([]),
+  dispatchDeliveries: jest.fn(),
+}));
+
+// Mock key rotation
+jest.mock("../../../utils/apiKeyRotation", () => ({
+  rotateAPIKey: jest.fn(),
+  MAX_ROTATION_GRACE_HOURS: 168,
+}));
+
+const mongoose = require("mongoose");
+const { rotateAPIKey: rotateKey } = require("../../../utils/apiKeyRotation");
+
 const User = require("../../../models/user.model");
+const { enqueueEvent } = require("../../../utils/webhooks");
 const APIKey = require("../../../models/apiKey.model");
 const {
   registerBusiness,
   generateAPIKey,
   listAPIKeys,
   revokeAPIKey,
+  rotateAPIKey,
+  updateKeySigning,
   getBusinessProfile,
   verifyBusiness,
   getPendingBusinesses,
   getVerifiedBusinesses,
+  updateKeyRateLimit,
 } = require("../../../controllers/business.controller");
 
 describe("Business Controller", () => {
@@ -375,6 +394,11 @@ describe("Business Controller", () => {
       await revokeAPIKey(mockReq, mockRes, mockNext);
 
       expect(mockAPIKey.revoke).toHaveBeenCalledWith("No longer needed");
+      expect(enqueueEvent).toHaveBeenCalledWith(
+        "507f1f77bcf86cd799439011",
+        "api_key.revoked",
+        expect.objectContaining({ keyPrefix: "scb_live_abc", name: "Test Key" })
+      );
       expect(mockRes.status).toHaveBeenCalledWith(200);
       expect(mockRes.json).toHaveBeenCalledWith(
         expect.objectContaining({
@@ -426,6 +450,171 @@ describe("Business Controller", () => {
     });
   });
 
+  describe("rotateAPIKey", () => {
+    let mockSession;
+
+    // findOne(...).select(...).session(...)
+    const mockQuery = (result) => ({
+      select: jest.fn().mockReturnValue({ session: jest.fn().mockResolvedValue(result) }),
+    });
+
+    const mockOldKey = () => ({
+      _id: "507f1f77bcf86cd799439012",
+      business: "507f1f77bcf86cd799439011",
+      keyPrefix: "scb_live_abc",
+      name: "Production Key",
+      isActive: true,
+    });
+
+    beforeEach(() => {
+      mockSession = {
+        startTransaction: jest.fn(),
+        commitTransaction: jest.fn(),
+        abortTransaction: jest.fn(),
+        endSession: jest.fn(),
+        inTransaction: jest.fn().mockReturnValue(true),
+      };
+      jest.spyOn(mongoose, "startSession").mockResolvedValue(mockSession);
+
+      mockReq.user = { id: "507f1f77bcf86cd799439011" };
+      mockReq.params = { keyId: "507f1f77bcf86cd799439012" };
+    });
+
+    afterEach(() => {
+      mongoose.startSession.mockRestore();
+    });
+
+    test("should issue a new key and keep the old one until the grace period ends", async () => {
+      const oldKey = mockOldKey();
+      const expiresAt = new Date(Date.now() + 2 * 60 * 60 * 1000);
+
+      APIKey.findOne.mockReturnValue(mockQuery(oldKey));
+      rotateKey.mockResolvedValue({
+        apiKey: {
+          _id: "newkey123",
+          keyPrefix: "scb_live_xyz",
+          name: "Production Key",
+          permissions: ["charge"],
+          allowedOrigins: ["https://shop.example.com"],
+          environment: "live",
+        },
+        plainKey: "scb_live_xyz_secret",
+        oldKey: { ...oldKey, expiresAt },
+      });
+      mockReq.body = { gracePeriodHours: 2 };
+
+      await rotateAPIKey(mockReq, mockRes, mockNext);
+
+      expect(rotateKey).toHaveBeenCalledWith(oldKey, { gracePeriodHours: 2, session: mockSession });
+      expect(mockSession.commitTransaction).toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          success: true,
+          data: expect.objectContaining({
+            key: "scb_live_xyz_secret",
+            previousKey: { id: oldKey._id, keyPrefix: "scb_live_abc", expiresAt },
+          }),
+        })
+      );
+    });
+
+    test("should reject a key that was already rotated", async () => {
+      APIKey.findOne.mockReturnValue(mockQuery({ ...mockOldKey(), rotatedTo: "newkey123" }));
+
+      await rotateAPIKey(mockReq, mockRes, mockNext);
+
+      expect(rotateKey).not.toHaveBeenCalled();
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(409);
+    });
+
+    test("should reject an invalid grace period", async () => {
+      mockReq.body = { gracePeriodHours: 500 };
+
+      await rotateAPIKey(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        message: "gracePeriodHours must be a number between 0 and 168",
+      });
+      expect(APIKey.findOne).not.toHaveBeenCalled();
+    });
+
+    test("should return 404 for non-existent API key", async () => {
+      APIKey.findOne.mockReturnValue(mockQuery(null));
+
+      await rotateAPIKey(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(mockSession.endSession).toHaveBeenCalled();
+    });
+  });
+
+  describe("updateKeySigning", () => {
+    const mockKey = (requestSigning = { enabled: false }) => ({
+      _id: "507f1f77bcf86cd799439012",
+      keyPrefix: "scb_live_abc",
+      isActive: true,
+      requestSigning,
+      set: jest.fn(function (path, value) {
+        this[path] = value;
+      }),
+      save: jest.fn().mockResolvedValue(true),
+    });
+
+    beforeEach(() => {
+      mockReq.user = { id: "507f1f77bcf86cd799439011" };
+      mockReq.params = { keyId: "507f1f77bcf86cd799439012" };
+    });
+
+    test("should enable signing and return the secret once", async () => {
+      const apiKey = mockKey();
+      APIKey.findOne.mockResolvedValue(apiKey);
+      mockReq.body = { enabled: true };
+
+      await updateKeySigning(mockReq, mockRes, mockNext);
+
+      expect(apiKey.requestSigning).toEqual(
+        expect.objectContaining({ enabled: true, secret: expect.stringMatching(/^scbsig_[a-f0-9]{64}$/) })
+      );
+      expect(apiKey.save).toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json.mock.calls[0][0].data.requestSigning.secret).toBe(apiKey.requestSigning.secret);
+    });
+
+    test("should not replace an existing secret unless asked to", async () => {
+      APIKey.findOne.mockResolvedValue(mockKey({ enabled: true }));
+      mockReq.body = { enabled: true };
+
+      await updateKeySigning(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+    });
+
+    test("should disable signing without returning a secret", async () => {
+      const apiKey = mockKey({ enabled: true });
+      APIKey.findOne.mockResolvedValue(apiKey);
+      mockReq.body = { enabled: false };
+
+      await updateKeySigning(mockReq, mockRes, mockNext);
+
+      expect(apiKey.requestSigning.enabled).toBe(false);
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json.mock.calls[0][0].data.requestSigning.secret).toBeUndefined();
+    });
+
+    test("should require a boolean enabled flag", async () => {
+      mockReq.body = { enabled: "yes" };
+
+      await updateKeySigning(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(APIKey.findOne).not.toHaveBeenCalled();
+    });
+  });
+
   describe("getBusinessProfile", () => {
     test("should return business profile with API key count", async () => {
       const mockUser = {
@@ -641,6 +830,70 @@ describe("Business Controller", () => {
     });
   });
 
+  describe("updateKeyRateLimit (Admin)", () => {
+    beforeEach(() => {
+      APIKey.RATE_LIMIT_BOUNDS = {
+        requestsPerMinute: { min: 1, max: 1000 },
+        requestsPerDay: { min: 100, max: 100000 },
+      };
+    });
+
+    test("should update the per-minute limit", async () => {
+      const mockKey = {
+        _id: "key123",
+        keyPrefix: "scb_live_abc",
+        business: "business1",
+        rateLimit: { requestsPerMinute: 60, requestsPerDay: 10000 },
+        set: jest.fn(function (path, value) {
+          this.rateLimit[path.split(".")[1]] = value;
+        }),
+        save: jest.fn().mockResolvedValue(true),
+      };
+
+      mockReq.params = { keyId: "key123" };
+      mockReq.body = { requestsPerMinute: 120 };
+      APIKey.findById.mockResolvedValue(mockKey);
+
+      await updateKeyRateLimit(mockReq, mockRes, mockNext);
+
+      expect(mockKey.set).toHaveBeenCalledWith("rateLimit.requestsPerMinute", 120);
+      expect(mockKey.save).toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          success: true,
+          data: expect.objectContaining({
+            rateLimit: { requestsPerMinute: 120, requestsPerDay: 10000 },
+          }),
+        })
+      );
+    });
+
+    test("should reject limits outside the allowed range", async () => {
+      mockReq.params = { keyId: "key123" };
+      mockReq.body = { requestsPerMinute: 5000 };
+
+      await updateKeyRateLimit(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        message: "requestsPerMinute must be a whole number between 1 and 1000",
+      });
+      expect(APIKey.findById).not.toHaveBeenCalled();
+    });
+
+    test("should return 404 if API key not found", async () => {
+      mockReq.params = { keyId: "missing" };
+      mockReq.body = { requestsPerDay: 500 };
+      APIKey.findById.mockResolvedValue(null);
+
+      await updateKeyRateLimit(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
+  });
+
   // ===========================================
   // ORIGIN MANAGEMENT TESTS
   // ===========================================
@@ -861,4 +1114,93 @@ describe("Business Controller", () => {
       });
     });
   });
+
+  describe("IP Whitelist Management", () => {
+    const {
+      updateKeyIPs,
+      addKeyIP,
+      removeKeyIP,
+    } = require("../../../controllers/business.controller");
+
+    const mockKeyWithIPs = (ipWhitelist = ["203.0.113.0/24"]) => ({
+      _id: "key123",
+      keyPrefix: "scb_live_abc",
+      ipWhitelist,
+      environment: "live",
+      isActive: true,
+      save: jest.fn().mockResolvedValue(true),
+    });
+
+    beforeEach(() => {
+      mockReq.params = { keyId: "key123" };
+      mockReq.user = { id: "507f1f77bcf86cd799439011" };
+    });
+
+    describe("updateKeyIPs", () => {
+      test("should store normalized addresses and ranges", async () => {
+        mockReq.body = { ips: ["::ffff:10.0.0.1", "10.1.2.3/16", "2001:DB8::/32", "10.0.0.1"] };
+        const mockKey = mockKeyWithIPs([]);
+        APIKey.findOne.mockResolvedValue(mockKey);
+
+        await updateKeyIPs(mockReq, mockRes, mockNext);
+
+        expect(mockRes.status).toHaveBeenCalledWith(200);
+        expect(mockKey.ipWhitelist).toEqual(["10.0.0.1", "10.1.0.0/16", "2001:db8::/32"]);
+        expect(mockKey.save).toHaveBeenCalled();
+      });
+
+      test("should reject invalid entries", async () => {
+        mockReq.body = { ips: ["10.0.0.0/33"] };
+
+        await updateKeyIPs(mockReq, mockRes, mockNext);
+
+        expect(mockRes.status).toHaveBeenCalledWith(400);
+        expect(APIKey.findOne).not.toHaveBeenCalled();
+      });
+    });
+
+    describe("addKeyIP", () => {
+      test("should add a CIDR range", async () => {
+        mockReq.body = { ip: "198.51.100.7/24" };
+        const mockKey = mockKeyWithIPs();
+        APIKey.findOne.mockResolvedValue(mockKey);
+
+        await addKeyIP(mockReq, mockRes, mockNext);
+
+        expect(mockRes.status).toHaveBeenCalledWith(201);
+        expect(mockKey.ipWhitelist).toEqual(["203.0.113.0/24", "198.51.100.0/24"]);
+      });
+
+      test("should not add a duplicate after normalization", async () => {
+        mockReq.body = { ip: "203.0.113.9/24" };
+        APIKey.findOne.mockResolvedValue(mockKeyWithIPs());
+
+        await addKeyIP(mockReq, mockRes, mockNext);
+
+        expect(mockRes.status).toHaveBeenCalledWith(400);
+      });
+    });
+
+    describe("removeKeyIP", () => {
+      test("should remove an entry given in another notation", async () => {
+        mockReq.body = { ip: "::ffff:203.0.113.0/120" };
+        const mockKey = mockKeyWithIPs(["203.0.113.0/24", "198.51.100.1"]);
+        APIKey.findOne.mockResolvedValue(mockKey);
+
+        await removeKeyIP(mockReq, mockRes, mockNext);
+
+        expect(mockRes.status).toHaveBeenCalledWith(200);
+        expect(mockKey.ipWhitelist).toEqual(["198.51.100.1"]);
+      });
+
+      test("should return 404 for an entry not in the whitelist", async () => {
+        mockReq.body = { ip: "192.0.2.1" };
+        APIKey.findOne.mockResolvedValue(mockKeyWithIPs());
+
+        await removeKeyIP(mockReq, mockRes, mockNext);
+
+        expect(mockRes.status).toHaveBeenCalledWith(404);
+      });
+    });
+  });
 });
@@ -0,0 +1,492 @@
+/**
+ * CHECKOUT CONTROLLER TESTS
+ * =========================
+ * Unit tests for hosted checkout sessions
+ */
+
+jest.mock("../../../models/checkoutSession.model");
+jest.mock("../../../models/apiKey.model");
+jest.mock("../../../models/user.model");
+jest.mock("../../../utils/cardPayments", () => ({
+  authenticateCard: jest.fn(),
+  payMerchant: jest.fn(),
+}));
+jest.mock("../../../utils/sandbox", () => ({
+  ...jest.requireActual("../../../utils/sandbox"),
+  recordSandboxPayment: jest.fn(),
+}));
+jest.mock("../../../utils/webhooks", () => ({
+  enqueueEvent: jest.fn().mockResolvedValue([]),
+  dispatchDeliveries: jest.fn(),
+}));
+
+const mongoose = require("mongoose");
+
+const mockSession = {
+  startTransaction: jest.fn(),
+  commitTransaction: jest.fn(),
+  abortTransaction: jest.fn(),
+  endSession: jest.fn(),
+};
+
+jest.spyOn(mongoose, "startSession").mockImplementation(() => Promise.resolve(mockSession));
+
+const {
+  createCheckoutSession,
+  getCheckoutSession,
+  showCheckoutPage,
+  getCheckoutDetails,
+  payWithCard,
+  payWithWallet,
+  cancelCheckout,
+} = require("../../../controllers/checkout.controller");
+
+const CheckoutSession = require("../../../models/checkoutSession.model");
+const APIKey = require("../../../models/apiKey.model");
+const User = require("../../../models/user.model");
+const { authenticateCard, payMerchant } = require("../../../utils/cardPayments");
+const { recordSandboxPayment } = require("../../../utils/sandbox");
+const { enqueueEvent } = require("../../../utils/webhooks");
+
+// Query result that supports .session() and .populate()
+const mockQuery = (value) => ({
+  session: jest.fn().mockResolvedValue(value),
+  populate: jest.fn().mockResolvedValue(value),
+});
+
+const makeCheckoutSession = (overrides = {}) => ({
+  sessionId: "cs_abc123",
+  business: "business123",
+  apiKey: "key123",
+  livemode: true,
+  amount: 150,
+  currency: "PHP",
+  description: "Order #1",
+  externalReference: "ORDER-1",
+  returnUrl: "https://shop.example.com/done",
+  status: "open",
+  expiresAt: new Date(Date.now() + 30 * 60 * 1000),
+  expireIfDue: jest.fn().mockResolvedValue(false),
+  getReturnUrl: jest.fn().mockReturnValue("https://shop.example.com/done?session_id=cs_abc123&status=completed"),
+  save: jest.fn(),
+  ...overrides,
+});
+
+describe("Checkout Controller - Unit Tests", () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = {
+      body: {},
+      params: {},
+      protocol: "https",
+      get: jest.fn().mockReturnValue("bank.example.com"),
+      business: {
+        _id: "business123",
+        businessInfo: { businessName: "Test Business", isVerified: true },
+      },
+      apiKey: {
+        _id: "key123",
+        environment: "live",
+        allowedOrigins: [],
+        isOriginAllowed: jest.fn().mockReturnValue(false),
+      },
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      set: jest.fn().mockReturnThis(),
+      type: jest.fn().mockReturnThis(),
+      send: jest.fn(),
+    };
+
+    next = jest.fn();
+  });
+
+  describe("createCheckoutSession", () => {
+    beforeEach(() => {
+      req.body = { amount: 150, description: "Order #1", returnUrl: "https://shop.example.com/done" };
+      CheckoutSession.create.mockImplementation((data) => Promise.resolve(makeCheckoutSession(data)));
+    });
+
+    it("should create a live session with the hosted page URL", async () => {
+      await createCheckoutSession(req, res, next);
+
+      expect(CheckoutSession.create).toHaveBeenCalledWith(
+        expect.objectContaining({ business: "business123", apiKey: "key123", livemode: true, amount: 150 })
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.url).toBe("https://bank.example.com/api/v1/checkout/cs_abc123");
+      expect(data.livemode).toBe(true);
+    });
+
+    it("should create a test session for test keys and allow http localhost", async () => {
+      req.apiKey.environment = "test";
+      req.body.returnUrl = "http://localhost:3000/done";
+
+      await createCheckoutSession(req, res, next);
+
+      expect(CheckoutSession.create).toHaveBeenCalledWith(expect.objectContaining({ livemode: false }));
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("should undo HTML escaping of query strings in the return URL", async () => {
+      req.body.returnUrl = "https://shop.example.com/done?order=1&amp;lang=en";
+
+      await createCheckoutSession(req, res, next);
+
+      expect(CheckoutSession.create).toHaveBeenCalledWith(
+        expect.objectContaining({ returnUrl: "https://shop.example.com/done?order=1&lang=en" })
+      );
+    });
+
+    it("should reject http return URLs for live keys", async () => {
+      req.body.returnUrl = "http://localhost:3000/done";
+
+      await createCheckoutSession(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].error.code).toBe("INVALID_RETURN_URL");
+      expect(CheckoutSession.create).not.toHaveBeenCalled();
+    });
+
+    it("should reject return URLs outside the key's allowed origins", async () => {
+      req.apiKey.allowedOrigins = ["https://other.example.com"];
+
+      await createCheckoutSession(req, res, next);
+
+      expect(req.apiKey.isOriginAllowed).toHaveBeenCalledWith("https://shop.example.com");
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].error.code).toBe("INVALID_RETURN_URL");
+    });
+
+    it("should reject unverified businesses", async () => {
+      req.business.businessInfo.isVerified = false;
+
+      await createCheckoutSession(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].error.code).toBe("BUSINESS_NOT_VERIFIED");
+    });
+  });
+
+  describe("getCheckoutSession", () => {
+    beforeEach(() => {
+      req.params.sessionId = "cs_abc123";
+    });
+
+    it("should return 404 for sessions of other businesses", async () => {
+      CheckoutSession.findOne.mockReturnValue(mockQuery(null));
+
+      await getCheckoutSession(req, res, next);
+
+      expect(CheckoutSession.findOne).toHaveBeenCalledWith(
+        expect.objectContaining({ sessionId: "cs_abc123", business: "business123", livemode: true })
+      );
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it("should expire due sessions and return the status", async () => {
+      const checkoutSession = makeCheckoutSession({
+        status: "completed",
+        transaction: { reference: "txn-ref" },
+      });
+      CheckoutSession.findOne.mockReturnValue(mockQuery(checkoutSession));
+
+      await getCheckoutSession(req, res, next);
+
+      expect(checkoutSession.expireIfDue).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.status).toBe("completed");
+      expect(data.transactionId).toBe("txn-ref");
+    });
+  });
+
+  describe("showCheckoutPage", () => {
+    it("should serve the page with a nonce-based CSP", () => {
+      req.params.sessionId = "cs_abc123";
+
+      showCheckoutPage(req, res);
+
+      const csp = res.set.mock.calls.find(([name]) => name === "Content-Security-Policy")[1];
+      const nonce = csp.match(/'nonce-([^']+)'/)[1];
+      const html = res.send.mock.calls[0][0];
+      expect(res.type).toHaveBeenCalledWith("html");
+      expect(html).toContain(`<script nonce="${nonce}">`);
+      expect(html).toContain('"cs_abc123"');
+    });
+
+    it("should not let the session ID break out of the script", () => {
+      req.params.sessionId = "</script><script>alert(1)</script>";
+
+      showCheckoutPage(req, res);
+
+      expect(res.send.mock.calls[0][0]).not.toContain("</script><script>alert(1)");
+    });
+  });
+
+  describe("getCheckoutDetails", () => {
+    it("should only offer wallet payments for live sessions", async () => {
+      req.params.sessionId = "cs_abc123";
+      CheckoutSession.findOne.mockReturnValue(
+        mockQuery(makeCheckoutSession({ livemode: false, business: { businessInfo: { businessName: "Shop" } } }))
+      );
+
+      await getCheckoutDetails(req, res, next);
+
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.businessName).toBe("Shop");
+      expect(data.walletAvailable).toBe(false);
+      expect(data.returnUrl).toBeUndefined();
+    });
+  });
+
+  describe("payWithCard", () => {
+    let checkoutSession, apiKey, business;
+
+    beforeEach(() => {
+      req.params.sessionId = "cs_abc123";
+      req.body = { cardNumber: "4111111111111111", cvv: "123" };
+
+      checkoutSession = makeCheckoutSession();
+      apiKey = {
+        _id: "key123",
+        isActive: true,
+        canProcessTransaction: jest.fn().mockReturnValue({ allowed: true }),
+      };
+      business = { _id: "business123", businessInfo: { isVerified: true } };
+
+      CheckoutSession.findOne.mockReturnValue(mockQuery(checkoutSession));
+      APIKey.findById.mockReturnValue(mockQuery(apiKey));
+      User.findById.mockReturnValue(mockQuery(business));
+    });
+
+    it("should reject malformed card numbers before opening a session", async () => {
+      req.body.cardNumber = "1234";
+
+      await payWithCard(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].error.code).toBe("INVALID_CARD_NUMBER");
+      expect(mongoose.startSession).not.toHaveBeenCalled();
+    });
+
+    it("should return 404 for unknown sessions", async () => {
+      CheckoutSession.findOne.mockReturnValue(mockQuery(null));
+
+      await payWithCard(req, res, next);
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it("should keep the expiry of due sessions and refuse payment", async () => {
+      checkoutSession.expireIfDue.mockResolvedValue(true);
+
+      await payWithCard(req, res, next);
+
+      expect(mockSession.commitTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].error.code).toBe("SESSION_EXPIRED");
+      expect(authenticateCard).not.toHaveBeenCalled();
+    });
+
+    it("should refuse sessions that are no longer open", async () => {
+      checkoutSession.status = "completed";
+
+      await payWithCard(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].error.code).toBe("SESSION_NOT_OPEN");
+    });
+
+    it("should refuse payment when the API key was revoked", async () => {
+      apiKey.isActive = false;
+
+      await payWithCard(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].error.code).toBe("SESSION_UNAVAILABLE");
+    });
+
+    it("should charge the card and complete the session", async () => {
+      const customer = { _id: "customer123" };
+      const transaction = { _id: "txn123", reference: "txn-ref", amount: 150, status: "completed" };
+      authenticateCard.mockResolvedValue({ customer });
+      payMerchant.mockResolvedValue({ transaction });
+
+      await payWithCard(req, res, next);
+
+      expect(payMerchant).toHaveBeenCalledWith(
+        expect.objectContaining({ customer, business, apiKey, amount: 150, paymentMethod: "card" })
+      );
+      expect(checkoutSession.status).toBe("completed");
+      expect(checkoutSession.transaction).toBe("txn123");
+      expect(checkoutSession.save).toHaveBeenCalledWith({ session: mockSession });
+      expect(enqueueEvent).toHaveBeenCalledWith(
+        "business123",
+        "payment.completed",
+        expect.objectContaining({ checkoutSessionId: "cs_abc123", paymentMethod: "card" }),
+        mockSession
+      );
+      expect(mockSession.commitTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json.mock.calls[0][0].data.redirectUrl).toContain("session_id=cs_abc123");
+    });
+
+    it("should return card errors and leave the session open", async () => {
+      authenticateCard.mockResolvedValue({
+        error: { status: 400, code: "INVALID_CVV", message: "Invalid CVV." },
+      });
+
+      await payWithCard(req, res, next);
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].error.code).toBe("INVALID_CVV");
+      expect(checkoutSession.save).not.toHaveBeenCalled();
+    });
+
+    it("should keep failed CVV attempts when the payment is aborted", async () => {
+      const { authenticateCard: realAuthenticateCard } = jest.requireActual("../../../utils/cardPayments");
+      authenticateCard.mockImplementation(realAuthenticateCard);
+
+      const customer = {
+        _id: "customer123",
+        virtualCard: { isActive: true, failedCVVAttempts: 4 },
+        isCardExpired: jest.fn().mockReturnValue(false),
+        compareCVV: jest.fn().mockResolvedValue(false),
+        save: jest.fn(),
+      };
+      User.findByCardNumber.mockReturnValue({
+        select: jest.fn().mockReturnValue(mockQuery(customer)),
+      });
+      User.findOneAndUpdate.mockResolvedValue({ virtualCard: { failedCVVAttempts: 5 } });
+
+      await payWithCard(req, res, next);
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(mockSession.commitTransaction).not.toHaveBeenCalled();
+      // Saved without the aborted session
+      expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: "customer123" },
+        expect.objectContaining({ $inc: { "virtualCard.failedCVVAttempts": 1 } }),
+        { new: true }
+      );
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: "customer123" },
+        { $set: { "virtualCard.lockedUntil": expect.any(Date) } }
+      );
+      expect(customer.save).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(423);
+      expect(res.json.mock.calls[0][0].error.code).toBe("CARD_LOCKED");
+      expect(checkoutSession.status).toBe("open");
+    });
+
+    it("should take test cards into the sandbox for test sessions", async () => {
+      checkoutSession.livemode = false;
+      req.body.cardNumber = "4242424242424242";
+      recordSandboxPayment.mockResolvedValue({ _id: "txn123", reference: "sandbox-ref", amount: 150 });
+
+      await payWithCard(req, res, next);
+
+      expect(authenticateCard).not.toHaveBeenCalled();
+      expect(recordSandboxPayment).toHaveBeenCalledWith(
+        expect.objectContaining({ business, apiKey, cardNumber: "4242424242424242" })
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("should reject real cards in test sessions", async () => {
+      checkoutSession.livemode = false;
+
+      await payWithCard(req, res, next);
+
+      expect(recordSandboxPayment).not.toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].success).toBe(false);
+    });
+  });
+
+  describe("payWithWallet", () => {
+    let checkoutSession, business, customer;
+
+    beforeEach(() => {
+      req.params.sessionId = "cs_abc123";
+      req.user = { id: "customer123" };
+
+      checkoutSession = makeCheckoutSession();
+      business = { _id: { equals: jest.fn() }, businessInfo: { isVerified: true } };
+      customer = { _id: { equals: jest.fn().mockReturnValue(false) }, accountType: "personal" };
+
+      CheckoutSession.findOne.mockReturnValue(mockQuery(checkoutSession));
+      APIKey.findById.mockReturnValue(
+        mockQuery({ isActive: true, canProcessTransaction: jest.fn().mockReturnValue({ allowed: true }) })
+      );
+      User.findById.mockImplementation((id) => mockQuery(id === "customer123" ? customer : business));
+    });
+
+    it("should pay the session from the customer's wallet", async () => {
+      payMerchant.mockResolvedValue({ transaction: { _id: "txn123", reference: "txn-ref", amount: 150 } });
+
+      await payWithWallet(req, res, next);
+
+      expect(payMerchant).toHaveBeenCalledWith(
+        expect.objectContaining({ customer, paymentMethod: "wallet", transactionCategory: "B2C" })
+      );
+      expect(checkoutSession.paymentMethod).toBe("wallet");
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("should not let a business pay its own session", async () => {
+      customer._id.equals.mockReturnValue(true);
+
+      await payWithWallet(req, res, next);
+
+      expect(payMerchant).not.toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].error.code).toBe("CANNOT_PAY_SELF");
+    });
+
+    it("should not accept wallet payments for test sessions", async () => {
+      checkoutSession.livemode = false;
+
+      await payWithWallet(req, res, next);
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].error.code).toBe("WALLET_NOT_AVAILABLE");
+    });
+  });
+
+  describe("cancelCheckout", () => {
+    beforeEach(() => {
+      req.params.sessionId = "cs_abc123";
+    });
+
+    it("should cancel open sessions and return the redirect URL", async () => {
+      CheckoutSession.findOneAndUpdate.mockResolvedValue(makeCheckoutSession({ status: "canceled" }));
+
+      await cancelCheckout(req, res, next);
+
+      expect(CheckoutSession.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ sessionId: "cs_abc123", status: "open" }),
+        { $set: { status: "canceled" } },
+        { new: true }
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json.mock.calls[0][0].data.status).toBe("canceled");
+    });
+
+    it("should refuse sessions that are not open", async () => {
+      CheckoutSession.findOneAndUpdate.mockResolvedValue(null);
+
+      await cancelCheckout(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].error.code).toBe("SESSION_NOT_OPEN");
+    });
+  });
+});
@@ -0,0 +1,298 @@
+/**
+ * DISPUTE CONTROLLER TESTS
+ * ========================
+ * Unit tests for opening, answering and resolving payment disputes
+ */
+
+jest.mock("../../../models/dispute.model");
+jest.mock("../../../models/transaction.model");
+jest.mock("../../../utils/disputes", () => ({
+  ...jest.requireActual("../../../utils/disputes"),
+  placeDisputeHold: jest.fn(),
+  releaseDisputeHold: jest.fn(),
+  reverseDisputedPayment: jest.fn(),
+}));
+jest.mock("../../../utils/webhooks", () => ({
+  enqueueEvent: jest.fn().mockResolvedValue([]),
+  dispatchDeliveries: jest.fn(),
+}));
+
+const mongoose = require("mongoose");
+
+const mockSession = {
+  startTransaction: jest.fn(),
+  commitTransaction: jest.fn(),
+  abortTransaction: jest.fn(),
+  endSession: jest.fn(),
+};
+
+jest.spyOn(mongoose, "startSession").mockImplementation(() => Promise.resolve(mockSession));
+
+const {
+  openDispute,
+  submitEvidence,
+  listDisputeQueue,
+  getDispute,
+  resolveDispute,
+} = require("../../../controllers/dispute.controller");
+
+const Dispute = require("../../../models/dispute.model");
+const Transaction = require("../../../models/transaction.model");
+const { placeDisputeHold, releaseDisputeHold, reverseDisputedPayment } = require("../../../utils/disputes");
+const { enqueueEvent } = require("../../../utils/webhooks");
+
+const DISPUTE_ID = "64b000000000000000000001";
+
+const makePayment = (overrides = {}) => ({
+  _id: "payment123",
+  reference: "TXN-1",
+  from: "customer123",
+  amount: 500,
+  refundedAmount: 0,
+  disputedAmount: 0,
+  merchant: { businessId: "business123", businessName: "Cafe" },
+  createdAt: new Date(),
+  ...overrides,
+});
+
+const makeDispute = (overrides = {}) => ({
+  _id: DISPUTE_ID,
+  reference: "DSP-1",
+  transaction: "payment123",
+  customer: "customer123",
+  business: "business123",
+  amount: 500,
+  reason: "not_received",
+  status: "open",
+  evidenceDueBy: new Date(Date.now() + 60 * 60 * 1000),
+  evidence: [],
+  resolution: {},
+  statusHistory: [],
+  save: jest.fn(),
+  setStatus: jest.fn(function (status) {
+    this.status = status;
+  }),
+  ...overrides,
+});
+
+const withSession = (value) => ({ session: jest.fn().mockResolvedValue(value) });
+
+describe("Dispute Controller - Unit Tests", () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    Dispute.STATUSES = ["open", "under_review", "reversed", "closed"];
+    Dispute.OPEN_STATUSES = ["open", "under_review"];
+
+    req = {
+      body: {},
+      params: {},
+      query: {},
+      user: { id: "customer123", role: "user" },
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+
+    next = jest.fn();
+  });
+
+  describe("openDispute", () => {
+    beforeEach(() => {
+      req.body = { transactionId: "TXN-1", reason: "not_received", description: "Never arrived" };
+      Dispute.exists.mockReturnValue(withSession(null));
+      Dispute.mockImplementation((data) => makeDispute({ ...data, status: undefined }));
+    });
+
+    it("should hold the amount not refunded yet and notify the business", async () => {
+      Transaction.findOne.mockReturnValue(withSession(makePayment({ refundedAmount: 100 })));
+
+      await openDispute(req, res, next);
+
+      expect(Dispute).toHaveBeenCalledWith(expect.objectContaining({
+        customer: "customer123",
+        business: "business123",
+        amount: 400,
+        reason: "not_received",
+      }));
+      const dispute = Dispute.mock.results[0].value;
+      expect(dispute.setStatus).toHaveBeenCalledWith("open", "customer", "Never arrived");
+      expect(placeDisputeHold).toHaveBeenCalledWith(dispute, expect.objectContaining({ _id: "payment123" }), mockSession);
+      expect(dispute.save).toHaveBeenCalledWith({ session: mockSession });
+      expect(enqueueEvent).toHaveBeenCalledWith(
+        "business123",
+        "dispute.opened",
+        expect.objectContaining({ disputeId: "DSP-1", transactionId: "TXN-1", amount: 400 }),
+        mockSession
+      );
+      expect(mockSession.commitTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("should reject a second dispute on the same payment", async () => {
+      Transaction.findOne.mockReturnValue(withSession(makePayment()));
+      Dispute.exists.mockReturnValue(withSession({ _id: DISPUTE_ID }));
+
+      await openDispute(req, res, next);
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(placeDisputeHold).not.toHaveBeenCalled();
+    });
+
+    it("should reject an amount above what is left of the payment", async () => {
+      Transaction.findOne.mockReturnValue(withSession(makePayment({ refundedAmount: 450 })));
+      req.body.amount = 100;
+
+      await openDispute(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].message).toContain("50.00");
+    });
+
+    it("should reject payments older than the dispute window", async () => {
+      Transaction.findOne.mockReturnValue(withSession(makePayment({ createdAt: new Date("2020-01-01") })));
+
+      await openDispute(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(placeDisputeHold).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("submitEvidence", () => {
+    beforeEach(() => {
+      req.user = { id: "business123", role: "user" };
+      req.params.disputeId = DISPUTE_ID;
+      req.body = { text: " Signed delivery receipt ", attachments: ["https://example.com/receipt.pdf"] };
+    });
+
+    it("should add the evidence and move the dispute to review", async () => {
+      const dispute = makeDispute();
+      Dispute.findOne.mockResolvedValue(dispute);
+
+      await submitEvidence(req, res, next);
+
+      expect(Dispute.findOne).toHaveBeenCalledWith({ _id: DISPUTE_ID, business: "business123" });
+      expect(dispute.evidence[0]).toMatchObject({
+        text: "Signed delivery receipt",
+        attachments: ["https://example.com/receipt.pdf"],
+      });
+      expect(dispute.setStatus).toHaveBeenCalledWith("under_review", "business", "Evidence submitted");
+      expect(dispute.save).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("should reject evidence after the deadline", async () => {
+      const dispute = makeDispute({ evidenceDueBy: new Date(Date.now() - 1000) });
+      Dispute.findOne.mockResolvedValue(dispute);
+
+      await submitEvidence(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(dispute.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("listDisputeQueue", () => {
+    it("should list open disputes oldest first", async () => {
+      req.user = { id: "staff123", role: "staff" };
+      const query = {
+        populate: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue([makeDispute()]),
+      };
+      Dispute.countDocuments.mockResolvedValue(1);
+      Dispute.find.mockReturnValue(query);
+
+      await listDisputeQueue(req, res, next);
+
+      expect(Dispute.find).toHaveBeenCalledWith({ status: { $in: ["open", "under_review"] } });
+      expect(query.sort).toHaveBeenCalledWith({ createdAt: 1 });
+      expect(res.json.mock.calls[0][0].data[0]).toMatchObject({ reference: "DSP-1", status: "open" });
+    });
+  });
+
+  describe("getDispute", () => {
+    it("should hide other users' disputes", async () => {
+      req.user = { id: "someoneElse", role: "user" };
+      req.params.disputeId = DISPUTE_ID;
+      Dispute.findById.mockReturnValue({ populate: jest.fn().mockResolvedValue(makeDispute()) });
+
+      await getDispute(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe("resolveDispute", () => {
+    beforeEach(() => {
+      req.user = { id: "staff123", role: "staff" };
+      req.params.disputeId = DISPUTE_ID;
+      Transaction.findById.mockReturnValue(withSession(makePayment()));
+    });
+
+    it("should reverse the payment and record the resolution", async () => {
+      const dispute = makeDispute({ status: "under_review" });
+      Dispute.findById.mockReturnValue(withSession(dispute));
+      reverseDisputedPayment.mockResolvedValue({ transaction: { _id: "refund123" } });
+      req.body = { outcome: "reverse", note: "No proof of delivery" };
+
+      await resolveDispute(req, res, next);
+
+      expect(reverseDisputedPayment).toHaveBeenCalledWith(dispute, expect.objectContaining({ _id: "payment123" }), mockSession);
+      expect(dispute.setStatus).toHaveBeenCalledWith("reversed", "staff", "No proof of delivery");
+      expect(dispute.resolution).toMatchObject({ transaction: "refund123", resolvedBy: "staff123" });
+      expect(enqueueEvent).toHaveBeenCalledWith(
+        "business123",
+        "dispute.resolved",
+        expect.objectContaining({ status: "reversed" }),
+        mockSession
+      );
+      expect(mockSession.commitTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("should release the hold when closing the dispute", async () => {
+      const dispute = makeDispute();
+      Dispute.findById.mockReturnValue(withSession(dispute));
+      req.body = { outcome: "close" };
+
+      await resolveDispute(req, res, next);
+
+      expect(releaseDisputeHold).toHaveBeenCalledWith(dispute, expect.objectContaining({ _id: "payment123" }), mockSession);
+      expect(reverseDisputedPayment).not.toHaveBeenCalled();
+      expect(dispute.status).toBe("closed");
+    });
+
+    it("should keep the dispute open if the business cannot cover the reversal", async () => {
+      const dispute = makeDispute();
+      Dispute.findById.mockReturnValue(withSession(dispute));
+      reverseDisputedPayment.mockResolvedValue({
+        error: { status: 400, message: "Business balance is insufficient to reverse the payment" },
+      });
+      req.body = { outcome: "reverse" };
+
+      await resolveDispute(req, res, next);
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(dispute.save).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it("should reject a dispute that is already resolved", async () => {
+      Dispute.findById.mockReturnValue(withSession(makeDispute({ status: "closed" })));
+      req.body = { outcome: "reverse" };
+
+      await resolveDispute(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(reverseDisputedPayment).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * FEE CONTROLLER TESTS
+ * ====================
+ * Unit tests for admin fee schedule management
+ */
+
+jest.mock("../../../models/feeSchedule.model");
+
+const {
+  createFeeSchedule,
+  listFeeSchedules,
+  updateFeeSchedule,
+  deactivateFeeSchedule,
+} = require("../../../controllers/fee.controller");
+
+const FeeSchedule = require("../../../models/feeSchedule.model");
+
+const SCHEDULE_ID = "64b000000000000000000001";
+
+const makeSchedule = (overrides = {}) => ({
+  _id: SCHEDULE_ID,
+  name: "Food merchants",
+  transactionType: "payment",
+  transactionCategory: "B2C",
+  businessType: "food",
+  percentage: 1.5,
+  fixedAmount: 0,
+  maxFee: null,
+  isActive: true,
+  save: jest.fn(),
+  ...overrides,
+});
+
+describe("Fee Controller - Unit Tests", () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    FeeSchedule.TRANSACTION_TYPES = ["payment", "transfer", "withdraw"];
+
+    req = {
+      body: {},
+      params: {},
+      query: {},
+      user: { id: "admin123", role: "admin" },
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+
+    next = jest.fn();
+  });
+
+  describe("createFeeSchedule", () => {
+    it("should create a schedule with defaults for the optional fields", async () => {
+      req.body = { name: " Transfers ", transactionType: "transfer", fixedAmount: 5 };
+      FeeSchedule.create.mockResolvedValue(makeSchedule({ name: "Transfers", transactionType: "transfer" }));
+
+      await createFeeSchedule(req, res, next);
+
+      expect(FeeSchedule.create).toHaveBeenCalledWith({
+        name: "Transfers",
+        transactionType: "transfer",
+        transactionCategory: null,
+        businessType: null,
+        percentage: 0,
+        fixedAmount: 5,
+        maxFee: null,
+        createdBy: "admin123",
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json.mock.calls[0][0].data).toMatchObject({ name: "Transfers", currency: "PHP" });
+    });
+  });
+
+  describe("listFeeSchedules", () => {
+    it("should filter by transaction type and status", async () => {
+      req.query = { transactionType: "payment", isActive: "true" };
+      FeeSchedule.countDocuments.mockResolvedValue(1);
+      FeeSchedule.find.mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue([makeSchedule()]),
+      });
+
+      await listFeeSchedules(req, res, next);
+
+      expect(FeeSchedule.find).toHaveBeenCalledWith({ transactionType: "payment", isActive: true });
+      expect(res.json.mock.calls[0][0].data[0]).toMatchObject({ businessType: "food", percentage: 1.5 });
+    });
+
+    it("should reject an unknown transaction type", async () => {
+      req.query = { transactionType: "deposit" };
+
+      await listFeeSchedules(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(FeeSchedule.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("updateFeeSchedule", () => {
+    it("should update the rates and remove the cap", async () => {
+      const schedule = makeSchedule({ maxFee: 50 });
+      FeeSchedule.findById.mockResolvedValue(schedule);
+      req.params.scheduleId = SCHEDULE_ID;
+      req.body = { percentage: 1.25, maxFee: null };
+
+      await updateFeeSchedule(req, res, next);
+
+      expect(schedule.percentage).toBe(1.25);
+      expect(schedule.maxFee).toBeNull();
+      expect(schedule.name).toBe("Food merchants");
+      expect(schedule.save).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("should return 404 for an invalid ID", async () => {
+      req.params.scheduleId = "not-an-id";
+
+      await updateFeeSchedule(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(FeeSchedule.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("deactivateFeeSchedule", () => {
+    it("should deactivate the schedule", async () => {
+      const schedule = makeSchedule();
+      FeeSchedule.findById.mockResolvedValue(schedule);
+      req.params.scheduleId = SCHEDULE_ID;
+
+      await deactivateFeeSchedule(req, res, next);
+
+      expect(schedule.isActive).toBe(false);
+      expect(schedule.save).toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].data.isActive).toBe(false);
+    });
+  });
+});
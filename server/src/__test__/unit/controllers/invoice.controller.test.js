@@ -0,0 +1,295 @@
+/**
+ * INVOICE CONTROLLER TESTS
+ * ========================
+ * Unit tests for issuing, sending, voiding and paying invoices
+ */
+
+jest.mock("../../../models/invoice.model");
+jest.mock("../../../models/user.model");
+jest.mock("../../../utils/transfers");
+jest.mock("../../../utils/notifications");
+jest.mock("../../../utils/webhooks", () => ({
+  enqueueEvent: jest.fn().mockResolvedValue([]),
+  dispatchDeliveries: jest.fn(),
+}));
+
+const mongoose = require("mongoose");
+
+const mockSession = {
+  startTransaction: jest.fn(),
+  commitTransaction: jest.fn(),
+  abortTransaction: jest.fn(),
+  endSession: jest.fn(),
+};
+
+jest.spyOn(mongoose, "startSession").mockImplementation(() => Promise.resolve(mockSession));
+
+const {
+  createInvoice,
+  updateInvoice,
+  sendInvoice,
+  voidInvoice,
+  listMyInvoices,
+  payInvoice,
+} = require("../../../controllers/invoice.controller");
+
+const Invoice = require("../../../models/invoice.model");
+const User = require("../../../models/user.model");
+const { transferBetweenWallets } = require("../../../utils/transfers");
+const { notify } = require("../../../utils/notifications");
+const { enqueueEvent } = require("../../../utils/webhooks");
+
+const INVOICE_ID = "64b000000000000000000001";
+
+const makeInvoice = (overrides = {}) => ({
+  _id: INVOICE_ID,
+  number: "INV-1",
+  business: "business123",
+  businessName: "Cafe",
+  recipient: "customer123",
+  recipientEmail: "juan@smu.edu.ph",
+  lineItems: [{ description: "Catering", quantity: 2, unitPrice: 250, amount: 500 }],
+  subtotal: 500,
+  taxRate: 12,
+  taxAmount: 60,
+  total: 560,
+  currency: "PHP",
+  dueDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  status: "draft",
+  save: jest.fn(),
+  ...overrides,
+});
+
+const withSession = (value) => ({ session: jest.fn().mockResolvedValue(value) });
+
+describe("Invoice Controller - Unit Tests", () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    Invoice.STATUSES = ["draft", "sent", "paid", "overdue", "void"];
+    Invoice.PAYABLE_STATUSES = ["sent", "overdue"];
+
+    req = {
+      body: {},
+      params: {},
+      query: {},
+      user: { id: "business123", role: "user" },
+      userDoc: { businessInfo: { businessName: "Cafe" } },
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+
+    next = jest.fn();
+  });
+
+  describe("createInvoice", () => {
+    beforeEach(() => {
+      req.body = {
+        recipientEmail: " Juan@smu.edu.ph ",
+        lineItems: [{ description: "Catering", quantity: 2, unitPrice: 250.5 }],
+        taxRate: 12,
+        dueDate: "2099-12-31T00:00:00Z",
+      };
+    });
+
+    it("should create a draft with computed totals", async () => {
+      User.findOne.mockResolvedValue({ _id: "customer123", email: "juan@smu.edu.ph" });
+      Invoice.create.mockImplementation(async (data) => makeInvoice(data));
+
+      await createInvoice(req, res, next);
+
+      expect(User.findOne).toHaveBeenCalledWith({ email: "juan@smu.edu.ph" });
+      expect(Invoice.create).toHaveBeenCalledWith(expect.objectContaining({
+        business: "business123",
+        businessName: "Cafe",
+        recipient: "customer123",
+        lineItems: [{ description: "Catering", quantity: 2, unitPrice: 250.5, amount: 501 }],
+        subtotal: 501,
+        taxAmount: 60.12,
+        total: 561.12,
+      }));
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("should reject an email that does not belong to a user", async () => {
+      User.findOne.mockResolvedValue(null);
+
+      await createInvoice(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(Invoice.create).not.toHaveBeenCalled();
+    });
+
+    it("should not let a business invoice itself", async () => {
+      User.findOne.mockResolvedValue({ _id: "business123", email: "cafe@smu.edu.ph" });
+
+      await createInvoice(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Invoice.create).not.toHaveBeenCalled();
+    });
+
+    it("should reject a total above the invoice limit", async () => {
+      User.findOne.mockResolvedValue({ _id: "customer123", email: "juan@smu.edu.ph" });
+      req.body.lineItems = [{ description: "Equipment", quantity: 2, unitPrice: 600000 }];
+
+      await createInvoice(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Invoice.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("updateInvoice", () => {
+    it("should recompute the totals when the tax rate changes", async () => {
+      const invoice = makeInvoice();
+      Invoice.findOne.mockResolvedValue(invoice);
+      req.params.invoiceId = INVOICE_ID;
+      req.body = { taxRate: 0 };
+
+      await updateInvoice(req, res, next);
+
+      expect(invoice).toMatchObject({ taxRate: 0, taxAmount: 0, total: 500 });
+      expect(invoice.save).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("should only edit drafts", async () => {
+      const invoice = makeInvoice({ status: "sent" });
+      Invoice.findOne.mockResolvedValue(invoice);
+      req.params.invoiceId = INVOICE_ID;
+      req.body = { notes: "Updated" };
+
+      await updateInvoice(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(invoice.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("sendInvoice", () => {
+    beforeEach(() => {
+      req.params.invoiceId = INVOICE_ID;
+    });
+
+    it("should send the draft and notify the recipient", async () => {
+      const invoice = makeInvoice();
+      Invoice.findOne.mockResolvedValue(invoice);
+
+      await sendInvoice(req, res, next);
+
+      expect(invoice.status).toBe("sent");
+      expect(invoice.sentAt).toBeInstanceOf(Date);
+      expect(notify).toHaveBeenCalledWith("customer123", expect.objectContaining({ type: "invoice.sent" }));
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("should not send a draft whose due date has passed", async () => {
+      const invoice = makeInvoice({ dueDate: new Date(Date.now() - 1000) });
+      Invoice.findOne.mockResolvedValue(invoice);
+
+      await sendInvoice(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(invoice.save).not.toHaveBeenCalled();
+      expect(notify).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("voidInvoice", () => {
+    it("should not void a paid invoice", async () => {
+      const invoice = makeInvoice({ status: "paid" });
+      Invoice.findOne.mockResolvedValue(invoice);
+      req.params.invoiceId = INVOICE_ID;
+
+      await voidInvoice(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(invoice.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("listMyInvoices", () => {
+    it("should hide drafts from the recipient", async () => {
+      req.user = { id: "customer123", role: "user" };
+      const query = {
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue([makeInvoice({ status: "sent" })]),
+      };
+      Invoice.countDocuments.mockResolvedValue(1);
+      Invoice.find.mockReturnValue(query);
+
+      await listMyInvoices(req, res, next);
+
+      expect(Invoice.find).toHaveBeenCalledWith({ recipient: "customer123", status: { $ne: "draft" } });
+      expect(res.json.mock.calls[0][0].data[0]).toMatchObject({ number: "INV-1", status: "sent" });
+    });
+  });
+
+  describe("payInvoice", () => {
+    const payer = { _id: "customer123", accountType: "personal" };
+    const business = { _id: "business123", accountType: "business" };
+
+    beforeEach(() => {
+      req.user = { id: "customer123", role: "user" };
+      req.params.invoiceId = INVOICE_ID;
+      User.findById.mockImplementation((id) => withSession(id === "customer123" ? payer : business));
+    });
+
+    it("should transfer the total to the business and mark the invoice paid", async () => {
+      const invoice = makeInvoice({ status: "overdue" });
+      Invoice.findOne.mockReturnValue(withSession(invoice));
+      transferBetweenWallets.mockResolvedValue({ transaction: { _id: "txn123", reference: "TXN-1" } });
+
+      await payInvoice(req, res, next);
+
+      expect(transferBetweenWallets).toHaveBeenCalledWith({
+        fromUser: payer,
+        toUser: business,
+        amount: 560,
+        transactionCategory: "B2C",
+        description: "Invoice INV-1",
+        invoice: INVOICE_ID,
+        session: mockSession,
+      });
+      expect(invoice).toMatchObject({ status: "paid", transaction: "txn123" });
+      expect(invoice.save).toHaveBeenCalledWith({ session: mockSession });
+      expect(enqueueEvent).toHaveBeenCalledWith(
+        "business123",
+        "invoice.paid",
+        expect.objectContaining({ invoiceNumber: "INV-1", transactionId: "TXN-1", amount: 560 }),
+        mockSession
+      );
+      expect(mockSession.commitTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("should not pay a voided invoice", async () => {
+      Invoice.findOne.mockReturnValue(withSession(makeInvoice({ status: "void" })));
+
+      await payInvoice(req, res, next);
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(transferBetweenWallets).not.toHaveBeenCalled();
+    });
+
+    it("should leave the invoice unpaid when the transfer fails", async () => {
+      const invoice = makeInvoice({ status: "sent" });
+      Invoice.findOne.mockReturnValue(withSession(invoice));
+      transferBetweenWallets.mockResolvedValue({ error: { status: 400, message: "Insufficient funds" } });
+
+      await payInvoice(req, res, next);
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(invoice.save).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+});
@@ -0,0 +1,291 @@
+/**
+ * MONEY REQUEST CONTROLLER TESTS
+ * ==============================
+ * Unit tests for requesting, paying, declining and canceling money requests
+ */
+
+jest.mock("../../../models/moneyRequest.model");
+jest.mock("../../../models/user.model");
+jest.mock("../../../utils/transfers", () => ({
+  ...jest.requireActual("../../../utils/transfers"),
+  transferBetweenWallets: jest.fn(),
+}));
+jest.mock("../../../utils/notifications");
+
+const mongoose = require("mongoose");
+
+const mockSession = {
+  startTransaction: jest.fn(),
+  commitTransaction: jest.fn(),
+  abortTransaction: jest.fn(),
+  endSession: jest.fn(),
+};
+
+jest.spyOn(mongoose, "startSession").mockImplementation(() => Promise.resolve(mockSession));
+
+const {
+  createMoneyRequest,
+  listIncomingMoneyRequests,
+  acceptMoneyRequest,
+  declineMoneyRequest,
+  cancelMoneyRequest,
+} = require("../../../controllers/moneyRequest.controller");
+
+const MoneyRequest = require("../../../models/moneyRequest.model");
+const User = require("../../../models/user.model");
+const { transferBetweenWallets } = require("../../../utils/transfers");
+const { notify } = require("../../../utils/notifications");
+
+const REQUEST_ID = "64b000000000000000000001";
+const ANA_ID = "64b000000000000000000002";
+const BEN_ID = "64b000000000000000000003";
+const DAY = 24 * 60 * 60 * 1000;
+
+const makeUser = (id, firstName, accountType = "personal") => ({
+  _id: new mongoose.Types.ObjectId(id),
+  fullName: { firstName, lastName: "Cruz" },
+  accountType,
+});
+
+const makeRequest = (overrides = {}) => ({
+  _id: REQUEST_ID,
+  requester: "requester123",
+  requesterName: "Juan Cruz",
+  note: "Pizza night",
+  status: "open",
+  expiresAt: new Date(Date.now() + DAY),
+  parts: [
+    { payer: ANA_ID, payerName: "Ana Cruz", amount: 150, status: "pending" },
+    { payer: BEN_ID, payerName: "Ben Cruz", amount: 200, status: "pending" },
+  ],
+  save: jest.fn(),
+  ...overrides,
+});
+
+const withSession = (value) => ({ session: jest.fn().mockResolvedValue(value) });
+
+describe("Money Request Controller - Unit Tests", () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    MoneyRequest.DEFAULT_EXPIRY_DAYS = 7;
+    MoneyRequest.PART_STATUSES = ["pending", "paid", "declined", "canceled", "expired"];
+
+    req = {
+      body: {},
+      params: { requestId: REQUEST_ID },
+      query: {},
+      user: { id: "requester123", role: "user" },
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+
+    next = jest.fn();
+  });
+
+  describe("createMoneyRequest", () => {
+    beforeEach(() => {
+      req.body = {
+        payers: [{ user: ANA_ID, amount: 150 }, { user: BEN_ID, amount: 200 }],
+        note: "Pizza night",
+      };
+      User.findById.mockResolvedValue(makeUser("64b0000000000000000000ff", "Juan"));
+    });
+
+    it("should create a part per payer and notify each of them", async () => {
+      User.find.mockResolvedValue([makeUser(ANA_ID, "Ana"), makeUser(BEN_ID, "Ben")]);
+      MoneyRequest.create.mockImplementation(async (data) => ({ _id: REQUEST_ID, status: "open", ...data }));
+
+      await createMoneyRequest(req, res, next);
+
+      expect(MoneyRequest.create).toHaveBeenCalledWith(expect.objectContaining({
+        requesterName: "Juan Cruz",
+        note: "Pizza night",
+        parts: [
+          { payer: ANA_ID, payerName: "Ana Cruz", amount: 150 },
+          { payer: BEN_ID, payerName: "Ben Cruz", amount: 200 },
+        ],
+      }));
+      expect(notify).toHaveBeenCalledTimes(2);
+      expect(notify).toHaveBeenCalledWith(ANA_ID, expect.objectContaining({
+        type: "money_request.received",
+        message: 'Juan Cruz requested PHP 150.00 for "Pizza night".',
+      }));
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json.mock.calls[0][0].data).toMatchObject({ totalAmount: 350, paidAmount: 0 });
+    });
+
+    it("should only request money from personal accounts", async () => {
+      User.find.mockResolvedValue([makeUser(ANA_ID, "Ana"), makeUser(BEN_ID, "Shop", "business")]);
+
+      await createMoneyRequest(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(MoneyRequest.create).not.toHaveBeenCalled();
+    });
+
+    it("should return 404 when a payer does not exist", async () => {
+      User.find.mockResolvedValue([makeUser(ANA_ID, "Ana")]);
+
+      await createMoneyRequest(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe("listIncomingMoneyRequests", () => {
+    it("should list the user's pending parts of open, unexpired requests", async () => {
+      req.user.id = ANA_ID;
+      MoneyRequest.countDocuments.mockResolvedValue(1);
+      MoneyRequest.find.mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue([makeRequest()]),
+      });
+
+      await listIncomingMoneyRequests(req, res, next);
+
+      expect(MoneyRequest.find).toHaveBeenCalledWith({
+        parts: { $elemMatch: { payer: ANA_ID, status: "pending" } },
+        status: "open",
+        expiresAt: { $gt: expect.any(Date) },
+      });
+      expect(res.json.mock.calls[0][0].data).toEqual([
+        expect.objectContaining({ requesterName: "Juan Cruz", amount: 150, status: "pending" }),
+      ]);
+    });
+  });
+
+  describe("acceptMoneyRequest", () => {
+    const ana = { _id: ANA_ID, accountType: "personal" };
+    const requester = { _id: "requester123", accountType: "personal" };
+
+    beforeEach(() => {
+      req.user = { id: ANA_ID, role: "user" };
+      User.findById.mockImplementation((id) => withSession(id === ANA_ID ? ana : requester));
+    });
+
+    it("should transfer the user's part to the requester as a C2C transfer", async () => {
+      const request = makeRequest();
+      MoneyRequest.findOne.mockReturnValue(withSession(request));
+      transferBetweenWallets.mockResolvedValue({ transaction: { _id: "txn123" } });
+
+      await acceptMoneyRequest(req, res, next);
+
+      expect(transferBetweenWallets).toHaveBeenCalledWith({
+        fromUser: ana,
+        toUser: requester,
+        amount: 150,
+        transactionCategory: "C2C",
+        description: "Pizza night",
+        moneyRequest: REQUEST_ID,
+        session: mockSession,
+      });
+      expect(request.parts[0]).toMatchObject({ status: "paid", transaction: "txn123" });
+      // Ben has not answered yet
+      expect(request.status).toBe("open");
+      expect(request.save).toHaveBeenCalledWith({ session: mockSession });
+      expect(notify).toHaveBeenCalledWith(
+        "requester123",
+        expect.objectContaining({ type: "money_request.paid" }),
+        mockSession
+      );
+      expect(mockSession.commitTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("should complete the request when the last payer pays", async () => {
+      const request = makeRequest();
+      request.parts[1].status = "declined";
+      MoneyRequest.findOne.mockReturnValue(withSession(request));
+      transferBetweenWallets.mockResolvedValue({ transaction: { _id: "txn123" } });
+
+      await acceptMoneyRequest(req, res, next);
+
+      expect(request.status).toBe("completed");
+    });
+
+    it("should not pay an expired request", async () => {
+      MoneyRequest.findOne.mockReturnValue(withSession(makeRequest({ expiresAt: new Date(Date.now() - 1000) })));
+
+      await acceptMoneyRequest(req, res, next);
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: "Money request has expired" });
+      expect(transferBetweenWallets).not.toHaveBeenCalled();
+    });
+
+    it("should leave the part pending when the transfer fails", async () => {
+      const request = makeRequest();
+      MoneyRequest.findOne.mockReturnValue(withSession(request));
+      transferBetweenWallets.mockResolvedValue({ error: { status: 400, message: "Insufficient funds" } });
+
+      await acceptMoneyRequest(req, res, next);
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(request.parts[0].status).toBe("pending");
+      expect(request.save).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe("declineMoneyRequest", () => {
+    it("should decline the user's part and notify the requester", async () => {
+      req.user = { id: BEN_ID, role: "user" };
+      const request = makeRequest();
+      MoneyRequest.findOne.mockResolvedValue(request);
+
+      await declineMoneyRequest(req, res, next);
+
+      expect(request.parts[1].status).toBe("declined");
+      expect(request.parts[1].respondedAt).toBeInstanceOf(Date);
+      expect(request.save).toHaveBeenCalled();
+      expect(notify).toHaveBeenCalledWith("requester123", expect.objectContaining({
+        type: "money_request.declined",
+      }));
+    });
+
+    it("should not answer a part twice", async () => {
+      req.user = { id: BEN_ID, role: "user" };
+      const request = makeRequest();
+      request.parts[1].status = "paid";
+      MoneyRequest.findOne.mockResolvedValue(request);
+
+      await declineMoneyRequest(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: "You already paid this request" });
+    });
+  });
+
+  describe("cancelMoneyRequest", () => {
+    it("should cancel the pending parts and keep the paid ones", async () => {
+      const request = makeRequest();
+      request.parts[0].status = "paid";
+      MoneyRequest.findOne.mockResolvedValue(request);
+
+      await cancelMoneyRequest(req, res, next);
+
+      expect(MoneyRequest.findOne).toHaveBeenCalledWith({ _id: REQUEST_ID, requester: "requester123" });
+      expect(request.status).toBe("canceled");
+      expect(request.parts.map((part) => part.status)).toEqual(["paid", "canceled"]);
+      expect(notify).toHaveBeenCalledTimes(1);
+      expect(notify).toHaveBeenCalledWith(BEN_ID, expect.objectContaining({ type: "money_request.canceled" }));
+      expect(res.json.mock.calls[0][0].data).toMatchObject({ totalAmount: 350, paidAmount: 150 });
+    });
+
+    it("should not cancel a completed request", async () => {
+      MoneyRequest.findOne.mockResolvedValue(makeRequest({ status: "completed" }));
+
+      await cancelMoneyRequest(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * PAYEE CONTROLLER TESTS
+ * ======================
+ * Unit tests for recipient lookups and the payee address book
+ */
+
+jest.mock("../../../models/payee.model");
+jest.mock("../../../models/user.model");
+
+const {
+  lookupRecipient,
+  addPayee,
+  updatePayee,
+  reorderPayees,
+} = require("../../../controllers/payee.controller");
+
+const Payee = require("../../../models/payee.model");
+const User = require("../../../models/user.model");
+
+const PAYEE_ID = "64b000000000000000000001";
+const OTHER_PAYEE_ID = "64b000000000000000000002";
+
+const juan = {
+  _id: "juan123",
+  fullName: { firstName: "Juan", lastName: "Cruz" },
+  email: "juan@smu.edu.ph",
+  handle: "juan_cruz",
+  accountType: "personal",
+};
+
+const withSession = (value) => ({ session: jest.fn().mockResolvedValue(value) });
+
+describe("Payee Controller - Unit Tests", () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    Payee.MAX_PAYEES = 50;
+
+    req = {
+      body: {},
+      params: {},
+      query: {},
+      user: { id: "user123", role: "user" },
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+
+    next = jest.fn();
+  });
+
+  describe("lookupRecipient", () => {
+    it("should return only the masked name of the recipient", async () => {
+      req.query.to = "juan@smu.edu.ph";
+      User.findOne.mockReturnValue(withSession(juan));
+
+      await lookupRecipient(req, res, next);
+
+      expect(User.findOne).toHaveBeenCalledWith({ email: "juan@smu.edu.ph" });
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: { id: "juan123", maskedName: "Ju** C.", handle: "juan_cruz", accountType: "personal" },
+      });
+    });
+
+    it("should return 404 for an unknown handle", async () => {
+      req.query.to = "@nobody";
+      User.findOne.mockReturnValue(withSession(null));
+
+      await lookupRecipient(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe("addPayee", () => {
+    it("should save the recipient after the last payee", async () => {
+      req.body = { to: "@juan_cruz", nickname: "Roommate" };
+      User.findOne.mockReturnValue(withSession(juan));
+      Payee.findOne
+        .mockResolvedValueOnce(null)
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue({ position: 4 }) });
+      Payee.countDocuments.mockResolvedValue(3);
+      Payee.create.mockImplementation(async (data) => ({ _id: PAYEE_ID, ...data }));
+
+      await addPayee(req, res, next);
+
+      expect(Payee.create).toHaveBeenCalledWith({
+        user: "user123",
+        payee: "juan123",
+        nickname: "Roommate",
+        position: 5,
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json.mock.calls[0][0].data.recipient.maskedName).toBe("Ju** C.");
+    });
+
+    it("should not save the same recipient twice", async () => {
+      req.body = { to: "@juan_cruz" };
+      User.findOne.mockReturnValue(withSession(juan));
+      Payee.findOne.mockResolvedValueOnce({ _id: PAYEE_ID });
+
+      await addPayee(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(Payee.create).not.toHaveBeenCalled();
+    });
+
+    it("should not save the user themselves", async () => {
+      req.body = { to: "@me" };
+      User.findOne.mockReturnValue(withSession({ ...juan, _id: "user123" }));
+
+      await addPayee(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe("updatePayee", () => {
+    it("should remove the nickname when it is null", async () => {
+      req.params.payeeId = PAYEE_ID;
+      req.body = { nickname: null };
+      const payee = { _id: PAYEE_ID, nickname: "Roommate", payee: juan, save: jest.fn() };
+      Payee.findOne.mockReturnValue({ populate: jest.fn().mockResolvedValue(payee) });
+
+      await updatePayee(req, res, next);
+
+      expect(payee.nickname).toBeUndefined();
+      expect(payee.save).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe("reorderPayees", () => {
+    beforeEach(() => {
+      Payee.find.mockReturnValueOnce({
+        select: jest.fn().mockResolvedValue([{ _id: PAYEE_ID }, { _id: OTHER_PAYEE_ID }]),
+      });
+    });
+
+    it("should save the new positions", async () => {
+      req.body = { payeeIds: [OTHER_PAYEE_ID, PAYEE_ID] };
+      Payee.find.mockReturnValueOnce({
+        sort: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockResolvedValue([]),
+      });
+
+      await reorderPayees(req, res, next);
+
+      expect(Payee.bulkWrite).toHaveBeenCalledWith([
+        { updateOne: { filter: { _id: OTHER_PAYEE_ID, user: "user123" }, update: { $set: { position: 0 } } } },
+        { updateOne: { filter: { _id: PAYEE_ID, user: "user123" }, update: { $set: { position: 1 } } } },
+      ]);
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("should require every saved payee", async () => {
+      req.body = { payeeIds: [PAYEE_ID] };
+
+      await reorderPayees(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Payee.bulkWrite).not.toHaveBeenCalled();
+    });
+  });
+});
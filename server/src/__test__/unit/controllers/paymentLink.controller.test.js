@@ -0,0 +1,300 @@
+/**
+ * PAYMENT LINK CONTROLLER TESTS
+ * =============================
+ * Unit tests for business payment links
+ */
+
+jest.mock("../../../models/paymentLink.model");
+jest.mock("../../../models/transaction.model");
+jest.mock("../../../models/user.model");
+jest.mock("../../../utils/cardPayments", () => ({
+  payMerchant: jest.fn(),
+}));
+jest.mock("../../../utils/webhooks", () => ({
+  enqueueEvent: jest.fn().mockResolvedValue([]),
+  dispatchDeliveries: jest.fn(),
+}));
+
+const mongoose = require("mongoose");
+
+const mockSession = {
+  startTransaction: jest.fn(),
+  commitTransaction: jest.fn(),
+  abortTransaction: jest.fn(),
+  endSession: jest.fn(),
+};
+
+jest.spyOn(mongoose, "startSession").mockImplementation(() => Promise.resolve(mockSession));
+
+const {
+  createPaymentLink,
+  listPaymentLinks,
+  getPaymentLinkPayments,
+  deactivatePaymentLink,
+  payPaymentLink,
+} = require("../../../controllers/paymentLink.controller");
+
+const PaymentLink = require("../../../models/paymentLink.model");
+const Transaction = require("../../../models/transaction.model");
+const User = require("../../../models/user.model");
+const { payMerchant } = require("../../../utils/cardPayments");
+const { enqueueEvent } = require("../../../utils/webhooks");
+
+const makeLink = (overrides = {}) => ({
+  _id: "link123",
+  linkId: "pl_abc123",
+  business: "business123",
+  amount: 350,
+  currency: "PHP",
+  description: "Chocolate cake",
+  usageLimit: null,
+  usageCount: 0,
+  totalCollected: 0,
+  expiresAt: null,
+  isActive: true,
+  getStatus: jest.fn().mockReturnValue("active"),
+  getUrl: jest.fn().mockReturnValue("http://localhost:5173/pay/pl_abc123"),
+  save: jest.fn(),
+  ...overrides,
+});
+
+describe("Payment Link Controller - Unit Tests", () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = {
+      body: {},
+      params: {},
+      query: {},
+      user: { id: "business123" },
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+
+    next = jest.fn();
+  });
+
+  describe("createPaymentLink", () => {
+    it("should create a fixed-amount link with a shareable URL", async () => {
+      req.body = { amount: 350, description: "Chocolate cake", usageLimit: 20 };
+      PaymentLink.create.mockImplementation((data) => Promise.resolve(makeLink(data)));
+
+      await createPaymentLink(req, res, next);
+
+      expect(PaymentLink.create).toHaveBeenCalledWith({
+        business: "business123",
+        amount: 350,
+        description: "Chocolate cake",
+        usageLimit: 20,
+        expiresAt: null,
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.url).toBe("http://localhost:5173/pay/pl_abc123");
+      expect(data.amountType).toBe("fixed");
+      expect(data.status).toBe("active");
+    });
+
+    it("should create a customer-entered amount link", async () => {
+      req.body = { description: "Donations", expiresAt: "2099-01-01T00:00:00.000Z" };
+      PaymentLink.create.mockImplementation((data) => Promise.resolve(makeLink(data)));
+
+      await createPaymentLink(req, res, next);
+
+      expect(PaymentLink.create).toHaveBeenCalledWith(
+        expect.objectContaining({ amount: null, usageLimit: null, expiresAt: new Date("2099-01-01T00:00:00.000Z") })
+      );
+      expect(res.json.mock.calls[0][0].data.amountType).toBe("customer_entered");
+    });
+  });
+
+  describe("listPaymentLinks", () => {
+    it("should reject invalid pagination", async () => {
+      req.query = { limit: "500" };
+
+      await listPaymentLinks(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it("should list the business's links", async () => {
+      PaymentLink.countDocuments.mockResolvedValue(1);
+      PaymentLink.find.mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue([makeLink({ usageCount: 3, totalCollected: 1050 })]),
+      });
+
+      await listPaymentLinks(req, res, next);
+
+      expect(PaymentLink.find).toHaveBeenCalledWith({ business: "business123" });
+      const body = res.json.mock.calls[0][0];
+      expect(body.data[0].totalCollected).toBe(1050);
+      expect(body.pagination.totalCount).toBe(1);
+    });
+  });
+
+  describe("getPaymentLinkPayments", () => {
+    it("should list payers of the link", async () => {
+      req.params.linkId = "pl_abc123";
+      PaymentLink.findOne.mockResolvedValue(makeLink());
+      Transaction.countDocuments.mockResolvedValue(1);
+      Transaction.find.mockReturnValue({
+        populate: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue([
+          {
+            reference: "txn-ref",
+            amount: 350,
+            status: "completed",
+            from: { _id: "customer123", fullName: { firstName: "Juan", lastName: "Cruz" }, email: "juan@example.com" },
+            createdAt: new Date(),
+          },
+        ]),
+      });
+
+      await getPaymentLinkPayments(req, res, next);
+
+      expect(PaymentLink.findOne).toHaveBeenCalledWith({ linkId: "pl_abc123", business: "business123" });
+      expect(Transaction.find).toHaveBeenCalledWith({ paymentLink: "link123" });
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.payments[0].payer).toEqual({ id: "customer123", name: "Juan Cruz", email: "juan@example.com" });
+    });
+
+    it("should return 404 for links of other businesses", async () => {
+      req.params.linkId = "pl_other";
+      PaymentLink.findOne.mockResolvedValue(null);
+
+      await getPaymentLinkPayments(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe("deactivatePaymentLink", () => {
+    it("should deactivate an active link", async () => {
+      const link = makeLink();
+      req.params.linkId = "pl_abc123";
+      PaymentLink.findOne.mockResolvedValue(link);
+
+      await deactivatePaymentLink(req, res, next);
+
+      expect(link.isActive).toBe(false);
+      expect(link.deactivatedAt).toBeInstanceOf(Date);
+      expect(link.save).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe("payPaymentLink", () => {
+    let link, customer, business;
+
+    beforeEach(() => {
+      req.user.id = "customer123";
+      req.params.linkId = "pl_abc123";
+
+      link = makeLink();
+      customer = { _id: "customer123", accountType: "personal" };
+      business = { _id: "business123", businessInfo: { isVerified: true } };
+
+      PaymentLink.findOne.mockReturnValue({ session: jest.fn().mockResolvedValue(link) });
+      PaymentLink.recordPayment.mockResolvedValue({ ...link, usageCount: 1 });
+      User.findById.mockImplementation((id) => ({
+        session: jest.fn().mockResolvedValue(id === "customer123" ? customer : business),
+      }));
+    });
+
+    it("should pay a fixed-amount link and count the payment", async () => {
+      const transaction = { reference: "txn-ref", amount: 350, status: "completed" };
+      payMerchant.mockResolvedValue({ transaction });
+
+      await payPaymentLink(req, res, next);
+
+      expect(PaymentLink.recordPayment).toHaveBeenCalledWith("link123", 35000, mockSession);
+      expect(payMerchant).toHaveBeenCalledWith(
+        expect.objectContaining({
+          customer,
+          business,
+          amount: 350,
+          paymentMethod: "wallet",
+          transactionCategory: "B2C",
+          paymentLink: "link123",
+        })
+      );
+      expect(enqueueEvent).toHaveBeenCalledWith(
+        "business123",
+        "payment.completed",
+        expect.objectContaining({ paymentLinkId: "pl_abc123" }),
+        mockSession
+      );
+      expect(mockSession.commitTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("should use the customer's amount for open links", async () => {
+      link.amount = null;
+      req.body.amount = 120.5;
+      payMerchant.mockResolvedValue({ transaction: {} });
+
+      await payPaymentLink(req, res, next);
+
+      expect(payMerchant).toHaveBeenCalledWith(expect.objectContaining({ amount: 120.5 }));
+    });
+
+    it("should require a valid amount for open links", async () => {
+      link.amount = null;
+      req.body.amount = 10.555;
+
+      await payPaymentLink(req, res, next);
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(payMerchant).not.toHaveBeenCalled();
+    });
+
+    it("should only accept personal accounts", async () => {
+      customer.accountType = "business";
+
+      await payPaymentLink(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it("should refuse expired or used-up links", async () => {
+      link.getStatus.mockReturnValue("completed");
+
+      await payPaymentLink(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].message).toBe("This payment link is completed and can no longer be paid");
+    });
+
+    it("should refuse when the usage limit was reached concurrently", async () => {
+      PaymentLink.recordPayment.mockResolvedValue(null);
+
+      await payPaymentLink(req, res, next);
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(payMerchant).not.toHaveBeenCalled();
+    });
+
+    it("should roll back when the wallet has insufficient funds", async () => {
+      payMerchant.mockResolvedValue({
+        error: { status: 400, code: "INSUFFICIENT_FUNDS", message: "Insufficient funds in wallet." },
+      });
+
+      await payPaymentLink(req, res, next);
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(mockSession.commitTransaction).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: "Insufficient funds in wallet." });
+    });
+  });
+});
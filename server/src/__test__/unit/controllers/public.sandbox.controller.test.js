@@ -0,0 +1,312 @@
+/**
+ * PUBLIC SANDBOX CONTROLLER TESTS
+ * ===============================
+ * Unit tests for test-mode payment handlers
+ */
+
+jest.mock("../../../models/transaction.model");
+jest.mock("../../../models/sandboxAccount.model");
+jest.mock("../../../models/idempotencyKey.model");
+jest.mock("../../../models/user.model");
+jest.mock("../../../utils/webhooks", () => ({
+  enqueueEvent: jest.fn().mockResolvedValue([]),
+  dispatchDeliveries: jest.fn(),
+}));
+
+const mongoose = require("mongoose");
+
+const mockSession = {
+  startTransaction: jest.fn(),
+  commitTransaction: jest.fn(),
+  abortTransaction: jest.fn(),
+  endSession: jest.fn(),
+};
+
+jest.spyOn(mongoose, "startSession").mockImplementation(() => Promise.resolve(mockSession));
+
+const {
+  chargeCard,
+  chargeSplit,
+  refundTransaction,
+  captureAuthorization,
+  getBusinessBalance,
+  verifyCard,
+} = require("../../../controllers/public.sandbox.controller");
+
+const Transaction = require("../../../models/transaction.model");
+const SandboxAccount = require("../../../models/sandboxAccount.model");
+const User = require("../../../models/user.model");
+const { enqueueEvent } = require("../../../utils/webhooks");
+
+describe("Public Sandbox Controller - Unit Tests", () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = {
+      body: {},
+      params: {},
+      query: {},
+      headers: {},
+      business: {
+        _id: "business123",
+        businessInfo: { businessName: "Test Business", isVerified: true },
+      },
+      apiKey: {
+        _id: "testkey123",
+        environment: "test",
+        recordTransaction: jest.fn(),
+        save: jest.fn(),
+      },
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      set: jest.fn().mockReturnThis(),
+    };
+
+    next = jest.fn();
+
+    Transaction.mockImplementation(function (data) {
+      Object.assign(this, data, { reference: "sandbox-ref", createdAt: new Date() });
+      this.save = jest.fn().mockResolvedValue(this);
+    });
+  });
+
+  describe("chargeCard", () => {
+    beforeEach(() => {
+      req.body = { cardNumber: "4242424242424242", cvv: "123", amount: 100, description: "Test" };
+    });
+
+    test("should credit the sandbox balance and store a sandbox transaction", async () => {
+      SandboxAccount.adjustBalance = jest.fn().mockResolvedValue({ balance: "250.00" });
+
+      await chargeCard(req, res, next);
+
+      expect(SandboxAccount.adjustBalance).toHaveBeenCalledWith("business123", 10000, mockSession);
+      expect(Transaction).toHaveBeenCalledWith(expect.objectContaining({
+        livemode: false,
+        toBalanceBefore: 150,
+        toBalanceAfter: 250,
+      }));
+      expect(User.findByCardNumber).not.toHaveBeenCalled();
+      expect(enqueueEvent).toHaveBeenCalledWith(
+        "business123",
+        "payment.completed",
+        expect.objectContaining({ livemode: false }),
+        mockSession
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test("should return the magic card's decline", async () => {
+      req.body.cardNumber = "4000000000009995";
+      SandboxAccount.adjustBalance = jest.fn();
+
+      await chargeCard(req, res, next);
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(SandboxAccount.adjustBalance).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: { code: "INSUFFICIENT_FUNDS", message: "Insufficient funds in card." },
+      });
+    });
+
+    test("should return 423 for the locked test card", async () => {
+      req.body.cardNumber = "4000000000000119";
+
+      await chargeCard(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(423);
+    });
+
+    test("should not accept real card numbers", async () => {
+      req.body.cardNumber = "4111111111111111";
+
+      await chargeCard(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(User.findByCardNumber).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("chargeSplit", () => {
+    const STALL_1 = "64b000000000000000000011";
+    const STALL_2 = "64b000000000000000000012";
+
+    beforeEach(() => {
+      req.body = {
+        cardNumber: "4242424242424242",
+        cvv: "123",
+        amount: 250,
+        splits: [
+          { businessId: STALL_1, amount: 150 },
+          { businessId: STALL_2, amount: 100 },
+        ],
+      };
+      User.findById.mockImplementation((id) => ({
+        session: jest.fn().mockResolvedValue({
+          _id: id,
+          accountType: "business",
+          businessInfo: { businessName: "Stall", isVerified: true },
+        }),
+      }));
+    });
+
+    test("should credit each business's sandbox balance under one sandbox parent", async () => {
+      SandboxAccount.adjustBalance = jest.fn().mockResolvedValue({ balance: "150.00" });
+
+      await chargeSplit(req, res, next);
+
+      expect(SandboxAccount.adjustBalance).toHaveBeenCalledWith(STALL_1, 15000, mockSession);
+      expect(SandboxAccount.adjustBalance).toHaveBeenCalledWith(STALL_2, 10000, mockSession);
+      expect(Transaction).toHaveBeenCalledWith(expect.objectContaining({
+        type: "split_payment",
+        amount: 250,
+        livemode: false,
+      }));
+      expect(Transaction).toHaveBeenCalledWith(expect.objectContaining({
+        type: "payment",
+        to: STALL_2,
+        split: expect.objectContaining({ initiator: "business123" }),
+        livemode: false,
+      }));
+      expect(enqueueEvent).toHaveBeenCalledWith(STALL_1, "payment.completed", expect.any(Object), mockSession);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json.mock.calls[0][0].data.splits).toHaveLength(2);
+    });
+
+    test("should reject an unverified business", async () => {
+      User.findById.mockImplementation((id) => ({
+        session: jest.fn().mockResolvedValue({ _id: id, accountType: "business", businessInfo: { isVerified: false } }),
+      }));
+      SandboxAccount.adjustBalance = jest.fn();
+
+      await chargeSplit(req, res, next);
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(SandboxAccount.adjustBalance).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe("refundTransaction", () => {
+    test("should only look up sandbox payments", async () => {
+      req.body = { transactionId: "live-ref" };
+      Transaction.findOne = jest.fn().mockReturnValue({ session: jest.fn().mockResolvedValue(null) });
+
+      await refundTransaction(req, res, next);
+
+      expect(Transaction.findOne).toHaveBeenCalledWith(expect.objectContaining({ livemode: false }));
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test("should reject refunds the sandbox balance cannot cover", async () => {
+      req.body = { transactionId: "sandbox-ref" };
+      Transaction.findOne = jest.fn().mockReturnValue({
+        session: jest.fn().mockResolvedValue({ amount: 100, refundedAmount: 0, status: "completed" }),
+      });
+      SandboxAccount.adjustBalance = jest.fn().mockResolvedValue(null);
+
+      await refundTransaction(req, res, next);
+
+      expect(SandboxAccount.adjustBalance).toHaveBeenCalledWith("business123", -10000, mockSession);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: { code: "INSUFFICIENT_BUSINESS_FUNDS", message: "Insufficient funds to process refund." },
+      });
+    });
+
+    test("should refund from the sandbox balance", async () => {
+      req.body = { transactionId: "sandbox-ref", amount: 40 };
+      const original = {
+        _id: "payment1",
+        amount: 100,
+        refundedAmount: 0,
+        status: "completed",
+        save: jest.fn(),
+      };
+      Transaction.findOne = jest.fn().mockReturnValue({ session: jest.fn().mockResolvedValue(original) });
+      SandboxAccount.adjustBalance = jest.fn().mockResolvedValue({ balance: "60.00" });
+
+      await refundTransaction(req, res, next);
+
+      expect(original.status).toBe("partially_refunded");
+      expect(Transaction).toHaveBeenCalledWith(expect.objectContaining({
+        type: "refund",
+        livemode: false,
+        fromBalanceBefore: 100,
+        fromBalanceAfter: 60,
+      }));
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: expect.objectContaining({ amount: 40, remainingRefundable: 60, livemode: false }),
+      });
+    });
+  });
+
+  describe("captureAuthorization", () => {
+    test("should credit the captured amount to the sandbox balance", async () => {
+      req.body = { authorizationId: "auth-ref", amount: 30 };
+      const authorization = {
+        reference: "auth-ref",
+        status: "pending",
+        authorization: { authorizedAmount: 50, expiresAt: new Date(Date.now() + 60000) },
+        save: jest.fn(),
+      };
+      Transaction.findOne = jest.fn().mockReturnValue({ session: jest.fn().mockResolvedValue(authorization) });
+      SandboxAccount.adjustBalance = jest.fn().mockResolvedValue({ balance: "30.00" });
+
+      await captureAuthorization(req, res, next);
+
+      expect(SandboxAccount.adjustBalance).toHaveBeenCalledWith("business123", 3000, mockSession);
+      expect(authorization.status).toBe("completed");
+      expect(authorization.toBalanceAfter).toBe(30);
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe("getBusinessBalance", () => {
+    test("should return the sandbox balance, not the wallet", async () => {
+      SandboxAccount.findOne = jest.fn().mockResolvedValue({ balance: "1234.50", currency: "PHP" });
+
+      await getBusinessBalance(req, res, next);
+
+      expect(User.findById).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: { balance: 1234.5, currency: "PHP", businessName: "Test Business", livemode: false },
+      });
+    });
+
+    test("should return 0 before the first sandbox payment", async () => {
+      SandboxAccount.findOne = jest.fn().mockResolvedValue(null);
+
+      await getBusinessBalance(req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: expect.objectContaining({ balance: 0 }),
+      });
+    });
+  });
+
+  describe("verifyCard", () => {
+    test("should report the expired test card as invalid", async () => {
+      req.body = { cardNumber: "4000000000000069", cvv: "123" };
+
+      await verifyCard(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: expect.objectContaining({ valid: false, isExpired: true, isActive: true }),
+      });
+    });
+  });
+});
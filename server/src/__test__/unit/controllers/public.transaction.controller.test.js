@@ -10,7 +10,24 @@ jest.mock("uuid", () => ({
 
 jest.mock("../../../models/user.model");
 jest.mock("../../../models/transaction.model");
+jest.mock("../../../models/idempotencyKey.model");
+jest.mock("../../../utils/webhooks", () => ({
+  enqueueEvent: jest.fn().mockResolvedValue([]),
+  dispatchDeliveries: jest.fn(),
+}));
 jest.mock("../../../utils/cardGenerator");
+jest.mock("../../../utils/ledger");
+jest.mock("../../../utils/fees", () => ({
+  ...jest.requireActual("../../../utils/fees"),
+  calculateFee: jest.fn().mockResolvedValue({ fee: 0, feeCents: 0, schedule: null }),
+  collectFee: jest.fn(),
+}));
+jest.mock("../../../utils/splitPayments", () => ({
+  ...jest.requireActual("../../../utils/splitPayments"),
+  loadSplitBusinesses: jest.fn(),
+  paySplitCharge: jest.fn(),
+  recordSplitRefund: jest.fn(),
+}));
 
 const mongoose = require("mongoose");
 
@@ -32,7 +49,11 @@ mongoose.Types.Decimal128.fromString = jest.fn((val) => ({
 
 const {
   chargeCard,
+  chargeSplit,
   refundTransaction,
+  authorizeCard,
+  captureAuthorization,
+  voidAuthorization,
   getTransaction,
   getBusinessTransactions,
   getBusinessBalance,
@@ -41,7 +62,12 @@ const {
 
 const User = require("../../../models/user.model");
 const Transaction = require("../../../models/transaction.model");
+const IdempotencyKey = require("../../../models/idempotencyKey.model");
+const { enqueueEvent, dispatchDeliveries } = require("../../../utils/webhooks");
+const { recordTransferWithFee } = require("../../../utils/ledger");
+const { calculateFee, collectFee } = require("../../../utils/fees");
 const { validateCardFormat, validateCVVFormat } = require("../../../utils/cardGenerator");
+const { loadSplitBusinesses, paySplitCharge, recordSplitRefund } = require("../../../utils/splitPayments");
 
 describe("Public Transaction Controller - Unit Tests", () => {
   let req, res, next;
@@ -68,6 +94,7 @@ describe("Public Transaction Controller - Unit Tests", () => {
     res = {
       status: jest.fn().mockReturnThis(),
       json: jest.fn(),
+      set: jest.fn().mockReturnThis(),
     };
 
     next = jest.fn();
@@ -329,6 +356,783 @@ describe("Public Transaction Controller - Unit Tests", () => {
     });
   });
 
+  describe("chargeSplit", () => {
+    const mockCustomer = {
+      _id: "customer123",
+      virtualCard: { isActive: true },
+      isCardExpired: () => false,
+      compareCVV: () => Promise.resolve(true),
+    };
+    const noodles = { _id: "stall1" };
+    const drinks = { _id: "stall2" };
+
+    const makeSplit = (reference, businessId, amount) => ({
+      reference,
+      amount,
+      fee: 0,
+      status: "completed",
+      cardUsed: { last4: "1111" },
+      merchant: { businessId, businessName: businessId },
+    });
+
+    beforeEach(() => {
+      req.body = {
+        cardNumber: "4111111111111111",
+        cvv: "123",
+        amount: 250,
+        description: "Food court order",
+        splits: [
+          { businessId: "stall1", amount: 150, description: "Noodles" },
+          { businessId: "stall2", amount: 100 },
+        ],
+      };
+
+      User.findByCardNumber = jest.fn().mockReturnValue({
+        select: jest.fn().mockReturnValue({
+          session: jest.fn().mockResolvedValue(mockCustomer),
+        }),
+      });
+      loadSplitBusinesses.mockResolvedValue({ businesses: [noodles, drinks] });
+    });
+
+    test("should debit the customer once and notify every business of its split", async () => {
+      paySplitCharge.mockResolvedValue({
+        parent: {
+          reference: "split-ref",
+          amount: 250,
+          status: "completed",
+          cardUsed: { last4: "1111" },
+          description: "Food court order",
+        },
+        children: [makeSplit("child-1", "stall1", 150), makeSplit("child-2", "stall2", 100)],
+      });
+
+      await chargeSplit(req, res, next);
+
+      expect(paySplitCharge).toHaveBeenCalledWith(expect.objectContaining({
+        customer: mockCustomer,
+        initiator: req.business,
+        apiKey: req.apiKey,
+        splits: [
+          { business: noodles, amount: 150, description: "Noodles" },
+          { business: drinks, amount: 100, description: undefined },
+        ],
+        session: mockSession,
+      }));
+      expect(enqueueEvent).toHaveBeenCalledWith(
+        "stall1",
+        "payment.completed",
+        expect.objectContaining({ transactionId: "child-1", splitId: "split-ref", amount: 150 }),
+        mockSession
+      );
+      expect(enqueueEvent).toHaveBeenCalledWith(
+        "stall2",
+        "payment.completed",
+        expect.objectContaining({ transactionId: "child-2", splitId: "split-ref", amount: 100 }),
+        mockSession
+      );
+      expect(mockSession.commitTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: expect.objectContaining({
+          transactionId: "split-ref",
+          amount: 250,
+          splits: [
+            expect.objectContaining({ transactionId: "child-1", businessId: "stall1", amount: 150 }),
+            expect.objectContaining({ transactionId: "child-2", businessId: "stall2", amount: 100 }),
+          ],
+        }),
+      });
+    });
+
+    test("should reject a split to a business that cannot accept payments", async () => {
+      loadSplitBusinesses.mockResolvedValue({
+        error: { status: 400, code: "INVALID_SPLIT_BUSINESS", message: "Business stall2 cannot accept payments." },
+      });
+
+      await chargeSplit(req, res, next);
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(paySplitCharge).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: { code: "INVALID_SPLIT_BUSINESS", message: "Business stall2 cannot accept payments." },
+      });
+    });
+
+    test("should charge nothing when the customer cannot cover the total", async () => {
+      paySplitCharge.mockResolvedValue({
+        error: { status: 400, code: "INSUFFICIENT_FUNDS", message: "Insufficient funds in card." },
+      });
+
+      await chargeSplit(req, res, next);
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(mockSession.commitTransaction).not.toHaveBeenCalled();
+      expect(enqueueEvent).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe("idempotency", () => {
+    beforeEach(() => {
+      req.body = {
+        cardNumber: "4111111111111111",
+        cvv: "123",
+        amount: 100,
+        description: "Test purchase",
+      };
+      req.headers = { "idempotency-key": "order-12345-attempt" };
+      IdempotencyKey.isValidKey = jest.fn().mockReturnValue(true);
+    });
+
+    test("should return 400 for a malformed Idempotency-Key", async () => {
+      IdempotencyKey.isValidKey = jest.fn().mockReturnValue(false);
+
+      await chargeCard(req, res, next);
+
+      expect(mongoose.startSession).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: {
+          code: "INVALID_IDEMPOTENCY_KEY",
+          message: "Idempotency-Key must be 1-255 printable ASCII characters.",
+        },
+      });
+    });
+
+    test("should replay the stored response without charging again", async () => {
+      const storedBody = { success: true, data: { transactionId: "original-ref" } };
+      IdempotencyKey.begin = jest.fn().mockResolvedValue({
+        replay: { statusCode: 200, body: storedBody },
+      });
+      User.findByCardNumber = jest.fn();
+
+      await chargeCard(req, res, next);
+
+      expect(IdempotencyKey.begin).toHaveBeenCalledWith(
+        expect.objectContaining({
+          apiKey: "apikey123",
+          key: "order-12345-attempt",
+          endpoint: "charge",
+          session: mockSession,
+        })
+      );
+      expect(User.findByCardNumber).not.toHaveBeenCalled();
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(res.set).toHaveBeenCalledWith("Idempotent-Replayed", "true");
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(storedBody);
+    });
+
+    test("should return 422 when the key is reused with a different body", async () => {
+      IdempotencyKey.begin = jest.fn().mockResolvedValue({ conflict: "KEY_REUSED" });
+
+      await chargeCard(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(422);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          error: expect.objectContaining({ code: "IDEMPOTENCY_KEY_REUSED" }),
+        })
+      );
+    });
+
+    test("should return 409 while the same key is being processed", async () => {
+      IdempotencyKey.begin = jest.fn().mockResolvedValue({ conflict: "IN_PROGRESS" });
+
+      await refundTransaction(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          error: expect.objectContaining({ code: "IDEMPOTENCY_KEY_IN_PROGRESS" }),
+        })
+      );
+    });
+
+    test("should store the response inside the payment session before committing", async () => {
+      const mockRecord = { complete: jest.fn() };
+      IdempotencyKey.begin = jest.fn().mockResolvedValue({ record: mockRecord });
+
+      const mockCustomer = {
+        _id: "customer123",
+        virtualCard: { isActive: true },
+        wallet: { balance: { toString: () => "500" } },
+        isCardExpired: jest.fn().mockReturnValue(false),
+        compareCVV: jest.fn().mockResolvedValue(true),
+        canSpend: jest.fn().mockReturnValue(true),
+        recordSpending: jest.fn(),
+        save: jest.fn(),
+      };
+
+      User.findByCardNumber = jest.fn().mockReturnValue({
+        select: jest.fn().mockReturnValue({
+          session: jest.fn().mockResolvedValue(mockCustomer),
+        }),
+      });
+      User.findById = jest.fn().mockReturnValue({
+        session: jest.fn().mockResolvedValue({
+          _id: "business123",
+          wallet: { balance: { toString: () => "1000" } },
+          save: jest.fn(),
+        }),
+      });
+      Transaction.mockImplementation(() => ({
+        save: jest.fn(),
+        reference: "mock-uuid-1234",
+        amount: 100,
+        status: "completed",
+        cardUsed: { last4: "1111" },
+        createdAt: new Date(),
+      }));
+
+      await chargeCard(req, res, next);
+
+      expect(mockRecord.complete).toHaveBeenCalledWith(
+        200,
+        expect.objectContaining({ success: true }),
+        mockSession
+      );
+      expect(mockRecord.complete.mock.invocationCallOrder[0]).toBeLessThan(
+        mockSession.commitTransaction.mock.invocationCallOrder[0]
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe("authorizeCard", () => {
+    beforeEach(() => {
+      req.body = {
+        cardNumber: "4111111111111111",
+        cvv: "123",
+        amount: 80,
+        description: "Bus fare hold",
+      };
+    });
+
+    test("should return 400 if held funds leave too little available balance", async () => {
+      const mockCustomer = {
+        _id: "customer123",
+        virtualCard: { isActive: true },
+        wallet: {
+          balance: { toString: () => "100" },
+          heldBalance: { toString: () => "50" },
+        },
+        isCardExpired: jest.fn().mockReturnValue(false),
+        compareCVV: jest.fn().mockResolvedValue(true),
+        canSpend: jest.fn().mockReturnValue(true),
+      };
+
+      User.findByCardNumber = jest.fn().mockReturnValue({
+        select: jest.fn().mockReturnValue({
+          session: jest.fn().mockResolvedValue(mockCustomer),
+        }),
+      });
+
+      await authorizeCard(req, res, next);
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          error: expect.objectContaining({ code: "INSUFFICIENT_FUNDS" }),
+        })
+      );
+    });
+
+    test("should hold the amount and create a pending payment", async () => {
+      const mockCustomer = {
+        _id: "customer123",
+        virtualCard: { isActive: true },
+        wallet: {
+          balance: { toString: () => "500" },
+          heldBalance: { toString: () => "20" },
+        },
+        isCardExpired: jest.fn().mockReturnValue(false),
+        compareCVV: jest.fn().mockResolvedValue(true),
+        canSpend: jest.fn().mockReturnValue(true),
+        recordSpending: jest.fn(),
+        save: jest.fn(),
+      };
+
+      User.findByCardNumber = jest.fn().mockReturnValue({
+        select: jest.fn().mockReturnValue({
+          session: jest.fn().mockResolvedValue(mockCustomer),
+        }),
+      });
+
+      Transaction.mockImplementation((data) => ({
+        ...data,
+        save: jest.fn(),
+        reference: "auth-ref-1234",
+        createdAt: new Date(),
+      }));
+
+      await authorizeCard(req, res, next);
+
+      expect(mockCustomer.wallet.heldBalance.toString()).toBe("100.00");
+      expect(mockCustomer.recordSpending).toHaveBeenCalledWith(80);
+      expect(req.apiKey.recordTransaction).toHaveBeenCalledWith(80);
+      expect(Transaction).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: "payment",
+          status: "pending",
+          authorization: expect.objectContaining({ authorizedAmount: 80 }),
+        })
+      );
+      expect(mockSession.commitTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: expect.objectContaining({
+          authorizationId: "auth-ref-1234",
+          amount: 80,
+          status: "pending",
+        }),
+      });
+    });
+  });
+
+  describe("captureAuthorization", () => {
+    let mockAuthorization;
+
+    beforeEach(() => {
+      req.body = { authorizationId: "auth-ref-1234" };
+      mockAuthorization = {
+        reference: "auth-ref-1234",
+        from: "customer123",
+        status: "pending",
+        createdAt: new Date(),
+        cardUsed: { last4: "1111" },
+        authorization: {
+          authorizedAmount: 80,
+          expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        },
+        save: jest.fn(),
+      };
+      Transaction.findOne = jest.fn().mockReturnValue({
+        session: jest.fn().mockResolvedValue(mockAuthorization),
+      });
+    });
+
+    test("should return 404 if authorization not found", async () => {
+      Transaction.findOne = jest.fn().mockReturnValue({
+        session: jest.fn().mockResolvedValue(null),
+      });
+
+      await captureAuthorization(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: {
+          code: "AUTHORIZATION_NOT_FOUND",
+          message: "Authorization not found.",
+        },
+      });
+    });
+
+    test("should reject capturing more than the authorized amount", async () => {
+      req.body.amount = 100;
+
+      await captureAuthorization(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          error: expect.objectContaining({ code: "CAPTURE_EXCEEDS_AUTHORIZATION" }),
+        })
+      );
+    });
+
+    test("should capture part of the hold and release the rest", async () => {
+      req.body.amount = 35;
+
+      const mockCustomer = {
+        _id: "customer123",
+        wallet: {
+          balance: { toString: () => "500" },
+          heldBalance: { toString: () => "80" },
+        },
+        releaseSpending: jest.fn(),
+        save: jest.fn(),
+      };
+      const mockBusiness = {
+        _id: "business123",
+        wallet: { balance: { toString: () => "1000" } },
+        save: jest.fn(),
+      };
+
+      User.findById = jest.fn()
+        .mockReturnValueOnce({ session: jest.fn().mockResolvedValue(mockCustomer) })
+        .mockReturnValueOnce({ session: jest.fn().mockResolvedValue(mockBusiness) });
+
+      await captureAuthorization(req, res, next);
+
+      expect(mockCustomer.wallet.heldBalance.toString()).toBe("0.00");
+      expect(mockCustomer.wallet.balance.toString()).toBe("465.00");
+      expect(mockBusiness.wallet.balance.toString()).toBe("1035.00");
+      expect(mockCustomer.releaseSpending).toHaveBeenCalledWith(45, mockAuthorization.createdAt);
+      expect(mockAuthorization.status).toBe("completed");
+      expect(mockAuthorization.amount).toBe(35);
+      expect(enqueueEvent).toHaveBeenCalledWith(
+        "business123",
+        "payment.completed",
+        expect.objectContaining({ transactionId: "auth-ref-1234", amount: 35 }),
+        mockSession
+      );
+      expect(mockSession.commitTransaction).toHaveBeenCalled();
+      expect(dispatchDeliveries).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test("should keep the payment fee out of what the business receives", async () => {
+      req.body.amount = 35;
+      calculateFee.mockResolvedValueOnce({ fee: 0.7, feeCents: 70, schedule: { _id: "fee123" } });
+
+      const mockCustomer = {
+        _id: "customer123",
+        wallet: {
+          balance: { toString: () => "500" },
+          heldBalance: { toString: () => "80" },
+        },
+        releaseSpending: jest.fn(),
+        save: jest.fn(),
+      };
+      const mockBusiness = {
+        _id: "business123",
+        businessInfo: { businessType: "food" },
+        wallet: { balance: { toString: () => "1000" } },
+        save: jest.fn(),
+      };
+
+      User.findById = jest.fn()
+        .mockReturnValueOnce({ session: jest.fn().mockResolvedValue(mockCustomer) })
+        .mockReturnValueOnce({ session: jest.fn().mockResolvedValue(mockBusiness) });
+
+      await captureAuthorization(req, res, next);
+
+      expect(calculateFee).toHaveBeenCalledWith(
+        expect.objectContaining({ transactionType: "payment", businessType: "food", amount: 35 })
+      );
+      expect(mockCustomer.wallet.balance.toString()).toBe("465.00");
+      expect(mockBusiness.wallet.balance.toString()).toBe("1034.30");
+      expect(collectFee).toHaveBeenCalledWith(70, mockSession);
+      expect(mockAuthorization.fee).toBe(0.7);
+      expect(mockAuthorization.feeSchedule).toBe("fee123");
+      expect(mockAuthorization.toBalanceAfter).toBe(1034.3);
+      expect(recordTransferWithFee).toHaveBeenCalledWith(
+        expect.objectContaining({ amount: 35, fee: 0.7, transaction: mockAuthorization })
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test("should release an expired hold and return 400", async () => {
+      mockAuthorization.authorization.expiresAt = new Date(Date.now() - 1000);
+
+      const mockCustomer = {
+        wallet: {
+          balance: { toString: () => "500" },
+          heldBalance: { toString: () => "80" },
+        },
+        releaseSpending: jest.fn(),
+        save: jest.fn(),
+      };
+      User.findById = jest.fn().mockReturnValue({
+        session: jest.fn().mockResolvedValue(mockCustomer),
+      });
+
+      await captureAuthorization(req, res, next);
+
+      expect(mockAuthorization.status).toBe("expired");
+      expect(mockCustomer.wallet.heldBalance.toString()).toBe("0.00");
+      expect(mockSession.commitTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          error: expect.objectContaining({ code: "AUTHORIZATION_EXPIRED" }),
+        })
+      );
+    });
+  });
+
+  describe("voidAuthorization", () => {
+    test("should release the hold and mark the authorization voided", async () => {
+      req.body = { authorizationId: "auth-ref-1234" };
+
+      const mockAuthorization = {
+        reference: "auth-ref-1234",
+        from: "customer123",
+        status: "pending",
+        createdAt: new Date(),
+        authorization: {
+          authorizedAmount: 80,
+          expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        },
+        save: jest.fn(),
+      };
+      const mockCustomer = {
+        wallet: {
+          balance: { toString: () => "500" },
+          heldBalance: { toString: () => "100" },
+        },
+        releaseSpending: jest.fn(),
+        save: jest.fn(),
+      };
+
+      Transaction.findOne = jest.fn().mockReturnValue({
+        session: jest.fn().mockResolvedValue(mockAuthorization),
+      });
+      User.findById = jest.fn().mockReturnValue({
+        session: jest.fn().mockResolvedValue(mockCustomer),
+      });
+
+      await voidAuthorization(req, res, next);
+
+      expect(mockCustomer.wallet.heldBalance.toString()).toBe("20.00");
+      expect(mockCustomer.releaseSpending).toHaveBeenCalledWith(80, mockAuthorization.createdAt);
+      expect(mockAuthorization.status).toBe("voided");
+      expect(mockAuthorization.authorization.voidedAt).toBeInstanceOf(Date);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: expect.objectContaining({ authorizationId: "auth-ref-1234", status: "voided" }),
+      });
+    });
+  });
+
+  describe("refundTransaction", () => {
+    let mockOriginal, mockCustomer, mockBusinessAccount;
+
+    beforeEach(() => {
+      req.body = { transactionId: "payment-ref-1234", reason: "Returned item" };
+
+      mockOriginal = {
+        _id: "payment123",
+        reference: "payment-ref-1234",
+        type: "payment",
+        from: "customer123",
+        amount: 100,
+        status: "completed",
+        refundedAmount: 0,
+        save: jest.fn(),
+      };
+      mockCustomer = {
+        _id: "customer123",
+        wallet: { balance: { toString: () => "400" } },
+        save: jest.fn(),
+      };
+      mockBusinessAccount = {
+        _id: "business123",
+        wallet: { balance: { toString: () => "1000" } },
+        save: jest.fn(),
+      };
+
+      Transaction.findOne = jest.fn().mockReturnValue({
+        session: jest.fn().mockResolvedValue(mockOriginal),
+      });
+      User.findById = jest.fn((id) => ({
+        session: jest.fn().mockResolvedValue(id === "customer123" ? mockCustomer : mockBusinessAccount),
+      }));
+    });
+
+    test("should mark the payment partially refunded after a partial refund", async () => {
+      req.body.amount = 30;
+
+      await refundTransaction(req, res, next);
+
+      expect(mockOriginal.refundedAmount).toBe(30);
+      expect(mockOriginal.status).toBe("partially_refunded");
+      expect(recordTransferWithFee).toHaveBeenCalledWith(
+        expect.objectContaining({ amount: 30, session: mockSession })
+      );
+      expect(mockSession.commitTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: expect.objectContaining({
+          amount: 30,
+          originalStatus: "partially_refunded",
+          totalRefunded: 30,
+          remainingRefundable: 70,
+        }),
+      });
+    });
+
+    test("should allow further refunds until the full amount is refunded", async () => {
+      mockOriginal.status = "partially_refunded";
+      mockOriginal.refundedAmount = 30.1;
+
+      await refundTransaction(req, res, next);
+
+      expect(mockOriginal.refundedAmount).toBe(100);
+      expect(mockOriginal.status).toBe("refunded");
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: expect.objectContaining({ amount: 69.9, remainingRefundable: 0 }),
+      });
+    });
+
+    test("should give back the payment fee in proportion to the refund", async () => {
+      mockOriginal.fee = 2;
+      req.body.amount = 30;
+
+      await refundTransaction(req, res, next);
+
+      expect(mockCustomer.wallet.balance.toString()).toBe("430.00");
+      expect(mockBusinessAccount.wallet.balance.toString()).toBe("970.60");
+      expect(collectFee).toHaveBeenCalledWith(-60, mockSession);
+      expect(mockOriginal.refundedFee).toBe(0.6);
+      expect(recordTransferWithFee).toHaveBeenCalledWith(
+        expect.objectContaining({ amount: 30, fee: -0.6, feePaidBy: "sender" })
+      );
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: expect.objectContaining({ amount: 30, feeReversed: 0.6 }),
+      });
+    });
+
+    test("should give back the rest of the fee with the last refund", async () => {
+      mockOriginal.fee = 2;
+      mockOriginal.status = "partially_refunded";
+      mockOriginal.refundedAmount = 30.1;
+      mockOriginal.refundedFee = 0.6;
+
+      await refundTransaction(req, res, next);
+
+      expect(mockOriginal.refundedFee).toBe(2);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: expect.objectContaining({ amount: 69.9, feeReversed: 1.4 }),
+      });
+    });
+
+    test("should reject a refund larger than the remaining amount", async () => {
+      mockOriginal.status = "partially_refunded";
+      mockOriginal.refundedAmount = 80;
+      req.body.amount = 25;
+
+      await refundTransaction(req, res, next);
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: {
+          code: "REFUND_EXCEEDS_ORIGINAL",
+          message: "Refund amount cannot exceed the remaining refundable amount (20.00).",
+        },
+      });
+      expect(mockCustomer.save).not.toHaveBeenCalled();
+    });
+
+    test("should only refund the undisputed part of a disputed payment", async () => {
+      mockOriginal.disputedAmount = 60;
+      req.body.amount = 50;
+
+      await refundTransaction(req, res, next);
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: {
+          code: "PAYMENT_DISPUTED",
+          message: "This payment is disputed. Only 40.00 can be refunded until the dispute is resolved.",
+        },
+      });
+      expect(mockCustomer.save).not.toHaveBeenCalled();
+    });
+
+    test("should not report a dispute for a non-positive refund of an undisputed payment", async () => {
+      req.body.amount = -10;
+
+      await refundTransaction(req, res, next);
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: {
+          code: "INVALID_AMOUNT",
+          message: "Refund amount must be greater than zero",
+        },
+      });
+    });
+
+    test("should not refund funds held on the business wallet", async () => {
+      mockBusinessAccount.wallet.heldBalance = 950;
+      req.body.amount = 60;
+
+      await refundTransaction(req, res, next);
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].error.code).toBe("INSUFFICIENT_BUSINESS_FUNDS");
+      expect(mockBusinessAccount.save).not.toHaveBeenCalled();
+    });
+
+    test("should refund what is not disputed by default", async () => {
+      mockOriginal.disputedAmount = 60;
+
+      await refundTransaction(req, res, next);
+
+      expect(mockOriginal.refundedAmount).toBe(40);
+      expect(mockOriginal.status).toBe("partially_refunded");
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test("should return ALREADY_REFUNDED once fully refunded", async () => {
+      mockOriginal.status = "refunded";
+      mockOriginal.refundedAmount = 100;
+
+      await refundTransaction(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          error: expect.objectContaining({ code: "ALREADY_REFUNDED" }),
+        })
+      );
+    });
+
+    test("should refund a split from the business it paid when the charging business refunds it", async () => {
+      mockOriginal.merchant = { businessId: "stall1", businessName: "Noodle Stall" };
+      mockOriginal.split = { parent: "parent123", initiator: "business123" };
+      const mockStall = {
+        _id: "stall1",
+        wallet: { balance: { toString: () => "500" } },
+        businessInfo: { businessName: "Noodle Stall" },
+        save: jest.fn(),
+      };
+      User.findById = jest.fn((id) => ({
+        session: jest.fn().mockResolvedValue(id === "customer123" ? mockCustomer : mockStall),
+      }));
+      req.body.amount = 40;
+
+      await refundTransaction(req, res, next);
+
+      expect(Transaction.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        $or: [{ "merchant.businessId": "business123" }, { "split.initiator": "business123" }],
+      }));
+      expect(mockStall.wallet.balance.toString()).toBe("460.00");
+      expect(mockBusinessAccount.save).not.toHaveBeenCalled();
+      expect(recordSplitRefund).toHaveBeenCalledWith(mockOriginal, 4000, mockSession);
+      expect(Transaction).toHaveBeenCalledWith(expect.objectContaining({
+        type: "refund",
+        from: "stall1",
+        merchant: expect.objectContaining({ businessId: "stall1", businessName: "Noodle Stall", apiKeyId: "apikey123" }),
+      }));
+      expect(enqueueEvent).toHaveBeenCalledWith("stall1", "payment.refunded", expect.any(Object), mockSession);
+      expect(enqueueEvent).toHaveBeenCalledWith("business123", "payment.refunded", expect.any(Object), mockSession);
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
   describe("getTransaction", () => {
     test("should return 404 if transaction not found", async () => {
       req.params.reference = "nonexistent-ref";
@@ -362,6 +1166,9 @@ describe("Public Transaction Controller - Unit Tests", () => {
       };
 
       Transaction.findOne = jest.fn().mockResolvedValue(mockTransaction);
+      Transaction.find = jest.fn().mockReturnValue({
+        sort: jest.fn().mockResolvedValue([]),
+      });
 
       await getTransaction(req, res, next);
 
@@ -376,6 +1183,76 @@ describe("Public Transaction Controller - Unit Tests", () => {
         }),
       });
     });
+
+    test("should list every refund linked to a payment", async () => {
+      req.params.reference = "valid-ref-123";
+
+      Transaction.findOne = jest.fn().mockResolvedValue({
+        _id: "payment123",
+        reference: "valid-ref-123",
+        type: "payment",
+        amount: 150,
+        status: "partially_refunded",
+        refundedAmount: 70,
+        createdAt: new Date(),
+      });
+      Transaction.find = jest.fn().mockReturnValue({
+        sort: jest.fn().mockResolvedValue([
+          { reference: "refund-1", amount: 50, status: "completed", description: "Damaged", createdAt: new Date() },
+          { reference: "refund-2", amount: 20, status: "completed", description: "Late", createdAt: new Date() },
+        ]),
+      });
+
+      await getTransaction(req, res, next);
+
+      expect(Transaction.find).toHaveBeenCalledWith({ originalTransaction: "payment123", type: "refund" });
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: expect.objectContaining({
+          status: "partially_refunded",
+          refundedAmount: 70,
+          refunds: [
+            expect.objectContaining({ refundId: "refund-1", amount: 50, reason: "Damaged" }),
+            expect.objectContaining({ refundId: "refund-2", amount: 20, reason: "Late" }),
+          ],
+        }),
+      });
+    });
+
+    test("should list the splits of a split charge", async () => {
+      req.params.reference = "split-ref";
+
+      Transaction.findOne = jest.fn().mockResolvedValue({
+        _id: "parent123",
+        reference: "split-ref",
+        type: "split_payment",
+        amount: 250,
+        status: "partially_refunded",
+        refundedAmount: 40,
+        createdAt: new Date(),
+      });
+      Transaction.find = jest.fn().mockReturnValue({
+        sort: jest.fn().mockResolvedValue([
+          { reference: "child-1", amount: 150, refundedAmount: 40, status: "partially_refunded", merchant: { businessId: "stall1" } },
+          { reference: "child-2", amount: 100, status: "completed", merchant: { businessId: "stall2" } },
+        ]),
+      });
+
+      await getTransaction(req, res, next);
+
+      expect(Transaction.find).toHaveBeenCalledWith({ "split.parent": "parent123" });
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: expect.objectContaining({
+          refundedAmount: 40,
+          refunds: undefined,
+          splits: [
+            expect.objectContaining({ transactionId: "child-1", businessId: "stall1", refundedAmount: 40 }),
+            expect.objectContaining({ transactionId: "child-2", businessId: "stall2", refundedAmount: 0 }),
+          ],
+        }),
+      });
+    });
   });
 
   describe("getBusinessTransactions", () => {
@@ -432,6 +1309,16 @@ describe("Public Transaction Controller - Unit Tests", () => {
         },
       });
     });
+
+    test("should reject an invalid search", async () => {
+      req.query = { minAmount: "-5" };
+
+      await getBusinessTransactions(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].error.code).toBe("INVALID_SEARCH");
+      expect(Transaction.find).not.toHaveBeenCalled();
+    });
   });
 
   describe("getBusinessBalance", () => {
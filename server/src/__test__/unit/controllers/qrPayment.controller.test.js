@@ -0,0 +1,244 @@
+/**
+ * QR PAYMENT CONTROLLER TESTS
+ * ===========================
+ * Unit tests for merchant QR code generation and wallet payments
+ */
+
+jest.mock("../../../models/user.model");
+jest.mock("../../../models/transaction.model");
+jest.mock("../../../utils/cardPayments", () => ({
+  payMerchant: jest.fn(),
+}));
+jest.mock("../../../utils/webhooks", () => ({
+  enqueueEvent: jest.fn().mockResolvedValue([]),
+  dispatchDeliveries: jest.fn(),
+}));
+
+process.env.QR_SIGNING_SECRET = "qr_test_secret";
+
+const mongoose = require("mongoose");
+
+const mockSession = {
+  startTransaction: jest.fn(),
+  commitTransaction: jest.fn(),
+  abortTransaction: jest.fn(),
+  endSession: jest.fn(),
+};
+
+jest.spyOn(mongoose, "startSession").mockImplementation(() => Promise.resolve(mockSession));
+
+const { generateQRCode, decodeQRCode, payQRCode } = require("../../../controllers/qrPayment.controller");
+const User = require("../../../models/user.model");
+const Transaction = require("../../../models/transaction.model");
+const { payMerchant } = require("../../../utils/cardPayments");
+const { enqueueEvent } = require("../../../utils/webhooks");
+const { createQRPayload } = require("../../../utils/qrCode");
+
+describe("QR Payment Controller - Unit Tests", () => {
+  const businessId = new mongoose.Types.ObjectId();
+  const customerId = new mongoose.Types.ObjectId();
+  let req, res, next, business, customer;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    business = {
+      _id: businessId,
+      accountType: "business",
+      businessInfo: { businessName: "Campus Canteen", isVerified: true },
+    };
+    customer = { _id: customerId, accountType: "personal" };
+
+    User.findById.mockImplementation((id) => ({
+      session: jest.fn().mockResolvedValue(
+        id.toString() === businessId.toString() ? business : id.toString() === customerId.toString() ? customer : null
+      ),
+    }));
+    Transaction.exists.mockReturnValue({ session: jest.fn().mockResolvedValue(null) });
+
+    req = {
+      body: {},
+      user: { id: customerId.toString() },
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+
+    next = jest.fn();
+  });
+
+  describe("generateQRCode", () => {
+    beforeEach(() => {
+      req.userDoc = business;
+    });
+
+    it("should generate a static code", async () => {
+      req.body = { description: "Stall 4" };
+
+      await generateQRCode(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.type).toBe("static");
+      expect(data.payload).toMatch(/^SCBQR1\./);
+      expect(data.businessName).toBe("Campus Canteen");
+      expect(data.amount).toBeUndefined();
+    });
+
+    it("should generate a dynamic code with amount and expiry", async () => {
+      req.body = { amount: 85.5, expiresInMinutes: 10 };
+
+      await generateQRCode(req, res, next);
+
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.type).toBe("dynamic");
+      expect(data.amount).toBe(85.5);
+      expect(data.expiresAt).toBeInstanceOf(Date);
+    });
+  });
+
+  describe("decodeQRCode", () => {
+    it("should return the merchant and amount of a code", async () => {
+      const { payload, qrCodeId } = createQRPayload({ businessId, amount: 50 });
+      req.body = { payload };
+      Transaction.exists.mockResolvedValue(null);
+
+      await decodeQRCode(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.qrCodeId).toBe(qrCodeId);
+      expect(data.merchant.businessName).toBe("Campus Canteen");
+      expect(data.amount).toBe(50);
+      expect(data.paid).toBe(false);
+    });
+
+    it("should reject tampered payloads", async () => {
+      req.body = { payload: `${createQRPayload({ businessId }).payload}x` };
+
+      await decodeQRCode(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: "Invalid QR code" });
+    });
+
+    it("should return 404 for businesses that are not verified", async () => {
+      business.businessInfo.isVerified = false;
+      req.body = { payload: createQRPayload({ businessId }).payload };
+
+      await decodeQRCode(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe("payQRCode", () => {
+    const transaction = { _id: "txn123", reference: "txn-ref", amount: 50, status: "completed" };
+
+    it("should pay a dynamic code with its fixed amount", async () => {
+      const { payload, qrCodeId } = createQRPayload({ businessId, amount: 50, description: "Lunch" });
+      req.body = { payload };
+      payMerchant.mockResolvedValue({ transaction });
+
+      await payQRCode(req, res, next);
+
+      expect(payMerchant).toHaveBeenCalledWith(
+        expect.objectContaining({
+          customer,
+          business,
+          amount: 50,
+          paymentMethod: "qr",
+          transactionCategory: "B2C",
+          description: "Lunch",
+          qrCode: { id: qrCodeId, isDynamic: true },
+          session: mockSession,
+        })
+      );
+      expect(enqueueEvent).toHaveBeenCalledWith(
+        businessId,
+        "payment.completed",
+        expect.objectContaining({ paymentMethod: "qr", qrCodeId }),
+        mockSession
+      );
+      expect(mockSession.commitTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("should pay a static code with the entered amount", async () => {
+      req.body = { payload: createQRPayload({ businessId }).payload, amount: 35.25 };
+      payMerchant.mockResolvedValue({ transaction });
+
+      await payQRCode(req, res, next);
+
+      expect(payMerchant).toHaveBeenCalledWith(
+        expect.objectContaining({ amount: 35.25, qrCode: expect.objectContaining({ isDynamic: false }) })
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("should require an amount for static codes", async () => {
+      req.body = { payload: createQRPayload({ businessId }).payload };
+
+      await payQRCode(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(mongoose.startSession).not.toHaveBeenCalled();
+    });
+
+    it("should reject an amount that differs from a dynamic code", async () => {
+      req.body = { payload: createQRPayload({ businessId, amount: 50 }).payload, amount: 5 };
+
+      await payQRCode(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].message).toBe("Amount does not match the QR code");
+    });
+
+    it("should refuse to pay a dynamic code twice", async () => {
+      req.body = { payload: createQRPayload({ businessId, amount: 50 }).payload };
+      Transaction.exists.mockReturnValue({ session: jest.fn().mockResolvedValue({ _id: "txn1" }) });
+
+      await payQRCode(req, res, next);
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(payMerchant).not.toHaveBeenCalled();
+    });
+
+    it("should return 409 when a concurrent payment wins the unique index", async () => {
+      req.body = { payload: createQRPayload({ businessId, amount: 50 }).payload };
+      payMerchant.mockRejectedValue(Object.assign(new Error("E11000"), { code: 11000, keyPattern: { "qrCode.id": 1 } }));
+
+      await payQRCode(req, res, next);
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it("should not let a business pay its own code", async () => {
+      req.user.id = businessId.toString();
+      req.body = { payload: createQRPayload({ businessId }).payload, amount: 10 };
+
+      await payQRCode(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].message).toBe("Cannot pay your own QR code");
+    });
+
+    it("should return payment errors such as insufficient funds", async () => {
+      req.body = { payload: createQRPayload({ businessId, amount: 50 }).payload };
+      payMerchant.mockResolvedValue({
+        error: { status: 400, code: "INSUFFICIENT_FUNDS", message: "Insufficient funds in wallet." },
+      });
+
+      await payQRCode(req, res, next);
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: "Insufficient funds in wallet." });
+    });
+  });
+});
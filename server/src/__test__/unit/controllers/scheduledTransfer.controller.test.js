@@ -0,0 +1,229 @@
+/**
+ * SCHEDULED TRANSFER CONTROLLER TESTS
+ * ===================================
+ * Unit tests for creating, editing, pausing and canceling scheduled transfers
+ */
+
+jest.mock("../../../models/scheduledTransfer.model");
+jest.mock("../../../models/user.model");
+
+const {
+  createScheduledTransfer,
+  updateScheduledTransfer,
+  pauseScheduledTransfer,
+  resumeScheduledTransfer,
+  cancelScheduledTransfer,
+} = require("../../../controllers/scheduledTransfer.controller");
+
+const ScheduledTransfer = require("../../../models/scheduledTransfer.model");
+const User = require("../../../models/user.model");
+
+const TRANSFER_ID = "64b000000000000000000001";
+const RECIPIENT_ID = "64b000000000000000000002";
+const DAY = 24 * 60 * 60 * 1000;
+
+const withSession = (value) => ({ session: jest.fn().mockResolvedValue(value) });
+
+const makeTransfer = (overrides = {}) => ({
+  _id: TRANSFER_ID,
+  user: "sender123",
+  recipient: RECIPIENT_ID,
+  amount: 5000,
+  frequency: "monthly",
+  status: "active",
+  nextRunAt: new Date(Date.now() + DAY),
+  save: jest.fn(),
+  ...overrides,
+});
+
+describe("Scheduled Transfer Controller - Unit Tests", () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    ScheduledTransfer.STATUSES = ["active", "paused", "completed", "failed", "canceled"];
+
+    req = {
+      body: {},
+      params: { transferId: TRANSFER_ID },
+      query: {},
+      user: { id: "sender123", role: "user" },
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+
+    next = jest.fn();
+  });
+
+  describe("createScheduledTransfer", () => {
+    beforeEach(() => {
+      req.body = {
+        to: RECIPIENT_ID,
+        amount: 5000,
+        description: "Rent",
+        frequency: "monthly",
+        startDate: "2099-07-01T00:00:00Z",
+        endDate: "2099-12-31T00:00:00Z",
+      };
+    });
+
+    beforeEach(() => {
+      User.findById.mockResolvedValue({ _id: "sender123", accountType: "personal" });
+      User.findOne.mockReturnValue(withSession({ _id: RECIPIENT_ID, accountType: "personal" }));
+    });
+
+    it("should schedule a recurring transfer between personal accounts", async () => {
+      ScheduledTransfer.create.mockImplementation(async (data) => makeTransfer(data));
+
+      await createScheduledTransfer(req, res, next);
+
+      expect(ScheduledTransfer.create).toHaveBeenCalledWith({
+        user: "sender123",
+        recipient: RECIPIENT_ID,
+        amount: 5000,
+        description: "Rent",
+        frequency: "monthly",
+        nextRunAt: new Date("2099-07-01T00:00:00Z"),
+        anchorDay: 1,
+        endDate: new Date("2099-12-31T00:00:00Z"),
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("should reject a transfer from a personal to a business account", async () => {
+      User.findOne.mockReturnValue(withSession({ _id: RECIPIENT_ID, accountType: "business" }));
+
+      await createScheduledTransfer(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(ScheduledTransfer.create).not.toHaveBeenCalled();
+    });
+
+    it("should schedule a transfer to a handle", async () => {
+      req.body.to = "@juan_cruz";
+      ScheduledTransfer.create.mockImplementation(async (data) => makeTransfer(data));
+
+      await createScheduledTransfer(req, res, next);
+
+      expect(User.findOne).toHaveBeenCalledWith({ handle: "juan_cruz" });
+      expect(ScheduledTransfer.create).toHaveBeenCalledWith(expect.objectContaining({ recipient: RECIPIENT_ID }));
+    });
+
+    it("should not schedule a transfer to the sender's own email", async () => {
+      req.body.to = "juan@smu.edu.ph";
+      User.findOne.mockReturnValue(withSession({ _id: "sender123", accountType: "personal" }));
+
+      await createScheduledTransfer(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: "Cannot transfer to the same account" });
+    });
+
+    it("should not give a one-off transfer an end date", async () => {
+      req.body.frequency = "once";
+
+      await createScheduledTransfer(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: "Only weekly and monthly transfers can have an end date",
+      });
+    });
+  });
+
+  describe("updateScheduledTransfer", () => {
+    it("should change the amount and remove the end date", async () => {
+      const transfer = makeTransfer({ endDate: new Date(Date.now() + 30 * DAY) });
+      ScheduledTransfer.findOne.mockResolvedValue(transfer);
+      req.body = { amount: 5500, endDate: null };
+
+      await updateScheduledTransfer(req, res, next);
+
+      expect(ScheduledTransfer.findOne).toHaveBeenCalledWith({ _id: TRANSFER_ID, user: "sender123" });
+      expect(transfer.amount).toBe(5500);
+      expect(transfer.endDate).toBeUndefined();
+      expect(transfer.save).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("should keep the day of a new run date for the following months", async () => {
+      const transfer = makeTransfer({ anchorDay: 15 });
+      ScheduledTransfer.findOne.mockResolvedValue(transfer);
+      req.body = { nextRunAt: "2099-01-31T00:00:00Z" };
+
+      await updateScheduledTransfer(req, res, next);
+
+      expect(transfer.nextRunAt).toEqual(new Date("2099-01-31T00:00:00Z"));
+      expect(transfer.anchorDay).toBe(31);
+    });
+
+    it("should not edit a canceled transfer", async () => {
+      const transfer = makeTransfer({ status: "canceled" });
+      ScheduledTransfer.findOne.mockResolvedValue(transfer);
+      req.body = { amount: 5500 };
+
+      await updateScheduledTransfer(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(transfer.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("pauseScheduledTransfer / resumeScheduledTransfer", () => {
+    it("should pause an active transfer", async () => {
+      const transfer = makeTransfer();
+      ScheduledTransfer.findOne.mockResolvedValue(transfer);
+
+      await pauseScheduledTransfer(req, res, next);
+
+      expect(transfer.status).toBe("paused");
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("should skip the weeks missed while paused when resuming", async () => {
+      const lastDate = new Date(Date.now() - 10 * DAY);
+      const transfer = makeTransfer({ status: "paused", frequency: "weekly", nextRunAt: lastDate });
+      ScheduledTransfer.findOne.mockResolvedValue(transfer);
+
+      await resumeScheduledTransfer(req, res, next);
+
+      expect(transfer.status).toBe("active");
+      expect(transfer.nextRunAt).toEqual(new Date(lastDate.getTime() + 14 * DAY));
+      expect(transfer.save).toHaveBeenCalled();
+    });
+
+    it("should only resume paused transfers", async () => {
+      ScheduledTransfer.findOne.mockResolvedValue(makeTransfer());
+
+      await resumeScheduledTransfer(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe("cancelScheduledTransfer", () => {
+    it("should cancel a paused transfer", async () => {
+      const transfer = makeTransfer({ status: "paused" });
+      ScheduledTransfer.findOne.mockResolvedValue(transfer);
+
+      await cancelScheduledTransfer(req, res, next);
+
+      expect(transfer.status).toBe("canceled");
+      expect(transfer.canceledAt).toBeInstanceOf(Date);
+      expect(res.json.mock.calls[0][0].data.nextRunAt).toBeNull();
+    });
+
+    it("should return 404 for another user's transfer", async () => {
+      ScheduledTransfer.findOne.mockResolvedValue(null);
+
+      await cancelScheduledTransfer(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
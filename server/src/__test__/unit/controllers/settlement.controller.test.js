@@ -0,0 +1,191 @@
+/**
+ * SETTLEMENT CONTROLLER TESTS
+ * ===========================
+ * Unit tests for settlement batch reports and admin payouts
+ */
+
+jest.mock("../../../models/settlementBatch.model");
+jest.mock("../../../models/transaction.model");
+jest.mock("../../../utils/settlements", () => ({
+  ...jest.requireActual("../../../utils/settlements"),
+  runDailySettlement: jest.fn(),
+  payoutBatch: jest.fn(),
+}));
+
+const {
+  listSettlements,
+  getSettlementReport,
+  runSettlement,
+  retryPayout,
+} = require("../../../controllers/settlement.controller");
+
+const SettlementBatch = require("../../../models/settlementBatch.model");
+const Transaction = require("../../../models/transaction.model");
+const { runDailySettlement, payoutBatch } = require("../../../utils/settlements");
+
+const makeBatch = (overrides = {}) => ({
+  _id: "batch123",
+  reference: "STL-20251219-ABC123",
+  business: "business123",
+  businessName: "Canteen",
+  status: "pending",
+  grossAmount: 1000,
+  refundAmount: 200,
+  feeAmount: 12,
+  netAmount: 788,
+  payout: { amount: 800, attempts: 0 },
+  statusHistory: [{ status: "pending" }],
+  ...overrides,
+});
+
+describe("Settlement Controller - Unit Tests", () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    SettlementBatch.STATUSES = ["pending", "processing", "paid", "failed"];
+
+    req = {
+      body: {},
+      params: {},
+      query: {},
+      user: { id: "admin123", email: "admin@smu.edu.ph", role: "admin" },
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+
+    next = jest.fn();
+  });
+
+  describe("listSettlements", () => {
+    it("should filter by status and business", async () => {
+      req.query = { status: "failed", businessId: "64b000000000000000000001" };
+      SettlementBatch.countDocuments.mockResolvedValue(1);
+      SettlementBatch.find.mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue([makeBatch({ status: "failed" })]),
+      });
+
+      await listSettlements(req, res, next);
+
+      expect(SettlementBatch.find).toHaveBeenCalledWith({
+        business: "64b000000000000000000001",
+        status: "failed",
+      });
+      const body = res.json.mock.calls[0][0];
+      expect(body.count).toBe(1);
+      expect(body.data[0]).toMatchObject({ reference: "STL-20251219-ABC123", netAmount: 788 });
+    });
+
+    it("should reject an unknown status", async () => {
+      req.query = { status: "settled" };
+
+      await listSettlements(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe("getSettlementReport", () => {
+    beforeEach(() => {
+      req.params.reference = "STL-20251219-ABC123";
+    });
+
+    it("should list the batch's transactions with refunds as negative lines", async () => {
+      SettlementBatch.findOne.mockResolvedValue(makeBatch());
+      Transaction.find.mockReturnValue({
+        sort: jest.fn().mockResolvedValue([
+          { reference: "pay-1", type: "payment", amount: 1000, fee: 15 },
+          { reference: "ref-1", type: "refund", amount: 200, fee: 3 },
+        ]),
+      });
+
+      await getSettlementReport(req, res, next);
+
+      expect(Transaction.find).toHaveBeenCalledWith({
+        settlementBatch: "batch123",
+        type: { $in: ["payment", "refund"] },
+      });
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.transactions.map((line) => line.amount)).toEqual([1000, -200]);
+      expect(data.transactions.map((line) => line.fee)).toEqual([15, -3]);
+      expect(data.statusHistory).toHaveLength(1);
+    });
+
+    it("should hide another business's batch", async () => {
+      req.user = { id: "business999", role: "user" };
+      SettlementBatch.findOne.mockResolvedValue(makeBatch());
+
+      await getSettlementReport(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(Transaction.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("runSettlement", () => {
+    it("should settle the given day", async () => {
+      req.body = { date: "2025-12-19" };
+      runDailySettlement.mockResolvedValue({ created: 2, paid: 2, failed: 0 });
+
+      await runSettlement(req, res, next);
+
+      expect(runDailySettlement).toHaveBeenCalledWith(new Date("2025-12-19"));
+      expect(res.json.mock.calls[0][0].data).toEqual({ created: 2, paid: 2, failed: 0 });
+    });
+
+    it("should not settle a day that is not over", async () => {
+      req.body = { date: new Date().toISOString().slice(0, 10) };
+
+      await runSettlement(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(runDailySettlement).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("retryPayout", () => {
+    beforeEach(() => {
+      req.params.reference = "STL-20251219-ABC123";
+    });
+
+    it("should pay out a failed batch", async () => {
+      SettlementBatch.findOne.mockResolvedValue(makeBatch({ status: "failed" }));
+      payoutBatch.mockResolvedValue({ batch: makeBatch({ status: "paid" }) });
+
+      await retryPayout(req, res, next);
+
+      expect(payoutBatch).toHaveBeenCalledWith("batch123", "Payout retried by admin admin@smu.edu.ph");
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json.mock.calls[0][0].data.status).toBe("paid");
+    });
+
+    it("should report a payout that failed again", async () => {
+      SettlementBatch.findOne.mockResolvedValue(makeBatch({ status: "failed" }));
+      payoutBatch.mockResolvedValue({
+        batch: makeBatch({ status: "failed" }),
+        error: "Insufficient available balance in the business wallet",
+      });
+
+      await retryPayout(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].message).toBe("Insufficient available balance in the business wallet");
+    });
+
+    it("should refuse a batch that was already paid", async () => {
+      SettlementBatch.findOne.mockResolvedValue(makeBatch({ status: "paid" }));
+      payoutBatch.mockResolvedValue(null);
+
+      await retryPayout(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].message).toBe("Settlement batch is paid and cannot be paid out");
+    });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * STATEMENT CONTROLLER TESTS
+ * ==========================
+ * Unit tests for account statements as JSON, CSV and PDF
+ */
+
+jest.mock("../../../models/user.model");
+jest.mock("../../../utils/statements");
+
+const { getMyStatement, getUserStatement } = require("../../../controllers/statement.controller");
+
+const User = require("../../../models/user.model");
+const { buildStatement, statementToCsv, statementToPdf } = require("../../../utils/statements");
+
+const USER_ID = "64b000000000000000000001";
+
+const juan = { _id: USER_ID, handle: "juan_cruz", accountType: "personal" };
+const statement = { openingBalance: 100, closingBalance: 150, entries: [] };
+
+describe("Statement Controller - Unit Tests", () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = {
+      params: {},
+      query: { from: "2025-01-01", to: "2025-01-31" },
+      user: { id: USER_ID, role: "user" },
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      send: jest.fn(),
+      set: jest.fn(),
+    };
+
+    next = jest.fn();
+
+    User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(juan) });
+    buildStatement.mockResolvedValue({ statement });
+  });
+
+  describe("getMyStatement", () => {
+    it("should return the statement as JSON by default", async () => {
+      await getMyStatement(req, res, next);
+
+      expect(User.findById).toHaveBeenCalledWith(USER_ID);
+      expect(buildStatement).toHaveBeenCalledWith(juan, { from: "2025-01-01", to: "2025-01-31" });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: statement });
+    });
+
+    it("should download the statement as CSV", async () => {
+      req.query.format = "csv";
+      statementToCsv.mockReturnValue("Statement of Account\r\n");
+
+      await getMyStatement(req, res, next);
+
+      expect(res.set).toHaveBeenCalledWith("Content-Type", "text/csv; charset=utf-8");
+      expect(res.set).toHaveBeenCalledWith(
+        "Content-Disposition",
+        'attachment; filename="statement-juan_cruz-2025-01-01-to-2025-01-31.csv"'
+      );
+      expect(res.send).toHaveBeenCalledWith("Statement of Account\r\n");
+    });
+
+    it("should download the statement as PDF", async () => {
+      req.query.format = "pdf";
+      const pdf = Buffer.from("%PDF-1.4");
+      statementToPdf.mockReturnValue(pdf);
+
+      await getMyStatement(req, res, next);
+
+      expect(res.set).toHaveBeenCalledWith("Content-Type", "application/pdf");
+      expect(res.send).toHaveBeenCalledWith(pdf);
+    });
+
+    it("should return 400 when the period has too many transactions", async () => {
+      buildStatement.mockResolvedValue({ error: "This period has too many transactions for one statement" });
+
+      await getMyStatement(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getUserStatement", () => {
+    it("should return the statement of the requested user", async () => {
+      req.user = { id: "admin123", role: "admin" };
+      req.params.userId = USER_ID;
+
+      await getUserStatement(req, res, next);
+
+      expect(User.findById).toHaveBeenCalledWith(USER_ID);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: statement });
+    });
+
+    it("should return 404 for an invalid user ID", async () => {
+      req.params.userId = "not-an-id";
+
+      await getUserStatement(req, res, next);
+
+      expect(User.findById).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
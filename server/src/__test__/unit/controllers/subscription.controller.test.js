@@ -0,0 +1,302 @@
+/**
+ * SUBSCRIPTION CONTROLLER TESTS
+ * =============================
+ * Unit tests for subscription plans and customer mandates
+ */
+
+jest.mock("../../../models/subscriptionPlan.model");
+jest.mock("../../../models/mandate.model");
+jest.mock("../../../models/user.model");
+jest.mock("../../../utils/mandates", () => ({
+  ...jest.requireActual("../../../utils/mandates"),
+  chargeMandate: jest.fn(),
+}));
+jest.mock("../../../utils/webhooks", () => ({
+  enqueueEvent: jest.fn().mockResolvedValue([]),
+  dispatchDeliveries: jest.fn(),
+}));
+
+const mongoose = require("mongoose");
+
+const mockSession = {
+  startTransaction: jest.fn(),
+  commitTransaction: jest.fn(),
+  abortTransaction: jest.fn(),
+  endSession: jest.fn(),
+};
+
+jest.spyOn(mongoose, "startSession").mockImplementation(() => Promise.resolve(mockSession));
+
+const {
+  createPlan,
+  deactivatePlan,
+  listBusinessMandates,
+  createMandate,
+  cancelMyMandate,
+} = require("../../../controllers/subscription.controller");
+
+const SubscriptionPlan = require("../../../models/subscriptionPlan.model");
+const Mandate = require("../../../models/mandate.model");
+const User = require("../../../models/user.model");
+const { chargeMandate } = require("../../../utils/mandates");
+const { enqueueEvent } = require("../../../utils/webhooks");
+
+const PLAN_ID = "64b000000000000000000001";
+const MANDATE_ID = "64b000000000000000000002";
+
+const makePlan = (overrides = {}) => ({
+  _id: PLAN_ID,
+  business: "business123",
+  name: "Transport pass",
+  amount: 1500,
+  currency: "PHP",
+  interval: "monthly",
+  isActive: true,
+  save: jest.fn(),
+  ...overrides,
+});
+
+const makeMandate = (overrides = {}) => ({
+  _id: MANDATE_ID,
+  customer: "customer123",
+  business: "business123",
+  plan: PLAN_ID,
+  maxAmount: 1500,
+  frequency: "monthly",
+  status: "active",
+  failedAttempts: 0,
+  save: jest.fn(),
+  cancel: jest.fn(function (canceledBy) {
+    this.status = "canceled";
+    this.canceledBy = canceledBy;
+  }),
+  ...overrides,
+});
+
+const withSession = (value) => ({ session: jest.fn().mockResolvedValue(value) });
+
+describe("Subscription Controller - Unit Tests", () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    Mandate.STATUSES = ["active", "past_due", "canceled"];
+
+    req = {
+      body: {},
+      params: {},
+      query: {},
+      user: { id: "business123" },
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+
+    next = jest.fn();
+  });
+
+  describe("createPlan", () => {
+    it("should create a plan for the business", async () => {
+      req.body = { name: " Transport pass ", amount: 1500, interval: "monthly" };
+      SubscriptionPlan.create.mockImplementation((data) => Promise.resolve(makePlan(data)));
+
+      await createPlan(req, res, next);
+
+      expect(SubscriptionPlan.create).toHaveBeenCalledWith({
+        business: "business123",
+        name: "Transport pass",
+        description: undefined,
+        amount: 1500,
+        interval: "monthly",
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json.mock.calls[0][0].data).toMatchObject({ name: "Transport pass", interval: "monthly" });
+    });
+  });
+
+  describe("deactivatePlan", () => {
+    it("should deactivate the business's own plan", async () => {
+      req.params.planId = PLAN_ID;
+      const plan = makePlan();
+      SubscriptionPlan.findOne.mockResolvedValue(plan);
+
+      await deactivatePlan(req, res, next);
+
+      expect(SubscriptionPlan.findOne).toHaveBeenCalledWith({ _id: PLAN_ID, business: "business123" });
+      expect(plan.isActive).toBe(false);
+      expect(plan.save).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("should return 404 for an invalid plan ID without querying", async () => {
+      req.params.planId = "not-an-id";
+
+      await deactivatePlan(req, res, next);
+
+      expect(SubscriptionPlan.findOne).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe("listBusinessMandates", () => {
+    it("should reject an unknown status filter", async () => {
+      req.query = { status: "paused" };
+
+      await listBusinessMandates(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Mandate.find).not.toHaveBeenCalled();
+    });
+
+    it("should filter by status and show the customer", async () => {
+      req.query = { status: "past_due" };
+      const chain = {
+        populate: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue([
+          makeMandate({
+            status: "past_due",
+            customer: { _id: "customer123", fullName: { firstName: "Ana", lastName: "Cruz" }, email: "ana@smu.edu.ph" },
+          }),
+        ]),
+      };
+      Mandate.countDocuments.mockResolvedValue(1);
+      Mandate.find.mockReturnValue(chain);
+
+      await listBusinessMandates(req, res, next);
+
+      expect(Mandate.find).toHaveBeenCalledWith({ business: "business123", status: "past_due" });
+      const body = res.json.mock.calls[0][0];
+      expect(body.count).toBe(1);
+      expect(body.data[0].customer).toEqual({ id: "customer123", name: "Ana Cruz", email: "ana@smu.edu.ph" });
+    });
+  });
+
+  describe("createMandate", () => {
+    const customer = { _id: "customer123", accountType: "personal" };
+    const business = { _id: "business123", businessInfo: { isVerified: true } };
+
+    beforeEach(() => {
+      req.user = { id: "customer123" };
+      req.body = { planId: PLAN_ID };
+      User.findById.mockImplementation((id) => withSession(id === "customer123" ? customer : business));
+      SubscriptionPlan.findById.mockReturnValue(withSession(makePlan()));
+      Mandate.exists.mockReturnValue(withSession(null));
+      Mandate.mockImplementation((data) => makeMandate({ ...data, status: "active" }));
+    });
+
+    it("should charge the first period and schedule the next one", async () => {
+      chargeMandate.mockResolvedValue({
+        transaction: { reference: "TXN-1", amount: 1500, status: "completed", createdAt: new Date() },
+      });
+
+      await createMandate(req, res, next);
+
+      expect(Mandate).toHaveBeenCalledWith(expect.objectContaining({
+        customer: "customer123",
+        business: "business123",
+        plan: PLAN_ID,
+        maxAmount: 1500,
+        frequency: "monthly",
+        anchorDay: expect.any(Number),
+      }));
+      const mandate = Mandate.mock.results[0].value;
+      expect(chargeMandate).toHaveBeenCalledWith(mandate, mockSession, expect.objectContaining({ customer, business }));
+      expect(mandate.save).toHaveBeenCalledWith({ session: mockSession });
+      expect(mandate.nextChargeAt.getTime()).toBeGreaterThan(mandate.lastChargedAt.getTime());
+      expect(enqueueEvent).toHaveBeenCalledWith(
+        "business123",
+        "payment.completed",
+        expect.objectContaining({ mandateId: MANDATE_ID }),
+        mockSession
+      );
+      expect(mockSession.commitTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("should reject business accounts", async () => {
+      User.findById.mockReturnValue(withSession({ _id: "customer123", accountType: "business" }));
+
+      await createMandate(req, res, next);
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it("should reject a second subscription to the same plan", async () => {
+      Mandate.exists.mockReturnValue(withSession({ _id: MANDATE_ID }));
+
+      await createMandate(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(chargeMandate).not.toHaveBeenCalled();
+    });
+
+    it("should reject a maximum amount below the plan amount", async () => {
+      req.body.maxAmount = 1000;
+
+      await createMandate(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].message).toMatch(/at least the plan amount/);
+    });
+
+    it("should not create the mandate if the first charge fails", async () => {
+      chargeMandate.mockResolvedValue({
+        error: { status: 400, code: "INSUFFICIENT_FUNDS", message: "Insufficient balance" },
+      });
+
+      await createMandate(req, res, next);
+
+      expect(Mandate.mock.results[0].value.save).not.toHaveBeenCalled();
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: "Insufficient balance" });
+    });
+  });
+
+  describe("cancelMyMandate", () => {
+    beforeEach(() => {
+      req.user = { id: "customer123" };
+      req.params.mandateId = MANDATE_ID;
+    });
+
+    it("should cancel the mandate and notify the business", async () => {
+      const mandate = makeMandate();
+      Mandate.findOne.mockResolvedValue(mandate);
+
+      await cancelMyMandate(req, res, next);
+
+      expect(Mandate.findOne).toHaveBeenCalledWith({ _id: MANDATE_ID, customer: "customer123" });
+      expect(mandate.cancel).toHaveBeenCalledWith("customer");
+      expect(mandate.save).toHaveBeenCalled();
+      expect(enqueueEvent).toHaveBeenCalledWith(
+        "business123",
+        "mandate.canceled",
+        expect.objectContaining({ mandateId: MANDATE_ID, status: "canceled", canceledBy: "customer" })
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("should reject an already canceled mandate", async () => {
+      Mandate.findOne.mockResolvedValue(makeMandate({ status: "canceled" }));
+
+      await cancelMyMandate(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(enqueueEvent).not.toHaveBeenCalled();
+    });
+
+    it("should not find another customer's mandate", async () => {
+      Mandate.findOne.mockResolvedValue(null);
+
+      await cancelMyMandate(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
@@ -10,10 +10,23 @@ jest.mock('uuid', () => ({
 
 jest.mock('../../../models/user.model');
 jest.mock('../../../models/transaction.model');
+jest.mock('../../../models/bank.model');
+jest.mock('../../../utils/recipients');
+jest.mock('../../../utils/ledger', () => ({
+    ...jest.requireActual('../../../utils/ledger'),
+    recordTransfer: jest.fn(),
+    recordTransferWithFee: jest.fn(),
+    reconcileLedger: jest.fn(),
+}));
+jest.mock('../../../utils/fees', () => ({
+    ...jest.requireActual('../../../utils/fees'),
+    calculateFee: jest.fn(),
+    collectFee: jest.fn(),
+}));
 
 const mongoose = require('mongoose');
 
-// Mock mongoose session and Decimal128
+// Mock mongoose session
 const mockSession = {
     startTransaction: jest.fn(),
     commitTransaction: jest.fn(),
@@ -21,19 +34,50 @@ const mockSession = {
     endSession: jest.fn(),
 };
 
-const originalStartSession = mongoose.startSession;
 mongoose.startSession = jest.fn(() => Promise.resolve(mockSession));
 
-const originalDecimal128 = mongoose.Types.Decimal128;
-mongoose.Types.Decimal128.fromString = jest.fn((val) => val);
-
-const { transferFunds, getUserTransactions } = require('../../../controllers/transaction.controller');
+const {
+    transferFunds,
+    depositFunds,
+    withdrawFunds,
+    getUserTransactions,
+} = require('../../../controllers/transaction.controller');
 const User = require('../../../models/user.model');
 const Transaction = require('../../../models/transaction.model');
+const Bank = require('../../../models/bank.model');
+const { findRecipient } = require('../../../utils/recipients');
+const { recordTransfer, recordTransferWithFee, walletAccount, BANK_RESERVE } = require('../../../utils/ledger');
+const { calculateFee, collectFee } = require('../../../utils/fees');
+const { toCents } = require('../../../utils/money');
+
+const makeUser = (id, balance, accountType = 'personal') => ({
+    _id: id,
+    accountType,
+    wallet: { balance, heldBalance: 0 },
+    save: jest.fn(),
+});
+
+const withSession = (value) => ({
+    session: jest.fn().mockResolvedValue(value),
+});
 
 describe('Transaction Controller - Unit Tests', () => {
+    let req, res, next;
+
+    beforeEach(() => {
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn(),
+        };
+        next = jest.fn();
+        jest.clearAllMocks();
+
+        Transaction.mockImplementation((data) => ({ ...data, save: jest.fn() }));
+        calculateFee.mockResolvedValue({ feeCents: 0, schedule: null });
+    });
+
     describe('transferFunds', () => {
-        let req, res, next;
+        let fromUser, toUser;
 
         beforeEach(() => {
             req = {
@@ -45,80 +89,37 @@ describe('Transaction Controller - Unit Tests', () => {
                     amount: 100,
                 },
             };
-            res = {
-                status: jest.fn().mockReturnThis(),
-                json: jest.fn(),
-            };
-            next = jest.fn();
-            jest.clearAllMocks();
-        });
-
-        let fromBalanceValue;
-let toBalanceValue;
-
-// Mutating mocks share variables for all tests.
-const fromUser = {
-    _id: 'user1_id',
-    wallet: {
-        get balance() { return { toString: () => fromBalanceValue }; },
-        set balance(val) { fromBalanceValue = (val && typeof val.toString === 'function') ? val.toString() : String(val); }
-    },
-    save: jest.fn()
-};
-const toUser = {
-    _id: 'user2_id',
-    wallet: {
-        get balance() { return { toString: () => toBalanceValue }; },
-        set balance(val) { toBalanceValue = (val && typeof val.toString === 'function') ? val.toString() : String(val); }
-    },
-    save: jest.fn()
-};
-
-test('should transfer funds successfully', async () => {
-            fromBalanceValue = '500';
-            toBalanceValue = '200';
-    _id: 'user1_id',
-    wallet: {
-        get balance() { return { toString: () => fromBalanceValue }; },
-        set balance(val) { fromBalanceValue = (val && typeof val.toString === 'function') ? val.toString() : String(val); }
-    },
-    save: jest.fn(),
-};
-const toUser = {
-    _id: 'user2_id',
-    wallet: {
-        get balance() { return { toString: () => toBalanceValue }; },
-        set balance(val) { toBalanceValue = val.toString(); }
-    },
-    save: jest.fn(),
-};
+            fromUser = makeUser('user1_id', 500);
+            toUser = makeUser('user2_id', 200);
 
-            User.findById.mockImplementation((id) => {
-                return {
-                    session: jest.fn().mockImplementation(async (sessionArg) => {
-                        if (id === 'user1_id') return fromUser;
-                        if (id === 'user2_id') return toUser;
-                        return null;
-                    })
-                };
-            });
-
-            const mockTransactionSave = jest.fn();
-            Transaction.mockImplementation(() => ({
-                save: mockTransactionSave,
-            }));
+            User.findById.mockReturnValue(withSession(fromUser));
+            findRecipient.mockResolvedValue(toUser);
+        });
 
+        test('should transfer funds successfully', async () => {
             await transferFunds(req, res, next);
 
             expect(mongoose.startSession).toHaveBeenCalled();
             expect(mockSession.startTransaction).toHaveBeenCalled();
-            
-            expect(fromUser.wallet.balance.toString()).toBe('400');
-            expect(toUser.wallet.balance.toString()).toBe('300');
+            expect(findRecipient).toHaveBeenCalledWith('user2_id', mockSession);
+
+            expect(toCents(fromUser.wallet.balance)).toBe(40000);
+            expect(toCents(toUser.wallet.balance)).toBe(30000);
 
             expect(fromUser.save).toHaveBeenCalledWith({ session: mockSession });
             expect(toUser.save).toHaveBeenCalledWith({ session: mockSession });
-            expect(mockTransactionSave).toHaveBeenCalledWith({ session: mockSession });
+
+            const transaction = Transaction.mock.results[0].value;
+            expect(transaction.save).toHaveBeenCalledWith({ session: mockSession });
+            expect(recordTransferWithFee).toHaveBeenCalledWith({
+                from: walletAccount('user1_id'),
+                to: walletAccount('user2_id'),
+                amount: 100,
+                fee: 0,
+                feePaidBy: 'sender',
+                transaction,
+                session: mockSession,
+            });
 
             expect(mockSession.commitTransaction).toHaveBeenCalled();
             expect(mockSession.endSession).toHaveBeenCalled();
@@ -131,9 +132,7 @@ const toUser = {
         });
 
         test('should return 404 if sender not found', async () => {
-            User.findById.mockImplementation(() => ({
-                session: jest.fn().mockResolvedValue(null),
-            }));
+            User.findById.mockReturnValue(withSession(null));
 
             await transferFunds(req, res, next);
 
@@ -147,17 +146,7 @@ const toUser = {
         });
 
         test('should return 404 if recipient not found', async () => {
-            const fromUser = {
-                _id: 'user1_id',
-                wallet: { balance: { toString: () => '500' } },
-                save: jest.fn(),
-            };
-
-            User.findById.mockImplementation((id) => ({
-                session: jest.fn().mockResolvedValue(
-                    id === 'user1_id' ? fromUser : null
-                ),
-            }));
+            findRecipient.mockResolvedValue(null);
 
             await transferFunds(req, res, next);
 
@@ -166,31 +155,31 @@ const toUser = {
             expect(res.status).toHaveBeenCalledWith(404);
         });
 
-        test('should return 400 if insufficient funds', async () => {
-            fromBalanceValue = '50';
-toBalanceValue = '200';
-const fromUser = {
-    _id: 'user1_id',
-    wallet: {
-        get balance() { return { toString: () => fromBalanceValue }; },
-        set balance(val) { fromBalanceValue = (val && typeof val.toString === 'function') ? val.toString() : String(val); }
-    },
-    save: jest.fn(),
-};
-const toUser = {
-    _id: 'user2_id',
-    wallet: {
-        get balance() { return { toString: () => toBalanceValue }; },
-        set balance(val) { toBalanceValue = val.toString(); }
-    },
-    save: jest.fn(),
-};
+        test('should return 400 when transferring to the same account', async () => {
+            findRecipient.mockResolvedValue(fromUser);
 
-            User.findById.mockImplementation((id) => ({
-                session: jest.fn().mockResolvedValue(
-                    id === 'user1_id' ? fromUser : toUser
-                ),
-            }));
+            await transferFunds(req, res, next);
+
+            expect(mockSession.abortTransaction).toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({
+                success: false,
+                message: 'Cannot transfer to the same account',
+            });
+        });
+
+        test('should return 400 for a transfer between personal and business accounts', async () => {
+            findRecipient.mockResolvedValue(makeUser('user2_id', 200, 'business'));
+
+            await transferFunds(req, res, next);
+
+            expect(mockSession.abortTransaction).toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(Transaction).not.toHaveBeenCalled();
+        });
+
+        test('should return 400 if insufficient funds', async () => {
+            fromUser.wallet.balance = 50;
 
             await transferFunds(req, res, next);
 
@@ -201,45 +190,17 @@ const toUser = {
                 success: false,
                 message: 'Insufficient funds',
             });
+            expect(fromUser.save).not.toHaveBeenCalled();
+            expect(recordTransferWithFee).not.toHaveBeenCalled();
         });
 
         test('should handle exact balance transfer', async () => {
             req.body.amount = 500;
 
-            fromBalanceValue = '500';
-toBalanceValue = '200';
-const fromUser = {
-    _id: 'user1_id',
-    wallet: {
-        get balance() { return { toString: () => fromBalanceValue }; },
-        set balance(val) { fromBalanceValue = (val && typeof val.toString === 'function') ? val.toString() : String(val); }
-    },
-    save: jest.fn(),
-};
-const toUser = {
-    _id: 'user2_id',
-    wallet: {
-        get balance() { return { toString: () => toBalanceValue }; },
-        set balance(val) { toBalanceValue = val.toString(); }
-    },
-    save: jest.fn(),
-};
-
-            User.findById.mockImplementation((id) => ({
-                session: jest.fn().mockResolvedValue(
-                    id === 'user1_id' ? fromUser : toUser
-                ),
-            }));
-
-            const mockTransactionSave = jest.fn();
-            Transaction.mockImplementation(() => ({
-                save: mockTransactionSave,
-            }));
-
             await transferFunds(req, res, next);
 
-            expect(fromUser.wallet.balance.toString()).toBe('0');
-            expect(toUser.wallet.balance.toString()).toBe('700');
+            expect(toCents(fromUser.wallet.balance)).toBe(0);
+            expect(toCents(toUser.wallet.balance)).toBe(70000);
             expect(res.status).toHaveBeenCalledWith(200);
         });
 
@@ -257,84 +218,201 @@ const toUser = {
         });
 
         test('should abort transaction on save error', async () => {
-            fromBalanceValue = '500';
-toBalanceValue = '200';
-const fromUser = {
-    _id: 'user1_id',
-    wallet: {
-        get balance() { return { toString: () => fromBalanceValue }; },
-        set balance(val) { fromBalanceValue = (val && typeof val.toString === 'function') ? val.toString() : String(val); }
-    },
-    save: jest.fn().mockRejectedValue(new Error('Save failed')),
-};
-const toUser = {
-    _id: 'user2_id',
-    wallet: {
-        get balance() { return { toString: () => toBalanceValue }; },
-        set balance(val) { toBalanceValue = val.toString(); }
-    },
-    save: jest.fn(),
-};
-
-            User.findById.mockImplementation((id) => ({
-                session: jest.fn().mockResolvedValue(
-                    id === 'user1_id' ? fromUser : toUser
-                ),
-            }));
+            fromUser.save.mockRejectedValue(new Error('Save failed'));
 
             await transferFunds(req, res, next);
 
             expect(mockSession.abortTransaction).toHaveBeenCalled();
             expect(mockSession.endSession).toHaveBeenCalled();
+            expect(mockSession.commitTransaction).not.toHaveBeenCalled();
             expect(next).toHaveBeenCalledWith(expect.any(Error));
         });
 
         test('should create transaction with correct data', async () => {
-            fromBalanceValue = '500';
-toBalanceValue = '200';
-const fromUser = {
-    _id: 'user1_id',
-    wallet: {
-        get balance() { return { toString: () => fromBalanceValue }; },
-        set balance(val) { fromBalanceValue = (val && typeof val.toString === 'function') ? val.toString() : String(val); }
-    },
-    save: jest.fn(),
-};
-const toUser = {
-    _id: 'user2_id',
-    wallet: {
-        get balance() { return { toString: () => toBalanceValue }; },
-        set balance(val) { toBalanceValue = val.toString(); }
-    },
-    save: jest.fn(),
-};
-
-            User.findById.mockImplementation((id) => ({
-                session: jest.fn().mockResolvedValue(
-                    id === 'user1_id' ? fromUser : toUser
-                ),
-            }));
-
-            let transactionData;
-            Transaction.mockImplementation((data) => {
-                transactionData = data;
-                return {
-                    save: jest.fn(),
-                };
-            });
-
             await transferFunds(req, res, next);
 
-            expect(transactionData).toMatchObject({
+            expect(Transaction).toHaveBeenCalledWith(expect.objectContaining({
                 type: 'transfer',
                 from: 'user1_id',
                 to: 'user2_id',
                 amount: 100,
+                transactionCategory: 'C2C',
                 fromBalanceBefore: 500,
                 fromBalanceAfter: 400,
                 toBalanceBefore: 200,
                 toBalanceAfter: 300,
+            }));
+        });
+    });
+
+    describe('depositFunds', () => {
+        let user, bank;
+
+        beforeEach(() => {
+            req = {
+                user: { id: 'user1_id' },
+                body: { amount: 250.5 },
+            };
+            user = makeUser('user1_id', 100);
+            bank = { bankBalance: 1000000, updateBalance: jest.fn() };
+
+            User.findById.mockReturnValue(withSession(user));
+            Bank.getOrCreateBank.mockResolvedValue(bank);
+        });
+
+        test('should credit the wallet and post the deposit from the bank reserve', async () => {
+            await depositFunds(req, res, next);
+
+            expect(toCents(user.wallet.balance)).toBe(35050);
+            expect(user.save).toHaveBeenCalledWith({ session: mockSession });
+            expect(bank.updateBalance).toHaveBeenCalledWith(-250.5, 'deposit', mockSession);
+
+            const transaction = Transaction.mock.results[0].value;
+            expect(transaction).toMatchObject({
+                type: 'deposit',
+                user: 'user1_id',
+                amount: 250.5,
+                balanceBefore: 100,
+                balanceAfter: 350.5,
+            });
+            expect(transaction.save).toHaveBeenCalledWith({ session: mockSession });
+            expect(recordTransfer).toHaveBeenCalledWith({
+                from: BANK_RESERVE,
+                to: walletAccount('user1_id'),
+                amount: 250.5,
+                transaction,
+                session: mockSession,
+            });
+
+            expect(mockSession.commitTransaction).toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                success: true,
+                message: 'Funds deposited successfully',
+            }));
+        });
+
+        test('should return 404 if user not found', async () => {
+            User.findById.mockReturnValue(withSession(null));
+
+            await depositFunds(req, res, next);
+
+            expect(mockSession.abortTransaction).toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(recordTransfer).not.toHaveBeenCalled();
+        });
+
+        test('should return 400 if the bank has insufficient funds', async () => {
+            bank.bankBalance = 100;
+
+            await depositFunds(req, res, next);
+
+            expect(mockSession.abortTransaction).toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({
+                success: false,
+                message: 'Bank has insufficient funds',
+            });
+            expect(user.save).not.toHaveBeenCalled();
+            expect(recordTransfer).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('withdrawFunds', () => {
+        let user, bank;
+
+        beforeEach(() => {
+            req = {
+                user: { id: 'user1_id' },
+                body: { amount: 500 },
+            };
+            user = makeUser('user1_id', 1000);
+            bank = { bankBalance: 1000000, updateBalance: jest.fn() };
+
+            User.findById.mockReturnValue(withSession(user));
+            Bank.getOrCreateBank.mockResolvedValue(bank);
+            calculateFee.mockResolvedValue({ feeCents: 1500, schedule: { _id: 'schedule123' } });
+        });
+
+        test('should debit the amount and fee and post the withdrawal to the bank reserve', async () => {
+            await withdrawFunds(req, res, next);
+
+            expect(calculateFee).toHaveBeenCalledWith(expect.objectContaining({
+                transactionType: 'withdraw',
+                amount: 500,
+                session: mockSession,
+            }));
+            expect(toCents(user.wallet.balance)).toBe(48500);
+            expect(user.save).toHaveBeenCalledWith({ session: mockSession });
+            expect(bank.updateBalance).toHaveBeenCalledWith(500, 'withdrawal', mockSession);
+            expect(collectFee).toHaveBeenCalledWith(1500, mockSession);
+
+            const transaction = Transaction.mock.results[0].value;
+            expect(transaction).toMatchObject({
+                type: 'withdraw',
+                user: 'user1_id',
+                amount: 500,
+                fee: 15,
+                feeSchedule: 'schedule123',
+                balanceBefore: 1000,
+                balanceAfter: 485,
             });
+            expect(transaction.save).toHaveBeenCalledWith({ session: mockSession });
+            expect(recordTransferWithFee).toHaveBeenCalledWith({
+                from: walletAccount('user1_id'),
+                to: BANK_RESERVE,
+                amount: 500,
+                fee: 15,
+                feePaidBy: 'sender',
+                transaction,
+                session: mockSession,
+            });
+
+            expect(mockSession.commitTransaction).toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                success: true,
+                message: 'Funds withdrawn successfully',
+            }));
+        });
+
+        test('should return 400 if the balance covers the amount but not the fee', async () => {
+            req.body.amount = 990;
+
+            await withdrawFunds(req, res, next);
+
+            expect(mockSession.abortTransaction).toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({
+                success: false,
+                message: 'Insufficient funds to cover the amount and fee',
+            });
+            expect(user.save).not.toHaveBeenCalled();
+            expect(collectFee).not.toHaveBeenCalled();
+            expect(recordTransferWithFee).not.toHaveBeenCalled();
+        });
+
+        test('should not withdraw held funds', async () => {
+            calculateFee.mockResolvedValue({ feeCents: 0, schedule: null });
+            user.wallet.heldBalance = 600;
+
+            await withdrawFunds(req, res, next);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({
+                success: false,
+                message: 'Insufficient funds',
+            });
+        });
+
+        test('should return 404 if user not found', async () => {
+            User.findById.mockReturnValue(withSession(null));
+
+            await withdrawFunds(req, res, next);
+
+            expect(mockSession.abortTransaction).toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(recordTransferWithFee).not.toHaveBeenCalled();
         });
     });
 
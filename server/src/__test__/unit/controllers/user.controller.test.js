@@ -8,6 +8,7 @@ const {
   register,
   login,
   getProfile,
+  updateHandle,
   getAllUsers,
   createUser,
   getUserById,
@@ -308,6 +309,52 @@ describe('User Controller - Unit Tests', () => {
     });
   });
 
+  describe('updateHandle', () => {
+    test('should set a lowercase handle without the leading @', async () => {
+      req.user = { id: 'user123' };
+      req.body = { handle: '@Juan_Cruz' };
+      const mockUser = { _id: 'user123', save: jest.fn() };
+      User.findById.mockResolvedValue(mockUser);
+      User.findOne.mockResolvedValue(null);
+
+      await updateHandle(req, res, next);
+
+      expect(User.findOne).toHaveBeenCalledWith({ handle: 'juan_cruz', _id: { $ne: 'user123' } });
+      expect(mockUser.handle).toBe('juan_cruz');
+      expect(mockUser.save).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test('should reject a handle taken by another user', async () => {
+      req.user = { id: 'user123' };
+      req.body = { handle: 'juan_cruz' };
+      const mockUser = { _id: 'user123', save: jest.fn() };
+      User.findById.mockResolvedValue(mockUser);
+      User.findOne.mockResolvedValue({ _id: 'user456' });
+
+      await updateHandle(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(mockUser.save).not.toHaveBeenCalled();
+    });
+
+    test('should remove the handle', async () => {
+      req.user = { id: 'user123' };
+      req.body = { handle: null };
+      const mockUser = { _id: 'user123', handle: 'juan_cruz', save: jest.fn() };
+      User.findById.mockResolvedValue(mockUser);
+
+      await updateHandle(req, res, next);
+
+      expect(mockUser.handle).toBeUndefined();
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Handle removed successfully',
+        data: { handle: null },
+      });
+    });
+  });
+
   describe('getAllUsers', () => {
     test('should return all users', async () => {
       const mockUsers = [
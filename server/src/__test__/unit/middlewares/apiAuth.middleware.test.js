@@ -6,9 +6,11 @@
 
 const { apiAuth, requirePermission, checkTransactionLimit } = require("../../../middlewares/apiAuth.middleware");
 const APIKey = require("../../../models/apiKey.model");
+const APIRateLimit = require("../../../models/apiRateLimit.model");
 
-// Mock the APIKey model
+// Mock the APIKey and rate limit models
 jest.mock("../../../models/apiKey.model");
+jest.mock("../../../models/apiRateLimit.model");
 
 describe("API Auth Middleware - Unit Tests", () => {
   let mockReq;
@@ -25,11 +27,20 @@ describe("API Auth Middleware - Unit Tests", () => {
     mockRes = {
       status: jest.fn().mockReturnThis(),
       json: jest.fn().mockReturnThis(),
+      set: jest.fn().mockReturnThis(),
     };
 
     mockNext = jest.fn();
 
     jest.clearAllMocks();
+    APIRateLimit.WINDOW_MS = 60000;
+    APIRateLimit.consume.mockResolvedValue({
+      allowed: true,
+      limit: 60,
+      remaining: 59,
+      resetSeconds: 30,
+      retryAfterSeconds: 0,
+    });
   });
 
   describe("apiAuth", () => {
@@ -158,6 +169,126 @@ describe("API Auth Middleware - Unit Tests", () => {
           message: "API rate limit exceeded. Please try again later.",
         },
       });
+      expect(mockRes.set).toHaveBeenCalledWith("Retry-After", expect.any(String));
+      expect(APIRateLimit.consume).not.toHaveBeenCalled();
+    });
+
+    test("should return 429 with Retry-After when per-minute limit exceeded", async () => {
+      mockReq.headers["x-api-key"] = "scb_live_valid123";
+
+      const mockKeyDoc = {
+        _id: "key123",
+        business: {
+          businessInfo: {
+            isVerified: true,
+          },
+        },
+        rateLimit: { requestsPerMinute: 2 },
+        isIPAllowed: jest.fn().mockReturnValue(true),
+        checkRateLimit: jest.fn().mockReturnValue(true),
+        recordUsage: jest.fn(),
+        save: jest.fn(),
+      };
+
+      APIKey.findByKey.mockResolvedValue(mockKeyDoc);
+      APIRateLimit.consume.mockResolvedValue({
+        allowed: false,
+        limit: 2,
+        remaining: 0,
+        resetSeconds: 40,
+        retryAfterSeconds: 12,
+      });
+
+      await apiAuth(mockReq, mockRes, mockNext);
+
+      expect(APIRateLimit.consume).toHaveBeenCalledWith("key123", 2);
+      expect(mockRes.status).toHaveBeenCalledWith(429);
+      expect(mockRes.set).toHaveBeenCalledWith(
+        expect.objectContaining({
+          "RateLimit-Limit": "2",
+          "RateLimit-Remaining": "0",
+          "RateLimit-Reset": "40",
+        })
+      );
+      expect(mockRes.set).toHaveBeenCalledWith("Retry-After", "12");
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: {
+          code: "RATE_LIMIT_EXCEEDED",
+          message: "API rate limit of 2 requests per minute exceeded. Retry after 12 seconds.",
+        },
+      });
+      expect(mockKeyDoc.recordUsage).not.toHaveBeenCalled();
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    describe("request signing", () => {
+      const { computeRequestSignature } = require("../../../utils/requestSigning");
+
+      const signedKeyDoc = () => ({
+        _id: "key123",
+        business: { _id: "business123", businessInfo: { isVerified: true } },
+        rateLimit: { requestsPerMinute: 60 },
+        requestSigning: { enabled: true, secret: "scbsig_secret" },
+        isIPAllowed: jest.fn().mockReturnValue(true),
+        checkRateLimit: jest.fn().mockReturnValue(true),
+        recordUsage: jest.fn(),
+        save: jest.fn().mockResolvedValue(true),
+      });
+
+      beforeEach(() => {
+        mockReq.headers["x-api-key"] = "scb_live_valid123";
+        mockReq.method = "POST";
+        mockReq.originalUrl = "/api/v1/public/transactions/charge";
+        mockReq.rawBody = '{"amount":100}';
+      });
+
+      test("should accept a correctly signed request", async () => {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        mockReq.headers["x-timestamp"] = timestamp;
+        mockReq.headers["x-signature"] = computeRequestSignature("scbsig_secret", {
+          method: "POST",
+          path: "/api/v1/public/transactions/charge",
+          timestamp,
+          body: '{"amount":100}',
+        });
+        APIKey.findByKey.mockResolvedValue(signedKeyDoc());
+
+        await apiAuth(mockReq, mockRes, mockNext);
+
+        expect(mockNext).toHaveBeenCalled();
+      });
+
+      test("should return 401 when signature headers are missing", async () => {
+        APIKey.findByKey.mockResolvedValue(signedKeyDoc());
+
+        await apiAuth(mockReq, mockRes, mockNext);
+
+        expect(mockRes.status).toHaveBeenCalledWith(401);
+        expect(mockRes.json).toHaveBeenCalledWith({
+          success: false,
+          error: expect.objectContaining({ code: "MISSING_SIGNATURE" }),
+        });
+        expect(mockNext).not.toHaveBeenCalled();
+      });
+
+      test("should return 401 for a replayed (stale) request", async () => {
+        const timestamp = String(Math.floor(Date.now() / 1000) - 3600);
+        mockReq.headers["x-timestamp"] = timestamp;
+        mockReq.headers["x-signature"] = computeRequestSignature("scbsig_secret", {
+          method: "POST",
+          path: "/api/v1/public/transactions/charge",
+          timestamp,
+          body: '{"amount":100}',
+        });
+        APIKey.findByKey.mockResolvedValue(signedKeyDoc());
+
+        await apiAuth(mockReq, mockRes, mockNext);
+
+        expect(mockRes.status).toHaveBeenCalledWith(401);
+        expect(mockRes.json.mock.calls[0][0].error.code).toBe("SIGNATURE_EXPIRED");
+        expect(APIRateLimit.consume).not.toHaveBeenCalled();
+      });
     });
 
     test("should authenticate valid API key and call next", async () => {
@@ -173,6 +304,7 @@ describe("API Auth Middleware - Unit Tests", () => {
       const mockKeyDoc = {
         _id: "key123",
         business: mockBusiness,
+        rateLimit: { requestsPerMinute: 60 },
         isIPAllowed: jest.fn().mockReturnValue(true),
         checkRateLimit: jest.fn().mockReturnValue(true),
         recordUsage: jest.fn(),
@@ -183,6 +315,10 @@ describe("API Auth Middleware - Unit Tests", () => {
 
       await apiAuth(mockReq, mockRes, mockNext);
 
+      expect(mockRes.set).toHaveBeenCalledWith(
+        expect.objectContaining({ "RateLimit-Limit": "60", "RateLimit-Remaining": "59" })
+      );
+
       expect(mockKeyDoc.recordUsage).toHaveBeenCalled();
       expect(mockKeyDoc.save).toHaveBeenCalled();
       expect(mockReq.apiKey).toBe(mockKeyDoc);
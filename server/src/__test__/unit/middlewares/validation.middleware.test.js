@@ -893,6 +893,24 @@ describe('Validation Middleware - Unit Tests', () => {
 
       expect(mockRes.status).toHaveBeenCalledWith(400);
     });
+
+    test('should reject amounts with more than 2 decimal places', () => {
+      mockReq.user = { id: 'user1_id' };
+      mockReq.body = {
+        to: 'user2_id',
+        amount: 10.005,
+      };
+
+      const { validateTransaction } = require('../../../middlewares/validation.middleware');
+      validateTransaction(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Amount cannot have more than 2 decimal places',
+      });
+      expect(mockNext).not.toHaveBeenCalled();
+    });
   });
 
   describe('validateTransaction - Edge Cases', () => {
@@ -949,4 +967,459 @@ describe('Validation Middleware - Unit Tests', () => {
       expect(mockRes.status).not.toHaveBeenCalled();
     });
   });
+
+  describe('validateCheckoutSession', () => {
+    const { validateCheckoutSession } = require('../../../middlewares/validation.middleware');
+
+    test('should pass a valid checkout session', () => {
+      mockReq.body = {
+        amount: 150,
+        description: 'Order #1',
+        returnUrl: 'https://shop.example.com/done',
+      };
+
+      validateCheckoutSession(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+      expect(mockRes.status).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid amounts like card charges', () => {
+      mockReq.body = { amount: 10.001, returnUrl: 'https://shop.example.com/done' };
+
+      validateCheckoutSession(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json.mock.calls[0][0].error.code).toBe('INVALID_AMOUNT');
+    });
+
+    test('should require a return URL', () => {
+      mockReq.body = { amount: 150 };
+
+      validateCheckoutSession(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json.mock.calls[0][0].error.code).toBe('MISSING_RETURN_URL');
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateSubscriptionPlan', () => {
+    const { validateSubscriptionPlan } = require('../../../middlewares/validation.middleware');
+
+    test('should pass a valid plan', () => {
+      mockReq.body = { name: 'Transport pass', amount: 1500, interval: 'monthly' };
+
+      validateSubscriptionPlan(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    test('should reject an unknown interval', () => {
+      mockReq.body = { name: 'Transport pass', amount: 1500, interval: 'daily' };
+
+      validateSubscriptionPlan(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json.mock.calls[0][0].message).toBe('Interval must be one of: weekly, monthly, yearly');
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateMandate', () => {
+    const { validateMandate } = require('../../../middlewares/validation.middleware');
+
+    test('should require a plan ID', () => {
+      mockReq.body = { maxAmount: 2000 };
+
+      validateMandate(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    test('should reject a maximum amount with more than 2 decimal places', () => {
+      mockReq.body = { planId: '64b000000000000000000001', maxAmount: 10.001 };
+
+      validateMandate(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json.mock.calls[0][0].message).toBe('Maximum amount cannot have more than 2 decimal places');
+    });
+  });
+
+  describe('validateFeeSchedule', () => {
+    const { validateFeeSchedule } = require('../../../middlewares/validation.middleware');
+
+    test('should pass a new schedule with a zero fixed amount', () => {
+      mockReq.method = 'POST';
+      mockReq.body = { name: 'Food merchants', transactionType: 'payment', businessType: 'food', percentage: 1.5, fixedAmount: 0 };
+
+      validateFeeSchedule(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    test('should reject a percentage above 100', () => {
+      mockReq.method = 'POST';
+      mockReq.body = { name: 'Transfers', transactionType: 'transfer', percentage: 150 };
+
+      validateFeeSchedule(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json.mock.calls[0][0].message).toBe('Percentage must be a number between 0 and 100');
+    });
+
+    test('should not let an update change what the schedule applies to', () => {
+      mockReq.method = 'PATCH';
+      mockReq.body = { transactionCategory: 'B2B' };
+
+      validateFeeSchedule(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateDispute', () => {
+    const { validateDispute } = require('../../../middlewares/validation.middleware');
+
+    test('should pass a dispute without an amount', () => {
+      mockReq.body = { transactionId: 'payment-ref-1234', reason: 'not_received' };
+
+      validateDispute(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    test('should reject an unknown reason', () => {
+      mockReq.body = { transactionId: 'payment-ref-1234', reason: 'changed_my_mind' };
+
+      validateDispute(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateDisputeEvidence', () => {
+    const { validateDisputeEvidence } = require('../../../middlewares/validation.middleware');
+
+    test('should reject attachments that are not URLs', () => {
+      mockReq.body = { text: 'Signed delivery receipt', attachments: ['receipt.pdf'] };
+
+      validateDisputeEvidence(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json.mock.calls[0][0].message).toBe('Attachments must be http(s) URLs of at most 500 characters');
+    });
+  });
+
+  describe('validateDisputeResolution', () => {
+    const { validateDisputeResolution } = require('../../../middlewares/validation.middleware');
+
+    test('should require a reverse or close outcome', () => {
+      mockReq.body = { outcome: 'refund' };
+
+      validateDisputeResolution(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateInvoice', () => {
+    const { validateInvoice } = require('../../../middlewares/validation.middleware');
+
+    const validInvoice = () => ({
+      recipientEmail: 'juan@smu.edu.ph',
+      lineItems: [{ description: 'Catering', quantity: 20, unitPrice: 250 }],
+      taxRate: 12,
+      dueDate: '2099-12-31T00:00:00Z',
+    });
+
+    test('should pass a new invoice', () => {
+      mockReq.method = 'POST';
+      mockReq.body = validInvoice();
+
+      validateInvoice(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    test('should reject a line item with a fractional quantity', () => {
+      mockReq.method = 'POST';
+      mockReq.body = { ...validInvoice(), lineItems: [{ description: 'Catering', quantity: 1.5, unitPrice: 250 }] };
+
+      validateInvoice(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json.mock.calls[0][0].message).toBe('Quantity must be a whole number between 1 and 10000');
+    });
+
+    test('should reject a due date in the past', () => {
+      mockReq.method = 'POST';
+      mockReq.body = { ...validInvoice(), dueDate: '2020-01-01T00:00:00Z' };
+
+      validateInvoice(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    test('should only check the fields sent in an update', () => {
+      mockReq.method = 'PATCH';
+      mockReq.body = { notes: 'Net 30' };
+
+      validateInvoice(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+    });
+  });
+
+  describe('validateScheduledTransfer', () => {
+    const { validateScheduledTransfer } = require('../../../middlewares/validation.middleware');
+
+    const validSchedule = () => ({
+      to: '64b000000000000000000002',
+      amount: 5000,
+      frequency: 'monthly',
+      startDate: '2099-07-01T00:00:00Z',
+    });
+
+    test('should pass a new monthly transfer', () => {
+      mockReq.method = 'POST';
+      mockReq.body = validSchedule();
+
+      validateScheduledTransfer(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    test('should reject an unknown frequency', () => {
+      mockReq.method = 'POST';
+      mockReq.body = { ...validSchedule(), frequency: 'daily' };
+
+      validateScheduledTransfer(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json.mock.calls[0][0].message).toBe('Frequency must be one of: once, weekly, monthly');
+    });
+
+    test('should reject a start date in the past', () => {
+      mockReq.method = 'POST';
+      mockReq.body = { ...validSchedule(), startDate: '2020-01-01T00:00:00Z' };
+
+      validateScheduledTransfer(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    test('should let an edit remove the end date', () => {
+      mockReq.method = 'PATCH';
+      mockReq.body = { endDate: null };
+
+      validateScheduledTransfer(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+    });
+  });
+
+  describe('validateMoneyRequest', () => {
+    const { validateMoneyRequest } = require('../../../middlewares/validation.middleware');
+
+    test('should pass a request to two users', () => {
+      mockReq.user = { id: '64b000000000000000000001' };
+      mockReq.body = {
+        payers: [
+          { user: '64b000000000000000000002', amount: 150 },
+          { user: '64b000000000000000000003', amount: 200.5 },
+        ],
+        note: 'Pizza night',
+        expiresInDays: 3,
+      };
+
+      validateMoneyRequest(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    test('should reject a request to yourself', () => {
+      mockReq.user = { id: '64b000000000000000000001' };
+      mockReq.body = { payers: [{ user: '64b000000000000000000001', amount: 150 }] };
+
+      validateMoneyRequest(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json.mock.calls[0][0].message).toBe('Cannot request money from yourself');
+    });
+
+    test('should reject the same user twice', () => {
+      mockReq.body = {
+        payers: [
+          { user: '64b000000000000000000002', amount: 150 },
+          { user: '64b000000000000000000002', amount: 200 },
+        ],
+      };
+
+      validateMoneyRequest(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    test('should reject an expiry over 30 days', () => {
+      mockReq.body = { payers: [{ user: '64b000000000000000000002', amount: 150 }], expiresInDays: 60 };
+
+      validateMoneyRequest(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateHandle', () => {
+    const { validateHandle } = require('../../../middlewares/validation.middleware');
+
+    test('should pass a handle with a leading @', () => {
+      mockReq.body = { handle: '@Juan_Cruz' };
+
+      validateHandle(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    test('should reject a handle with spaces', () => {
+      mockReq.body = { handle: 'juan cruz' };
+
+      validateHandle(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validatePayeeOrder', () => {
+    const { validatePayeeOrder } = require('../../../middlewares/validation.middleware');
+
+    test('should reject the same payee twice', () => {
+      mockReq.body = { payeeIds: ['64b000000000000000000001', '64b000000000000000000001'] };
+
+      validatePayeeOrder(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateStatement', () => {
+    const { validateStatement } = require('../../../middlewares/validation.middleware');
+
+    test('should accept a month as a PDF', () => {
+      mockReq.query = { from: '2025-01-01', to: '2025-01-31', format: 'pdf' };
+
+      validateStatement(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    test('should reject a day that does not exist', () => {
+      mockReq.query = { from: '2025-02-01', to: '2025-02-30' };
+
+      validateStatement(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    test('should reject a period that ends before it starts', () => {
+      mockReq.query = { from: '2025-02-01', to: '2025-01-31' };
+
+      validateStatement(mockReq, mockRes, mockNext);
+
+      expect(mockRes.json).toHaveBeenCalledWith({ success: false, message: 'to cannot be before from' });
+    });
+
+    test('should reject a period longer than 366 days', () => {
+      mockReq.query = { from: '2024-01-01', to: '2025-01-01' };
+
+      validateStatement(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateSplitCharge', () => {
+    const { validateSplitCharge } = require('../../../middlewares/validation.middleware');
+
+    test('should pass splits that add up to the amount', () => {
+      mockReq.body = {
+        amount: 250.3,
+        splits: [
+          { businessId: 'stall1', amount: 150.1, description: 'Noodles' },
+          { businessId: 'stall2', amount: 100.2 },
+        ],
+      };
+
+      validateSplitCharge(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    test('should reject a charge with a single split', () => {
+      mockReq.body = { amount: 100, splits: [{ businessId: 'stall1', amount: 100 }] };
+
+      validateSplitCharge(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json.mock.calls[0][0].error.code).toBe('INVALID_SPLITS');
+    });
+
+    test('should reject the same business twice', () => {
+      mockReq.body = {
+        amount: 200,
+        splits: [
+          { businessId: 'stall1', amount: 100 },
+          { businessId: 'stall1', amount: 100 },
+        ],
+      };
+
+      validateSplitCharge(mockReq, mockRes, mockNext);
+
+      expect(mockRes.json.mock.calls[0][0].error.code).toBe('DUPLICATE_SPLIT_BUSINESS');
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    test('should reject the same business ID written in another case', () => {
+      mockReq.body = {
+        amount: 200,
+        splits: [
+          { businessId: '65a1b2c3d4e5f6a7b8c9d0e1', amount: 100 },
+          { businessId: '65A1B2C3D4E5F6A7B8C9D0E1', amount: 100 },
+        ],
+      };
+
+      validateSplitCharge(mockReq, mockRes, mockNext);
+
+      expect(mockRes.json.mock.calls[0][0].error.code).toBe('DUPLICATE_SPLIT_BUSINESS');
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    test('should reject splits that do not add up to the amount', () => {
+      mockReq.body = {
+        amount: 250,
+        splits: [
+          { businessId: 'stall1', amount: 150 },
+          { businessId: 'stall2', amount: 99.99 },
+        ],
+      };
+
+      validateSplitCharge(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json.mock.calls[0][0].error.code).toBe('SPLIT_AMOUNT_MISMATCH');
+    });
+  });
 });
@@ -0,0 +1,119 @@
+/**
+ * API KEY ROTATION UTILITY TESTS
+ * ==============================
+ * Unit tests for key rotation and expiry
+ */
+
+jest.mock("../../../models/apiKey.model", () => {
+  const APIKey = jest.fn(function (data) {
+    Object.assign(this, data, { _id: "newkey123" });
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  APIKey.find = jest.fn();
+  APIKey.findOneAndUpdate = jest.fn();
+  return APIKey;
+});
+
+jest.mock("../../../utils/webhooks", () => ({
+  enqueueEvent: jest.fn().mockResolvedValue([]),
+  dispatchDeliveries: jest.fn(),
+}));
+
+const APIKey = require("../../../models/apiKey.model");
+const { enqueueEvent } = require("../../../utils/webhooks");
+const { rotateAPIKey, revokeExpiredKeys } = require("../../../utils/apiKeyRotation");
+
+const HOUR = 60 * 60 * 1000;
+
+const mockOldKey = (overrides = {}) => ({
+  _id: "oldkey123",
+  business: "business1",
+  name: "Production Key",
+  permissions: ["charge", "refund"],
+  environment: "live",
+  allowedOrigins: ["https://shop.example.com"],
+  ipWhitelist: ["203.0.113.5"],
+  rateLimit: { requestsPerMinute: 120, requestsPerDay: 20000 },
+  usage: { dailyRequests: 40, lastResetDate: new Date() },
+  transactionLimits: {
+    maxAmountPerTransaction: 5000,
+    dailyTransactionLimit: 50000,
+    dailyTransactionTotal: 1200,
+  },
+  ...overrides,
+});
+
+describe("API Key Rotation Utilities", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("rotateAPIKey", () => {
+    test("should copy the old key's settings and set its expiry", async () => {
+      const oldKey = mockOldKey();
+      APIKey.findOneAndUpdate.mockImplementation((filter, update) =>
+        Promise.resolve({ ...oldKey, ...update.$set })
+      );
+
+      const before = Date.now();
+      const result = await rotateAPIKey(oldKey, { gracePeriodHours: 12, session: "session" });
+
+      expect(result.plainKey).toMatch(/^scb_live_/);
+      expect(result.apiKey).toEqual(
+        expect.objectContaining({
+          business: "business1",
+          name: "Production Key",
+          permissions: ["charge", "refund"],
+          allowedOrigins: ["https://shop.example.com"],
+          ipWhitelist: ["203.0.113.5"],
+          rateLimit: { requestsPerMinute: 120, requestsPerDay: 20000 },
+          rotatedFrom: "oldkey123",
+        })
+      );
+      expect(result.apiKey.transactionLimits.dailyTransactionTotal).toBe(1200);
+      expect(result.apiKey.save).toHaveBeenCalledWith({ session: "session" });
+
+      const [filter, update, options] = APIKey.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: "oldkey123", isActive: true, rotatedTo: null });
+      expect(update.$set.rotatedTo).toBe("newkey123");
+      expect(update.$set.expiresAt.getTime()).toBeGreaterThanOrEqual(before + 12 * HOUR);
+      expect(options).toEqual({ new: true, session: "session" });
+    });
+
+    test("should keep an earlier existing expiry", async () => {
+      const expiresAt = new Date(Date.now() + HOUR);
+      APIKey.findOneAndUpdate.mockResolvedValue({});
+
+      await rotateAPIKey(mockOldKey({ expiresAt }), { gracePeriodHours: 24 });
+
+      expect(APIKey.findOneAndUpdate.mock.calls[0][1].$set.expiresAt).toBe(expiresAt);
+    });
+
+    test("should return null if the key was rotated concurrently", async () => {
+      APIKey.findOneAndUpdate.mockResolvedValue(null);
+
+      expect(await rotateAPIKey(mockOldKey())).toBeNull();
+    });
+  });
+
+  describe("revokeExpiredKeys", () => {
+    test("should revoke expired keys and notify webhooks", async () => {
+      const rotatedKey = mockOldKey({
+        rotatedTo: "newkey123",
+        revoke: jest.fn(function (reason) {
+          this.revokedReason = reason;
+          return Promise.resolve(this);
+        }),
+      });
+      APIKey.find.mockResolvedValue([rotatedKey]);
+
+      expect(await revokeExpiredKeys()).toBe(1);
+      expect(rotatedKey.revoke).toHaveBeenCalledWith("Rotated - grace period ended");
+      expect(enqueueEvent).toHaveBeenCalledWith(
+        "business1",
+        "api_key.revoked",
+        expect.objectContaining({ keyId: "oldkey123", replacedBy: "newkey123" })
+      );
+    });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * DISPUTE UTILITY TESTS
+ * =====================
+ * Unit tests for dispute holds and payment reversals
+ */
+
+jest.mock("../../../models/transaction.model");
+jest.mock("../../../models/user.model");
+jest.mock("../../../utils/ledger");
+jest.mock("../../../utils/fees", () => ({
+  ...jest.requireActual("../../../utils/fees"),
+  collectFee: jest.fn(),
+}));
+
+const Transaction = require("../../../models/transaction.model");
+const User = require("../../../models/user.model");
+const { recordTransferWithFee } = require("../../../utils/ledger");
+const { collectFee } = require("../../../utils/fees");
+const { toCents } = require("../../../utils/money");
+const {
+  disputableCents,
+  placeDisputeHold,
+  releaseDisputeHold,
+  reverseDisputedPayment,
+} = require("../../../utils/disputes");
+
+const session = "session";
+
+const withSession = (value) => ({ session: jest.fn().mockResolvedValue(value) });
+
+const makeUser = (id, balance, heldBalance = 0) => ({
+  _id: id,
+  wallet: { balance, heldBalance },
+  save: jest.fn(),
+});
+
+const makePayment = (overrides = {}) => ({
+  _id: "payment123",
+  amount: 1000,
+  fee: 20,
+  refundedAmount: 0,
+  refundedFee: 0,
+  disputedAmount: 0,
+  transactionCategory: "B2C",
+  merchant: { businessId: "business123", businessName: "Cafe" },
+  save: jest.fn(),
+  ...overrides,
+});
+
+const dispute = {
+  _id: "dispute123",
+  reference: "DSP-1",
+  customer: "customer123",
+  business: "business123",
+  amount: 500,
+};
+
+describe("Dispute Utilities", () => {
+  let customer, business;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    customer = makeUser("customer123", 100);
+    business = makeUser("business123", 2000, 500);
+    User.findById.mockImplementation((id) => withSession(id === "customer123" ? customer : business));
+    Transaction.mockImplementation((data) => ({ ...data, _id: "refund123", save: jest.fn() }));
+  });
+
+  describe("disputableCents", () => {
+    test("should leave out refunded and disputed amounts", () => {
+      expect(disputableCents(makePayment({ refundedAmount: 200, disputedAmount: 300 }))).toBe(50000);
+    });
+  });
+
+  describe("placeDisputeHold", () => {
+    test("should hold the amount on the business wallet and mark the payment", async () => {
+      business = makeUser("business123", 2000);
+      const payment = makePayment();
+
+      await placeDisputeHold(dispute, payment, session);
+
+      expect(toCents(business.wallet.heldBalance)).toBe(50000);
+      expect(business.save).toHaveBeenCalledWith({ session });
+      expect(payment.disputedAmount).toBe(500);
+      expect(payment.save).toHaveBeenCalledWith({ session });
+    });
+  });
+
+  describe("releaseDisputeHold", () => {
+    test("should release the hold without moving money", async () => {
+      const payment = makePayment({ disputedAmount: 500 });
+
+      await releaseDisputeHold(dispute, payment, session);
+
+      expect(toCents(business.wallet.heldBalance)).toBe(0);
+      expect(business.wallet.balance).toBe(2000);
+      expect(payment.disputedAmount).toBe(0);
+      expect(payment.save).toHaveBeenCalled();
+    });
+  });
+
+  describe("reverseDisputedPayment", () => {
+    test("should refund the customer and give back the matching share of the fee", async () => {
+      const payment = makePayment({ disputedAmount: 500 });
+
+      const { transaction, error } = await reverseDisputedPayment(dispute, payment, session);
+
+      expect(error).toBeUndefined();
+      expect(toCents(customer.wallet.balance)).toBe(60000);
+      // The business pays 490, the bank gives back 10 of the 20 fee
+      expect(toCents(business.wallet.balance)).toBe(151000);
+      expect(toCents(business.wallet.heldBalance)).toBe(0);
+      expect(collectFee).toHaveBeenCalledWith(-1000, session);
+      expect(payment).toMatchObject({
+        refundedAmount: 500,
+        refundedFee: 10,
+        disputedAmount: 0,
+        status: "partially_refunded",
+      });
+      expect(transaction).toMatchObject({
+        type: "refund",
+        amount: 500,
+        fee: 10,
+        originalTransaction: "payment123",
+        dispute: "dispute123",
+      });
+      expect(recordTransferWithFee).toHaveBeenCalledWith(expect.objectContaining({
+        amount: 500,
+        fee: -10,
+        feePaidBy: "sender",
+        transaction,
+      }));
+    });
+
+    test("should fail without moving money if the business cannot cover it", async () => {
+      business = makeUser("business123", 100, 500);
+      const payment = makePayment({ disputedAmount: 500 });
+
+      const { error } = await reverseDisputedPayment(dispute, payment, session);
+
+      expect(error.status).toBe(400);
+      expect(business.save).not.toHaveBeenCalled();
+      expect(payment.save).not.toHaveBeenCalled();
+      expect(recordTransferWithFee).not.toHaveBeenCalled();
+    });
+  });
+});
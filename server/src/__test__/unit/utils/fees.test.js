@@ -0,0 +1,128 @@
+/**
+ * FEE UTILITY TESTS
+ * =================
+ * Unit tests for fee schedule matching, fee computation and refund reversals
+ */
+
+jest.mock("../../../models/feeSchedule.model");
+jest.mock("../../../models/bank.model");
+
+const FeeSchedule = require("../../../models/feeSchedule.model");
+const Bank = require("../../../models/bank.model");
+const {
+  findFeeSchedule,
+  computeFeeCents,
+  calculateFee,
+  collectFee,
+  reversedFeeCents,
+} = require("../../../utils/fees");
+
+const mockSchedules = (schedules) => {
+  const sort = jest.fn().mockReturnValue({ session: jest.fn().mockResolvedValue(schedules) });
+  FeeSchedule.find.mockReturnValue({ sort });
+  return sort;
+};
+
+describe("Fee Utilities", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("findFeeSchedule", () => {
+    test("should match schedules for the type, category and business type or any", async () => {
+      const sort = mockSchedules([]);
+
+      await findFeeSchedule({ transactionType: "payment", transactionCategory: "B2C", businessType: "food" });
+
+      expect(FeeSchedule.find).toHaveBeenCalledWith({
+        transactionType: "payment",
+        isActive: true,
+        transactionCategory: { $in: [null, "B2C"] },
+        businessType: { $in: [null, "food"] },
+      });
+      expect(sort).toHaveBeenCalledWith({ createdAt: -1 });
+    });
+
+    test("should prefer the business type, then the category, then the newest", async () => {
+      const general = { _id: "general" };
+      const category = { _id: "category", transactionCategory: "B2C" };
+      const newerFood = { _id: "newerFood", businessType: "food" };
+      const olderFood = { _id: "olderFood", businessType: "food", transactionCategory: "B2C" };
+
+      mockSchedules([general, category, newerFood, olderFood]);
+      const schedule = await findFeeSchedule({ transactionType: "payment", transactionCategory: "B2C", businessType: "food" });
+      expect(schedule._id).toBe("olderFood");
+
+      mockSchedules([general, category]);
+      expect((await findFeeSchedule({ transactionType: "payment", transactionCategory: "B2C" }))._id).toBe("category");
+    });
+
+    test("should return null when no schedule applies", async () => {
+      mockSchedules([]);
+
+      expect(await findFeeSchedule({ transactionType: "withdraw" })).toBeNull();
+    });
+  });
+
+  describe("computeFeeCents", () => {
+    test("should add the percentage (rounded to the centavo) and the fixed amount", () => {
+      expect(computeFeeCents({ percentage: 1.5, fixedAmount: 2 }, 10050)).toBe(351);
+    });
+
+    test("should cap the fee at maxFee and at the amount", () => {
+      expect(computeFeeCents({ percentage: 10, fixedAmount: 0, maxFee: 25 }, 100000)).toBe(2500);
+      expect(computeFeeCents({ percentage: 0, fixedAmount: 5 }, 300)).toBe(300);
+    });
+  });
+
+  describe("calculateFee", () => {
+    test("should compute the fee of the matching schedule", async () => {
+      const schedule = { _id: "fee123", percentage: 2, fixedAmount: 0, maxFee: null };
+      mockSchedules([schedule]);
+
+      expect(await calculateFee({ transactionType: "transfer", transactionCategory: "C2C", amount: 250 }))
+        .toEqual({ fee: 5, feeCents: 500, schedule });
+    });
+
+    test("should charge no fee without a schedule", async () => {
+      mockSchedules([]);
+
+      expect(await calculateFee({ transactionType: "payment", amount: 100 }))
+        .toEqual({ fee: 0, feeCents: 0, schedule: null });
+    });
+  });
+
+  describe("collectFee", () => {
+    test("should add the fee to the bank's fee revenue", async () => {
+      const bank = { updateRevenue: jest.fn() };
+      Bank.getOrCreateBank.mockResolvedValue(bank);
+
+      await collectFee(150, "session");
+
+      expect(Bank.getOrCreateBank).toHaveBeenCalledWith("session");
+      expect(bank.updateRevenue).toHaveBeenCalledWith(1.5, "session");
+    });
+
+    test("should not touch the bank for a zero fee", async () => {
+      await collectFee(0, "session");
+
+      expect(Bank.getOrCreateBank).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("reversedFeeCents", () => {
+    const payment = { amount: 100, fee: 1, refundedAmount: 0, refundedFee: 0 };
+
+    test("should reverse the fee in proportion to the refund", () => {
+      expect(reversedFeeCents(payment, 3300)).toBe(33);
+    });
+
+    test("should reverse what is left of the fee with the last refund", () => {
+      expect(reversedFeeCents({ ...payment, refundedAmount: 66.67, refundedFee: 0.67 }, 3333)).toBe(33);
+    });
+
+    test("should reverse nothing for a payment without a fee", () => {
+      expect(reversedFeeCents({ amount: 100, refundedAmount: 0 }, 5000)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * INVOICE UTILITY TESTS
+ * =====================
+ * Unit tests for invoice totals and overdue reminders
+ */
+
+jest.mock("../../../models/invoice.model");
+jest.mock("../../../utils/notifications");
+
+const Invoice = require("../../../models/invoice.model");
+const { notify } = require("../../../utils/notifications");
+const { computeInvoiceTotals, processOverdueInvoices } = require("../../../utils/invoices");
+
+describe("Invoice Utilities", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("computeInvoiceTotals", () => {
+    test("should add up the line items and round the tax to the centavo", () => {
+      const totals = computeInvoiceTotals(
+        [
+          { description: "Coffee", quantity: 3, unitPrice: 0.1 },
+          { description: "Cake", quantity: 1, unitPrice: 99.99 },
+        ],
+        12.5
+      );
+
+      expect(totals.lineItems[0]).toEqual({ description: "Coffee", quantity: 3, unitPrice: 0.1, amount: 0.3 });
+      expect(totals.subtotal).toBe(100.29);
+      // 12.5% of 100.29 = 12.53625
+      expect(totals.taxAmount).toBe(12.54);
+      expect(totals.total).toBe(112.83);
+    });
+
+    test("should default to no tax", () => {
+      const totals = computeInvoiceTotals([{ description: "Rent", quantity: 1, unitPrice: 5000 }]);
+
+      expect(totals).toMatchObject({ subtotal: 5000, taxAmount: 0, total: 5000 });
+    });
+  });
+
+  describe("processOverdueInvoices", () => {
+    const now = new Date("2025-06-10T00:00:00Z");
+
+    test("should mark past-due invoices overdue and remind each recipient once", async () => {
+      const invoice = {
+        _id: "invoice123",
+        number: "INV-1",
+        recipient: "customer123",
+        businessName: "Cafe",
+        total: 560,
+        dueDate: new Date("2025-06-01T00:00:00Z"),
+      };
+      Invoice.updateMany.mockResolvedValue({ modifiedCount: 2 });
+      Invoice.findOneAndUpdate.mockResolvedValueOnce(invoice).mockResolvedValueOnce(null);
+
+      const result = await processOverdueInvoices(now);
+
+      expect(Invoice.updateMany).toHaveBeenCalledWith(
+        { status: "sent", dueDate: { $lt: now } },
+        { $set: { status: "overdue" } }
+      );
+      expect(Invoice.findOneAndUpdate).toHaveBeenCalledWith(
+        {
+          status: "overdue",
+          $or: [{ lastReminderAt: null }, { lastReminderAt: { $lte: new Date("2025-06-07T00:00:00Z") } }],
+        },
+        { $set: { lastReminderAt: now }, $inc: { reminderCount: 1 } },
+        { new: true, sort: { dueDate: 1 } }
+      );
+      expect(notify).toHaveBeenCalledWith("customer123", expect.objectContaining({
+        type: "invoice.overdue",
+        title: "Invoice INV-1 is overdue",
+        data: { invoiceId: "invoice123", number: "INV-1" },
+      }));
+      expect(result).toEqual({ overdue: 2, reminded: 1 });
+    });
+
+    test("should keep going when a reminder fails", async () => {
+      const invoice = { _id: "invoice123", number: "INV-1", recipient: "customer123", total: 560, dueDate: now };
+      Invoice.updateMany.mockResolvedValue({ modifiedCount: 0 });
+      Invoice.findOneAndUpdate
+        .mockResolvedValueOnce(invoice)
+        .mockResolvedValueOnce({ ...invoice, number: "INV-2" })
+        .mockResolvedValueOnce(null);
+      notify.mockRejectedValueOnce(new Error("boom"));
+      jest.spyOn(console, "error").mockImplementation(() => {});
+
+      const result = await processOverdueInvoices(now);
+
+      expect(notify).toHaveBeenCalledTimes(2);
+      expect(result).toEqual({ overdue: 0, reminded: 1 });
+      console.error.mockRestore();
+    });
+  });
+});
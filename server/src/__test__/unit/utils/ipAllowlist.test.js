@@ -0,0 +1,65 @@
+/**
+ * IP ALLOWLIST UTILITY TESTS
+ * ==========================
+ * Unit tests for IP normalization and CIDR matching
+ */
+
+const { normalizeIP, parseIPEntry, isIPInList } = require("../../../utils/ipAllowlist");
+
+describe("IP Allowlist Utilities", () => {
+  describe("normalizeIP", () => {
+    test("should unwrap IPv4-mapped IPv6 addresses", () => {
+      expect(normalizeIP("::ffff:10.0.0.1")).toBe("10.0.0.1");
+      expect(normalizeIP("::FFFF:a00:1")).toBe("10.0.0.1");
+    });
+
+    test("should canonicalize IPv6 addresses", () => {
+      expect(normalizeIP("2001:DB8:0:0::1")).toBe("2001:db8::1");
+      expect(normalizeIP("fe80::1%eth0")).toBe("fe80::1");
+    });
+
+    test("should return null for non-addresses", () => {
+      expect(normalizeIP("example.com")).toBeNull();
+      expect(normalizeIP("10.0.0")).toBeNull();
+      expect(normalizeIP(undefined)).toBeNull();
+    });
+  });
+
+  describe("parseIPEntry", () => {
+    test("should store ranges by their network address", () => {
+      expect(parseIPEntry("10.0.0.7/24")).toEqual({ valid: true, entry: "10.0.0.0/24" });
+      expect(parseIPEntry("2001:db8:abcd:1234::5/60")).toEqual({ valid: true, entry: "2001:db8:abcd:1230::/60" });
+      expect(parseIPEntry("::ffff:10.1.2.3/104")).toEqual({ valid: true, entry: "10.0.0.0/8" });
+    });
+
+    test("should store full-length prefixes as single addresses", () => {
+      expect(parseIPEntry("10.0.0.7/32")).toEqual({ valid: true, entry: "10.0.0.7" });
+      expect(parseIPEntry("2001:db8::1/128")).toEqual({ valid: true, entry: "2001:db8::1" });
+    });
+
+    test("should reject malformed entries", () => {
+      for (const entry of ["10.0.0.0/33", "2001:db8::/129", "10.0.0.1/x", "10.0.0.1/24/1", "*", "", null]) {
+        expect(parseIPEntry(entry).valid).toBe(false);
+      }
+    });
+  });
+
+  describe("isIPInList", () => {
+    test("should match exact addresses and CIDR ranges", () => {
+      expect(isIPInList("203.0.113.5", ["203.0.113.5"])).toBe(true);
+      expect(isIPInList("10.0.0.9", ["10.0.0.0/24"])).toBe(true);
+      expect(isIPInList("10.0.1.9", ["10.0.0.0/24"])).toBe(false);
+      expect(isIPInList("2001:db8:1::5", ["2001:db8::/32"])).toBe(true);
+    });
+
+    test("should match IPv4-mapped client addresses against IPv4 entries", () => {
+      expect(isIPInList("::ffff:10.0.0.9", ["10.0.0.0/24"])).toBe(true);
+      expect(isIPInList("::ffff:203.0.113.5", ["203.0.113.5"])).toBe(true);
+    });
+
+    test("should ignore invalid entries and reject invalid clients", () => {
+      expect(isIPInList("10.0.0.1", ["not-an-ip"])).toBe(false);
+      expect(isIPInList(undefined, ["0.0.0.0/0"])).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * LEDGER UTILITY TESTS
+ * ====================
+ * Unit tests for double-entry postings and reconciliation
+ */
+
+jest.mock("../../../models/ledgerEntry.model");
+jest.mock("../../../models/bank.model");
+jest.mock("../../../models/user.model");
+
+const LedgerEntry = require("../../../models/ledgerEntry.model");
+const Bank = require("../../../models/bank.model");
+const User = require("../../../models/user.model");
+const {
+  BANK_RESERVE,
+  walletAccount,
+  postJournal,
+  recordTransfer,
+  recordTransferWithFee,
+  openLedger,
+  reconcileLedger,
+} = require("../../../utils/ledger");
+
+const decimal = (value) => ({ toString: () => String(value) });
+
+describe("Ledger Utilities", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    LedgerEntry.insertMany = jest.fn((entries) => Promise.resolve(entries));
+    Bank.INITIAL_BANK_BALANCE = "1000.00";
+  });
+
+  describe("postJournal", () => {
+    test("should write balanced postings with a shared journal ID", async () => {
+      const entries = await postJournal({
+        postings: [
+          { ...walletAccount("user1"), direction: "credit", amount: 0.1 },
+          { ...walletAccount("user2"), direction: "debit", amount: 0.07 },
+          { ...BANK_RESERVE, direction: "debit", amount: 0.03 },
+        ],
+        description: "Split",
+        session: "session",
+      });
+
+      expect(LedgerEntry.insertMany).toHaveBeenCalledWith(expect.any(Array), { session: "session" });
+      expect(entries).toHaveLength(3);
+      expect(new Set(entries.map((entry) => entry.journalId)).size).toBe(1);
+      expect(entries[1].amount.toString()).toBe("0.07");
+    });
+
+    test("should reject unbalanced journals", async () => {
+      await expect(
+        postJournal({
+          postings: [
+            { ...walletAccount("user1"), direction: "credit", amount: 10 },
+            { ...walletAccount("user2"), direction: "debit", amount: 9.99 },
+          ],
+        })
+      ).rejects.toThrow("Unbalanced ledger journal");
+      expect(LedgerEntry.insertMany).not.toHaveBeenCalled();
+    });
+
+    test("should reject zero or negative amounts", async () => {
+      await expect(
+        postJournal({
+          postings: [
+            { ...walletAccount("user1"), direction: "credit", amount: 0 },
+            { ...walletAccount("user2"), direction: "debit", amount: 0 },
+          ],
+        })
+      ).rejects.toThrow("Invalid ledger posting amount");
+    });
+  });
+
+  describe("recordTransfer", () => {
+    test("should credit the source and debit the destination", async () => {
+      const entries = await recordTransfer({
+        from: BANK_RESERVE,
+        to: walletAccount("user1"),
+        amount: 250,
+        transaction: { _id: "txn1", type: "deposit" },
+      });
+
+      expect(entries).toEqual([
+        expect.objectContaining({ account: "bank_reserve", direction: "credit", transaction: "txn1", description: "deposit" }),
+        expect.objectContaining({ account: "wallet", user: "user1", direction: "debit", transaction: "txn1" }),
+      ]);
+    });
+  });
+
+  describe("recordTransferWithFee", () => {
+    const amounts = (entries) => entries.map((entry) => [entry.account, entry.direction, entry.amount.toString()]);
+
+    test("should take a recipient-paid fee out of what the destination receives", async () => {
+      const entries = await recordTransferWithFee({
+        from: walletAccount("customer1"),
+        to: walletAccount("business1"),
+        amount: 100,
+        fee: 1.5,
+        transaction: { _id: "txn1", type: "payment" },
+      });
+
+      expect(amounts(entries)).toEqual([
+        ["wallet", "credit", "100.00"],
+        ["wallet", "debit", "98.50"],
+        ["bank_revenue", "debit", "1.50"],
+      ]);
+    });
+
+    test("should charge a sender-paid fee on top of the amount", async () => {
+      const entries = await recordTransferWithFee({
+        from: walletAccount("user1"),
+        to: BANK_RESERVE,
+        amount: 100,
+        fee: 10,
+        feePaidBy: "sender",
+      });
+
+      expect(amounts(entries)).toEqual([
+        ["wallet", "credit", "110.00"],
+        ["bank_reserve", "debit", "100.00"],
+        ["bank_revenue", "debit", "10.00"],
+      ]);
+    });
+
+    test("should pay a reversed fee back from the revenue account", async () => {
+      const entries = await recordTransferWithFee({
+        from: walletAccount("business1"),
+        to: walletAccount("customer1"),
+        amount: 30,
+        fee: -0.6,
+        feePaidBy: "sender",
+      });
+
+      expect(amounts(entries)).toEqual([
+        ["wallet", "credit", "29.40"],
+        ["wallet", "debit", "30.00"],
+        ["bank_revenue", "credit", "0.60"],
+      ]);
+    });
+
+    test("should post a plain transfer without a fee", async () => {
+      const entries = await recordTransferWithFee({
+        from: walletAccount("user1"),
+        to: walletAccount("user2"),
+        amount: 50,
+      });
+
+      expect(entries).toHaveLength(2);
+    });
+  });
+
+  describe("openLedger", () => {
+    test("should do nothing once the ledger has entries", async () => {
+      LedgerEntry.exists = jest.fn().mockResolvedValue({ _id: "entry1" });
+
+      expect(await openLedger()).toBe(false);
+      expect(LedgerEntry.insertMany).not.toHaveBeenCalled();
+    });
+
+    test("should post existing balances against equity", async () => {
+      LedgerEntry.exists = jest.fn().mockResolvedValue(null);
+      Bank.getOrCreateBank = jest.fn().mockResolvedValue({ bankBalance: decimal("900.00") });
+      User.find = jest.fn().mockReturnValue({
+        select: jest.fn().mockResolvedValue([
+          { _id: "user1", wallet: { balance: decimal("60.00") } },
+          { _id: "user2", wallet: { balance: decimal("40.00") } },
+        ]),
+      });
+
+      expect(await openLedger()).toBe(true);
+
+      const [entries] = LedgerEntry.insertMany.mock.calls[0];
+      expect(entries).toHaveLength(4);
+      expect(entries[3]).toEqual(expect.objectContaining({ account: "equity", direction: "credit" }));
+      expect(entries[3].amount.toString()).toBe("1000.00");
+    });
+  });
+
+  describe("reconcileLedger", () => {
+    const mockState = ({ wallets, reserve, revenue = "0.00", balances }) => {
+      Bank.getOrCreateBank = jest.fn().mockResolvedValue({ bankBalance: decimal(reserve), feeRevenue: decimal(revenue) });
+      User.find = jest.fn().mockReturnValue({
+        select: jest.fn().mockReturnValue({
+          lean: jest.fn().mockResolvedValue(
+            wallets.map(([_id, balance]) => ({ _id, wallet: { balance: decimal(balance) } }))
+          ),
+        }),
+      });
+      LedgerEntry.getBalances = jest.fn().mockResolvedValue(balances);
+    };
+
+    test("should report a reconciled ledger", async () => {
+      mockState({
+        wallets: [["user1", "70.00"], ["user2", "30.00"]],
+        reserve: "900.00",
+        balances: [
+          { account: "equity", user: null, debits: 0, credits: 1000, balance: -1000 },
+          { account: "bank_reserve", user: null, debits: 1000, credits: 100, balance: 900 },
+          { account: "wallet", user: "user1", debits: 100, credits: 30, balance: 70 },
+          { account: "wallet", user: "user2", debits: 30, credits: 0, balance: 30 },
+        ],
+      });
+
+      const report = await reconcileLedger();
+
+      expect(report.isReconciled).toBe(true);
+      expect(report.supply).toEqual(
+        expect.objectContaining({ initialSupply: 1000, walletsTotal: 100, bankReserve: 900, difference: 0 })
+      );
+      expect(report.ledger).toEqual(
+        expect.objectContaining({ totalDebits: 1130, totalCredits: 1130, balanced: true, equity: 1000 })
+      );
+      expect(report.mismatches).toEqual([]);
+    });
+
+    test("should count fee revenue in the total supply", async () => {
+      mockState({
+        wallets: [["user1", "68.00"], ["user2", "30.00"]],
+        reserve: "900.00",
+        revenue: "2.00",
+        balances: [
+          { account: "equity", user: null, debits: 0, credits: 1000, balance: -1000 },
+          { account: "bank_reserve", user: null, debits: 1000, credits: 100, balance: 900 },
+          { account: "bank_revenue", user: null, debits: 2, credits: 0, balance: 2 },
+          { account: "wallet", user: "user1", debits: 100, credits: 32, balance: 68 },
+          { account: "wallet", user: "user2", debits: 30, credits: 0, balance: 30 },
+        ],
+      });
+
+      const report = await reconcileLedger();
+
+      expect(report.isReconciled).toBe(true);
+      expect(report.supply).toEqual(
+        expect.objectContaining({ walletsTotal: 98, bankReserve: 900, bankRevenue: 2, totalSupply: 1000 })
+      );
+    });
+
+    test("should report fee revenue that differs from the ledger", async () => {
+      mockState({
+        wallets: [["user1", "70.00"], ["user2", "30.00"]],
+        reserve: "900.00",
+        revenue: "1.00",
+        balances: [
+          { account: "equity", user: null, debits: 0, credits: 1000, balance: -1000 },
+          { account: "bank_reserve", user: null, debits: 1000, credits: 100, balance: 900 },
+          { account: "wallet", user: "user1", debits: 100, credits: 30, balance: 70 },
+          { account: "wallet", user: "user2", debits: 30, credits: 0, balance: 30 },
+        ],
+      });
+
+      const report = await reconcileLedger();
+
+      expect(report.isReconciled).toBe(false);
+      expect(report.mismatches).toEqual([
+        { account: "bank_revenue", storedBalance: 1, ledgerBalance: 0 },
+      ]);
+    });
+
+    test("should list wallets whose balance differs from the ledger", async () => {
+      mockState({
+        wallets: [["user1", "75.00"], ["user2", "30.00"]],
+        reserve: "900.00",
+        balances: [
+          { account: "equity", user: null, debits: 0, credits: 1000, balance: -1000 },
+          { account: "bank_reserve", user: null, debits: 1000, credits: 100, balance: 900 },
+          { account: "wallet", user: "user1", debits: 100, credits: 30, balance: 70 },
+          { account: "wallet", user: "user2", debits: 30, credits: 0, balance: 30 },
+        ],
+      });
+
+      const report = await reconcileLedger();
+
+      expect(report.isReconciled).toBe(false);
+      expect(report.supply.difference).toBe(5);
+      expect(report.mismatches).toEqual([
+        { account: "wallet", user: "user1", storedBalance: 75, ledgerBalance: 70 },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,273 @@
+/**
+ * MANDATE BILLING UTILITY TESTS
+ * =============================
+ * Unit tests for subscription charges, retries and the billing schedule
+ */
+
+jest.mock("../../../models/mandate.model");
+jest.mock("../../../models/subscriptionPlan.model");
+jest.mock("../../../models/user.model");
+jest.mock("../../../utils/cardPayments", () => ({
+  payMerchant: jest.fn(),
+}));
+jest.mock("../../../utils/webhooks", () => ({
+  enqueueEvent: jest.fn().mockResolvedValue([]),
+  dispatchDeliveries: jest.fn(),
+}));
+
+const mongoose = require("mongoose");
+
+const mockSession = {
+  startTransaction: jest.fn(),
+  commitTransaction: jest.fn(),
+  abortTransaction: jest.fn(),
+  endSession: jest.fn(),
+};
+
+jest.spyOn(mongoose, "startSession").mockImplementation(() => Promise.resolve(mockSession));
+
+const Mandate = require("../../../models/mandate.model");
+const SubscriptionPlan = require("../../../models/subscriptionPlan.model");
+const User = require("../../../models/user.model");
+const { payMerchant } = require("../../../utils/cardPayments");
+const { enqueueEvent } = require("../../../utils/webhooks");
+const {
+  MANDATE_MAX_RETRIES,
+  MANDATE_RETRY_HOURS,
+  addInterval,
+  chargeMandate,
+  billMandate,
+  processDueMandates,
+} = require("../../../utils/mandates");
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date("2025-03-31T08:00:00.000Z");
+
+const withSession = (value) => ({ session: jest.fn().mockResolvedValue(value) });
+
+const makeMandate = (overrides = {}) => ({
+  _id: "mandate123",
+  customer: "customer123",
+  business: "business123",
+  plan: "plan123",
+  maxAmount: 1500,
+  frequency: "monthly",
+  status: "active",
+  nextChargeAt: NOW,
+  nextAttemptAt: NOW,
+  failedAttempts: 0,
+  save: jest.fn().mockResolvedValue(),
+  cancel: jest.fn(function (canceledBy) {
+    this.status = "canceled";
+    this.canceledBy = canceledBy;
+  }),
+  ...overrides,
+});
+
+const mockLookups = ({ plan = {}, business = {} } = {}) => {
+  SubscriptionPlan.findById.mockReturnValue(
+    withSession({ _id: "plan123", name: "Transport pass", amount: 1500, interval: "monthly", ...plan })
+  );
+  User.findById.mockImplementation((id) =>
+    withSession(
+      id === "customer123"
+        ? { _id: "customer123" }
+        : { _id: "business123", businessInfo: { isVerified: true }, ...business }
+    )
+  );
+};
+
+describe("Mandate Billing Utilities", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("addInterval", () => {
+    test("should add a week", () => {
+      expect(addInterval(NOW, "weekly").toISOString()).toBe("2025-04-07T08:00:00.000Z");
+    });
+
+    test("should keep the day of the month and clamp short months", () => {
+      expect(addInterval(new Date("2025-01-15T00:00:00Z"), "monthly").toISOString()).toBe("2025-02-15T00:00:00.000Z");
+      expect(addInterval(new Date("2025-01-31T00:00:00Z"), "monthly").toISOString()).toBe("2025-02-28T00:00:00.000Z");
+      expect(addInterval(new Date("2025-12-31T00:00:00Z"), "monthly").toISOString()).toBe("2026-01-31T00:00:00.000Z");
+    });
+
+    test("should keep a month-end anchor over several months", () => {
+      const dates = [];
+      let date = new Date("2025-01-31T00:00:00Z");
+      for (let i = 0; i < 5; i++) {
+        date = addInterval(date, "monthly", 31);
+        dates.push(date.toISOString().slice(0, 10));
+      }
+
+      expect(dates).toEqual(["2025-02-28", "2025-03-31", "2025-04-30", "2025-05-31", "2025-06-30"]);
+    });
+
+    test("should add a year, clamping leap days", () => {
+      expect(addInterval(new Date("2024-02-29T00:00:00Z"), "yearly").toISOString()).toBe("2025-02-28T00:00:00.000Z");
+    });
+  });
+
+  describe("chargeMandate", () => {
+    test("should charge the plan amount from the wallet", async () => {
+      mockLookups();
+      payMerchant.mockResolvedValue({ transaction: { reference: "TXN-1" } });
+
+      const result = await chargeMandate(makeMandate(), mockSession);
+
+      expect(payMerchant).toHaveBeenCalledWith(expect.objectContaining({
+        amount: 1500,
+        paymentMethod: "wallet",
+        transactionCategory: "B2C",
+        mandate: "mandate123",
+        session: mockSession,
+      }));
+      expect(result.transaction.reference).toBe("TXN-1");
+    });
+
+    test("should never charge more than the mandate's maximum", async () => {
+      mockLookups({ plan: { amount: 1500.01 } });
+
+      const result = await chargeMandate(makeMandate(), mockSession);
+
+      expect(result.error.code).toBe("MANDATE_LIMIT_EXCEEDED");
+      expect(payMerchant).not.toHaveBeenCalled();
+    });
+
+    test("should fail if the business is no longer verified", async () => {
+      mockLookups({ business: { businessInfo: { isVerified: false } } });
+
+      const result = await chargeMandate(makeMandate(), mockSession);
+
+      expect(result.error.code).toBe("BUSINESS_UNAVAILABLE");
+    });
+  });
+
+  describe("billMandate", () => {
+    test("should bill a mandate started on the 31st at each month end", async () => {
+      mockLookups();
+      payMerchant.mockResolvedValue({ transaction: { reference: "TXN-1", amount: 1500, status: "completed" } });
+      const mandate = makeMandate({ nextChargeAt: new Date("2025-02-28T08:00:00.000Z"), anchorDay: 31 });
+
+      const dates = [];
+      for (let i = 0; i < 3; i++) {
+        await billMandate(mandate, mandate.nextChargeAt);
+        dates.push(mandate.nextChargeAt.toISOString().slice(0, 10));
+      }
+
+      expect(dates).toEqual(["2025-03-31", "2025-04-30", "2025-05-31"]);
+    });
+
+    test("should advance a successful mandate to the next period", async () => {
+      mockLookups();
+      payMerchant.mockResolvedValue({ transaction: { reference: "TXN-1", amount: 1500, status: "completed" } });
+      const mandate = makeMandate({ status: "past_due", failedAttempts: 2 });
+
+      const charged = await billMandate(mandate, NOW);
+
+      expect(charged).toBe(true);
+      expect(mandate.status).toBe("active");
+      expect(mandate.failedAttempts).toBe(0);
+      expect(mandate.nextChargeAt.toISOString()).toBe("2025-04-30T08:00:00.000Z");
+      expect(mandate.nextAttemptAt).toEqual(mandate.nextChargeAt);
+      expect(mandate.save).toHaveBeenCalledWith({ session: mockSession });
+      expect(mockSession.commitTransaction).toHaveBeenCalled();
+      expect(enqueueEvent).toHaveBeenCalledWith(
+        "business123",
+        "payment.completed",
+        expect.objectContaining({ mandateId: "mandate123" }),
+        mockSession
+      );
+    });
+
+    test("should make a failed mandate past_due and schedule a retry", async () => {
+      mockLookups();
+      payMerchant.mockResolvedValue({ error: { status: 400, message: "Insufficient balance" } });
+      const mandate = makeMandate();
+
+      const charged = await billMandate(mandate, NOW);
+
+      expect(charged).toBe(false);
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(mandate.status).toBe("past_due");
+      expect(mandate.failedAttempts).toBe(1);
+      expect(mandate.lastFailureReason).toBe("Insufficient balance");
+      expect(mandate.nextAttemptAt.getTime()).toBe(NOW.getTime() + MANDATE_RETRY_HOURS * HOUR);
+      expect(mandate.nextChargeAt).toBe(NOW);
+      expect(mandate.save).toHaveBeenCalledWith();
+      expect(enqueueEvent).toHaveBeenCalledTimes(1);
+      expect(enqueueEvent).toHaveBeenCalledWith(
+        "business123",
+        "mandate.payment_failed",
+        expect.objectContaining({ mandateId: "mandate123", status: "past_due", failedAttempts: 1 })
+      );
+    });
+
+    test("should cancel the mandate when retries run out", async () => {
+      mockLookups();
+      payMerchant.mockResolvedValue({ error: { status: 400, message: "Insufficient balance" } });
+      const mandate = makeMandate({ status: "past_due", failedAttempts: MANDATE_MAX_RETRIES });
+
+      await billMandate(mandate, NOW);
+
+      expect(mandate.cancel).toHaveBeenCalledWith("system", expect.stringContaining("Insufficient balance"));
+      expect(enqueueEvent.mock.calls.map((call) => call[1])).toEqual(["mandate.payment_failed", "mandate.canceled"]);
+    });
+
+    test("should treat an unexpected error as a failed charge", async () => {
+      mockLookups();
+      payMerchant.mockRejectedValue(new Error("connection lost"));
+      jest.spyOn(console, "error").mockImplementation(() => {});
+      const mandate = makeMandate();
+
+      const charged = await billMandate(mandate, NOW);
+
+      expect(charged).toBe(false);
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(mandate.status).toBe("past_due");
+      console.error.mockRestore();
+    });
+  });
+
+  describe("processDueMandates", () => {
+    const mockDue = (ids) => {
+      Mandate.find.mockReturnValue({
+        select: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue(ids.map((_id) => ({ _id }))),
+      });
+    };
+
+    test("should claim and charge each due mandate", async () => {
+      mockDue(["m1", "m2"]);
+      mockLookups();
+      payMerchant.mockResolvedValue({ transaction: { reference: "TXN-1" } });
+      Mandate.findOneAndUpdate.mockImplementation((filter) => Promise.resolve(makeMandate({ _id: filter._id })));
+
+      const result = await processDueMandates(NOW);
+
+      expect(Mandate.find).toHaveBeenCalledWith({
+        status: { $in: ["active", "past_due"] },
+        nextAttemptAt: { $lte: NOW },
+      });
+      expect(Mandate.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: "m1", $or: [{ lockedUntil: null }, { lockedUntil: { $lt: NOW } }] }),
+        { $set: { lockedUntil: expect.any(Date) } },
+        { new: true }
+      );
+      expect(result).toEqual({ charged: 2, failed: 0 });
+    });
+
+    test("should skip mandates claimed by another run", async () => {
+      mockDue(["m1"]);
+      Mandate.findOneAndUpdate.mockResolvedValue(null);
+
+      const result = await processDueMandates(NOW);
+
+      expect(payMerchant).not.toHaveBeenCalled();
+      expect(result).toEqual({ charged: 0, failed: 0 });
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * MONEY UTILITY TESTS
+ * ===================
+ * Unit tests for centavo conversion and exact arithmetic
+ */
+
+const mongoose = require("mongoose");
+const {
+  toCents,
+  fromCents,
+  centsToString,
+  toDecimal128,
+  roundMoney,
+  addMoney,
+  subtractMoney,
+  isValidAmount,
+  formatMoney,
+  moneyField,
+} = require("../../../utils/money");
+
+describe("Money Utilities", () => {
+  describe("toCents", () => {
+    test("should convert numbers, strings and Decimal128", () => {
+      expect(toCents(12.34)).toBe(1234);
+      expect(toCents("0.1")).toBe(10);
+      expect(toCents(mongoose.Types.Decimal128.fromString("1000.50"))).toBe(100050);
+      expect(toCents(-5.25)).toBe(-525);
+    });
+
+    test("should round half away from zero", () => {
+      expect(toCents("1.005")).toBe(101);
+      expect(toCents("1.004")).toBe(100);
+      expect(toCents("-1.005")).toBe(-101);
+    });
+
+    test("should handle exponent notation", () => {
+      expect(toCents(1e-7)).toBe(0);
+      expect(() => toCents(1e21)).toThrow(TypeError);
+    });
+
+    test("should reject invalid values", () => {
+      expect(() => toCents(null)).toThrow(TypeError);
+      expect(() => toCents("abc")).toThrow(TypeError);
+      expect(() => toCents(NaN)).toThrow(TypeError);
+      expect(() => toCents("")).toThrow(TypeError);
+    });
+  });
+
+  describe("conversions", () => {
+    test("should format centavos as two-decimal strings", () => {
+      expect(centsToString(5)).toBe("0.05");
+      expect(centsToString(-123456)).toBe("-1234.56");
+      expect(fromCents(123456)).toBe(1234.56);
+    });
+
+    test("should build Decimal128 values", () => {
+      expect(toDecimal128(30).toString()).toBe("0.30");
+    });
+  });
+
+  describe("arithmetic", () => {
+    test("should add without floating point drift", () => {
+      expect(addMoney(0.1, 0.2)).toBe(0.3);
+      expect(addMoney("1000.10", 0.2, mongoose.Types.Decimal128.fromString("0.7"))).toBe(1001);
+    });
+
+    test("should subtract without floating point drift", () => {
+      expect(subtractMoney(1, 0.9)).toBe(0.1);
+      expect(roundMoney(2.675)).toBe(2.68);
+    });
+  });
+
+  describe("isValidAmount", () => {
+    test("should accept positive amounts with up to two decimals", () => {
+      expect(isValidAmount(0.01)).toBe(true);
+      expect(isValidAmount(150.5)).toBe(true);
+    });
+
+    test("should reject extra precision and non-positive values", () => {
+      expect(isValidAmount(10.005)).toBe(false);
+      expect(isValidAmount(0)).toBe(false);
+      expect(isValidAmount(-1)).toBe(false);
+      expect(isValidAmount("10")).toBe(false);
+    });
+  });
+
+  describe("formatMoney", () => {
+    test("should format with currency and grouping", () => {
+      expect(formatMoney(1234.5)).toBe("PHP 1,234.50");
+    });
+  });
+
+  describe("moneyField", () => {
+    const Item = mongoose.model(
+      "MoneyFieldItem",
+      new mongoose.Schema(
+        {
+          price: moneyField({ minCents: 1, required: true }),
+          discount: moneyField({ default: 0 }),
+        },
+        { toJSON: { getters: true } }
+      )
+    );
+
+    test("should store centavos as Decimal128 and read a number", () => {
+      const item = new Item({ price: 10.005 });
+
+      expect(item.get("price", null, { getters: false }).toString()).toBe("10.01");
+      expect(item.price).toBe(10.01);
+      expect(item.discount).toBe(0);
+    });
+
+    test("should reject amounts below the minimum", () => {
+      const error = new Item({ price: 0 }).validateSync();
+
+      expect(error.errors.price.message).toBe("price must be at least 0.01");
+    });
+
+    test("should leave fields without a minimum unchecked", () => {
+      expect(new Item({ price: 1, discount: 0 }).validateSync()).toBeUndefined();
+    });
+  });
+});
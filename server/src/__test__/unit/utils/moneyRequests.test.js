@@ -0,0 +1,50 @@
+/**
+ * MONEY REQUEST UTILITY TESTS
+ * ===========================
+ * Unit tests for completing and expiring money requests
+ */
+
+jest.mock("../../../models/moneyRequest.model");
+
+const MoneyRequest = require("../../../models/moneyRequest.model");
+const { closeIfAnswered, expireMoneyRequests } = require("../../../utils/moneyRequests");
+
+describe("Money Request Utilities", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("closeIfAnswered", () => {
+    test("should keep a request open while a part is pending", () => {
+      const request = { status: "open", parts: [{ status: "paid" }, { status: "pending" }] };
+
+      closeIfAnswered(request);
+
+      expect(request.status).toBe("open");
+    });
+
+    test("should complete a request once every part is paid or declined", () => {
+      const request = { status: "open", parts: [{ status: "paid" }, { status: "declined" }] };
+
+      closeIfAnswered(request);
+
+      expect(request.status).toBe("completed");
+    });
+  });
+
+  describe("expireMoneyRequests", () => {
+    test("should expire open requests past their expiry date and their pending parts", async () => {
+      const now = new Date("2025-06-01T00:00:00.000Z");
+      MoneyRequest.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+      const result = await expireMoneyRequests(now);
+
+      expect(MoneyRequest.updateMany).toHaveBeenCalledWith(
+        { status: "open", expiresAt: { $lte: now } },
+        { $set: { status: "expired", "parts.$[part].status": "expired" } },
+        { arrayFilters: [{ "part.status": "pending" }] }
+      );
+      expect(result).toEqual({ expired: 2 });
+    });
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * PAGINATION UTILITY TESTS
+ * ========================
+ * Unit tests for page-based list pagination
+ */
+
+const { getPagination, paginationInfo } = require("../../../utils/pagination");
+
+describe("Pagination Utilities", () => {
+  describe("getPagination", () => {
+    test("should default to the first 20 results", () => {
+      expect(getPagination({})).toEqual({ pageNum: 1, limitNum: 20, skip: 0 });
+    });
+
+    test("should skip the earlier pages", () => {
+      expect(getPagination({ page: "3", limit: "10" })).toEqual({ pageNum: 3, limitNum: 10, skip: 20 });
+    });
+
+    test("should reject a limit above 100", () => {
+      expect(getPagination({ limit: "101" })).toBeNull();
+      expect(getPagination({ page: "-1" })).toBeNull();
+    });
+  });
+
+  describe("paginationInfo", () => {
+    test("should report the pages around the current one", () => {
+      expect(paginationInfo(2, 20, 45)).toEqual({
+        page: 2,
+        limit: 20,
+        totalCount: 45,
+        totalPages: 3,
+        hasNextPage: true,
+        hasPrevPage: true,
+      });
+    });
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * PDF UTILITY TESTS
+ * =================
+ * Unit tests for the text PDF writer
+ */
+
+const { renderTextPdf, LINES_PER_PAGE } = require("../../../utils/pdf");
+
+describe("PDF Utilities", () => {
+  describe("renderTextPdf", () => {
+    test("should split long documents into numbered pages", () => {
+      const lines = Array.from({ length: LINES_PER_PAGE + 1 }, (_, index) => `Line ${index}`);
+
+      const pdf = renderTextPdf(lines).toString("latin1");
+
+      expect(pdf).toContain("/Count 2");
+      expect(pdf).toContain("(Page 1 of 2)");
+      expect(pdf).toContain("(Page 2 of 2)");
+    });
+
+    test("should point the cross-reference table at each object", () => {
+      const pdf = renderTextPdf(["Hello"], { title: "Test" }).toString("latin1");
+
+      const offsets = pdf.match(/^\d{10} 00000 n $/gm).map((line) => parseInt(line, 10));
+      offsets.forEach((offset, index) => {
+        expect(pdf.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true);
+      });
+
+      const startxref = parseInt(pdf.match(/startxref\n(\d+)/)[1], 10);
+      expect(pdf.slice(startxref).startsWith("xref")).toBe(true);
+    });
+
+    test("should escape parentheses and replace characters outside ASCII", () => {
+      const pdf = renderTextPdf(["Niño (Café) \\ 100"]).toString("latin1");
+
+      expect(pdf).toContain("(Ni?o \\(Caf?\\) \\\\ 100) Tj");
+    });
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * QR CODE UTILITY TESTS
+ * =====================
+ * Unit tests for signed merchant QR code payloads
+ */
+
+const {
+  QR_PAYLOAD_PREFIX,
+  QR_CODE_EXPIRY_MINUTES,
+  createQRPayload,
+  decodeQRPayload,
+} = require("../../../utils/qrCode");
+
+describe("QR Code Utilities", () => {
+  const businessId = "507f1f77bcf86cd799439011";
+  const now = new Date("2025-12-20T12:00:00.000Z");
+
+  beforeAll(() => {
+    process.env.QR_SIGNING_SECRET = "qr_test_secret";
+  });
+
+  afterAll(() => {
+    delete process.env.QR_SIGNING_SECRET;
+  });
+
+  test("should create static codes without amount or expiry", () => {
+    const qrCode = createQRPayload({ businessId, description: "Stall 4" }, now);
+
+    expect(qrCode.type).toBe("static");
+    expect(qrCode.qrCodeId).toMatch(/^qr_[0-9a-f]{24}$/);
+    expect(qrCode.payload.startsWith(`${QR_PAYLOAD_PREFIX}.`)).toBe(true);
+    expect(qrCode.amount).toBeUndefined();
+    expect(qrCode.expiresAt).toBeUndefined();
+
+    const decoded = decodeQRPayload(qrCode.payload, now);
+    expect(decoded.valid).toBe(true);
+    expect(decoded.qrCode).toEqual({
+      id: qrCode.qrCodeId,
+      type: "static",
+      businessId,
+      description: "Stall 4",
+    });
+  });
+
+  test("should create dynamic codes with amount and default expiry", () => {
+    const qrCode = createQRPayload({ businessId, amount: 85.5 }, now);
+
+    expect(qrCode.type).toBe("dynamic");
+    expect(qrCode.amount).toBe(85.5);
+    expect(qrCode.expiresAt.getTime() - now.getTime()).toBe(QR_CODE_EXPIRY_MINUTES * 60 * 1000);
+
+    const decoded = decodeQRPayload(qrCode.payload, now);
+    expect(decoded.valid).toBe(true);
+    expect(decoded.qrCode.amount).toBe(85.5);
+    expect(decoded.qrCode.expiresAt).toEqual(qrCode.expiresAt);
+  });
+
+  test("should reject expired dynamic codes", () => {
+    const qrCode = createQRPayload({ businessId, amount: 20, expiresInMinutes: 5 }, now);
+
+    const decoded = decodeQRPayload(qrCode.payload, new Date(now.getTime() + 5 * 60 * 1000));
+
+    expect(decoded.valid).toBe(false);
+    expect(decoded.error).toBe("This QR code has expired");
+  });
+
+  test("should reject payloads with a changed amount", () => {
+    const qrCode = createQRPayload({ businessId, amount: 100 }, now);
+    const [prefix, body, signature] = qrCode.payload.split(".");
+    const data = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    data.amount = "1.00";
+    const tampered = `${prefix}.${Buffer.from(JSON.stringify(data)).toString("base64url")}.${signature}`;
+
+    expect(decodeQRPayload(tampered, now).valid).toBe(false);
+  });
+
+  test("should reject payloads signed with another secret", () => {
+    const qrCode = createQRPayload({ businessId }, now);
+
+    process.env.QR_SIGNING_SECRET = "other_secret";
+    const decoded = decodeQRPayload(qrCode.payload, now);
+    process.env.QR_SIGNING_SECRET = "qr_test_secret";
+
+    expect(decoded.valid).toBe(false);
+  });
+
+  test.each([undefined, "", "hello", "SCBQR1.abc", "OTHER.abc.def", "SCBQR1.a.b.c"])(
+    "should reject malformed payload %p",
+    (payload) => {
+      expect(decodeQRPayload(payload, now)).toEqual({ valid: false, error: "Invalid QR code" });
+    }
+  );
+});
@@ -0,0 +1,66 @@
+/**
+ * RECIPIENT UTILITY TESTS
+ * =======================
+ * Unit tests for finding recipients by ID, email or handle and masking their names
+ */
+
+jest.mock("../../../models/user.model");
+
+const User = require("../../../models/user.model");
+const { getRecipientFilter, findRecipient, maskName } = require("../../../utils/recipients");
+
+describe("Recipient Utilities", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("getRecipientFilter", () => {
+    test("should find a user ID by _id", () => {
+      expect(getRecipientFilter("64B000000000000000000001")).toEqual({ _id: "64b000000000000000000001" });
+    });
+
+    test("should find an email by email, in lowercase", () => {
+      expect(getRecipientFilter(" Juan@SMU.edu.ph ")).toEqual({ email: "juan@smu.edu.ph" });
+    });
+
+    test("should find a handle with or without the leading @", () => {
+      expect(getRecipientFilter("@Juan_Cruz")).toEqual({ handle: "juan_cruz" });
+      expect(getRecipientFilter("juan_cruz")).toEqual({ handle: "juan_cruz" });
+    });
+  });
+
+  describe("findRecipient", () => {
+    test("should look the recipient up in the session", async () => {
+      const user = { _id: "user123" };
+      const session = { id: "session" };
+      const query = { session: jest.fn().mockResolvedValue(user) };
+      User.findOne.mockReturnValue(query);
+
+      const result = await findRecipient("@juan_cruz", session);
+
+      expect(User.findOne).toHaveBeenCalledWith({ handle: "juan_cruz" });
+      expect(query.session).toHaveBeenCalledWith(session);
+      expect(result).toBe(user);
+    });
+  });
+
+  describe("maskName", () => {
+    test("should keep the first two letters and the last name initial", () => {
+      const user = { accountType: "personal", fullName: { firstName: "Juan", lastName: "Cruz" } };
+
+      expect(maskName(user)).toBe("Ju** C.");
+    });
+
+    test("should always hide part of a short first name", () => {
+      const user = { accountType: "personal", fullName: { firstName: "Al", lastName: "reyes" } };
+
+      expect(maskName(user)).toBe("Al* R.");
+    });
+
+    test("should show a business by its business name", () => {
+      const user = { accountType: "business", businessInfo: { businessName: "Campus Cafe" } };
+
+      expect(maskName(user)).toBe("Campus Cafe");
+    });
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * REQUEST SIGNING UTILITY TESTS
+ * =============================
+ * Unit tests for public API request signatures
+ */
+
+const crypto = require("crypto");
+const {
+  SIGNATURE_TOLERANCE_SECONDS,
+  generateSigningSecret,
+  computeRequestSignature,
+  verifyRequestSignature,
+} = require("../../../utils/requestSigning");
+
+describe("Request Signing Utilities", () => {
+  const secret = "scbsig_test_secret";
+  const now = 1766000000;
+  const body = JSON.stringify({ amount: 150.5, cardNumber: "4000000000000002" });
+  const request = {
+    method: "post",
+    path: "/api/v1/public/transactions/charge",
+    timestamp: String(now),
+    body,
+  };
+
+  const sign = (overrides = {}) => computeRequestSignature(secret, { ...request, ...overrides });
+
+  test("should sign timestamp, method, path and body", () => {
+    const expected = crypto
+      .createHmac("sha256", secret)
+      .update(`${now}.POST./api/v1/public/transactions/charge.${body}`)
+      .digest("hex");
+
+    expect(sign()).toBe(expected);
+  });
+
+  test("should accept a valid signature", () => {
+    expect(verifyRequestSignature(secret, { ...request, signature: sign() }, now)).toEqual({ valid: true });
+  });
+
+  test("should reject a tampered body or path", () => {
+    const signature = sign();
+
+    expect(
+      verifyRequestSignature(secret, { ...request, body: body.replace("150.5", "1.5"), signature }, now).code
+    ).toBe("INVALID_SIGNATURE");
+    expect(
+      verifyRequestSignature(secret, { ...request, path: "/api/v1/public/transactions/refund", signature }, now).code
+    ).toBe("INVALID_SIGNATURE");
+    expect(verifyRequestSignature(secret, { ...request, signature: "zz" }, now).code).toBe("INVALID_SIGNATURE");
+  });
+
+  test("should reject timestamps outside the tolerance window", () => {
+    const old = String(now - SIGNATURE_TOLERANCE_SECONDS - 1);
+    const result = verifyRequestSignature(secret, { ...request, timestamp: old, signature: sign({ timestamp: old }) }, now);
+
+    expect(result.code).toBe("SIGNATURE_EXPIRED");
+  });
+
+  test("should require both headers", () => {
+    expect(verifyRequestSignature(secret, { ...request, signature: undefined }, now).code).toBe("MISSING_SIGNATURE");
+    expect(verifyRequestSignature(secret, { ...request, timestamp: undefined, signature: sign() }, now).code).toBe(
+      "MISSING_SIGNATURE"
+    );
+  });
+
+  test("should generate distinct secrets", () => {
+    expect(generateSigningSecret()).toMatch(/^scbsig_[a-f0-9]{64}$/);
+    expect(generateSigningSecret()).not.toBe(generateSigningSecret());
+  });
+});
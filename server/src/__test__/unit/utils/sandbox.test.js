@@ -0,0 +1,76 @@
+/**
+ * SANDBOX UTILITY TESTS
+ * =====================
+ * Unit tests for test mode detection and magic test cards
+ */
+
+jest.mock("../../../models/transaction.model", () => ({
+  LIVE: { livemode: { $ne: false } },
+}));
+
+const { validateCardFormat } = require("../../../utils/cardGenerator");
+const {
+  TEST_CARDS,
+  TEST_CARD_CVV,
+  isTestKey,
+  livemodeFilter,
+  authenticateTestCard,
+} = require("../../../utils/sandbox");
+
+describe("Sandbox Utilities", () => {
+  describe("isTestKey / livemodeFilter", () => {
+    test("should detect test keys by environment", () => {
+      expect(isTestKey({ environment: "test" })).toBe(true);
+      expect(isTestKey({ environment: "live" })).toBe(false);
+      expect(isTestKey(undefined)).toBe(false);
+    });
+
+    test("should filter sandbox or live transactions", () => {
+      expect(livemodeFilter({ environment: "test" })).toEqual({ livemode: false });
+      expect(livemodeFilter({ environment: "live" })).toEqual({ livemode: { $ne: false } });
+    });
+  });
+
+  describe("TEST_CARDS", () => {
+    test("should all pass card format validation", () => {
+      for (const cardNumber of Object.keys(TEST_CARDS)) {
+        expect(validateCardFormat(cardNumber).isValid).toBe(true);
+      }
+    });
+  });
+
+  describe("authenticateTestCard", () => {
+    test("should accept the success card with the test CVV", () => {
+      const { card, error } = authenticateTestCard("4242424242424242", TEST_CARD_CVV);
+
+      expect(error).toBeUndefined();
+      expect(card.outcome).toBe("success");
+    });
+
+    test("should reject cards that are not test cards", () => {
+      const { error } = authenticateTestCard("4111111111111111", TEST_CARD_CVV);
+
+      expect(error).toEqual(expect.objectContaining({ status: 404, code: "CARD_NOT_FOUND" }));
+    });
+
+    test("should reject a wrong CVV", () => {
+      const { error } = authenticateTestCard("4242424242424242", "999");
+
+      expect(error.code).toBe("INVALID_CVV");
+    });
+
+    test("should return the card status error before checking the CVV", () => {
+      expect(authenticateTestCard("4000000000000002", "999").error.code).toBe("CARD_INACTIVE");
+      expect(authenticateTestCard("4000000000000069", "999").error.code).toBe("CARD_EXPIRED");
+      expect(authenticateTestCard("4000000000000119", "999").error).toEqual(
+        expect.objectContaining({ status: 423, code: "CARD_LOCKED" })
+      );
+    });
+
+    test("should return spending errors only with a valid CVV", () => {
+      expect(authenticateTestCard("4000000000000044", "999").error.code).toBe("INVALID_CVV");
+      expect(authenticateTestCard("4000000000000044", TEST_CARD_CVV).error.code).toBe("DAILY_LIMIT_EXCEEDED");
+      expect(authenticateTestCard("4000000000009995", TEST_CARD_CVV).error.code).toBe("INSUFFICIENT_FUNDS");
+    });
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * SCHEDULED TRANSFER UTILITY TESTS
+ * ================================
+ * Unit tests for running scheduled and recurring wallet transfers
+ */
+
+jest.mock("../../../models/scheduledTransfer.model");
+jest.mock("../../../models/user.model");
+jest.mock("../../../utils/transfers", () => ({
+  ...jest.requireActual("../../../utils/transfers"),
+  transferBetweenWallets: jest.fn(),
+}));
+jest.mock("../../../utils/notifications");
+
+const mongoose = require("mongoose");
+
+const mockSession = {
+  startTransaction: jest.fn(),
+  commitTransaction: jest.fn(),
+  abortTransaction: jest.fn(),
+  endSession: jest.fn(),
+};
+
+jest.spyOn(mongoose, "startSession").mockImplementation(() => Promise.resolve(mockSession));
+
+const ScheduledTransfer = require("../../../models/scheduledTransfer.model");
+const User = require("../../../models/user.model");
+const { transferBetweenWallets } = require("../../../utils/transfers");
+const { notify } = require("../../../utils/notifications");
+const {
+  nextRunAfter,
+  runScheduledTransfer,
+  processDueTransfers,
+} = require("../../../utils/scheduledTransfers");
+
+const NOW = new Date("2025-03-31T08:00:00.000Z");
+
+const withSession = (value) => ({ session: jest.fn().mockResolvedValue(value) });
+
+const makeTransfer = (overrides = {}) => ({
+  _id: "schedule123",
+  user: "sender123",
+  recipient: "recipient123",
+  amount: 5000,
+  description: "Rent",
+  frequency: "monthly",
+  status: "active",
+  nextRunAt: NOW,
+  successfulRuns: 0,
+  failedRuns: 0,
+  save: jest.fn().mockResolvedValue(),
+  ...overrides,
+});
+
+describe("Scheduled Transfer Utilities", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    User.findById.mockImplementation((id) => withSession({ _id: id, accountType: "personal" }));
+  });
+
+  describe("nextRunAfter", () => {
+    test("should skip the dates missed before now", () => {
+      const next = nextRunAfter(new Date("2025-01-31T08:00:00.000Z"), "monthly", NOW);
+
+      // Jan 31 -> Feb 28 -> Mar 31 (not after now) -> Apr 30
+      expect(next).toEqual(new Date("2025-04-30T08:00:00.000Z"));
+    });
+
+    test("should keep a month-end anchor after a short month", () => {
+      const after = new Date("2025-03-01T00:00:00.000Z");
+      const next = nextRunAfter(new Date("2025-02-28T08:00:00.000Z"), "monthly", after, 31);
+
+      expect(next).toEqual(new Date("2025-03-31T08:00:00.000Z"));
+    });
+  });
+
+  describe("runScheduledTransfer", () => {
+    test("should transfer through the wallet transfer logic and move to the next month", async () => {
+      const transfer = makeTransfer();
+      transferBetweenWallets.mockResolvedValue({ transaction: { _id: "txn123" } });
+
+      const result = await runScheduledTransfer(transfer, NOW);
+
+      expect(result).toBe(true);
+      expect(transferBetweenWallets).toHaveBeenCalledWith(expect.objectContaining({
+        fromUser: { _id: "sender123", accountType: "personal" },
+        toUser: { _id: "recipient123", accountType: "personal" },
+        amount: 5000,
+        transactionCategory: "C2C",
+        description: "Rent",
+        scheduledTransfer: "schedule123",
+        session: mockSession,
+      }));
+      expect(transfer).toMatchObject({
+        status: "active",
+        nextRunAt: new Date("2025-04-30T08:00:00.000Z"),
+        lastTransaction: "txn123",
+        successfulRuns: 1,
+        lockedUntil: null,
+      });
+      expect(transfer.save).toHaveBeenCalledWith({ session: mockSession });
+      expect(mockSession.commitTransaction).toHaveBeenCalled();
+      expect(notify).not.toHaveBeenCalled();
+    });
+
+    test("should run a month-end transfer on the last day of every month", async () => {
+      const runs = [];
+      const transfer = makeTransfer({ nextRunAt: new Date("2025-01-31T08:00:00.000Z"), anchorDay: 31 });
+      transferBetweenWallets.mockResolvedValue({ transaction: { _id: "txn123" } });
+
+      for (let i = 0; i < 4; i++) {
+        await runScheduledTransfer(transfer, transfer.nextRunAt);
+        runs.push(transfer.nextRunAt.toISOString().slice(0, 10));
+      }
+
+      expect(runs).toEqual(["2025-02-28", "2025-03-31", "2025-04-30", "2025-05-31"]);
+    });
+
+    test("should complete a recurring transfer after its end date", async () => {
+      const transfer = makeTransfer({ frequency: "weekly", endDate: new Date("2025-04-05T00:00:00.000Z") });
+      transferBetweenWallets.mockResolvedValue({ transaction: { _id: "txn123" } });
+
+      await runScheduledTransfer(transfer, NOW);
+
+      expect(transfer.status).toBe("completed");
+    });
+
+    test("should record an insufficient funds failure and notify the sender", async () => {
+      const transfer = makeTransfer();
+      transferBetweenWallets.mockResolvedValue({
+        error: { status: 400, message: "Insufficient funds to cover the amount and fee" },
+      });
+
+      const result = await runScheduledTransfer(transfer, NOW);
+
+      expect(result).toBe(false);
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(transfer).toMatchObject({
+        status: "active",
+        failedRuns: 1,
+        lastFailureReason: "Insufficient funds to cover the amount and fee",
+        lastFailedAt: NOW,
+        nextRunAt: new Date("2025-04-30T08:00:00.000Z"),
+      });
+      expect(transfer.save).toHaveBeenCalledWith();
+      expect(notify).toHaveBeenCalledWith("sender123", expect.objectContaining({
+        type: "scheduled_transfer.failed",
+        data: { scheduledTransferId: "schedule123", reason: "Insufficient funds to cover the amount and fee" },
+      }));
+    });
+
+    test("should mark a failed one-off transfer as failed", async () => {
+      const transfer = makeTransfer({ frequency: "once" });
+      User.findById.mockImplementation((id) =>
+        withSession({ _id: id, accountType: id === "sender123" ? "personal" : "business" })
+      );
+
+      await runScheduledTransfer(transfer, NOW);
+
+      expect(transferBetweenWallets).not.toHaveBeenCalled();
+      expect(transfer.status).toBe("failed");
+      expect(transfer.lastFailureReason).toMatch(/Cannot transfer between personal and business accounts/);
+    });
+  });
+
+  describe("processDueTransfers", () => {
+    test("should only run transfers it can claim", async () => {
+      const query = {
+        select: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([{ _id: "schedule1" }, { _id: "schedule2" }]),
+      };
+      ScheduledTransfer.find.mockReturnValue(query);
+      ScheduledTransfer.findOneAndUpdate
+        .mockResolvedValueOnce(makeTransfer({ _id: "schedule1" }))
+        .mockResolvedValueOnce(null);
+      transferBetweenWallets.mockResolvedValue({ transaction: { _id: "txn123" } });
+
+      const result = await processDueTransfers(NOW);
+
+      expect(ScheduledTransfer.find).toHaveBeenCalledWith({ status: "active", nextRunAt: { $lte: NOW } });
+      expect(ScheduledTransfer.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: "schedule2", status: "active" }),
+        { $set: { lockedUntil: new Date(NOW.getTime() + 5 * 60 * 1000) } },
+        { new: true }
+      );
+      expect(transferBetweenWallets).toHaveBeenCalledTimes(1);
+      expect(result).toEqual({ transferred: 1, failed: 0 });
+    });
+  });
+});
@@ -0,0 +1,273 @@
+/**
+ * SETTLEMENT UTILITY TESTS
+ * ========================
+ * Unit tests for daily settlement batches and payouts
+ */
+
+jest.mock("../../../models/settlementBatch.model", () => {
+  const SettlementBatch = jest.fn(function (data) {
+    Object.assign(this, data, {
+      _id: "batch123",
+      payout: { amount: 0, attempts: 0 },
+      statusHistory: [],
+    });
+    this.setStatus = jest.fn(function (status, note) {
+      this.status = status;
+      this.statusHistory.push({ status, note });
+    });
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  SettlementBatch.findOneAndUpdate = jest.fn();
+  SettlementBatch.find = jest.fn();
+  SettlementBatch.generateReference = jest.fn().mockReturnValue("STL-20251219-ABC123");
+  return SettlementBatch;
+});
+jest.mock("../../../models/transaction.model", () => {
+  const Transaction = jest.fn(function (data) {
+    Object.assign(this, data, { _id: "payout123" });
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  Transaction.updateMany = jest.fn();
+  Transaction.aggregate = jest.fn();
+  Transaction.distinct = jest.fn();
+  Transaction.LIVE = { livemode: { $ne: false } };
+  return Transaction;
+});
+jest.mock("../../../models/user.model");
+jest.mock("../../../models/bank.model");
+jest.mock("../../../utils/ledger", () => ({
+  recordTransfer: jest.fn().mockResolvedValue([]),
+  walletAccount: (user) => ({ account: "wallet", user }),
+  BANK_RESERVE: { account: "bank_reserve" },
+}));
+
+const mongoose = require("mongoose");
+
+const mockSession = {
+  startTransaction: jest.fn(),
+  commitTransaction: jest.fn(),
+  abortTransaction: jest.fn(),
+  endSession: jest.fn(),
+};
+
+jest.spyOn(mongoose, "startSession").mockImplementation(() => Promise.resolve(mockSession));
+
+const SettlementBatch = require("../../../models/settlementBatch.model");
+const Transaction = require("../../../models/transaction.model");
+const User = require("../../../models/user.model");
+const Bank = require("../../../models/bank.model");
+const { recordTransfer } = require("../../../utils/ledger");
+const { toDecimal128 } = require("../../../utils/money");
+const {
+  startOfDay,
+  createBatch,
+  createSettlementBatches,
+  payoutBatch,
+} = require("../../../utils/settlements");
+
+const DAY = new Date("2025-12-19T00:00:00.000Z");
+
+const withSession = (value) => ({ session: jest.fn().mockResolvedValue(value) });
+
+const makeBusiness = (balance, held = 0) => ({
+  _id: "business123",
+  businessInfo: { businessName: "Canteen" },
+  wallet: { balance: toDecimal128(balance * 100), heldBalance: toDecimal128(held * 100) },
+  save: jest.fn(),
+});
+
+const makeClaimedBatch = (payoutAmount) => ({
+  _id: "batch123",
+  reference: "STL-20251219-ABC123",
+  business: "business123",
+  status: "processing",
+  payout: { amount: payoutAmount, attempts: 1 },
+  statusHistory: [],
+  setStatus: jest.fn(function (status, note) {
+    this.status = status;
+    this.statusHistory.push({ status, note });
+  }),
+  save: jest.fn(),
+});
+
+describe("Settlement Utilities", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("startOfDay", () => {
+    test("should use UTC days", () => {
+      expect(startOfDay(new Date("2025-12-19T23:59:59.999Z"))).toEqual(DAY);
+    });
+  });
+
+  describe("createBatch", () => {
+    beforeEach(() => {
+      User.findById.mockReturnValue(withSession(makeBusiness(0)));
+    });
+
+    test("should mark unsettled transactions and total them", async () => {
+      Transaction.updateMany.mockResolvedValue({ modifiedCount: 3 });
+      Transaction.aggregate.mockReturnValue(withSession([
+        { _id: "payment", count: 2, total: toDecimal128(100000), fees: toDecimal128(1500) },
+        { _id: "refund", count: 1, total: toDecimal128(20000), fees: toDecimal128(300) },
+      ]));
+
+      const batch = await createBatch("business123", DAY);
+
+      const [filter, update] = Transaction.updateMany.mock.calls[0];
+      expect(filter).toMatchObject({
+        "merchant.businessId": "business123",
+        settlementBatch: null,
+        livemode: { $ne: false },
+        createdAt: { $lt: new Date("2025-12-20T00:00:00.000Z") },
+      });
+      expect(update).toEqual({ $set: { settlementBatch: "batch123" } });
+
+      expect(batch.grossAmount).toBe(1000);
+      expect(batch.refundAmount).toBe(200);
+      // Payment fees minus the fees given back with the refund
+      expect(batch.feeAmount).toBe(12);
+      expect(batch.netAmount).toBe(788);
+      expect(batch.payout.amount).toBe(788);
+      expect(batch.status).toBe("pending");
+      expect(batch.businessName).toBe("Canteen");
+      expect(batch.save).toHaveBeenCalledWith({ session: mockSession });
+      expect(mockSession.commitTransaction).toHaveBeenCalled();
+    });
+
+    test("should pay nothing out when refunds exceed payments", async () => {
+      Transaction.updateMany.mockResolvedValue({ modifiedCount: 1 });
+      Transaction.aggregate.mockReturnValue(withSession([
+        { _id: "refund", count: 1, total: toDecimal128(5000), fees: toDecimal128(0) },
+      ]));
+
+      const batch = await createBatch("business123", DAY);
+
+      expect(batch.netAmount).toBe(-50);
+      expect(batch.feeAmount).toBe(0);
+      expect(batch.payout.amount).toBe(0);
+    });
+
+    test("should not create a batch when nothing is unsettled", async () => {
+      Transaction.updateMany.mockResolvedValue({ modifiedCount: 0 });
+
+      const batch = await createBatch("business123", DAY);
+
+      expect(batch).toBeNull();
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+    });
+
+    test("should skip a business already settled for the day", async () => {
+      Transaction.updateMany.mockResolvedValue({ modifiedCount: 1 });
+      Transaction.aggregate.mockReturnValue(withSession([]));
+      SettlementBatch.mockImplementationOnce(function (data) {
+        Object.assign(this, data, { _id: "batch123", payout: {}, statusHistory: [] });
+        this.setStatus = jest.fn();
+        this.save = jest.fn().mockRejectedValue(Object.assign(new Error("duplicate"), { code: 11000 }));
+      });
+
+      const batch = await createBatch("business123", DAY);
+
+      expect(batch).toBeNull();
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+    });
+  });
+
+  describe("createSettlementBatches", () => {
+    test("should create one batch per business with unsettled transactions", async () => {
+      Transaction.distinct.mockResolvedValue(["business123", "business456"]);
+      User.findById.mockReturnValue(withSession(makeBusiness(0)));
+      Transaction.updateMany
+        .mockResolvedValueOnce({ modifiedCount: 1 })
+        .mockResolvedValueOnce({ modifiedCount: 0 });
+      Transaction.aggregate.mockReturnValue(withSession([
+        { _id: "payment", count: 1, total: toDecimal128(5000), fees: toDecimal128(0) },
+      ]));
+
+      const batches = await createSettlementBatches(new Date("2025-12-19T15:00:00.000Z"));
+
+      expect(Transaction.distinct).toHaveBeenCalledWith(
+        "merchant.businessId",
+        expect.objectContaining({ createdAt: { $lt: new Date("2025-12-20T00:00:00.000Z") } })
+      );
+      expect(batches).toHaveLength(1);
+      expect(batches[0].periodStart).toEqual(DAY);
+    });
+  });
+
+  describe("payoutBatch", () => {
+    let bank;
+
+    beforeEach(() => {
+      bank = { updateBalance: jest.fn() };
+      Bank.getOrCreateBank.mockResolvedValue(bank);
+    });
+
+    test("should move the payout from the business wallet to the bank reserve", async () => {
+      const batch = makeClaimedBatch(800);
+      const business = makeBusiness(1000);
+      SettlementBatch.findOneAndUpdate.mockResolvedValue(batch);
+      User.findById.mockReturnValue(withSession(business));
+
+      const outcome = await payoutBatch("batch123");
+
+      expect(SettlementBatch.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: "batch123", status: { $in: ["pending", "failed"] } },
+        expect.objectContaining({ $set: { status: "processing" } }),
+        { new: true }
+      );
+      expect(business.wallet.balance.toString()).toBe("200.00");
+      expect(bank.updateBalance).toHaveBeenCalledWith(800, "withdrawal", mockSession);
+      expect(Transaction).toHaveBeenCalledWith(expect.objectContaining({
+        type: "payout",
+        user: "business123",
+        amount: 800,
+        settlementBatch: "batch123",
+        balanceBefore: 1000,
+        balanceAfter: 200,
+      }));
+      expect(recordTransfer).toHaveBeenCalledWith(expect.objectContaining({
+        from: { account: "wallet", user: "business123" },
+        to: { account: "bank_reserve" },
+        amount: 800,
+      }));
+      expect(batch.status).toBe("paid");
+      expect(batch.payout.transaction).toBe("payout123");
+      expect(mockSession.commitTransaction).toHaveBeenCalled();
+      expect(outcome.error).toBeUndefined();
+    });
+
+    test("should fail the batch when the business spent the funds", async () => {
+      const batch = makeClaimedBatch(800);
+      SettlementBatch.findOneAndUpdate.mockResolvedValue(batch);
+      User.findById.mockReturnValue(withSession(makeBusiness(1000, 500)));
+
+      const outcome = await payoutBatch("batch123");
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(bank.updateBalance).not.toHaveBeenCalled();
+      expect(outcome.error).toBe("Insufficient available balance in the business wallet");
+      expect(batch.status).toBe("failed");
+      expect(batch.payout.failureReason).toBe(outcome.error);
+      expect(batch.save).toHaveBeenCalledWith();
+    });
+
+    test("should mark a batch with nothing to pay out as paid", async () => {
+      const batch = makeClaimedBatch(0);
+      SettlementBatch.findOneAndUpdate.mockResolvedValue(batch);
+
+      await payoutBatch("batch123");
+
+      expect(User.findById).not.toHaveBeenCalled();
+      expect(batch.status).toBe("paid");
+    });
+
+    test("should not pay out a batch that is already paid or processing", async () => {
+      SettlementBatch.findOneAndUpdate.mockResolvedValue(null);
+
+      expect(await payoutBatch("batch123")).toBeNull();
+      expect(mongoose.startSession).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * SPLIT PAYMENT UTILITY TESTS
+ * ===========================
+ * Unit tests for card charges split between several businesses
+ */
+
+jest.mock("../../../models/transaction.model");
+jest.mock("../../../models/user.model");
+jest.mock("../../../utils/ledger");
+jest.mock("../../../utils/fees", () => ({
+  ...jest.requireActual("../../../utils/fees"),
+  calculateFee: jest.fn(),
+  collectFee: jest.fn(),
+}));
+
+const Transaction = require("../../../models/transaction.model");
+const User = require("../../../models/user.model");
+const { recordTransferWithFee } = require("../../../utils/ledger");
+const { calculateFee, collectFee } = require("../../../utils/fees");
+const { toCents } = require("../../../utils/money");
+const { loadSplitBusinesses, paySplitCharge, recordSplitRefund } = require("../../../utils/splitPayments");
+
+const session = "session";
+
+const makeCustomer = (balance, heldBalance = 0) => ({
+  _id: "customer123",
+  wallet: { balance, heldBalance },
+  canSpend: jest.fn().mockReturnValue(true),
+  recordSpending: jest.fn(),
+  save: jest.fn(),
+});
+
+const makeBusiness = (id, balance, businessType = "food") => ({
+  _id: id,
+  accountType: "business",
+  businessInfo: { businessName: `Stall ${id}`, businessType, isVerified: true },
+  wallet: { balance },
+  save: jest.fn(),
+});
+
+describe("Split Payment Utilities", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    let count = 0;
+    Transaction.mockImplementation((data) => ({ ...data, _id: `txn${++count}`, save: jest.fn() }));
+    calculateFee.mockImplementation(async ({ amount }) => ({ feeCents: toCents(amount) / 100, schedule: null }));
+  });
+
+  describe("paySplitCharge", () => {
+    const initiator = { _id: "court123", businessInfo: { businessName: "Food Court" } };
+    const apiKey = { _id: "apikey123", recordTransaction: jest.fn(), save: jest.fn() };
+
+    test("should debit the customer once and credit each business minus its fee", async () => {
+      const customer = makeCustomer(1000);
+      const noodles = makeBusiness("stall1", 50);
+      const drinks = makeBusiness("stall2", 0);
+
+      const { parent, children, error } = await paySplitCharge({
+        customer,
+        initiator,
+        apiKey,
+        splits: [
+          { business: noodles, amount: 150, description: "Noodles" },
+          { business: drinks, amount: 100 },
+        ],
+        cardNumber: "4111111111111111",
+        description: "Food court order",
+        session,
+      });
+
+      expect(error).toBeUndefined();
+      expect(toCents(customer.wallet.balance)).toBe(75000);
+      expect(customer.save).toHaveBeenCalledTimes(1);
+      expect(customer.recordSpending).toHaveBeenCalledWith(250);
+      expect(apiKey.recordTransaction).toHaveBeenCalledWith(250);
+      // 1% fee in the mock schedule
+      expect(toCents(noodles.wallet.balance)).toBe(19850);
+      expect(toCents(drinks.wallet.balance)).toBe(9900);
+      expect(collectFee).toHaveBeenCalledWith(150, session);
+      expect(collectFee).toHaveBeenCalledWith(100, session);
+
+      expect(parent).toMatchObject({
+        type: "split_payment",
+        from: "customer123",
+        amount: 250,
+        merchant: { businessId: "court123", businessName: "Food Court", apiKeyId: "apikey123" },
+        fromBalanceBefore: 1000,
+        fromBalanceAfter: 750,
+      });
+      expect(parent.save).toHaveBeenCalledWith({ session });
+
+      expect(children).toHaveLength(2);
+      expect(children[0]).toMatchObject({
+        type: "payment",
+        to: "stall1",
+        amount: 150,
+        fee: 1.5,
+        split: { parent: parent._id, initiator: "court123" },
+        description: "Noodles",
+        fromBalanceBefore: 1000,
+        fromBalanceAfter: 850,
+      });
+      expect(children[1]).toMatchObject({
+        to: "stall2",
+        description: "Food court order",
+        fromBalanceBefore: 850,
+        fromBalanceAfter: 750,
+      });
+      expect(recordTransferWithFee).toHaveBeenCalledTimes(2);
+    });
+
+    test("should not charge anything when the available balance does not cover the total", async () => {
+      const customer = makeCustomer(300, 100);
+      const noodles = makeBusiness("stall1", 0);
+
+      const { error } = await paySplitCharge({
+        customer,
+        initiator,
+        apiKey,
+        splits: [
+          { business: noodles, amount: 150 },
+          { business: makeBusiness("stall2", 0), amount: 100 },
+        ],
+        cardNumber: "4111111111111111",
+        session,
+      });
+
+      expect(error).toEqual({ status: 400, code: "INSUFFICIENT_FUNDS", message: "Insufficient funds in card." });
+      expect(customer.save).not.toHaveBeenCalled();
+      expect(noodles.save).not.toHaveBeenCalled();
+      expect(Transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("loadSplitBusinesses", () => {
+    test("should not let the customer pay themselves", async () => {
+      const customerId = "64b000000000000000000001";
+      User.findById.mockReturnValue({
+        session: jest.fn().mockResolvedValue(makeBusiness({ toString: () => customerId }, 0)),
+      });
+
+      const { error } = await loadSplitBusinesses([{ businessId: customerId }], { _id: customerId }, session);
+
+      expect(error.code).toBe("INVALID_SPLIT_BUSINESS");
+    });
+
+    test("should not load the same business twice", async () => {
+      const businessId = "64b000000000000000000002";
+      User.findById.mockImplementation(() => ({
+        session: jest.fn().mockResolvedValue(makeBusiness({ toString: () => businessId }, 0)),
+      }));
+
+      const { businesses, error } = await loadSplitBusinesses(
+        [{ businessId }, { businessId: businessId.toUpperCase() }],
+        null,
+        session
+      );
+
+      expect(businesses).toBeUndefined();
+      expect(error.code).toBe("DUPLICATE_SPLIT_BUSINESS");
+    });
+  });
+
+  describe("recordSplitRefund", () => {
+    test("should mark the parent refunded once every split is refunded", async () => {
+      const parent = { amount: 250, refundedAmount: 150, status: "partially_refunded", save: jest.fn() };
+      Transaction.findById.mockReturnValue({ session: jest.fn().mockResolvedValue(parent) });
+
+      await recordSplitRefund({ split: { parent: "parent123" } }, 10000, session);
+
+      expect(Transaction.findById).toHaveBeenCalledWith("parent123");
+      expect(parent).toMatchObject({ refundedAmount: 250, status: "refunded" });
+      expect(parent.save).toHaveBeenCalledWith({ session });
+    });
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * STATEMENT UTILITY TESTS
+ * =======================
+ * Unit tests for account statements built from wallet postings
+ */
+
+jest.mock("../../../models/ledgerEntry.model");
+
+const LedgerEntry = require("../../../models/ledgerEntry.model");
+const {
+  MAX_STATEMENT_ENTRIES,
+  buildStatement,
+  statementToCsv,
+  statementToPdf,
+} = require("../../../utils/statements");
+
+const decimal = (value) => ({ toString: () => String(value) });
+
+const USER_ID = "64b000000000000000000001";
+
+const juan = {
+  _id: { toString: () => USER_ID },
+  fullName: { firstName: "Juan", lastName: "Cruz" },
+  email: "juan@smu.edu.ph",
+  accountType: "personal",
+};
+
+const ana = { _id: "64b000000000000000000002", fullName: { firstName: "Ana", lastName: "Reyes" }, accountType: "personal" };
+const cafe = { _id: "64b000000000000000000003", accountType: "business", businessInfo: { businessName: "Campus Cafe" } };
+
+const posting = (journalId, direction, amount, createdAt, transaction) => ({
+  journalId,
+  direction,
+  amount: decimal(amount),
+  createdAt: new Date(createdAt),
+  transaction,
+});
+
+const mockPostings = (postings) => {
+  const query = {
+    sort: jest.fn().mockReturnThis(),
+    limit: jest.fn().mockReturnThis(),
+    populate: jest.fn().mockResolvedValue(postings),
+  };
+  LedgerEntry.find.mockReturnValue(query);
+  return query;
+};
+
+describe("Statement Utilities", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    LedgerEntry.getBalances = jest.fn().mockResolvedValue([{ balance: 100 }]);
+  });
+
+  describe("buildStatement", () => {
+    test("should read postings of whole UTC days with the balance before the period", async () => {
+      const query = mockPostings([]);
+
+      const { statement } = await buildStatement(juan, { from: "2025-01-01", to: "2025-01-31" });
+
+      expect(LedgerEntry.getBalances).toHaveBeenCalledWith({
+        account: "wallet",
+        user: juan._id,
+        createdAt: { $lt: new Date("2025-01-01T00:00:00.000Z") },
+      });
+      expect(LedgerEntry.find).toHaveBeenCalledWith({
+        account: "wallet",
+        user: juan._id,
+        createdAt: { $gte: new Date("2025-01-01T00:00:00.000Z"), $lt: new Date("2025-02-01T00:00:00.000Z") },
+      });
+      expect(query.limit).toHaveBeenCalledWith(MAX_STATEMENT_ENTRIES + 1);
+      expect(statement.openingBalance).toBe(100);
+      expect(statement.closingBalance).toBe(100);
+      expect(statement.entries).toEqual([]);
+    });
+
+    test("should keep a running balance and totals by type and category", async () => {
+      mockPostings([
+        posting("j1", "debit", "500.00", "2025-01-02", { reference: "dep-1", type: "deposit", description: "Cash in" }),
+        posting("j2", "credit", "150.10", "2025-01-05", {
+          reference: "tr-1",
+          type: "transfer",
+          transactionCategory: "C2C",
+          description: "Dinner",
+          from: juan,
+          to: ana,
+        }),
+        posting("j3", "credit", "0.20", "2025-01-07", {
+          reference: "pay-1",
+          type: "payment",
+          transactionCategory: "B2C",
+          from: juan,
+          to: cafe,
+        }),
+        posting("j4", "debit", "50.00", "2025-01-09", {
+          reference: "tr-2",
+          type: "transfer",
+          transactionCategory: "C2C",
+          from: ana,
+          to: juan,
+        }),
+      ]);
+
+      const { statement } = await buildStatement(juan, { from: "2025-01-01", to: "2025-01-31" });
+
+      expect(statement.entries.map((entry) => entry.balance)).toEqual([600, 449.9, 449.7, 499.7]);
+      expect(statement.entries[1]).toMatchObject({
+        reference: "tr-1",
+        category: "C2C",
+        counterparty: "Ana Reyes",
+        moneyIn: 0,
+        moneyOut: 150.1,
+      });
+      expect(statement.entries[2].counterparty).toBe("Campus Cafe");
+      expect(statement.closingBalance).toBe(499.7);
+      expect(statement.moneyIn).toBe(550);
+      expect(statement.moneyOut).toBe(150.3);
+      expect(statement.totals.byType).toEqual({
+        deposit: { count: 1, moneyIn: 500, moneyOut: 0 },
+        transfer: { count: 2, moneyIn: 50, moneyOut: 150.1 },
+        payment: { count: 1, moneyIn: 0, moneyOut: 0.2 },
+      });
+      expect(statement.totals.byCategory).toEqual({
+        C2C: { count: 2, moneyIn: 50, moneyOut: 150.1 },
+        B2C: { count: 1, moneyIn: 0, moneyOut: 0.2 },
+      });
+    });
+
+    test("should show the opening journal as its own line", async () => {
+      LedgerEntry.getBalances.mockResolvedValue([]);
+      mockPostings([{ ...posting("j0", "debit", "25.00", "2025-01-01"), description: "Opening balances" }]);
+
+      const { statement } = await buildStatement(juan, { from: "2025-01-01", to: "2025-01-01" });
+
+      expect(statement.openingBalance).toBe(0);
+      expect(statement.entries[0]).toMatchObject({
+        type: "opening_balance",
+        reference: null,
+        description: "Opening balances",
+        balance: 25,
+      });
+    });
+
+    test("should refuse a period with too many postings", async () => {
+      mockPostings(new Array(MAX_STATEMENT_ENTRIES + 1).fill(posting("j1", "debit", "1.00", "2025-01-02")));
+
+      const result = await buildStatement(juan, { from: "2025-01-01", to: "2025-12-31" });
+
+      expect(result.statement).toBeUndefined();
+      expect(result.error).toMatch(/too many transactions/);
+    });
+  });
+
+  describe("statement files", () => {
+    const statement = {
+      account: { name: "Juan Cruz", email: "juan@smu.edu.ph", accountType: "personal" },
+      currency: "PHP",
+      period: { from: "2025-01-01", to: "2025-01-31" },
+      openingBalance: 100,
+      closingBalance: 1049.5,
+      moneyIn: 1000,
+      moneyOut: 50.5,
+      totals: {
+        byType: { transfer: { count: 1, moneyIn: 0, moneyOut: 50.5 } },
+        byCategory: { C2C: { count: 1, moneyIn: 0, moneyOut: 50.5 } },
+      },
+      entries: [
+        {
+          date: new Date("2025-01-05T08:00:00.000Z"),
+          reference: "tr-1",
+          type: "transfer",
+          category: "C2C",
+          description: '=HYPERLINK("http://evil")',
+          counterparty: "Reyes, Ana",
+          moneyIn: 0,
+          moneyOut: 50.5,
+          balance: 1049.5,
+        },
+      ],
+      generatedAt: new Date("2025-02-01T00:00:00.000Z"),
+    };
+
+    test("should write CSV rows that spreadsheets do not run as formulas", () => {
+      const csv = statementToCsv(statement);
+
+      expect(csv).toContain("Opening Balance,100.00\r\n");
+      expect(csv).toContain(
+        '2025-01-05T08:00:00.000Z,tr-1,transfer,C2C,"\'=HYPERLINK(""http://evil"")","Reyes, Ana",,50.50,1049.50\r\n'
+      );
+      expect(csv).toContain("Totals by Category\r\nCategory,Count,Money In,Money Out\r\nC2C,1,0.00,50.50\r\n");
+    });
+
+    test("should write a PDF document", () => {
+      const pdf = statementToPdf(statement).toString("latin1");
+
+      expect(pdf.startsWith("%PDF-1.4")).toBe(true);
+      expect(pdf).toContain("Closing balance:  PHP 1,049.50");
+      expect(pdf.trimEnd().endsWith("%%EOF")).toBe(true);
+    });
+  });
+});
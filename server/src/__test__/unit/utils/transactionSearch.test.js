@@ -0,0 +1,214 @@
+/**
+ * TRANSACTION SEARCH UTILITY TESTS
+ * ================================
+ * Unit tests for transaction filters, sorts and cursor pagination
+ */
+
+jest.mock("../../../models/transaction.model");
+jest.mock("../../../utils/recipients");
+
+const mongoose = require("mongoose");
+const Transaction = require("../../../models/transaction.model");
+const { findRecipient } = require("../../../utils/recipients");
+const { parseTransactionSearch, searchTransactions, encodeCursor } = require("../../../utils/transactionSearch");
+
+const TX_1 = "64b000000000000000000001";
+const TX_2 = "64b000000000000000000002";
+const TX_3 = "64b000000000000000000003";
+
+const mockFind = (transactions) => {
+  const query = {
+    sort: jest.fn().mockReturnThis(),
+    skip: jest.fn().mockReturnThis(),
+    limit: jest.fn().mockReturnThis(),
+    populate: jest.fn().mockReturnThis(),
+    then: (resolve, reject) => Promise.resolve(transactions).then(resolve, reject),
+  };
+  Transaction.find.mockReturnValue(query);
+  return query;
+};
+
+describe("Transaction Search Utilities", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    Transaction.TYPES = ["deposit", "withdraw", "transfer", "payment", "refund", "payout", "split_payment"];
+    Transaction.CATEGORIES = ["B2B", "B2C", "C2C"];
+    Transaction.STATUSES = ["pending", "completed", "failed", "partially_refunded", "refunded", "voided", "expired"];
+    Transaction.PAYMENT_METHODS = ["wallet", "card", "api", "qr"];
+  });
+
+  describe("parseTransactionSearch", () => {
+    test("should default to the newest 20 transactions", () => {
+      const { search } = parseTransactionSearch({});
+
+      expect(search).toEqual({
+        conditions: [],
+        counterparty: null,
+        sort: "-createdAt",
+        limit: 20,
+        page: null,
+        cursor: null,
+      });
+    });
+
+    test("should accept several values of a filter", () => {
+      const { search } = parseTransactionSearch({ type: "payment,refund", status: "completed" });
+
+      expect(search.conditions).toEqual([
+        { type: { $in: ["payment", "refund"] } },
+        { status: "completed" },
+      ]);
+    });
+
+    test("should reject an unknown value", () => {
+      const { error } = parseTransactionSearch({ paymentMethod: "cash" });
+
+      expect(error).toBe("paymentMethod must be one or more of: wallet, card, api, qr");
+    });
+
+    test("should include the whole last day of a date range", () => {
+      const { search } = parseTransactionSearch({ startDate: "2025-01-01", endDate: "2025-01-31" });
+
+      expect(search.conditions).toEqual([
+        { createdAt: { $gte: new Date("2025-01-01T00:00:00.000Z"), $lt: new Date("2025-02-01T00:00:00.000Z") } },
+      ]);
+    });
+
+    test("should filter amounts as exact decimals", () => {
+      const { search } = parseTransactionSearch({ minAmount: "100", maxAmount: "250.5" });
+
+      expect(search.conditions[0].amount.$gte.toString()).toBe("100.00");
+      expect(search.conditions[0].amount.$lte.toString()).toBe("250.50");
+    });
+
+    test("should reject an amount range that ends below its start", () => {
+      const { error } = parseTransactionSearch({ minAmount: "300", maxAmount: "250" });
+
+      expect(error).toBe("minAmount cannot be greater than maxAmount");
+    });
+
+    test("should search descriptions as text, not as a pattern", () => {
+      const { search } = parseTransactionSearch({ q: "Coffee (large)" });
+
+      expect(search.conditions[0].$or[0]).toEqual({
+        description: { $regex: "Coffee \\(large\\)", $options: "i" },
+      });
+    });
+
+    test("should find a merchant by ID or by part of its name", () => {
+      expect(parseTransactionSearch({ merchant: TX_1 }).search.conditions).toEqual([
+        { "merchant.businessId": TX_1 },
+      ]);
+      expect(parseTransactionSearch({ merchant: "cafe" }).search.conditions).toEqual([
+        { "merchant.businessName": { $regex: "cafe", $options: "i" } },
+      ]);
+    });
+
+    test("should reject a cursor returned with another sort", () => {
+      const cursor = encodeCursor("-amount", { amount: 150, _id: TX_1 });
+
+      const { error } = parseTransactionSearch({ sort: "-createdAt", cursor });
+
+      expect(error).toMatch(/Invalid cursor/);
+    });
+
+    test("should reject page and cursor together", () => {
+      const cursor = encodeCursor("-createdAt", { createdAt: new Date(), _id: TX_1 });
+
+      const { error } = parseTransactionSearch({ page: "2", cursor });
+
+      expect(error).toBe("Use either page or cursor, not both");
+    });
+  });
+
+  describe("searchTransactions", () => {
+    const scope = { "merchant.businessId": "business123" };
+
+    test("should return a cursor when there is a next page", async () => {
+      const transactions = [
+        { _id: TX_3, createdAt: new Date("2025-01-03T00:00:00.000Z") },
+        { _id: TX_2, createdAt: new Date("2025-01-02T00:00:00.000Z") },
+        { _id: TX_1, createdAt: new Date("2025-01-01T00:00:00.000Z") },
+      ];
+      const query = mockFind(transactions);
+      const { search } = parseTransactionSearch({ limit: "2" });
+
+      const result = await searchTransactions(scope, search);
+
+      expect(Transaction.find).toHaveBeenCalledWith({ $and: [scope] });
+      expect(query.sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+      expect(query.limit).toHaveBeenCalledWith(3);
+      expect(result.transactions).toHaveLength(2);
+      expect(result.pagination).toEqual({
+        limit: 2,
+        sort: "-createdAt",
+        hasNextPage: true,
+        nextCursor: encodeCursor("-createdAt", transactions[1]),
+      });
+    });
+
+    test("should continue strictly after the cursor", async () => {
+      mockFind([]);
+      const last = { _id: TX_2, createdAt: new Date("2025-01-02T00:00:00.000Z") };
+      const { search } = parseTransactionSearch({ cursor: encodeCursor("-createdAt", last) });
+
+      const result = await searchTransactions(scope, search);
+
+      expect(Transaction.find).toHaveBeenCalledWith({
+        $and: [
+          scope,
+          {
+            $or: [
+              { createdAt: { $lt: last.createdAt } },
+              { createdAt: last.createdAt, _id: { $lt: new mongoose.Types.ObjectId(TX_2) } },
+            ],
+          },
+        ],
+      });
+      expect(result.pagination.nextCursor).toBeNull();
+    });
+
+    test("should count pages with offset pagination", async () => {
+      const query = mockFind([{ _id: TX_1 }]);
+      Transaction.countDocuments.mockResolvedValue(45);
+      const { search } = parseTransactionSearch({ page: "3", limit: "20" });
+
+      const result = await searchTransactions(scope, search, { populate: [["from", "fullName"]] });
+
+      expect(query.skip).toHaveBeenCalledWith(40);
+      expect(query.populate).toHaveBeenCalledWith("from", "fullName");
+      expect(result.pagination).toEqual({
+        page: 3,
+        limit: 20,
+        sort: "-createdAt",
+        total: 45,
+        totalPages: 3,
+        hasNextPage: false,
+      });
+    });
+
+    test("should match transactions of the counterparty on either side", async () => {
+      mockFind([]);
+      findRecipient.mockResolvedValue({ _id: TX_1 });
+      const { search } = parseTransactionSearch({ counterparty: "@ana_reyes" });
+
+      await searchTransactions(scope, search);
+
+      expect(findRecipient).toHaveBeenCalledWith("@ana_reyes");
+      expect(Transaction.find).toHaveBeenCalledWith({
+        $and: [scope, { $or: [{ user: TX_1 }, { from: TX_1 }, { to: TX_1 }] }],
+      });
+    });
+
+    test("should find nothing for an unknown counterparty", async () => {
+      findRecipient.mockResolvedValue(null);
+      const { search } = parseTransactionSearch({ counterparty: "nobody@smu.edu.ph" });
+
+      const result = await searchTransactions(scope, search);
+
+      expect(Transaction.find).not.toHaveBeenCalled();
+      expect(result.transactions).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * TRANSFER UTILITY TESTS
+ * ======================
+ * Unit tests for wallet-to-wallet transfers
+ */
+
+jest.mock("../../../models/transaction.model");
+jest.mock("../../../models/user.model");
+jest.mock("../../../utils/ledger");
+jest.mock("../../../utils/fees", () => ({
+  ...jest.requireActual("../../../utils/fees"),
+  calculateFee: jest.fn(),
+  collectFee: jest.fn(),
+}));
+
+const Transaction = require("../../../models/transaction.model");
+const { recordTransferWithFee } = require("../../../utils/ledger");
+const { calculateFee, collectFee } = require("../../../utils/fees");
+const { toCents } = require("../../../utils/money");
+const { transferBetweenWallets } = require("../../../utils/transfers");
+
+const session = "session";
+
+const makeUser = (id, balance, heldBalance = 0) => ({
+  _id: id,
+  wallet: { balance, heldBalance },
+  save: jest.fn(),
+});
+
+describe("Transfer Utilities", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    Transaction.mockImplementation((data) => ({ ...data, save: jest.fn() }));
+    calculateFee.mockResolvedValue({ feeCents: 1500, schedule: { _id: "schedule123" } });
+  });
+
+  describe("transferBetweenWallets", () => {
+    test("should move the amount and charge the fee to the sender", async () => {
+      const fromUser = makeUser("customer123", 1000);
+      const toUser = makeUser("business123", 200);
+
+      const { transaction, error } = await transferBetweenWallets({
+        fromUser,
+        toUser,
+        amount: 560,
+        transactionCategory: "B2C",
+        description: "Invoice INV-1",
+        invoice: "invoice123",
+        session,
+      });
+
+      expect(error).toBeUndefined();
+      expect(toCents(fromUser.wallet.balance)).toBe(42500);
+      expect(toCents(toUser.wallet.balance)).toBe(76000);
+      expect(collectFee).toHaveBeenCalledWith(1500, session);
+      expect(transaction).toMatchObject({
+        type: "transfer",
+        from: "customer123",
+        to: "business123",
+        amount: 560,
+        fee: 15,
+        feeSchedule: "schedule123",
+        invoice: "invoice123",
+        description: "Invoice INV-1",
+      });
+      expect(transaction.save).toHaveBeenCalledWith({ session });
+      expect(recordTransferWithFee).toHaveBeenCalledWith(expect.objectContaining({
+        amount: 560,
+        fee: 15,
+        feePaidBy: "sender",
+        transaction,
+      }));
+    });
+
+    test("should not transfer held funds", async () => {
+      const fromUser = makeUser("customer123", 1000, 500);
+      const toUser = makeUser("business123", 200);
+
+      const { error } = await transferBetweenWallets({
+        fromUser,
+        toUser,
+        amount: 490,
+        transactionCategory: "C2C",
+        session,
+      });
+
+      expect(error).toEqual({ status: 400, message: "Insufficient funds to cover the amount and fee" });
+      expect(fromUser.save).not.toHaveBeenCalled();
+      expect(recordTransferWithFee).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * WEBHOOK UTILITY TESTS
+ * =====================
+ * Unit tests for webhook signing and delivery
+ * Deliveries are sent to a local HTTP receiver
+ */
+
+const http = require("http");
+
+jest.mock("../../../models/webhookEndpoint.model");
+jest.mock("../../../models/webhookDelivery.model");
+
+const WebhookEndpoint = require("../../../models/webhookEndpoint.model");
+const {
+  WEBHOOK_MAX_ATTEMPTS,
+  buildSignatureHeader,
+  verifySignatureHeader,
+  getRetryDelay,
+  attemptDelivery,
+} = require("../../../utils/webhooks");
+
+const SECRET = "whsec_test_secret";
+
+describe("Webhook Utilities", () => {
+  describe("Signatures", () => {
+    test("should verify a signature it built", () => {
+      const body = JSON.stringify({ id: "evt_1", type: "payment.completed" });
+      const header = buildSignatureHeader(SECRET, body);
+
+      expect(header).toMatch(/^t=\d+,v1=[a-f0-9]{64}$/);
+      expect(verifySignatureHeader(header, SECRET, body)).toBe(true);
+    });
+
+    test("should reject a tampered body or wrong secret", () => {
+      const body = JSON.stringify({ amount: 10 });
+      const header = buildSignatureHeader(SECRET, body);
+
+      expect(verifySignatureHeader(header, SECRET, JSON.stringify({ amount: 1000 }))).toBe(false);
+      expect(verifySignatureHeader(header, "whsec_other", body)).toBe(false);
+    });
+
+    test("should reject timestamps outside the tolerance", () => {
+      const body = "{}";
+      const oldTimestamp = Math.floor(Date.now() / 1000) - 600;
+      const header = buildSignatureHeader(SECRET, body, oldTimestamp);
+
+      expect(verifySignatureHeader(header, SECRET, body)).toBe(false);
+      expect(verifySignatureHeader(header, SECRET, body, 900)).toBe(true);
+    });
+
+    test("should reject malformed headers", () => {
+      expect(verifySignatureHeader(undefined, SECRET, "{}")).toBe(false);
+      expect(verifySignatureHeader("garbage", SECRET, "{}")).toBe(false);
+      expect(verifySignatureHeader("t=123", SECRET, "{}")).toBe(false);
+    });
+  });
+
+  describe("getRetryDelay", () => {
+    test("should double the delay after every attempt", () => {
+      expect(getRetryDelay(2)).toBe(getRetryDelay(1) * 2);
+      expect(getRetryDelay(3)).toBe(getRetryDelay(1) * 4);
+    });
+  });
+
+  describe("attemptDelivery", () => {
+    let server;
+    let url;
+    let received;
+    let responseStatus;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+          received.push({ headers: req.headers, body });
+          res.statusCode = responseStatus;
+          res.end();
+        });
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      url = `http://127.0.0.1:${server.address().port}/webhooks`;
+    });
+
+    afterAll(async () => {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      received = [];
+      responseStatus = 200;
+
+      WebhookEndpoint.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ _id: "endpoint123", url, secret: SECRET, isActive: true }),
+      });
+    });
+
+    const buildDelivery = (overrides = {}) => ({
+      _id: "delivery123",
+      endpoint: "endpoint123",
+      eventId: "evt_123",
+      event: "payment.completed",
+      payload: { id: "evt_123", type: "payment.completed", data: { amount: 25 } },
+      status: "pending",
+      attempts: 0,
+      attemptLog: [],
+      save: jest.fn().mockResolvedValue(true),
+      ...overrides,
+    });
+
+    test("should POST a signed payload and mark the delivery succeeded", async () => {
+      const delivery = buildDelivery();
+
+      await attemptDelivery(delivery);
+
+      expect(received).toHaveLength(1);
+      const [request] = received;
+      expect(JSON.parse(request.body)).toEqual(delivery.payload);
+      expect(request.headers["x-webhook-id"]).toBe("evt_123");
+      expect(request.headers["x-webhook-event"]).toBe("payment.completed");
+      expect(verifySignatureHeader(request.headers["x-webhook-signature"], SECRET, request.body)).toBe(true);
+
+      expect(delivery.status).toBe("succeeded");
+      expect(delivery.attempts).toBe(1);
+      expect(delivery.deliveredAt).toBeInstanceOf(Date);
+      expect(delivery.attemptLog[0].statusCode).toBe(200);
+      expect(delivery.save).toHaveBeenCalled();
+    });
+
+    test("should schedule a retry when the receiver fails", async () => {
+      responseStatus = 500;
+      const delivery = buildDelivery();
+      const before = Date.now();
+
+      await attemptDelivery(delivery);
+
+      expect(delivery.status).toBe("pending");
+      expect(delivery.attempts).toBe(1);
+      expect(delivery.attemptLog[0].statusCode).toBe(500);
+      expect(delivery.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + getRetryDelay(1));
+    });
+
+    test("should mark the delivery failed after the last attempt", async () => {
+      responseStatus = 503;
+      const delivery = buildDelivery({ attempts: WEBHOOK_MAX_ATTEMPTS - 1 });
+
+      await attemptDelivery(delivery);
+
+      expect(delivery.status).toBe("failed");
+      expect(delivery.attempts).toBe(WEBHOOK_MAX_ATTEMPTS);
+    });
+
+    test("should record connection errors", async () => {
+      WebhookEndpoint.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ url: "http://127.0.0.1:1/closed", secret: SECRET, isActive: true }),
+      });
+      const delivery = buildDelivery();
+
+      await attemptDelivery(delivery);
+
+      expect(delivery.status).toBe("pending");
+      expect(delivery.attemptLog[0].error).toBeDefined();
+      expect(delivery.attemptLog[0].statusCode).toBeUndefined();
+    });
+
+    test("should fail without sending when the endpoint is disabled", async () => {
+      WebhookEndpoint.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ url, secret: SECRET, isActive: false }),
+      });
+      const delivery = buildDelivery();
+
+      await attemptDelivery(delivery);
+
+      expect(received).toHaveLength(0);
+      expect(delivery.status).toBe("failed");
+    });
+  });
+});
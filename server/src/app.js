@@ -36,7 +36,15 @@ app.use(hpp()); // Prevent HTTP Parameter Pollution
 app.use(dynamicCors);
 
 // 3. Global Middleware
-app.use(express.json({ limit: "10mb" })); // Parse JSON bodies with size limit
+app.use(express.json({
+  limit: "10mb", // Parse JSON bodies with size limit
+  // Keep the exact bytes of public API bodies for request signature checks
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith("/api/v1/public")) {
+      req.rawBody = buf.toString("utf8");
+    }
+  },
+}));
 app.use(express.urlencoded({ extended: true, limit: "10mb" })); // Parse URL-encoded bodies
 app.use(sanitize); // SECURITY: Sanitize all inputs to prevent XSS attacks
 app.use(logger); // Log every request
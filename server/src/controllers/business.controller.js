@@ -12,6 +12,11 @@ const User = require("../models/user.model");
 const APIKey = require("../models/apiKey.model");
 const jwt = require("jsonwebtoken");
 const { maskCardNumber } = require("../utils/cardGenerator");
+const { enqueueEvent, dispatchDeliveries } = require("../utils/webhooks");
+const { toCents, fromCents } = require("../utils/money");
+const { rotateAPIKey: rotateKey, MAX_ROTATION_GRACE_HOURS } = require("../utils/apiKeyRotation");
+const { generateSigningSecret, SIGNATURE_TOLERANCE_SECONDS } = require("../utils/requestSigning");
+const { parseIPEntry, MAX_IP_WHITELIST_ENTRIES } = require("../utils/ipAllowlist");
 
 /**
  * Register a new business account
@@ -280,11 +285,20 @@ const listAPIKeys = async (req, res, next) => {
         allowedOrigins: key.allowedOrigins || [],
         environment: key.environment,
         isActive: key.isActive,
+        rateLimit: key.rateLimit,
+        requestSigning: {
+          enabled: key.requestSigning?.enabled || false,
+          enabledAt: key.requestSigning?.enabledAt || null,
+        },
         usage: {
           totalRequests: key.usage.totalRequests,
           lastUsed: key.usage.lastUsed,
         },
         createdAt: key.createdAt,
+        expiresAt: key.expiresAt || null,
+        rotatedAt: key.rotatedAt || null,
+        rotatedTo: key.rotatedTo || null,
+        rotatedFrom: key.rotatedFrom || null,
         revokedAt: key.revokedAt,
       })),
     });
@@ -324,6 +338,16 @@ const revokeAPIKey = async (req, res, next) => {
 
     await apiKey.revoke(reason || "Revoked by user");
 
+    // Notify the business's webhook endpoints
+    const webhookDeliveries = await enqueueEvent(userId, "api_key.revoked", {
+      keyId: apiKey._id,
+      keyPrefix: apiKey.keyPrefix,
+      name: apiKey.name,
+      reason: apiKey.revokedReason,
+      revokedAt: apiKey.revokedAt,
+    });
+    dispatchDeliveries(webhookDeliveries);
+
     res.status(200).json({
       success: true,
       message: "API key revoked successfully",
@@ -338,6 +362,190 @@ const revokeAPIKey = async (req, res, next) => {
   }
 };
 
+/**
+ * Rotate an API key
+ * POST /api/business/api-keys/:keyId/rotate
+ * Body: { gracePeriodHours? } - how long the old key keeps working (default 24)
+ */
+const rotateAPIKey = async (req, res, next) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const userId = req.user.id;
+    const { keyId } = req.params;
+    const { gracePeriodHours } = req.body;
+
+    if (
+      gracePeriodHours !== undefined &&
+      (typeof gracePeriodHours !== "number" ||
+        !Number.isFinite(gracePeriodHours) ||
+        gracePeriodHours < 0 ||
+        gracePeriodHours > MAX_ROTATION_GRACE_HOURS)
+    ) {
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: `gracePeriodHours must be a number between 0 and ${MAX_ROTATION_GRACE_HOURS}`,
+      });
+    }
+
+    session.startTransaction();
+
+    const apiKey = await APIKey.findOne({
+      _id: keyId,
+      business: userId,
+    })
+      .select("+requestSigning.secret")
+      .session(session);
+
+    if (!apiKey) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: "API key not found",
+      });
+    }
+
+    if (!apiKey.isActive) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: "Cannot rotate a revoked API key",
+      });
+    }
+
+    if (apiKey.rotatedTo) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json({
+        success: false,
+        message: "API key has already been rotated. Rotate its replacement key instead.",
+      });
+    }
+
+    const rotation = await rotateKey(apiKey, { gracePeriodHours, session });
+
+    if (!rotation) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json({
+        success: false,
+        message: "API key has already been rotated. Rotate its replacement key instead.",
+      });
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+    const { apiKey: newKey, plainKey, oldKey } = rotation;
+
+    res.status(201).json({
+      success: true,
+      message: "API key rotated successfully. Save the new key securely - it won't be shown again.",
+      data: {
+        key: plainKey, // Only shown once!
+        id: newKey._id,
+        keyPrefix: newKey.keyPrefix,
+        name: newKey.name,
+        permissions: newKey.permissions,
+        allowedOrigins: newKey.allowedOrigins,
+        environment: newKey.environment,
+        createdAt: newKey.createdAt,
+        previousKey: {
+          id: oldKey._id,
+          keyPrefix: oldKey.keyPrefix,
+          expiresAt: oldKey.expiresAt,
+        },
+      },
+    });
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    session.endSession();
+    next(error);
+  }
+};
+
+/**
+ * Turn HMAC request signing on or off for an API key
+ * PUT /api/business/api-keys/:keyId/signing
+ * Body: { enabled: boolean, regenerateSecret?: boolean }
+ * The signing secret is returned once, when signing is enabled or the secret regenerated.
+ */
+const updateKeySigning = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { keyId } = req.params;
+    const { enabled, regenerateSecret = false } = req.body;
+
+    if (typeof enabled !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "enabled must be true or false",
+      });
+    }
+
+    const apiKey = await APIKey.findOne({
+      _id: keyId,
+      business: userId,
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found",
+      });
+    }
+
+    if (!apiKey.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot modify a revoked API key",
+      });
+    }
+
+    if (enabled && apiKey.requestSigning?.enabled && !regenerateSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "Request signing is already enabled. Set regenerateSecret to issue a new secret.",
+      });
+    }
+
+    let secret = null;
+
+    if (enabled) {
+      secret = generateSigningSecret();
+      apiKey.set("requestSigning", { enabled: true, secret, enabledAt: new Date() });
+    } else {
+      apiKey.set("requestSigning", { enabled: false, secret: undefined, enabledAt: undefined });
+    }
+
+    await apiKey.save();
+
+    res.status(200).json({
+      success: true,
+      message: enabled
+        ? "Request signing enabled. Save the signing secret securely - it won't be shown again."
+        : "Request signing disabled",
+      data: {
+        keyId: apiKey._id,
+        keyPrefix: apiKey.keyPrefix,
+        requestSigning: {
+          enabled,
+          enabledAt: apiKey.requestSigning.enabledAt || null,
+          toleranceSeconds: SIGNATURE_TOLERANCE_SECONDS,
+          ...(secret && { secret }), // Only shown once!
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get business profile with card details
  * GET /api/business/profile
@@ -370,7 +578,7 @@ const getBusinessProfile = async (req, res, next) => {
         accountType: user.accountType,
         businessInfo: user.businessInfo,
         wallet: {
-          balance: parseFloat(user.wallet.balance.toString()),
+          balance: fromCents(toCents(user.wallet.balance)),
           currency: user.wallet.currency,
         },
         apiKeyCount,
@@ -472,7 +680,7 @@ const getVerifiedBusinesses = async (req, res, next) => {
         fullName: b.fullName,
         email: b.email,
         businessInfo: b.businessInfo,
-        balance: parseFloat(b.wallet.balance.toString()),
+        balance: fromCents(toCents(b.wallet.balance)),
         createdAt: b.createdAt,
       })),
     });
@@ -481,6 +689,105 @@ const getVerifiedBusinesses = async (req, res, next) => {
   }
 };
 
+/**
+ * List a business's API keys with their rate limits (admin only)
+ * GET /api/business/:businessId/api-keys
+ */
+const getBusinessAPIKeys = async (req, res, next) => {
+  try {
+    const { businessId } = req.params;
+
+    const apiKeys = await APIKey.find({ business: businessId })
+      .select("-keyHash")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      data: apiKeys.map((key) => ({
+        id: key._id,
+        keyPrefix: key.keyPrefix,
+        name: key.name,
+        environment: key.environment,
+        isActive: key.isActive,
+        rateLimit: key.rateLimit,
+        usage: {
+          totalRequests: key.usage.totalRequests,
+          dailyRequests: key.usage.dailyRequests,
+          lastUsed: key.usage.lastUsed,
+        },
+        createdAt: key.createdAt,
+        expiresAt: key.expiresAt || null,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change an API key's rate limits (admin only)
+ * PUT /api/business/api-keys/:keyId/rate-limit
+ * Body: { requestsPerMinute?, requestsPerDay? }
+ */
+const updateKeyRateLimit = async (req, res, next) => {
+  try {
+    const { keyId } = req.params;
+    const updates = {};
+
+    for (const field of Object.keys(APIKey.RATE_LIMIT_BOUNDS)) {
+      if (req.body[field] === undefined) continue;
+
+      const value = req.body[field];
+      const { min, max } = APIKey.RATE_LIMIT_BOUNDS[field];
+      if (!Number.isInteger(value) || value < min || value > max) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be a whole number between ${min} and ${max}`,
+        });
+      }
+      updates[field] = value;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Provide requestsPerMinute and/or requestsPerDay",
+      });
+    }
+
+    const apiKey = await APIKey.findById(keyId);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found",
+      });
+    }
+
+    for (const [field, value] of Object.entries(updates)) {
+      apiKey.set(`rateLimit.${field}`, value);
+    }
+    await apiKey.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Rate limits updated successfully",
+      data: {
+        keyId: apiKey._id,
+        keyPrefix: apiKey.keyPrefix,
+        business: apiKey.business,
+        rateLimit: {
+          requestsPerMinute: apiKey.rateLimit.requestsPerMinute,
+          requestsPerDay: apiKey.rateLimit.requestsPerDay,
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // ============================================
 // CORS / ALLOWED ORIGINS MANAGEMENT
 // ============================================
@@ -751,18 +1058,286 @@ const removeKeyOrigin = async (req, res, next) => {
   }
 };
 
+// ============================================
+// IP WHITELIST MANAGEMENT
+// ============================================
+
+/**
+ * Get the IP whitelist of an API key
+ * GET /api/business/api-keys/:keyId/ips
+ */
+const getKeyIPs = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { keyId } = req.params;
+
+    const apiKey = await APIKey.findOne({
+      _id: keyId,
+      business: userId,
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        keyId: apiKey._id,
+        keyPrefix: apiKey.keyPrefix,
+        name: apiKey.name,
+        environment: apiKey.environment,
+        ipWhitelist: apiKey.ipWhitelist || [],
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update the IP whitelist of an API key (replace all)
+ * PUT /api/business/api-keys/:keyId/ips
+ * An empty list allows requests from any IP.
+ */
+const updateKeyIPs = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { keyId } = req.params;
+    const { ips } = req.body;
+
+    if (!Array.isArray(ips)) {
+      return res.status(400).json({
+        success: false,
+        message: "IPs must be an array of IP addresses or CIDR ranges",
+      });
+    }
+
+    // Validate and normalize all entries, dropping duplicates
+    const entries = [];
+    for (const ip of ips) {
+      const parsed = parseIPEntry(ip);
+      if (!parsed.valid) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error,
+        });
+      }
+      if (!entries.includes(parsed.entry)) {
+        entries.push(parsed.entry);
+      }
+    }
+
+    if (entries.length > MAX_IP_WHITELIST_ENTRIES) {
+      return res.status(400).json({
+        success: false,
+        message: `An API key can have at most ${MAX_IP_WHITELIST_ENTRIES} IP whitelist entries`,
+      });
+    }
+
+    const apiKey = await APIKey.findOne({
+      _id: keyId,
+      business: userId,
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found",
+      });
+    }
+
+    if (!apiKey.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot modify a revoked API key",
+      });
+    }
+
+    apiKey.ipWhitelist = entries;
+    await apiKey.save();
+
+    res.status(200).json({
+      success: true,
+      message: "IP whitelist updated successfully",
+      data: {
+        keyId: apiKey._id,
+        keyPrefix: apiKey.keyPrefix,
+        ipWhitelist: apiKey.ipWhitelist,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add an IP address or CIDR range to an API key's whitelist
+ * POST /api/business/api-keys/:keyId/ips
+ */
+const addKeyIP = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { keyId } = req.params;
+    const { ip } = req.body;
+
+    if (!ip) {
+      return res.status(400).json({
+        success: false,
+        message: "IP address or CIDR range is required",
+      });
+    }
+
+    const parsed = parseIPEntry(ip);
+    if (!parsed.valid) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error,
+      });
+    }
+
+    const apiKey = await APIKey.findOne({
+      _id: keyId,
+      business: userId,
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found",
+      });
+    }
+
+    if (!apiKey.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot modify a revoked API key",
+      });
+    }
+
+    if (apiKey.ipWhitelist.includes(parsed.entry)) {
+      return res.status(400).json({
+        success: false,
+        message: "This IP address or range is already in the whitelist",
+      });
+    }
+
+    if (apiKey.ipWhitelist.length >= MAX_IP_WHITELIST_ENTRIES) {
+      return res.status(400).json({
+        success: false,
+        message: `An API key can have at most ${MAX_IP_WHITELIST_ENTRIES} IP whitelist entries`,
+      });
+    }
+
+    apiKey.ipWhitelist.push(parsed.entry);
+    await apiKey.save();
+
+    res.status(201).json({
+      success: true,
+      message: "IP added successfully",
+      data: {
+        keyId: apiKey._id,
+        keyPrefix: apiKey.keyPrefix,
+        ipWhitelist: apiKey.ipWhitelist,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove an IP address or CIDR range from an API key's whitelist
+ * DELETE /api/business/api-keys/:keyId/ips
+ */
+const removeKeyIP = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { keyId } = req.params;
+    const { ip } = req.body;
+
+    if (!ip) {
+      return res.status(400).json({
+        success: false,
+        message: "IP address or CIDR range is required",
+      });
+    }
+
+    const apiKey = await APIKey.findOne({
+      _id: keyId,
+      business: userId,
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found",
+      });
+    }
+
+    if (!apiKey.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot modify a revoked API key",
+      });
+    }
+
+    // Entries are stored normalized, so compare the normalized form
+    const parsed = parseIPEntry(ip);
+    const ipIndex = apiKey.ipWhitelist.indexOf(parsed.valid ? parsed.entry : ip);
+    if (ipIndex === -1) {
+      return res.status(404).json({
+        success: false,
+        message: "IP address or range not found in the whitelist",
+      });
+    }
+
+    apiKey.ipWhitelist.splice(ipIndex, 1);
+    await apiKey.save();
+
+    // An empty whitelist means every IP is allowed again
+    const note = apiKey.ipWhitelist.length === 0
+      ? " The whitelist is now empty, so requests from any IP are allowed."
+      : "";
+
+    res.status(200).json({
+      success: true,
+      message: `IP removed successfully.${note}`,
+      data: {
+        keyId: apiKey._id,
+        keyPrefix: apiKey.keyPrefix,
+        ipWhitelist: apiKey.ipWhitelist,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   registerBusiness,
   generateAPIKey,
   listAPIKeys,
   revokeAPIKey,
+  rotateAPIKey,
+  updateKeySigning,
   getBusinessProfile,
   verifyBusiness,
   getPendingBusinesses,
   getVerifiedBusinesses,
+  getBusinessAPIKeys,
+  updateKeyRateLimit,
   // CORS / Origin management
   getKeyOrigins,
   updateKeyOrigins,
   addKeyOrigin,
   removeKeyOrigin,
+  // IP whitelist management
+  getKeyIPs,
+  updateKeyIPs,
+  addKeyIP,
+  removeKeyIP,
 };
@@ -0,0 +1,520 @@
+/**
+ * CHECKOUT CONTROLLER
+ * ===================
+ * Hosted checkout sessions (see models/checkoutSession.model.js)
+ * - Merchant API (API key): create and look up sessions
+ * - Hosted page (no API key): show the session and take the customer's
+ *   card or wallet payment, so card data never reaches merchant pages
+ */
+
+const mongoose = require("mongoose");
+const CheckoutSession = require("../models/checkoutSession.model");
+const APIKey = require("../models/apiKey.model");
+const User = require("../models/user.model");
+const { validateCardFormat, validateCVVFormat } = require("../utils/cardGenerator");
+const { authenticateCard, payMerchant } = require("../utils/cardPayments");
+const { authenticateTestCard, recordSandboxPayment, isTestKey } = require("../utils/sandbox");
+const { enqueueEvent, dispatchDeliveries } = require("../utils/webhooks");
+const { renderCheckoutPage } = require("../utils/checkoutPage");
+
+/**
+ * Check a return URL against the API key that creates the session
+ * Must be an HTTPS URL (plain http is only accepted for localhost with test
+ * keys) and, if the key restricts origins, on one of its allowed origins.
+ * @param {string} returnUrl - Return URL from the request
+ * @param {Object} apiKey - API key document
+ * @returns {{valid: boolean, url?: string, error?: string}}
+ */
+const validateReturnUrl = (returnUrl, apiKey) => {
+  // The sanitize middleware HTML-escapes "&" in query strings
+  const raw = returnUrl.replace(/&amp;/g, "&");
+
+  let url;
+  try {
+    url = new URL(raw);
+  } catch (error) {
+    return { valid: false, error: "Return URL must be a valid absolute URL." };
+  }
+
+  const isLocalhost = url.hostname === "localhost" || url.hostname === "127.0.0.1";
+  if (url.protocol !== "https:" && !(url.protocol === "http:" && isLocalhost && isTestKey(apiKey))) {
+    return { valid: false, error: "Return URL must use HTTPS (HTTP is only allowed for localhost with test keys)." };
+  }
+
+  if (apiKey.allowedOrigins?.length > 0 && !apiKey.isOriginAllowed(url.origin)) {
+    return { valid: false, error: `Return URL origin ${url.origin} is not in this API key's allowed origins.` };
+  }
+
+  return { valid: true, url: url.toString() };
+};
+
+/**
+ * Format a session for the merchant API
+ * @param {Object} checkoutSession - CheckoutSession document
+ * @param {Object} req - Express request (for the hosted page URL)
+ * @returns {Object}
+ */
+const formatSession = (checkoutSession, req) => ({
+  sessionId: checkoutSession.sessionId,
+  url: `${req.protocol}://${req.get("host")}/api/v1/checkout/${checkoutSession.sessionId}`,
+  amount: checkoutSession.amount,
+  currency: checkoutSession.currency,
+  description: checkoutSession.description,
+  externalReference: checkoutSession.externalReference,
+  returnUrl: checkoutSession.returnUrl,
+  status: checkoutSession.status,
+  paymentMethod: checkoutSession.paymentMethod,
+  transactionId: checkoutSession.transaction?.reference,
+  livemode: checkoutSession.livemode,
+  expiresAt: checkoutSession.expiresAt,
+  completedAt: checkoutSession.completedAt,
+  createdAt: checkoutSession.createdAt,
+});
+
+/**
+ * Create a checkout session
+ * POST /api/public/checkout/sessions
+ *
+ * Request body:
+ * {
+ *   amount: 150.00,
+ *   description: "Order #12345",
+ *   returnUrl: "https://shop.example.com/checkout/done",
+ *   externalReference: "ORDER-12345" (optional)
+ * }
+ */
+const createCheckoutSession = async (req, res, next) => {
+  try {
+    const { amount, description, externalReference, returnUrl } = req.body;
+    const business = req.business;
+    const apiKey = req.apiKey;
+
+    if (!business.businessInfo?.isVerified) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: "BUSINESS_NOT_VERIFIED",
+          message: "Business must be verified before processing transactions.",
+        },
+      });
+    }
+
+    const urlCheck = validateReturnUrl(returnUrl, apiKey);
+    if (!urlCheck.valid) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "INVALID_RETURN_URL",
+          message: urlCheck.error,
+        },
+      });
+    }
+
+    const checkoutSession = await CheckoutSession.create({
+      business: business._id,
+      apiKey: apiKey._id,
+      livemode: !isTestKey(apiKey),
+      amount,
+      description,
+      externalReference,
+      returnUrl: urlCheck.url,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: formatSession(checkoutSession, req),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a checkout session of the business (poll for its status)
+ * GET /api/public/checkout/sessions/:sessionId
+ */
+const getCheckoutSession = async (req, res, next) => {
+  try {
+    const checkoutSession = await CheckoutSession.findOne({
+      sessionId: req.params.sessionId,
+      business: req.business._id,
+      livemode: !isTestKey(req.apiKey),
+    }).populate("transaction", "reference");
+
+    if (!checkoutSession) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: "SESSION_NOT_FOUND",
+          message: "Checkout session not found.",
+        },
+      });
+    }
+
+    await checkoutSession.expireIfDue();
+
+    res.status(200).json({
+      success: true,
+      data: formatSession(checkoutSession, req),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Serve the hosted checkout page
+ * GET /api/v1/checkout/:sessionId
+ * The page loads the session details and submits the payment itself.
+ */
+const showCheckoutPage = (req, res) => {
+  const { html, nonce } = renderCheckoutPage(req.params.sessionId);
+
+  // Only this response's inline script and style may run
+  res.set(
+    "Content-Security-Policy",
+    `default-src 'self'; script-src 'nonce-${nonce}'; style-src 'nonce-${nonce}'; ` +
+      "form-action 'self'; frame-ancestors 'none'; base-uri 'none'"
+  );
+  res.set("Cache-Control", "no-store");
+  res.type("html").send(html);
+};
+
+/**
+ * Get what the hosted page shows about a session
+ * GET /api/v1/checkout/:sessionId/details
+ */
+const getCheckoutDetails = async (req, res, next) => {
+  try {
+    const checkoutSession = await CheckoutSession.findOne({ sessionId: req.params.sessionId })
+      .populate("business", "businessInfo.businessName");
+
+    if (!checkoutSession) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: "SESSION_NOT_FOUND",
+          message: "Checkout session not found.",
+        },
+      });
+    }
+
+    await checkoutSession.expireIfDue();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        businessName: checkoutSession.business?.businessInfo?.businessName || "Merchant",
+        amount: checkoutSession.amount,
+        currency: checkoutSession.currency,
+        description: checkoutSession.description,
+        status: checkoutSession.status,
+        livemode: checkoutSession.livemode,
+        // Wallet payments move real money, so test sessions accept test cards only
+        walletAvailable: checkoutSession.livemode,
+        expiresAt: checkoutSession.expiresAt,
+        returnUrl: checkoutSession.status === "open" ? undefined : checkoutSession.getReturnUrl(),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Load an open session and its API key for payment inside a MongoDB session
+ * Expires the session on the spot if it is past its expiry date.
+ * @param {string} sessionId - Public session ID
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<{checkoutSession?: Object, apiKey?: Object, business?: Object, error?: {status: number, code: string, message: string}}>}
+ */
+const loadPayableSession = async (sessionId, session) => {
+  const checkoutSession = await CheckoutSession.findOne({ sessionId }).session(session);
+
+  if (!checkoutSession) {
+    return { error: { status: 404, code: "SESSION_NOT_FOUND", message: "Checkout session not found." } };
+  }
+
+  if (await checkoutSession.expireIfDue(session)) {
+    return { checkoutSession, error: { status: 400, code: "SESSION_EXPIRED", message: "This checkout session has expired." } };
+  }
+
+  if (checkoutSession.status !== "open") {
+    return {
+      error: {
+        status: 400,
+        code: "SESSION_NOT_OPEN",
+        message: `This checkout session is already ${checkoutSession.status}.`,
+      },
+    };
+  }
+
+  // The key's limits apply to the payment; a revoked key can no longer take payments
+  const apiKey = await APIKey.findById(checkoutSession.apiKey).session(session);
+  if (!apiKey || !apiKey.isActive) {
+    return { error: { status: 400, code: "SESSION_UNAVAILABLE", message: "This merchant can no longer accept this payment." } };
+  }
+
+  const limitCheck = apiKey.canProcessTransaction(checkoutSession.amount);
+  if (!limitCheck.allowed) {
+    return { error: { status: 400, code: "TRANSACTION_LIMIT_EXCEEDED", message: limitCheck.reason } };
+  }
+
+  const business = await User.findById(checkoutSession.business).session(session);
+  if (!business || !business.businessInfo?.isVerified) {
+    return { error: { status: 400, code: "SESSION_UNAVAILABLE", message: "This merchant can no longer accept this payment." } };
+  }
+
+  return { checkoutSession, apiKey, business };
+};
+
+/**
+ * Complete a session with its payment transaction and queue the webhook
+ * @param {Object} checkoutSession - CheckoutSession document
+ * @param {Object} transaction - Payment transaction
+ * @param {string} paymentMethod - "card" or "wallet"
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Array>} Webhook deliveries to dispatch after commit
+ */
+const completeSession = async (checkoutSession, transaction, paymentMethod, session) => {
+  checkoutSession.status = "completed";
+  checkoutSession.paymentMethod = paymentMethod;
+  checkoutSession.transaction = transaction._id;
+  checkoutSession.completedAt = new Date();
+  await checkoutSession.save({ session });
+
+  return enqueueEvent(
+    checkoutSession.business,
+    "payment.completed",
+    {
+      transactionId: transaction.reference,
+      amount: transaction.amount,
+      currency: "PHP",
+      status: transaction.status,
+      cardLast4: transaction.cardUsed?.last4,
+      description: transaction.description,
+      externalReference: transaction.externalReference,
+      checkoutSessionId: checkoutSession.sessionId,
+      paymentMethod,
+      livemode: checkoutSession.livemode,
+      createdAt: transaction.createdAt,
+    },
+    session
+  );
+};
+
+/**
+ * Pay a checkout session (shared by the card and wallet endpoints)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ * @param {string} paymentMethod - "card" or "wallet"
+ * @param {Function} pay - async (context, session) => {transaction?, error?}
+ */
+const paySession = async (req, res, next, paymentMethod, pay) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { checkoutSession, apiKey, business, error } = await loadPayableSession(req.params.sessionId, session);
+
+    if (error) {
+      // Keep the expiry recorded even though the payment is refused
+      if (checkoutSession) {
+        await session.commitTransaction();
+      } else {
+        await session.abortTransaction();
+      }
+      session.endSession();
+      return res.status(error.status).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+        },
+      });
+    }
+
+    const { transaction, error: paymentError } = await pay({ checkoutSession, apiKey, business }, session);
+
+    if (paymentError) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(paymentError.status).json({
+        success: false,
+        error: {
+          code: paymentError.code,
+          message: paymentError.message,
+        },
+      });
+    }
+
+    const webhookDeliveries = await completeSession(checkoutSession, transaction, paymentMethod, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    dispatchDeliveries(webhookDeliveries);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessionId: checkoutSession.sessionId,
+        status: checkoutSession.status,
+        transactionId: transaction.reference,
+        amount: transaction.amount,
+        currency: "PHP",
+        redirectUrl: checkoutSession.getReturnUrl(),
+      },
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
+
+/**
+ * Pay a checkout session with a card
+ * POST /api/v1/checkout/:sessionId/pay/card
+ *
+ * Request body:
+ * {
+ *   cardNumber: "4111111111111111",
+ *   cvv: "123"
+ * }
+ */
+const payWithCard = async (req, res, next) => {
+  const { cardNumber, cvv } = req.body;
+
+  const cardValidation = validateCardFormat(cardNumber);
+  if (!cardValidation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: "INVALID_CARD_NUMBER",
+        message: cardValidation.error,
+      },
+    });
+  }
+
+  const cvvValidation = validateCVVFormat(cvv);
+  if (!cvvValidation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: "INVALID_CVV",
+        message: cvvValidation.error,
+      },
+    });
+  }
+
+  return paySession(req, res, next, "card", async ({ checkoutSession, apiKey, business }, session) => {
+    const payment = {
+      business,
+      apiKey,
+      amount: checkoutSession.amount,
+      cardNumber,
+      description: checkoutSession.description,
+      externalReference: checkoutSession.externalReference,
+      session,
+    };
+
+    // Test sessions take test cards and credit the sandbox balance
+    if (!checkoutSession.livemode) {
+      const { error } = authenticateTestCard(cardNumber, cvv);
+      if (error) return { error };
+      return { transaction: await recordSandboxPayment(payment) };
+    }
+
+    const { customer, error } = await authenticateCard(cardNumber, cvv, session);
+    if (error) return { error };
+
+    return payMerchant({ ...payment, customer, paymentMethod: "card" });
+  });
+};
+
+/**
+ * Pay a checkout session from the logged-in customer's wallet
+ * POST /api/v1/checkout/:sessionId/pay/wallet
+ * Requires the customer's JWT (Authorization: Bearer <token>)
+ */
+const payWithWallet = async (req, res, next) => {
+  return paySession(req, res, next, "wallet", async ({ checkoutSession, apiKey, business }, session) => {
+    if (!checkoutSession.livemode) {
+      return {
+        error: {
+          status: 400,
+          code: "WALLET_NOT_AVAILABLE",
+          message: "Wallet payments are not available in test mode. Use a test card.",
+        },
+      };
+    }
+
+    const customer = await User.findById(req.user.id).session(session);
+    if (!customer) {
+      return { error: { status: 404, code: "ACCOUNT_NOT_FOUND", message: "Account not found." } };
+    }
+
+    if (customer._id.equals(business._id)) {
+      return { error: { status: 400, code: "CANNOT_PAY_SELF", message: "A business cannot pay its own checkout session." } };
+    }
+
+    return payMerchant({
+      customer,
+      business,
+      apiKey,
+      amount: checkoutSession.amount,
+      paymentMethod: "wallet",
+      transactionCategory: customer.accountType === "business" ? "B2B" : "B2C",
+      description: checkoutSession.description,
+      externalReference: checkoutSession.externalReference,
+      session,
+    });
+  });
+};
+
+/**
+ * Cancel an open checkout session (customer chose to go back)
+ * POST /api/v1/checkout/:sessionId/cancel
+ */
+const cancelCheckout = async (req, res, next) => {
+  try {
+    const checkoutSession = await CheckoutSession.findOneAndUpdate(
+      { sessionId: req.params.sessionId, status: "open", expiresAt: { $gt: new Date() } },
+      { $set: { status: "canceled" } },
+      { new: true }
+    );
+
+    if (!checkoutSession) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "SESSION_NOT_OPEN",
+          message: "This checkout session cannot be canceled.",
+        },
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessionId: checkoutSession.sessionId,
+        status: checkoutSession.status,
+        redirectUrl: checkoutSession.getReturnUrl(),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createCheckoutSession,
+  getCheckoutSession,
+  showCheckoutPage,
+  getCheckoutDetails,
+  payWithCard,
+  payWithWallet,
+  cancelCheckout,
+};
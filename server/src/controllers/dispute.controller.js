@@ -0,0 +1,482 @@
+/**
+ * DISPUTE CONTROLLER
+ * ==================
+ * Chargeback workflow for live payments (see models/dispute.model.js)
+ * - Customers open disputes on their payments and follow them from their profile
+ * - Businesses are notified (dispute.opened webhook event) and submit evidence
+ * - Staff work through the open disputes and reverse the payment or close
+ *   the dispute (dispute.resolved webhook event)
+ *
+ * The disputed amount is held on the business wallet until the dispute is
+ * resolved (see utils/disputes.js).
+ */
+
+const mongoose = require("mongoose");
+const Dispute = require("../models/dispute.model");
+const Transaction = require("../models/transaction.model");
+const {
+  DISPUTE_WINDOW_DAYS,
+  disputableCents,
+  getEvidenceDueBy,
+  placeDisputeHold,
+  releaseDisputeHold,
+  reverseDisputedPayment,
+  disputeEventData,
+} = require("../utils/disputes");
+const { enqueueEvent, dispatchDeliveries } = require("../utils/webhooks");
+const { toCents, fromCents, centsToString } = require("../utils/money");
+const { INVALID_PAGINATION, getPagination, paginationInfo } = require("../utils/pagination");
+
+// Employee roles that work the dispute queue
+const STAFF_ROLES = ["admin", "staff"];
+
+/**
+ * Format a dispute
+ * @param {Object} dispute - Dispute document (transaction, customer or business may be populated)
+ * @returns {Object}
+ */
+const formatDispute = (dispute) => ({
+  id: dispute._id,
+  reference: dispute.reference,
+  transactionId: dispute.transaction?.reference || dispute.transaction,
+  amount: dispute.amount,
+  currency: "PHP",
+  reason: dispute.reason,
+  description: dispute.description,
+  status: dispute.status,
+  evidenceDueBy: dispute.evidenceDueBy,
+  evidenceCount: dispute.evidence?.length || 0,
+  resolvedAt: dispute.resolution?.resolvedAt || null,
+  createdAt: dispute.createdAt,
+});
+
+/**
+ * Format a dispute with its evidence, resolution and status history
+ * @param {Object} dispute - Dispute document
+ * @returns {Object}
+ */
+const formatDisputeDetails = (dispute) => ({
+  ...formatDispute(dispute),
+  evidence: dispute.evidence,
+  resolution: dispute.resolution?.resolvedAt
+    ? {
+        resolvedAt: dispute.resolution.resolvedAt,
+        note: dispute.resolution.note,
+        refundTransaction: dispute.resolution.transaction || null,
+      }
+    : null,
+  statusHistory: dispute.statusHistory,
+});
+
+const INVALID_STATUS = {
+  success: false,
+  message: `Status must be one of: ${Dispute.STATUSES.join(", ")}`,
+};
+
+/**
+ * List disputes matching a query, newest first unless a sort is given
+ * @returns {Promise<Object>} List response body
+ */
+const listDisputes = async (query, { pageNum, limitNum, skip }, sort = { createdAt: -1 }) => {
+  const totalCount = await Dispute.countDocuments(query);
+  const disputes = await Dispute.find(query)
+    .populate("transaction", "reference")
+    .sort(sort)
+    .skip(skip)
+    .limit(limitNum);
+
+  return {
+    success: true,
+    pagination: paginationInfo(pageNum, limitNum, totalCount),
+    count: disputes.length,
+    data: disputes.map(formatDispute),
+  };
+};
+
+// ============================================
+// CUSTOMER (profile)
+// ============================================
+
+/**
+ * Open a dispute on one of the logged-in customer's payments
+ * Holds the disputed amount on the business wallet and notifies the business.
+ * POST /api/users/profile/disputes
+ *
+ * Request body:
+ * {
+ *   transactionId: "uuid-reference",
+ *   reason: "not_received",            // see Dispute.REASONS
+ *   description: "Order never arrived", // optional
+ *   amount: 150                         // optional, defaults to the amount not refunded yet
+ * }
+ */
+const openDispute = async (req, res, next) => {
+  const { transactionId, reason, description, amount } = req.body;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const payment = await Transaction.findOne({
+      reference: transactionId,
+      from: req.user.id,
+      type: "payment",
+      ...Transaction.LIVE,
+      status: { $in: ["completed", "partially_refunded"] },
+    }).session(session);
+
+    if (!payment) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: "Payment not found or not eligible for a dispute",
+      });
+    }
+
+    const windowStart = new Date(Date.now() - DISPUTE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    if (payment.createdAt < windowStart) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: `Payments can only be disputed within ${DISPUTE_WINDOW_DAYS} days`,
+      });
+    }
+
+    const existing = await Dispute.exists({ transaction: payment._id }).session(session);
+    if (existing) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json({
+        success: false,
+        message: "A dispute was already opened for this payment",
+      });
+    }
+
+    const remainingCents = disputableCents(payment);
+    const amountCents = amount ? toCents(amount) : remainingCents;
+
+    if (remainingCents <= 0 || amountCents > remainingCents) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: remainingCents <= 0
+          ? "This payment has already been refunded"
+          : `Amount cannot exceed the amount not refunded yet (${centsToString(remainingCents)})`,
+      });
+    }
+
+    const dispute = new Dispute({
+      transaction: payment._id,
+      customer: payment.from,
+      business: payment.merchant.businessId,
+      amount: fromCents(amountCents),
+      reason,
+      description,
+      evidenceDueBy: getEvidenceDueBy(),
+    });
+    dispute.setStatus("open", "customer", description);
+
+    await placeDisputeHold(dispute, payment, session);
+    await dispute.save({ session });
+
+    // Notify the business with the dispute (sent only if committed)
+    const webhookDeliveries = await enqueueEvent(
+      dispute.business,
+      "dispute.opened",
+      disputeEventData(dispute, payment),
+      session
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    dispatchDeliveries(webhookDeliveries);
+
+    res.status(201).json({
+      success: true,
+      message: "Dispute opened successfully",
+      data: { ...formatDispute(dispute), transactionId: payment.reference },
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
+
+/**
+ * List the logged-in customer's disputes
+ * GET /api/users/profile/disputes?page=1&limit=20
+ */
+const listMyDisputes = async (req, res, next) => {
+  try {
+    const pagination = getPagination(req.query);
+    if (!pagination) {
+      return res.status(400).json(INVALID_PAGINATION);
+    }
+
+    res.status(200).json(await listDisputes({ customer: req.user.id }, pagination));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ============================================
+// BUSINESS
+// ============================================
+
+/**
+ * List disputes opened against the business
+ * GET /api/business/disputes?status=open&page=1&limit=20
+ */
+const listBusinessDisputes = async (req, res, next) => {
+  try {
+    const pagination = getPagination(req.query);
+    if (!pagination) {
+      return res.status(400).json(INVALID_PAGINATION);
+    }
+
+    const { status } = req.query;
+    if (status !== undefined && !Dispute.STATUSES.includes(status)) {
+      return res.status(400).json(INVALID_STATUS);
+    }
+
+    const query = { business: req.user.id };
+    if (status) {
+      query.status = status;
+    }
+
+    res.status(200).json(await listDisputes(query, pagination));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Submit evidence for a dispute opened against the business
+ * Can be sent several times until the evidence deadline; the first submission
+ * moves the dispute to under_review.
+ * POST /api/business/disputes/:disputeId/evidence
+ *
+ * Request body:
+ * {
+ *   text: "Delivered on 12 Dec, signed by the customer",
+ *   attachments: ["https://example.com/receipt.pdf"]   // optional
+ * }
+ */
+const submitEvidence = async (req, res, next) => {
+  try {
+    const dispute = mongoose.Types.ObjectId.isValid(req.params.disputeId)
+      ? await Dispute.findOne({ _id: req.params.disputeId, business: req.user.id })
+      : null;
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: "Dispute not found",
+      });
+    }
+
+    if (!Dispute.OPEN_STATUSES.includes(dispute.status)) {
+      return res.status(400).json({
+        success: false,
+        message: "This dispute has already been resolved",
+      });
+    }
+
+    if (new Date() > dispute.evidenceDueBy) {
+      return res.status(400).json({
+        success: false,
+        message: "The deadline to submit evidence has passed",
+      });
+    }
+
+    const { text, attachments = [] } = req.body;
+    dispute.evidence.push({ text: text.trim(), attachments, submittedAt: new Date() });
+
+    if (dispute.status === "open") {
+      dispute.setStatus("under_review", "business", "Evidence submitted");
+    }
+
+    await dispute.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Evidence submitted successfully",
+      data: formatDisputeDetails(dispute),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ============================================
+// STAFF (resolution queue)
+// ============================================
+
+/**
+ * List disputes for staff, oldest first (the resolution queue by default)
+ * GET /api/disputes?status=under_review&businessId=...&page=1&limit=20
+ * Without a status, lists the disputes waiting for a decision.
+ */
+const listDisputeQueue = async (req, res, next) => {
+  try {
+    const pagination = getPagination(req.query);
+    if (!pagination) {
+      return res.status(400).json(INVALID_PAGINATION);
+    }
+
+    const { status, businessId } = req.query;
+    if (status !== undefined && !Dispute.STATUSES.includes(status)) {
+      return res.status(400).json(INVALID_STATUS);
+    }
+
+    const query = { status: status || { $in: Dispute.OPEN_STATUSES } };
+    if (businessId) {
+      if (!mongoose.Types.ObjectId.isValid(businessId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid business ID",
+        });
+      }
+      query.business = businessId;
+    }
+
+    res.status(200).json(await listDisputes(query, pagination, { createdAt: 1 }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a dispute with its evidence and status history
+ * GET /api/disputes/:disputeId
+ * Staff see every dispute; customers and businesses only their own.
+ */
+const getDispute = async (req, res, next) => {
+  try {
+    const dispute = mongoose.Types.ObjectId.isValid(req.params.disputeId)
+      ? await Dispute.findById(req.params.disputeId).populate("transaction", "reference")
+      : null;
+
+    const isParty = dispute &&
+      (String(dispute.customer) === String(req.user.id) || String(dispute.business) === String(req.user.id));
+
+    if (!dispute || (!STAFF_ROLES.includes(req.user.role) && !isParty)) {
+      return res.status(404).json({
+        success: false,
+        message: "Dispute not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatDisputeDetails(dispute),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resolve a dispute
+ * POST /api/disputes/:disputeId/resolve
+ * - reverse: the disputed amount goes back to the customer
+ * - close: decided for the business, the hold is released
+ *
+ * Request body:
+ * {
+ *   outcome: "reverse",          // reverse | close
+ *   note: "No proof of delivery" // optional
+ * }
+ */
+const resolveDispute = async (req, res, next) => {
+  const { outcome, note } = req.body;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const dispute = mongoose.Types.ObjectId.isValid(req.params.disputeId)
+      ? await Dispute.findById(req.params.disputeId).session(session)
+      : null;
+
+    if (!dispute) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: "Dispute not found",
+      });
+    }
+
+    if (!Dispute.OPEN_STATUSES.includes(dispute.status)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: "This dispute has already been resolved",
+      });
+    }
+
+    const payment = await Transaction.findById(dispute.transaction).session(session);
+
+    if (outcome === "reverse") {
+      const { transaction, error } = await reverseDisputedPayment(dispute, payment, session);
+      if (error) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      dispute.resolution.transaction = transaction._id;
+      dispute.setStatus("reversed", "staff", note);
+    } else {
+      await releaseDisputeHold(dispute, payment, session);
+      dispute.setStatus("closed", "staff", note);
+    }
+
+    dispute.resolution.resolvedBy = req.user.id;
+    dispute.resolution.resolvedAt = new Date();
+    dispute.resolution.note = note;
+    await dispute.save({ session });
+
+    const webhookDeliveries = await enqueueEvent(
+      dispute.business,
+      "dispute.resolved",
+      disputeEventData(dispute, payment),
+      session
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    dispatchDeliveries(webhookDeliveries);
+
+    res.status(200).json({
+      success: true,
+      message: outcome === "reverse" ? "Payment reversed" : "Dispute closed",
+      data: { ...formatDisputeDetails(dispute), transactionId: payment.reference },
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
+
+module.exports = {
+  openDispute,
+  listMyDisputes,
+  listBusinessDisputes,
+  submitEvidence,
+  listDisputeQueue,
+  getDispute,
+  resolveDispute,
+};
@@ -0,0 +1,240 @@
+/**
+ * FEE CONTROLLER
+ * ==============
+ * Admin management of fee schedules (see models/feeSchedule.model.js)
+ * - Create, list, update and deactivate schedules
+ *
+ * Fees are applied by utils/fees.js when a payment, transfer or withdrawal
+ * is made; changing a schedule never changes past transactions.
+ */
+
+const mongoose = require("mongoose");
+const FeeSchedule = require("../models/feeSchedule.model");
+const { INVALID_PAGINATION, getPagination, paginationInfo } = require("../utils/pagination");
+
+/**
+ * Format a schedule
+ * @param {Object} schedule - FeeSchedule document
+ * @returns {Object}
+ */
+const formatSchedule = (schedule) => ({
+  id: schedule._id,
+  name: schedule.name,
+  transactionType: schedule.transactionType,
+  transactionCategory: schedule.transactionCategory || null,
+  businessType: schedule.businessType || null,
+  percentage: schedule.percentage,
+  fixedAmount: schedule.fixedAmount,
+  maxFee: schedule.maxFee ?? null,
+  currency: "PHP",
+  isActive: schedule.isActive,
+  createdAt: schedule.createdAt,
+  updatedAt: schedule.updatedAt,
+});
+
+/**
+ * Find a schedule by the :scheduleId route parameter
+ * @returns {Promise<Object|null>}
+ */
+const findSchedule = (scheduleId) => {
+  if (!mongoose.Types.ObjectId.isValid(scheduleId)) {
+    return null;
+  }
+  return FeeSchedule.findById(scheduleId);
+};
+
+/**
+ * Create a fee schedule (Admin only)
+ * POST /api/fees
+ *
+ * Request body:
+ * {
+ *   name: "Food merchants",
+ *   transactionType: "payment",     // payment | transfer | withdraw
+ *   transactionCategory: "B2C",     // optional: B2B | B2C | C2C
+ *   businessType: "food",           // optional
+ *   percentage: 1.5,                // optional, 0 - 100
+ *   fixedAmount: 2,                 // optional
+ *   maxFee: 50                      // optional cap
+ * }
+ */
+const createFeeSchedule = async (req, res, next) => {
+  try {
+    const { name, transactionType, transactionCategory, businessType, percentage, fixedAmount, maxFee } = req.body;
+
+    const schedule = await FeeSchedule.create({
+      name: name.trim(),
+      transactionType,
+      transactionCategory: transactionCategory || null,
+      businessType: businessType || null,
+      percentage: percentage ?? 0,
+      fixedAmount: fixedAmount ?? 0,
+      maxFee: maxFee ?? null,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Fee schedule created successfully",
+      data: formatSchedule(schedule),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List fee schedules (Admin only)
+ * GET /api/fees?transactionType=payment&isActive=true&page=1&limit=20
+ */
+const listFeeSchedules = async (req, res, next) => {
+  try {
+    const pagination = getPagination(req.query);
+    if (!pagination) {
+      return res.status(400).json(INVALID_PAGINATION);
+    }
+
+    const { transactionType, isActive } = req.query;
+    const query = {};
+
+    if (transactionType !== undefined) {
+      if (!FeeSchedule.TRANSACTION_TYPES.includes(transactionType)) {
+        return res.status(400).json({
+          success: false,
+          message: `Transaction type must be one of: ${FeeSchedule.TRANSACTION_TYPES.join(", ")}`,
+        });
+      }
+      query.transactionType = transactionType;
+    }
+
+    if (isActive !== undefined) {
+      query.isActive = isActive === "true";
+    }
+
+    const { pageNum, limitNum, skip } = pagination;
+
+    const totalCount = await FeeSchedule.countDocuments(query);
+    const schedules = await FeeSchedule.find(query)
+      .sort({ transactionType: 1, createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    res.status(200).json({
+      success: true,
+      pagination: paginationInfo(pageNum, limitNum, totalCount),
+      count: schedules.length,
+      data: schedules.map(formatSchedule),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a fee schedule (Admin only)
+ * GET /api/fees/:scheduleId
+ */
+const getFeeSchedule = async (req, res, next) => {
+  try {
+    const schedule = await findSchedule(req.params.scheduleId);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: "Fee schedule not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatSchedule(schedule),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a fee schedule's name, rates, cap or status (Admin only)
+ * PATCH /api/fees/:scheduleId
+ * What it applies to (type, category, business type) cannot change; create a
+ * new schedule instead.
+ *
+ * Request body (all optional):
+ * {
+ *   name: "Food merchants",
+ *   percentage: 1.25,
+ *   fixedAmount: 0,
+ *   maxFee: null,        // null removes the cap
+ *   isActive: true
+ * }
+ */
+const updateFeeSchedule = async (req, res, next) => {
+  try {
+    const schedule = await findSchedule(req.params.scheduleId);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: "Fee schedule not found",
+      });
+    }
+
+    const { name, percentage, fixedAmount, maxFee, isActive } = req.body;
+
+    if (name !== undefined) schedule.name = name.trim();
+    if (percentage !== undefined) schedule.percentage = percentage;
+    if (fixedAmount !== undefined) schedule.fixedAmount = fixedAmount;
+    if (maxFee !== undefined) schedule.maxFee = maxFee;
+    if (isActive !== undefined) schedule.isActive = isActive;
+
+    await schedule.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Fee schedule updated successfully",
+      data: formatSchedule(schedule),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deactivate a fee schedule (Admin only)
+ * DELETE /api/fees/:scheduleId
+ * Kept for the transactions that reference it.
+ */
+const deactivateFeeSchedule = async (req, res, next) => {
+  try {
+    const schedule = await findSchedule(req.params.scheduleId);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: "Fee schedule not found",
+      });
+    }
+
+    if (schedule.isActive) {
+      schedule.isActive = false;
+      await schedule.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Fee schedule deactivated",
+      data: formatSchedule(schedule),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createFeeSchedule,
+  listFeeSchedules,
+  getFeeSchedule,
+  updateFeeSchedule,
+  deactivateFeeSchedule,
+};
@@ -0,0 +1,563 @@
+/**
+ * INVOICE CONTROLLER
+ * ==================
+ * Invoices businesses send to other users of the bank
+ * - Businesses create drafts, edit them, send them and void them
+ * - Recipients see the invoices sent to them and pay them from their wallet
+ *   in one step, as a transfer to the business (see utils/transfers.js)
+ * - Overdue invoices are reminded by the CRON manager (see utils/invoices.js)
+ */
+
+const mongoose = require("mongoose");
+const Invoice = require("../models/invoice.model");
+const User = require("../models/user.model");
+const { computeInvoiceTotals } = require("../utils/invoices");
+const { transferBetweenWallets } = require("../utils/transfers");
+const { notify } = require("../utils/notifications");
+const { enqueueEvent, dispatchDeliveries } = require("../utils/webhooks");
+const { toCents, formatMoney } = require("../utils/money");
+const { INVALID_PAGINATION, getPagination, paginationInfo } = require("../utils/pagination");
+
+// Largest amount a single invoice can bill (same as a single transfer)
+const MAX_INVOICE_TOTAL = 1000000;
+
+/**
+ * Format an invoice for the business or the recipient
+ * @param {Object} invoice - Invoice document
+ * @returns {Object}
+ */
+const formatInvoice = (invoice) => ({
+  id: invoice._id,
+  number: invoice.number,
+  businessName: invoice.businessName,
+  recipientEmail: invoice.recipientEmail,
+  lineItems: invoice.lineItems,
+  subtotal: invoice.subtotal,
+  taxRate: invoice.taxRate,
+  taxAmount: invoice.taxAmount,
+  total: invoice.total,
+  currency: invoice.currency,
+  dueDate: invoice.dueDate,
+  notes: invoice.notes,
+  status: invoice.status,
+  sentAt: invoice.sentAt,
+  paidAt: invoice.paidAt,
+  voidedAt: invoice.voidedAt,
+  transaction: invoice.transaction,
+  createdAt: invoice.createdAt,
+});
+
+/**
+ * Find the user an invoice is addressed to
+ * @param {string} email - Recipient email
+ * @param {string} businessId - Business issuing the invoice
+ * @returns {Promise<{recipient?: Object, error?: {status: number, message: string}}>}
+ */
+const findRecipient = async (email, businessId) => {
+  const recipient = await User.findOne({ email: email.trim().toLowerCase() });
+
+  if (!recipient) {
+    return { error: { status: 404, message: "No user found with this email" } };
+  }
+
+  if (recipient._id.toString() === businessId.toString()) {
+    return { error: { status: 400, message: "A business cannot invoice itself" } };
+  }
+
+  return { recipient };
+};
+
+/**
+ * Compute the totals of an invoice and check them against MAX_INVOICE_TOTAL
+ * @returns {{totals?: Object, error?: {status: number, message: string}}}
+ */
+const getTotals = (lineItems, taxRate) => {
+  const totals = computeInvoiceTotals(lineItems, taxRate);
+
+  if (toCents(totals.total) > toCents(MAX_INVOICE_TOTAL)) {
+    return { error: { status: 400, message: `Invoice total cannot exceed ${formatMoney(MAX_INVOICE_TOTAL)}` } };
+  }
+
+  return { totals };
+};
+
+/**
+ * Create a draft invoice
+ * POST /api/business/invoices
+ *
+ * Request body:
+ * {
+ *   recipientEmail: "juan@smu.edu.ph",
+ *   lineItems: [{ description: "Catering - 20 pax", quantity: 20, unitPrice: 250 }],
+ *   taxRate: 12,                        // optional, percentage
+ *   dueDate: "2025-12-31T23:59:59Z",
+ *   notes: "Thank you for your business" // optional
+ * }
+ */
+const createInvoice = async (req, res, next) => {
+  try {
+    const { recipientEmail, lineItems, taxRate = 0, dueDate, notes } = req.body;
+
+    const { recipient, error } = await findRecipient(recipientEmail, req.user.id);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const { totals, error: totalError } = getTotals(lineItems, taxRate);
+    if (totalError) {
+      return res.status(totalError.status).json({
+        success: false,
+        message: totalError.message,
+      });
+    }
+
+    const invoice = await Invoice.create({
+      business: req.user.id,
+      businessName: req.userDoc?.businessInfo?.businessName,
+      recipient: recipient._id,
+      recipientEmail: recipient.email,
+      ...totals,
+      taxRate,
+      dueDate: new Date(dueDate),
+      notes,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Invoice created successfully",
+      data: formatInvoice(invoice),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the business's invoices
+ * GET /api/business/invoices?status=overdue&page=1&limit=20
+ */
+const listBusinessInvoices = async (req, res, next) => {
+  try {
+    const pagination = getPagination(req.query);
+    if (!pagination) {
+      return res.status(400).json(INVALID_PAGINATION);
+    }
+
+    const { status } = req.query;
+    if (status && !Invoice.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${Invoice.STATUSES.join(", ")}`,
+      });
+    }
+
+    const { pageNum, limitNum, skip } = pagination;
+    const query = { business: req.user.id };
+    if (status) {
+      query.status = status;
+    }
+
+    const totalCount = await Invoice.countDocuments(query);
+    const invoices = await Invoice.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    res.status(200).json({
+      success: true,
+      pagination: paginationInfo(pageNum, limitNum, totalCount),
+      count: invoices.length,
+      data: invoices.map(formatInvoice),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get one of the business's invoices
+ * GET /api/business/invoices/:invoiceId
+ */
+const getBusinessInvoice = async (req, res, next) => {
+  try {
+    const invoice = mongoose.Types.ObjectId.isValid(req.params.invoiceId)
+      ? await Invoice.findOne({ _id: req.params.invoiceId, business: req.user.id })
+      : null;
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatInvoice(invoice),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Edit a draft invoice
+ * PATCH /api/business/invoices/:invoiceId
+ *
+ * Request body: any of the fields of createInvoice
+ */
+const updateInvoice = async (req, res, next) => {
+  try {
+    const invoice = mongoose.Types.ObjectId.isValid(req.params.invoiceId)
+      ? await Invoice.findOne({ _id: req.params.invoiceId, business: req.user.id })
+      : null;
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+      });
+    }
+
+    if (invoice.status !== "draft") {
+      return res.status(400).json({
+        success: false,
+        message: "Only draft invoices can be edited",
+      });
+    }
+
+    const { recipientEmail, lineItems, taxRate, dueDate, notes } = req.body;
+
+    if (recipientEmail !== undefined) {
+      const { recipient, error } = await findRecipient(recipientEmail, req.user.id);
+      if (error) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      invoice.recipient = recipient._id;
+      invoice.recipientEmail = recipient.email;
+    }
+
+    if (lineItems !== undefined || taxRate !== undefined) {
+      const newTaxRate = taxRate ?? invoice.taxRate;
+      const { totals, error } = getTotals(lineItems ?? invoice.lineItems, newTaxRate);
+      if (error) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      Object.assign(invoice, totals);
+      invoice.taxRate = newTaxRate;
+    }
+
+    if (dueDate !== undefined) {
+      invoice.dueDate = new Date(dueDate);
+    }
+
+    if (notes !== undefined) {
+      invoice.notes = notes;
+    }
+
+    await invoice.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Invoice updated successfully",
+      data: formatInvoice(invoice),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a draft invoice to its recipient
+ * POST /api/business/invoices/:invoiceId/send
+ */
+const sendInvoice = async (req, res, next) => {
+  try {
+    const invoice = mongoose.Types.ObjectId.isValid(req.params.invoiceId)
+      ? await Invoice.findOne({ _id: req.params.invoiceId, business: req.user.id })
+      : null;
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+      });
+    }
+
+    if (invoice.status !== "draft") {
+      return res.status(400).json({
+        success: false,
+        message: `Invoice is already ${invoice.status}`,
+      });
+    }
+
+    if (invoice.dueDate <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "Due date has passed. Update it before sending the invoice",
+      });
+    }
+
+    invoice.status = "sent";
+    invoice.sentAt = new Date();
+    await invoice.save();
+
+    await notify(invoice.recipient, {
+      type: "invoice.sent",
+      title: `New invoice ${invoice.number}`,
+      message: `${invoice.businessName || "A business"} sent you an invoice for ${formatMoney(invoice.total)}, ` +
+        `due on ${invoice.dueDate.toISOString().slice(0, 10)}.`,
+      data: { invoiceId: invoice._id, number: invoice.number },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Invoice sent successfully",
+      data: formatInvoice(invoice),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Void an invoice that is not paid yet (it can no longer be paid)
+ * POST /api/business/invoices/:invoiceId/void
+ */
+const voidInvoice = async (req, res, next) => {
+  try {
+    const invoice = mongoose.Types.ObjectId.isValid(req.params.invoiceId)
+      ? await Invoice.findOne({ _id: req.params.invoiceId, business: req.user.id })
+      : null;
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+      });
+    }
+
+    if (["paid", "void"].includes(invoice.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invoice is already ${invoice.status}`,
+      });
+    }
+
+    const wasSent = invoice.status !== "draft";
+
+    invoice.status = "void";
+    invoice.voidedAt = new Date();
+    await invoice.save();
+
+    // Drafts were never seen by the recipient
+    if (wasSent) {
+      await notify(invoice.recipient, {
+        type: "invoice.voided",
+        title: `Invoice ${invoice.number} was voided`,
+        message: `${invoice.businessName || "The business"} voided this invoice. You no longer need to pay it.`,
+        data: { invoiceId: invoice._id, number: invoice.number },
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Invoice voided successfully",
+      data: formatInvoice(invoice),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the invoices sent to the logged-in user
+ * GET /api/users/profile/invoices?status=sent&page=1&limit=20
+ */
+const listMyInvoices = async (req, res, next) => {
+  try {
+    const pagination = getPagination(req.query);
+    if (!pagination) {
+      return res.status(400).json(INVALID_PAGINATION);
+    }
+
+    const { status } = req.query;
+    if (status && (status === "draft" || !Invoice.STATUSES.includes(status))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid status. Must be one of: sent, paid, overdue, void",
+      });
+    }
+
+    const { pageNum, limitNum, skip } = pagination;
+    // Drafts are not visible to the recipient
+    const query = { recipient: req.user.id, status: status || { $ne: "draft" } };
+
+    const totalCount = await Invoice.countDocuments(query);
+    const invoices = await Invoice.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    res.status(200).json({
+      success: true,
+      pagination: paginationInfo(pageNum, limitNum, totalCount),
+      count: invoices.length,
+      data: invoices.map(formatInvoice),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get an invoice sent to the logged-in user
+ * GET /api/users/profile/invoices/:invoiceId
+ */
+const getMyInvoice = async (req, res, next) => {
+  try {
+    const invoice = mongoose.Types.ObjectId.isValid(req.params.invoiceId)
+      ? await Invoice.findOne({ _id: req.params.invoiceId, recipient: req.user.id, status: { $ne: "draft" } })
+      : null;
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatInvoice(invoice),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pay an invoice sent to the logged-in user from their wallet
+ * POST /api/users/profile/invoices/:invoiceId/pay
+ *
+ * The total is transferred to the business; the transfer fee is paid by the
+ * recipient on top of it.
+ */
+const payInvoice = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const invoice = mongoose.Types.ObjectId.isValid(req.params.invoiceId)
+      ? await Invoice.findOne({ _id: req.params.invoiceId, recipient: req.user.id, status: { $ne: "draft" } })
+          .session(session)
+      : null;
+
+    if (!invoice) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+      });
+    }
+
+    if (!Invoice.PAYABLE_STATUSES.includes(invoice.status)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: `Invoice is ${invoice.status} and can no longer be paid`,
+      });
+    }
+
+    const payer = await User.findById(req.user.id).session(session);
+    const business = await User.findById(invoice.business).session(session);
+
+    if (!payer || !business) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: "Payer or business not found",
+      });
+    }
+
+    const { transaction, error } = await transferBetweenWallets({
+      fromUser: payer,
+      toUser: business,
+      amount: invoice.total,
+      transactionCategory: payer.accountType === "business" ? "B2B" : "B2C",
+      description: `Invoice ${invoice.number}`,
+      invoice: invoice._id,
+      session,
+    });
+
+    if (error) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    invoice.status = "paid";
+    invoice.paidAt = new Date();
+    invoice.transaction = transaction._id;
+    await invoice.save({ session });
+
+    const webhookDeliveries = await enqueueEvent(
+      business._id,
+      "invoice.paid",
+      {
+        invoiceNumber: invoice.number,
+        transactionId: transaction.reference,
+        amount: invoice.total,
+        currency: invoice.currency,
+        recipientEmail: invoice.recipientEmail,
+        paidAt: invoice.paidAt,
+      },
+      session
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    dispatchDeliveries(webhookDeliveries);
+
+    res.status(200).json({
+      success: true,
+      message: "Invoice paid successfully",
+      data: formatInvoice(invoice),
+      transaction,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
+
+module.exports = {
+  createInvoice,
+  listBusinessInvoices,
+  getBusinessInvoice,
+  updateInvoice,
+  sendInvoice,
+  voidInvoice,
+  listMyInvoices,
+  getMyInvoice,
+  payInvoice,
+};
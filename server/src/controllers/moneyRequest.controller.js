@@ -0,0 +1,517 @@
+/**
+ * MONEY REQUEST CONTROLLER
+ * ========================
+ * Requests of money between personal accounts (e.g. splitting a bill)
+ * - The requester asks one or more users for an amount each, with a note
+ * - Each payer accepts (a C2C transfer to the requester, see utils/transfers.js)
+ *   or declines their part
+ * - The requester sees which parts were paid and can cancel the request
+ * - Open requests expire (see utils/moneyRequests.js)
+ */
+
+const mongoose = require("mongoose");
+const MoneyRequest = require("../models/moneyRequest.model");
+const User = require("../models/user.model");
+const { getTransferCategory, transferBetweenWallets } = require("../utils/transfers");
+const { closeIfAnswered } = require("../utils/moneyRequests");
+const { notify } = require("../utils/notifications");
+const { toCents, fromCents, formatMoney } = require("../utils/money");
+const { INVALID_PAGINATION, getPagination, paginationInfo } = require("../utils/pagination");
+
+/**
+ * Name shown to the other side of a request
+ * @param {Object} user - User document
+ * @returns {string}
+ */
+const displayName = (user) => `${user.fullName.firstName} ${user.fullName.lastName}`;
+
+/**
+ * Format a request for its requester, with every part and the amount paid so far
+ * @param {Object} request - Money request document
+ * @returns {Object}
+ */
+const formatMoneyRequest = (request) => {
+  const totalCents = request.parts.reduce((sum, part) => sum + toCents(part.amount), 0);
+  const paidCents = request.parts
+    .filter((part) => part.status === "paid")
+    .reduce((sum, part) => sum + toCents(part.amount), 0);
+
+  return {
+    id: request._id,
+    note: request.note,
+    status: request.status,
+    totalAmount: fromCents(totalCents),
+    paidAmount: fromCents(paidCents),
+    parts: request.parts.map((part) => ({
+      payer: part.payer,
+      payerName: part.payerName,
+      amount: part.amount,
+      status: part.status,
+      respondedAt: part.respondedAt,
+      transaction: part.transaction,
+    })),
+    expiresAt: request.expiresAt,
+    canceledAt: request.canceledAt,
+    createdAt: request.createdAt,
+  };
+};
+
+/**
+ * Format a request for one of its payers (only their own part)
+ * @param {Object} request - Money request document
+ * @param {Object} part - The payer's part
+ * @returns {Object}
+ */
+const formatIncomingRequest = (request, part) => ({
+  id: request._id,
+  requester: request.requester,
+  requesterName: request.requesterName,
+  note: request.note,
+  amount: part.amount,
+  status: part.status,
+  requestStatus: request.status,
+  respondedAt: part.respondedAt,
+  transaction: part.transaction,
+  expiresAt: request.expiresAt,
+  createdAt: request.createdAt,
+});
+
+/**
+ * Find the logged-in user's part of a request
+ * @returns {Object|undefined}
+ */
+const findPart = (request, userId) =>
+  request.parts.find((part) => part.payer.toString() === userId.toString());
+
+/**
+ * Check that a payer can still answer their part of a request
+ * @returns {{part?: Object, error?: {status: number, message: string}}}
+ */
+const getAnswerablePart = (request, userId) => {
+  if (request.status !== "open") {
+    return { error: { status: 400, message: `Money request is ${request.status}` } };
+  }
+
+  // The expiry job may not have run yet
+  if (request.expiresAt <= new Date()) {
+    return { error: { status: 400, message: "Money request has expired" } };
+  }
+
+  const part = findPart(request, userId);
+  if (part.status !== "pending") {
+    return { error: { status: 400, message: `You already ${part.status} this request` } };
+  }
+
+  return { part };
+};
+
+/**
+ * Request money from one or more users
+ * POST /api/transactions/requests
+ *
+ * Request body:
+ * {
+ *   payers: [{ user: "userId", amount: 150 }, { user: "userId", amount: 150 }],
+ *   note: "Pizza night",     // optional
+ *   expiresInDays: 7         // optional, 1 - 30
+ * }
+ */
+const createMoneyRequest = async (req, res, next) => {
+  try {
+    const { payers, note, expiresInDays = MoneyRequest.DEFAULT_EXPIRY_DAYS } = req.body;
+
+    const requester = await User.findById(req.user.id);
+    if (!requester) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const payerIds = payers.map((payer) => payer.user);
+    const users = payerIds.every((id) => mongoose.Types.ObjectId.isValid(id))
+      ? await User.find({ _id: { $in: payerIds } })
+      : [];
+
+    if (users.length !== payerIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: "One or more payers not found",
+      });
+    }
+
+    // Accepting runs a C2C transfer
+    if (requester.accountType !== "personal" || users.some((user) => user.accountType !== "personal")) {
+      return res.status(400).json({
+        success: false,
+        message: "Money requests are only available between personal accounts",
+      });
+    }
+
+    const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+
+    const request = await MoneyRequest.create({
+      requester: requester._id,
+      requesterName: displayName(requester),
+      note,
+      parts: payers.map(({ user, amount }) => ({
+        payer: user,
+        payerName: displayName(usersById.get(user.toLowerCase())),
+        amount,
+      })),
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+    });
+
+    for (const part of request.parts) {
+      await notify(part.payer, {
+        type: "money_request.received",
+        title: "New money request",
+        message: `${request.requesterName} requested ${formatMoney(part.amount)}` +
+          (note ? ` for "${note}".` : "."),
+        data: { moneyRequestId: request._id },
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Money requested successfully",
+      data: formatMoneyRequest(request),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the requests the logged-in user sent
+ * GET /api/transactions/requests?status=open&page=1&limit=20
+ */
+const listSentMoneyRequests = async (req, res, next) => {
+  try {
+    const pagination = getPagination(req.query);
+    if (!pagination) {
+      return res.status(400).json(INVALID_PAGINATION);
+    }
+
+    const { status } = req.query;
+    if (status && !MoneyRequest.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${MoneyRequest.STATUSES.join(", ")}`,
+      });
+    }
+
+    const { pageNum, limitNum, skip } = pagination;
+    const query = { requester: req.user.id };
+    if (status) {
+      query.status = status;
+    }
+
+    const totalCount = await MoneyRequest.countDocuments(query);
+    const requests = await MoneyRequest.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    res.status(200).json({
+      success: true,
+      pagination: paginationInfo(pageNum, limitNum, totalCount),
+      count: requests.length,
+      data: requests.map(formatMoneyRequest),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the requests sent to the logged-in user, pending ones by default
+ * GET /api/transactions/requests/incoming?status=pending&page=1&limit=20
+ *
+ * status filters on the user's own part (pending, paid, declined, canceled, expired).
+ */
+const listIncomingMoneyRequests = async (req, res, next) => {
+  try {
+    const pagination = getPagination(req.query);
+    if (!pagination) {
+      return res.status(400).json(INVALID_PAGINATION);
+    }
+
+    const { status = "pending" } = req.query;
+    if (!MoneyRequest.PART_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${MoneyRequest.PART_STATUSES.join(", ")}`,
+      });
+    }
+
+    const { pageNum, limitNum, skip } = pagination;
+    const query = { parts: { $elemMatch: { payer: req.user.id, status } } };
+
+    // Pending parts of requests past their expiry date can no longer be paid
+    if (status === "pending") {
+      query.status = "open";
+      query.expiresAt = { $gt: new Date() };
+    }
+
+    const totalCount = await MoneyRequest.countDocuments(query);
+    const requests = await MoneyRequest.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    res.status(200).json({
+      success: true,
+      pagination: paginationInfo(pageNum, limitNum, totalCount),
+      count: requests.length,
+      data: requests.map((request) => formatIncomingRequest(request, findPart(request, req.user.id))),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a request the logged-in user sent or was asked to pay
+ * GET /api/transactions/requests/:requestId
+ *
+ * The requester sees every part; a payer only sees their own.
+ */
+const getMoneyRequest = async (req, res, next) => {
+  try {
+    const request = mongoose.Types.ObjectId.isValid(req.params.requestId)
+      ? await MoneyRequest.findOne({
+          _id: req.params.requestId,
+          $or: [{ requester: req.user.id }, { "parts.payer": req.user.id }],
+        })
+      : null;
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: "Money request not found",
+      });
+    }
+
+    const isRequester = request.requester.toString() === req.user.id.toString();
+
+    res.status(200).json({
+      success: true,
+      data: isRequester
+        ? formatMoneyRequest(request)
+        : formatIncomingRequest(request, findPart(request, req.user.id)),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pay the logged-in user's part of a request from their wallet
+ * POST /api/transactions/requests/:requestId/accept
+ *
+ * The amount is transferred to the requester (C2C); the transfer fee is paid
+ * by the payer on top of it.
+ */
+const acceptMoneyRequest = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const request = mongoose.Types.ObjectId.isValid(req.params.requestId)
+      ? await MoneyRequest.findOne({ _id: req.params.requestId, "parts.payer": req.user.id }).session(session)
+      : null;
+
+    if (!request) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: "Money request not found",
+      });
+    }
+
+    const { part, error: partError } = getAnswerablePart(request, req.user.id);
+    if (partError) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(partError.status).json({
+        success: false,
+        message: partError.message,
+      });
+    }
+
+    const payer = await User.findById(req.user.id).session(session);
+    const requester = await User.findById(request.requester).session(session);
+
+    if (!payer || !requester) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: "Payer or requester not found",
+      });
+    }
+
+    const { transactionCategory, error: categoryError } = getTransferCategory(payer, requester);
+    const { transaction, error } = categoryError
+      ? { error: categoryError }
+      : await transferBetweenWallets({
+          fromUser: payer,
+          toUser: requester,
+          amount: part.amount,
+          transactionCategory,
+          description: request.note || "Money request",
+          moneyRequest: request._id,
+          session,
+        });
+
+    if (error) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    part.status = "paid";
+    part.respondedAt = new Date();
+    part.transaction = transaction._id;
+    closeIfAnswered(request);
+    await request.save({ session });
+
+    await notify(request.requester, {
+      type: "money_request.paid",
+      title: "Money request paid",
+      message: `${part.payerName || "A user"} paid ${formatMoney(part.amount)} of your request.`,
+      data: { moneyRequestId: request._id, transactionId: transaction._id },
+    }, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(200).json({
+      success: true,
+      message: "Money request paid successfully",
+      data: formatIncomingRequest(request, part),
+      transaction,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
+
+/**
+ * Decline the logged-in user's part of a request
+ * POST /api/transactions/requests/:requestId/decline
+ */
+const declineMoneyRequest = async (req, res, next) => {
+  try {
+    const request = mongoose.Types.ObjectId.isValid(req.params.requestId)
+      ? await MoneyRequest.findOne({ _id: req.params.requestId, "parts.payer": req.user.id })
+      : null;
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: "Money request not found",
+      });
+    }
+
+    const { part, error } = getAnswerablePart(request, req.user.id);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    part.status = "declined";
+    part.respondedAt = new Date();
+    closeIfAnswered(request);
+    await request.save();
+
+    await notify(request.requester, {
+      type: "money_request.declined",
+      title: "Money request declined",
+      message: `${part.payerName || "A user"} declined to pay ${formatMoney(part.amount)} of your request.`,
+      data: { moneyRequestId: request._id },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Money request declined",
+      data: formatIncomingRequest(request, part),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel an open request sent by the logged-in user
+ * DELETE /api/transactions/requests/:requestId
+ *
+ * Pending parts are canceled; parts already paid are not reversed.
+ */
+const cancelMoneyRequest = async (req, res, next) => {
+  try {
+    const request = mongoose.Types.ObjectId.isValid(req.params.requestId)
+      ? await MoneyRequest.findOne({ _id: req.params.requestId, requester: req.user.id })
+      : null;
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: "Money request not found",
+      });
+    }
+
+    if (request.status !== "open") {
+      return res.status(400).json({
+        success: false,
+        message: `Money request is already ${request.status}`,
+      });
+    }
+
+    const pendingParts = request.parts.filter((part) => part.status === "pending");
+    for (const part of pendingParts) {
+      part.status = "canceled";
+    }
+
+    request.status = "canceled";
+    request.canceledAt = new Date();
+    await request.save();
+
+    for (const part of pendingParts) {
+      await notify(part.payer, {
+        type: "money_request.canceled",
+        title: "Money request canceled",
+        message: `${request.requesterName || "The requester"} canceled their request for ` +
+          `${formatMoney(part.amount)}. You no longer need to pay it.`,
+        data: { moneyRequestId: request._id },
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Money request canceled",
+      data: formatMoneyRequest(request),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createMoneyRequest,
+  listSentMoneyRequests,
+  listIncomingMoneyRequests,
+  getMoneyRequest,
+  acceptMoneyRequest,
+  declineMoneyRequest,
+  cancelMoneyRequest,
+};
@@ -0,0 +1,81 @@
+/**
+ * NOTIFICATION CONTROLLER
+ * =======================
+ * The logged-in user's in-app inbox (see utils/notifications.js)
+ */
+
+const mongoose = require("mongoose");
+const Notification = require("../models/notification.model");
+const { INVALID_PAGINATION, getPagination, paginationInfo } = require("../utils/pagination");
+
+/**
+ * List the user's notifications, newest first
+ * GET /api/users/profile/notifications?unread=true&page=1&limit=20
+ */
+const listNotifications = async (req, res, next) => {
+  try {
+    const pagination = getPagination(req.query);
+    if (!pagination) {
+      return res.status(400).json(INVALID_PAGINATION);
+    }
+
+    const { pageNum, limitNum, skip } = pagination;
+    const query = { user: req.user.id };
+    if (req.query.unread === "true") {
+      query.readAt = null;
+    }
+
+    const totalCount = await Notification.countDocuments(query);
+    const unreadCount = await Notification.countDocuments({ user: req.user.id, readAt: null });
+    const notifications = await Notification.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    res.status(200).json({
+      success: true,
+      pagination: paginationInfo(pageNum, limitNum, totalCount),
+      unreadCount,
+      count: notifications.length,
+      data: notifications,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark one of the user's notifications as read
+ * POST /api/users/profile/notifications/:notificationId/read
+ */
+const markNotificationRead = async (req, res, next) => {
+  try {
+    const notification = mongoose.Types.ObjectId.isValid(req.params.notificationId)
+      ? await Notification.findOne({ _id: req.params.notificationId, user: req.user.id })
+      : null;
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found",
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: notification,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  listNotifications,
+  markNotificationRead,
+};
@@ -0,0 +1,286 @@
+/**
+ * PAYEE CONTROLLER
+ * ================
+ * Finding recipients and the logged-in user's payee address book
+ * - Lookup: confirms who an ID, email or handle belongs to (masked name only)
+ * - Address book: save, nickname, reorder and remove frequent recipients
+ */
+
+const mongoose = require("mongoose");
+const Payee = require("../models/payee.model");
+const { findRecipient, maskName } = require("../utils/recipients");
+
+// Recipient fields shown with a saved payee
+const PAYEE_USER_FIELDS = "fullName handle accountType businessInfo.businessName";
+
+/**
+ * Format a recipient for the sender (no email or full name)
+ * @param {Object} user - User document
+ * @returns {Object}
+ */
+const formatRecipient = (user) => ({
+  id: user._id,
+  maskedName: maskName(user),
+  handle: user.handle,
+  accountType: user.accountType,
+});
+
+/**
+ * Format a saved payee with its recipient
+ * @param {Object} payee - Payee document
+ * @param {Object} user - Recipient user document
+ * @returns {Object}
+ */
+const formatPayee = (payee, user) => ({
+  id: payee._id,
+  nickname: payee.nickname,
+  position: payee.position,
+  recipient: user ? formatRecipient(user) : null, // null if the account was deleted
+  createdAt: payee.createdAt,
+});
+
+/**
+ * Load the user's address book in order
+ * @param {string} userId
+ * @returns {Promise<Array>}
+ */
+const loadPayees = async (userId) => {
+  const payees = await Payee.find({ user: userId })
+    .sort({ position: 1, createdAt: 1 })
+    .populate("payee", PAYEE_USER_FIELDS);
+
+  return payees.map((payee) => formatPayee(payee, payee.payee));
+};
+
+/**
+ * Confirm who a recipient is before sending
+ * GET /api/transactions/recipients/lookup?to=@juan_cruz
+ *
+ * `to` is a user ID, email or handle. Only the masked name is returned.
+ */
+const lookupRecipient = async (req, res, next) => {
+  try {
+    const { to } = req.query;
+
+    if (!to || typeof to !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Recipient (to) is required",
+      });
+    }
+
+    const recipient = await findRecipient(to);
+
+    if (!recipient) {
+      return res.status(404).json({
+        success: false,
+        message: "Recipient not found",
+      });
+    }
+
+    if (recipient._id.toString() === req.user.id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot transfer to the same account",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatRecipient(recipient),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the user's saved payees in order
+ * GET /api/users/profile/payees
+ */
+const listPayees = async (req, res, next) => {
+  try {
+    const payees = await loadPayees(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: payees.length,
+      data: payees,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Save a recipient in the user's address book (added last)
+ * POST /api/users/profile/payees
+ *
+ * Request body:
+ * {
+ *   to: "@juan_cruz",     // user ID, email or handle
+ *   nickname: "Roommate"  // optional
+ * }
+ */
+const addPayee = async (req, res, next) => {
+  try {
+    const { to, nickname } = req.body;
+
+    const recipient = await findRecipient(to);
+
+    if (!recipient) {
+      return res.status(404).json({
+        success: false,
+        message: "Recipient not found",
+      });
+    }
+
+    if (recipient._id.toString() === req.user.id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot save yourself as a payee",
+      });
+    }
+
+    if (await Payee.findOne({ user: req.user.id, payee: recipient._id })) {
+      return res.status(409).json({
+        success: false,
+        message: "Payee already saved",
+      });
+    }
+
+    const count = await Payee.countDocuments({ user: req.user.id });
+    if (count >= Payee.MAX_PAYEES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save at most ${Payee.MAX_PAYEES} payees`,
+      });
+    }
+
+    // After the last payee, even if earlier ones were removed
+    const last = await Payee.findOne({ user: req.user.id }).sort({ position: -1 });
+
+    const payee = await Payee.create({
+      user: req.user.id,
+      payee: recipient._id,
+      nickname: nickname || undefined,
+      position: last ? last.position + 1 : 0,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Payee saved successfully",
+      data: formatPayee(payee, recipient),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change or remove (null or "") the nickname of a saved payee
+ * PATCH /api/users/profile/payees/:payeeId
+ */
+const updatePayee = async (req, res, next) => {
+  try {
+    const payee = mongoose.Types.ObjectId.isValid(req.params.payeeId)
+      ? await Payee.findOne({ _id: req.params.payeeId, user: req.user.id })
+          .populate("payee", PAYEE_USER_FIELDS)
+      : null;
+
+    if (!payee) {
+      return res.status(404).json({
+        success: false,
+        message: "Payee not found",
+      });
+    }
+
+    payee.nickname = req.body.nickname || undefined;
+    await payee.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Payee updated successfully",
+      data: formatPayee(payee, payee.payee),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reorder the address book
+ * PUT /api/users/profile/payees/order
+ *
+ * Request body: { payeeIds: ["...", "..."] } - every saved payee, in the new order
+ */
+const reorderPayees = async (req, res, next) => {
+  try {
+    const { payeeIds } = req.body;
+
+    const payees = await Payee.find({ user: req.user.id }).select("_id");
+    const savedIds = new Set(payees.map((payee) => payee._id.toString()));
+
+    if (payeeIds.length !== savedIds.size || !payeeIds.every((id) => savedIds.has(id))) {
+      return res.status(400).json({
+        success: false,
+        message: "payeeIds must list each of your saved payees once",
+      });
+    }
+
+    await Payee.bulkWrite(
+      payeeIds.map((id, position) => ({
+        updateOne: {
+          filter: { _id: id, user: req.user.id },
+          update: { $set: { position } },
+        },
+      }))
+    );
+
+    const data = await loadPayees(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Payees reordered successfully",
+      count: data.length,
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a payee from the address book
+ * DELETE /api/users/profile/payees/:payeeId
+ */
+const removePayee = async (req, res, next) => {
+  try {
+    const payee = mongoose.Types.ObjectId.isValid(req.params.payeeId)
+      ? await Payee.findOneAndDelete({ _id: req.params.payeeId, user: req.user.id })
+      : null;
+
+    if (!payee) {
+      return res.status(404).json({
+        success: false,
+        message: "Payee not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Payee removed successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  lookupRecipient,
+  listPayees,
+  addPayee,
+  updatePayee,
+  reorderPayees,
+  removePayee,
+};
@@ -0,0 +1,400 @@
+/**
+ * PAYMENT LINK CONTROLLER
+ * =======================
+ * Shareable payment links for businesses without a website
+ * - Businesses create, list and deactivate links and see who paid them
+ * - Logged-in personal users view and pay links from their wallet
+ */
+
+const mongoose = require("mongoose");
+const PaymentLink = require("../models/paymentLink.model");
+const Transaction = require("../models/transaction.model");
+const User = require("../models/user.model");
+const { payMerchant } = require("../utils/cardPayments");
+const { enqueueEvent, dispatchDeliveries } = require("../utils/webhooks");
+const { toCents, isValidAmount } = require("../utils/money");
+const { INVALID_PAGINATION, getPagination, paginationInfo } = require("../utils/pagination");
+
+/**
+ * Format a link for its business
+ * @param {Object} link - PaymentLink document
+ * @returns {Object}
+ */
+const formatLink = (link) => ({
+  linkId: link.linkId,
+  url: link.getUrl(),
+  amount: link.amount,
+  amountType: link.amount === null || link.amount === undefined ? "customer_entered" : "fixed",
+  currency: link.currency,
+  description: link.description,
+  usageLimit: link.usageLimit,
+  usageCount: link.usageCount,
+  totalCollected: link.totalCollected,
+  expiresAt: link.expiresAt,
+  status: link.getStatus(),
+  createdAt: link.createdAt,
+});
+
+/**
+ * Create a payment link
+ * POST /api/business/payment-links
+ *
+ * Request body:
+ * {
+ *   description: "Bake sale - chocolate cake",
+ *   amount: 350,                       // optional, customer enters it if omitted
+ *   usageLimit: 20,                    // optional, unlimited if omitted
+ *   expiresAt: "2025-12-31T23:59:59Z"  // optional
+ * }
+ */
+const createPaymentLink = async (req, res, next) => {
+  try {
+    const { amount, description, usageLimit, expiresAt } = req.body;
+
+    const link = await PaymentLink.create({
+      business: req.user.id,
+      amount: amount ?? null,
+      description,
+      usageLimit: usageLimit ?? null,
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Payment link created successfully",
+      data: formatLink(link),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the business's payment links
+ * GET /api/business/payment-links?page=1&limit=20
+ */
+const listPaymentLinks = async (req, res, next) => {
+  try {
+    const pagination = getPagination(req.query);
+    if (!pagination) {
+      return res.status(400).json(INVALID_PAGINATION);
+    }
+
+    const { pageNum, limitNum, skip } = pagination;
+    const query = { business: req.user.id };
+
+    const totalCount = await PaymentLink.countDocuments(query);
+    const links = await PaymentLink.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    res.status(200).json({
+      success: true,
+      pagination: paginationInfo(pageNum, limitNum, totalCount),
+      count: links.length,
+      data: links.map(formatLink),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get one of the business's payment links
+ * GET /api/business/payment-links/:linkId
+ */
+const getPaymentLink = async (req, res, next) => {
+  try {
+    const link = await PaymentLink.findOne({ linkId: req.params.linkId, business: req.user.id });
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: "Payment link not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatLink(link),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List who paid a payment link
+ * GET /api/business/payment-links/:linkId/payments?page=1&limit=20
+ */
+const getPaymentLinkPayments = async (req, res, next) => {
+  try {
+    const pagination = getPagination(req.query);
+    if (!pagination) {
+      return res.status(400).json(INVALID_PAGINATION);
+    }
+
+    const link = await PaymentLink.findOne({ linkId: req.params.linkId, business: req.user.id });
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: "Payment link not found",
+      });
+    }
+
+    const { pageNum, limitNum, skip } = pagination;
+    const query = { paymentLink: link._id };
+
+    const totalCount = await Transaction.countDocuments(query);
+    const payments = await Transaction.find(query)
+      .populate("from", "fullName email")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        link: formatLink(link),
+        payments: payments.map((payment) => ({
+          reference: payment.reference,
+          amount: payment.amount,
+          status: payment.status,
+          payer: payment.from
+            ? {
+                id: payment.from._id,
+                name: `${payment.from.fullName?.firstName || ""} ${payment.from.fullName?.lastName || ""}`.trim(),
+                email: payment.from.email,
+              }
+            : null,
+          paidAt: payment.createdAt,
+        })),
+      },
+      pagination: paginationInfo(pageNum, limitNum, totalCount),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deactivate a payment link (it can no longer be paid)
+ * DELETE /api/business/payment-links/:linkId
+ */
+const deactivatePaymentLink = async (req, res, next) => {
+  try {
+    const link = await PaymentLink.findOne({ linkId: req.params.linkId, business: req.user.id });
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: "Payment link not found",
+      });
+    }
+
+    if (!link.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Payment link is already inactive",
+      });
+    }
+
+    link.isActive = false;
+    link.deactivatedAt = new Date();
+    await link.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Payment link deactivated successfully",
+      data: formatLink(link),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * View a payment link before paying it
+ * GET /api/payment-links/:linkId
+ */
+const viewPaymentLink = async (req, res, next) => {
+  try {
+    const link = await PaymentLink.findOne({ linkId: req.params.linkId })
+      .populate("business", "businessInfo.businessName");
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: "Payment link not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        linkId: link.linkId,
+        businessName: link.business?.businessInfo?.businessName,
+        amount: link.amount,
+        currency: link.currency,
+        description: link.description,
+        expiresAt: link.expiresAt,
+        status: link.getStatus(),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pay a payment link from the logged-in user's wallet
+ * POST /api/payment-links/:linkId/pay
+ *
+ * Request body:
+ * {
+ *   amount: 350   // required only when the link has no fixed amount
+ * }
+ */
+const payPaymentLink = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const customer = await User.findById(req.user.id).session(session);
+    if (!customer) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (customer.accountType !== "personal") {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(403).json({
+        success: false,
+        message: "Payment links can only be paid from personal accounts",
+      });
+    }
+
+    const link = await PaymentLink.findOne({ linkId: req.params.linkId }).session(session);
+    if (!link) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: "Payment link not found",
+      });
+    }
+
+    const status = link.getStatus();
+    if (status !== "active") {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: `This payment link is ${status} and can no longer be paid`,
+      });
+    }
+
+    // Fixed links charge their amount; open links need one from the customer
+    let amount = link.amount;
+    if (amount === null || amount === undefined) {
+      amount = req.body.amount;
+      if (typeof amount !== "number" || amount <= 0 || !isValidAmount(amount) || amount > 1000000) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(400).json({
+          success: false,
+          message: "Amount must be greater than zero with at most 2 decimal places",
+        });
+      }
+    }
+
+    const business = await User.findById(link.business).session(session);
+    if (!business || !business.businessInfo?.isVerified) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: "This business cannot accept payments",
+      });
+    }
+
+    // Counts the payment only if the link is still payable (usage limit races)
+    const updatedLink = await PaymentLink.recordPayment(link._id, toCents(amount), session);
+    if (!updatedLink) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: "This payment link can no longer be paid",
+      });
+    }
+
+    const { transaction, error } = await payMerchant({
+      customer,
+      business,
+      amount,
+      paymentMethod: "wallet",
+      transactionCategory: "B2C",
+      description: link.description,
+      paymentLink: link._id,
+      session,
+    });
+
+    if (error) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const webhookDeliveries = await enqueueEvent(
+      business._id,
+      "payment.completed",
+      {
+        transactionId: transaction.reference,
+        amount: transaction.amount,
+        currency: "PHP",
+        status: transaction.status,
+        description: transaction.description,
+        paymentMethod: "wallet",
+        paymentLinkId: link.linkId,
+        createdAt: transaction.createdAt,
+      },
+      session
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    dispatchDeliveries(webhookDeliveries);
+
+    res.status(200).json({
+      success: true,
+      message: "Payment successful",
+      transaction,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
+
+module.exports = {
+  createPaymentLink,
+  listPaymentLinks,
+  getPaymentLink,
+  getPaymentLinkPayments,
+  deactivatePaymentLink,
+  viewPaymentLink,
+  payPaymentLink,
+};
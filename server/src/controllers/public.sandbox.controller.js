@@ -0,0 +1,821 @@
+/**
+ * PUBLIC SANDBOX CONTROLLER
+ * =========================
+ * Test-mode versions of the public payment endpoints (API keys with the
+ * scb_test_ prefix). Requests are validated exactly like live ones, but:
+ * - Only the magic test cards in utils/sandbox.js are accepted
+ * - Payments credit the business's sandbox balance, not its wallet
+ * - Transactions are stored with livemode: false and no ledger postings
+ *
+ * Transaction lookups are shared with live mode (see livemodeFilter).
+ */
+
+const mongoose = require("mongoose");
+const Transaction = require("../models/transaction.model");
+const SandboxAccount = require("../models/sandboxAccount.model");
+const { validateCardFormat } = require("../utils/cardGenerator");
+const { getAuthorizationExpiry } = require("../utils/cardPayments");
+const { enqueueEvent, dispatchDeliveries } = require("../utils/webhooks");
+const { getIdempotencyKey, beginIdempotentRequest, sendInvalidIdempotencyKey } = require("../utils/idempotency");
+const { authenticateTestCard, recordSandboxPayment, TEST_CARDS, TEST_CARD_CVV } = require("../utils/sandbox");
+const { loadSplitBusinesses, recordSplitRefund, formatSplit } = require("../utils/splitPayments");
+const { toCents, fromCents, centsToString } = require("../utils/money");
+
+/**
+ * Respond with a card or request error
+ * @param {Object} res - Express response
+ * @param {{status: number, code: string, message: string}} error
+ */
+const sendError = (res, error) => {
+  return res.status(error.status).json({
+    success: false,
+    error: {
+      code: error.code,
+      message: error.message,
+    },
+  });
+};
+
+/**
+ * Respond 403 if the business is not verified (same rule as live mode)
+ * @param {Object} business - Business from API key
+ * @param {Object} res - Express response
+ * @returns {boolean} - true if a response was sent
+ */
+const rejectUnverifiedBusiness = (business, res) => {
+  if (business.businessInfo?.isVerified) {
+    return false;
+  }
+
+  sendError(res, {
+    status: 403,
+    code: "BUSINESS_NOT_VERIFIED",
+    message: "Business must be verified before processing transactions.",
+  });
+  return true;
+};
+
+/**
+ * Charge a test card
+ * POST /api/public/transactions/charge (test API key)
+ */
+const chargeCard = async (req, res, next) => {
+  const { cardNumber, cvv, amount, description, externalReference } = req.body;
+  const business = req.business;
+  const apiKey = req.apiKey;
+
+  if (rejectUnverifiedBusiness(business, res)) return;
+
+  const idempotencyKey = getIdempotencyKey(req);
+  if (idempotencyKey === false) {
+    return sendInvalidIdempotencyKey(res);
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    let idempotencyRecord = null;
+    if (idempotencyKey) {
+      idempotencyRecord = await beginIdempotentRequest(req, res, idempotencyKey, "charge", session);
+      if (!idempotencyRecord) return;
+    }
+
+    const { error: cardError } = authenticateTestCard(cardNumber, cvv);
+
+    if (cardError) {
+      await session.abortTransaction();
+      session.endSession();
+      return sendError(res, cardError);
+    }
+
+    const transaction = await recordSandboxPayment({
+      business,
+      apiKey,
+      amount,
+      cardNumber,
+      description,
+      externalReference,
+      session,
+    });
+
+    const responseBody = {
+      success: true,
+      data: {
+        transactionId: transaction.reference,
+        amount: transaction.amount,
+        currency: "PHP",
+        status: transaction.status,
+        cardLast4: transaction.cardUsed.last4,
+        description: transaction.description,
+        externalReference: transaction.externalReference,
+        livemode: false,
+        createdAt: transaction.createdAt,
+      },
+    };
+
+    if (idempotencyRecord) {
+      await idempotencyRecord.complete(200, responseBody, session);
+    }
+
+    const webhookDeliveries = await enqueueEvent(business._id, "payment.completed", responseBody.data, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    dispatchDeliveries(webhookDeliveries);
+
+    res.status(200).json(responseBody);
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
+
+/**
+ * Charge a test card once and pay several businesses
+ * POST /api/public/transactions/split-charge (test API key)
+ *
+ * Each split credits its business's sandbox balance.
+ */
+const chargeSplit = async (req, res, next) => {
+  const { cardNumber, cvv, amount, description, externalReference, splits } = req.body;
+  const business = req.business;
+  const apiKey = req.apiKey;
+
+  if (rejectUnverifiedBusiness(business, res)) return;
+
+  const idempotencyKey = getIdempotencyKey(req);
+  if (idempotencyKey === false) {
+    return sendInvalidIdempotencyKey(res);
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    let idempotencyRecord = null;
+    if (idempotencyKey) {
+      idempotencyRecord = await beginIdempotentRequest(req, res, idempotencyKey, "split_charge", session);
+      if (!idempotencyRecord) return;
+    }
+
+    const { error: cardError } = authenticateTestCard(cardNumber, cvv);
+
+    if (cardError) {
+      await session.abortTransaction();
+      session.endSession();
+      return sendError(res, cardError);
+    }
+
+    const { businesses, error: splitError } = await loadSplitBusinesses(splits, null, session);
+
+    if (splitError) {
+      await session.abortTransaction();
+      session.endSession();
+      return sendError(res, splitError);
+    }
+
+    const parent = new Transaction({
+      type: "split_payment",
+      amount,
+      transactionCategory: "B2C",
+      paymentMethod: "card",
+      cardUsed: {
+        last4: cardNumber.slice(-4),
+        cardType: "SmartCity",
+      },
+      merchant: {
+        businessId: business._id,
+        businessName: business.businessInfo?.businessName || "Unknown Business",
+        apiKeyId: apiKey._id,
+      },
+      externalReference,
+      description,
+      status: "completed",
+      livemode: false,
+    });
+
+    await parent.save({ session });
+
+    const children = [];
+    for (const [index, split] of splits.entries()) {
+      children.push(await recordSandboxPayment({
+        business: businesses[index],
+        apiKey,
+        amount: split.amount,
+        cardNumber,
+        description: split.description || description,
+        externalReference,
+        split: { parent: parent._id, initiator: business._id },
+        session,
+      }));
+    }
+
+    const responseBody = {
+      success: true,
+      data: {
+        transactionId: parent.reference,
+        amount: parent.amount,
+        currency: "PHP",
+        status: parent.status,
+        cardLast4: parent.cardUsed.last4,
+        description: parent.description,
+        externalReference: parent.externalReference,
+        splits: children.map(formatSplit),
+        livemode: false,
+        createdAt: parent.createdAt,
+      },
+    };
+
+    if (idempotencyRecord) {
+      await idempotencyRecord.complete(200, responseBody, session);
+    }
+
+    const webhookDeliveries = [];
+    for (const child of children) {
+      const deliveries = await enqueueEvent(child.merchant.businessId, "payment.completed", {
+        transactionId: child.reference,
+        splitId: parent.reference,
+        amount: child.amount,
+        currency: "PHP",
+        status: child.status,
+        cardLast4: child.cardUsed.last4,
+        description: child.description,
+        externalReference: child.externalReference,
+        livemode: false,
+        createdAt: child.createdAt,
+      }, session);
+      webhookDeliveries.push(...deliveries);
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+    dispatchDeliveries(webhookDeliveries);
+
+    res.status(200).json(responseBody);
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
+
+/**
+ * Refund a sandbox payment (full or partial) from the sandbox balance
+ * POST /api/public/transactions/refund (test API key)
+ */
+const refundTransaction = async (req, res, next) => {
+  const { transactionId, amount: refundAmount, reason } = req.body;
+  const business = req.business;
+  const apiKey = req.apiKey;
+
+  const idempotencyKey = getIdempotencyKey(req);
+  if (idempotencyKey === false) {
+    return sendInvalidIdempotencyKey(res);
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    let idempotencyRecord = null;
+    if (idempotencyKey) {
+      idempotencyRecord = await beginIdempotentRequest(req, res, idempotencyKey, "refund", session);
+      if (!idempotencyRecord) return;
+    }
+
+    const originalTransaction = await Transaction.findOne({
+      reference: transactionId,
+      $or: [{ "merchant.businessId": business._id }, { "split.initiator": business._id }],
+      type: "payment",
+      livemode: false,
+      status: { $in: ["completed", "partially_refunded", "refunded"] },
+    }).session(session);
+
+    if (!originalTransaction) {
+      await session.abortTransaction();
+      session.endSession();
+      return sendError(res, {
+        status: 404,
+        code: "TRANSACTION_NOT_FOUND",
+        message: "Original transaction not found or not eligible for refund.",
+      });
+    }
+
+    const alreadyRefundedCents = toCents(originalTransaction.refundedAmount || 0);
+    const remainingCents = toCents(originalTransaction.amount) - alreadyRefundedCents;
+
+    if (originalTransaction.status === "refunded" || remainingCents <= 0) {
+      await session.abortTransaction();
+      session.endSession();
+      return sendError(res, {
+        status: 400,
+        code: "ALREADY_REFUNDED",
+        message: "This transaction has already been fully refunded.",
+      });
+    }
+
+    const refundCents = refundAmount ? toCents(refundAmount) : remainingCents;
+    const amountToRefund = fromCents(refundCents);
+
+    if (refundCents > remainingCents) {
+      await session.abortTransaction();
+      session.endSession();
+      return sendError(res, {
+        status: 400,
+        code: "REFUND_EXCEEDS_ORIGINAL",
+        message: alreadyRefundedCents > 0
+          ? `Refund amount cannot exceed the remaining refundable amount (${centsToString(remainingCents)}).`
+          : "Refund amount cannot exceed original transaction amount.",
+      });
+    }
+
+    // Debit the sandbox balance (fails if the balance does not cover the refund)
+    // A split is refunded from the sandbox balance of the business it paid
+    const merchantId = originalTransaction.split?.parent ? originalTransaction.merchant.businessId : business._id;
+    const account = await SandboxAccount.adjustBalance(merchantId, -refundCents, session);
+
+    if (!account) {
+      await session.abortTransaction();
+      session.endSession();
+      return sendError(res, {
+        status: 400,
+        code: "INSUFFICIENT_BUSINESS_FUNDS",
+        message: "Insufficient funds to process refund.",
+      });
+    }
+
+    const balanceAfterCents = toCents(account.balance);
+
+    const refundedCents = alreadyRefundedCents + refundCents;
+    const remainingAfterCents = remainingCents - refundCents;
+    originalTransaction.refundedAmount = fromCents(refundedCents);
+    originalTransaction.status = remainingAfterCents === 0 ? "refunded" : "partially_refunded";
+    await originalTransaction.save({ session });
+
+    if (originalTransaction.split?.parent) {
+      await recordSplitRefund(originalTransaction, refundCents, session);
+    }
+
+    const refundTransaction = new Transaction({
+      type: "refund",
+      from: merchantId,
+      amount: amountToRefund,
+      transactionCategory: "B2C",
+      paymentMethod: "api",
+      merchant: {
+        businessId: merchantId,
+        businessName: originalTransaction.merchant?.businessName || "Unknown Business",
+        apiKeyId: apiKey._id,
+      },
+      description: reason || "Refund",
+      status: "completed",
+      livemode: false,
+      originalTransaction: originalTransaction._id,
+      fromBalanceBefore: fromCents(balanceAfterCents + refundCents),
+      fromBalanceAfter: fromCents(balanceAfterCents),
+    });
+
+    await refundTransaction.save({ session });
+
+    const responseBody = {
+      success: true,
+      data: {
+        refundId: refundTransaction.reference,
+        originalTransactionId: transactionId,
+        amount: amountToRefund,
+        currency: "PHP",
+        status: refundTransaction.status,
+        reason: reason || "Refund",
+        originalStatus: originalTransaction.status,
+        totalRefunded: fromCents(refundedCents),
+        remainingRefundable: fromCents(remainingAfterCents),
+        livemode: false,
+        createdAt: refundTransaction.createdAt,
+      },
+    };
+
+    if (idempotencyRecord) {
+      await idempotencyRecord.complete(200, responseBody, session);
+    }
+
+    const webhookDeliveries = await enqueueEvent(merchantId, "payment.refunded", responseBody.data, session);
+    if (merchantId.toString() !== business._id.toString()) {
+      webhookDeliveries.push(...await enqueueEvent(business._id, "payment.refunded", responseBody.data, session));
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+    dispatchDeliveries(webhookDeliveries);
+
+    res.status(200).json(responseBody);
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
+
+/**
+ * Authorize a test card (no balance is held in test mode)
+ * POST /api/public/transactions/authorize (test API key)
+ */
+const authorizeCard = async (req, res, next) => {
+  const { cardNumber, cvv, amount, description, externalReference } = req.body;
+  const business = req.business;
+  const apiKey = req.apiKey;
+
+  if (rejectUnverifiedBusiness(business, res)) return;
+
+  const idempotencyKey = getIdempotencyKey(req);
+  if (idempotencyKey === false) {
+    return sendInvalidIdempotencyKey(res);
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    let idempotencyRecord = null;
+    if (idempotencyKey) {
+      idempotencyRecord = await beginIdempotentRequest(req, res, idempotencyKey, "authorize", session);
+      if (!idempotencyRecord) return;
+    }
+
+    const { error: cardError } = authenticateTestCard(cardNumber, cvv);
+
+    if (cardError) {
+      await session.abortTransaction();
+      session.endSession();
+      return sendError(res, cardError);
+    }
+
+    apiKey.recordTransaction(amount);
+    await apiKey.save({ session });
+
+    const authorization = new Transaction({
+      type: "payment",
+      to: business._id,
+      amount,
+      transactionCategory: "B2C",
+      paymentMethod: "card",
+      cardUsed: {
+        last4: cardNumber.slice(-4),
+        cardType: "SmartCity",
+      },
+      merchant: {
+        businessId: business._id,
+        businessName: business.businessInfo?.businessName || "Unknown Business",
+        apiKeyId: apiKey._id,
+      },
+      externalReference,
+      description,
+      status: "pending",
+      livemode: false,
+      authorization: {
+        authorizedAmount: amount,
+        expiresAt: getAuthorizationExpiry(),
+      },
+      toBalanceBefore: 0,
+      toBalanceAfter: 0,
+    });
+
+    await authorization.save({ session });
+
+    const responseBody = {
+      success: true,
+      data: {
+        authorizationId: authorization.reference,
+        amount: authorization.authorization.authorizedAmount,
+        currency: "PHP",
+        status: authorization.status,
+        cardLast4: authorization.cardUsed.last4,
+        description: authorization.description,
+        externalReference: authorization.externalReference,
+        expiresAt: authorization.authorization.expiresAt,
+        livemode: false,
+        createdAt: authorization.createdAt,
+      },
+    };
+
+    if (idempotencyRecord) {
+      await idempotencyRecord.complete(200, responseBody, session);
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(200).json(responseBody);
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
+
+/**
+ * Find a pending sandbox authorization of the business inside a session
+ * @param {string} reference - Authorization reference ID
+ * @param {Object} business - Business from API key
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<{authorization?: Object, expired?: Object, error?: {status: number, code: string, message: string}}>}
+ */
+const findPendingAuthorization = async (reference, business, session) => {
+  const authorization = await Transaction.findOne({
+    reference,
+    "merchant.businessId": business._id,
+    type: "payment",
+    livemode: false,
+    "authorization.authorizedAmount": { $exists: true },
+  }).session(session);
+
+  if (!authorization) {
+    return {
+      error: { status: 404, code: "AUTHORIZATION_NOT_FOUND", message: "Authorization not found." },
+    };
+  }
+
+  if (authorization.status !== "pending") {
+    return {
+      error: {
+        status: 400,
+        code: "AUTHORIZATION_NOT_PENDING",
+        message: `This authorization is already ${authorization.status}.`,
+      },
+    };
+  }
+
+  if (authorization.authorization.expiresAt <= new Date()) {
+    return { expired: authorization };
+  }
+
+  return { authorization };
+};
+
+/**
+ * Capture a sandbox authorization into the sandbox balance
+ * POST /api/public/transactions/capture (test API key)
+ */
+const captureAuthorization = async (req, res, next) => {
+  const { authorizationId, amount: captureAmount } = req.body;
+  const business = req.business;
+
+  const idempotencyKey = getIdempotencyKey(req);
+  if (idempotencyKey === false) {
+    return sendInvalidIdempotencyKey(res);
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    let idempotencyRecord = null;
+    if (idempotencyKey) {
+      idempotencyRecord = await beginIdempotentRequest(req, res, idempotencyKey, "capture", session);
+      if (!idempotencyRecord) return;
+    }
+
+    const { authorization, expired, error } = await findPendingAuthorization(authorizationId, business, session);
+
+    if (expired) {
+      expired.status = "expired";
+      await expired.save({ session });
+
+      const expiredBody = {
+        success: false,
+        error: {
+          code: "AUTHORIZATION_EXPIRED",
+          message: "This authorization has expired and its hold was released.",
+        },
+      };
+
+      if (idempotencyRecord) {
+        await idempotencyRecord.complete(400, expiredBody, session);
+      }
+
+      await session.commitTransaction();
+      session.endSession();
+      return res.status(400).json(expiredBody);
+    }
+
+    if (error) {
+      await session.abortTransaction();
+      session.endSession();
+      return sendError(res, error);
+    }
+
+    const authorizedAmount = authorization.authorization.authorizedAmount;
+    const authorizedCents = toCents(authorizedAmount);
+    const captureCents = captureAmount ? toCents(captureAmount) : authorizedCents;
+    const amountToCapture = fromCents(captureCents);
+
+    if (captureCents > authorizedCents) {
+      await session.abortTransaction();
+      session.endSession();
+      return sendError(res, {
+        status: 400,
+        code: "CAPTURE_EXCEEDS_AUTHORIZATION",
+        message: "Capture amount cannot exceed the authorized amount.",
+      });
+    }
+
+    const account = await SandboxAccount.adjustBalance(business._id, captureCents, session);
+    const balanceAfterCents = toCents(account.balance);
+
+    authorization.amount = amountToCapture;
+    authorization.status = "completed";
+    authorization.authorization.capturedAmount = amountToCapture;
+    authorization.authorization.capturedAt = new Date();
+    authorization.toBalanceBefore = fromCents(balanceAfterCents - captureCents);
+    authorization.toBalanceAfter = fromCents(balanceAfterCents);
+    await authorization.save({ session });
+
+    const responseBody = {
+      success: true,
+      data: {
+        transactionId: authorization.reference,
+        authorizedAmount,
+        amount: amountToCapture,
+        currency: "PHP",
+        status: authorization.status,
+        cardLast4: authorization.cardUsed?.last4,
+        description: authorization.description,
+        externalReference: authorization.externalReference,
+        livemode: false,
+        capturedAt: authorization.authorization.capturedAt,
+      },
+    };
+
+    if (idempotencyRecord) {
+      await idempotencyRecord.complete(200, responseBody, session);
+    }
+
+    const webhookDeliveries = await enqueueEvent(business._id, "payment.completed", responseBody.data, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    dispatchDeliveries(webhookDeliveries);
+
+    res.status(200).json(responseBody);
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
+
+/**
+ * Void a sandbox authorization
+ * POST /api/public/transactions/void (test API key)
+ */
+const voidAuthorization = async (req, res, next) => {
+  const { authorizationId } = req.body;
+  const business = req.business;
+
+  const idempotencyKey = getIdempotencyKey(req);
+  if (idempotencyKey === false) {
+    return sendInvalidIdempotencyKey(res);
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    let idempotencyRecord = null;
+    if (idempotencyKey) {
+      idempotencyRecord = await beginIdempotentRequest(req, res, idempotencyKey, "void", session);
+      if (!idempotencyRecord) return;
+    }
+
+    const { authorization, expired, error } = await findPendingAuthorization(authorizationId, business, session);
+
+    if (error) {
+      await session.abortTransaction();
+      session.endSession();
+      return sendError(res, error);
+    }
+
+    const released = authorization || expired;
+    released.status = expired ? "expired" : "voided";
+    if (!expired) {
+      released.authorization.voidedAt = new Date();
+    }
+    await released.save({ session });
+
+    const responseBody = {
+      success: true,
+      data: {
+        authorizationId: released.reference,
+        amount: released.authorization.authorizedAmount,
+        currency: "PHP",
+        status: released.status,
+        livemode: false,
+        voidedAt: released.authorization.voidedAt,
+      },
+    };
+
+    if (idempotencyRecord) {
+      await idempotencyRecord.complete(200, responseBody, session);
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(200).json(responseBody);
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
+
+/**
+ * Get the business's sandbox balance
+ * GET /api/public/balance (test API key)
+ */
+const getBusinessBalance = async (req, res, next) => {
+  try {
+    const business = req.business;
+
+    const account = await SandboxAccount.findOne({ business: business._id });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        balance: account ? fromCents(toCents(account.balance)) : 0,
+        currency: account?.currency || "PHP",
+        businessName: business.businessInfo?.businessName,
+        livemode: false,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Verify a test card without charging
+ * POST /api/public/cards/verify (test API key)
+ */
+const verifyCard = async (req, res, next) => {
+  try {
+    const { cardNumber, cvv } = req.body;
+
+    const cardValidation = validateCardFormat(cardNumber);
+    if (!cardValidation.isValid) {
+      return sendError(res, { status: 400, code: "INVALID_CARD_FORMAT", message: cardValidation.error });
+    }
+
+    const card = TEST_CARDS[String(cardNumber).replace(/\D/g, "")];
+
+    if (!card) {
+      return sendError(res, {
+        status: 404,
+        code: "CARD_NOT_FOUND",
+        message: "Card not found. Test API keys only accept test card numbers.",
+      });
+    }
+
+    if (card.outcome === "card_locked") {
+      return sendError(res, card.error);
+    }
+
+    if (cvv !== TEST_CARD_CVV) {
+      return sendError(res, { status: 400, code: "INVALID_CVV", message: "Invalid CVV." });
+    }
+
+    const isExpired = card.outcome === "card_expired";
+    const isActive = card.outcome !== "card_inactive";
+    const expiryYear = new Date().getFullYear() + (isExpired ? -1 : 3);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        valid: isActive && !isExpired,
+        cardLast4: String(cardNumber).slice(-4),
+        isActive,
+        isExpired,
+        expiryDate: new Date(expiryYear, 11, 31),
+        livemode: false,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  chargeCard,
+  chargeSplit,
+  refundTransaction,
+  authorizeCard,
+  captureAuthorization,
+  voidAuthorization,
+  getBusinessBalance,
+  verifyCard,
+};
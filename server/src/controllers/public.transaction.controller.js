@@ -3,18 +3,41 @@
  * =============================
  * Handles payment processing for external systems (Smart City integrations)
  * - Card charging for food vendors, merchants, transport, etc.
+ * - Split charges paid out to several businesses
  * - Refund processing
  * - Transaction lookups
+ *
+ * Test API keys are routed to public.sandbox.controller.js instead, except
+ * for the lookups, which filter by the key's mode (livemode).
  */
 
 const mongoose = require("mongoose");
 const Transaction = require("../models/transaction.model");
 const User = require("../models/user.model");
 const { validateCardFormat, validateCVVFormat } = require("../utils/cardGenerator");
+const {
+  authenticateCard,
+  payMerchant,
+  getAvailableBalance,
+  getHeldBalance,
+  setHeldBalance,
+  getAuthorizationExpiry,
+  releaseAuthorization,
+} = require("../utils/cardPayments");
+const { enqueueEvent, dispatchDeliveries } = require("../utils/webhooks");
+const { getIdempotencyKey, beginIdempotentRequest, sendInvalidIdempotencyKey } = require("../utils/idempotency");
+const { recordTransferWithFee, walletAccount } = require("../utils/ledger");
+const { calculateFee, collectFee, reversedFeeCents } = require("../utils/fees");
+const { livemodeFilter } = require("../utils/sandbox");
+const { loadSplitBusinesses, paySplitCharge, recordSplitRefund, formatSplit } = require("../utils/splitPayments");
+const { toCents, fromCents, toDecimal128, centsToString, addMoney, subtractMoney } = require("../utils/money");
+const { parseTransactionSearch, searchTransactions } = require("../utils/transactionSearch");
 
 /**
  * Charge a customer's card
  * POST /api/public/transactions/charge
+ *
+ * Optional header: Idempotency-Key (safe retries - the first response is replayed)
  * 
  * Request body:
  * {
@@ -41,212 +64,256 @@ const chargeCard = async (req, res, next) => {
     });
   }
 
+  const idempotencyKey = getIdempotencyKey(req);
+  if (idempotencyKey === false) {
+    return sendInvalidIdempotencyKey(res);
+  }
+
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
-    // Find customer by card number
-    const customer = await User.findByCardNumber(cardNumber)
-      .select("+virtualCard.cvv")
-      .session(session);
-
-    if (!customer) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(404).json({
-        success: false,
-        error: {
-          code: "CARD_NOT_FOUND",
-          message: "Card not found or invalid.",
-        },
-      });
+    // Replay or reject retried requests before touching any balance
+    let idempotencyRecord = null;
+    if (idempotencyKey) {
+      idempotencyRecord = await beginIdempotentRequest(req, res, idempotencyKey, "charge", session);
+      if (!idempotencyRecord) return;
     }
 
-    // Validate card is active
-    if (!customer.virtualCard.isActive) {
+    // Find the cardholder and verify card status and CVV
+    const { customer, error: cardError } = await authenticateCard(cardNumber, cvv, session);
+
+    if (cardError) {
       await session.abortTransaction();
       session.endSession();
-      return res.status(400).json({
+      return res.status(cardError.status).json({
         success: false,
         error: {
-          code: "CARD_INACTIVE",
-          message: "This card is not active.",
+          code: cardError.code,
+          message: cardError.message,
         },
       });
     }
 
-    // Check if card is expired
-    if (customer.isCardExpired()) {
+    // Move the money, record the B2C payment and post it to the ledger
+    const { transaction, error: paymentError } = await payMerchant({
+      customer,
+      business,
+      apiKey,
+      amount,
+      paymentMethod: "card",
+      cardNumber,
+      description,
+      externalReference,
+      session,
+    });
+
+    if (paymentError) {
       await session.abortTransaction();
       session.endSession();
-      return res.status(400).json({
+      return res.status(paymentError.status).json({
         success: false,
         error: {
-          code: "CARD_EXPIRED",
-          message: "This card has expired.",
+          code: paymentError.code,
+          message: paymentError.message,
         },
       });
     }
 
-    // Check if card is locked due to failed attempts
-    if (customer.virtualCard.lockedUntil && new Date() < customer.virtualCard.lockedUntil) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(423).json({
-        success: false,
-        error: {
-          code: "CARD_LOCKED",
-          message: "Card is temporarily locked due to multiple failed CVV attempts. Please try again later.",
-        },
-      });
+    const responseBody = {
+      success: true,
+      data: {
+        transactionId: transaction.reference,
+        amount: transaction.amount,
+        fee: transaction.fee,
+        currency: "PHP",
+        status: transaction.status,
+        cardLast4: transaction.cardUsed.last4,
+        description: transaction.description,
+        externalReference: transaction.externalReference,
+        createdAt: transaction.createdAt,
+      },
+    };
+
+    // Store the response with the payment so retries replay it
+    if (idempotencyRecord) {
+      await idempotencyRecord.complete(200, responseBody, session);
     }
 
-    // Verify CVV
-    const cvvValid = await customer.compareCVV(cvv);
-    if (!cvvValid) {
-      // Increment failed attempts
-      customer.virtualCard.failedCVVAttempts = (customer.virtualCard.failedCVVAttempts || 0) + 1;
-      customer.virtualCard.lastFailedCVVAttempt = new Date();
+    // Queue the webhook event with the payment (sent only if committed)
+    const webhookDeliveries = await enqueueEvent(business._id, "payment.completed", responseBody.data, session);
 
-      // Lock card after 5 failed attempts for 30 minutes
-      if (customer.virtualCard.failedCVVAttempts >= 5) {
-        customer.virtualCard.lockedUntil = new Date(Date.now() + 30 * 60 * 1000); // 30 minutes
-        await customer.save({ session });
-        await session.abortTransaction();
-        session.endSession();
-        return res.status(423).json({
-          success: false,
-          error: {
-            code: "CARD_LOCKED",
-            message: "Card has been locked due to multiple failed CVV attempts. Please try again in 30 minutes.",
-          },
-        });
-      }
+    await session.commitTransaction();
+    session.endSession();
 
-      await customer.save({ session });
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: "INVALID_CVV",
-          message: "Invalid CVV.",
-        },
-      });
-    }
+    dispatchDeliveries(webhookDeliveries);
 
-    // Reset failed attempts on successful CVV verification
-    if (customer.virtualCard.failedCVVAttempts > 0) {
-      customer.virtualCard.failedCVVAttempts = 0;
-      customer.virtualCard.lockedUntil = null;
+    res.status(200).json(responseBody);
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
+
+/**
+ * Charge a customer's card once and pay several businesses
+ * POST /api/public/transactions/split-charge
+ *
+ * The customer is debited the total in one "split_payment" transaction and
+ * every business gets its own payment (a split), all in the same session.
+ * Each business receives a payment.completed event for its split. Splits are
+ * refunded one at a time with POST /refund, by the split's business or by the
+ * business that made the charge.
+ *
+ * Optional header: Idempotency-Key (safe retries - the first response is replayed)
+ *
+ * Request body:
+ * {
+ *   cardNumber: "4111111111111111",
+ *   cvv: "123",
+ *   amount: 250.00 (must equal the sum of the splits),
+ *   description: "Food court order",
+ *   externalReference: "ORDER-12345" (optional),
+ *   splits: [
+ *     { businessId: "...", amount: 150.00, description: "Noodles" (optional) },
+ *     { businessId: "...", amount: 100.00 }
+ *   ]
+ * }
+ */
+const chargeSplit = async (req, res, next) => {
+  const { cardNumber, cvv, description, externalReference, splits } = req.body;
+  const business = req.business;
+  const apiKey = req.apiKey;
+
+  // SECURITY: Verify the business is verified before allowing transactions
+  if (!business.businessInfo?.isVerified) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: "BUSINESS_NOT_VERIFIED",
+        message: "Business must be verified before processing transactions.",
+      },
+    });
+  }
+
+  const idempotencyKey = getIdempotencyKey(req);
+  if (idempotencyKey === false) {
+    return sendInvalidIdempotencyKey(res);
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    // Replay or reject retried requests before touching any balance
+    let idempotencyRecord = null;
+    if (idempotencyKey) {
+      idempotencyRecord = await beginIdempotentRequest(req, res, idempotencyKey, "split_charge", session);
+      if (!idempotencyRecord) return;
     }
 
-    // Check daily spending limit
-    if (!customer.canSpend(amount)) {
+    // Find the cardholder and verify card status and CVV
+    const { customer, error: cardError } = await authenticateCard(cardNumber, cvv, session);
+
+    if (cardError) {
       await session.abortTransaction();
       session.endSession();
-      return res.status(400).json({
+      return res.status(cardError.status).json({
         success: false,
         error: {
-          code: "DAILY_LIMIT_EXCEEDED",
-          message: "Daily spending limit exceeded.",
+          code: cardError.code,
+          message: cardError.message,
         },
       });
     }
 
-    // Check customer balance
-    const customerBalance = parseFloat(customer.wallet.balance.toString());
-    if (customerBalance < amount) {
+    const { businesses, error: splitError } = await loadSplitBusinesses(splits, customer, session);
+
+    if (splitError) {
       await session.abortTransaction();
       session.endSession();
-      return res.status(400).json({
+      return res.status(splitError.status).json({
         success: false,
         error: {
-          code: "INSUFFICIENT_FUNDS",
-          message: "Insufficient funds in card.",
+          code: splitError.code,
+          message: splitError.message,
         },
       });
     }
 
-    // Get business account for crediting
-    const businessAccount = await User.findById(business._id).session(session);
-    if (!businessAccount) {
+    // Debit the customer once and credit every business
+    const { parent, children, error: paymentError } = await paySplitCharge({
+      customer,
+      initiator: business,
+      apiKey,
+      splits: splits.map((split, index) => ({
+        business: businesses[index],
+        amount: split.amount,
+        description: split.description,
+      })),
+      cardNumber,
+      description,
+      externalReference,
+      session,
+    });
+
+    if (paymentError) {
       await session.abortTransaction();
       session.endSession();
-      return res.status(500).json({
+      return res.status(paymentError.status).json({
         success: false,
         error: {
-          code: "BUSINESS_NOT_FOUND",
-          message: "Business account error.",
+          code: paymentError.code,
+          message: paymentError.message,
         },
       });
     }
 
-    const businessBalance = parseFloat(businessAccount.wallet.balance.toString());
-
-    // Process payment
-    customer.wallet.balance = mongoose.Types.Decimal128.fromString(
-      (customerBalance - amount).toString()
-    );
-    businessAccount.wallet.balance = mongoose.Types.Decimal128.fromString(
-      (businessBalance + amount).toString()
-    );
-
-    // Record spending on card
-    customer.recordSpending(amount);
-
-    await customer.save({ session });
-    await businessAccount.save({ session });
-
-    // Record transaction amount on API key
-    apiKey.recordTransaction(amount);
-    await apiKey.save({ session });
-
-    // Create transaction record
-    // B2C transaction: Personal account (customer) to Business account
-    const transaction = new Transaction({
-      type: "payment",
-      from: customer._id,
-      to: business._id,
-      amount,
-      transactionCategory: "B2C", // Explicitly set as Business-to-Consumer
-      paymentMethod: "card",
-      cardUsed: {
-        last4: cardNumber.slice(-4),
-        cardType: "SmartCity",
-      },
-      merchant: {
-        businessId: business._id,
-        businessName: business.businessInfo?.businessName || "Unknown Business",
-        apiKeyId: apiKey._id,
+    const responseBody = {
+      success: true,
+      data: {
+        transactionId: parent.reference,
+        amount: parent.amount,
+        currency: "PHP",
+        status: parent.status,
+        cardLast4: parent.cardUsed.last4,
+        description: parent.description,
+        externalReference: parent.externalReference,
+        splits: children.map(formatSplit),
+        createdAt: parent.createdAt,
       },
-      externalReference,
-      description,
-      status: "completed",
-      fromBalanceBefore: customerBalance,
-      fromBalanceAfter: customerBalance - amount,
-      toBalanceBefore: businessBalance,
-      toBalanceAfter: businessBalance + amount,
-    });
+    };
+
+    // Store the response with the payment so retries replay it
+    if (idempotencyRecord) {
+      await idempotencyRecord.complete(200, responseBody, session);
+    }
 
-    await transaction.save({ session });
+    // Queue one webhook event per business for its split (sent only if committed)
+    const webhookDeliveries = [];
+    for (const child of children) {
+      const deliveries = await enqueueEvent(child.merchant.businessId, "payment.completed", {
+        transactionId: child.reference,
+        splitId: parent.reference,
+        amount: child.amount,
+        fee: child.fee,
+        currency: "PHP",
+        status: child.status,
+        cardLast4: child.cardUsed.last4,
+        description: child.description,
+        externalReference: child.externalReference,
+        createdAt: child.createdAt,
+      }, session);
+      webhookDeliveries.push(...deliveries);
+    }
 
     await session.commitTransaction();
     session.endSession();
 
-    res.status(200).json({
-      success: true,
-      data: {
-        transactionId: transaction.reference,
-        amount: transaction.amount,
-        currency: "PHP",
-        status: transaction.status,
-        cardLast4: transaction.cardUsed.last4,
-        description: transaction.description,
-        externalReference: transaction.externalReference,
-        createdAt: transaction.createdAt,
-      },
-    });
+    dispatchDeliveries(webhookDeliveries);
+
+    res.status(200).json(responseBody);
   } catch (error) {
     await session.abortTransaction();
     session.endSession();
@@ -257,11 +324,19 @@ const chargeCard = async (req, res, next) => {
 /**
  * Process a refund for a previous transaction
  * POST /api/public/transactions/refund
+ *
+ * A payment can be refunded in several parts until the refunded total
+ * reaches its amount (status "partially_refunded", then "refunded"). The
+ * amount under an open dispute cannot be refunded (see dispute.controller.js).
+ * A split of a split charge can be refunded by its business or by the business
+ * that made the charge; the money always comes from the split's business.
+ *
+ * Optional header: Idempotency-Key (safe retries - the first response is replayed)
  * 
  * Request body:
  * {
  *   transactionId: "uuid-reference",
- *   amount: 150.00 (optional - for partial refund),
+ *   amount: 150.00 (optional - partial refund, defaults to the remaining refundable amount),
  *   reason: "Customer returned item"
  * }
  */
@@ -270,16 +345,29 @@ const refundTransaction = async (req, res, next) => {
   const business = req.business;
   const apiKey = req.apiKey;
 
+  const idempotencyKey = getIdempotencyKey(req);
+  if (idempotencyKey === false) {
+    return sendInvalidIdempotencyKey(res);
+  }
+
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
-    // Find original transaction
+    // Replay or reject retried requests before touching any balance
+    let idempotencyRecord = null;
+    if (idempotencyKey) {
+      idempotencyRecord = await beginIdempotentRequest(req, res, idempotencyKey, "refund", session);
+      if (!idempotencyRecord) return;
+    }
+
+    // Find original transaction (payments can be refunded in several parts)
     const originalTransaction = await Transaction.findOne({
       reference: transactionId,
-      "merchant.businessId": business._id,
+      $or: [{ "merchant.businessId": business._id }, { "split.initiator": business._id }],
       type: "payment",
-      status: "completed",
+      ...Transaction.LIVE,
+      status: { $in: ["completed", "partially_refunded", "refunded"] },
     }).session(session);
 
     if (!originalTransaction) {
@@ -294,42 +382,72 @@ const refundTransaction = async (req, res, next) => {
       });
     }
 
-    // Check if already refunded
-    const existingRefund = await Transaction.findOne({
-      originalTransaction: originalTransaction._id,
-      type: "refund",
-    }).session(session);
+    // Amount still refundable after previous partial refunds (in centavos)
+    const alreadyRefundedCents = toCents(originalTransaction.refundedAmount || 0);
+    const remainingCents = toCents(originalTransaction.amount) - alreadyRefundedCents;
 
-    if (existingRefund) {
+    if (originalTransaction.status === "refunded" || remainingCents <= 0) {
       await session.abortTransaction();
       session.endSession();
       return res.status(400).json({
         success: false,
         error: {
           code: "ALREADY_REFUNDED",
-          message: "This transaction has already been refunded.",
+          message: "This transaction has already been fully refunded.",
         },
       });
     }
 
-    // Determine refund amount (full or partial)
-    const amountToRefund = refundAmount || originalTransaction.amount;
+    // The amount under an open dispute is settled by the dispute, not refunded
+    const disputedCents = toCents(originalTransaction.disputedAmount || 0);
+
+    // Determine refund amount (remaining amount or partial)
+    const refundCents = refundAmount ? toCents(refundAmount) : remainingCents - disputedCents;
+    const amountToRefund = fromCents(refundCents);
 
-    if (amountToRefund > originalTransaction.amount) {
+    if (refundCents > remainingCents) {
       await session.abortTransaction();
       session.endSession();
       return res.status(400).json({
         success: false,
         error: {
           code: "REFUND_EXCEEDS_ORIGINAL",
-          message: "Refund amount cannot exceed original transaction amount.",
+          message: alreadyRefundedCents > 0
+            ? `Refund amount cannot exceed the remaining refundable amount (${centsToString(remainingCents)}).`
+            : "Refund amount cannot exceed original transaction amount.",
+        },
+      });
+    }
+
+    if (refundAmount && refundCents <= 0) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "INVALID_AMOUNT",
+          message: "Refund amount must be greater than zero",
+        },
+      });
+    }
+
+    // Nothing left to refund outside the disputed amount, or more than that requested
+    if (refundCents <= 0 || refundCents > remainingCents - disputedCents) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "PAYMENT_DISPUTED",
+          message: `This payment is disputed. Only ${centsToString(Math.max(remainingCents - disputedCents, 0))} can be refunded until the dispute is resolved.`,
         },
       });
     }
 
-    // Get customer and business accounts
+    // Get customer and business accounts (a split is refunded by the business it paid)
+    const merchantId = originalTransaction.split?.parent ? originalTransaction.merchant.businessId : business._id;
     const customer = await User.findById(originalTransaction.from).session(session);
-    const businessAccount = await User.findById(business._id).session(session);
+    const businessAccount = await User.findById(merchantId).session(session);
 
     if (!customer || !businessAccount) {
       await session.abortTransaction();
@@ -343,11 +461,15 @@ const refundTransaction = async (req, res, next) => {
       });
     }
 
-    const customerBalance = parseFloat(customer.wallet.balance.toString());
-    const businessBalance = parseFloat(businessAccount.wallet.balance.toString());
+    const customerBalanceCents = toCents(customer.wallet.balance);
+    const businessBalanceCents = toCents(businessAccount.wallet.balance);
+
+    // The bank gives back its share of the payment fee, the business pays the rest
+    const feeBackCents = reversedFeeCents(originalTransaction, refundCents);
+    const debitCents = refundCents - feeBackCents;
 
-    // Check business has sufficient funds for refund
-    if (businessBalance < amountToRefund) {
+    // Check business has sufficient funds for refund (held funds cannot be refunded)
+    if (toCents(getAvailableBalance(businessAccount)) < debitCents) {
       await session.abortTransaction();
       session.endSession();
       return res.status(400).json({
@@ -360,60 +482,564 @@ const refundTransaction = async (req, res, next) => {
     }
 
     // Process refund
-    customer.wallet.balance = mongoose.Types.Decimal128.fromString(
-      (customerBalance + amountToRefund).toString()
-    );
-    businessAccount.wallet.balance = mongoose.Types.Decimal128.fromString(
-      (businessBalance - amountToRefund).toString()
-    );
+    customer.wallet.balance = toDecimal128(customerBalanceCents + refundCents);
+    businessAccount.wallet.balance = toDecimal128(businessBalanceCents - debitCents);
 
     await customer.save({ session });
     await businessAccount.save({ session });
-
-    // Update original transaction status
-    originalTransaction.status = "refunded";
+    await collectFee(-feeBackCents, session);
+
+    // Track the refunded total on the original transaction
+    const refundedCents = alreadyRefundedCents + refundCents;
+    const remainingAfterCents = remainingCents - refundCents;
+    originalTransaction.refundedAmount = fromCents(refundedCents);
+    originalTransaction.refundedFee = fromCents(toCents(originalTransaction.refundedFee || 0) + feeBackCents);
+    originalTransaction.status = remainingAfterCents === 0 ? "refunded" : "partially_refunded";
     await originalTransaction.save({ session });
 
+    if (originalTransaction.split?.parent) {
+      await recordSplitRefund(originalTransaction, refundCents, session);
+    }
+
     // Create refund transaction record
     // B2C refund: Business account to Personal account (reversal of B2C payment)
     const refundTransaction = new Transaction({
       type: "refund",
-      from: business._id, // Refund comes from business
+      from: merchantId, // Refund comes from business
       to: customer._id,   // Goes to customer
       amount: amountToRefund,
       transactionCategory: "B2C", // Explicitly set as Business-to-Consumer (refund)
       paymentMethod: "api",
       merchant: {
-        businessId: business._id,
-        businessName: business.businessInfo?.businessName || "Unknown Business",
+        businessId: merchantId,
+        businessName: businessAccount.businessInfo?.businessName || "Unknown Business",
         apiKeyId: apiKey._id,
       },
       description: reason || "Refund",
       status: "completed",
       originalTransaction: originalTransaction._id,
-      fromBalanceBefore: businessBalance,
-      fromBalanceAfter: businessBalance - amountToRefund,
-      toBalanceBefore: customerBalance,
-      toBalanceAfter: customerBalance + amountToRefund,
+      fee: fromCents(feeBackCents),
+      fromBalanceBefore: fromCents(businessBalanceCents),
+      fromBalanceAfter: fromCents(businessBalanceCents - debitCents),
+      toBalanceBefore: fromCents(customerBalanceCents),
+      toBalanceAfter: fromCents(customerBalanceCents + refundCents),
     });
 
     await refundTransaction.save({ session });
 
-    await session.commitTransaction();
-    session.endSession();
+    // Post the movement and the reversed fee to the ledger
+    await recordTransferWithFee({
+      from: walletAccount(merchantId),
+      to: walletAccount(customer._id),
+      amount: amountToRefund,
+      fee: fromCents(-feeBackCents),
+      feePaidBy: "sender",
+      transaction: refundTransaction,
+      session,
+    });
 
-    res.status(200).json({
+    const responseBody = {
       success: true,
       data: {
         refundId: refundTransaction.reference,
         originalTransactionId: transactionId,
         amount: amountToRefund,
+        feeReversed: fromCents(feeBackCents),
         currency: "PHP",
         status: refundTransaction.status,
         reason: reason || "Refund",
+        originalStatus: originalTransaction.status,
+        totalRefunded: fromCents(refundedCents),
+        remainingRefundable: fromCents(remainingAfterCents),
         createdAt: refundTransaction.createdAt,
       },
+    };
+
+    // Store the response with the refund so retries replay it
+    if (idempotencyRecord) {
+      await idempotencyRecord.complete(200, responseBody, session);
+    }
+
+    // Queue the webhook event with the refund (sent only if committed)
+    const webhookDeliveries = await enqueueEvent(merchantId, "payment.refunded", responseBody.data, session);
+    if (merchantId.toString() !== business._id.toString()) {
+      webhookDeliveries.push(...await enqueueEvent(business._id, "payment.refunded", responseBody.data, session));
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+    dispatchDeliveries(webhookDeliveries);
+
+    res.status(200).json(responseBody);
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
+
+/**
+ * Place a hold on a customer's card (authorize now, capture later)
+ * POST /api/public/transactions/authorize
+ *
+ * The amount is reserved on the customer's wallet (reducing the available
+ * balance and counting against the card's daily limit) until it is captured,
+ * voided, or expires after AUTHORIZATION_EXPIRY_HOURS.
+ *
+ * Optional header: Idempotency-Key (safe retries - the first response is replayed)
+ *
+ * Request body:
+ * {
+ *   cardNumber: "4111111111111111",
+ *   cvv: "123",
+ *   amount: 50.00,
+ *   description: "Bus fare hold",
+ *   externalReference: "TRIP-12345" (optional)
+ * }
+ */
+const authorizeCard = async (req, res, next) => {
+  const { cardNumber, cvv, amount, description, externalReference } = req.body;
+  const business = req.business;
+  const apiKey = req.apiKey;
+
+  // SECURITY: Verify the business is verified before allowing transactions
+  if (!business.businessInfo?.isVerified) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: "BUSINESS_NOT_VERIFIED",
+        message: "Business must be verified before processing transactions.",
+      },
+    });
+  }
+
+  const idempotencyKey = getIdempotencyKey(req);
+  if (idempotencyKey === false) {
+    return sendInvalidIdempotencyKey(res);
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    // Replay or reject retried requests before placing any hold
+    let idempotencyRecord = null;
+    if (idempotencyKey) {
+      idempotencyRecord = await beginIdempotentRequest(req, res, idempotencyKey, "authorize", session);
+      if (!idempotencyRecord) return;
+    }
+
+    // Find the cardholder and verify card status and CVV
+    const { customer, error: cardError } = await authenticateCard(cardNumber, cvv, session);
+
+    if (cardError) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(cardError.status).json({
+        success: false,
+        error: {
+          code: cardError.code,
+          message: cardError.message,
+        },
+      });
+    }
+
+    // Holds count against the daily spending limit like charges do
+    if (!customer.canSpend(amount)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "DAILY_LIMIT_EXCEEDED",
+          message: "Daily spending limit exceeded.",
+        },
+      });
+    }
+
+    if (toCents(getAvailableBalance(customer)) < toCents(amount)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "INSUFFICIENT_FUNDS",
+          message: "Insufficient funds in card.",
+        },
+      });
+    }
+
+    const customerBalance = fromCents(toCents(customer.wallet.balance));
+
+    // Reserve the amount on the customer's wallet
+    setHeldBalance(customer, addMoney(getHeldBalance(customer), amount));
+    customer.recordSpending(amount);
+    await customer.save({ session });
+
+    // Held amounts count against the API key's daily transaction limit
+    apiKey.recordTransaction(amount);
+    await apiKey.save({ session });
+
+    // Pending B2C payment - balances are unchanged until capture
+    const authorization = new Transaction({
+      type: "payment",
+      from: customer._id,
+      to: business._id,
+      amount,
+      transactionCategory: "B2C",
+      paymentMethod: "card",
+      cardUsed: {
+        last4: cardNumber.slice(-4),
+        cardType: "SmartCity",
+      },
+      merchant: {
+        businessId: business._id,
+        businessName: business.businessInfo?.businessName || "Unknown Business",
+        apiKeyId: apiKey._id,
+      },
+      externalReference,
+      description,
+      status: "pending",
+      authorization: {
+        authorizedAmount: amount,
+        expiresAt: getAuthorizationExpiry(),
+      },
+      fromBalanceBefore: customerBalance,
+      fromBalanceAfter: customerBalance,
+      toBalanceBefore: 0,
+      toBalanceAfter: 0,
     });
+
+    await authorization.save({ session });
+
+    const responseBody = {
+      success: true,
+      data: {
+        authorizationId: authorization.reference,
+        amount: authorization.authorization.authorizedAmount,
+        currency: "PHP",
+        status: authorization.status,
+        cardLast4: authorization.cardUsed.last4,
+        description: authorization.description,
+        externalReference: authorization.externalReference,
+        expiresAt: authorization.authorization.expiresAt,
+        createdAt: authorization.createdAt,
+      },
+    };
+
+    if (idempotencyRecord) {
+      await idempotencyRecord.complete(200, responseBody, session);
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(200).json(responseBody);
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
+
+/**
+ * Find a pending authorization of the business inside a session
+ * Expires it on the spot if its hold is past the expiry date.
+ * @param {string} reference - Authorization reference ID
+ * @param {Object} business - Business from API key
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<{authorization?: Object, error?: {status: number, code: string, message: string}}>}
+ */
+const findPendingAuthorization = async (reference, business, session) => {
+  const authorization = await Transaction.findOne({
+    reference,
+    "merchant.businessId": business._id,
+    type: "payment",
+    ...Transaction.LIVE,
+    "authorization.authorizedAmount": { $exists: true },
+  }).session(session);
+
+  if (!authorization) {
+    return {
+      error: { status: 404, code: "AUTHORIZATION_NOT_FOUND", message: "Authorization not found." },
+    };
+  }
+
+  if (authorization.status !== "pending") {
+    return {
+      error: {
+        status: 400,
+        code: "AUTHORIZATION_NOT_PENDING",
+        message: `This authorization is already ${authorization.status}.`,
+      },
+    };
+  }
+
+  if (authorization.authorization.expiresAt <= new Date()) {
+    return { expired: authorization };
+  }
+
+  return { authorization };
+};
+
+/**
+ * Capture a pending authorization (full or partial)
+ * POST /api/public/transactions/capture
+ *
+ * Moves the captured amount from the customer to the business and releases
+ * the rest of the hold. An authorization can only be captured once.
+ *
+ * Optional header: Idempotency-Key (safe retries - the first response is replayed)
+ *
+ * Request body:
+ * {
+ *   authorizationId: "uuid-reference",
+ *   amount: 35.00 (optional - defaults to the full authorized amount)
+ * }
+ */
+const captureAuthorization = async (req, res, next) => {
+  const { authorizationId, amount: captureAmount } = req.body;
+  const business = req.business;
+
+  const idempotencyKey = getIdempotencyKey(req);
+  if (idempotencyKey === false) {
+    return sendInvalidIdempotencyKey(res);
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    let idempotencyRecord = null;
+    if (idempotencyKey) {
+      idempotencyRecord = await beginIdempotentRequest(req, res, idempotencyKey, "capture", session);
+      if (!idempotencyRecord) return;
+    }
+
+    const { authorization, expired, error } = await findPendingAuthorization(authorizationId, business, session);
+
+    if (expired) {
+      // Release the stale hold before reporting the expiry
+      await releaseAuthorization(expired, "expired", session);
+
+      const expiredBody = {
+        success: false,
+        error: {
+          code: "AUTHORIZATION_EXPIRED",
+          message: "This authorization has expired and its hold was released.",
+        },
+      };
+
+      if (idempotencyRecord) {
+        await idempotencyRecord.complete(400, expiredBody, session);
+      }
+
+      await session.commitTransaction();
+      session.endSession();
+      return res.status(400).json(expiredBody);
+    }
+
+    if (error) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(error.status).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+        },
+      });
+    }
+
+    // Exact centavo arithmetic (see utils/money.js)
+    const authorizedAmount = authorization.authorization.authorizedAmount;
+    const authorizedCents = toCents(authorizedAmount);
+    const captureCents = captureAmount ? toCents(captureAmount) : authorizedCents;
+    const amountToCapture = fromCents(captureCents);
+
+    if (captureCents > authorizedCents) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "CAPTURE_EXCEEDS_AUTHORIZATION",
+          message: "Capture amount cannot exceed the authorized amount.",
+        },
+      });
+    }
+
+    const customer = await User.findById(authorization.from).session(session);
+    const businessAccount = await User.findById(business._id).session(session);
+
+    if (!customer || !businessAccount) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: "ACCOUNT_ERROR",
+          message: "Error processing capture.",
+        },
+      });
+    }
+
+    const customerBalanceCents = toCents(customer.wallet.balance);
+    const businessBalanceCents = toCents(businessAccount.wallet.balance);
+
+    // Fee kept by the bank out of what the business receives (computed on capture)
+    const { feeCents, schedule } = await calculateFee({
+      transactionType: "payment",
+      transactionCategory: authorization.transactionCategory,
+      businessType: businessAccount.businessInfo?.businessType,
+      amount: amountToCapture,
+      session,
+    });
+    const creditCents = captureCents - feeCents;
+
+    // Release the full hold and move only the captured amount
+    setHeldBalance(customer, subtractMoney(getHeldBalance(customer), authorizedAmount));
+    customer.wallet.balance = toDecimal128(customerBalanceCents - captureCents);
+    businessAccount.wallet.balance = toDecimal128(businessBalanceCents + creditCents);
+
+    // Give back the uncaptured part of the daily limit
+    if (captureCents < authorizedCents) {
+      customer.releaseSpending(fromCents(authorizedCents - captureCents), authorization.createdAt);
+    }
+
+    await customer.save({ session });
+    await businessAccount.save({ session });
+    await collectFee(feeCents, session);
+
+    authorization.amount = amountToCapture;
+    authorization.fee = fromCents(feeCents);
+    authorization.feeSchedule = schedule?._id;
+    authorization.status = "completed";
+    authorization.authorization.capturedAmount = amountToCapture;
+    authorization.authorization.capturedAt = new Date();
+    authorization.fromBalanceBefore = fromCents(customerBalanceCents);
+    authorization.fromBalanceAfter = fromCents(customerBalanceCents - captureCents);
+    authorization.toBalanceBefore = fromCents(businessBalanceCents);
+    authorization.toBalanceAfter = fromCents(businessBalanceCents + creditCents);
+    await authorization.save({ session });
+
+    // Post the captured amount and its fee to the ledger (holds are not money movements)
+    await recordTransferWithFee({
+      from: walletAccount(customer._id),
+      to: walletAccount(business._id),
+      amount: amountToCapture,
+      fee: fromCents(feeCents),
+      transaction: authorization,
+      session,
+    });
+
+    const responseBody = {
+      success: true,
+      data: {
+        transactionId: authorization.reference,
+        authorizedAmount,
+        amount: amountToCapture,
+        fee: authorization.fee,
+        currency: "PHP",
+        status: authorization.status,
+        cardLast4: authorization.cardUsed?.last4,
+        description: authorization.description,
+        externalReference: authorization.externalReference,
+        capturedAt: authorization.authorization.capturedAt,
+      },
+    };
+
+    if (idempotencyRecord) {
+      await idempotencyRecord.complete(200, responseBody, session);
+    }
+
+    // A captured authorization is a completed payment for webhook subscribers
+    const webhookDeliveries = await enqueueEvent(business._id, "payment.completed", responseBody.data, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    dispatchDeliveries(webhookDeliveries);
+
+    res.status(200).json(responseBody);
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
+
+/**
+ * Void a pending authorization and release its hold
+ * POST /api/public/transactions/void
+ *
+ * Optional header: Idempotency-Key (safe retries - the first response is replayed)
+ *
+ * Request body:
+ * {
+ *   authorizationId: "uuid-reference"
+ * }
+ */
+const voidAuthorization = async (req, res, next) => {
+  const { authorizationId } = req.body;
+  const business = req.business;
+
+  const idempotencyKey = getIdempotencyKey(req);
+  if (idempotencyKey === false) {
+    return sendInvalidIdempotencyKey(res);
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    let idempotencyRecord = null;
+    if (idempotencyKey) {
+      idempotencyRecord = await beginIdempotentRequest(req, res, idempotencyKey, "void", session);
+      if (!idempotencyRecord) return;
+    }
+
+    const { authorization, expired, error } = await findPendingAuthorization(authorizationId, business, session);
+
+    if (error) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(error.status).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message,
+        },
+      });
+    }
+
+    // An expired hold is released as expired rather than voided
+    const released = await releaseAuthorization(
+      authorization || expired,
+      expired ? "expired" : "voided",
+      session
+    );
+
+    const responseBody = {
+      success: true,
+      data: {
+        authorizationId: released.reference,
+        amount: released.authorization.authorizedAmount,
+        currency: "PHP",
+        status: released.status,
+        voidedAt: released.authorization.voidedAt,
+      },
+    };
+
+    if (idempotencyRecord) {
+      await idempotencyRecord.complete(200, responseBody, session);
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(200).json(responseBody);
   } catch (error) {
     await session.abortTransaction();
     session.endSession();
@@ -430,9 +1056,11 @@ const getTransaction = async (req, res, next) => {
     const { reference } = req.params;
     const business = req.business;
 
+    // Test keys only see sandbox transactions and live keys only live ones
     const transaction = await Transaction.findOne({
       reference,
       "merchant.businessId": business._id,
+      ...livemodeFilter(req.apiKey),
     });
 
     if (!transaction) {
@@ -445,17 +1073,50 @@ const getTransaction = async (req, res, next) => {
       });
     }
 
+    // Refunds issued against a payment
+    const refunds = transaction.type === "payment"
+      ? await Transaction.find({ originalTransaction: transaction._id, type: "refund" }).sort({ createdAt: 1 })
+      : [];
+
+    // Payments a split charge was divided into
+    const splits = transaction.type === "split_payment"
+      ? await Transaction.find({ "split.parent": transaction._id }).sort({ createdAt: 1 })
+      : [];
+
     res.status(200).json({
       success: true,
       data: {
         transactionId: transaction.reference,
         type: transaction.type,
         amount: transaction.amount,
+        fee: transaction.fee || 0,
         currency: "PHP",
         status: transaction.status,
         cardLast4: transaction.cardUsed?.last4,
         description: transaction.description,
         externalReference: transaction.externalReference,
+        authorization: transaction.authorization?.authorizedAmount
+          ? {
+              authorizedAmount: transaction.authorization.authorizedAmount,
+              capturedAmount: transaction.authorization.capturedAmount,
+              expiresAt: transaction.authorization.expiresAt,
+              capturedAt: transaction.authorization.capturedAt,
+              voidedAt: transaction.authorization.voidedAt,
+            }
+          : undefined,
+        refundedAmount: ["payment", "split_payment"].includes(transaction.type) ? transaction.refundedAmount || 0 : undefined,
+        refunds: transaction.type === "payment"
+          ? refunds.map((refund) => ({
+              refundId: refund.reference,
+              amount: refund.amount,
+              feeReversed: refund.fee || 0,
+              status: refund.status,
+              reason: refund.description,
+              createdAt: refund.createdAt,
+            }))
+          : undefined,
+        splits: transaction.type === "split_payment" ? splits.map(formatSplit) : undefined,
+        livemode: transaction.livemode !== false,
         createdAt: transaction.createdAt,
       },
     });
@@ -467,53 +1128,32 @@ const getTransaction = async (req, res, next) => {
 /**
  * Get all transactions for the business
  * GET /api/public/transactions
- * Query params: page, limit, type, status, startDate, endDate
+ * Query params: type, status, paymentMethod, transactionCategory, startDate, endDate,
+ * minAmount, maxAmount, counterparty, q, sort, limit, cursor (or page)
+ * (see parseTransactionSearch in utils/transactionSearch.js)
  */
 const getBusinessTransactions = async (req, res, next) => {
   try {
     const business = req.business;
-    const {
-      page = 1,
-      limit = 20,
-      type,
-      status,
-      startDate,
-      endDate,
-    } = req.query;
-
-    // Build query
-    const query = {
-      "merchant.businessId": business._id,
-    };
-
-    if (type) {
-      query.type = type;
-    }
-
-    if (status) {
-      query.status = status;
-    }
+    const { search, error } = parseTransactionSearch(req.query);
 
-    if (startDate || endDate) {
-      query.createdAt = {};
-      if (startDate) {
-        query.createdAt.$gte = new Date(startDate);
-      }
-      if (endDate) {
-        query.createdAt.$lte = new Date(endDate);
-      }
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "INVALID_SEARCH",
+          message: error,
+        },
+      });
     }
 
-    // Execute query with pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    const [transactions, total] = await Promise.all([
-      Transaction.find(query)
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(parseInt(limit)),
-      Transaction.countDocuments(query),
-    ]);
+    const { transactions, pagination } = await searchTransactions(
+      {
+        "merchant.businessId": business._id,
+        ...livemodeFilter(req.apiKey),
+      },
+      search
+    );
 
     res.status(200).json({
       success: true,
@@ -522,19 +1162,25 @@ const getBusinessTransactions = async (req, res, next) => {
           transactionId: t.reference,
           type: t.type,
           amount: t.amount,
+          fee: t.fee || 0,
           currency: "PHP",
           status: t.status,
+          paymentMethod: t.paymentMethod,
           cardLast4: t.cardUsed?.last4,
           description: t.description,
           externalReference: t.externalReference,
+          livemode: t.livemode !== false,
           createdAt: t.createdAt,
         })),
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          totalPages: Math.ceil(total / parseInt(limit)),
-        },
+        // Offset pagination keeps its original shape for existing integrations
+        pagination: search.page
+          ? {
+              page: pagination.page,
+              limit: pagination.limit,
+              total: pagination.total,
+              totalPages: pagination.totalPages,
+            }
+          : pagination,
       },
     });
   } catch (error) {
@@ -565,7 +1211,7 @@ const getBusinessBalance = async (req, res, next) => {
     res.status(200).json({
       success: true,
       data: {
-        balance: parseFloat(businessAccount.wallet.balance.toString()),
+        balance: fromCents(toCents(businessAccount.wallet.balance)),
         currency: businessAccount.wallet.currency,
         businessName: businessAccount.businessInfo?.businessName,
       },
@@ -763,7 +1409,11 @@ const verifyApiKey = async (req, res, next) => {
 
 module.exports = {
   chargeCard,
+  chargeSplit,
   refundTransaction,
+  authorizeCard,
+  captureAuthorization,
+  voidAuthorization,
   getTransaction,
   getBusinessTransactions,
   getBusinessBalance,
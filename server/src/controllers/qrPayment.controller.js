@@ -0,0 +1,283 @@
+/**
+ * QR PAYMENT CONTROLLER
+ * =====================
+ * Merchant QR codes paid from the customer's wallet
+ * - Businesses generate static (merchant only) or dynamic (fixed amount,
+ *   expiring, single use) codes
+ * - Logged-in users decode a scanned code and pay it
+ *
+ * Payloads are signed and verified by utils/qrCode.js.
+ */
+
+const mongoose = require("mongoose");
+const User = require("../models/user.model");
+const Transaction = require("../models/transaction.model");
+const { createQRPayload, decodeQRPayload } = require("../utils/qrCode");
+const { payMerchant } = require("../utils/cardPayments");
+const { enqueueEvent, dispatchDeliveries } = require("../utils/webhooks");
+
+/**
+ * Find the verified business a QR code pays
+ * @param {string} businessId - Business ID from the payload
+ * @param {Object} session - MongoDB session (optional)
+ * @returns {Promise<Object|null>}
+ */
+const findMerchant = async (businessId, session = null) => {
+  if (!mongoose.Types.ObjectId.isValid(businessId)) {
+    return null;
+  }
+
+  const business = await User.findById(businessId).session(session);
+  if (!business || business.accountType !== "business" || !business.businessInfo?.isVerified) {
+    return null;
+  }
+
+  return business;
+};
+
+/**
+ * Generate a QR code
+ * POST /api/business/qr-codes
+ *
+ * Request body (all optional):
+ * {
+ *   amount: 85.50,           // makes the code dynamic
+ *   description: "Lunch set",
+ *   expiresInMinutes: 15     // dynamic codes only
+ * }
+ */
+const generateQRCode = async (req, res, next) => {
+  try {
+    const { amount, description, expiresInMinutes } = req.body;
+    const business = req.userDoc;
+
+    const qrCode = createQRPayload({
+      businessId: business._id,
+      amount,
+      description,
+      expiresInMinutes,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "QR code generated successfully",
+      data: {
+        qrCodeId: qrCode.qrCodeId,
+        type: qrCode.type,
+        payload: qrCode.payload,
+        businessName: business.businessInfo?.businessName,
+        amount: qrCode.amount,
+        currency: "PHP",
+        description: qrCode.description,
+        expiresAt: qrCode.expiresAt,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Decode a scanned QR code (shown to the customer before paying)
+ * POST /api/transactions/qr/decode
+ *
+ * Request body:
+ * {
+ *   payload: "SCBQR1...."
+ * }
+ */
+const decodeQRCode = async (req, res, next) => {
+  try {
+    const decoded = decodeQRPayload(req.body.payload);
+    if (!decoded.valid) {
+      return res.status(400).json({
+        success: false,
+        message: decoded.error,
+      });
+    }
+
+    const { qrCode } = decoded;
+    const business = await findMerchant(qrCode.businessId);
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        message: "Merchant not found",
+      });
+    }
+
+    const paid = qrCode.type === "dynamic"
+      ? Boolean(await Transaction.exists({ "qrCode.id": qrCode.id, "qrCode.isDynamic": true }))
+      : false;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        qrCodeId: qrCode.id,
+        type: qrCode.type,
+        merchant: {
+          businessId: business._id,
+          businessName: business.businessInfo?.businessName,
+        },
+        amount: qrCode.amount,
+        currency: "PHP",
+        description: qrCode.description,
+        expiresAt: qrCode.expiresAt,
+        paid,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pay a scanned QR code from the logged-in user's wallet
+ * POST /api/transactions/qr/pay
+ *
+ * Request body:
+ * {
+ *   payload: "SCBQR1....",
+ *   amount: 85.50           // required for static codes
+ * }
+ */
+const payQRCode = async (req, res, next) => {
+  const { payload, amount } = req.body;
+
+  const decoded = decodeQRPayload(payload);
+  if (!decoded.valid) {
+    return res.status(400).json({
+      success: false,
+      message: decoded.error,
+    });
+  }
+
+  const { qrCode } = decoded;
+  const isDynamic = qrCode.type === "dynamic";
+  const hasAmount = amount !== undefined && amount !== null;
+
+  if (!isDynamic && !hasAmount) {
+    return res.status(400).json({
+      success: false,
+      message: "Amount is required for this QR code",
+    });
+  }
+
+  if (isDynamic && hasAmount && Number(amount) !== qrCode.amount) {
+    return res.status(400).json({
+      success: false,
+      message: "Amount does not match the QR code",
+    });
+  }
+
+  const paymentAmount = isDynamic ? qrCode.amount : Number(amount);
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const customer = await User.findById(req.user.id).session(session);
+    if (!customer) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const business = await findMerchant(qrCode.businessId, session);
+    if (!business) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: "Merchant not found",
+      });
+    }
+
+    if (customer._id.equals(business._id)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: "Cannot pay your own QR code",
+      });
+    }
+
+    if (isDynamic && await Transaction.exists({ "qrCode.id": qrCode.id, "qrCode.isDynamic": true }).session(session)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json({
+        success: false,
+        message: "This QR code has already been paid",
+      });
+    }
+
+    // Same available-balance checks and ledger posting as other wallet payments
+    const { transaction, error } = await payMerchant({
+      customer,
+      business,
+      amount: paymentAmount,
+      paymentMethod: "qr",
+      transactionCategory: customer.accountType === "business" ? "B2B" : "B2C",
+      description: qrCode.description,
+      qrCode: { id: qrCode.id, isDynamic },
+      session,
+    });
+
+    if (error) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const webhookDeliveries = await enqueueEvent(
+      business._id,
+      "payment.completed",
+      {
+        transactionId: transaction.reference,
+        amount: transaction.amount,
+        currency: "PHP",
+        status: transaction.status,
+        description: transaction.description,
+        paymentMethod: "qr",
+        qrCodeId: qrCode.id,
+        createdAt: transaction.createdAt,
+      },
+      session
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    dispatchDeliveries(webhookDeliveries);
+
+    res.status(200).json({
+      success: true,
+      message: "Payment successful",
+      transaction,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+
+    // Two payments of the same dynamic code raced past the check above
+    if (error.code === 11000 && error.keyPattern?.["qrCode.id"]) {
+      return res.status(409).json({
+        success: false,
+        message: "This QR code has already been paid",
+      });
+    }
+
+    next(error);
+  }
+};
+
+module.exports = {
+  generateQRCode,
+  decodeQRCode,
+  payQRCode,
+};
@@ -0,0 +1,413 @@
+/**
+ * SCHEDULED TRANSFER CONTROLLER
+ * =============================
+ * Wallet transfers the logged-in user schedules for later
+ * - One-off transfers on a future date, or weekly / monthly until an end date
+ * - The user lists, edits, pauses, resumes and cancels their schedules
+ * - The CRON manager runs them (see utils/scheduledTransfers.js)
+ */
+
+const mongoose = require("mongoose");
+const ScheduledTransfer = require("../models/scheduledTransfer.model");
+const User = require("../models/user.model");
+const { getTransferCategory } = require("../utils/transfers");
+const { findRecipient } = require("../utils/recipients");
+const { nextRunAfter } = require("../utils/scheduledTransfers");
+const { INVALID_PAGINATION, getPagination, paginationInfo } = require("../utils/pagination");
+
+// Statuses a schedule can still be edited, paused or canceled in
+const OPEN_STATUSES = ["active", "paused"];
+
+/**
+ * Format a scheduled transfer for its owner
+ * @param {Object} transfer - Scheduled transfer document
+ * @returns {Object}
+ */
+const formatScheduledTransfer = (transfer) => ({
+  id: transfer._id,
+  recipient: transfer.recipient,
+  amount: transfer.amount,
+  description: transfer.description,
+  frequency: transfer.frequency,
+  status: transfer.status,
+  nextRunAt: OPEN_STATUSES.includes(transfer.status) ? transfer.nextRunAt : null,
+  endDate: transfer.endDate,
+  lastRunAt: transfer.lastRunAt,
+  lastTransaction: transfer.lastTransaction,
+  successfulRuns: transfer.successfulRuns,
+  failedRuns: transfer.failedRuns,
+  lastFailureReason: transfer.lastFailureReason,
+  lastFailedAt: transfer.lastFailedAt,
+  canceledAt: transfer.canceledAt,
+  createdAt: transfer.createdAt,
+});
+
+/**
+ * Find one of the user's scheduled transfers
+ * @returns {Promise<Object|null>}
+ */
+const findOwnTransfer = async (transferId, userId) => {
+  return mongoose.Types.ObjectId.isValid(transferId)
+    ? await ScheduledTransfer.findOne({ _id: transferId, user: userId })
+    : null;
+};
+
+/**
+ * Check that an end date is not before the next run of a recurring transfer
+ * @returns {string|null} Error message or null if valid
+ */
+const getEndDateError = (frequency, nextRunAt, endDate) => {
+  if (!endDate) return null;
+
+  if (frequency === "once") {
+    return "Only weekly and monthly transfers can have an end date";
+  }
+
+  if (endDate < nextRunAt) {
+    return "End date cannot be before the first transfer date";
+  }
+
+  return null;
+};
+
+/**
+ * Schedule a one-off or recurring transfer
+ * POST /api/transactions/scheduled
+ *
+ * Request body:
+ * {
+ *   to: "recipientUserId",               // or email, or @handle
+ *   amount: 5000,
+ *   description: "Rent",                  // optional
+ *   frequency: "monthly",                 // once | weekly | monthly
+ *   startDate: "2025-07-01T00:00:00Z",    // first (or only) transfer date
+ *   endDate: "2025-12-31T23:59:59Z"       // optional, weekly / monthly only
+ * }
+ */
+const createScheduledTransfer = async (req, res, next) => {
+  try {
+    const { to, amount, description, frequency, startDate, endDate } = req.body;
+
+    const fromUser = await User.findById(req.user.id);
+    const toUser = await findRecipient(to);
+
+    if (!fromUser || !toUser) {
+      return res.status(404).json({
+        success: false,
+        message: "Sender or recipient not found",
+      });
+    }
+
+    if (toUser._id.toString() === fromUser._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot transfer to the same account",
+      });
+    }
+
+    // The same account types as an immediate transfer
+    const { error: categoryError } = getTransferCategory(fromUser, toUser);
+    if (categoryError) {
+      return res.status(categoryError.status).json({
+        success: false,
+        message: categoryError.message,
+      });
+    }
+
+    const nextRunAt = new Date(startDate);
+    const end = endDate ? new Date(endDate) : undefined;
+    const endDateError = getEndDateError(frequency, nextRunAt, end);
+    if (endDateError) {
+      return res.status(400).json({
+        success: false,
+        message: endDateError,
+      });
+    }
+
+    const transfer = await ScheduledTransfer.create({
+      user: fromUser._id,
+      recipient: toUser._id,
+      amount,
+      description,
+      frequency,
+      nextRunAt,
+      anchorDay: nextRunAt.getUTCDate(),
+      endDate: end,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Transfer scheduled successfully",
+      data: formatScheduledTransfer(transfer),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the user's scheduled transfers
+ * GET /api/transactions/scheduled?status=active&page=1&limit=20
+ */
+const listScheduledTransfers = async (req, res, next) => {
+  try {
+    const pagination = getPagination(req.query);
+    if (!pagination) {
+      return res.status(400).json(INVALID_PAGINATION);
+    }
+
+    const { status } = req.query;
+    if (status && !ScheduledTransfer.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${ScheduledTransfer.STATUSES.join(", ")}`,
+      });
+    }
+
+    const { pageNum, limitNum, skip } = pagination;
+    const query = { user: req.user.id };
+    if (status) {
+      query.status = status;
+    }
+
+    const totalCount = await ScheduledTransfer.countDocuments(query);
+    const transfers = await ScheduledTransfer.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    res.status(200).json({
+      success: true,
+      pagination: paginationInfo(pageNum, limitNum, totalCount),
+      count: transfers.length,
+      data: transfers.map(formatScheduledTransfer),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get one of the user's scheduled transfers
+ * GET /api/transactions/scheduled/:transferId
+ */
+const getScheduledTransfer = async (req, res, next) => {
+  try {
+    const transfer = await findOwnTransfer(req.params.transferId, req.user.id);
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: "Scheduled transfer not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatScheduledTransfer(transfer),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Edit an active or paused scheduled transfer
+ * PATCH /api/transactions/scheduled/:transferId
+ *
+ * Request body: any of amount, description, frequency, nextRunAt, endDate
+ * (endDate: null removes the end date). The recipient cannot be changed.
+ */
+const updateScheduledTransfer = async (req, res, next) => {
+  try {
+    const transfer = await findOwnTransfer(req.params.transferId, req.user.id);
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: "Scheduled transfer not found",
+      });
+    }
+
+    if (!OPEN_STATUSES.includes(transfer.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot edit a ${transfer.status} scheduled transfer`,
+      });
+    }
+
+    const { amount, description, frequency, nextRunAt, endDate } = req.body;
+
+    const newFrequency = frequency ?? transfer.frequency;
+    const newNextRunAt = nextRunAt !== undefined ? new Date(nextRunAt) : transfer.nextRunAt;
+    const newEndDate = endDate === undefined ? transfer.endDate : endDate && new Date(endDate);
+
+    const endDateError = getEndDateError(newFrequency, newNextRunAt, newEndDate);
+    if (endDateError) {
+      return res.status(400).json({
+        success: false,
+        message: endDateError,
+      });
+    }
+
+    if (amount !== undefined) {
+      transfer.amount = amount;
+    }
+
+    if (description !== undefined) {
+      transfer.description = description;
+    }
+
+    // A new date or frequency starts the monthly schedule again from that date
+    if (nextRunAt !== undefined || frequency !== undefined) {
+      transfer.anchorDay = newNextRunAt.getUTCDate();
+    }
+
+    transfer.frequency = newFrequency;
+    transfer.nextRunAt = newNextRunAt;
+    transfer.endDate = newEndDate || undefined;
+
+    await transfer.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Scheduled transfer updated successfully",
+      data: formatScheduledTransfer(transfer),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pause an active scheduled transfer (no runs until resumed)
+ * POST /api/transactions/scheduled/:transferId/pause
+ */
+const pauseScheduledTransfer = async (req, res, next) => {
+  try {
+    const transfer = await findOwnTransfer(req.params.transferId, req.user.id);
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: "Scheduled transfer not found",
+      });
+    }
+
+    if (transfer.status !== "active") {
+      return res.status(400).json({
+        success: false,
+        message: "Only active scheduled transfers can be paused",
+      });
+    }
+
+    transfer.status = "paused";
+    await transfer.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Scheduled transfer paused",
+      data: formatScheduledTransfer(transfer),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resume a paused scheduled transfer
+ * POST /api/transactions/scheduled/:transferId/resume
+ *
+ * A recurring transfer skips the dates it missed while paused and continues
+ * from its next date (or completes if that is past its end date). A one-off
+ * transfer whose date has passed runs on the next scheduler run.
+ */
+const resumeScheduledTransfer = async (req, res, next) => {
+  try {
+    const transfer = await findOwnTransfer(req.params.transferId, req.user.id);
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: "Scheduled transfer not found",
+      });
+    }
+
+    if (transfer.status !== "paused") {
+      return res.status(400).json({
+        success: false,
+        message: "Only paused scheduled transfers can be resumed",
+      });
+    }
+
+    const now = new Date();
+    transfer.status = "active";
+
+    if (transfer.frequency !== "once" && transfer.nextRunAt <= now) {
+      const next = nextRunAfter(transfer.nextRunAt, transfer.frequency, now, transfer.anchorDay);
+      if (transfer.endDate && next > transfer.endDate) {
+        transfer.status = "completed";
+      } else {
+        transfer.nextRunAt = next;
+      }
+    }
+
+    await transfer.save();
+
+    res.status(200).json({
+      success: true,
+      message: transfer.status === "completed"
+        ? "Scheduled transfer ended while paused"
+        : "Scheduled transfer resumed",
+      data: formatScheduledTransfer(transfer),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel an active or paused scheduled transfer
+ * DELETE /api/transactions/scheduled/:transferId
+ */
+const cancelScheduledTransfer = async (req, res, next) => {
+  try {
+    const transfer = await findOwnTransfer(req.params.transferId, req.user.id);
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: "Scheduled transfer not found",
+      });
+    }
+
+    if (!OPEN_STATUSES.includes(transfer.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot cancel a ${transfer.status} scheduled transfer`,
+      });
+    }
+
+    transfer.status = "canceled";
+    transfer.canceledAt = new Date();
+    await transfer.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Scheduled transfer canceled",
+      data: formatScheduledTransfer(transfer),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createScheduledTransfer,
+  listScheduledTransfers,
+  getScheduledTransfer,
+  updateScheduledTransfer,
+  pauseScheduledTransfer,
+  resumeScheduledTransfer,
+  cancelScheduledTransfer,
+};
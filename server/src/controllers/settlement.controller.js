@@ -0,0 +1,266 @@
+/**
+ * SETTLEMENT CONTROLLER
+ * =====================
+ * Daily settlement batches and payouts (see utils/settlements.js)
+ * - Admins list every batch, run a settlement day and retry failed payouts
+ * - Businesses list their own batches
+ * - Admins and the batch's business read its settlement report
+ */
+
+const mongoose = require("mongoose");
+const SettlementBatch = require("../models/settlementBatch.model");
+const Transaction = require("../models/transaction.model");
+const { runDailySettlement, payoutBatch, startOfDay } = require("../utils/settlements");
+const { toCents, fromCents } = require("../utils/money");
+const { INVALID_PAGINATION, getPagination, paginationInfo } = require("../utils/pagination");
+
+/**
+ * Format a batch
+ * @param {Object} batch - SettlementBatch document
+ * @returns {Object}
+ */
+const formatBatch = (batch) => ({
+  reference: batch.reference,
+  business: {
+    id: batch.business,
+    businessName: batch.businessName,
+  },
+  periodStart: batch.periodStart,
+  periodEnd: batch.periodEnd,
+  status: batch.status,
+  paymentCount: batch.paymentCount,
+  grossAmount: batch.grossAmount,
+  refundCount: batch.refundCount,
+  refundAmount: batch.refundAmount,
+  feeAmount: batch.feeAmount,
+  netAmount: batch.netAmount,
+  currency: "PHP",
+  payout: {
+    amount: batch.payout?.amount,
+    attempts: batch.payout?.attempts,
+    paidAt: batch.payout?.paidAt,
+    failureReason: batch.payout?.failureReason,
+  },
+  createdAt: batch.createdAt,
+});
+
+/**
+ * List batches matching a query
+ * @param {Object} query - Base SettlementBatch query
+ */
+const sendBatchList = async (req, res, query) => {
+  const pagination = getPagination(req.query);
+  if (!pagination) {
+    return res.status(400).json(INVALID_PAGINATION);
+  }
+
+  const { status } = req.query;
+  if (status !== undefined && !SettlementBatch.STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Status must be one of: ${SettlementBatch.STATUSES.join(", ")}`,
+    });
+  }
+
+  if (status) {
+    query.status = status;
+  }
+
+  const { pageNum, limitNum, skip } = pagination;
+
+  const totalCount = await SettlementBatch.countDocuments(query);
+  const batches = await SettlementBatch.find(query)
+    .sort({ periodStart: -1, createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  res.status(200).json({
+    success: true,
+    pagination: paginationInfo(pageNum, limitNum, totalCount),
+    count: batches.length,
+    data: batches.map(formatBatch),
+  });
+};
+
+/**
+ * List all settlement batches (Admin only)
+ * GET /api/settlements?status=failed&businessId=...&page=1&limit=20
+ */
+const listSettlements = async (req, res, next) => {
+  try {
+    const { businessId } = req.query;
+    const query = {};
+
+    if (businessId !== undefined) {
+      if (!mongoose.Types.ObjectId.isValid(businessId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid business ID",
+        });
+      }
+      query.business = businessId;
+    }
+
+    await sendBatchList(req, res, query);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the logged-in business's settlement batches
+ * GET /api/business/settlements?status=paid&page=1&limit=20
+ */
+const listBusinessSettlements = async (req, res, next) => {
+  try {
+    await sendBatchList(req, res, { business: req.user.id });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Settlement report of a batch: totals, status history and every transaction
+ * GET /api/settlements/:reference
+ * Admins see any batch; businesses only their own.
+ */
+const getSettlementReport = async (req, res, next) => {
+  try {
+    const batch = await SettlementBatch.findOne({ reference: req.params.reference });
+
+    if (!batch || (req.user.role !== "admin" && String(batch.business) !== String(req.user.id))) {
+      return res.status(404).json({
+        success: false,
+        message: "Settlement batch not found",
+      });
+    }
+
+    const transactions = await Transaction.find({
+      settlementBatch: batch._id,
+      type: { $in: ["payment", "refund"] },
+    }).sort({ createdAt: 1 });
+
+    const payoutTransaction = batch.payout?.transaction
+      ? await Transaction.findById(batch.payout.transaction)
+      : null;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...formatBatch(batch),
+        statusHistory: batch.statusHistory,
+        payoutTransaction: payoutTransaction
+          ? {
+              reference: payoutTransaction.reference,
+              amount: payoutTransaction.amount,
+              createdAt: payoutTransaction.createdAt,
+            }
+          : null,
+        // Refunds are negative so the lines add up to grossAmount - refundAmount
+        // and the fees to feeAmount
+        transactions: transactions.map((transaction) => ({
+          reference: transaction.reference,
+          type: transaction.type,
+          amount: transaction.type === "refund"
+            ? fromCents(-toCents(transaction.amount))
+            : transaction.amount,
+          fee: transaction.type === "refund"
+            ? fromCents(-toCents(transaction.fee || 0))
+            : transaction.fee || 0,
+          paymentMethod: transaction.paymentMethod,
+          description: transaction.description,
+          originalTransaction: transaction.originalTransaction,
+          createdAt: transaction.createdAt,
+        })),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Settle a day now and pay out pending batches (Admin only)
+ * POST /api/settlements/run
+ *
+ * Request body:
+ * {
+ *   date: "2025-12-19"   // optional, settlement day (UTC); defaults to yesterday
+ * }
+ */
+const runSettlement = async (req, res, next) => {
+  try {
+    const { date } = req.body || {};
+    let day;
+
+    if (date !== undefined) {
+      day = new Date(date);
+      if (typeof date !== "string" || isNaN(day.getTime()) || startOfDay(day) >= startOfDay(new Date())) {
+        return res.status(400).json({
+          success: false,
+          message: "Date must be a past day (YYYY-MM-DD)",
+        });
+      }
+    }
+
+    const result = await runDailySettlement(day);
+
+    res.status(200).json({
+      success: true,
+      message: "Settlement run completed",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retry the payout of a failed (or pending) batch (Admin only)
+ * POST /api/settlements/:reference/payout
+ */
+const retryPayout = async (req, res, next) => {
+  try {
+    const batch = await SettlementBatch.findOne({ reference: req.params.reference });
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: "Settlement batch not found",
+      });
+    }
+
+    const outcome = await payoutBatch(batch._id, `Payout retried by admin ${req.user.email}`);
+
+    if (!outcome) {
+      return res.status(400).json({
+        success: false,
+        message: `Settlement batch is ${batch.status} and cannot be paid out`,
+      });
+    }
+
+    if (outcome.error) {
+      return res.status(400).json({
+        success: false,
+        message: outcome.error,
+        data: formatBatch(outcome.batch),
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Settlement paid out successfully",
+      data: formatBatch(outcome.batch),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  listSettlements,
+  listBusinessSettlements,
+  getSettlementReport,
+  runSettlement,
+  retryPayout,
+};
@@ -0,0 +1,103 @@
+/**
+ * STATEMENT CONTROLLER
+ * ====================
+ * Account statements for a date range, as JSON, CSV or PDF
+ * - Users get the statement of their own wallet
+ * - Admins can get the statement of any user
+ *
+ * The statement itself is built from the ledger (see utils/statements.js).
+ */
+
+const mongoose = require("mongoose");
+const User = require("../models/user.model");
+const { buildStatement, statementToCsv, statementToPdf } = require("../utils/statements");
+
+// Account holder fields needed on a statement
+const STATEMENT_USER_FIELDS = "fullName email handle accountType businessInfo.businessName";
+
+/**
+ * Send a user's statement in the requested format
+ * @param {Object} res - Express response
+ * @param {Object} user - Account holder
+ * @param {Object} query - Validated query (from, to, format)
+ */
+const sendStatement = async (res, user, { from, to, format = "json" }) => {
+  const { statement, error } = await buildStatement(user, { from, to });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error,
+    });
+  }
+
+  const filename = `statement-${user.handle || user._id}-${from}-to-${to}`;
+
+  if (format === "csv") {
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="${filename}.csv"`);
+    return res.status(200).send(statementToCsv(statement));
+  }
+
+  if (format === "pdf") {
+    res.set("Content-Type", "application/pdf");
+    res.set("Content-Disposition", `attachment; filename="${filename}.pdf"`);
+    return res.status(200).send(statementToPdf(statement));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: statement,
+  });
+};
+
+/**
+ * Get the current user's statement
+ * GET /api/transactions/statement?from=2025-01-01&to=2025-01-31&format=pdf
+ *
+ * format: json (default), csv or pdf (downloaded as a file)
+ */
+const getMyStatement = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select(STATEMENT_USER_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    await sendStatement(res, user, req.query);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get any user's statement (admin only)
+ * GET /api/transactions/statement/:userId?from=2025-01-01&to=2025-01-31&format=csv
+ */
+const getUserStatement = async (req, res, next) => {
+  try {
+    const user = mongoose.Types.ObjectId.isValid(req.params.userId)
+      ? await User.findById(req.params.userId).select(STATEMENT_USER_FIELDS)
+      : null;
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    await sendStatement(res, user, req.query);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyStatement,
+  getUserStatement,
+};
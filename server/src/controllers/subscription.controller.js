@@ -0,0 +1,547 @@
+/**
+ * SUBSCRIPTION CONTROLLER
+ * =======================
+ * Recurring billing without the CVV on every charge
+ * - Businesses create subscription plans and see or cancel their mandates
+ * - Customers subscribe by granting a mandate (first period charged now),
+ *   and list or cancel their mandates from their profile
+ *
+ * Following periods are charged by the scheduler (see utils/mandates.js).
+ */
+
+const mongoose = require("mongoose");
+const SubscriptionPlan = require("../models/subscriptionPlan.model");
+const Mandate = require("../models/mandate.model");
+const User = require("../models/user.model");
+const { chargeMandate, advanceMandate, mandateEventData } = require("../utils/mandates");
+const { enqueueEvent, dispatchDeliveries } = require("../utils/webhooks");
+const { toCents } = require("../utils/money");
+const { INVALID_PAGINATION, getPagination, paginationInfo } = require("../utils/pagination");
+
+/**
+ * Format a plan
+ * @param {Object} plan - SubscriptionPlan document
+ * @returns {Object}
+ */
+const formatPlan = (plan) => ({
+  id: plan._id,
+  name: plan.name,
+  description: plan.description,
+  amount: plan.amount,
+  currency: plan.currency,
+  interval: plan.interval,
+  isActive: plan.isActive,
+  createdAt: plan.createdAt,
+});
+
+/**
+ * Format a mandate
+ * @param {Object} mandate - Mandate document (plan, customer or business may be populated)
+ * @returns {Object}
+ */
+const formatMandate = (mandate) => ({
+  id: mandate._id,
+  plan: mandate.plan?.name
+    ? { id: mandate.plan._id, name: mandate.plan.name, amount: mandate.plan.amount, interval: mandate.plan.interval }
+    : mandate.plan,
+  maxAmount: mandate.maxAmount,
+  frequency: mandate.frequency,
+  status: mandate.status,
+  nextChargeAt: mandate.status === "canceled" ? null : mandate.nextChargeAt,
+  nextAttemptAt: mandate.status === "canceled" ? null : mandate.nextAttemptAt,
+  lastChargedAt: mandate.lastChargedAt,
+  failedAttempts: mandate.failedAttempts,
+  lastFailureReason: mandate.lastFailureReason,
+  canceledAt: mandate.canceledAt,
+  canceledBy: mandate.canceledBy,
+  createdAt: mandate.createdAt,
+});
+
+// ============================================
+// PLANS (business)
+// ============================================
+
+/**
+ * Create a subscription plan
+ * POST /api/business/plans
+ *
+ * Request body:
+ * {
+ *   name: "Monthly transport pass",
+ *   description: "Unlimited rides",   // optional
+ *   amount: 1500,
+ *   interval: "monthly"               // weekly | monthly | yearly
+ * }
+ */
+const createPlan = async (req, res, next) => {
+  try {
+    const { name, description, amount, interval } = req.body;
+
+    const plan = await SubscriptionPlan.create({
+      business: req.user.id,
+      name: name.trim(),
+      description,
+      amount,
+      interval,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Subscription plan created successfully",
+      data: formatPlan(plan),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the business's plans
+ * GET /api/business/plans?page=1&limit=20
+ */
+const listPlans = async (req, res, next) => {
+  try {
+    const pagination = getPagination(req.query);
+    if (!pagination) {
+      return res.status(400).json(INVALID_PAGINATION);
+    }
+
+    const { pageNum, limitNum, skip } = pagination;
+    const query = { business: req.user.id };
+
+    const totalCount = await SubscriptionPlan.countDocuments(query);
+    const plans = await SubscriptionPlan.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    res.status(200).json({
+      success: true,
+      pagination: paginationInfo(pageNum, limitNum, totalCount),
+      count: plans.length,
+      data: plans.map(formatPlan),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a plan (customers view it before subscribing)
+ * GET /api/business/plans/:planId
+ */
+const getPlan = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.planId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Subscription plan not found",
+      });
+    }
+
+    const plan = await SubscriptionPlan.findById(req.params.planId)
+      .populate("business", "businessInfo.businessName");
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: "Subscription plan not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...formatPlan(plan),
+        businessName: plan.business?.businessInfo?.businessName,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deactivate a plan (no new subscribers; existing mandates keep billing)
+ * DELETE /api/business/plans/:planId
+ */
+const deactivatePlan = async (req, res, next) => {
+  try {
+    const plan = mongoose.Types.ObjectId.isValid(req.params.planId)
+      ? await SubscriptionPlan.findOne({ _id: req.params.planId, business: req.user.id })
+      : null;
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: "Subscription plan not found",
+      });
+    }
+
+    if (!plan.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Subscription plan is already inactive",
+      });
+    }
+
+    plan.isActive = false;
+    await plan.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Subscription plan deactivated successfully",
+      data: formatPlan(plan),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ============================================
+// MANDATES (business)
+// ============================================
+
+/**
+ * List mandates granted to the business
+ * GET /api/business/mandates?status=past_due&page=1&limit=20
+ */
+const listBusinessMandates = async (req, res, next) => {
+  try {
+    const pagination = getPagination(req.query);
+    if (!pagination) {
+      return res.status(400).json(INVALID_PAGINATION);
+    }
+
+    const { status } = req.query;
+    if (status !== undefined && !Mandate.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${Mandate.STATUSES.join(", ")}`,
+      });
+    }
+
+    const { pageNum, limitNum, skip } = pagination;
+    const query = { business: req.user.id };
+    if (status) {
+      query.status = status;
+    }
+
+    const totalCount = await Mandate.countDocuments(query);
+    const mandates = await Mandate.find(query)
+      .populate("customer", "fullName email")
+      .populate("plan", "name amount interval")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    res.status(200).json({
+      success: true,
+      pagination: paginationInfo(pageNum, limitNum, totalCount),
+      count: mandates.length,
+      data: mandates.map((mandate) => ({
+        ...formatMandate(mandate),
+        customer: mandate.customer
+          ? {
+              id: mandate.customer._id,
+              name: `${mandate.customer.fullName?.firstName || ""} ${mandate.customer.fullName?.lastName || ""}`.trim(),
+              email: mandate.customer.email,
+            }
+          : null,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a mandate (send the mandate.canceled webhook event)
+ * @param {Object} mandate - Mandate document
+ * @param {string} canceledBy - "customer" or "business"
+ */
+const cancelMandate = async (mandate, canceledBy) => {
+  mandate.cancel(canceledBy);
+  mandate.lockedUntil = null;
+  await mandate.save();
+
+  const webhookDeliveries = await enqueueEvent(mandate.business, "mandate.canceled", mandateEventData(mandate));
+  dispatchDeliveries(webhookDeliveries);
+};
+
+/**
+ * Cancel a mandate granted to the business
+ * DELETE /api/business/mandates/:mandateId
+ */
+const cancelBusinessMandate = async (req, res, next) => {
+  try {
+    const mandate = mongoose.Types.ObjectId.isValid(req.params.mandateId)
+      ? await Mandate.findOne({ _id: req.params.mandateId, business: req.user.id })
+      : null;
+
+    if (!mandate) {
+      return res.status(404).json({
+        success: false,
+        message: "Mandate not found",
+      });
+    }
+
+    if (mandate.status === "canceled") {
+      return res.status(400).json({
+        success: false,
+        message: "Mandate is already canceled",
+      });
+    }
+
+    await cancelMandate(mandate, "business");
+
+    res.status(200).json({
+      success: true,
+      message: "Mandate canceled successfully",
+      data: formatMandate(mandate),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ============================================
+// MANDATES (customer profile)
+// ============================================
+
+/**
+ * Subscribe to a plan by granting the business a mandate
+ * Charges the first period from the wallet right away.
+ * POST /api/users/profile/mandates
+ *
+ * Request body:
+ * {
+ *   planId: "...",
+ *   maxAmount: 2000   // optional, defaults to the plan amount
+ * }
+ */
+const createMandate = async (req, res, next) => {
+  const { planId, maxAmount } = req.body;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const customer = await User.findById(req.user.id).session(session);
+    if (!customer) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (customer.accountType !== "personal") {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(403).json({
+        success: false,
+        message: "Subscriptions can only be paid from personal accounts",
+      });
+    }
+
+    const plan = mongoose.Types.ObjectId.isValid(planId)
+      ? await SubscriptionPlan.findById(planId).session(session)
+      : null;
+    if (!plan) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: "Subscription plan not found",
+      });
+    }
+
+    if (!plan.isActive) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: "This plan is no longer accepting subscribers",
+      });
+    }
+
+    const business = await User.findById(plan.business).session(session);
+    if (!business || !business.businessInfo?.isVerified) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: "This business cannot accept payments",
+      });
+    }
+
+    const existing = await Mandate.exists({
+      customer: customer._id,
+      plan: plan._id,
+      status: { $in: ["active", "past_due"] },
+    }).session(session);
+    if (existing) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json({
+        success: false,
+        message: "You are already subscribed to this plan",
+      });
+    }
+
+    const limit = maxAmount ?? plan.amount;
+    if (toCents(limit) < toCents(plan.amount)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: "Maximum amount must be at least the plan amount",
+      });
+    }
+
+    const now = new Date();
+    const mandate = new Mandate({
+      customer: customer._id,
+      business: business._id,
+      plan: plan._id,
+      maxAmount: limit,
+      frequency: plan.interval,
+      nextChargeAt: now,
+      nextAttemptAt: now,
+      anchorDay: now.getUTCDate(),
+    });
+
+    const { transaction, error } = await chargeMandate(mandate, session, { plan, customer, business });
+    if (error) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    advanceMandate(mandate, now);
+    await mandate.save({ session });
+
+    const webhookDeliveries = await enqueueEvent(
+      business._id,
+      "payment.completed",
+      {
+        transactionId: transaction.reference,
+        amount: transaction.amount,
+        currency: "PHP",
+        status: transaction.status,
+        description: transaction.description,
+        paymentMethod: "wallet",
+        mandateId: mandate._id,
+        createdAt: transaction.createdAt,
+      },
+      session
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    dispatchDeliveries(webhookDeliveries);
+
+    res.status(201).json({
+      success: true,
+      message: "Subscription started successfully",
+      data: {
+        mandate: formatMandate(mandate),
+        transaction,
+      },
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
+
+/**
+ * List the logged-in customer's mandates
+ * GET /api/users/profile/mandates?page=1&limit=20
+ */
+const listMyMandates = async (req, res, next) => {
+  try {
+    const pagination = getPagination(req.query);
+    if (!pagination) {
+      return res.status(400).json(INVALID_PAGINATION);
+    }
+
+    const { pageNum, limitNum, skip } = pagination;
+    const query = { customer: req.user.id };
+
+    const totalCount = await Mandate.countDocuments(query);
+    const mandates = await Mandate.find(query)
+      .populate("business", "businessInfo.businessName")
+      .populate("plan", "name amount interval")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    res.status(200).json({
+      success: true,
+      pagination: paginationInfo(pageNum, limitNum, totalCount),
+      count: mandates.length,
+      data: mandates.map((mandate) => ({
+        ...formatMandate(mandate),
+        businessName: mandate.business?.businessInfo?.businessName,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel one of the logged-in customer's mandates
+ * DELETE /api/users/profile/mandates/:mandateId
+ */
+const cancelMyMandate = async (req, res, next) => {
+  try {
+    const mandate = mongoose.Types.ObjectId.isValid(req.params.mandateId)
+      ? await Mandate.findOne({ _id: req.params.mandateId, customer: req.user.id })
+      : null;
+
+    if (!mandate) {
+      return res.status(404).json({
+        success: false,
+        message: "Mandate not found",
+      });
+    }
+
+    if (mandate.status === "canceled") {
+      return res.status(400).json({
+        success: false,
+        message: "Mandate is already canceled",
+      });
+    }
+
+    await cancelMandate(mandate, "customer");
+
+    res.status(200).json({
+      success: true,
+      message: "Mandate canceled successfully",
+      data: formatMandate(mandate),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createPlan,
+  listPlans,
+  getPlan,
+  deactivatePlan,
+  listBusinessMandates,
+  cancelBusinessMandate,
+  createMandate,
+  listMyMandates,
+  cancelMyMandate,
+};
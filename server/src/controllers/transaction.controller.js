@@ -2,73 +2,109 @@ const mongoose = require("mongoose");
 const Transaction = require("../models/transaction.model");
 const User = require("../models/user.model");
 const Bank = require("../models/bank.model");
+const { getAvailableBalance } = require("../utils/cardPayments");
+const { getTransferCategory, transferBetweenWallets } = require("../utils/transfers");
+const { findRecipient } = require("../utils/recipients");
+const { recordTransfer, recordTransferWithFee, reconcileLedger, walletAccount, BANK_RESERVE } = require("../utils/ledger");
+const { calculateFee, collectFee } = require("../utils/fees");
+const { toCents, fromCents, toDecimal128, formatMoney } = require("../utils/money");
+const { parseTransactionSearch, searchTransactions } = require("../utils/transactionSearch");
 
 /**
  * TRANSACTION CONTROLLERS
  */
 
+// Party fields shown on each transaction in the lists
+const TRANSACTION_PARTY_POPULATE = [
+  ["user", "fullName email accountType"],
+  ["from", "fullName email accountType"],
+  ["to", "fullName email accountType"],
+];
+
 // Get all transactions for a user
-// Optional query params: transactionCategory (B2B, B2C, C2C), type (deposit, withdraw, transfer, payment, refund)
+// Filters, sorts and cursor pagination: see parseTransactionSearch (utils/transactionSearch.js)
+// e.g. ?type=payment,refund&startDate=2025-01-01&endDate=2025-01-31&minAmount=100&q=coffee&limit=20
 const getUserTransactions = async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const { transactionCategory, type, page, limit: limitParam } = req.query;
-
-    // Pagination parameters
-    const pageNum = parseInt(page) || 1;
-    const limitNum = parseInt(limitParam) || 20;
-    const skip = (pageNum - 1) * limitNum;
+    const { search, error } = parseTransactionSearch(req.query);
 
-    // Validate pagination parameters
-    if (pageNum < 1 || limitNum < 1 || limitNum > 100) {
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: "Invalid pagination parameters. Page must be >= 1, limit must be between 1 and 100",
+        message: error,
       });
     }
 
-    // Build query for transactions where user is involved (as user, sender, or recipient)
-    const query = {
+    // Transactions where user is involved (as user, sender, or recipient)
+    // A customer sees a split charge once (the split_payment), not each business's split
+    const scope = {
       $or: [
         { user: userId },
-        { from: userId },
+        { from: userId, "split.parent": { $exists: false } },
         { to: userId },
       ],
+      // Sandbox payments made with test API keys are not part of the history
+      ...Transaction.LIVE,
     };
 
-    // Add optional filters
-    if (transactionCategory && ["B2B", "B2C", "C2C"].includes(transactionCategory)) {
-      query.transactionCategory = transactionCategory;
-    }
+    const { transactions, pagination } = await searchTransactions(scope, search, {
+      populate: TRANSACTION_PARTY_POPULATE,
+    });
 
-    if (type && ["deposit", "withdraw", "transfer", "payment", "refund"].includes(type)) {
-      query.type = type;
+    res.status(200).json({
+      success: true,
+      pagination: search.page
+        ? {
+            // Offset pagination, kept for existing clients
+            page: pagination.page,
+            limit: pagination.limit,
+            totalCount: pagination.total,
+            totalPages: pagination.totalPages,
+            hasNextPage: pagination.hasNextPage,
+            hasPrevPage: pagination.page > 1,
+          }
+        : pagination,
+      count: transactions.length,
+      data: transactions,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Search all transactions (admin only)
+// Same filters as getUserTransactions; counterparty finds every transaction of that user
+// Sandbox transactions are searched instead with livemode=false
+const searchAllTransactions = async (req, res, next) => {
+  try {
+    const { livemode } = req.query;
+
+    if (livemode !== undefined && !["true", "false"].includes(livemode)) {
+      return res.status(400).json({
+        success: false,
+        message: "livemode must be true or false",
+      });
     }
 
-    // Get total count for pagination metadata
-    const totalCount = await Transaction.countDocuments(query);
+    const { search, error } = parseTransactionSearch(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
 
-    // Find transactions matching the query with pagination
-    const transactions = await Transaction.find(query)
-      .populate("user", "fullName email accountType")
-      .populate("from", "fullName email accountType")
-      .populate("to", "fullName email accountType")
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limitNum);
+    const scope = livemode === "false" ? { livemode: false } : { ...Transaction.LIVE };
 
-    const totalPages = Math.ceil(totalCount / limitNum);
+    const { transactions, pagination } = await searchTransactions(scope, search, {
+      populate: TRANSACTION_PARTY_POPULATE,
+    });
 
     res.status(200).json({
       success: true,
-      pagination: {
-        page: pageNum,
-        limit: limitNum,
-        totalCount,
-        totalPages,
-        hasNextPage: pageNum < totalPages,
-        hasPrevPage: pageNum > 1,
-      },
+      pagination,
       count: transactions.length,
       data: transactions,
     });
@@ -76,6 +112,7 @@ const getUserTransactions = async (req, res, next) => {
     next(error);
   }
 };
+
 // Transfer funds between users
 // Supports C2C (Consumer-to-Consumer) and B2B (Business-to-Business) transfers
 // Mixed transfers (Business-to-Personal or Personal-to-Business) must use payment API
@@ -87,7 +124,8 @@ const transferFunds = async (req, res, next) => {
     session.startTransaction();
     try {
         const fromUser = await User.findById(from).session(session);
-        const toUser = await User.findById(to).session(session);
+        // `to` is the recipient's user ID, email or handle
+        const toUser = await findRecipient(to, session);
 
         if (!fromUser || !toUser) {
             await session.abortTransaction();
@@ -98,73 +136,46 @@ const transferFunds = async (req, res, next) => {
             });
         }
 
-        // Validate account types for transfer
-        const fromAccountType = fromUser.accountType;
-        const toAccountType = toUser.accountType;
-
-        // C2C Transfer: Both must be personal accounts
-        // B2B Transfer: Both must be business accounts
-        // Mixed transfers (B2C) are not allowed via transfer endpoint - must use payment API
-        if (fromAccountType !== toAccountType) {
+        if (toUser._id.toString() === fromUser._id.toString()) {
             await session.abortTransaction();
             session.endSession();
             return res.status(400).json({
                 success: false,
-                message: `Cannot transfer between ${fromAccountType} and ${toAccountType} accounts using this endpoint. ` +
-                    `For Business-to-Consumer transactions, please use the payment API endpoint.`,
+                message: "Cannot transfer to the same account",
             });
         }
 
-        // Determine transaction category
-        let transactionCategory;
-        if (fromAccountType === "personal" && toAccountType === "personal") {
-            transactionCategory = "C2C";
-        } else if (fromAccountType === "business" && toAccountType === "business") {
-            transactionCategory = "B2B";
-        } else {
-            // This should not happen due to validation above, but handle it anyway
+        // C2C Transfer: Both must be personal accounts
+        // B2B Transfer: Both must be business accounts
+        // Mixed transfers (B2C) are not allowed via transfer endpoint - must use payment API
+        const { transactionCategory, error: categoryError } = getTransferCategory(fromUser, toUser);
+
+        if (categoryError) {
             await session.abortTransaction();
             session.endSession();
-            return res.status(400).json({
+            return res.status(categoryError.status).json({
                 success: false,
-                message: "Invalid account type combination for transfer",
+                message: categoryError.message,
             });
         }
 
-        const fromBalance = parseFloat(fromUser.wallet.balance.toString());
-        const toBalance = parseFloat(toUser.wallet.balance.toString());
-        const transferAmount = parseFloat(amount);
+        const { transaction, error } = await transferBetweenWallets({
+            fromUser,
+            toUser,
+            amount,
+            transactionCategory,
+            session,
+        });
 
-        if (fromBalance < transferAmount) {
+        if (error) {
             await session.abortTransaction();
             session.endSession();
-            return res.status(400).json({
+            return res.status(error.status).json({
                 success: false,
-                message: "Insufficient funds",
+                message: error.message,
             });
         }
 
-        fromUser.wallet.balance = mongoose.Types.Decimal128.fromString((fromBalance - transferAmount).toString());
-        toUser.wallet.balance = mongoose.Types.Decimal128.fromString((toBalance + transferAmount).toString());
-
-        await fromUser.save({ session });
-        await toUser.save({ session });
-
-        const transaction = new Transaction({
-            type: "transfer",
-            from,
-            to,
-            amount: transferAmount,
-            transactionCategory, // Explicitly set category
-            fromBalanceBefore: fromBalance,
-            fromBalanceAfter: fromBalance - transferAmount,
-            toBalanceBefore: toBalance,
-            toBalanceAfter: toBalance + transferAmount,
-            // reference auto-generated
-        });
-
-        await transaction.save({ session });
-
         await session.commitTransaction();
         session.endSession();
 
@@ -201,13 +212,14 @@ const depositFunds = async (req, res, next) => {
       });
     }
 
-    // Convert Decimal128 to float for calculations
-    const userBalance = parseFloat(user.wallet.balance.toString());
-    const bankBalance = parseFloat(bank.bankBalance.toString());
-    const depositAmount = parseFloat(amount);
+    // Exact centavo arithmetic (see utils/money.js)
+    const userBalanceCents = toCents(user.wallet.balance);
+    const bankBalanceCents = toCents(bank.bankBalance);
+    const amountCents = toCents(amount);
+    const depositAmount = fromCents(amountCents);
 
     // Check if bank has sufficient funds
-    if (bankBalance < depositAmount) {
+    if (bankBalanceCents < amountCents) {
       await session.abortTransaction();
       session.endSession();
       return res.status(400).json({
@@ -217,28 +229,30 @@ const depositFunds = async (req, res, next) => {
     }
 
     // Update balances
-    user.wallet.balance = mongoose.Types.Decimal128.fromString(
-      (userBalance + depositAmount).toString()
-    );
-    bank.bankBalance = mongoose.Types.Decimal128.fromString(
-      (bankBalance - depositAmount).toString()
-    );
-    bank.lastUpdated = Date.now();
-
+    user.wallet.balance = toDecimal128(userBalanceCents + amountCents);
     await user.save({ session });
-    await bank.save({ session });
+    await bank.updateBalance(-depositAmount, "deposit", session);
 
     // Create transaction record
     const transaction = new Transaction({
       type: "deposit",
       user: userId,
       amount: depositAmount,
-      balanceBefore: userBalance,
-      balanceAfter: userBalance + depositAmount,
+      balanceBefore: fromCents(userBalanceCents),
+      balanceAfter: fromCents(userBalanceCents + amountCents),
     });
 
     await transaction.save({ session });
 
+    // Post the movement to the ledger
+    await recordTransfer({
+      from: BANK_RESERVE,
+      to: walletAccount(user._id),
+      amount: depositAmount,
+      transaction,
+      session,
+    });
+
     await session.commitTransaction();
     session.endSession();
 
@@ -275,44 +289,60 @@ const withdrawFunds = async (req, res, next) => {
       });
     }
 
-    // Convert Decimal128 to float for calculations
-    const userBalance = parseFloat(user.wallet.balance.toString());
-    const bankBalance = parseFloat(bank.bankBalance.toString());
-    const withdrawAmount = parseFloat(amount);
+    // Exact centavo arithmetic (see utils/money.js)
+    const userBalanceCents = toCents(user.wallet.balance);
+    const amountCents = toCents(amount);
+    const withdrawAmount = fromCents(amountCents);
 
-    // Check if user has sufficient funds
-    if (userBalance < withdrawAmount) {
+    // Withdrawal fee charged on top of the amount
+    const { feeCents, schedule } = await calculateFee({
+      transactionType: "withdraw",
+      businessType: user.businessInfo?.businessType,
+      amount: withdrawAmount,
+      session,
+    });
+    const debitCents = amountCents + feeCents;
+
+    // Check if user has sufficient funds (held funds cannot be withdrawn)
+    if (toCents(getAvailableBalance(user)) < debitCents) {
       await session.abortTransaction();
       session.endSession();
       return res.status(400).json({
         success: false,
-        message: "Insufficient funds",
+        message: feeCents > 0 ? "Insufficient funds to cover the amount and fee" : "Insufficient funds",
       });
     }
 
     // Update balances
-    user.wallet.balance = mongoose.Types.Decimal128.fromString(
-      (userBalance - withdrawAmount).toString()
-    );
-    bank.bankBalance = mongoose.Types.Decimal128.fromString(
-      (bankBalance + withdrawAmount).toString()
-    );
-    bank.lastUpdated = Date.now();
-
+    user.wallet.balance = toDecimal128(userBalanceCents - debitCents);
     await user.save({ session });
-    await bank.save({ session });
+    await bank.updateBalance(withdrawAmount, "withdrawal", session);
+    await collectFee(feeCents, session);
 
     // Create transaction record
     const transaction = new Transaction({
       type: "withdraw",
       user: userId,
       amount: withdrawAmount,
-      balanceBefore: userBalance,
-      balanceAfter: userBalance - withdrawAmount,
+      fee: fromCents(feeCents),
+      feeSchedule: schedule?._id,
+      balanceBefore: fromCents(userBalanceCents),
+      balanceAfter: fromCents(userBalanceCents - debitCents),
     });
 
     await transaction.save({ session });
 
+    // Post the movement and the fee to the ledger
+    await recordTransferWithFee({
+      from: walletAccount(user._id),
+      to: BANK_RESERVE,
+      amount: withdrawAmount,
+      fee: fromCents(feeCents),
+      feePaidBy: "sender",
+      transaction,
+      session,
+    });
+
     await session.commitTransaction();
     session.endSession();
 
@@ -336,17 +366,19 @@ const getBankStatus = async (req, res, next) => {
   try {
     const bank = await Bank.getOrCreateBank();
     
-    const balance = parseFloat(bank.bankBalance.toString());
-    const totalDeposits = parseFloat(bank.totalDeposits.toString());
-    const totalWithdrawals = parseFloat(bank.totalWithdrawals.toString());
+    const balance = fromCents(toCents(bank.bankBalance));
+    const totalDeposits = fromCents(toCents(bank.totalDeposits));
+    const totalWithdrawals = fromCents(toCents(bank.totalWithdrawals));
+    const feeRevenue = fromCents(toCents(bank.feeRevenue ?? 0));
 
     res.status(200).json({
       success: true,
       data: {
         bankBalance: balance,
-        formattedBalance: `PHP ${balance.toLocaleString("en-PH", { minimumFractionDigits: 2 })}`,
+        formattedBalance: formatMoney(balance),
         totalDeposits,
         totalWithdrawals,
+        feeRevenue,
         lastUpdated: bank.lastUpdated,
         createdAt: bank.createdAt,
       },
@@ -356,10 +388,30 @@ const getBankStatus = async (req, res, next) => {
   }
 };
 
+/**
+ * Reconcile the ledger (Admin only)
+ * Checks that wallets plus the bank reserve and fee revenue equal the initial supply and that
+ * every stored balance matches its ledger postings
+ */
+const getLedgerReconciliation = async (req, res, next) => {
+  try {
+    const report = await reconcileLedger();
+
+    res.status(200).json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getUserTransactions,
+  searchAllTransactions,
   transferFunds,
   depositFunds,
   withdrawFunds,
   getBankStatus,
+  getLedgerReconciliation,
 };
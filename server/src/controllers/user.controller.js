@@ -200,6 +200,41 @@ const getProfile = async (req, res, next) => {
   }
 };
 
+// Set or remove (handle: null) the handle others can send money to, e.g. @juan_cruz
+const updateHandle = async (req, res, next) => {
+  try {
+    const handle = req.body.handle ? req.body.handle.trim().replace(/^@/, "").toLowerCase() : null;
+
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (handle && (await User.findOne({ handle, _id: { $ne: user._id } }))) {
+      return res.status(409).json({
+        success: false,
+        message: "Handle is already taken",
+      });
+    }
+
+    // Unset rather than null, so the sparse unique index ignores the user
+    user.handle = handle || undefined;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: handle ? "Handle updated successfully" : "Handle removed successfully",
+      data: { handle: user.handle || null },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * USER CRUD CONTROLLERS
  */
@@ -336,6 +371,7 @@ module.exports = {
   register,
   login,
   getProfile,
+  updateHandle,
   // User CRUD controllers
   getAllUsers,
   createUser,
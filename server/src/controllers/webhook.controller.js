@@ -0,0 +1,352 @@
+/**
+ * WEBHOOK CONTROLLER
+ * ==================
+ * Handles webhook endpoint management for business accounts
+ * - Register, list, update and delete webhook endpoints
+ * - Delivery log and manual redelivery
+ *
+ * Events are queued and delivered by utils/webhooks.js
+ */
+
+const WebhookEndpoint = require("../models/webhookEndpoint.model");
+const WebhookDelivery = require("../models/webhookDelivery.model");
+const { attemptDelivery } = require("../utils/webhooks");
+const { INVALID_PAGINATION, getPagination, paginationInfo } = require("../utils/pagination");
+
+// Maximum number of webhook endpoints per business
+const MAX_WEBHOOK_ENDPOINTS = 5;
+
+/**
+ * Validate the events of a create/update request
+ * @param {any} events - Requested events
+ * @returns {string|null} Error message or null if valid
+ */
+const getEventsError = (events) => {
+  if (!Array.isArray(events) || events.length === 0) {
+    return "Events must be a non-empty array";
+  }
+
+  const unknown = events.filter((event) => !WebhookEndpoint.WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    return `Unknown event(s): ${unknown.join(", ")}. Supported events: ${WebhookEndpoint.WEBHOOK_EVENTS.join(", ")}`;
+  }
+
+  return null;
+};
+
+/**
+ * Format an endpoint for responses
+ * @param {Object} endpoint - WebhookEndpoint document
+ * @returns {Object}
+ */
+const formatEndpoint = (endpoint) => ({
+  id: endpoint._id,
+  url: endpoint.url,
+  description: endpoint.description,
+  events: endpoint.events,
+  isActive: endpoint.isActive,
+  createdAt: endpoint.createdAt,
+  updatedAt: endpoint.updatedAt,
+});
+
+/**
+ * Format a delivery for responses
+ * @param {Object} delivery - WebhookDelivery document
+ * @returns {Object}
+ */
+const formatDelivery = (delivery) => ({
+  id: delivery._id,
+  endpointId: delivery.endpoint,
+  eventId: delivery.eventId,
+  event: delivery.event,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  nextAttemptAt: delivery.status === "pending" ? delivery.nextAttemptAt : null,
+  deliveredAt: delivery.deliveredAt,
+  attemptLog: delivery.attemptLog,
+  payload: delivery.payload,
+  createdAt: delivery.createdAt,
+});
+
+/**
+ * Register a new webhook endpoint
+ * POST /api/business/webhooks
+ */
+const createWebhook = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { url, description, events = WebhookEndpoint.WEBHOOK_EVENTS } = req.body;
+
+    if (!url || !/^https?:\/\/[\w.-]+(:\d+)?(\/.*)?$/.test(url)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid webhook URL is required. Must start with http:// or https://",
+      });
+    }
+
+    const eventsError = getEventsError(events);
+    if (eventsError) {
+      return res.status(400).json({
+        success: false,
+        message: eventsError,
+      });
+    }
+
+    const existingCount = await WebhookEndpoint.countDocuments({ business: userId });
+    if (existingCount >= MAX_WEBHOOK_ENDPOINTS) {
+      return res.status(400).json({
+        success: false,
+        message: `Maximum number of webhook endpoints (${MAX_WEBHOOK_ENDPOINTS}) reached. Please delete an existing endpoint first.`,
+      });
+    }
+
+    const secret = WebhookEndpoint.generateSecret();
+    const endpoint = await WebhookEndpoint.create({
+      business: userId,
+      url,
+      description,
+      events: [...new Set(events)],
+      secret,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Webhook endpoint created. Save the signing secret securely - it won't be shown again.",
+      data: {
+        ...formatEndpoint(endpoint),
+        secret, // Only shown once!
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List webhook endpoints of the business
+ * GET /api/business/webhooks
+ */
+const listWebhooks = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+
+    const endpoints = await WebhookEndpoint.find({ business: userId }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: endpoints.length,
+      data: endpoints.map(formatEndpoint),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a webhook endpoint (url, description, events, isActive)
+ * PUT /api/business/webhooks/:webhookId
+ */
+const updateWebhook = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { webhookId } = req.params;
+    const { url, description, events, isActive } = req.body;
+
+    const endpoint = await WebhookEndpoint.findOne({
+      _id: webhookId,
+      business: userId,
+    });
+
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        message: "Webhook endpoint not found",
+      });
+    }
+
+    if (url !== undefined) {
+      if (!/^https?:\/\/[\w.-]+(:\d+)?(\/.*)?$/.test(url)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid webhook URL. Must start with http:// or https://",
+        });
+      }
+      endpoint.url = url;
+    }
+
+    if (events !== undefined) {
+      const eventsError = getEventsError(events);
+      if (eventsError) {
+        return res.status(400).json({
+          success: false,
+          message: eventsError,
+        });
+      }
+      endpoint.events = [...new Set(events)];
+    }
+
+    if (isActive !== undefined) {
+      if (typeof isActive !== "boolean") {
+        return res.status(400).json({
+          success: false,
+          message: "isActive must be a boolean",
+        });
+      }
+      endpoint.isActive = isActive;
+    }
+
+    if (description !== undefined) {
+      endpoint.description = description;
+    }
+
+    await endpoint.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Webhook endpoint updated successfully",
+      data: formatEndpoint(endpoint),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a webhook endpoint
+ * Pending deliveries to the endpoint are marked failed on their next attempt.
+ * DELETE /api/business/webhooks/:webhookId
+ */
+const deleteWebhook = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { webhookId } = req.params;
+
+    const endpoint = await WebhookEndpoint.findOneAndDelete({
+      _id: webhookId,
+      business: userId,
+    });
+
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        message: "Webhook endpoint not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Webhook endpoint deleted successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List webhook deliveries (delivery log)
+ * Optional query params: endpointId, event, status (pending, succeeded, failed), page, limit
+ * GET /api/business/webhooks/deliveries
+ */
+const listDeliveries = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { endpointId, event, status } = req.query;
+
+    const pagination = getPagination(req.query);
+    if (!pagination) {
+      return res.status(400).json(INVALID_PAGINATION);
+    }
+    const { pageNum, limitNum, skip } = pagination;
+
+    const query = { business: userId };
+
+    if (endpointId) {
+      query.endpoint = endpointId;
+    }
+
+    if (event && WebhookEndpoint.WEBHOOK_EVENTS.includes(event)) {
+      query.event = event;
+    }
+
+    if (status && ["pending", "succeeded", "failed"].includes(status)) {
+      query.status = status;
+    }
+
+    const totalCount = await WebhookDelivery.countDocuments(query);
+
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    res.status(200).json({
+      success: true,
+      pagination: paginationInfo(pageNum, limitNum, totalCount),
+      count: deliveries.length,
+      data: deliveries.map(formatDelivery),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Redeliver a webhook event now
+ * Makes one immediate attempt regardless of the delivery's current status.
+ * If it fails and attempts remain, the delivery goes back to the retry queue.
+ * POST /api/business/webhooks/deliveries/:deliveryId/redeliver
+ */
+const redeliverDelivery = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { deliveryId } = req.params;
+
+    const delivery = await WebhookDelivery.findOne({
+      _id: deliveryId,
+      business: userId,
+    });
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: "Webhook delivery not found",
+      });
+    }
+
+    // Take the lease so the retry job doesn't send the same delivery concurrently
+    const claimed = await WebhookDelivery.findOneAndUpdate(
+      {
+        _id: delivery._id,
+        $or: [{ status: { $ne: "pending" } }, { nextAttemptAt: { $lte: new Date() } }],
+      },
+      { $set: { status: "pending", nextAttemptAt: new Date(Date.now() + 5 * 60 * 1000) } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: "This delivery is already being attempted. Please try again shortly.",
+      });
+    }
+
+    const result = await attemptDelivery(claimed);
+
+    res.status(200).json({
+      success: true,
+      message: result.status === "succeeded" ? "Webhook redelivered successfully" : "Webhook redelivery failed",
+      data: formatDelivery(result),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createWebhook,
+  listWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  redeliverDelivery,
+};
@@ -6,6 +6,36 @@
  */
 
 const APIKey = require("../models/apiKey.model");
+const APIRateLimit = require("../models/apiRateLimit.model");
+const { verifyRequestSignature } = require("../utils/requestSigning");
+
+/**
+ * Set the standard RateLimit-* headers for a per-minute limit check
+ * @param {Object} res - Express response
+ * @param {Object} result - Result of APIRateLimit.consume()
+ */
+const setRateLimitHeaders = (res, result) => {
+  res.set({
+    "RateLimit-Policy": `${result.limit};w=${APIRateLimit.WINDOW_MS / 1000}`,
+    "RateLimit-Limit": String(result.limit),
+    "RateLimit-Remaining": String(result.remaining),
+    "RateLimit-Reset": String(result.resetSeconds),
+  });
+
+  if (!result.allowed) {
+    res.set("Retry-After", String(result.retryAfterSeconds));
+  }
+};
+
+/**
+ * Seconds until the daily request counter resets (midnight UTC)
+ * @returns {number}
+ */
+const secondsUntilDailyReset = () => {
+  const now = new Date();
+  const nextReset = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((nextReset - now.getTime()) / 1000);
+};
 
 /**
  * API Key Authentication Middleware
@@ -85,8 +115,30 @@ const apiAuth = async (req, res, next) => {
       });
     }
 
-    // Check rate limit
+    // Verify request signature (keys with signing enabled)
+    if (keyDocument.requestSigning?.enabled) {
+      const verification = verifyRequestSignature(keyDocument.requestSigning.secret, {
+        method: req.method,
+        path: req.originalUrl,
+        timestamp: req.headers["x-timestamp"],
+        signature: req.headers["x-signature"],
+        body: req.rawBody || "",
+      });
+
+      if (!verification.valid) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: verification.code,
+            message: verification.message,
+          },
+        });
+      }
+    }
+
+    // Check daily rate limit
     if (!keyDocument.checkRateLimit()) {
+      res.set("Retry-After", String(secondsUntilDailyReset()));
       return res.status(429).json({
         success: false,
         error: {
@@ -96,6 +148,23 @@ const apiAuth = async (req, res, next) => {
       });
     }
 
+    // Check per-minute rate limit (shared across server instances)
+    const minuteLimit = await APIRateLimit.consume(
+      keyDocument._id,
+      keyDocument.rateLimit.requestsPerMinute
+    );
+    setRateLimitHeaders(res, minuteLimit);
+
+    if (!minuteLimit.allowed) {
+      return res.status(429).json({
+        success: false,
+        error: {
+          code: "RATE_LIMIT_EXCEEDED",
+          message: `API rate limit of ${minuteLimit.limit} requests per minute exceeded. Retry after ${minuteLimit.retryAfterSeconds} seconds.`,
+        },
+      });
+    }
+
     // Record usage
     keyDocument.recordUsage();
     await keyDocument.save();
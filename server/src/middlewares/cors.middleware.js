@@ -121,7 +121,7 @@ const dynamicCors = async (req, res, next) => {
   res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, PATCH, OPTIONS");
   res.setHeader(
     "Access-Control-Allow-Headers",
-    "Content-Type, Authorization, X-API-Key, X-Requested-With"
+    "Content-Type, Authorization, X-API-Key, X-Requested-With, Idempotency-Key, X-Signature, X-Timestamp"
   );
   res.setHeader("Access-Control-Allow-Credentials", "true");
   res.setHeader("Access-Control-Max-Age", "86400"); // 24 hours
@@ -170,7 +170,7 @@ const dynamicCors = async (req, res, next) => {
   }
 
   // Expose custom headers to the client
-  res.setHeader("Access-Control-Expose-Headers", "X-RateLimit-Limit, X-RateLimit-Remaining");
+  res.setHeader("Access-Control-Expose-Headers", "X-RateLimit-Limit, X-RateLimit-Remaining, Idempotent-Replayed");
 
   next();
 };
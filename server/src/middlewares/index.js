@@ -1,7 +1,7 @@
 const auth = require('./auth.middleware');
 const errorHandler = require('./errorHandler.middleware');
 const logger = require('./loggers.middleware');
-const { limiter, speedLimiter, loginLimiter, cardVerifyLimiter, employeeLoginLimiter} = require('./rateLimit.middleware');
+const { limiter, speedLimiter, loginLimiter, cardVerifyLimiter, checkoutPaymentLimiter, employeeLoginLimiter, recipientLookupLimiter } = require('./rateLimit.middleware');
 const checkRole = require('./role.middleware');
 const { 
   validateUser, 
@@ -9,8 +9,28 @@ const {
   validateTransaction, 
   validateDeposit, 
   validateWithdraw,
+  validateQRCode,
+  validateQRPayment,
+  validatePaymentLink,
+  validateSubscriptionPlan,
+  validateMandate,
+  validateFeeSchedule,
+  validateDispute,
+  validateDisputeEvidence,
+  validateDisputeResolution,
+  validateInvoice,
+  validateScheduledTransfer,
+  validateMoneyRequest,
+  validateHandle,
+  validatePayee,
+  validatePayeeOrder,
+  validateStatement,
   validateCardCharge,
+  validateSplitCharge,
   validateRefund,
+  validateCapture,
+  validateVoid,
+  validateCheckoutSession,
   validateBusinessRegistration,
   validateEmployeeRegistration,
 } = require('./validation.middleware');
@@ -28,7 +48,9 @@ module.exports = {
   speedLimiter,
   loginLimiter,
   cardVerifyLimiter,
+  checkoutPaymentLimiter,
   employeeLoginLimiter,
+  recipientLookupLimiter,
   checkRole,
   validateUser,
   validateRegistration,
@@ -36,8 +58,28 @@ module.exports = {
   validateTransaction,
   validateDeposit,
   validateWithdraw,
+  validateQRCode,
+  validateQRPayment,
+  validatePaymentLink,
+  validateSubscriptionPlan,
+  validateMandate,
+  validateFeeSchedule,
+  validateDispute,
+  validateDisputeEvidence,
+  validateDisputeResolution,
+  validateInvoice,
+  validateScheduledTransfer,
+  validateMoneyRequest,
+  validateHandle,
+  validatePayee,
+  validatePayeeOrder,
+  validateStatement,
   validateCardCharge,
+  validateSplitCharge,
   validateRefund,
+  validateCapture,
+  validateVoid,
+  validateCheckoutSession,
   validateBusinessRegistration,
   validateEmployeeRegistration,
   apiAuth,
@@ -53,6 +53,19 @@ const cardVerifyLimiter = rateLimit({
   },
 });
 
+const checkoutPaymentLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 payment attempts per window
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      message: "Too many payment attempts, please try again after 15 minutes",
+    });
+  },
+});
+
 const employeeLoginLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 5, // 5 attempts per window
@@ -66,10 +79,26 @@ const employeeLoginLimiter = rateLimit({
   },
 });
 
+// Recipient lookups reveal masked names, so they are limited to stop user enumeration
+const recipientLookupLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // 30 lookups per window
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      message: "Too many recipient lookups, please try again after 15 minutes",
+    });
+  },
+});
+
 module.exports = {
   limiter,
   speedLimiter,
   loginLimiter,
   cardVerifyLimiter,
-  employeeLoginLimiter
+  checkoutPaymentLimiter,
+  employeeLoginLimiter,
+  recipientLookupLimiter
 };
\ No newline at end of file
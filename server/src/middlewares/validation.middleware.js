@@ -1,3 +1,15 @@
+const mongoose = require("mongoose");
+const { isValidAmount, toCents } = require("../utils/money");
+const { MAX_QR_CODE_EXPIRY_MINUTES } = require("../utils/qrCode");
+const { BILLING_INTERVALS } = require("../models/subscriptionPlan.model");
+const FeeSchedule = require("../models/feeSchedule.model");
+const Dispute = require("../models/dispute.model");
+const { FREQUENCIES } = require("../models/scheduledTransfer.model");
+const { MAX_SPLITS } = require("../utils/splitPayments");
+const MoneyRequest = require("../models/moneyRequest.model");
+const { HANDLE_PATTERN } = require("../models/user.model");
+const { MAX_STATEMENT_DAYS } = require("../utils/statements");
+
 const validateUser = (req, res, next) => {
   const { firstName, lastName, email, age, gender, middleInitial } = req.body;
 
@@ -187,6 +199,12 @@ const { to, amount } = req.body;
         message: "Amount must be greater than zero",
       });
     }
+    if (!isValidAmount(Number(amount))) {
+      return res.status(400).json({
+        success: false,
+        message: "Amount cannot have more than 2 decimal places",
+      });
+    }
     next();
 };
 
@@ -207,6 +225,13 @@ const validateDeposit = (req, res, next) => {
     });
   }
 
+  if (!isValidAmount(Number(amount))) {
+    return res.status(400).json({
+      success: false,
+      message: "Amount cannot have more than 2 decimal places",
+    });
+  }
+
   next();
 };
 
@@ -227,114 +252,199 @@ const validateWithdraw = (req, res, next) => {
     });
   }
 
+  if (!isValidAmount(Number(amount))) {
+    return res.status(400).json({
+      success: false,
+      message: "Amount cannot have more than 2 decimal places",
+    });
+  }
+
   next();
 };
 
-// ============================================
-// PUBLIC API VALIDATION (for external systems)
-// ============================================
+/**
+ * Validate an amount a business fixes in advance (QR codes, payment links)
+ * @returns {string|null} - Error message or null if valid
+ */
+const getFixedAmountError = (amount) => {
+  if (typeof amount !== "number" || amount <= 0) {
+    return "Amount must be a number greater than zero";
+  }
 
-const { validateCardFormat, validateCVVFormat } = require("../utils/cardGenerator");
+  if (!isValidAmount(amount)) {
+    return "Amount cannot have more than 2 decimal places";
+  }
+
+  if (amount > 1000000) {
+    return "Amount exceeds maximum allowed (1,000,000 PHP)";
+  }
+
+  return null;
+};
 
 /**
- * Validate card charge request from external API
+ * Validate a QR code request from a business
+ * Amount is optional (static code); expiry only applies to dynamic codes.
  */
-const validateCardCharge = (req, res, next) => {
-  const { cardNumber, cvv, amount, description } = req.body;
+const validateQRCode = (req, res, next) => {
+  const { amount, description, expiresInMinutes } = req.body;
 
-  // Validate card number
-  if (!cardNumber) {
+  if (amount !== undefined && amount !== null) {
+    const amountError = getFixedAmountError(amount);
+    if (amountError) {
+      return res.status(400).json({
+        success: false,
+        message: amountError,
+      });
+    }
+  } else if (expiresInMinutes !== undefined) {
     return res.status(400).json({
       success: false,
-      error: {
-        code: "MISSING_CARD_NUMBER",
-        message: "Card number is required",
-      },
+      message: "Only QR codes with an amount can expire",
     });
   }
 
-  const cardValidation = validateCardFormat(cardNumber);
-  if (!cardValidation.isValid) {
+  if (expiresInMinutes !== undefined &&
+      (!Number.isInteger(expiresInMinutes) || expiresInMinutes < 1 || expiresInMinutes > MAX_QR_CODE_EXPIRY_MINUTES)) {
     return res.status(400).json({
       success: false,
-      error: {
-        code: "INVALID_CARD_NUMBER",
-        message: cardValidation.error,
-      },
+      message: `Expiry must be a whole number of minutes between 1 and ${MAX_QR_CODE_EXPIRY_MINUTES}`,
     });
   }
 
-  // Validate CVV
-  if (!cvv) {
+  if (description !== undefined && (typeof description !== "string" || description.length > 100)) {
     return res.status(400).json({
       success: false,
-      error: {
-        code: "MISSING_CVV",
-        message: "CVV is required",
-      },
+      message: "Description must not exceed 100 characters",
     });
   }
 
-  const cvvValidation = validateCVVFormat(cvv);
-  if (!cvvValidation.isValid) {
+  next();
+};
+
+/**
+ * Validate a QR code payment
+ * Amount is required for static codes, which the controller checks after decoding.
+ */
+const validateQRPayment = (req, res, next) => {
+  const { payload, amount } = req.body;
+
+  if (!payload || typeof payload !== "string") {
     return res.status(400).json({
       success: false,
-      error: {
-        code: "INVALID_CVV",
-        message: cvvValidation.error,
-      },
+      message: "QR code payload is required",
     });
   }
 
-  // Validate amount
-  if (amount === undefined || amount === null) {
+  if (amount !== undefined && amount !== null) {
+    if (amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Amount must be greater than zero",
+      });
+    }
+
+    if (!isValidAmount(Number(amount))) {
+      return res.status(400).json({
+        success: false,
+        message: "Amount cannot have more than 2 decimal places",
+      });
+    }
+  }
+
+  next();
+};
+
+/**
+ * Validate a new payment link
+ * Amount is optional (customer enters it); usage limit and expiry are optional.
+ */
+const validatePaymentLink = (req, res, next) => {
+  const { amount, description, usageLimit, expiresAt } = req.body;
+
+  if (!description || typeof description !== "string") {
     return res.status(400).json({
       success: false,
-      error: {
-        code: "MISSING_AMOUNT",
-        message: "Amount is required",
-      },
+      message: "Description is required",
     });
   }
 
-  if (typeof amount !== "number" || isNaN(amount)) {
+  if (description.length > 200) {
     return res.status(400).json({
       success: false,
-      error: {
-        code: "INVALID_AMOUNT",
-        message: "Amount must be a valid number",
-      },
+      message: "Description must not exceed 200 characters",
     });
   }
 
-  if (amount <= 0) {
+  if (amount !== undefined && amount !== null) {
+    const amountError = getFixedAmountError(amount);
+    if (amountError) {
+      return res.status(400).json({
+        success: false,
+        message: amountError,
+      });
+    }
+  }
+
+  if (usageLimit !== undefined && usageLimit !== null && (!Number.isInteger(usageLimit) || usageLimit < 1)) {
     return res.status(400).json({
       success: false,
-      error: {
-        code: "INVALID_AMOUNT",
-        message: "Amount must be greater than zero",
-      },
+      message: "Usage limit must be a whole number of at least 1",
     });
   }
 
-  if (amount > 1000000) {
+  if (expiresAt !== undefined && expiresAt !== null) {
+    const expiry = new Date(expiresAt);
+    if (typeof expiresAt !== "string" || isNaN(expiry.getTime()) || expiry <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "Expiry must be a future date (ISO 8601)",
+      });
+    }
+  }
+
+  next();
+};
+
+/**
+ * Validate a new subscription plan
+ */
+const validateSubscriptionPlan = (req, res, next) => {
+  const { name, description, amount, interval } = req.body;
+
+  if (!name || typeof name !== "string" || name.trim().length === 0) {
     return res.status(400).json({
       success: false,
-      error: {
-        code: "AMOUNT_TOO_LARGE",
-        message: "Amount exceeds maximum allowed (1,000,000 PHP)",
-      },
+      message: "Plan name is required",
     });
   }
 
-  // Validate description (optional but has limits)
-  if (description && description.length > 200) {
+  if (name.length > 100) {
     return res.status(400).json({
       success: false,
-      error: {
-        code: "DESCRIPTION_TOO_LONG",
-        message: "Description must not exceed 200 characters",
-      },
+      message: "Plan name must not exceed 100 characters",
+    });
+  }
+
+  if (description !== undefined && (typeof description !== "string" || description.length > 200)) {
+    return res.status(400).json({
+      success: false,
+      message: "Description must not exceed 200 characters",
+    });
+  }
+
+  const amountError = getFixedAmountError(amount);
+  if (amountError) {
+    return res.status(400).json({
+      success: false,
+      message: amountError,
+    });
+  }
+
+  if (!BILLING_INTERVALS.includes(interval)) {
+    return res.status(400).json({
+      success: false,
+      message: `Interval must be one of: ${BILLING_INTERVALS.join(", ")}`,
     });
   }
 
@@ -342,62 +452,959 @@ const validateCardCharge = (req, res, next) => {
 };
 
 /**
- * Validate refund request from external API
+ * Validate a mandate granted by a customer
+ * maxAmount is optional (defaults to the plan amount).
  */
-const validateRefund = (req, res, next) => {
-  const { transactionId, amount, reason } = req.body;
+const validateMandate = (req, res, next) => {
+  const { planId, maxAmount } = req.body;
 
-  // Validate transaction ID
-  if (!transactionId) {
+  if (!planId || typeof planId !== "string") {
     return res.status(400).json({
       success: false,
-      error: {
-        code: "MISSING_TRANSACTION_ID",
-        message: "Transaction ID is required",
-      },
+      message: "Plan ID is required",
     });
   }
 
-  if (typeof transactionId !== "string" || transactionId.length < 10) {
+  if (maxAmount !== undefined && maxAmount !== null) {
+    const amountError = getFixedAmountError(maxAmount);
+    if (amountError) {
+      return res.status(400).json({
+        success: false,
+        message: amountError.replace("Amount", "Maximum amount"),
+      });
+    }
+  }
+
+  next();
+};
+
+/**
+ * Validate a fee schedule created (POST) or updated (PATCH) by an admin
+ * On update every field is optional and what the schedule applies to
+ * (transactionType, transactionCategory, businessType) cannot change.
+ */
+const validateFeeSchedule = (req, res, next) => {
+  const isUpdate = req.method === "PATCH";
+  const { name, transactionType, transactionCategory, businessType, percentage, fixedAmount, maxFee, isActive } = req.body;
+
+  if (!isUpdate || name !== undefined) {
+    if (!name || typeof name !== "string" || name.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Fee schedule name is required",
+      });
+    }
+    if (name.length > 100) {
+      return res.status(400).json({
+        success: false,
+        message: "Fee schedule name must not exceed 100 characters",
+      });
+    }
+  }
+
+  if (isUpdate) {
+    if (transactionType !== undefined || transactionCategory !== undefined || businessType !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Transaction type, category and business type cannot be changed. Create a new fee schedule instead",
+      });
+    }
+  } else {
+    if (!FeeSchedule.TRANSACTION_TYPES.includes(transactionType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Transaction type must be one of: ${FeeSchedule.TRANSACTION_TYPES.join(", ")}`,
+      });
+    }
+    if (transactionCategory !== undefined && transactionCategory !== null &&
+        !FeeSchedule.TRANSACTION_CATEGORIES.includes(transactionCategory)) {
+      return res.status(400).json({
+        success: false,
+        message: `Transaction category must be one of: ${FeeSchedule.TRANSACTION_CATEGORIES.join(", ")}`,
+      });
+    }
+    if (businessType !== undefined && businessType !== null && !FeeSchedule.BUSINESS_TYPES.includes(businessType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Business type must be one of: ${FeeSchedule.BUSINESS_TYPES.join(", ")}`,
+      });
+    }
+  }
+
+  if (percentage !== undefined && (typeof percentage !== "number" || percentage < 0 || percentage > 100)) {
     return res.status(400).json({
       success: false,
-      error: {
-        code: "INVALID_TRANSACTION_ID",
-        message: "Invalid transaction ID format",
-      },
+      message: "Percentage must be a number between 0 and 100",
     });
   }
 
-  // Validate amount (optional for partial refunds)
-  if (amount !== undefined) {
-    if (typeof amount !== "number" || isNaN(amount)) {
+  if (fixedAmount !== undefined &&
+      (typeof fixedAmount !== "number" || fixedAmount < 0 || fixedAmount > 1000000 ||
+       (fixedAmount !== 0 && !isValidAmount(fixedAmount)))) {
+    return res.status(400).json({
+      success: false,
+      message: "Fixed amount must be a number between 0 and 1,000,000 with at most 2 decimal places",
+    });
+  }
+
+  if (maxFee !== undefined && maxFee !== null) {
+    const amountError = getFixedAmountError(maxFee);
+    if (amountError) {
       return res.status(400).json({
         success: false,
-        error: {
-          code: "INVALID_AMOUNT",
-          message: "Refund amount must be a valid number",
-        },
+        message: amountError.replace("Amount", "Maximum fee"),
       });
     }
+  }
 
-    if (amount <= 0) {
+  if (isActive !== undefined && typeof isActive !== "boolean") {
+    return res.status(400).json({
+      success: false,
+      message: "isActive must be a boolean",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate a dispute opened by a customer
+ * Amount is optional (defaults to the amount not refunded yet).
+ */
+const validateDispute = (req, res, next) => {
+  const { transactionId, reason, description, amount } = req.body;
+
+  if (!transactionId || typeof transactionId !== "string") {
+    return res.status(400).json({
+      success: false,
+      message: "Transaction ID is required",
+    });
+  }
+
+  if (!Dispute.REASONS.includes(reason)) {
+    return res.status(400).json({
+      success: false,
+      message: `Reason must be one of: ${Dispute.REASONS.join(", ")}`,
+    });
+  }
+
+  if (description !== undefined && (typeof description !== "string" || description.length > 1000)) {
+    return res.status(400).json({
+      success: false,
+      message: "Description must be a string of at most 1000 characters",
+    });
+  }
+
+  if (amount !== undefined && amount !== null) {
+    const amountError = getFixedAmountError(amount);
+    if (amountError) {
       return res.status(400).json({
         success: false,
-        error: {
-          code: "INVALID_AMOUNT",
-          message: "Refund amount must be greater than zero",
-        },
+        message: amountError,
       });
     }
   }
 
-  // Validate reason (optional but has limits)
-  if (reason && reason.length > 200) {
+  next();
+};
+
+/**
+ * Validate evidence submitted by a business for a dispute
+ * Attachments are optional links (at most 5).
+ */
+const validateDisputeEvidence = (req, res, next) => {
+  const { text, attachments } = req.body;
+
+  if (!text || typeof text !== "string" || text.trim().length === 0) {
     return res.status(400).json({
       success: false,
-      error: {
-        code: "REASON_TOO_LONG",
-        message: "Refund reason must not exceed 200 characters",
+      message: "Evidence text is required",
+    });
+  }
+
+  if (text.length > 2000) {
+    return res.status(400).json({
+      success: false,
+      message: "Evidence text must not exceed 2000 characters",
+    });
+  }
+
+  if (attachments !== undefined) {
+    if (!Array.isArray(attachments) || attachments.length > 5) {
+      return res.status(400).json({
+        success: false,
+        message: "Attachments must be a list of at most 5 URLs",
+      });
+    }
+
+    const urlPattern = /^https?:\/\/[\w.-]+(:\d+)?(\/.*)?$/;
+    const invalid = attachments.some((url) => typeof url !== "string" || url.length > 500 || !urlPattern.test(url));
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: "Attachments must be http(s) URLs of at most 500 characters",
+      });
+    }
+  }
+
+  next();
+};
+
+/**
+ * Validate the resolution of a dispute by staff
+ */
+const validateDisputeResolution = (req, res, next) => {
+  const { outcome, note } = req.body;
+
+  if (!["reverse", "close"].includes(outcome)) {
+    return res.status(400).json({
+      success: false,
+      message: "Outcome must be one of: reverse, close",
+    });
+  }
+
+  if (note !== undefined && (typeof note !== "string" || note.length > 500)) {
+    return res.status(400).json({
+      success: false,
+      message: "Note must be a string of at most 500 characters",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate a new scheduled transfer (POST) or an edit (PATCH, only the fields sent)
+ * The end date is checked against the first transfer date in the controller.
+ */
+const validateScheduledTransfer = (req, res, next) => {
+  const isUpdate = req.method === "PATCH";
+  const { to, amount, description, frequency, startDate, nextRunAt, endDate } = req.body;
+
+  if (!isUpdate) {
+    if (!to || typeof to !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Recipient (to) is required",
+      });
+    }
+
+    if (req.user && req.user.id === to) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot transfer to the same account",
+      });
+    }
+  }
+
+  if (!isUpdate || amount !== undefined) {
+    const amountError = getFixedAmountError(amount);
+    if (amountError) {
+      return res.status(400).json({
+        success: false,
+        message: amountError,
+      });
+    }
+  }
+
+  if (!isUpdate || frequency !== undefined) {
+    if (!FREQUENCIES.includes(frequency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Frequency must be one of: ${FREQUENCIES.join(", ")}`,
+      });
+    }
+  }
+
+  // First transfer date on creation, next transfer date on an edit
+  const runDate = isUpdate ? nextRunAt : startDate;
+  if (!isUpdate || runDate !== undefined) {
+    const date = new Date(runDate);
+    if (typeof runDate !== "string" || isNaN(date.getTime()) || date <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: `${isUpdate ? "Next run date" : "Start date"} must be a future date (ISO 8601)`,
+      });
+    }
+  }
+
+  if (endDate !== undefined && endDate !== null) {
+    const end = new Date(endDate);
+    if (typeof endDate !== "string" || isNaN(end.getTime()) || end <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "End date must be a future date (ISO 8601)",
+      });
+    }
+  }
+
+  if (description !== undefined && (typeof description !== "string" || description.length > 200)) {
+    return res.status(400).json({
+      success: false,
+      message: "Description must be a string of at most 200 characters",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate a request of money from one or more users
+ * The payers' accounts are checked in the controller.
+ */
+const validateMoneyRequest = (req, res, next) => {
+  const { payers, note, expiresInDays } = req.body;
+
+  if (!Array.isArray(payers) || payers.length === 0 || payers.length > MoneyRequest.MAX_PAYERS) {
+    return res.status(400).json({
+      success: false,
+      message: `Payers must be a list of 1 to ${MoneyRequest.MAX_PAYERS} users`,
+    });
+  }
+
+  const payerIds = new Set();
+
+  for (const payer of payers) {
+    if (!payer || typeof payer.user !== "string" || !payer.user) {
+      return res.status(400).json({
+        success: false,
+        message: "Each payer must have a user ID",
+      });
+    }
+
+    const payerId = payer.user.toLowerCase();
+
+    if (req.user && req.user.id === payerId) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot request money from yourself",
+      });
+    }
+
+    if (payerIds.has(payerId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Each user can only appear once in the payers",
+      });
+    }
+    payerIds.add(payerId);
+
+    const amountError = getFixedAmountError(payer.amount);
+    if (amountError) {
+      return res.status(400).json({
+        success: false,
+        message: amountError,
+      });
+    }
+  }
+
+  if (note !== undefined && (typeof note !== "string" || note.length > 200)) {
+    return res.status(400).json({
+      success: false,
+      message: "Note must be a string of at most 200 characters",
+    });
+  }
+
+  if (
+    expiresInDays !== undefined &&
+    (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MoneyRequest.MAX_EXPIRY_DAYS)
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: `Expiry must be a whole number of days between 1 and ${MoneyRequest.MAX_EXPIRY_DAYS}`,
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate a new handle (a leading "@" is allowed); null removes the handle
+ */
+const validateHandle = (req, res, next) => {
+  const { handle } = req.body;
+
+  if (handle === null) {
+    return next();
+  }
+
+  if (typeof handle !== "string" || !HANDLE_PATTERN.test(handle.trim().replace(/^@/, "").toLowerCase())) {
+    return res.status(400).json({
+      success: false,
+      message: "Handle must be 3 to 20 letters, numbers or underscores",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate a payee saved in the address book (POST) or a new nickname (PATCH)
+ */
+const validatePayee = (req, res, next) => {
+  const { to, nickname } = req.body;
+
+  if (req.method !== "PATCH" && (!to || typeof to !== "string")) {
+    return res.status(400).json({
+      success: false,
+      message: "Recipient (to) is required: a user ID, email or handle",
+    });
+  }
+
+  if (nickname !== undefined && nickname !== null && (typeof nickname !== "string" || nickname.length > 50)) {
+    return res.status(400).json({
+      success: false,
+      message: "Nickname must be a string of at most 50 characters",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate a new order of the payee address book
+ * Whether the IDs are the user's payees is checked in the controller.
+ */
+const validatePayeeOrder = (req, res, next) => {
+  const { payeeIds } = req.body;
+
+  if (
+    !Array.isArray(payeeIds) ||
+    payeeIds.length === 0 ||
+    !payeeIds.every((id) => typeof id === "string") ||
+    new Set(payeeIds).size !== payeeIds.length
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: "payeeIds must be a list of distinct payee IDs",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate the period and format of an account statement (query string)
+ * from and to are whole days (YYYY-MM-DD); to is included.
+ */
+const validateStatement = (req, res, next) => {
+  const { from, to, format } = req.query;
+
+  // Rejects impossible days such as 2025-02-30
+  const isDay = (value) => {
+    if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00.000Z`);
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+  };
+
+  if (!isDay(from) || !isDay(to)) {
+    return res.status(400).json({
+      success: false,
+      message: "from and to must be dates in YYYY-MM-DD format",
+    });
+  }
+
+  const days = (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) + 1;
+
+  if (days < 1) {
+    return res.status(400).json({
+      success: false,
+      message: "to cannot be before from",
+    });
+  }
+
+  if (days > MAX_STATEMENT_DAYS) {
+    return res.status(400).json({
+      success: false,
+      message: `A statement can cover at most ${MAX_STATEMENT_DAYS} days`,
+    });
+  }
+
+  if (format !== undefined && !["json", "csv", "pdf"].includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: "Format must be json, csv or pdf",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate a new invoice (POST) or changes to a draft (PATCH)
+ * Only the fields sent are checked on PATCH. Totals are computed by the controller.
+ */
+const validateInvoice = (req, res, next) => {
+  const isUpdate = req.method === "PATCH";
+  const { recipientEmail, lineItems, taxRate, dueDate, notes } = req.body;
+
+  if (!isUpdate || recipientEmail !== undefined) {
+    if (typeof recipientEmail !== "string" || !/^[\w.+-]+@[\w-]+(\.[\w-]+)+$/.test(recipientEmail.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid recipient email is required",
+      });
+    }
+  }
+
+  if (!isUpdate || lineItems !== undefined) {
+    if (!Array.isArray(lineItems) || lineItems.length === 0 || lineItems.length > 50) {
+      return res.status(400).json({
+        success: false,
+        message: "Invoice must have between 1 and 50 line items",
+      });
+    }
+
+    for (const item of lineItems) {
+      const { description, quantity, unitPrice } = item || {};
+
+      if (!description || typeof description !== "string" || description.length > 200) {
+        return res.status(400).json({
+          success: false,
+          message: "Each line item needs a description of at most 200 characters",
+        });
+      }
+
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > 10000) {
+        return res.status(400).json({
+          success: false,
+          message: "Quantity must be a whole number between 1 and 10000",
+        });
+      }
+
+      const amountError = getFixedAmountError(unitPrice);
+      if (amountError) {
+        return res.status(400).json({
+          success: false,
+          message: amountError.replace("Amount", "Unit price"),
+        });
+      }
+    }
+  }
+
+  if (taxRate !== undefined && (typeof taxRate !== "number" || taxRate < 0 || taxRate > 100)) {
+    return res.status(400).json({
+      success: false,
+      message: "Tax rate must be a number between 0 and 100",
+    });
+  }
+
+  if (!isUpdate || dueDate !== undefined) {
+    const due = new Date(dueDate);
+    if (typeof dueDate !== "string" || isNaN(due.getTime()) || due <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "Due date must be a future date (ISO 8601)",
+      });
+    }
+  }
+
+  if (notes !== undefined && (typeof notes !== "string" || notes.length > 500)) {
+    return res.status(400).json({
+      success: false,
+      message: "Notes must be a string of at most 500 characters",
+    });
+  }
+
+  next();
+};
+
+// ============================================
+// PUBLIC API VALIDATION (for external systems)
+// ============================================
+
+const { validateCardFormat, validateCVVFormat } = require("../utils/cardGenerator");
+
+/**
+ * Validate the amount of a new payment (charge, authorization, checkout session)
+ * @returns {Object|null} - Error payload or null if valid
+ */
+const getChargeAmountError = (amount) => {
+  if (amount === undefined || amount === null) {
+    return {
+      code: "MISSING_AMOUNT",
+      message: "Amount is required",
+    };
+  }
+
+  if (typeof amount !== "number" || isNaN(amount)) {
+    return {
+      code: "INVALID_AMOUNT",
+      message: "Amount must be a valid number",
+    };
+  }
+
+  if (amount <= 0) {
+    return {
+      code: "INVALID_AMOUNT",
+      message: "Amount must be greater than zero",
+    };
+  }
+
+  if (!isValidAmount(amount)) {
+    return {
+      code: "INVALID_AMOUNT",
+      message: "Amount cannot have more than 2 decimal places",
+    };
+  }
+
+  if (amount > 1000000) {
+    return {
+      code: "AMOUNT_TOO_LARGE",
+      message: "Amount exceeds maximum allowed (1,000,000 PHP)",
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Validate card charge request from external API
+ */
+const validateCardCharge = (req, res, next) => {
+  const { cardNumber, cvv, amount, description } = req.body;
+
+  // Validate card number
+  if (!cardNumber) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: "MISSING_CARD_NUMBER",
+        message: "Card number is required",
+      },
+    });
+  }
+
+  const cardValidation = validateCardFormat(cardNumber);
+  if (!cardValidation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: "INVALID_CARD_NUMBER",
+        message: cardValidation.error,
+      },
+    });
+  }
+
+  // Validate CVV
+  if (!cvv) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: "MISSING_CVV",
+        message: "CVV is required",
+      },
+    });
+  }
+
+  const cvvValidation = validateCVVFormat(cvv);
+  if (!cvvValidation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: "INVALID_CVV",
+        message: cvvValidation.error,
+      },
+    });
+  }
+
+  // Validate amount
+  const amountError = getChargeAmountError(amount);
+  if (amountError) {
+    return res.status(400).json({ success: false, error: amountError });
+  }
+
+  // Validate description (optional but has limits)
+  if (description && description.length > 200) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: "DESCRIPTION_TOO_LONG",
+        message: "Description must not exceed 200 characters",
+      },
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate the splits of a split charge (runs after validateCardCharge)
+ * Every business appears once and the split amounts add up to the charge amount.
+ */
+const validateSplitCharge = (req, res, next) => {
+  const { amount, splits } = req.body;
+
+  if (!Array.isArray(splits) || splits.length < 2 || splits.length > MAX_SPLITS) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: "INVALID_SPLITS",
+        message: `Splits must be a list of 2 to ${MAX_SPLITS} businesses`,
+      },
+    });
+  }
+
+  const businessIds = new Set();
+  let totalCents = 0;
+
+  for (const split of splits) {
+    if (!split || typeof split.businessId !== "string" || !split.businessId) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "INVALID_SPLITS",
+          message: "Each split must have a businessId",
+        },
+      });
+    }
+
+    // The same ObjectId can be written in upper or lower case
+    const businessKey = mongoose.Types.ObjectId.isValid(split.businessId)
+      ? new mongoose.Types.ObjectId(split.businessId).toString()
+      : split.businessId;
+
+    if (businessIds.has(businessKey)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "DUPLICATE_SPLIT_BUSINESS",
+          message: "Each business can only appear once in the splits",
+        },
+      });
+    }
+    businessIds.add(businessKey);
+
+    const amountError = getChargeAmountError(split.amount);
+    if (amountError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: amountError.code,
+          message: `Split for ${split.businessId}: ${amountError.message}`,
+        },
+      });
+    }
+
+    if (split.description && (typeof split.description !== "string" || split.description.length > 200)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "DESCRIPTION_TOO_LONG",
+          message: "Split description must not exceed 200 characters",
+        },
+      });
+    }
+
+    totalCents += toCents(split.amount);
+  }
+
+  if (totalCents !== toCents(amount)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: "SPLIT_AMOUNT_MISMATCH",
+        message: "The split amounts must add up to the charge amount",
+      },
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate refund request from external API
+ */
+const validateRefund = (req, res, next) => {
+  const { transactionId, amount, reason } = req.body;
+
+  // Validate transaction ID
+  if (!transactionId) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: "MISSING_TRANSACTION_ID",
+        message: "Transaction ID is required",
+      },
+    });
+  }
+
+  if (typeof transactionId !== "string" || transactionId.length < 10) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: "INVALID_TRANSACTION_ID",
+        message: "Invalid transaction ID format",
+      },
+    });
+  }
+
+  // Validate amount (optional for partial refunds)
+  if (amount !== undefined) {
+    if (typeof amount !== "number" || isNaN(amount)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "INVALID_AMOUNT",
+          message: "Refund amount must be a valid number",
+        },
+      });
+    }
+
+    if (amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "INVALID_AMOUNT",
+          message: "Refund amount must be greater than zero",
+        },
+      });
+    }
+
+    if (!isValidAmount(amount)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "INVALID_AMOUNT",
+          message: "Refund amount cannot have more than 2 decimal places",
+        },
+      });
+    }
+  }
+
+  // Validate reason (optional but has limits)
+  if (reason && reason.length > 200) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: "REASON_TOO_LONG",
+        message: "Refund reason must not exceed 200 characters",
+      },
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate authorization ID shared by capture and void requests
+ * @returns {Object|null} - Error payload or null if valid
+ */
+const getAuthorizationIdError = (authorizationId) => {
+  if (!authorizationId) {
+    return {
+      code: "MISSING_AUTHORIZATION_ID",
+      message: "Authorization ID is required",
+    };
+  }
+
+  if (typeof authorizationId !== "string" || authorizationId.length < 10) {
+    return {
+      code: "INVALID_AUTHORIZATION_ID",
+      message: "Invalid authorization ID format",
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Validate capture request from external API
+ */
+const validateCapture = (req, res, next) => {
+  const { authorizationId, amount } = req.body;
+
+  const idError = getAuthorizationIdError(authorizationId);
+  if (idError) {
+    return res.status(400).json({ success: false, error: idError });
+  }
+
+  // Validate amount (optional for partial captures)
+  if (amount !== undefined) {
+    if (typeof amount !== "number" || isNaN(amount)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "INVALID_AMOUNT",
+          message: "Capture amount must be a valid number",
+        },
+      });
+    }
+
+    if (amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "INVALID_AMOUNT",
+          message: "Capture amount must be greater than zero",
+        },
+      });
+    }
+
+    if (!isValidAmount(amount)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "INVALID_AMOUNT",
+          message: "Capture amount cannot have more than 2 decimal places",
+        },
+      });
+    }
+  }
+
+  next();
+};
+
+/**
+ * Validate void request from external API
+ */
+const validateVoid = (req, res, next) => {
+  const idError = getAuthorizationIdError(req.body.authorizationId);
+  if (idError) {
+    return res.status(400).json({ success: false, error: idError });
+  }
+
+  next();
+};
+
+/**
+ * Validate checkout session creation from external API
+ * The return URL itself is checked against the API key's origins in the controller.
+ */
+const validateCheckoutSession = (req, res, next) => {
+  const { amount, description, externalReference, returnUrl } = req.body;
+
+  const amountError = getChargeAmountError(amount);
+  if (amountError) {
+    return res.status(400).json({ success: false, error: amountError });
+  }
+
+  if (!returnUrl || typeof returnUrl !== "string") {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: "MISSING_RETURN_URL",
+        message: "Return URL is required",
+      },
+    });
+  }
+
+  if (description && (typeof description !== "string" || description.length > 200)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: "DESCRIPTION_TOO_LONG",
+        message: "Description must not exceed 200 characters",
+      },
+    });
+  }
+
+  if (externalReference && (typeof externalReference !== "string" || externalReference.length > 100)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: "INVALID_EXTERNAL_REFERENCE",
+        message: "External reference must not exceed 100 characters",
       },
     });
   }
@@ -581,8 +1588,28 @@ module.exports = {
   validateTransaction,
   validateDeposit,
   validateWithdraw,
+  validateQRCode,
+  validateQRPayment,
+  validatePaymentLink,
+  validateSubscriptionPlan,
+  validateMandate,
+  validateFeeSchedule,
+  validateDispute,
+  validateDisputeEvidence,
+  validateDisputeResolution,
+  validateInvoice,
+  validateScheduledTransfer,
+  validateMoneyRequest,
+  validateHandle,
+  validatePayee,
+  validatePayeeOrder,
+  validateStatement,
   validateCardCharge,
+  validateSplitCharge,
   validateRefund,
+  validateCapture,
+  validateVoid,
+  validateCheckoutSession,
   validateBusinessRegistration,
   validateEmployeeRegistration,
 };
@@ -7,6 +7,13 @@
 
 const mongoose = require("mongoose");
 const { generateAPIKey, hashAPIKey } = require("../utils/cardGenerator");
+const { MAX_IP_WHITELIST_ENTRIES, parseIPEntry, isIPInList } = require("../utils/ipAllowlist");
+
+// Allowed range for each rate limit setting (admins can change limits within these)
+const RATE_LIMIT_BOUNDS = {
+  requestsPerMinute: { min: 1, max: 1000 },
+  requestsPerDay: { min: 100, max: 100000 },
+};
 
 const APIKeySchema = new mongoose.Schema(
   {
@@ -55,14 +62,14 @@ const APIKeySchema = new mongoose.Schema(
       requestsPerMinute: {
         type: Number,
         default: 60,
-        min: 1,
-        max: 1000,
+        min: RATE_LIMIT_BOUNDS.requestsPerMinute.min,
+        max: RATE_LIMIT_BOUNDS.requestsPerMinute.max,
       },
       requestsPerDay: {
         type: Number,
         default: 10000,
-        min: 100,
-        max: 100000,
+        min: RATE_LIMIT_BOUNDS.requestsPerDay.min,
+        max: RATE_LIMIT_BOUNDS.requestsPerDay.max,
       },
     },
 
@@ -115,9 +122,36 @@ const APIKeySchema = new mongoose.Schema(
     },
 
     // IP whitelist (optional security)
+    // Addresses or CIDR ranges, IPv4 or IPv6 (see utils/ipAllowlist.js)
     ipWhitelist: {
       type: [String],
       default: [],
+      validate: [
+        {
+          validator: (entries) => !entries || entries.every((entry) => parseIPEntry(entry).valid),
+          message: "Invalid IP whitelist entry. Use an IP address or CIDR range (e.g. 203.0.113.0/24 or 2001:db8::/32).",
+        },
+        {
+          validator: (entries) => !entries || entries.length <= MAX_IP_WHITELIST_ENTRIES,
+          message: `An API key can have at most ${MAX_IP_WHITELIST_ENTRIES} IP whitelist entries.`,
+        },
+      ],
+    },
+
+    // HMAC request signing (optional, see utils/requestSigning.js)
+    requestSigning: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Shared secret used to sign requests (shown to the business once)
+      secret: {
+        type: String,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+      },
     },
 
     // CORS allowed origins (required for security)
@@ -158,6 +192,20 @@ const APIKeySchema = new mongoose.Schema(
     revokedReason: {
       type: String,
     },
+
+    // Key rotation: the key that replaced this one (old key keeps working until expiresAt)
+    rotatedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "APIKey",
+    },
+    // Key rotation: the key this one replaced
+    rotatedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "APIKey",
+    },
+    rotatedAt: {
+      type: Date,
+    },
   },
   { timestamps: true }
 );
@@ -165,6 +213,7 @@ const APIKeySchema = new mongoose.Schema(
 // Index for fast key lookup
 APIKeySchema.index({ keyHash: 1 });
 APIKeySchema.index({ business: 1, isActive: 1 });
+APIKeySchema.index({ isActive: 1, expiresAt: 1 });
 
 // Static method to create a new API key
 APIKeySchema.statics.createKey = async function (
@@ -203,10 +252,9 @@ APIKeySchema.statics.findByKey = async function (plainKey) {
   }
 
   const keyHash = hashAPIKey(plainKey);
-  const apiKey = await this.findOne({ keyHash, isActive: true }).populate(
-    "business",
-    "fullName email businessInfo accountType"
-  );
+  const apiKey = await this.findOne({ keyHash, isActive: true })
+    .select("+requestSigning.secret")
+    .populate("business", "fullName email businessInfo accountType");
 
   if (!apiKey) {
     return null;
@@ -280,14 +328,14 @@ APIKeySchema.methods.recordTransaction = function (amount) {
   this.transactionLimits.dailyTransactionTotal += amount;
 };
 
-// Method to check IP whitelist
+// Method to check IP whitelist (exact addresses and CIDR ranges)
 APIKeySchema.methods.isIPAllowed = function (ip) {
   // If no whitelist, allow all
   if (!this.ipWhitelist || this.ipWhitelist.length === 0) {
     return true;
   }
 
-  return this.ipWhitelist.includes(ip);
+  return isIPInList(ip, this.ipWhitelist);
 };
 
 /**
@@ -340,9 +388,14 @@ APIKeySchema.methods.revoke = async function (reason) {
 APIKeySchema.methods.toJSON = function () {
   const obj = this.toObject();
   delete obj.keyHash;
+  if (obj.requestSigning) {
+    delete obj.requestSigning.secret;
+  }
   return obj;
 };
 
 const APIKey = mongoose.model("APIKey", APIKeySchema);
 
+APIKey.RATE_LIMIT_BOUNDS = RATE_LIMIT_BOUNDS;
+
 module.exports = APIKey;
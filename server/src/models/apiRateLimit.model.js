@@ -0,0 +1,131 @@
+/**
+ * API RATE LIMIT MODEL
+ * ====================
+ * Per-minute request counters for API keys
+ * Stored in MongoDB so every server instance shares the same counts.
+ *
+ * ALGORITHM (sliding window counter):
+ * Requests are counted in fixed one-minute buckets. The count for the last
+ * 60 seconds is estimated as the current bucket plus the previous bucket
+ * weighted by how much of it still overlaps the window:
+ *   used = current + floor(previous * (1 - elapsed / 60s))
+ *
+ * Buckets expire automatically (TTL index) two minutes after they start.
+ */
+
+const mongoose = require("mongoose");
+
+// Length of one rate limit window
+const WINDOW_MS = 60 * 1000;
+
+const APIRateLimitSchema = new mongoose.Schema({
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "APIKey",
+    required: true,
+  },
+
+  // Start of the one-minute bucket
+  windowStart: {
+    type: Date,
+    required: true,
+  },
+
+  // Requests counted in this bucket
+  count: {
+    type: Number,
+    default: 0,
+  },
+
+  // Removed by the TTL index once no window can overlap the bucket
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+APIRateLimitSchema.index({ apiKey: 1, windowStart: 1 }, { unique: true });
+APIRateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Increment the current bucket, retrying once if two instances race on the upsert
+ * @param {ObjectId} apiKeyId - API key
+ * @param {Date} windowStart - Start of the current bucket
+ * @param {number} attempt - Retry counter (internal)
+ * @returns {Promise<Object>} Updated bucket
+ */
+APIRateLimitSchema.statics.incrementWindow = async function (apiKeyId, windowStart, attempt = 0) {
+  try {
+    return await this.findOneAndUpdate(
+      { apiKey: apiKeyId, windowStart },
+      {
+        $inc: { count: 1 },
+        $setOnInsert: { expiresAt: new Date(windowStart.getTime() + 2 * WINDOW_MS) },
+      },
+      { upsert: true, new: true }
+    ).lean();
+  } catch (error) {
+    if (error.code === 11000 && attempt === 0) {
+      return this.incrementWindow(apiKeyId, windowStart, attempt + 1);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Count a request against an API key's per-minute limit
+ * Rejected requests are not counted.
+ * @param {ObjectId} apiKeyId - API key
+ * @param {number} limit - Allowed requests per minute
+ * @param {Date} now - Current time (for testing)
+ * @returns {Promise<{allowed: boolean, limit: number, remaining: number, resetSeconds: number, retryAfterSeconds: number}>}
+ */
+APIRateLimitSchema.statics.consume = async function (apiKeyId, limit, now = new Date()) {
+  const nowMs = now.getTime();
+  const windowStartMs = Math.floor(nowMs / WINDOW_MS) * WINDOW_MS;
+  const windowStart = new Date(windowStartMs);
+  const elapsedMs = nowMs - windowStartMs;
+
+  const [current, previous] = await Promise.all([
+    this.incrementWindow(apiKeyId, windowStart),
+    this.findOne({ apiKey: apiKeyId, windowStart: new Date(windowStartMs - WINDOW_MS) }).lean(),
+  ]);
+
+  const previousCount = previous?.count || 0;
+  const used = current.count + Math.floor(previousCount * (1 - elapsedMs / WINDOW_MS));
+  const resetSeconds = Math.ceil((WINDOW_MS - elapsedMs) / 1000);
+
+  if (used <= limit) {
+    return {
+      allowed: true,
+      limit,
+      remaining: limit - used,
+      resetSeconds,
+      retryAfterSeconds: 0,
+    };
+  }
+
+  // Over the limit - take the request back out of the count
+  await this.updateOne({ _id: current._id }, { $inc: { count: -1 } });
+  const counted = current.count - 1;
+
+  // Wait until the previous bucket has decayed enough for one more request
+  let retryAfterMs = WINDOW_MS - elapsedMs;
+  if (counted < limit && previousCount > 0) {
+    retryAfterMs = WINDOW_MS * (1 - (limit - counted) / previousCount) - elapsedMs;
+  }
+
+  return {
+    allowed: false,
+    limit,
+    remaining: 0,
+    resetSeconds,
+    retryAfterSeconds: Math.max(1, Math.ceil(retryAfterMs / 1000)),
+  };
+};
+
+const APIRateLimit = mongoose.model("APIRateLimit", APIRateLimitSchema);
+
+APIRateLimit.WINDOW_MS = WINDOW_MS;
+
+module.exports = APIRateLimit;
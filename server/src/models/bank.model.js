@@ -4,9 +4,11 @@
  * Singleton model representing the central bank reserve
  * All deposits come FROM bank balance, all withdrawals go TO bank balance
  * This ensures no void money - all funds are tracked globally
+ * Fees (see utils/fees.js) are kept apart from the reserve in feeRevenue
  */
 
 const mongoose = require("mongoose");
+const { toCents, fromCents, toDecimal128 } = require("../utils/money");
 
 // Default initial bank balance (in PHP)
 const INITIAL_BANK_BALANCE = process.env.INITIAL_BANK_BALANCE || "10000000.00"; // 10 million PHP
@@ -30,6 +32,11 @@ const BankSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Decimal128,
     default: mongoose.Types.Decimal128.fromString("0.00"),
   },
+  // Fees collected minus fees reversed on refunds (bank_revenue ledger account)
+  feeRevenue: {
+    type: mongoose.Schema.Types.Decimal128,
+    default: mongoose.Types.Decimal128.fromString("0.00"),
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -54,6 +61,7 @@ BankSchema.statics.getOrCreateBank = async function (session = null) {
       bankBalance: mongoose.Types.Decimal128.fromString(INITIAL_BANK_BALANCE),
       totalDeposits: mongoose.Types.Decimal128.fromString("0.00"),
       totalWithdrawals: mongoose.Types.Decimal128.fromString("0.00"),
+      feeRevenue: mongoose.Types.Decimal128.fromString("0.00"),
       lastUpdated: new Date(),
       createdAt: new Date(),
     };
@@ -76,7 +84,7 @@ BankSchema.statics.getOrCreateBank = async function (session = null) {
  */
 BankSchema.statics.getBalance = async function () {
   const bank = await this.getOrCreateBank();
-  return parseFloat(bank.bankBalance.toString());
+  return fromCents(toCents(bank.bankBalance));
 };
 
 /**
@@ -86,34 +94,50 @@ BankSchema.statics.getBalance = async function () {
  * @param {Object} session - MongoDB session for transactions
  */
 BankSchema.methods.updateBalance = async function (amount, type, session) {
-  const currentBalance = parseFloat(this.bankBalance.toString());
-  const newBalance = currentBalance + amount;
+  // Exact centavo arithmetic (see utils/money.js)
+  const amountCents = toCents(amount);
+  const newBalanceCents = toCents(this.bankBalance) + amountCents;
 
-  if (newBalance < 0) {
+  if (newBalanceCents < 0) {
     throw new Error("Insufficient bank funds");
   }
 
-  this.bankBalance = mongoose.Types.Decimal128.fromString(newBalance.toFixed(2));
+  this.bankBalance = toDecimal128(newBalanceCents);
   this.lastUpdated = new Date();
 
   // Track totals
   if (type === "deposit") {
     // Money going OUT of bank to user wallet
-    const totalDep = parseFloat(this.totalDeposits.toString());
-    this.totalDeposits = mongoose.Types.Decimal128.fromString(
-      (totalDep + Math.abs(amount)).toFixed(2)
-    );
+    this.totalDeposits = toDecimal128(toCents(this.totalDeposits) + Math.abs(amountCents));
   } else if (type === "withdrawal") {
     // Money coming IN to bank from user wallet
-    const totalWith = parseFloat(this.totalWithdrawals.toString());
-    this.totalWithdrawals = mongoose.Types.Decimal128.fromString(
-      (totalWith + Math.abs(amount)).toFixed(2)
-    );
+    this.totalWithdrawals = toDecimal128(toCents(this.totalWithdrawals) + Math.abs(amountCents));
   }
 
   await this.save({ session });
 };
 
+/**
+ * Instance method to add collected fees (positive) or reversed fees (negative)
+ * @param {number} amount - Amount to add to the fee revenue
+ * @param {Object} session - MongoDB session for transactions
+ */
+BankSchema.methods.updateRevenue = async function (amount, session) {
+  const newRevenueCents = toCents(this.feeRevenue ?? 0) + toCents(amount);
+
+  if (newRevenueCents < 0) {
+    throw new Error("Insufficient fee revenue");
+  }
+
+  this.feeRevenue = toDecimal128(newRevenueCents);
+  this.lastUpdated = new Date();
+
+  await this.save({ session });
+};
+
 const Bank = mongoose.model("Bank", BankSchema);
 
+// Money supply the reserve starts with (checked by the ledger reconciliation)
+Bank.INITIAL_BANK_BALANCE = INITIAL_BANK_BALANCE;
+
 module.exports = Bank;
\ No newline at end of file
@@ -0,0 +1,158 @@
+/**
+ * CHECKOUT SESSION MODEL
+ * ======================
+ * Hosted checkout for merchant websites
+ *
+ * FLOW:
+ * 1. The merchant creates a session with its API key (amount, description, returnUrl)
+ * 2. The customer is sent to the hosted checkout page (GET /api/v1/checkout/:sessionId)
+ *    and pays there with their card or their logged-in wallet, so card data
+ *    never touches the merchant's pages
+ * 3. The customer is redirected to returnUrl; the merchant polls the session
+ *    (or listens for the payment.completed webhook) to confirm the payment
+ *
+ * Open sessions expire after CHECKOUT_SESSION_EXPIRY_MINUTES (default 30 minutes).
+ */
+
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const { toCents, toDecimal128 } = require("../utils/money");
+
+// How long a customer has to complete a checkout session (in minutes)
+const CHECKOUT_SESSION_EXPIRY_MINUTES = parseInt(process.env.CHECKOUT_SESSION_EXPIRY_MINUTES) || 30;
+
+const CheckoutSessionSchema = new mongoose.Schema(
+  {
+    // Public session ID used in the checkout URL (unguessable)
+    sessionId: {
+      type: String,
+      required: true,
+      unique: true,
+      default: () => `cs_${crypto.randomBytes(24).toString("hex")}`,
+    },
+
+    // Business being paid
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // API key that created the session (its limits apply to the payment)
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "APIKey",
+      required: true,
+    },
+
+    // false for sessions created with a test key (sandbox payment)
+    livemode: {
+      type: Boolean,
+      default: true,
+    },
+
+    amount: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: true,
+      get: (value) => (value === null || value === undefined ? value : parseFloat(value.toString())),
+      set: (value) => {
+        try {
+          return toDecimal128(toCents(value));
+        } catch (error) {
+          return value; // Left for Mongoose to reject as a cast error
+        }
+      },
+    },
+
+    currency: {
+      type: String,
+      default: "PHP",
+    },
+
+    description: {
+      type: String,
+      maxlength: 200,
+    },
+
+    externalReference: {
+      type: String,
+      maxlength: 100,
+    },
+
+    // Where the customer is sent after paying or canceling
+    returnUrl: {
+      type: String,
+      required: true,
+    },
+
+    // open: waiting for payment
+    // completed: paid (see transaction)
+    // expired / canceled: can no longer be paid
+    status: {
+      type: String,
+      enum: ["open", "completed", "expired", "canceled"],
+      default: "open",
+    },
+
+    // How the customer paid
+    paymentMethod: {
+      type: String,
+      enum: ["card", "wallet"],
+    },
+
+    // Payment transaction created on completion
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+      default: () => new Date(Date.now() + CHECKOUT_SESSION_EXPIRY_MINUTES * 60 * 1000),
+    },
+
+    completedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { getters: true, virtuals: false },
+    toObject: { getters: true, virtuals: false },
+  }
+);
+
+CheckoutSessionSchema.index({ business: 1, createdAt: -1 });
+CheckoutSessionSchema.index({ status: 1, expiresAt: 1 });
+
+/**
+ * Mark an open session as expired if its expiry date has passed
+ * @param {Object} session - MongoDB session (optional)
+ * @returns {Promise<boolean>} true if the session is (now) expired
+ */
+CheckoutSessionSchema.methods.expireIfDue = async function (session = null) {
+  if (this.status === "open" && this.expiresAt <= new Date()) {
+    this.status = "expired";
+    await this.save({ session });
+  }
+
+  return this.status === "expired";
+};
+
+/**
+ * Build the URL the customer returns to, with the session ID and status
+ * @returns {string}
+ */
+CheckoutSessionSchema.methods.getReturnUrl = function () {
+  const url = new URL(this.returnUrl);
+  url.searchParams.set("session_id", this.sessionId);
+  url.searchParams.set("status", this.status);
+  return url.toString();
+};
+
+const CheckoutSession = mongoose.model("CheckoutSession", CheckoutSessionSchema);
+
+CheckoutSession.EXPIRY_MINUTES = CHECKOUT_SESSION_EXPIRY_MINUTES;
+
+module.exports = CheckoutSession;
@@ -0,0 +1,205 @@
+/**
+ * DISPUTE MODEL
+ * =============
+ * A customer contesting a live payment they made to a business (chargeback)
+ *
+ * LIFECYCLE (see utils/disputes.js):
+ *   open -> under_review (business submitted evidence) -> reversed | closed
+ *   open -> reversed | closed (resolved without evidence)
+ *
+ * - Opening a dispute holds the disputed amount on the business wallet
+ *   (wallet.heldBalance) and marks it on the payment (disputedAmount), so it
+ *   can neither be spent, paid out nor refunded twice
+ * - reversed: staff gave the amount back to the customer (a refund
+ *   transaction linked to the dispute)
+ * - closed: staff decided for the business; the hold is released
+ * - A payment can only be disputed once
+ */
+
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const { toCents, toDecimal128 } = require("../utils/money");
+
+const DISPUTE_STATUSES = ["open", "under_review", "reversed", "closed"];
+
+// Statuses still waiting for a decision
+const OPEN_STATUSES = ["open", "under_review"];
+
+const DISPUTE_REASONS = [
+  "fraudulent",
+  "not_received",
+  "not_as_described",
+  "duplicate",
+  "incorrect_amount",
+  "other",
+];
+
+// Who changed the status
+const DISPUTE_ACTORS = ["customer", "business", "staff"];
+
+/**
+ * Generate a dispute reference, e.g. DSP-4F2A9C1B
+ * @returns {string}
+ */
+const generateReference = () => `DSP-${crypto.randomBytes(4).toString("hex").toUpperCase()}`;
+
+const DisputeSchema = new mongoose.Schema(
+  {
+    reference: {
+      type: String,
+      required: true,
+      unique: true,
+      default: generateReference,
+    },
+
+    // Disputed payment
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+      required: true,
+    },
+
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Held on the business wallet while the dispute is open
+    amount: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: true,
+      get: (value) => (value === null || value === undefined ? value : parseFloat(value.toString())),
+      set: (value) => {
+        try {
+          return toDecimal128(toCents(value));
+        } catch (error) {
+          return value; // Left for Mongoose to reject as a cast error
+        }
+      },
+    },
+
+    reason: {
+      type: String,
+      enum: DISPUTE_REASONS,
+      required: true,
+    },
+
+    // Customer's account of what went wrong
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+
+    status: {
+      type: String,
+      enum: DISPUTE_STATUSES,
+      default: "open",
+    },
+
+    // Last day the business can submit evidence
+    evidenceDueBy: {
+      type: Date,
+      required: true,
+    },
+
+    // Submitted by the business, oldest first
+    evidence: [
+      {
+        _id: false,
+        text: {
+          type: String,
+          maxlength: 2000,
+        },
+        // Links to receipts, delivery confirmations, etc.
+        attachments: [
+          {
+            type: String,
+            maxlength: 500,
+          },
+        ],
+        submittedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
+    resolution: {
+      resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+      resolvedAt: {
+        type: Date,
+      },
+      note: {
+        type: String,
+        maxlength: 500,
+      },
+      // Refund transaction of a reversed dispute
+      transaction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Transaction",
+      },
+    },
+
+    // Every status change, oldest first
+    statusHistory: [
+      {
+        _id: false,
+        status: {
+          type: String,
+          enum: DISPUTE_STATUSES,
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+        actor: {
+          type: String,
+          enum: DISPUTE_ACTORS,
+        },
+        note: {
+          type: String,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+    toJSON: { getters: true, virtuals: false },
+    toObject: { getters: true, virtuals: false },
+  }
+);
+
+// One dispute per payment
+DisputeSchema.index({ transaction: 1 }, { unique: true });
+DisputeSchema.index({ customer: 1, createdAt: -1 });
+DisputeSchema.index({ business: 1, createdAt: -1 });
+DisputeSchema.index({ status: 1, createdAt: 1 });
+
+/**
+ * Change the status and record it in the history (not saved)
+ * @param {string} status - New status
+ * @param {string} actor - "customer", "business" or "staff"
+ * @param {string} note - Reason (optional)
+ */
+DisputeSchema.methods.setStatus = function (status, actor, note) {
+  this.status = status;
+  this.statusHistory.push({ status, at: new Date(), actor, note });
+};
+
+const Dispute = mongoose.model("Dispute", DisputeSchema);
+
+Dispute.STATUSES = DISPUTE_STATUSES;
+Dispute.OPEN_STATUSES = OPEN_STATUSES;
+Dispute.REASONS = DISPUTE_REASONS;
+
+module.exports = Dispute;
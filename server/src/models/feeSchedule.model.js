@@ -0,0 +1,109 @@
+/**
+ * FEE SCHEDULE MODEL
+ * ==================
+ * Admin-defined fees charged on live payments, transfers and withdrawals
+ * (see utils/fees.js)
+ *
+ * FEE = percentage of the amount + fixedAmount, capped at maxFee (if set)
+ * and never more than the amount itself.
+ *
+ * MATCHING:
+ * - A schedule applies to one transactionType
+ * - transactionCategory (B2B/B2C/C2C) and businessType narrow it down;
+ *   left empty they match any value
+ * - The most specific active schedule wins (businessType counts more than
+ *   transactionCategory), the newest one on a tie
+ * - No matching schedule means no fee
+ *
+ * WHO PAYS:
+ * - payment: the business (it receives the amount minus the fee)
+ * - transfer, withdraw: the sender (charged the amount plus the fee)
+ *
+ * Fees are stored on each Transaction when it is made, so editing a schedule
+ * never changes past transactions.
+ */
+
+const mongoose = require("mongoose");
+const { toDecimal128, moneyField } = require("../utils/money");
+
+// Transactions that can carry a fee
+const FEE_TRANSACTION_TYPES = ["payment", "transfer", "withdraw"];
+
+const TRANSACTION_CATEGORIES = ["B2B", "B2C", "C2C"];
+
+// Same values as User businessInfo.businessType
+const BUSINESS_TYPES = ["food", "retail", "services", "transport", "utilities", "other"];
+
+const FeeScheduleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+
+    transactionType: {
+      type: String,
+      enum: FEE_TRANSACTION_TYPES,
+      required: true,
+      immutable: true,
+    },
+
+    // Empty matches every category
+    transactionCategory: {
+      type: String,
+      enum: TRANSACTION_CATEGORIES,
+      default: null,
+      immutable: true,
+    },
+
+    // Business type of the business involved: the merchant for payments,
+    // the sender for transfers and withdrawals. Empty matches every account.
+    businessType: {
+      type: String,
+      enum: BUSINESS_TYPES,
+      default: null,
+      immutable: true,
+    },
+
+    // Percentage of the amount (0 - 100)
+    percentage: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0,
+    },
+
+    fixedAmount: moneyField({ default: () => toDecimal128(0) }),
+
+    // Cap on the fee of one transaction (no cap if not set)
+    maxFee: moneyField({ default: null }),
+
+    // Inactive schedules are kept for the transactions that reference them
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { getters: true, virtuals: false },
+    toObject: { getters: true, virtuals: false },
+  }
+);
+
+FeeScheduleSchema.index({ transactionType: 1, isActive: 1, createdAt: -1 });
+
+const FeeSchedule = mongoose.model("FeeSchedule", FeeScheduleSchema);
+
+FeeSchedule.TRANSACTION_TYPES = FEE_TRANSACTION_TYPES;
+FeeSchedule.TRANSACTION_CATEGORIES = TRANSACTION_CATEGORIES;
+FeeSchedule.BUSINESS_TYPES = BUSINESS_TYPES;
+
+module.exports = FeeSchedule;
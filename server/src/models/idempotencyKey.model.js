@@ -0,0 +1,187 @@
+/**
+ * IDEMPOTENCY KEY MODEL
+ * =====================
+ * Stores the first response of a public API payment request sent with an
+ * Idempotency-Key header, so that retries (e.g. POS terminals retrying on
+ * network timeouts) replay the original result instead of moving money twice.
+ *
+ * - Keys are scoped per API key
+ * - A key reused with a different request body is rejected
+ * - Records expire after IDEMPOTENCY_KEY_TTL_HOURS (default 24 hours)
+ */
+
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+// How long a stored response can be replayed (in hours)
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+// Maximum accepted length of the Idempotency-Key header
+const MAX_KEY_LENGTH = 255;
+
+const IdempotencyKeySchema = new mongoose.Schema(
+  {
+    // API key the idempotency key belongs to (keys are scoped per API key)
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "APIKey",
+      required: true,
+    },
+
+    // Client-supplied Idempotency-Key header value
+    key: {
+      type: String,
+      required: true,
+      maxlength: MAX_KEY_LENGTH,
+    },
+
+    // Endpoint the key was first used on (e.g. "charge", "refund")
+    endpoint: {
+      type: String,
+      required: true,
+    },
+
+    // SHA256 fingerprint of the request body (plain body is never stored)
+    requestHash: {
+      type: String,
+      required: true,
+    },
+
+    // First response sent for this key
+    response: {
+      statusCode: {
+        type: Number,
+      },
+      body: {
+        type: mongoose.Schema.Types.Mixed,
+      },
+    },
+
+    // MongoDB TTL index removes the record after this date
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// One record per key per API key
+IdempotencyKeySchema.index({ apiKey: 1, key: 1 }, { unique: true });
+// Automatic cleanup of expired keys
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Serialize a value with object keys sorted, so that logically equal
+ * request bodies always produce the same fingerprint
+ * @param {any} value - Value to serialize
+ * @returns {string}
+ */
+const stableStringify = (value) => {
+  if (value === null || typeof value !== "object") {
+    return JSON.stringify(value);
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => stableStringify(item)).join(",")}]`;
+  }
+
+  const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+  return `{${keys.map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(",")}}`;
+};
+
+/**
+ * Validate an Idempotency-Key header value
+ * @param {string} key - Header value
+ * @returns {boolean}
+ */
+IdempotencyKeySchema.statics.isValidKey = function (key) {
+  return typeof key === "string" && key.length > 0 && key.length <= MAX_KEY_LENGTH && /^[\x21-\x7E]+$/.test(key);
+};
+
+/**
+ * Compute the fingerprint of a request body
+ * @param {Object} body - Request body
+ * @returns {string} SHA256 hex digest
+ */
+IdempotencyKeySchema.statics.hashRequest = function (body) {
+  return crypto.createHash("sha256").update(stableStringify(body || {})).digest("hex");
+};
+
+/**
+ * Start an idempotent request inside the caller's MongoDB session
+ * The record is created in the same transaction as the balance changes, so an
+ * aborted payment also discards the key and the client can safely retry.
+ *
+ * @param {Object} params
+ * @param {ObjectId} params.apiKey - API key document ID
+ * @param {string} params.key - Idempotency-Key header value
+ * @param {string} params.endpoint - Endpoint name (e.g. "charge")
+ * @param {Object} params.body - Request body
+ * @param {Object} params.session - MongoDB session of the payment transaction
+ * @returns {Promise<{record?: Object, replay?: Object, conflict?: string}>}
+ *   - record: new key record, call complete() before committing
+ *   - replay: stored { statusCode, body } to send back unchanged
+ *   - conflict: "KEY_REUSED" (different body/endpoint) or "IN_PROGRESS" (concurrent request)
+ */
+IdempotencyKeySchema.statics.begin = async function ({ apiKey, key, endpoint, body, session }) {
+  const requestHash = this.hashRequest(body);
+  const now = new Date();
+
+  const existing = await this.findOne({ apiKey, key }).session(session);
+
+  if (existing && existing.expiresAt > now) {
+    if (existing.endpoint !== endpoint || existing.requestHash !== requestHash) {
+      return { conflict: "KEY_REUSED" };
+    }
+
+    if (existing.response && existing.response.statusCode) {
+      return { replay: existing.response };
+    }
+
+    return { conflict: "IN_PROGRESS" };
+  }
+
+  // Expired record not yet removed by the TTL monitor - free the key
+  if (existing) {
+    await this.deleteOne({ _id: existing._id }).session(session);
+  }
+
+  try {
+    const [record] = await this.create(
+      [
+        {
+          apiKey,
+          key,
+          endpoint,
+          requestHash,
+          expiresAt: new Date(now.getTime() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000),
+        },
+      ],
+      { session }
+    );
+
+    return { record };
+  } catch (error) {
+    // Duplicate key or write conflict: the same key is being processed concurrently
+    if (error.code === 11000 || error.code === 112) {
+      return { conflict: "IN_PROGRESS" };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Store the response for this key (must be called before committing)
+ * @param {number} statusCode - HTTP status code sent to the client
+ * @param {Object} body - JSON body sent to the client
+ * @param {Object} session - MongoDB session of the payment transaction
+ */
+IdempotencyKeySchema.methods.complete = async function (statusCode, body, session) {
+  this.response = { statusCode, body };
+  await this.save({ session });
+};
+
+const IdempotencyKey = mongoose.model("IdempotencyKey", IdempotencyKeySchema);
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,170 @@
+/**
+ * INVOICE MODEL
+ * =============
+ * A bill a business sends to another user of the bank (B2B or B2C)
+ *
+ * LIFECYCLE (see controllers/invoice.controller.js):
+ *   draft -> sent -> paid
+ *   sent -> overdue (past the due date, see utils/invoices.js) -> paid
+ *   draft | sent | overdue -> void
+ *
+ * - Only drafts can be edited; the recipient sees the invoice once it is sent
+ * - The recipient pays it from their wallet in a transfer referencing the invoice
+ * - Totals are computed from the line items and the tax rate (see utils/invoices.js)
+ */
+
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const { moneyField } = require("../utils/money");
+
+const INVOICE_STATUSES = ["draft", "sent", "paid", "overdue", "void"];
+
+// Statuses the recipient can still pay
+const PAYABLE_STATUSES = ["sent", "overdue"];
+
+/**
+ * Generate an invoice number, e.g. INV-4F2A9C1B
+ * @returns {string}
+ */
+const generateNumber = () => `INV-${crypto.randomBytes(4).toString("hex").toUpperCase()}`;
+
+const InvoiceSchema = new mongoose.Schema(
+  {
+    number: {
+      type: String,
+      required: true,
+      unique: true,
+      default: generateNumber,
+    },
+
+    // Business issuing the invoice
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Copied when the invoice is created, shown to the recipient
+    businessName: {
+      type: String,
+    },
+
+    // User billed, found by email when the invoice is created
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    recipientEmail: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+
+    lineItems: [
+      {
+        _id: false,
+        description: {
+          type: String,
+          required: true,
+          trim: true,
+          maxlength: 200,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+          max: 10000,
+        },
+        unitPrice: moneyField({ required: true }),
+        // quantity x unitPrice
+        amount: moneyField({ required: true }),
+      },
+    ],
+
+    // Sum of the line items
+    subtotal: moneyField({ required: true }),
+
+    // Percentage applied to the subtotal, e.g. 12 for 12% VAT
+    taxRate: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0,
+    },
+
+    taxAmount: moneyField({ default: 0 }),
+
+    // Amount the recipient pays (subtotal + taxAmount)
+    total: moneyField({ required: true }),
+
+    currency: {
+      type: String,
+      default: "PHP",
+    },
+
+    dueDate: {
+      type: Date,
+      required: true,
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+
+    status: {
+      type: String,
+      enum: INVOICE_STATUSES,
+      default: "draft",
+    },
+
+    sentAt: {
+      type: Date,
+    },
+
+    paidAt: {
+      type: Date,
+    },
+
+    voidedAt: {
+      type: Date,
+    },
+
+    // Transfer that paid the invoice
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+    },
+
+    // Overdue reminders sent to the recipient
+    lastReminderAt: {
+      type: Date,
+      default: null,
+    },
+
+    reminderCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { getters: true, virtuals: false },
+    toObject: { getters: true, virtuals: false },
+  }
+);
+
+InvoiceSchema.index({ business: 1, createdAt: -1 });
+InvoiceSchema.index({ recipient: 1, createdAt: -1 });
+InvoiceSchema.index({ status: 1, dueDate: 1 });
+
+const Invoice = mongoose.model("Invoice", InvoiceSchema);
+
+Invoice.STATUSES = INVOICE_STATUSES;
+Invoice.PAYABLE_STATUSES = PAYABLE_STATUSES;
+
+module.exports = Invoice;
@@ -0,0 +1,115 @@
+/**
+ * LEDGER ENTRY MODEL
+ * ==================
+ * Double-entry postings behind every balance change
+ * Each money movement writes one journal (shared journalId) whose debit and
+ * credit postings always sum to the same amount.
+ *
+ * ACCOUNTS:
+ * - wallet: a user's wallet (one account per user)
+ * - bank_reserve: the central bank reserve (Bank.bankBalance)
+ * - bank_revenue: fees collected by the bank (Bank.feeRevenue)
+ * - equity: the money supply the reserve was opened with
+ *
+ * SIGN CONVENTION:
+ * - A debit increases a wallet/bank_reserve/bank_revenue balance, a credit decreases it
+ * - Equity is credited when the ledger is opened, so at all times:
+ *   sum(wallets) + bank_reserve + bank_revenue = equity = initial supply
+ *
+ * Entries are append-only - never update or delete them.
+ */
+
+const mongoose = require("mongoose");
+const { toCents, fromCents } = require("../utils/money");
+
+// Account types that can appear in a posting
+const LEDGER_ACCOUNTS = ["wallet", "bank_reserve", "bank_revenue", "equity"];
+
+const LedgerEntrySchema = new mongoose.Schema(
+  {
+    // Groups the postings of one money movement
+    journalId: {
+      type: String,
+      required: true,
+    },
+
+    // Transaction that caused the movement (not set for the opening journal)
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+    },
+
+    // Account the posting applies to
+    account: {
+      type: String,
+      enum: LEDGER_ACCOUNTS,
+      required: true,
+    },
+
+    // Wallet owner (wallet postings only)
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: function () { return this.account === "wallet"; },
+    },
+
+    direction: {
+      type: String,
+      enum: ["debit", "credit"],
+      required: true,
+    },
+
+    // Always positive - the direction gives the sign
+    amount: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: true,
+    },
+
+    description: {
+      type: String,
+      maxlength: 200,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+LedgerEntrySchema.index({ journalId: 1 });
+LedgerEntrySchema.index({ transaction: 1 });
+LedgerEntrySchema.index({ account: 1, user: 1, createdAt: -1 });
+
+/**
+ * Compute the balance of every account from its postings
+ * @param {Object} match - Optional filter (e.g. { account: "wallet" })
+ * @returns {Promise<Array<{account: string, user: ObjectId|null, debits: number, credits: number, balance: number}>>}
+ *   balance = debits - credits (negative for equity)
+ */
+LedgerEntrySchema.statics.getBalances = async function (match = {}) {
+  const rows = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { account: "$account", user: "$user" },
+        debits: { $sum: { $cond: [{ $eq: ["$direction", "debit"] }, "$amount", 0] } },
+        credits: { $sum: { $cond: [{ $eq: ["$direction", "credit"] }, "$amount", 0] } },
+      },
+    },
+  ]);
+
+  return rows.map((row) => {
+    const debitCents = toCents(row.debits);
+    const creditCents = toCents(row.credits);
+    return {
+      account: row._id.account,
+      user: row._id.user || null,
+      debits: fromCents(debitCents),
+      credits: fromCents(creditCents),
+      balance: fromCents(debitCents - creditCents),
+    };
+  });
+};
+
+const LedgerEntry = mongoose.model("LedgerEntry", LedgerEntrySchema);
+
+LedgerEntry.LEDGER_ACCOUNTS = LEDGER_ACCOUNTS;
+
+module.exports = LedgerEntry;
@@ -0,0 +1,157 @@
+/**
+ * MANDATE MODEL
+ * =============
+ * A customer's permission for a business to charge their wallet for a
+ * subscription plan, without card details or CVV on every charge
+ *
+ * BILLING (see utils/mandates.js):
+ * - The first period is charged when the mandate is granted
+ * - The scheduler charges each following period at nextChargeAt
+ * - A failed charge makes the mandate past_due and is retried every
+ *   MANDATE_RETRY_HOURS; after MANDATE_MAX_RETRIES failed retries the
+ *   mandate is canceled
+ * - A charge never exceeds maxAmount, even if the plan would
+ */
+
+const mongoose = require("mongoose");
+const SubscriptionPlan = require("./subscriptionPlan.model");
+const { toCents, toDecimal128 } = require("../utils/money");
+
+// active: charged on schedule
+// past_due: last charge failed, being retried
+// canceled: by the customer, the business or after failed retries
+const MANDATE_STATUSES = ["active", "past_due", "canceled"];
+
+const MandateSchema = new mongoose.Schema(
+  {
+    // Paying customer
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Business allowed to charge
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SubscriptionPlan",
+      required: true,
+    },
+
+    // Most the business may charge per period
+    maxAmount: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: true,
+      get: (value) => (value === null || value === undefined ? value : parseFloat(value.toString())),
+      set: (value) => {
+        try {
+          return toDecimal128(toCents(value));
+        } catch (error) {
+          return value; // Left for Mongoose to reject as a cast error
+        }
+      },
+    },
+
+    // Copied from the plan's interval
+    frequency: {
+      type: String,
+      enum: SubscriptionPlan.BILLING_INTERVALS,
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: MANDATE_STATUSES,
+      default: "active",
+    },
+
+    // Due date of the period being billed
+    nextChargeAt: {
+      type: Date,
+      required: true,
+    },
+
+    // Day of the month monthly and yearly periods fall on (the day the mandate started)
+    anchorDay: {
+      type: Number,
+      min: 1,
+      max: 31,
+    },
+
+    // When the scheduler next tries to charge (nextChargeAt, or a retry)
+    nextAttemptAt: {
+      type: Date,
+      required: true,
+    },
+
+    lastChargedAt: {
+      type: Date,
+    },
+
+    // Consecutive failed charges of the current period
+    failedAttempts: {
+      type: Number,
+      default: 0,
+    },
+
+    lastFailureReason: {
+      type: String,
+    },
+
+    canceledAt: {
+      type: Date,
+    },
+
+    canceledBy: {
+      type: String,
+      enum: ["customer", "business", "system"],
+    },
+
+    cancelReason: {
+      type: String,
+      maxlength: 200,
+    },
+
+    // Set while the scheduler charges the mandate, so two servers cannot both charge it
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    // A cancel saved while the scheduler is charging makes the charge fail instead of being overwritten
+    optimisticConcurrency: true,
+    toJSON: { getters: true, virtuals: false },
+    toObject: { getters: true, virtuals: false },
+  }
+);
+
+MandateSchema.index({ status: 1, nextAttemptAt: 1 });
+MandateSchema.index({ customer: 1, createdAt: -1 });
+MandateSchema.index({ business: 1, createdAt: -1 });
+MandateSchema.index({ customer: 1, plan: 1, status: 1 });
+
+/**
+ * Cancel the mandate (no further charges)
+ * @param {string} canceledBy - "customer", "business" or "system"
+ * @param {string} reason - Reason (optional)
+ */
+MandateSchema.methods.cancel = function (canceledBy, reason) {
+  this.status = "canceled";
+  this.canceledAt = new Date();
+  this.canceledBy = canceledBy;
+  this.cancelReason = reason;
+};
+
+const Mandate = mongoose.model("Mandate", MandateSchema);
+
+Mandate.STATUSES = MANDATE_STATUSES;
+
+module.exports = Mandate;
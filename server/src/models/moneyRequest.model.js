@@ -0,0 +1,134 @@
+/**
+ * MONEY REQUEST MODEL
+ * ===================
+ * A request from one user for money from one or more other users (e.g. a
+ * shared bill), each with their own amount and a note
+ *
+ * FLOW:
+ * - Each payer has a part: they accept it (a C2C transfer to the requester)
+ *   or decline it
+ * - The request is "completed" once every part is answered
+ * - The requester can cancel it while it is open; parts already paid stay paid
+ * - Open requests expire at expiresAt (see utils/moneyRequests.js)
+ */
+
+const mongoose = require("mongoose");
+const { moneyField } = require("../utils/money");
+
+// open: at least one part is pending
+// completed: every part was paid or declined
+// canceled: by the requester
+// expired: not answered before expiresAt
+const MONEY_REQUEST_STATUSES = ["open", "completed", "canceled", "expired"];
+
+// pending: waiting for the payer
+// paid / declined: by the payer
+// canceled / expired: with the request, while still pending
+const PART_STATUSES = ["pending", "paid", "declined", "canceled", "expired"];
+
+// Users a single request can ask money from
+const MAX_PAYERS = 20;
+
+// Days a request stays open unless the requester sets expiresInDays
+const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_EXPIRY_DAYS = 30;
+
+const PartSchema = new mongoose.Schema(
+  {
+    payer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Copied when the request is created, shown to the requester
+    payerName: {
+      type: String,
+    },
+
+    amount: moneyField({ required: true }),
+
+    status: {
+      type: String,
+      enum: PART_STATUSES,
+      default: "pending",
+    },
+
+    // Set when the payer accepts or declines
+    respondedAt: {
+      type: Date,
+    },
+
+    // Transfer made when the payer accepted
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+    },
+  },
+  {
+    toJSON: { getters: true, virtuals: false },
+    toObject: { getters: true, virtuals: false },
+  }
+);
+
+const MoneyRequestSchema = new mongoose.Schema(
+  {
+    requester: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Copied when the request is created, shown to the payers
+    requesterName: {
+      type: String,
+    },
+
+    note: {
+      type: String,
+      maxlength: 200,
+    },
+
+    parts: {
+      type: [PartSchema],
+      validate: {
+        validator: (parts) => parts.length >= 1 && parts.length <= MAX_PAYERS,
+        message: `A money request must have between 1 and ${MAX_PAYERS} payers`,
+      },
+    },
+
+    status: {
+      type: String,
+      enum: MONEY_REQUEST_STATUSES,
+      default: "open",
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    canceledAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { getters: true, virtuals: false },
+    toObject: { getters: true, virtuals: false },
+  }
+);
+
+MoneyRequestSchema.index({ requester: 1, createdAt: -1 });
+MoneyRequestSchema.index({ "parts.payer": 1, createdAt: -1 });
+MoneyRequestSchema.index({ status: 1, expiresAt: 1 });
+
+const MoneyRequest = mongoose.model("MoneyRequest", MoneyRequestSchema);
+
+MoneyRequest.STATUSES = MONEY_REQUEST_STATUSES;
+MoneyRequest.PART_STATUSES = PART_STATUSES;
+MoneyRequest.MAX_PAYERS = MAX_PAYERS;
+MoneyRequest.DEFAULT_EXPIRY_DAYS = DEFAULT_EXPIRY_DAYS;
+MoneyRequest.MAX_EXPIRY_DAYS = MAX_EXPIRY_DAYS;
+
+module.exports = MoneyRequest;
@@ -0,0 +1,56 @@
+/**
+ * NOTIFICATION MODEL
+ * ==================
+ * In-app messages shown in a user's inbox (see utils/notifications.js)
+ *
+ * - Created by the bank, e.g. when an invoice is sent or becomes overdue
+ * - readAt is null until the user marks the notification as read
+ */
+
+const mongoose = require("mongoose");
+
+const NotificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // What the notification is about, e.g. "invoice.overdue"
+    type: {
+      type: String,
+      required: true,
+    },
+
+    title: {
+      type: String,
+      required: true,
+      maxlength: 200,
+    },
+
+    message: {
+      type: String,
+      maxlength: 1000,
+    },
+
+    // References the client needs to link to, e.g. {invoiceId}
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+NotificationSchema.index({ user: 1, createdAt: -1 });
+NotificationSchema.index({ user: 1, readAt: 1 });
+
+module.exports = mongoose.model("Notification", NotificationSchema);
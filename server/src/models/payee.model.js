@@ -0,0 +1,57 @@
+/**
+ * PAYEE MODEL
+ * ===========
+ * A recipient saved in a user's address book, with an optional nickname
+ *
+ * - Each user can be saved once per address book, up to MAX_PAYEES
+ * - The book is shown by position, which the user can reorder
+ * - Sending to a payee is a normal transfer to their user ID
+ */
+
+const mongoose = require("mongoose");
+
+// Payees a single user can save
+const MAX_PAYEES = 50;
+
+const PayeeSchema = new mongoose.Schema(
+  {
+    // Owner of the address book
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // User saved as a payee
+    payee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Shown instead of the masked name (e.g. "Mom", "Roommate")
+    nickname: {
+      type: String,
+      trim: true,
+      maxlength: 50,
+    },
+
+    // Order in the address book, 0 first
+    position: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+PayeeSchema.index({ user: 1, payee: 1 }, { unique: true });
+PayeeSchema.index({ user: 1, position: 1 });
+
+const Payee = mongoose.model("Payee", PayeeSchema);
+
+Payee.MAX_PAYEES = MAX_PAYEES;
+
+module.exports = Payee;
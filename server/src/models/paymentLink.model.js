@@ -0,0 +1,139 @@
+/**
+ * PAYMENT LINK MODEL
+ * ==================
+ * Shareable links a business sends customers to get paid without a website
+ *
+ * - Fixed amount, or entered by the customer when amount is not set
+ * - Optional usage limit (number of payments) and expiry date
+ * - usageCount and totalCollected are updated with each payment; the
+ *   payments themselves are transactions referencing the link
+ */
+
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const { toDecimal128, moneyField } = require("../utils/money");
+
+// Front-end page that payment link URLs point to (the link ID is appended)
+const PAYMENT_LINK_BASE_URL = process.env.PAYMENT_LINK_BASE_URL || "http://localhost:5173/pay";
+
+const PaymentLinkSchema = new mongoose.Schema(
+  {
+    // Public ID used in the shareable URL (unguessable)
+    linkId: {
+      type: String,
+      required: true,
+      unique: true,
+      default: () => `pl_${crypto.randomBytes(12).toString("hex")}`,
+    },
+
+    // Business being paid
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Fixed amount; null lets the customer enter the amount
+    amount: moneyField({ default: null }),
+
+    currency: {
+      type: String,
+      default: "PHP",
+    },
+
+    description: {
+      type: String,
+      required: true,
+      maxlength: 200,
+    },
+
+    // Maximum number of payments; null for unlimited
+    usageLimit: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+
+    totalCollected: moneyField({ default: () => toDecimal128(0) }),
+
+    // No payments are accepted after this date; null for no expiry
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Set to false when the business deactivates the link
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    deactivatedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { getters: true, virtuals: false },
+    toObject: { getters: true, virtuals: false },
+  }
+);
+
+PaymentLinkSchema.index({ business: 1, createdAt: -1 });
+
+/**
+ * Current status of the link
+ * @param {Date} now - Current time (for testing)
+ * @returns {string} "active" | "inactive" | "expired" | "completed" (usage limit reached)
+ */
+PaymentLinkSchema.methods.getStatus = function (now = new Date()) {
+  if (!this.isActive) return "inactive";
+  if (this.expiresAt && this.expiresAt <= now) return "expired";
+  if (this.usageLimit !== null && this.usageLimit !== undefined && this.usageCount >= this.usageLimit) {
+    return "completed";
+  }
+  return "active";
+};
+
+/**
+ * Shareable URL of the link
+ * @returns {string}
+ */
+PaymentLinkSchema.methods.getUrl = function () {
+  return `${PAYMENT_LINK_BASE_URL.replace(/\/+$/, "")}/${this.linkId}`;
+};
+
+/**
+ * Count a payment against a link
+ * Conditional update, so concurrent payments cannot go over the usage limit
+ * or pay a link that was deactivated or expired meanwhile.
+ * @param {ObjectId} linkId - Link _id
+ * @param {number} amountCents - Amount paid in centavos
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Object|null>} Updated link, or null if it can no longer be paid
+ */
+PaymentLinkSchema.statics.recordPayment = function (linkId, amountCents, session) {
+  return this.findOneAndUpdate(
+    {
+      _id: linkId,
+      isActive: true,
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+        { $or: [{ usageLimit: null }, { $expr: { $lt: ["$usageCount", "$usageLimit"] } }] },
+      ],
+    },
+    { $inc: { usageCount: 1, totalCollected: toDecimal128(amountCents) } },
+    { new: true, session }
+  );
+};
+
+const PaymentLink = mongoose.model("PaymentLink", PaymentLinkSchema);
+
+PaymentLink.BASE_URL = PAYMENT_LINK_BASE_URL;
+
+module.exports = PaymentLink;
@@ -0,0 +1,58 @@
+/**
+ * SANDBOX ACCOUNT MODEL
+ * =====================
+ * Test-mode balance of a business
+ * Payments made with test API keys (scb_test_) credit this balance instead of
+ * the business wallet, so sandbox activity never touches real money.
+ * Created on the first sandbox payment.
+ */
+
+const mongoose = require("mongoose");
+const { toDecimal128 } = require("../utils/money");
+
+const SandboxAccountSchema = new mongoose.Schema({
+  business: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    unique: true,
+  },
+
+  balance: {
+    type: mongoose.Schema.Types.Decimal128,
+    default: () => toDecimal128(0),
+  },
+
+  currency: {
+    type: String,
+    default: "PHP",
+  },
+}, {
+  timestamps: true,
+});
+
+/**
+ * Atomically change a business's sandbox balance
+ * Credits create the account if needed; debits only apply if the balance covers them.
+ * @param {ObjectId} businessId - Business user
+ * @param {number} amountCents - Change in centavos (negative to debit)
+ * @param {Object} session - MongoDB session (optional)
+ * @returns {Promise<Object|null>} Updated account, or null if the balance is too low
+ */
+SandboxAccountSchema.statics.adjustBalance = async function (businessId, amountCents, session = null) {
+  const update = { $inc: { balance: toDecimal128(amountCents) } };
+
+  if (amountCents >= 0) {
+    return this.findOneAndUpdate({ business: businessId }, update, { upsert: true, new: true, session });
+  }
+
+  return this.findOneAndUpdate(
+    { business: businessId, balance: { $gte: toDecimal128(-amountCents) } },
+    update,
+    { new: true, session }
+  );
+};
+
+const SandboxAccount = mongoose.model("SandboxAccount", SandboxAccountSchema);
+
+module.exports = SandboxAccount;
@@ -0,0 +1,148 @@
+/**
+ * SCHEDULED TRANSFER MODEL
+ * ========================
+ * A wallet transfer a user sets up to run later: once on a future date, or
+ * weekly or monthly (rent, allowances) until an optional end date
+ *
+ * RUNS (see utils/scheduledTransfers.js):
+ * - The scheduler runs each transfer at nextRunAt through the same transfer
+ *   logic as POST /api/transactions/transfer
+ * - A failed run (e.g. insufficient funds) is not retried: it is recorded in
+ *   failedRuns and lastFailureReason, the sender is notified, and a recurring
+ *   transfer moves on to its next date (a one-off transfer becomes "failed")
+ * - A recurring transfer is "completed" once its next date is after endDate
+ * - Paused transfers skip the dates they miss
+ */
+
+const mongoose = require("mongoose");
+const { toCents, toDecimal128 } = require("../utils/money");
+
+// once: a single transfer on nextRunAt
+const FREQUENCIES = ["once", "weekly", "monthly"];
+
+// active: runs on schedule
+// paused: by the sender, no runs until resumed
+// completed: the last run is done (one-off transfer ran, or past endDate)
+// failed: a one-off transfer that could not be made
+// canceled: by the sender
+const SCHEDULED_TRANSFER_STATUSES = ["active", "paused", "completed", "failed", "canceled"];
+
+const ScheduledTransferSchema = new mongoose.Schema(
+  {
+    // Sending user
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    amount: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: true,
+      get: (value) => (value === null || value === undefined ? value : parseFloat(value.toString())),
+      set: (value) => {
+        try {
+          return toDecimal128(toCents(value));
+        } catch (error) {
+          return value; // Left for Mongoose to reject as a cast error
+        }
+      },
+    },
+
+    description: {
+      type: String,
+      maxlength: 200,
+    },
+
+    frequency: {
+      type: String,
+      enum: FREQUENCIES,
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: SCHEDULED_TRANSFER_STATUSES,
+      default: "active",
+    },
+
+    // Next date the transfer runs
+    nextRunAt: {
+      type: Date,
+      required: true,
+    },
+
+    // Day of the month monthly transfers run on (the day of the first run)
+    anchorDay: {
+      type: Number,
+      min: 1,
+      max: 31,
+    },
+
+    // Last date a recurring transfer may run (optional, runs until canceled otherwise)
+    endDate: {
+      type: Date,
+    },
+
+    lastRunAt: {
+      type: Date,
+    },
+
+    // Transfer made by the last successful run
+    lastTransaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+    },
+
+    successfulRuns: {
+      type: Number,
+      default: 0,
+    },
+
+    failedRuns: {
+      type: Number,
+      default: 0,
+    },
+
+    lastFailureReason: {
+      type: String,
+    },
+
+    lastFailedAt: {
+      type: Date,
+    },
+
+    canceledAt: {
+      type: Date,
+    },
+
+    // Set while the scheduler runs the transfer, so two servers cannot both run it
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    // A pause or cancel saved while the scheduler is running makes the run fail instead of being overwritten
+    optimisticConcurrency: true,
+    toJSON: { getters: true, virtuals: false },
+    toObject: { getters: true, virtuals: false },
+  }
+);
+
+ScheduledTransferSchema.index({ status: 1, nextRunAt: 1 });
+ScheduledTransferSchema.index({ user: 1, createdAt: -1 });
+
+const ScheduledTransfer = mongoose.model("ScheduledTransfer", ScheduledTransferSchema);
+
+ScheduledTransfer.FREQUENCIES = FREQUENCIES;
+ScheduledTransfer.STATUSES = SCHEDULED_TRANSFER_STATUSES;
+
+module.exports = ScheduledTransfer;
@@ -0,0 +1,155 @@
+/**
+ * SETTLEMENT BATCH MODEL
+ * ======================
+ * A business's daily settlement: the live payments and refunds it received
+ * that day, the fees kept on them, and the payout of the net amount
+ *
+ * LIFECYCLE (see utils/settlements.js):
+ *   pending -> processing -> paid
+ *                         -> failed -> processing (retried by an admin) -> paid
+ *
+ * - Transactions in a batch have settlementBatch set, so each is settled once
+ * - Fees were kept when each payment was made (see utils/fees.js), so the
+ *   business wallet only holds the net amount, which the payout moves into
+ *   the bank reserve (paid out to the business)
+ * - netAmount is negative when refunds exceeded payments; nothing is paid out
+ */
+
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const { toDecimal128, moneyField } = require("../utils/money");
+
+const SETTLEMENT_STATUSES = ["pending", "processing", "paid", "failed"];
+
+/**
+ * Generate a batch reference, e.g. STL-20251220-4F2A9C
+ * @param {Date} periodStart - Settlement day
+ * @returns {string}
+ */
+const generateReference = (periodStart) => {
+  const day = periodStart.toISOString().slice(0, 10).replace(/-/g, "");
+  return `STL-${day}-${crypto.randomBytes(3).toString("hex").toUpperCase()}`;
+};
+
+const SettlementBatchSchema = new mongoose.Schema(
+  {
+    reference: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Denormalized for reports
+    businessName: {
+      type: String,
+    },
+
+    // Settlement day [periodStart, periodEnd). The batch also picks up older
+    // unsettled transactions, e.g. authorizations captured after their day.
+    periodStart: {
+      type: Date,
+      required: true,
+    },
+
+    periodEnd: {
+      type: Date,
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: SETTLEMENT_STATUSES,
+      default: "pending",
+    },
+
+    paymentCount: {
+      type: Number,
+      default: 0,
+    },
+
+    grossAmount: moneyField({ default: () => toDecimal128(0) }),
+
+    refundCount: {
+      type: Number,
+      default: 0,
+    },
+
+    refundAmount: moneyField({ default: () => toDecimal128(0) }),
+
+    // Fees of the payments minus the fees given back with the refunds
+    feeAmount: moneyField({ default: () => toDecimal128(0) }),
+
+    // grossAmount - refundAmount - feeAmount
+    netAmount: moneyField({ default: () => toDecimal128(0) }),
+
+    payout: {
+      // Amount moved out of the business wallet (net amount, 0 if negative)
+      amount: moneyField({ default: () => toDecimal128(0) }),
+      transaction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Transaction",
+      },
+      attempts: {
+        type: Number,
+        default: 0,
+      },
+      paidAt: {
+        type: Date,
+      },
+      failureReason: {
+        type: String,
+      },
+    },
+
+    // Every status change, oldest first
+    statusHistory: [
+      {
+        _id: false,
+        status: {
+          type: String,
+          enum: SETTLEMENT_STATUSES,
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+        note: {
+          type: String,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+    toJSON: { getters: true, virtuals: false },
+    toObject: { getters: true, virtuals: false },
+  }
+);
+
+// One batch per business and day
+SettlementBatchSchema.index({ business: 1, periodStart: 1 }, { unique: true });
+SettlementBatchSchema.index({ status: 1, periodStart: -1 });
+SettlementBatchSchema.index({ periodStart: -1 });
+
+/**
+ * Change the status and record it in the history (not saved)
+ * @param {string} status - New status
+ * @param {string} note - Reason (optional)
+ */
+SettlementBatchSchema.methods.setStatus = function (status, note) {
+  this.status = status;
+  this.statusHistory.push({ status, at: new Date(), note });
+};
+
+const SettlementBatch = mongoose.model("SettlementBatch", SettlementBatchSchema);
+
+SettlementBatch.STATUSES = SETTLEMENT_STATUSES;
+SettlementBatch.generateReference = generateReference;
+
+module.exports = SettlementBatch;
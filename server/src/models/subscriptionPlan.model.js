@@ -0,0 +1,84 @@
+/**
+ * SUBSCRIPTION PLAN MODEL
+ * =======================
+ * Recurring prices a business bills customers on (e.g. a monthly transport pass)
+ * Customers subscribe by granting the business a mandate for the plan
+ * (see mandate.model.js). The amount and interval cannot change after
+ * creation; a business deactivates a plan and creates a new one instead.
+ */
+
+const mongoose = require("mongoose");
+const { toCents, toDecimal128 } = require("../utils/money");
+
+// How often a plan bills
+const BILLING_INTERVALS = ["weekly", "monthly", "yearly"];
+
+const SubscriptionPlanSchema = new mongoose.Schema(
+  {
+    // Business that bills the plan
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+
+    // Amount charged every interval
+    amount: {
+      type: mongoose.Schema.Types.Decimal128,
+      required: true,
+      immutable: true,
+      get: (value) => (value === null || value === undefined ? value : parseFloat(value.toString())),
+      set: (value) => {
+        try {
+          return toDecimal128(toCents(value));
+        } catch (error) {
+          return value; // Left for Mongoose to reject as a cast error
+        }
+      },
+    },
+
+    currency: {
+      type: String,
+      default: "PHP",
+    },
+
+    interval: {
+      type: String,
+      enum: BILLING_INTERVALS,
+      required: true,
+      immutable: true,
+    },
+
+    // Inactive plans accept no new mandates; existing mandates keep billing
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { getters: true, virtuals: false },
+    toObject: { getters: true, virtuals: false },
+  }
+);
+
+SubscriptionPlanSchema.index({ business: 1, createdAt: -1 });
+
+const SubscriptionPlan = mongoose.model("SubscriptionPlan", SubscriptionPlanSchema);
+
+SubscriptionPlan.BILLING_INTERVALS = BILLING_INTERVALS;
+
+module.exports = SubscriptionPlan;
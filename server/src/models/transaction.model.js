@@ -1,20 +1,27 @@
 const mongoose = require("mongoose");
 const crypto = require('crypto');
+const { moneyField } = require("../utils/money");
 
 // Use native crypto.randomUUID (Node.js 14.17+) for generating UUIDs
 const generateUUID = () => crypto.randomUUID();
 
+const TRANSACTION_TYPES = ["deposit", "withdraw", "transfer", "payment", "refund", "payout", "split_payment"];
+const TRANSACTION_CATEGORIES = ["B2B", "B2C", "C2C"];
+const TRANSACTION_STATUSES = ["pending", "completed", "failed", "partially_refunded", "refunded", "voided", "expired"];
+const PAYMENT_METHODS = ["wallet", "card", "api", "qr"];
+
 const TransactionSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
-    required: function () { return this.type !== "transfer" && this.type !== "payment"; },
+    required: function () { return this.type === "deposit" || this.type === "withdraw" || this.type === "payout"; },
   },
   // New fields for transfer transparency
+  // Sandbox payments have no paying customer (test cards are not real accounts)
   from: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
-    required: function () { return this.type === "transfer" || this.type === "payment"; },
+    required: function () { return this.livemode !== false && (this.type === "transfer" || this.type === "payment"); },
   },
   to: {
     type: mongoose.Schema.Types.ObjectId,
@@ -23,20 +30,18 @@ const TransactionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ["deposit", "withdraw", "transfer", "payment", "refund"],
+    // payout: a settlement batch paid out of a business wallet (see settlementBatch.model.js)
+    // split_payment: a card charge paid to several businesses, each in its own payment (see utils/splitPayments.js)
+    enum: TRANSACTION_TYPES,
     required: true,
   },
   // Transaction category: B2B (Business-to-Business), B2C (Business-to-Consumer), C2C (Consumer-to-Consumer)
   // Auto-determined based on account types of from/to users
   transactionCategory: {
     type: String,
-    enum: ["B2B", "B2C", "C2C"],
-  },
-  amount: {
-    type: Number,
-    required: true,
-    min: 1,
+    enum: TRANSACTION_CATEGORIES,
   },
+  amount: moneyField({ minCents: 1, required: true }),
 
   // ============================================
   // PAYMENT-SPECIFIC FIELDS (for external API transactions)
@@ -45,7 +50,7 @@ const TransactionSchema = new mongoose.Schema({
   // Payment method used
   paymentMethod: {
     type: String,
-    enum: ["wallet", "card", "api"],
+    enum: PAYMENT_METHODS,
     default: "wallet",
   },
 
@@ -76,6 +81,66 @@ const TransactionSchema = new mongoose.Schema({
     },
   },
 
+  // Payment link the payment was made through
+  paymentLink: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "PaymentLink",
+  },
+
+  // Mandate the payment was charged under (subscription billing)
+  mandate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Mandate",
+  },
+
+  // Split payment this payment is part of (see utils/splitPayments.js)
+  split: {
+    // The split_payment transaction that debited the customer
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+    },
+    // Business that made the charge; it can refund the split too
+    initiator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+
+  // Invoice the transfer paid (see invoice.model.js)
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Invoice",
+  },
+
+  // Scheduled transfer the transfer was made by (see scheduledTransfer.model.js)
+  scheduledTransfer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ScheduledTransfer",
+  },
+
+  // Money request the transfer paid (see moneyRequest.model.js)
+  moneyRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "MoneyRequest",
+  },
+
+  // Settlement batch the payment or refund was settled in, or that a payout paid
+  settlementBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "SettlementBatch",
+  },
+
+  // Merchant QR code the payment was made with (see utils/qrCode.js)
+  qrCode: {
+    id: {
+      type: String,
+    },
+    isDynamic: {
+      type: Boolean,
+    },
+  },
+
   // External reference from merchant system
   externalReference: {
     type: String,
@@ -89,61 +154,113 @@ const TransactionSchema = new mongoose.Schema({
   },
 
   // Transaction status (for async processing)
+  // pending: card authorization holding funds until captured, voided or expired
+  // partially_refunded: payment with refunds totalling less than its amount
   status: {
     type: String,
-    enum: ["pending", "completed", "failed", "refunded"],
+    enum: TRANSACTION_STATUSES,
     default: "completed",
   },
 
+  // Authorize-then-capture details (only for card authorizations)
+  authorization: {
+    authorizedAmount: moneyField({ minCents: 1 }),
+    capturedAmount: moneyField({ minCents: 1 }),
+    expiresAt: {
+      type: Date,
+    },
+    capturedAt: {
+      type: Date,
+    },
+    voidedAt: {
+      type: Date,
+    },
+  },
+
   // Refund reference (if this is a refund, reference to original transaction)
   originalTransaction: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Transaction",
   },
 
+  // Total refunded so far (payments only, sum of all linked refunds)
+  refundedAmount: moneyField({ minCents: 0, default: 0 }),
+
+  // Fee kept by the bank (see utils/fees.js), computed when the transaction is made
+  // - payment: taken out of the amount the business receives
+  // - transfer, withdraw: charged to the sender on top of the amount
+  // - refund: share of the payment's fee given back to the business
+  fee: moneyField({ minCents: 0, default: 0 }),
+
+  // Fee schedule the fee was computed with
+  feeSchedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "FeeSchedule",
+  },
+
+  // Fee given back so far (payments only, sum of the fees of all linked refunds)
+  refundedFee: moneyField({ minCents: 0, default: 0 }),
+
+  // Amount under an open dispute (payments only, see dispute.model.js)
+  // It cannot be refunded by the business until the dispute is resolved.
+  disputedAmount: moneyField({ minCents: 0, default: 0 }),
+
+  // Dispute a refund reversed the payment for
+  dispute: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Dispute",
+  },
+
+  // false for sandbox transactions made with a test API key (scb_test_)
+  // They move no real money and are excluded from live balances and reports.
+  // Documents created before sandbox mode have no value and count as live.
+  livemode: {
+    type: Boolean,
+    default: true,
+  },
+
   // ============================================
   // BALANCE TRACKING FIELDS
   // ============================================
 
-  // For deposit/withdraw (single user)
-  balanceBefore: {
-    type: Number,
-    min: 0,
-    required: function () { return this.type === "deposit" || this.type === "withdraw"; },
-  },
-  balanceAfter: {
-    type: Number,
-    min: 0,
-    required: function () { return this.type === "deposit" || this.type === "withdraw"; },
-  },
+  // For deposit/withdraw/payout (single user)
+  balanceBefore: moneyField({
+    minCents: 0,
+    required: function () { return this.type === "deposit" || this.type === "withdraw" || this.type === "payout"; },
+  }),
+  balanceAfter: moneyField({
+    minCents: 0,
+    required: function () { return this.type === "deposit" || this.type === "withdraw" || this.type === "payout"; },
+  }),
   // For transfers and payments (sender and receiver)
-  fromBalanceBefore: {
-    type: Number,
-    min: 0,
+  fromBalanceBefore: moneyField({
+    minCents: 0,
+    required: function () { return this.livemode !== false && (this.type === "transfer" || this.type === "payment"); },
+  }),
+  fromBalanceAfter: moneyField({
+    minCents: 0,
+    required: function () { return this.livemode !== false && (this.type === "transfer" || this.type === "payment"); },
+  }),
+  toBalanceBefore: moneyField({
+    minCents: 0,
     required: function () { return this.type === "transfer" || this.type === "payment"; },
-  },
-  fromBalanceAfter: {
-    type: Number,
-    min: 0,
+  }),
+  toBalanceAfter: moneyField({
+    minCents: 0,
     required: function () { return this.type === "transfer" || this.type === "payment"; },
-  },
-  toBalanceBefore: {
-    type: Number,
-    min: 0,
-    required: function () { return this.type === "transfer" || this.type === "payment"; },
-  },
-  toBalanceAfter: {
-    type: Number,
-    min: 0,
-    required: function () { return this.type === "transfer" || this.type === "payment"; },
-  },
+  }),
   reference: {
     type: String,
     required: true,
     unique: true,
     default: () => generateUUID(),
   },
-}, { timestamps: true });
+}, {
+  timestamps: true,
+  // Apply the money getters so amounts serialize as numbers
+  toJSON: { getters: true, virtuals: false },
+  toObject: { getters: true, virtuals: false },
+});
 
 // Indexes for efficient queries
 TransactionSchema.index({ reference: 1 });
@@ -151,8 +268,22 @@ TransactionSchema.index({ from: 1, createdAt: -1 });
 TransactionSchema.index({ to: 1, createdAt: -1 });
 TransactionSchema.index({ user: 1, createdAt: -1 });
 TransactionSchema.index({ "merchant.businessId": 1, createdAt: -1 });
+TransactionSchema.index({ "merchant.businessId": 1, livemode: 1, createdAt: -1 });
 TransactionSchema.index({ externalReference: 1, "merchant.businessId": 1 });
 TransactionSchema.index({ transactionCategory: 1, createdAt: -1 });
+// Admin search across all transactions, newest first (see utils/transactionSearch.js)
+TransactionSchema.index({ createdAt: -1, _id: -1 });
+TransactionSchema.index({ status: 1, "authorization.expiresAt": 1 });
+TransactionSchema.index({ originalTransaction: 1, createdAt: 1 });
+TransactionSchema.index({ paymentLink: 1, createdAt: -1 });
+TransactionSchema.index({ mandate: 1, createdAt: -1 });
+TransactionSchema.index({ "split.parent": 1 });
+TransactionSchema.index({ settlementBatch: 1, createdAt: 1 });
+// A dynamic QR code can only be paid once
+TransactionSchema.index(
+  { "qrCode.id": 1 },
+  { unique: true, partialFilterExpression: { "qrCode.isDynamic": true } }
+);
 
 /**
  * Determine transaction category based on account types
@@ -237,4 +368,12 @@ TransactionSchema.pre("save", async function(next) {
 
 const Transaction = mongoose.model("Transaction", TransactionSchema);
 
+// Query filter matching live (non-sandbox) transactions, including ones without livemode
+Transaction.LIVE = Object.freeze({ livemode: { $ne: false } });
+
+Transaction.TYPES = TRANSACTION_TYPES;
+Transaction.CATEGORIES = TRANSACTION_CATEGORIES;
+Transaction.STATUSES = TRANSACTION_STATUSES;
+Transaction.PAYMENT_METHODS = PAYMENT_METHODS;
+
 module.exports = Transaction;
\ No newline at end of file
@@ -10,6 +10,10 @@ const {
   compareCVV,
   comparePIN,
 } = require("../utils/cardGenerator");
+const { addMoney, subtractMoney } = require("../utils/money");
+
+// Handle users can be sent money to instead of their email (e.g. @juan_cruz)
+const HANDLE_PATTERN = /^[a-z0-9_]{3,20}$/;
 
 
 // Define User Schema
@@ -110,6 +114,17 @@ const UserSchema = new mongoose.Schema(
       maxlength: 50,
       lowercase: true,
     },
+
+    // Optional, unique; set by the user (see HANDLE_PATTERN)
+    handle: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      unique: true,
+      sparse: true, // Allows users without a handle
+      match: HANDLE_PATTERN,
+    },
+
     password: {
       type: String,
       required: true,
@@ -188,6 +203,12 @@ const UserSchema = new mongoose.Schema(
         default: 0.0,
         min: 0,
       },
+      // Amount reserved by pending card authorizations and open disputes (not spendable)
+      heldBalance: {
+        type: mongoose.Types.Decimal128,
+        default: 0.0,
+        min: 0,
+      },
       currency: {
         type: String,
         required: true,
@@ -297,7 +318,7 @@ UserSchema.methods.canSpend = function (amount) {
     this.virtualCard.lastResetDate = new Date();
   }
 
-  return (this.virtualCard.dailySpent + amount) <= this.virtualCard.dailyLimit;
+  return addMoney(this.virtualCard.dailySpent || 0, amount) <= this.virtualCard.dailyLimit;
 };
 
 // Method to update daily spent
@@ -311,10 +332,24 @@ UserSchema.methods.recordSpending = function (amount) {
     this.virtualCard.lastResetDate = new Date();
   }
 
-  this.virtualCard.dailySpent += amount;
+  this.virtualCard.dailySpent = addMoney(this.virtualCard.dailySpent || 0, amount);
   this.virtualCard.lastUsed = new Date();
 };
 
+// Method to give back daily limit reserved by an authorization that was voided,
+// expired or captured for less than the held amount
+UserSchema.methods.releaseSpending = function (amount, spentAt = new Date()) {
+  // Only spending recorded today counts against today's limit (UTC)
+  const today = new Date().toISOString().split('T')[0];
+  const spentDay = new Date(spentAt).toISOString().split('T')[0];
+
+  if (today !== spentDay) {
+    return;
+  }
+
+  this.virtualCard.dailySpent = Math.max(subtractMoney(this.virtualCard.dailySpent || 0, amount), 0);
+};
+
 // Remove password and sensitive card data from JSON responses
 UserSchema.methods.toJSON = function () {
   const obj = this.toObject();
@@ -342,4 +377,6 @@ UserSchema.statics.findByCardNumber = function (cardNumber) {
 
 const User = mongoose.model("User", UserSchema);
 
+User.HANDLE_PATTERN = HANDLE_PATTERN;
+
 module.exports = User;
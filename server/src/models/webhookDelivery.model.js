@@ -0,0 +1,90 @@
+/**
+ * WEBHOOK DELIVERY MODEL
+ * ======================
+ * Persistent queue and delivery log for webhook events
+ * One document per event per endpoint. Pending deliveries are retried with
+ * exponential backoff by the CRON manager until they succeed or run out of attempts.
+ */
+
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+const WebhookDeliverySchema = new mongoose.Schema(
+  {
+    // Endpoint the event is sent to
+    endpoint: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookEndpoint",
+      required: true,
+    },
+
+    // Business that owns the endpoint
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Unique event ID (sent to the receiver to de-duplicate deliveries)
+    eventId: {
+      type: String,
+      required: true,
+      default: () => `evt_${crypto.randomUUID()}`,
+    },
+
+    // Event type (e.g. "payment.completed")
+    event: {
+      type: String,
+      required: true,
+    },
+
+    // Event payload sent as the request body
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+
+    // Delivery status
+    // pending: waiting for (next) attempt, succeeded: 2xx received, failed: out of attempts
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending",
+    },
+
+    // Number of attempts made so far
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+
+    // When the next attempt is due (also used as a lease while delivering)
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    deliveredAt: {
+      type: Date,
+    },
+
+    // Delivery log (one entry per attempt)
+    attemptLog: [
+      {
+        attemptedAt: { type: Date, required: true },
+        statusCode: { type: Number },
+        error: { type: String, maxlength: 500 },
+        durationMs: { type: Number },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ endpoint: 1, createdAt: -1 });
+WebhookDeliverySchema.index({ business: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model("WebhookDelivery", WebhookDeliverySchema);
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,103 @@
+/**
+ * WEBHOOK ENDPOINT MODEL
+ * ======================
+ * URLs registered by a business to receive payment events
+ * Every delivery is signed with the endpoint's HMAC secret so the receiver
+ * can verify it came from us (see utils/webhooks.js).
+ */
+
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+// Events a business can subscribe to
+const WEBHOOK_EVENTS = [
+  "payment.completed",
+  "payment.refunded",
+  "api_key.revoked",
+  "mandate.payment_failed",
+  "mandate.canceled",
+  "dispute.opened",
+  "dispute.resolved",
+  "invoice.paid",
+];
+
+const WebhookEndpointSchema = new mongoose.Schema(
+  {
+    // Reference to the business user
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Receiver URL (events are POSTed as JSON)
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 500,
+      validate: {
+        validator: function (v) {
+          return /^https?:\/\/[\w.-]+(:\d+)?(\/.*)?$/.test(v);
+        },
+        message: "Invalid webhook URL. Must start with http:// or https://",
+      },
+    },
+
+    // Optional note to tell endpoints apart
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+
+    // Subscribed events
+    events: {
+      type: [String],
+      enum: WEBHOOK_EVENTS,
+      default: WEBHOOK_EVENTS,
+      validate: {
+        validator: (events) => events.length > 0,
+        message: "At least one event is required",
+      },
+    },
+
+    // HMAC signing secret (shown only once at creation)
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    // Disabled endpoints receive no new events
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+WebhookEndpointSchema.index({ business: 1, isActive: 1 });
+
+/**
+ * Generate a new signing secret
+ * Format: whsec_<64 hex chars>
+ * @returns {string}
+ */
+WebhookEndpointSchema.statics.generateSecret = function () {
+  return `whsec_${crypto.randomBytes(32).toString("hex")}`;
+};
+
+// Remove the secret from JSON responses
+WebhookEndpointSchema.methods.toJSON = function () {
+  const obj = this.toObject();
+  delete obj.secret;
+  return obj;
+};
+
+const WebhookEndpoint = mongoose.model("WebhookEndpoint", WebhookEndpointSchema);
+
+WebhookEndpoint.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+
+module.exports = WebhookEndpoint;
@@ -13,6 +13,13 @@
 const express = require("express");
 const router = express.Router();
 const businessController = require("../controllers/business.controller");
+const webhookController = require("../controllers/webhook.controller");
+const qrPaymentController = require("../controllers/qrPayment.controller");
+const paymentLinkController = require("../controllers/paymentLink.controller");
+const subscriptionController = require("../controllers/subscription.controller");
+const settlementController = require("../controllers/settlement.controller");
+const disputeController = require("../controllers/dispute.controller");
+const invoiceController = require("../controllers/invoice.controller");
 
 const { 
   auth, 
@@ -20,6 +27,11 @@ const {
   validateBusinessRegistration,
   requireBusiness,
   requireVerifiedBusiness,
+  validateQRCode,
+  validatePaymentLink,
+  validateSubscriptionPlan,
+  validateDisputeEvidence,
+  validateInvoice,
 } = require("../middlewares");
 
 // ============================================
@@ -64,6 +76,191 @@ router.get("/api-keys", auth, requireBusiness, businessController.listAPIKeys);
  */
 router.delete("/api-keys/:keyId", auth, requireBusiness, businessController.revokeAPIKey);
 
+/**
+ * POST /api/business/api-keys/:keyId/rotate
+ * Issue a replacement key; the old key keeps working for a grace period
+ * SECURITY: Requires verified business account
+ */
+router.post("/api-keys/:keyId/rotate", auth, requireVerifiedBusiness, businessController.rotateAPIKey);
+
+/**
+ * PUT /api/business/api-keys/:keyId/signing
+ * Turn HMAC request signing on or off (signing secret returned once)
+ * SECURITY: Only business account types can access their own keys
+ */
+router.put("/api-keys/:keyId/signing", auth, requireBusiness, businessController.updateKeySigning);
+
+// ============================================
+// QR CODE PAYMENTS
+// ============================================
+
+/**
+ * POST /api/business/qr-codes
+ * Generate a static QR code, or a dynamic one with a fixed amount and expiry
+ * SECURITY: Requires verified business account
+ */
+router.post("/qr-codes", auth, requireVerifiedBusiness, validateQRCode, qrPaymentController.generateQRCode);
+
+// ============================================
+// PAYMENT LINKS
+// ============================================
+
+/**
+ * POST /api/business/payment-links
+ * Create a shareable payment link (fixed or customer-entered amount)
+ * SECURITY: Requires verified business account
+ */
+router.post("/payment-links", auth, requireVerifiedBusiness, validatePaymentLink, paymentLinkController.createPaymentLink);
+
+/**
+ * GET /api/business/payment-links
+ * List the business's payment links with usage and totals
+ * SECURITY: Only business account types can access
+ */
+router.get("/payment-links", auth, requireBusiness, paymentLinkController.listPaymentLinks);
+
+/**
+ * GET /api/business/payment-links/:linkId
+ * Get a payment link
+ * SECURITY: Only business account types can access their own links
+ */
+router.get("/payment-links/:linkId", auth, requireBusiness, paymentLinkController.getPaymentLink);
+
+/**
+ * GET /api/business/payment-links/:linkId/payments
+ * List who paid a payment link and how much
+ * SECURITY: Only business account types can access their own links
+ */
+router.get("/payment-links/:linkId/payments", auth, requireBusiness, paymentLinkController.getPaymentLinkPayments);
+
+/**
+ * DELETE /api/business/payment-links/:linkId
+ * Deactivate a payment link
+ * SECURITY: Only business account types can access their own links
+ */
+router.delete("/payment-links/:linkId", auth, requireBusiness, paymentLinkController.deactivatePaymentLink);
+
+// ============================================
+// SUBSCRIPTIONS
+// ============================================
+
+/**
+ * POST /api/business/plans
+ * Create a subscription plan (amount billed every week, month or year)
+ * SECURITY: Requires verified business account
+ */
+router.post("/plans", auth, requireVerifiedBusiness, validateSubscriptionPlan, subscriptionController.createPlan);
+
+/**
+ * GET /api/business/plans
+ * List the business's subscription plans
+ * SECURITY: Only business account types can access
+ */
+router.get("/plans", auth, requireBusiness, subscriptionController.listPlans);
+
+/**
+ * GET /api/business/plans/:planId
+ * Get a subscription plan
+ * SECURITY: Any authenticated user (customers view a plan before subscribing)
+ */
+router.get("/plans/:planId", auth, subscriptionController.getPlan);
+
+/**
+ * DELETE /api/business/plans/:planId
+ * Deactivate a subscription plan (existing mandates keep billing)
+ * SECURITY: Only business account types can access their own plans
+ */
+router.delete("/plans/:planId", auth, requireBusiness, subscriptionController.deactivatePlan);
+
+/**
+ * GET /api/business/mandates
+ * List mandates customers granted the business
+ * SECURITY: Only business account types can access
+ */
+router.get("/mandates", auth, requireBusiness, subscriptionController.listBusinessMandates);
+
+/**
+ * DELETE /api/business/mandates/:mandateId
+ * Cancel a mandate (no further charges)
+ * SECURITY: Only business account types can access their own mandates
+ */
+router.delete("/mandates/:mandateId", auth, requireBusiness, subscriptionController.cancelBusinessMandate);
+
+// ============================================
+// SETTLEMENTS
+// ============================================
+
+/**
+ * GET /api/business/settlements
+ * List the business's daily settlement batches and payouts
+ * SECURITY: Only business account types can access their own batches
+ */
+router.get("/settlements", auth, requireBusiness, settlementController.listBusinessSettlements);
+
+// ============================================
+// DISPUTES
+// ============================================
+
+/**
+ * GET /api/business/disputes
+ * List disputes customers opened on the business's payments
+ * SECURITY: Only business account types can access their own disputes
+ */
+router.get("/disputes", auth, requireBusiness, disputeController.listBusinessDisputes);
+
+/**
+ * POST /api/business/disputes/:disputeId/evidence
+ * Submit evidence for a dispute before its deadline
+ * SECURITY: Only business account types can answer their own disputes
+ */
+router.post("/disputes/:disputeId/evidence", auth, requireBusiness, validateDisputeEvidence, disputeController.submitEvidence);
+
+// ============================================
+// INVOICES
+// ============================================
+
+/**
+ * POST /api/business/invoices
+ * Create a draft invoice for another user of the bank
+ * SECURITY: Requires verified business account
+ */
+router.post("/invoices", auth, requireVerifiedBusiness, validateInvoice, invoiceController.createInvoice);
+
+/**
+ * GET /api/business/invoices
+ * List the business's invoices (optional status filter)
+ * SECURITY: Only business account types can access their own invoices
+ */
+router.get("/invoices", auth, requireBusiness, invoiceController.listBusinessInvoices);
+
+/**
+ * GET /api/business/invoices/:invoiceId
+ * Get one of the business's invoices
+ * SECURITY: Only business account types can access their own invoices
+ */
+router.get("/invoices/:invoiceId", auth, requireBusiness, invoiceController.getBusinessInvoice);
+
+/**
+ * PATCH /api/business/invoices/:invoiceId
+ * Edit a draft invoice
+ * SECURITY: Only business account types can edit their own invoices
+ */
+router.patch("/invoices/:invoiceId", auth, requireBusiness, validateInvoice, invoiceController.updateInvoice);
+
+/**
+ * POST /api/business/invoices/:invoiceId/send
+ * Send a draft invoice to its recipient
+ * SECURITY: Requires verified business account
+ */
+router.post("/invoices/:invoiceId/send", auth, requireVerifiedBusiness, invoiceController.sendInvoice);
+
+/**
+ * POST /api/business/invoices/:invoiceId/void
+ * Void an invoice that is not paid yet
+ * SECURITY: Only business account types can void their own invoices
+ */
+router.post("/invoices/:invoiceId/void", auth, requireBusiness, invoiceController.voidInvoice);
+
 // ============================================
 // CORS / ALLOWED ORIGINS MANAGEMENT
 // ============================================
@@ -96,6 +293,84 @@ router.post("/api-keys/:keyId/origins", auth, requireBusiness, businessControlle
  */
 router.delete("/api-keys/:keyId/origins", auth, requireBusiness, businessController.removeKeyOrigin);
 
+// ============================================
+// IP WHITELIST MANAGEMENT
+// ============================================
+
+/**
+ * GET /api/business/api-keys/:keyId/ips
+ * Get the IP whitelist of an API key
+ * SECURITY: Only business account types can access their own keys
+ */
+router.get("/api-keys/:keyId/ips", auth, requireBusiness, businessController.getKeyIPs);
+
+/**
+ * PUT /api/business/api-keys/:keyId/ips
+ * Replace the IP whitelist of an API key (addresses or CIDR ranges)
+ * SECURITY: Only business account types can access their own keys
+ */
+router.put("/api-keys/:keyId/ips", auth, requireBusiness, businessController.updateKeyIPs);
+
+/**
+ * POST /api/business/api-keys/:keyId/ips
+ * Add an IP address or CIDR range to an API key's whitelist
+ * SECURITY: Only business account types can access their own keys
+ */
+router.post("/api-keys/:keyId/ips", auth, requireBusiness, businessController.addKeyIP);
+
+/**
+ * DELETE /api/business/api-keys/:keyId/ips
+ * Remove an IP address or CIDR range from an API key's whitelist
+ * SECURITY: Only business account types can access their own keys
+ */
+router.delete("/api-keys/:keyId/ips", auth, requireBusiness, businessController.removeKeyIP);
+
+// ============================================
+// WEBHOOK ENDPOINTS MANAGEMENT
+// ============================================
+
+/**
+ * POST /api/business/webhooks
+ * Register a webhook endpoint (signing secret returned once)
+ * SECURITY: Requires verified business account
+ */
+router.post("/webhooks", auth, requireVerifiedBusiness, webhookController.createWebhook);
+
+/**
+ * GET /api/business/webhooks
+ * List webhook endpoints
+ * SECURITY: Only business account types can access
+ */
+router.get("/webhooks", auth, requireBusiness, webhookController.listWebhooks);
+
+/**
+ * GET /api/business/webhooks/deliveries
+ * Webhook delivery log
+ * SECURITY: Only business account types can access their own deliveries
+ */
+router.get("/webhooks/deliveries", auth, requireBusiness, webhookController.listDeliveries);
+
+/**
+ * POST /api/business/webhooks/deliveries/:deliveryId/redeliver
+ * Redeliver a webhook event now
+ * SECURITY: Only business account types can access their own deliveries
+ */
+router.post("/webhooks/deliveries/:deliveryId/redeliver", auth, requireBusiness, webhookController.redeliverDelivery);
+
+/**
+ * PUT /api/business/webhooks/:webhookId
+ * Update a webhook endpoint
+ * SECURITY: Only business account types can access their own endpoints
+ */
+router.put("/webhooks/:webhookId", auth, requireBusiness, webhookController.updateWebhook);
+
+/**
+ * DELETE /api/business/webhooks/:webhookId
+ * Delete a webhook endpoint
+ * SECURITY: Only business account types can access their own endpoints
+ */
+router.delete("/webhooks/:webhookId", auth, requireBusiness, webhookController.deleteWebhook);
+
 // ============================================
 // ADMIN ROUTES (Admin authentication required)
 // ============================================
@@ -118,4 +393,16 @@ router.get("/verified", auth, checkRole("admin"), businessController.getVerified
  */
 router.put("/:businessId/verify", auth, checkRole("admin"), businessController.verifyBusiness);
 
+/**
+ * GET /api/business/:businessId/api-keys
+ * List a business's API keys with their rate limits
+ */
+router.get("/:businessId/api-keys", auth, checkRole("admin"), businessController.getBusinessAPIKeys);
+
+/**
+ * PUT /api/business/api-keys/:keyId/rate-limit
+ * Change an API key's requestsPerMinute / requestsPerDay
+ */
+router.put("/api-keys/:keyId/rate-limit", auth, checkRole("admin"), businessController.updateKeyRateLimit);
+
 module.exports = router;
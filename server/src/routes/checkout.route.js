@@ -0,0 +1,30 @@
+/**
+ * HOSTED CHECKOUT ROUTES
+ * ======================
+ * The page customers pay merchant checkout sessions on
+ * No API key: the session ID in the URL identifies the payment.
+ * Merchants create sessions through POST /api/public/checkout/sessions.
+ */
+
+const express = require("express");
+const router = express.Router();
+const checkoutController = require("../controllers/checkout.controller");
+
+const { auth, checkoutPaymentLimiter } = require("../middlewares");
+
+// Hosted checkout page
+router.get("/:sessionId", checkoutController.showCheckoutPage);
+
+// Session details shown on the page
+router.get("/:sessionId/details", checkoutController.getCheckoutDetails);
+
+// Pay with a card (strict rate limiting against card and CVV guessing)
+router.post("/:sessionId/pay/card", checkoutPaymentLimiter, checkoutController.payWithCard);
+
+// Pay from the logged-in customer's wallet
+router.post("/:sessionId/pay/wallet", checkoutPaymentLimiter, auth, checkoutController.payWithWallet);
+
+// Cancel and return to the merchant
+router.post("/:sessionId/cancel", checkoutController.cancelCheckout);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+/**
+ * DISPUTE ROUTES
+ * ==============
+ * Routes for the dispute resolution queue
+ * Customers open disputes under /api/users/profile/disputes and businesses
+ * answer them under /api/business/disputes.
+ */
+
+const express = require("express");
+const router = express.Router();
+const disputeController = require("../controllers/dispute.controller");
+
+const { auth, checkRole, validateDisputeResolution } = require("../middlewares");
+
+// ============================================
+// STAFF ROUTES (Admin or staff authentication required)
+// ============================================
+
+// List disputes waiting for a decision, oldest first (filter by status or businessId)
+router.get("/", auth, checkRole("admin", "staff"), disputeController.listDisputeQueue);
+
+// Reverse the payment or close the dispute
+router.post("/:disputeId/resolve", auth, checkRole("admin", "staff"), validateDisputeResolution, disputeController.resolveDispute);
+
+// ============================================
+// PROTECTED ROUTES (Staff or the dispute's customer or business)
+// ============================================
+
+// Get a dispute with its evidence and status history
+router.get("/:disputeId", auth, disputeController.getDispute);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+/**
+ * FEE ROUTES
+ * ==========
+ * Admin management of the fee schedules applied to payments, transfers and
+ * withdrawals
+ */
+
+const express = require("express");
+const router = express.Router();
+const feeController = require("../controllers/fee.controller");
+
+const { auth, checkRole, validateFeeSchedule } = require("../middlewares");
+
+// ============================================
+// ADMIN ROUTES (Admin authentication required)
+// ============================================
+
+// List fee schedules (filter by transactionType or isActive)
+router.get("/", auth, checkRole("admin"), feeController.listFeeSchedules);
+
+// Create a fee schedule
+router.post("/", auth, checkRole("admin"), validateFeeSchedule, feeController.createFeeSchedule);
+
+// Get a fee schedule
+router.get("/:scheduleId", auth, checkRole("admin"), feeController.getFeeSchedule);
+
+// Update a fee schedule's name, rates, cap or status
+router.patch("/:scheduleId", auth, checkRole("admin"), validateFeeSchedule, feeController.updateFeeSchedule);
+
+// Deactivate a fee schedule
+router.delete("/:scheduleId", auth, checkRole("admin"), feeController.deactivateFeeSchedule);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+/**
+ * PAYMENT LINK ROUTES
+ * ===================
+ * Routes for customers paying a business's payment link
+ * Links are created and managed under /api/business/payment-links.
+ */
+
+const express = require("express");
+const router = express.Router();
+const paymentLinkController = require("../controllers/paymentLink.controller");
+
+const { auth } = require("../middlewares");
+
+// View a payment link before paying
+router.get("/:linkId", auth, paymentLinkController.viewPaymentLink);
+
+// Pay a payment link from the wallet (personal accounts only)
+router.post("/:linkId/pay", auth, paymentLinkController.payPaymentLink);
+
+module.exports = router;
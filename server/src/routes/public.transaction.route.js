@@ -3,6 +3,7 @@
  * =========================
  * API routes for external system integrations (Smart City)
  * All routes require API key authentication via X-API-Key header
+ * Test API keys (scb_test_) are served by the sandbox controller
  */
 
 const express = require("express");
@@ -10,13 +11,33 @@ const router = express.Router();
 
 
 const publicTransactionController = require("../controllers/public.transaction.controller");
+const publicSandboxController = require("../controllers/public.sandbox.controller");
+const checkoutController = require("../controllers/checkout.controller");
 const {
   apiAuth,
   requirePermission,
   checkTransactionLimit,
 } = require("../middlewares/apiAuth.middleware");
-const { validateCardCharge, validateRefund } = require("../middlewares/validation.middleware");
+const {
+  validateCardCharge,
+  validateSplitCharge,
+  validateRefund,
+  validateCapture,
+  validateVoid,
+  validateCheckoutSession,
+} = require("../middlewares/validation.middleware");
 const { cardVerifyLimiter } = require("../middlewares/rateLimit.middleware");
+const { isTestKey } = require("../utils/sandbox");
+
+/**
+ * Route to the live or sandbox handler depending on the API key's environment
+ * @param {string} handler - Handler name (same in both controllers)
+ * @returns {Function} Express handler
+ */
+const byMode = (handler) => (req, res, next) => {
+  const controller = isTestKey(req.apiKey) ? publicSandboxController : publicTransactionController;
+  return controller[handler](req, res, next);
+};
 
 // ============================================
 // ALL ROUTES REQUIRE API KEY AUTHENTICATION
@@ -55,7 +76,21 @@ router.post(
   requirePermission("charge"),
   checkTransactionLimit,
   validateCardCharge,
-  publicTransactionController.chargeCard
+  byMode("chargeCard")
+);
+
+/**
+ * POST /api/public/transactions/split-charge
+ * Charge a customer's card once and pay several businesses
+ * Required permission: charge
+ */
+router.post(
+  "/transactions/split-charge",
+  requirePermission("charge"),
+  checkTransactionLimit,
+  validateCardCharge,
+  validateSplitCharge,
+  byMode("chargeSplit")
 );
 
 /**
@@ -67,7 +102,76 @@ router.post(
   "/transactions/refund",
   requirePermission("refund"),
   validateRefund,
-  publicTransactionController.refundTransaction
+  byMode("refundTransaction")
+);
+
+// ============================================
+// AUTHORIZE-THEN-CAPTURE ENDPOINTS
+// ============================================
+
+/**
+ * POST /api/public/transactions/authorize
+ * Place a hold on a customer's card without moving money
+ * Required permission: charge
+ */
+router.post(
+  "/transactions/authorize",
+  requirePermission("charge"),
+  checkTransactionLimit,
+  validateCardCharge,
+  byMode("authorizeCard")
+);
+
+/**
+ * POST /api/public/transactions/capture
+ * Capture a pending authorization (full or partial)
+ * Required permission: charge
+ */
+router.post(
+  "/transactions/capture",
+  requirePermission("charge"),
+  validateCapture,
+  byMode("captureAuthorization")
+);
+
+/**
+ * POST /api/public/transactions/void
+ * Release a pending authorization without charging
+ * Required permission: charge
+ */
+router.post(
+  "/transactions/void",
+  requirePermission("charge"),
+  validateVoid,
+  byMode("voidAuthorization")
+);
+
+// ============================================
+// HOSTED CHECKOUT ENDPOINTS
+// ============================================
+
+/**
+ * POST /api/public/checkout/sessions
+ * Create a checkout session the customer pays on our hosted page
+ * Required permission: charge
+ */
+router.post(
+  "/checkout/sessions",
+  requirePermission("charge"),
+  checkTransactionLimit,
+  validateCheckoutSession,
+  checkoutController.createCheckoutSession
+);
+
+/**
+ * GET /api/public/checkout/sessions/:sessionId
+ * Get a checkout session's status
+ * Required permission: charge
+ */
+router.get(
+  "/checkout/sessions/:sessionId",
+  requirePermission("charge"),
+  checkoutController.getCheckoutSession
 );
 
 // ============================================
@@ -123,7 +227,7 @@ router.post(
   "/cards/verify",
   cardVerifyLimiter,
   requirePermission("charge"),
-  publicTransactionController.verifyCard
+  byMode("verifyCard")
 );
 
 // ============================================
@@ -138,7 +242,7 @@ router.post(
 router.get(
   "/balance",
   requirePermission("balance"),
-  publicTransactionController.getBusinessBalance
+  byMode("getBusinessBalance")
 );
 
 module.exports = router;
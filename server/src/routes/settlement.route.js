@@ -0,0 +1,34 @@
+/**
+ * SETTLEMENT ROUTES
+ * =================
+ * Routes for daily settlement batches and payouts
+ * Businesses list their own batches under /api/business/settlements.
+ */
+
+const express = require("express");
+const router = express.Router();
+const settlementController = require("../controllers/settlement.controller");
+
+const { auth, checkRole } = require("../middlewares");
+
+// ============================================
+// ADMIN ROUTES (Admin authentication required)
+// ============================================
+
+// List all settlement batches (filter by status or businessId)
+router.get("/", auth, checkRole("admin"), settlementController.listSettlements);
+
+// Settle a day now and pay out pending batches
+router.post("/run", auth, checkRole("admin"), settlementController.runSettlement);
+
+// Retry the payout of a failed batch
+router.post("/:reference/payout", auth, checkRole("admin"), settlementController.retryPayout);
+
+// ============================================
+// PROTECTED ROUTES (Admin or the batch's business)
+// ============================================
+
+// Settlement report of a batch
+router.get("/:reference", auth, settlementController.getSettlementReport);
+
+module.exports = router;
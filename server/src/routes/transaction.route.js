@@ -1,30 +1,109 @@
 const express = require("express");
 const router = express.Router();
 const transactionController = require("../controllers/transaction.controller");
+const qrPaymentController = require("../controllers/qrPayment.controller");
+const scheduledTransferController = require("../controllers/scheduledTransfer.controller");
+const moneyRequestController = require("../controllers/moneyRequest.controller");
+const payeeController = require("../controllers/payee.controller");
+const statementController = require("../controllers/statement.controller");
 
-const { auth, checkRole, validateTransaction, validateDeposit, validateWithdraw } = require("../middlewares");
+const {
+  auth,
+  checkRole,
+  validateTransaction,
+  validateDeposit,
+  validateWithdraw,
+  validateQRPayment,
+  validateScheduledTransfer,
+  validateMoneyRequest,
+  validateStatement,
+  recipientLookupLimiter,
+} = require("../middlewares");
 
 // ============================================
 // PROTECTED ROUTES (Authentication required)
 // ============================================
 
-// Get all transactions for authenticated user
+// Get the authenticated user's transactions (filters, sort, cursor pagination)
 router.get("/", auth, transactionController.getUserTransactions);
 
-// Transfer funds between users
+// Statement of the current user's wallet for a period (?from&to, format=json|csv|pdf)
+router.get("/statement", auth, validateStatement, statementController.getMyStatement);
+
+// Transfer funds between users (recipient by user ID, email or handle)
 router.post("/transfer", auth, validateTransaction, transactionController.transferFunds);
 
+// Confirm a recipient's masked name before sending (?to=ID, email or @handle)
+router.get("/recipients/lookup", auth, recipientLookupLimiter, payeeController.lookupRecipient);
+
+// List the current user's scheduled transfers
+router.get("/scheduled", auth, scheduledTransferController.listScheduledTransfers);
+
+// Schedule a one-off or recurring (weekly / monthly) transfer
+router.post("/scheduled", auth, validateScheduledTransfer, scheduledTransferController.createScheduledTransfer);
+
+// Get one of the current user's scheduled transfers
+router.get("/scheduled/:transferId", auth, scheduledTransferController.getScheduledTransfer);
+
+// Edit an active or paused scheduled transfer
+router.patch("/scheduled/:transferId", auth, validateScheduledTransfer, scheduledTransferController.updateScheduledTransfer);
+
+// Pause a scheduled transfer
+router.post("/scheduled/:transferId/pause", auth, scheduledTransferController.pauseScheduledTransfer);
+
+// Resume a paused scheduled transfer
+router.post("/scheduled/:transferId/resume", auth, scheduledTransferController.resumeScheduledTransfer);
+
+// Cancel a scheduled transfer
+router.delete("/scheduled/:transferId", auth, scheduledTransferController.cancelScheduledTransfer);
+
+// List the money requests the current user sent
+router.get("/requests", auth, moneyRequestController.listSentMoneyRequests);
+
+// Request money from one or more users
+router.post("/requests", auth, validateMoneyRequest, moneyRequestController.createMoneyRequest);
+
+// List the money requests sent to the current user (pending by default)
+router.get("/requests/incoming", auth, moneyRequestController.listIncomingMoneyRequests);
+
+// Get a money request the current user sent or was asked to pay
+router.get("/requests/:requestId", auth, moneyRequestController.getMoneyRequest);
+
+// Pay the current user's part of a money request (C2C transfer)
+router.post("/requests/:requestId/accept", auth, moneyRequestController.acceptMoneyRequest);
+
+// Decline the current user's part of a money request
+router.post("/requests/:requestId/decline", auth, moneyRequestController.declineMoneyRequest);
+
+// Cancel a money request the current user sent
+router.delete("/requests/:requestId", auth, moneyRequestController.cancelMoneyRequest);
+
 // Deposit funds from bank to user wallet
 router.post("/deposit", auth, validateDeposit, transactionController.depositFunds);
 
 // Withdraw funds from user wallet to bank
 router.post("/withdraw", auth, validateWithdraw, transactionController.withdrawFunds);
 
+// Preview a scanned merchant QR code
+router.post("/qr/decode", auth, validateQRPayment, qrPaymentController.decodeQRCode);
+
+// Pay a merchant QR code from the wallet
+router.post("/qr/pay", auth, validateQRPayment, qrPaymentController.payQRCode);
+
 // ============================================
 // ADMIN ROUTES (Admin authentication required)
 // ============================================
 
+// Search all users' transactions (same filters, sorts and cursors as GET /)
+router.get("/search", auth, checkRole("admin"), transactionController.searchAllTransactions);
+
 // Get bank status (balance, statistics)
 router.get("/bank/status", auth, checkRole("admin"), transactionController.getBankStatus);
 
+// Reconcile wallets and bank reserve against the ledger and initial supply
+router.get("/bank/reconciliation", auth, checkRole("admin"), transactionController.getLedgerReconciliation);
+
+// Statement of any user's wallet for a period
+router.get("/statement/:userId", auth, checkRole("admin"), validateStatement, statementController.getUserStatement);
+
 module.exports = router;
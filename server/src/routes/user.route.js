@@ -2,8 +2,24 @@ const express = require("express");
 const router = express.Router();
 const rateLimit = require("express-rate-limit");
 const userController = require("../controllers/user.controller");
+const subscriptionController = require("../controllers/subscription.controller");
+const disputeController = require("../controllers/dispute.controller");
+const invoiceController = require("../controllers/invoice.controller");
+const notificationController = require("../controllers/notification.controller");
+const payeeController = require("../controllers/payee.controller");
 
-const { auth, checkRole, validateUser, validateRegistration, loginLimiter } = require("../middlewares");
+const {
+  auth,
+  checkRole,
+  validateUser,
+  validateRegistration,
+  validateMandate,
+  validateDispute,
+  validateHandle,
+  validatePayee,
+  validatePayeeOrder,
+  loginLimiter,
+} = require("../middlewares");
 
 // ============================================
 // PUBLIC ROUTES (No authentication required)
@@ -22,6 +38,54 @@ router.post("/login", loginLimiter, userController.login);
 // Get current user profile (any authenticated user)
 router.get("/profile", auth, userController.getProfile);
 
+// Set or remove the handle others can send money to (e.g. @juan_cruz)
+router.put("/profile/handle", auth, validateHandle, userController.updateHandle);
+
+// List the current user's saved payees in order
+router.get("/profile/payees", auth, payeeController.listPayees);
+
+// Save a recipient (user ID, email or handle) in the address book
+router.post("/profile/payees", auth, validatePayee, payeeController.addPayee);
+
+// Reorder the address book
+router.put("/profile/payees/order", auth, validatePayeeOrder, payeeController.reorderPayees);
+
+// Change or remove a payee's nickname
+router.patch("/profile/payees/:payeeId", auth, validatePayee, payeeController.updatePayee);
+
+// Remove a payee from the address book
+router.delete("/profile/payees/:payeeId", auth, payeeController.removePayee);
+
+// List the current user's subscription mandates
+router.get("/profile/mandates", auth, subscriptionController.listMyMandates);
+
+// Subscribe to a plan by granting a mandate (first period charged now)
+router.post("/profile/mandates", auth, validateMandate, subscriptionController.createMandate);
+
+// Cancel one of the current user's mandates
+router.delete("/profile/mandates/:mandateId", auth, subscriptionController.cancelMyMandate);
+
+// List the current user's disputes
+router.get("/profile/disputes", auth, disputeController.listMyDisputes);
+
+// Dispute one of the current user's payments (the amount is held on the business wallet)
+router.post("/profile/disputes", auth, validateDispute, disputeController.openDispute);
+
+// List invoices businesses sent to the current user
+router.get("/profile/invoices", auth, invoiceController.listMyInvoices);
+
+// Get an invoice sent to the current user
+router.get("/profile/invoices/:invoiceId", auth, invoiceController.getMyInvoice);
+
+// Pay an invoice from the wallet (a transfer to the business)
+router.post("/profile/invoices/:invoiceId/pay", auth, invoiceController.payInvoice);
+
+// List the current user's notifications (?unread=true for unread only)
+router.get("/profile/notifications", auth, notificationController.listNotifications);
+
+// Mark one of the current user's notifications as read
+router.post("/profile/notifications/:notificationId/read", auth, notificationController.markNotificationRead);
+
 // Get all users (admin only)
 router.get("/", auth, checkRole("admin"), userController.getAllUsers);
 
@@ -14,6 +14,11 @@ const transactionRoutes = require("../transaction.route");
 const businessRoutes = require("../business.route");
 const publicTransactionRoutes = require("../public.transaction.route");
 const employeeRoutes = require("../employee.route");
+const checkoutRoutes = require("../checkout.route");
+const paymentLinkRoutes = require("../paymentLink.route");
+const settlementRoutes = require("../settlement.route");
+const feeRoutes = require("../fee.route");
+const disputeRoutes = require("../dispute.route");
 
 // Mount routes
 router.use("/users", userRoutes);
@@ -21,5 +26,10 @@ router.use("/transactions", transactionRoutes);
 router.use("/business", businessRoutes);
 router.use("/public", publicTransactionRoutes);
 router.use("/employees", employeeRoutes);
+router.use("/checkout", checkoutRoutes);
+router.use("/payment-links", paymentLinkRoutes);
+router.use("/settlements", settlementRoutes);
+router.use("/fees", feeRoutes);
+router.use("/disputes", disputeRoutes);
 
 module.exports = router;
@@ -19,6 +19,7 @@ if (!process.env.JWT_SECRET || process.env.JWT_SECRET.length < 32) {
 const app = require("./app");
 const connectDB = require("./configs/mongo.config");
 const Bank = require("./models/bank.model");
+const { openLedger } = require("./utils/ledger");
 const { seedDatabase: seedDefaultUsers } = require("./utils/seedUsers");
 
 const PORT = process.env.PORT || 5000;
@@ -46,6 +47,11 @@ connectDB()
     // Initialize bank on startup
     await initializeBank();
 
+    // Post opening balances the first time the ledger is used
+    if (await openLedger()) {
+      console.log("✅ Ledger opened with existing balances");
+    }
+
     // Seed default staff and admin users
     await seedDefaultUsers();
 
@@ -0,0 +1,134 @@
+/**
+ * API KEY ROTATION UTILITIES
+ * ==========================
+ * Replace an API key without breaking deployed integrations
+ * - rotateAPIKey: issues a new secret with the same settings; the old secret
+ *   keeps working until the end of a grace period
+ * - revokeExpiredKeys: revokes keys past their expiry (scheduled by the CRON manager)
+ */
+
+const APIKey = require("../models/apiKey.model");
+const { generateAPIKey, hashAPIKey } = require("./cardGenerator");
+const { enqueueEvent, dispatchDeliveries } = require("./webhooks");
+
+// How long a rotated key keeps working by default (in hours)
+const API_KEY_ROTATION_GRACE_HOURS = parseInt(process.env.API_KEY_ROTATION_GRACE_HOURS) || 24;
+
+// Longest grace period a business can ask for (in hours)
+const MAX_ROTATION_GRACE_HOURS = 7 * 24;
+
+/**
+ * Rotate an API key
+ * Creates a new key copying the old key's name, permissions, allowed origins,
+ * IP whitelist, request signing settings and limits (including today's usage
+ * counters, so rotating does not reset daily limits), and sets the old key to
+ * expire after the grace period.
+ *
+ * @param {Object} oldKey - Active API key document to replace (loaded with +requestSigning.secret)
+ * @param {Object} options
+ * @param {number} options.gracePeriodHours - Hours the old key keeps working (0 = expire now)
+ * @param {Object} options.session - MongoDB session (optional)
+ * @returns {Promise<{apiKey: Object, plainKey: string, oldKey: Object}|null>}
+ *   null if the key was already rotated or revoked meanwhile
+ */
+const rotateAPIKey = async (oldKey, { gracePeriodHours = API_KEY_ROTATION_GRACE_HOURS, session = null } = {}) => {
+  const now = new Date();
+  const prefix = oldKey.environment === "test" ? "scb_test_" : "scb_live_";
+  const plainKey = generateAPIKey(prefix);
+
+  const apiKey = new APIKey({
+    business: oldKey.business,
+    keyHash: hashAPIKey(plainKey),
+    keyPrefix: plainKey.substring(0, 12),
+    name: oldKey.name,
+    permissions: oldKey.permissions,
+    rateLimit: {
+      requestsPerMinute: oldKey.rateLimit.requestsPerMinute,
+      requestsPerDay: oldKey.rateLimit.requestsPerDay,
+    },
+    usage: {
+      dailyRequests: oldKey.usage.dailyRequests,
+      lastResetDate: oldKey.usage.lastResetDate,
+    },
+    transactionLimits: {
+      maxAmountPerTransaction: oldKey.transactionLimits.maxAmountPerTransaction,
+      dailyTransactionLimit: oldKey.transactionLimits.dailyTransactionLimit,
+      dailyTransactionTotal: oldKey.transactionLimits.dailyTransactionTotal,
+    },
+    environment: oldKey.environment,
+    ipWhitelist: oldKey.ipWhitelist,
+    allowedOrigins: oldKey.allowedOrigins,
+    requestSigning: oldKey.requestSigning?.enabled
+      ? {
+          enabled: true,
+          secret: oldKey.requestSigning.secret,
+          enabledAt: oldKey.requestSigning.enabledAt,
+        }
+      : { enabled: false },
+    rotatedFrom: oldKey._id,
+    rotatedAt: now,
+  });
+
+  await apiKey.save({ session });
+
+  // Keep an earlier expiry if the old key already had one
+  let expiresAt = new Date(now.getTime() + gracePeriodHours * 60 * 60 * 1000);
+  if (oldKey.expiresAt && oldKey.expiresAt < expiresAt) {
+    expiresAt = oldKey.expiresAt;
+  }
+
+  // Conditional update so two concurrent rotations cannot both succeed
+  const rotatedOldKey = await APIKey.findOneAndUpdate(
+    { _id: oldKey._id, isActive: true, rotatedTo: null },
+    { $set: { rotatedTo: apiKey._id, rotatedAt: now, expiresAt } },
+    { new: true, session }
+  );
+
+  if (!rotatedOldKey) {
+    return null;
+  }
+
+  return { apiKey, plainKey, oldKey: rotatedOldKey };
+};
+
+/**
+ * Revoke active keys whose expiry date has passed
+ * Rotated keys are revoked once their grace period ends.
+ * @returns {Promise<number>} Number of keys revoked
+ */
+const revokeExpiredKeys = async () => {
+  const expiredKeys = await APIKey.find({
+    isActive: true,
+    expiresAt: { $lte: new Date() },
+  });
+
+  let revoked = 0;
+
+  for (const apiKey of expiredKeys) {
+    try {
+      await apiKey.revoke(apiKey.rotatedTo ? "Rotated - grace period ended" : "Expired");
+      revoked += 1;
+
+      const webhookDeliveries = await enqueueEvent(apiKey.business, "api_key.revoked", {
+        keyId: apiKey._id,
+        keyPrefix: apiKey.keyPrefix,
+        name: apiKey.name,
+        reason: apiKey.revokedReason,
+        revokedAt: apiKey.revokedAt,
+        replacedBy: apiKey.rotatedTo || null,
+      });
+      dispatchDeliveries(webhookDeliveries);
+    } catch (error) {
+      console.error(`❌ Failed to revoke expired API key ${apiKey._id}:`, error.message);
+    }
+  }
+
+  return revoked;
+};
+
+module.exports = {
+  API_KEY_ROTATION_GRACE_HOURS,
+  MAX_ROTATION_GRACE_HOURS,
+  rotateAPIKey,
+  revokeExpiredKeys,
+};
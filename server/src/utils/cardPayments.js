@@ -0,0 +1,362 @@
+/**
+ * CARD PAYMENT UTILITIES
+ * ======================
+ * Shared steps for payments made with a customer's virtual card
+ * - Cardholder authentication (card status, lockout, CVV check)
+ * - Immediate payments from a customer's wallet to a business (card or wallet)
+ * - Wallet hold helpers for authorize-then-capture payments
+ * - Expiry of stale authorizations (scheduled by the CRON manager)
+ */
+
+const mongoose = require("mongoose");
+const Transaction = require("../models/transaction.model");
+const User = require("../models/user.model");
+const { recordTransferWithFee, walletAccount } = require("./ledger");
+const { calculateFee, collectFee } = require("./fees");
+const { toCents, fromCents, toDecimal128, subtractMoney } = require("./money");
+
+// How long an authorization hold stays valid before it expires (in hours)
+const AUTHORIZATION_EXPIRY_HOURS = parseInt(process.env.AUTHORIZATION_EXPIRY_HOURS) || 24;
+
+/**
+ * Get the amount currently held on a wallet (pending authorizations, open disputes)
+ * @param {Object} user - User document
+ * @returns {number}
+ */
+const getHeldBalance = (user) => {
+  const held = user.wallet?.heldBalance;
+  return held ? fromCents(toCents(held)) : 0;
+};
+
+/**
+ * Get the spendable wallet balance (balance minus held amount)
+ * @param {Object} user - User document
+ * @returns {number}
+ */
+const getAvailableBalance = (user) => {
+  return fromCents(toCents(user.wallet.balance) - toCents(getHeldBalance(user)));
+};
+
+/**
+ * Set the held amount on a wallet
+ * @param {Object} user - User document
+ * @param {number} amount - New held amount
+ */
+const setHeldBalance = (user, amount) => {
+  user.wallet.heldBalance = toDecimal128(Math.max(toCents(amount), 0));
+};
+
+/**
+ * Compute the expiry date of a new authorization
+ * @returns {Date}
+ */
+const getAuthorizationExpiry = () => {
+  return new Date(Date.now() + AUTHORIZATION_EXPIRY_HOURS * 60 * 60 * 1000);
+};
+
+/**
+ * Find and authenticate the holder of a card inside a payment session
+ * Checks the card is active, not expired and not locked, then verifies the CVV
+ * (5 failed attempts lock the card for 30 minutes; failed attempts are saved
+ * outside the session so they persist when the payment is aborted).
+ *
+ * @param {string} cardNumber - Card number
+ * @param {string} cvv - Plain CVV
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<{customer?: Object, error?: {status: number, code: string, message: string}}>}
+ */
+const authenticateCard = async (cardNumber, cvv, session) => {
+  const customer = await User.findByCardNumber(cardNumber)
+    .select("+virtualCard.cvv")
+    .session(session);
+
+  if (!customer) {
+    return { error: { status: 404, code: "CARD_NOT_FOUND", message: "Card not found or invalid." } };
+  }
+
+  // Validate card is active
+  if (!customer.virtualCard.isActive) {
+    return { error: { status: 400, code: "CARD_INACTIVE", message: "This card is not active." } };
+  }
+
+  // Check if card is expired
+  if (customer.isCardExpired()) {
+    return { error: { status: 400, code: "CARD_EXPIRED", message: "This card has expired." } };
+  }
+
+  // Check if card is locked due to failed attempts
+  if (customer.virtualCard.lockedUntil && new Date() < customer.virtualCard.lockedUntil) {
+    return {
+      error: {
+        status: 423,
+        code: "CARD_LOCKED",
+        message: "Card is temporarily locked due to multiple failed CVV attempts. Please try again later.",
+      },
+    };
+  }
+
+  // Verify CVV
+  const cvvValid = await customer.compareCVV(cvv);
+  if (!cvvValid) {
+    // Count the failure outside the payment session: the caller aborts the
+    // session on this error, which would roll the count back with it
+    const failed = await User.findOneAndUpdate(
+      { _id: customer._id },
+      {
+        $inc: { "virtualCard.failedCVVAttempts": 1 },
+        $set: { "virtualCard.lastFailedCVVAttempt": new Date() },
+      },
+      { new: true }
+    );
+
+    // Lock card after 5 failed attempts for 30 minutes
+    if (failed && failed.virtualCard.failedCVVAttempts >= 5) {
+      await User.updateOne(
+        { _id: customer._id },
+        { $set: { "virtualCard.lockedUntil": new Date(Date.now() + 30 * 60 * 1000) } } // 30 minutes
+      );
+      return {
+        error: {
+          status: 423,
+          code: "CARD_LOCKED",
+          message: "Card has been locked due to multiple failed CVV attempts. Please try again in 30 minutes.",
+        },
+      };
+    }
+
+    return { error: { status: 400, code: "INVALID_CVV", message: "Invalid CVV." } };
+  }
+
+  // Reset failed attempts on successful CVV verification
+  if (customer.virtualCard.failedCVVAttempts > 0) {
+    customer.virtualCard.failedCVVAttempts = 0;
+    customer.virtualCard.lockedUntil = null;
+  }
+
+  return { customer };
+};
+
+/**
+ * Pay a business from a customer's wallet inside a payment session
+ * Checks the card's daily limit (card payments only) and the available
+ * balance, moves the money, records the transaction and posts it to the ledger.
+ * The business receives the amount minus the payment fee (see utils/fees.js).
+ *
+ * @param {Object} params
+ * @param {Object} params.customer - Paying user document (loaded in the session)
+ * @param {Object} params.business - Business receiving the payment
+ * @param {Object} params.apiKey - API key the payment is made with (optional)
+ * @param {number} params.amount - Amount to pay
+ * @param {string} params.paymentMethod - "card", "wallet" or "qr"
+ * @param {string} params.cardNumber - Card number (card payments only, only the last 4 digits are kept)
+ * @param {string} params.transactionCategory - Defaults to "B2C"
+ * @param {string} params.description - Description (optional)
+ * @param {string} params.externalReference - Merchant reference (optional)
+ * @param {Object} params.qrCode - {id, isDynamic} of the scanned QR code (QR payments only)
+ * @param {ObjectId} params.paymentLink - Payment link paid (payment link payments only)
+ * @param {ObjectId} params.mandate - Mandate charged (subscription charges only)
+ * @param {Object} params.session - MongoDB session
+ * @returns {Promise<{transaction?: Object, error?: {status: number, code: string, message: string}}>}
+ */
+const payMerchant = async ({
+  customer,
+  business,
+  apiKey = null,
+  amount,
+  paymentMethod,
+  cardNumber,
+  transactionCategory = "B2C",
+  description,
+  externalReference,
+  qrCode,
+  paymentLink,
+  mandate,
+  session,
+}) => {
+  const isCard = paymentMethod === "card";
+
+  // Check daily spending limit
+  if (isCard && !customer.canSpend(amount)) {
+    return { error: { status: 400, code: "DAILY_LIMIT_EXCEEDED", message: "Daily spending limit exceeded." } };
+  }
+
+  // Check customer balance (funds held by pending authorizations are not spendable)
+  const amountCents = toCents(amount);
+  const customerBalanceCents = toCents(customer.wallet.balance);
+  if (toCents(getAvailableBalance(customer)) < amountCents) {
+    return {
+      error: {
+        status: 400,
+        code: "INSUFFICIENT_FUNDS",
+        message: isCard ? "Insufficient funds in card." : "Insufficient funds in wallet.",
+      },
+    };
+  }
+
+  // Get business account for crediting
+  const businessAccount = await User.findById(business._id).session(session);
+  if (!businessAccount) {
+    return { error: { status: 500, code: "BUSINESS_NOT_FOUND", message: "Business account error." } };
+  }
+
+  const businessBalanceCents = toCents(businessAccount.wallet.balance);
+
+  // Fee kept by the bank out of what the business receives
+  const { feeCents, schedule } = await calculateFee({
+    transactionType: "payment",
+    transactionCategory,
+    businessType: businessAccount.businessInfo?.businessType,
+    amount,
+    session,
+  });
+  const creditCents = amountCents - feeCents;
+
+  // Process payment
+  customer.wallet.balance = toDecimal128(customerBalanceCents - amountCents);
+  businessAccount.wallet.balance = toDecimal128(businessBalanceCents + creditCents);
+
+  // Record spending on card
+  if (isCard) {
+    customer.recordSpending(amount);
+  }
+
+  await customer.save({ session });
+  await businessAccount.save({ session });
+  await collectFee(feeCents, session);
+
+  // Record transaction amount on API key
+  if (apiKey) {
+    apiKey.recordTransaction(amount);
+    await apiKey.save({ session });
+  }
+
+  const transaction = new Transaction({
+    type: "payment",
+    from: customer._id,
+    to: business._id,
+    amount,
+    transactionCategory,
+    paymentMethod,
+    cardUsed: isCard
+      ? {
+          last4: cardNumber.slice(-4),
+          cardType: "SmartCity",
+        }
+      : undefined,
+    merchant: {
+      businessId: business._id,
+      businessName: business.businessInfo?.businessName || "Unknown Business",
+      apiKeyId: apiKey?._id,
+    },
+    qrCode,
+    paymentLink,
+    mandate,
+    externalReference,
+    description,
+    status: "completed",
+    fee: fromCents(feeCents),
+    feeSchedule: schedule?._id,
+    fromBalanceBefore: fromCents(customerBalanceCents),
+    fromBalanceAfter: fromCents(customerBalanceCents - amountCents),
+    toBalanceBefore: fromCents(businessBalanceCents),
+    toBalanceAfter: fromCents(businessBalanceCents + creditCents),
+  });
+
+  await transaction.save({ session });
+
+  // Post the movement and the fee to the ledger
+  await recordTransferWithFee({
+    from: walletAccount(customer._id),
+    to: walletAccount(business._id),
+    amount,
+    fee: fromCents(feeCents),
+    transaction,
+    session,
+  });
+
+  return { transaction };
+};
+
+/**
+ * Release the hold of a pending authorization without moving money
+ * Used when an authorization is voided or expires.
+ *
+ * @param {Object} authorization - Pending payment Transaction document
+ * @param {string} status - Final status ("voided" or "expired")
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Object>} The updated transaction
+ */
+const releaseAuthorization = async (authorization, status, session) => {
+  const customer = await User.findById(authorization.from).session(session);
+  const authorizedAmount = authorization.authorization.authorizedAmount;
+
+  // Sandbox authorizations (livemode: false) have no customer and no hold
+  if (customer) {
+    setHeldBalance(customer, subtractMoney(getHeldBalance(customer), authorizedAmount));
+    customer.releaseSpending(authorizedAmount, authorization.createdAt);
+    await customer.save({ session });
+  }
+
+  authorization.status = status;
+  if (status === "voided") {
+    authorization.authorization.voidedAt = new Date();
+  }
+  await authorization.save({ session });
+
+  return authorization;
+};
+
+/**
+ * Expire all pending authorizations past their expiry date
+ * Releases each hold in its own MongoDB transaction.
+ * @returns {Promise<number>} Number of authorizations expired
+ */
+const expireStaleAuthorizations = async () => {
+  const stale = await Transaction.find({
+    type: "payment",
+    status: "pending",
+    "authorization.expiresAt": { $lte: new Date() },
+  }).select("_id");
+
+  let expired = 0;
+
+  for (const { _id } of stale) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      // Re-read inside the session in case it was captured or voided meanwhile
+      const authorization = await Transaction.findOne({ _id, status: "pending" }).session(session);
+
+      if (!authorization) {
+        await session.abortTransaction();
+        session.endSession();
+        continue;
+      }
+
+      await releaseAuthorization(authorization, "expired", session);
+
+      await session.commitTransaction();
+      session.endSession();
+      expired += 1;
+    } catch (error) {
+      await session.abortTransaction();
+      session.endSession();
+      console.error(`❌ Failed to expire authorization ${_id}:`, error.message);
+    }
+  }
+
+  return expired;
+};
+
+module.exports = {
+  AUTHORIZATION_EXPIRY_HOURS,
+  getHeldBalance,
+  getAvailableBalance,
+  setHeldBalance,
+  getAuthorizationExpiry,
+  authenticateCard,
+  payMerchant,
+  releaseAuthorization,
+  expireStaleAuthorizations,
+};
@@ -0,0 +1,181 @@
+/**
+ * HOSTED CHECKOUT PAGE
+ * ====================
+ * Renders the page customers pay checkout sessions on
+ * The page is static: it loads the session through
+ * GET /api/v1/checkout/:sessionId/details and pays through the
+ * /pay/card, /pay/wallet (after /api/v1/users/login) and /cancel endpoints,
+ * then sends the customer to the merchant's return URL.
+ */
+
+const crypto = require("crypto");
+
+/**
+ * Render the hosted checkout page for a session
+ * The inline script and style carry a per-response nonce for the page's
+ * Content-Security-Policy header.
+ * @param {string} sessionId - Public checkout session ID
+ * @returns {{html: string, nonce: string}}
+ */
+const renderCheckoutPage = (sessionId) => {
+  const nonce = crypto.randomBytes(16).toString("base64");
+  // JSON-encode and escape "<" so the ID cannot close the script tag
+  const sessionIdLiteral = JSON.stringify(String(sessionId)).replace(/</g, "\\u003c");
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>Checkout - Smart City Bank</title>
+<style nonce="${nonce}">
+  body { font-family: system-ui, sans-serif; background: #f4f5f7; margin: 0; color: #1f2933; }
+  main { max-width: 420px; margin: 40px auto; background: #fff; border-radius: 8px; padding: 24px; box-shadow: 0 1px 4px rgba(0,0,0,.1); }
+  h1 { font-size: 1.1rem; margin: 0 0 4px; }
+  .amount { font-size: 2rem; font-weight: 600; margin: 8px 0; }
+  .muted { color: #616e7c; font-size: .9rem; }
+  .test { background: #fff3c4; color: #8d2b0b; padding: 6px 10px; border-radius: 4px; font-size: .85rem; }
+  form { margin-top: 20px; }
+  label { display: block; font-size: .85rem; margin: 12px 0 4px; }
+  input { width: 100%; box-sizing: border-box; padding: 10px; border: 1px solid #cbd2d9; border-radius: 4px; font-size: 1rem; }
+  button { width: 100%; margin-top: 16px; padding: 12px; border: 0; border-radius: 4px; background: #1f6feb; color: #fff; font-size: 1rem; cursor: pointer; }
+  button.link { background: none; color: #616e7c; margin-top: 8px; }
+  button:disabled { opacity: .6; cursor: default; }
+  .error { color: #cf1124; font-size: .9rem; margin-top: 12px; }
+  [hidden] { display: none; }
+</style>
+</head>
+<body>
+<main>
+  <p id="loading" class="muted">Loading checkout...</p>
+  <section id="checkout" hidden>
+    <p id="test-banner" class="test" hidden>Test mode - use a test card. No real money is moved.</p>
+    <h1 id="business"></h1>
+    <p id="description" class="muted"></p>
+    <p id="amount" class="amount"></p>
+
+    <form id="card-form">
+      <label for="card-number">Card number</label>
+      <input id="card-number" inputmode="numeric" autocomplete="cc-number" maxlength="19" required>
+      <label for="cvv">CVV</label>
+      <input id="cvv" inputmode="numeric" autocomplete="cc-csc" maxlength="3" required>
+      <button type="submit">Pay with card</button>
+    </form>
+
+    <form id="wallet-form" hidden>
+      <p class="muted">Or pay from your Smart City Bank wallet</p>
+      <label for="email">Email</label>
+      <input id="email" type="email" autocomplete="username" required>
+      <label for="password">Password</label>
+      <input id="password" type="password" autocomplete="current-password" required>
+      <button type="submit">Log in and pay</button>
+    </form>
+
+    <p id="error" class="error" hidden></p>
+    <button id="cancel" type="button" class="link">Cancel and return to merchant</button>
+  </section>
+  <p id="closed" class="muted" hidden></p>
+</main>
+<script nonce="${nonce}">
+(function () {
+  var sessionId = ${sessionIdLiteral};
+  var base = "/api/v1/checkout/" + encodeURIComponent(sessionId);
+  var $ = function (id) { return document.getElementById(id); };
+
+  function request(method, url, body, token) {
+    var headers = { "Content-Type": "application/json" };
+    if (token) headers.Authorization = "Bearer " + token;
+    return fetch(url, { method: method, headers: headers, body: body ? JSON.stringify(body) : undefined })
+      .then(function (response) { return response.json(); });
+  }
+
+  function errorMessage(result) {
+    return (result.error && result.error.message) || result.message || "Payment failed. Please try again.";
+  }
+
+  function showError(message) {
+    $("error").textContent = message;
+    $("error").hidden = false;
+  }
+
+  function setBusy(busy) {
+    document.querySelectorAll("button").forEach(function (button) { button.disabled = busy; });
+  }
+
+  function finish(result) {
+    if (result.success && result.data.redirectUrl) {
+      window.location.assign(result.data.redirectUrl);
+      return;
+    }
+    setBusy(false);
+    showError(errorMessage(result));
+  }
+
+  request("GET", base + "/details").then(function (result) {
+    $("loading").hidden = true;
+    if (!result.success) {
+      $("closed").textContent = errorMessage(result);
+      $("closed").hidden = false;
+      return;
+    }
+
+    var details = result.data;
+    if (details.status !== "open") {
+      $("closed").textContent = "This checkout is " + details.status + ". Returning to the merchant...";
+      $("closed").hidden = false;
+      if (details.returnUrl) setTimeout(function () { window.location.assign(details.returnUrl); }, 2000);
+      return;
+    }
+
+    $("business").textContent = details.businessName;
+    $("description").textContent = details.description || "";
+    $("amount").textContent = details.currency + " " + Number(details.amount).toFixed(2);
+    $("test-banner").hidden = details.livemode;
+    $("wallet-form").hidden = !details.walletAvailable;
+    $("checkout").hidden = false;
+  });
+
+  $("card-form").addEventListener("submit", function (event) {
+    event.preventDefault();
+    setBusy(true);
+    $("error").hidden = true;
+    request("POST", base + "/pay/card", {
+      cardNumber: $("card-number").value.replace(/\\s/g, ""),
+      cvv: $("cvv").value
+    }).then(finish);
+  });
+
+  $("wallet-form").addEventListener("submit", function (event) {
+    event.preventDefault();
+    setBusy(true);
+    $("error").hidden = true;
+    request("POST", "/api/v1/users/login", {
+      email: $("email").value,
+      password: $("password").value
+    }).then(function (login) {
+      if (!login.success) {
+        setBusy(false);
+        showError(errorMessage(login));
+        return;
+      }
+      return request("POST", base + "/pay/wallet", null, login.data.token).then(finish);
+    });
+  });
+
+  $("cancel").addEventListener("click", function () {
+    setBusy(true);
+    request("POST", base + "/cancel").then(finish);
+  });
+})();
+</script>
+</body>
+</html>
+`;
+
+  return { html, nonce };
+};
+
+module.exports = {
+  renderCheckoutPage,
+};
@@ -1,12 +1,28 @@
 /**
  * CRON JOB UTILITY
  * =================
- * Scheduled tasks to keep the server alive on Render
- * Calls health endpoint every 10 minutes to prevent shutdown
+ * Scheduled tasks for the server
+ * - Keep-alive: calls health endpoint every 10 minutes to prevent shutdown on Render
+ * - Payments: releases card authorization holds that were never captured
+ * - Webhooks: retries pending webhook deliveries
+ * - API keys: revokes expired keys (e.g. rotated keys after their grace period)
+ * - Subscriptions: charges mandates that are due (including retries)
+ * - Settlements: creates daily settlement batches and pays them out
+ * - Invoices: marks unpaid invoices past their due date as overdue and reminds recipients
+ * - Scheduled transfers: runs users' one-off and recurring wallet transfers that are due
+ * - Money requests: expires open requests past their expiry date
  */
 
 const cron = require('node-cron');
 const axios = require('axios');
+const { expireStaleAuthorizations } = require('./cardPayments');
+const { processDueDeliveries } = require('./webhooks');
+const { revokeExpiredKeys } = require('./apiKeyRotation');
+const { processDueMandates } = require('./mandates');
+const { runDailySettlement } = require('./settlements');
+const { processOverdueInvoices } = require('./invoices');
+const { processDueTransfers } = require('./scheduledTransfers');
+const { expireMoneyRequests } = require('./moneyRequests');
 
 class CronManager {
   constructor() {
@@ -27,14 +43,157 @@ class CronManager {
       return;
     }
 
-    // Only run CRON jobs in production (Render)
+    // Never schedule jobs while running tests
+    if (process.env.NODE_ENV === 'test') {
+      console.log('⏰ CRON jobs skipped (test environment)');
+      return;
+    }
+
+    // Keep-alive pings are only needed in production (Render)
     if (process.env.NODE_ENV === 'production') {
       this.startHealthCheckJob();
-      this.isRunning = true;
-      console.log('⏰ CRON jobs initialized for production environment');
-    } else {
-      console.log('⏰ CRON jobs skipped (not in production)');
     }
+
+    this.startAuthorizationExpiryJob();
+    this.startWebhookDeliveryJob();
+    this.startAPIKeyExpiryJob();
+    this.startMandateBillingJob();
+    this.startSettlementJob();
+    this.startInvoiceReminderJob();
+    this.startScheduledTransferJob();
+    this.startMoneyRequestExpiryJob();
+
+    this.isRunning = true;
+    console.log(`⏰ CRON jobs initialized for ${process.env.NODE_ENV || 'development'} environment`);
+  }
+
+  /**
+   * Schedule a background task, logging (not throwing) its failures
+   * @param {string} name - Job name shown in the status endpoint
+   * @param {string} expression - CRON expression
+   * @param {Function} task - Async function to run
+   */
+  scheduleJob(name, expression, task) {
+    const job = cron.schedule(expression, async () => {
+      try {
+        await task();
+      } catch (error) {
+        console.error(`❌ CRON job "${name}" failed at ${new Date().toISOString()}:`, error.message);
+      }
+    }, {
+      scheduled: false, // Don't start immediately
+    });
+
+    job.name = name;
+    job.start();
+    this.jobs.push(job);
+
+    console.log(`📅 CRON job "${name}" scheduled: ${expression}`);
+  }
+
+  /**
+   * Start authorization expiry job - runs every 5 minutes
+   * Releases holds of card authorizations past their expiry date
+   */
+  startAuthorizationExpiryJob() {
+    this.scheduleJob('authorization-expiry', '*/5 * * * *', async () => {
+      const expired = await expireStaleAuthorizations();
+      if (expired > 0) {
+        console.log(`⌛ Expired ${expired} stale card authorization(s)`);
+      }
+    });
+  }
+
+  /**
+   * Start webhook delivery job - runs every minute
+   * Delivers queued webhook events whose next attempt is due
+   */
+  startWebhookDeliveryJob() {
+    this.scheduleJob('webhook-delivery', '* * * * *', async () => {
+      const processed = await processDueDeliveries();
+      if (processed > 0) {
+        console.log(`📨 Attempted ${processed} webhook deliver${processed === 1 ? 'y' : 'ies'}`);
+      }
+    });
+  }
+
+  /**
+   * Start API key expiry job - runs every 5 minutes
+   * Revokes keys past their expiry date, including rotated keys whose grace period ended
+   */
+  startAPIKeyExpiryJob() {
+    this.scheduleJob('api-key-expiry', '*/5 * * * *', async () => {
+      const revoked = await revokeExpiredKeys();
+      if (revoked > 0) {
+        console.log(`🔑 Revoked ${revoked} expired API key(s)`);
+      }
+    });
+  }
+
+  /**
+   * Start mandate billing job - runs every 15 minutes
+   * Charges subscription mandates whose next charge or retry is due
+   */
+  startMandateBillingJob() {
+    this.scheduleJob('mandate-billing', '*/15 * * * *', async () => {
+      const { charged, failed } = await processDueMandates();
+      if (charged + failed > 0) {
+        console.log(`🔁 Charged ${charged} mandate(s), ${failed} failed`);
+      }
+    });
+  }
+
+  /**
+   * Start settlement job - runs every hour
+   * Settles the previous (UTC) day once per business and pays out pending batches.
+   * Running hourly makes the first run after midnight UTC whatever the server's timezone.
+   */
+  startSettlementJob() {
+    this.scheduleJob('settlement', '10 * * * *', async () => {
+      const { created, paid, failed } = await runDailySettlement();
+      if (created + paid + failed > 0) {
+        console.log(`🏦 Settlement: ${created} batch(es) created, ${paid} paid out, ${failed} failed`);
+      }
+    });
+  }
+
+  /**
+   * Start invoice reminder job - runs every hour
+   * Marks sent invoices past their due date as overdue and reminds their recipients
+   */
+  startInvoiceReminderJob() {
+    this.scheduleJob('invoice-reminders', '20 * * * *', async () => {
+      const { overdue, reminded } = await processOverdueInvoices();
+      if (overdue + reminded > 0) {
+        console.log(`🧾 Invoices: ${overdue} became overdue, ${reminded} reminder(s) sent`);
+      }
+    });
+  }
+
+  /**
+   * Start scheduled transfer job - runs every 5 minutes
+   * Makes the one-off and recurring wallet transfers whose date has come
+   */
+  startScheduledTransferJob() {
+    this.scheduleJob('scheduled-transfers', '*/5 * * * *', async () => {
+      const { transferred, failed } = await processDueTransfers();
+      if (transferred + failed > 0) {
+        console.log(`📆 Scheduled transfers: ${transferred} made, ${failed} failed`);
+      }
+    });
+  }
+
+  /**
+   * Start money request expiry job - runs every 15 minutes
+   * Expires open money requests past their expiry date
+   */
+  startMoneyRequestExpiryJob() {
+    this.scheduleJob('money-request-expiry', '*/15 * * * *', async () => {
+      const { expired } = await expireMoneyRequests();
+      if (expired > 0) {
+        console.log(`💸 Expired ${expired} money request(s)`);
+      }
+    });
   }
 
   /**
@@ -60,6 +219,7 @@ class CronManager {
     });
 
     // Start the job
+    job.name = 'health-check';
     job.start();
     this.jobs.push(job);
 
@@ -88,6 +248,7 @@ class CronManager {
       jobCount: this.jobs.length,
       jobs: this.jobs.map((job, index) => ({
         id: index + 1,
+        name: job.name,
         running: job.running,
         scheduled: job.scheduled,
       }))
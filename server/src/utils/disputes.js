@@ -0,0 +1,198 @@
+/**
+ * DISPUTE UTILITIES
+ * =================
+ * Money movements behind the dispute workflow (see models/dispute.model.js)
+ * - placeDisputeHold: holds the disputed amount on the business wallet
+ * - reverseDisputedPayment: gives the disputed amount back to the customer
+ * - releaseDisputeHold: releases the hold of a dispute closed for the business
+ *
+ * All of them run inside the caller's MongoDB session. A reversal is posted to
+ * the ledger like a refund, and gives back the matching share of the payment
+ * fee (see utils/fees.js).
+ */
+
+const Transaction = require("../models/transaction.model");
+const User = require("../models/user.model");
+const { getHeldBalance, setHeldBalance } = require("./cardPayments");
+const { recordTransferWithFee, walletAccount } = require("./ledger");
+const { collectFee, reversedFeeCents } = require("./fees");
+const { toCents, fromCents, toDecimal128, addMoney, subtractMoney } = require("./money");
+
+// Days after a payment during which the customer can dispute it
+const DISPUTE_WINDOW_DAYS = parseInt(process.env.DISPUTE_WINDOW_DAYS) || 60;
+// Days the business has to submit evidence once a dispute is opened
+const DISPUTE_EVIDENCE_DAYS = parseInt(process.env.DISPUTE_EVIDENCE_DAYS) || 7;
+
+/**
+ * Amount of a payment that can still be disputed (not refunded or disputed)
+ * @param {Object} payment - Payment Transaction document
+ * @returns {number} Amount in centavos
+ */
+const disputableCents = (payment) => {
+  return toCents(payment.amount) - toCents(payment.refundedAmount || 0) - toCents(payment.disputedAmount || 0);
+};
+
+/**
+ * Compute the evidence deadline of a new dispute
+ * @param {Date} now - Current time
+ * @returns {Date}
+ */
+const getEvidenceDueBy = (now = new Date()) => {
+  return new Date(now.getTime() + DISPUTE_EVIDENCE_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Hold the amount of a new dispute on the business wallet
+ * The business can no longer spend, withdraw or be paid out the amount, and
+ * cannot refund it, until the dispute is resolved.
+ * @param {Object} dispute - New Dispute document
+ * @param {Object} payment - Disputed payment Transaction document
+ * @param {Object} session - MongoDB session
+ */
+const placeDisputeHold = async (dispute, payment, session) => {
+  const business = await User.findById(dispute.business).session(session);
+
+  setHeldBalance(business, addMoney(getHeldBalance(business), dispute.amount));
+  await business.save({ session });
+
+  payment.disputedAmount = addMoney(payment.disputedAmount || 0, dispute.amount);
+  await payment.save({ session });
+};
+
+/**
+ * Release the hold of a dispute on the business wallet and the payment (not saved)
+ * @param {Object} dispute - Dispute document
+ * @param {Object} payment - Disputed payment Transaction document
+ * @param {Object} business - Business user document
+ */
+const removeHold = (dispute, payment, business) => {
+  setHeldBalance(business, subtractMoney(getHeldBalance(business), dispute.amount));
+  payment.disputedAmount = Math.max(subtractMoney(payment.disputedAmount || 0, dispute.amount), 0);
+};
+
+/**
+ * Release the hold of a dispute closed in favour of the business
+ * @param {Object} dispute - Dispute document
+ * @param {Object} payment - Disputed payment Transaction document
+ * @param {Object} session - MongoDB session
+ */
+const releaseDisputeHold = async (dispute, payment, session) => {
+  const business = await User.findById(dispute.business).session(session);
+
+  removeHold(dispute, payment, business);
+  await business.save({ session });
+  await payment.save({ session });
+};
+
+/**
+ * Give the disputed amount back to the customer
+ * Releases the hold, moves the amount from the business wallet to the customer
+ * in a refund transaction linked to the dispute, and updates the payment's
+ * refunded totals like a refund made by the business.
+ *
+ * @param {Object} dispute - Dispute document
+ * @param {Object} payment - Disputed payment Transaction document
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<{transaction?: Object, error?: {status: number, message: string}}>}
+ */
+const reverseDisputedPayment = async (dispute, payment, session) => {
+  const customer = await User.findById(dispute.customer).session(session);
+  const business = await User.findById(dispute.business).session(session);
+
+  if (!customer || !business) {
+    return { error: { status: 500, message: "Error reversing the disputed payment" } };
+  }
+
+  const amountCents = toCents(dispute.amount);
+  const customerBalanceCents = toCents(customer.wallet.balance);
+  const businessBalanceCents = toCents(business.wallet.balance);
+
+  // The bank gives back its share of the payment fee, the business pays the rest
+  const feeBackCents = reversedFeeCents(payment, amountCents);
+  const debitCents = amountCents - feeBackCents;
+
+  if (businessBalanceCents < debitCents) {
+    return { error: { status: 400, message: "Business balance is insufficient to reverse the payment" } };
+  }
+
+  removeHold(dispute, payment, business);
+
+  customer.wallet.balance = toDecimal128(customerBalanceCents + amountCents);
+  business.wallet.balance = toDecimal128(businessBalanceCents - debitCents);
+
+  await customer.save({ session });
+  await business.save({ session });
+  await collectFee(-feeBackCents, session);
+
+  // Track the reversal on the payment like a refund
+  const refundedCents = toCents(payment.refundedAmount || 0) + amountCents;
+  payment.refundedAmount = fromCents(refundedCents);
+  payment.refundedFee = fromCents(toCents(payment.refundedFee || 0) + feeBackCents);
+  payment.status = refundedCents >= toCents(payment.amount) ? "refunded" : "partially_refunded";
+  await payment.save({ session });
+
+  const transaction = new Transaction({
+    type: "refund",
+    from: business._id,
+    to: customer._id,
+    amount: fromCents(amountCents),
+    transactionCategory: payment.transactionCategory,
+    merchant: {
+      businessId: business._id,
+      businessName: payment.merchant?.businessName,
+    },
+    description: `Dispute reversal (${dispute.reference})`,
+    status: "completed",
+    originalTransaction: payment._id,
+    dispute: dispute._id,
+    fee: fromCents(feeBackCents),
+    fromBalanceBefore: fromCents(businessBalanceCents),
+    fromBalanceAfter: fromCents(businessBalanceCents - debitCents),
+    toBalanceBefore: fromCents(customerBalanceCents),
+    toBalanceAfter: fromCents(customerBalanceCents + amountCents),
+  });
+
+  await transaction.save({ session });
+
+  // Post the movement and the reversed fee to the ledger
+  await recordTransferWithFee({
+    from: walletAccount(business._id),
+    to: walletAccount(customer._id),
+    amount: fromCents(amountCents),
+    fee: fromCents(-feeBackCents),
+    feePaidBy: "sender",
+    transaction,
+    session,
+  });
+
+  return { transaction };
+};
+
+/**
+ * Data sent with the dispute.opened and dispute.resolved webhook events
+ * @param {Object} dispute - Dispute document
+ * @param {Object} payment - Disputed payment Transaction document
+ * @returns {Object}
+ */
+const disputeEventData = (dispute, payment) => ({
+  disputeId: dispute.reference,
+  transactionId: payment.reference,
+  externalReference: payment.externalReference,
+  amount: dispute.amount,
+  currency: "PHP",
+  reason: dispute.reason,
+  status: dispute.status,
+  evidenceDueBy: dispute.evidenceDueBy,
+  resolvedAt: dispute.resolution?.resolvedAt,
+});
+
+module.exports = {
+  DISPUTE_WINDOW_DAYS,
+  DISPUTE_EVIDENCE_DAYS,
+  disputableCents,
+  getEvidenceDueBy,
+  placeDisputeHold,
+  releaseDisputeHold,
+  reverseDisputedPayment,
+  disputeEventData,
+};
@@ -0,0 +1,132 @@
+/**
+ * FEE UTILITIES
+ * =============
+ * Fee engine for live payments, transfers and withdrawals
+ * - calculateFee: finds the fee schedule matching a transaction and computes its fee
+ * - collectFee: adds a collected (or reversed) fee to the bank's fee revenue
+ * - reversedFeeCents: share of a payment's fee given back with a refund
+ *
+ * Fees are computed when the transaction is made and stored on it (fee,
+ * feeSchedule). See models/feeSchedule.model.js for how schedules match and
+ * who pays the fee. Sandbox transactions never carry a fee.
+ */
+
+const FeeSchedule = require("../models/feeSchedule.model");
+const Bank = require("../models/bank.model");
+const { toCents, fromCents } = require("./money");
+
+/**
+ * How specific a schedule is (higher wins)
+ * @param {Object} schedule - FeeSchedule document
+ * @returns {number}
+ */
+const specificity = (schedule) => (schedule.businessType ? 2 : 0) + (schedule.transactionCategory ? 1 : 0);
+
+/**
+ * Find the active schedule that applies to a transaction
+ * @param {Object} params
+ * @param {string} params.transactionType - "payment", "transfer" or "withdraw"
+ * @param {string} params.transactionCategory - "B2B", "B2C" or "C2C" (optional)
+ * @param {string} params.businessType - Business type of the business involved (optional)
+ * @param {Object} session - MongoDB session (optional)
+ * @returns {Promise<Object|null>} Most specific schedule (newest on a tie), null if none applies
+ */
+const findFeeSchedule = async ({ transactionType, transactionCategory, businessType }, session = null) => {
+  const schedules = await FeeSchedule.find({
+    transactionType,
+    isActive: true,
+    transactionCategory: { $in: [null, transactionCategory || null] },
+    businessType: { $in: [null, businessType || null] },
+  })
+    .sort({ createdAt: -1 })
+    .session(session);
+
+  // Newest first, so only a strictly more specific schedule replaces the pick
+  return schedules.reduce(
+    (best, schedule) => (!best || specificity(schedule) > specificity(best) ? schedule : best),
+    null
+  );
+};
+
+/**
+ * Fee a schedule charges on an amount
+ * Percentage rounded to the centavo plus the fixed amount, capped at maxFee
+ * and at the amount itself.
+ * @param {Object} schedule - FeeSchedule document
+ * @param {number} amountCents - Transaction amount in centavos
+ * @returns {number} Fee in centavos
+ */
+const computeFeeCents = (schedule, amountCents) => {
+  let feeCents = Math.round((amountCents * (schedule.percentage || 0)) / 100) + toCents(schedule.fixedAmount || 0);
+
+  if (schedule.maxFee !== null && schedule.maxFee !== undefined) {
+    feeCents = Math.min(feeCents, toCents(schedule.maxFee));
+  }
+
+  return Math.max(0, Math.min(feeCents, amountCents));
+};
+
+/**
+ * Calculate the fee of a transaction about to be made
+ * @param {Object} params
+ * @param {string} params.transactionType - "payment", "transfer" or "withdraw"
+ * @param {string} params.transactionCategory - "B2B", "B2C" or "C2C" (optional)
+ * @param {string} params.businessType - Business type of the business involved (optional)
+ * @param {number} params.amount - Transaction amount
+ * @param {Object} params.session - MongoDB session (optional)
+ * @returns {Promise<{fee: number, feeCents: number, schedule: Object|null}>}
+ */
+const calculateFee = async ({ transactionType, transactionCategory, businessType, amount, session = null }) => {
+  const schedule = await findFeeSchedule({ transactionType, transactionCategory, businessType }, session);
+
+  if (!schedule) {
+    return { fee: 0, feeCents: 0, schedule: null };
+  }
+
+  const feeCents = computeFeeCents(schedule, toCents(amount));
+  return { fee: fromCents(feeCents), feeCents, schedule };
+};
+
+/**
+ * Add a fee to the bank's fee revenue (negative to give a fee back)
+ * Does nothing for a zero fee. Post the bank_revenue side to the ledger with
+ * recordTransferWithFee() in the same session.
+ * @param {number} feeCents - Fee in centavos
+ * @param {Object} session - MongoDB session of the balance update
+ */
+const collectFee = async (feeCents, session) => {
+  if (feeCents === 0) return;
+
+  const bank = await Bank.getOrCreateBank(session);
+  await bank.updateRevenue(fromCents(feeCents), session);
+};
+
+/**
+ * Share of a payment's fee reversed by a refund
+ * Proportional to the refunded amount; the refund that completes the payment
+ * gives back whatever is left so the reversed total equals the fee.
+ * @param {Object} payment - Payment Transaction (refundedAmount and refundedFee before this refund)
+ * @param {number} refundCents - Refund amount in centavos
+ * @returns {number} Reversed fee in centavos
+ */
+const reversedFeeCents = (payment, refundCents) => {
+  const feeCents = toCents(payment.fee || 0);
+  if (feeCents === 0) return 0;
+
+  const remainingFeeCents = feeCents - toCents(payment.refundedFee || 0);
+  const remainingCents = toCents(payment.amount) - toCents(payment.refundedAmount || 0);
+
+  if (refundCents >= remainingCents) {
+    return remainingFeeCents;
+  }
+
+  return Math.min(Math.round((feeCents * refundCents) / toCents(payment.amount)), remainingFeeCents);
+};
+
+module.exports = {
+  findFeeSchedule,
+  computeFeeCents,
+  calculateFee,
+  collectFee,
+  reversedFeeCents,
+};
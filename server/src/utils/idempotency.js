@@ -0,0 +1,96 @@
+/**
+ * IDEMPOTENCY UTILITIES
+ * =====================
+ * Idempotency-Key handling shared by the public payment endpoints
+ * (see models/idempotencyKey.model.js for how keys are stored)
+ */
+
+const IdempotencyKey = require("../models/idempotencyKey.model");
+
+/**
+ * Read the optional Idempotency-Key header
+ * @param {Object} req - Express request
+ * @returns {string|null|false} - Key, null if not provided, false if malformed
+ */
+const getIdempotencyKey = (req) => {
+  const key = req.headers?.["idempotency-key"];
+
+  if (key === undefined) {
+    return null;
+  }
+
+  return IdempotencyKey.isValidKey(key) ? key : false;
+};
+
+/**
+ * Start idempotency tracking for a payment request inside its session
+ * Sends the replayed or conflict response itself when the request must not run.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} key - Idempotency-Key header value
+ * @param {string} endpoint - Endpoint name ("charge" or "refund")
+ * @param {Object} session - MongoDB session of the payment transaction
+ * @returns {Promise<Object|null>} - Key record to complete, or null if a response was sent
+ */
+const beginIdempotentRequest = async (req, res, key, endpoint, session) => {
+  const result = await IdempotencyKey.begin({
+    apiKey: req.apiKey._id,
+    key,
+    endpoint,
+    body: req.body,
+    session,
+  });
+
+  if (result.record) {
+    return result.record;
+  }
+
+  await session.abortTransaction();
+  session.endSession();
+
+  if (result.replay) {
+    res.set("Idempotent-Replayed", "true");
+    res.status(result.replay.statusCode).json(result.replay.body);
+    return null;
+  }
+
+  if (result.conflict === "KEY_REUSED") {
+    res.status(422).json({
+      success: false,
+      error: {
+        code: "IDEMPOTENCY_KEY_REUSED",
+        message: "This Idempotency-Key was already used with a different request.",
+      },
+    });
+    return null;
+  }
+
+  res.status(409).json({
+    success: false,
+    error: {
+      code: "IDEMPOTENCY_KEY_IN_PROGRESS",
+      message: "A request with this Idempotency-Key is already being processed. Retry later.",
+    },
+  });
+  return null;
+};
+
+/**
+ * Respond to a malformed Idempotency-Key header
+ * @param {Object} res - Express response
+ */
+const sendInvalidIdempotencyKey = (res) => {
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: "INVALID_IDEMPOTENCY_KEY",
+      message: "Idempotency-Key must be 1-255 printable ASCII characters.",
+    },
+  });
+};
+
+module.exports = {
+  getIdempotencyKey,
+  beginIdempotentRequest,
+  sendInvalidIdempotencyKey,
+};
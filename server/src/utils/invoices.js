@@ -0,0 +1,103 @@
+/**
+ * INVOICE UTILITIES
+ * =================
+ * Totals and overdue handling of business invoices (see models/invoice.model.js)
+ * - computeInvoiceTotals: line item amounts, subtotal, tax and total
+ * - processOverdueInvoices: marks sent invoices past their due date as overdue
+ *   and reminds the recipient every INVOICE_REMINDER_DAYS
+ *   (scheduled by the CRON manager)
+ */
+
+const Invoice = require("../models/invoice.model");
+const { notify } = require("./notifications");
+const { toCents, fromCents, formatMoney } = require("./money");
+
+// Days between reminders of an overdue invoice
+const INVOICE_REMINDER_DAYS = parseInt(process.env.INVOICE_REMINDER_DAYS) || 3;
+
+// Reminders sent per scheduler run
+const BATCH_SIZE = 100;
+
+/**
+ * Compute the amounts of an invoice
+ * The tax is rounded to the nearest centavo.
+ * @param {Array<{description: string, quantity: number, unitPrice: number}>} lineItems
+ * @param {number} taxRate - Percentage, e.g. 12 for 12%
+ * @returns {{lineItems: Array, subtotal: number, taxAmount: number, total: number}}
+ */
+const computeInvoiceTotals = (lineItems, taxRate = 0) => {
+  let subtotalCents = 0;
+
+  const items = lineItems.map(({ description, quantity, unitPrice }) => {
+    const amountCents = toCents(unitPrice) * quantity;
+    subtotalCents += amountCents;
+
+    return {
+      description,
+      quantity,
+      unitPrice: fromCents(toCents(unitPrice)),
+      amount: fromCents(amountCents),
+    };
+  });
+
+  const taxCents = Math.round((subtotalCents * taxRate) / 100);
+
+  return {
+    lineItems: items,
+    subtotal: fromCents(subtotalCents),
+    taxAmount: fromCents(taxCents),
+    total: fromCents(subtotalCents + taxCents),
+  };
+};
+
+/**
+ * Mark sent invoices past their due date as overdue and remind their recipients
+ * An overdue invoice is reminded right away, then every INVOICE_REMINDER_DAYS
+ * until it is paid or voided.
+ * @param {Date} now - Current time (for testing)
+ * @returns {Promise<{overdue: number, reminded: number}>}
+ */
+const processOverdueInvoices = async (now = new Date()) => {
+  const { modifiedCount } = await Invoice.updateMany(
+    { status: "sent", dueDate: { $lt: now } },
+    { $set: { status: "overdue" } }
+  );
+
+  const remindBefore = new Date(now.getTime() - INVOICE_REMINDER_DAYS * 24 * 60 * 60 * 1000);
+  const result = { overdue: modifiedCount || 0, reminded: 0 };
+
+  while (result.reminded < BATCH_SIZE) {
+    // Claim the reminder so another server (or a slow previous run) cannot send it too
+    const invoice = await Invoice.findOneAndUpdate(
+      {
+        status: "overdue",
+        $or: [{ lastReminderAt: null }, { lastReminderAt: { $lte: remindBefore } }],
+      },
+      { $set: { lastReminderAt: now }, $inc: { reminderCount: 1 } },
+      { new: true, sort: { dueDate: 1 } }
+    );
+
+    if (!invoice) break;
+
+    try {
+      await notify(invoice.recipient, {
+        type: "invoice.overdue",
+        title: `Invoice ${invoice.number} is overdue`,
+        message: `${formatMoney(invoice.total)} to ${invoice.businessName || "a business"} was due on ` +
+          `${invoice.dueDate.toISOString().slice(0, 10)}.`,
+        data: { invoiceId: invoice._id, number: invoice.number },
+      });
+      result.reminded += 1;
+    } catch (error) {
+      console.error(`❌ Failed to remind invoice ${invoice.number}:`, error.message);
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  INVOICE_REMINDER_DAYS,
+  computeInvoiceTotals,
+  processOverdueInvoices,
+};
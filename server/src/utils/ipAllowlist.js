@@ -0,0 +1,167 @@
+/**
+ * IP ALLOWLIST UTILITIES
+ * ======================
+ * Parse and match API key IP whitelist entries
+ *
+ * An entry is a single address or a CIDR range, IPv4 or IPv6:
+ *   203.0.113.7, 203.0.113.0/24, 2001:db8::1, 2001:db8::/32
+ *
+ * Addresses are normalized before they are stored or compared:
+ * - IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) become plain IPv4
+ * - IPv6 addresses are lowercased and compressed (2001:DB8:0::1 -> 2001:db8::1)
+ * - CIDR ranges are stored by their network address (10.0.0.7/24 -> 10.0.0.0/24)
+ */
+
+const net = require("net");
+
+// Most entries a single API key can list
+const MAX_IP_WHITELIST_ENTRIES = 50;
+
+/**
+ * Normalize an IP address
+ * @param {string} ip - IPv4 or IPv6 address (zone IDs like %eth0 are dropped)
+ * @returns {string|null} Normalized address, or null if it is not an IP address
+ */
+const normalizeIP = (ip) => {
+  if (typeof ip !== "string") return null;
+
+  const address = ip.trim().split("%")[0];
+  const version = net.isIP(address);
+
+  if (version === 4) {
+    return address;
+  }
+
+  if (version !== 6) {
+    return null;
+  }
+
+  // SocketAddress formats IPv6 in its canonical compressed form
+  const canonical = new net.SocketAddress({ address, family: "ipv6" }).address;
+
+  // IPv4-mapped IPv6 (::ffff:a.b.c.d or ::ffff:xxxx:xxxx)
+  const mapped = canonical.match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+  if (mapped) {
+    if (mapped[1]) return mapped[1];
+    const high = parseInt(mapped[2], 16);
+    const low = parseInt(mapped[3], 16);
+    return [high >> 8, high & 255, low >> 8, low & 255].join(".");
+  }
+
+  return canonical;
+};
+
+/**
+ * Zero the host bits of an address
+ * @param {string} address - Normalized address
+ * @param {number} prefix - CIDR prefix length
+ * @param {number} version - 4 or 6
+ * @returns {string} Network address
+ */
+const networkAddress = (address, prefix, version) => {
+  if (version === 4) {
+    const value = address.split(".").reduce((acc, octet) => (acc << 8n) | BigInt(octet), 0n);
+    const mask = prefix === 0 ? 0n : ((1n << BigInt(prefix)) - 1n) << BigInt(32 - prefix);
+    const network = value & mask;
+    return [24n, 16n, 8n, 0n].map((shift) => Number((network >> shift) & 255n)).join(".");
+  }
+
+  // Expand :: to get all eight groups
+  const [head, tail = ""] = address.split("::");
+  const headGroups = head ? head.split(":") : [];
+  const tailGroups = tail ? tail.split(":") : [];
+  const groups = address.includes("::")
+    ? [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill("0"), ...tailGroups]
+    : headGroups;
+
+  const value = groups.reduce((acc, group) => (acc << 16n) | BigInt(parseInt(group, 16)), 0n);
+  const mask = prefix === 0 ? 0n : ((1n << BigInt(prefix)) - 1n) << BigInt(128 - prefix);
+  const network = value & mask;
+  const hex = Array.from({ length: 8 }, (_, i) => ((network >> BigInt(112 - i * 16)) & 0xffffn).toString(16)).join(":");
+
+  return normalizeIP(hex);
+};
+
+/**
+ * Parse and normalize a whitelist entry
+ * @param {string} entry - Address or CIDR range
+ * @returns {{valid: boolean, entry?: string, error?: string}}
+ */
+const parseIPEntry = (entry) => {
+  const invalid = {
+    valid: false,
+    error: `Invalid IP address or CIDR range: ${entry}. Use format: 203.0.113.7, 203.0.113.0/24 or 2001:db8::/32`,
+  };
+
+  if (typeof entry !== "string" || entry.trim() === "") {
+    return invalid;
+  }
+
+  const [rawAddress, rawPrefix, extra] = entry.trim().split("/");
+  if (extra !== undefined) {
+    return invalid;
+  }
+
+  const address = normalizeIP(rawAddress);
+  if (!address) {
+    return invalid;
+  }
+
+  const version = net.isIP(address);
+
+  if (rawPrefix === undefined) {
+    return { valid: true, entry: address };
+  }
+
+  // A mapped IPv6 range (::ffff:10.0.0.0/104) keeps only its IPv4 part
+  const mappedToV4 = version === 4 && net.isIP(rawAddress.split("%")[0]) === 6;
+  const maxPrefix = version === 4 ? 32 : 128;
+  let prefix = /^\d{1,3}$/.test(rawPrefix) ? parseInt(rawPrefix, 10) : NaN;
+  if (mappedToV4) prefix -= 96;
+
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) {
+    return invalid;
+  }
+
+  if (prefix === maxPrefix) {
+    return { valid: true, entry: address };
+  }
+
+  return { valid: true, entry: `${networkAddress(address, prefix, version)}/${prefix}` };
+};
+
+/**
+ * Check whether an address matches any whitelist entry
+ * @param {string} ip - Client address
+ * @param {string[]} entries - Whitelist entries (addresses or CIDR ranges)
+ * @returns {boolean}
+ */
+const isIPInList = (ip, entries) => {
+  const address = normalizeIP(ip);
+  if (!address) return false;
+
+  const blockList = new net.BlockList();
+
+  for (const raw of entries) {
+    const parsed = parseIPEntry(raw);
+    if (!parsed.valid) continue;
+
+    const [entryAddress, prefix] = parsed.entry.split("/");
+    const family = net.isIP(entryAddress) === 4 ? "ipv4" : "ipv6";
+
+    if (prefix === undefined) {
+      blockList.addAddress(entryAddress, family);
+    } else {
+      blockList.addSubnet(entryAddress, parseInt(prefix, 10), family);
+    }
+  }
+
+  return blockList.check(address, net.isIP(address) === 4 ? "ipv4" : "ipv6");
+};
+
+module.exports = {
+  MAX_IP_WHITELIST_ENTRIES,
+  normalizeIP,
+  parseIPEntry,
+  isIPInList,
+};
@@ -0,0 +1,342 @@
+/**
+ * LEDGER UTILITIES
+ * ================
+ * Double-entry bookkeeping for every money movement
+ *
+ * USAGE:
+ * Controllers update the stored balances (User.wallet.balance, Bank.bankBalance,
+ * Bank.feeRevenue) and, in the same MongoDB session, call recordTransfer() (or
+ * recordTransferWithFee() when a fee was charged) with the accounts the money
+ * moved between. reconcileLedger() checks the stored balances against the
+ * postings and the total supply against INITIAL_BANK_BALANCE.
+ *
+ * See models/ledgerEntry.model.js for the account and sign conventions.
+ */
+
+const crypto = require("crypto");
+const LedgerEntry = require("../models/ledgerEntry.model");
+const Bank = require("../models/bank.model");
+const User = require("../models/user.model");
+const { toCents, fromCents, centsToString, toDecimal128 } = require("./money");
+
+// Maximum number of mismatched accounts listed in a reconciliation report
+const MAX_REPORTED_MISMATCHES = 100;
+
+// The central bank reserve account
+const BANK_RESERVE = Object.freeze({ account: "bank_reserve" });
+
+// Fees collected by the bank (see utils/fees.js)
+const BANK_REVENUE = Object.freeze({ account: "bank_revenue" });
+
+/**
+ * Get the ledger account of a user's wallet
+ * @param {ObjectId|string} userId - Wallet owner
+ * @returns {{account: string, user: ObjectId|string}}
+ */
+const walletAccount = (userId) => ({ account: "wallet", user: userId });
+
+/**
+ * Write a balanced journal
+ * @param {Object} params
+ * @param {Array<{account: string, user?: ObjectId, direction: string, amount: number}>} params.postings
+ * @param {ObjectId} params.transaction - Transaction that caused the movement (optional)
+ * @param {string} params.description - Journal description (optional)
+ * @param {Object} params.session - MongoDB session (optional)
+ * @returns {Promise<Array>} Created ledger entries
+ * @throws {Error} If a posting is invalid or debits and credits differ
+ */
+const postJournal = async ({ postings, transaction = null, description, session = null }) => {
+  if (!Array.isArray(postings) || postings.length < 2) {
+    throw new Error("A ledger journal needs at least two postings");
+  }
+
+  const journalId = crypto.randomUUID();
+  let debits = 0;
+  let credits = 0;
+
+  const entries = postings.map((posting) => {
+    const cents = toCents(posting.amount);
+    if (!Number.isFinite(cents) || cents <= 0) {
+      throw new Error(`Invalid ledger posting amount: ${posting.amount}`);
+    }
+
+    if (posting.direction === "debit") {
+      debits += cents;
+    } else if (posting.direction === "credit") {
+      credits += cents;
+    } else {
+      throw new Error(`Invalid ledger posting direction: ${posting.direction}`);
+    }
+
+    return {
+      journalId,
+      transaction,
+      account: posting.account,
+      user: posting.user,
+      direction: posting.direction,
+      amount: toDecimal128(cents),
+      description,
+    };
+  });
+
+  if (debits !== credits) {
+    throw new Error(
+      `Unbalanced ledger journal: debits ${centsToString(debits)} != credits ${centsToString(credits)}`
+    );
+  }
+
+  return LedgerEntry.insertMany(entries, { session });
+};
+
+/**
+ * Record money moving from one account to another
+ * @param {Object} params
+ * @param {Object} params.from - Source account (walletAccount() or BANK_RESERVE), credited
+ * @param {Object} params.to - Destination account, debited
+ * @param {number} params.amount - Amount moved
+ * @param {Object} params.transaction - Transaction document (optional)
+ * @param {string} params.description - Journal description (optional)
+ * @param {Object} params.session - MongoDB session of the balance update
+ * @returns {Promise<Array>} Created ledger entries
+ */
+const recordTransfer = ({ from, to, amount, transaction = null, description, session = null }) => {
+  return postJournal({
+    transaction: transaction?._id || null,
+    description: description || transaction?.type,
+    session,
+    postings: [
+      { ...from, direction: "credit", amount },
+      { ...to, direction: "debit", amount },
+    ],
+  });
+};
+
+/**
+ * Record a movement that carries a fee
+ * The fee goes to (or, when negative, comes back from) the bank revenue account:
+ * - feePaidBy "recipient": the destination receives amount - fee (payments)
+ * - feePaidBy "sender": the source pays amount + fee (transfers, withdrawals);
+ *   a negative fee lowers what the source pays (fee reversed on a refund)
+ * Without a fee this is recordTransfer().
+ * @param {Object} params
+ * @param {Object} params.from - Source account, credited
+ * @param {Object} params.to - Destination account, debited
+ * @param {number} params.amount - Amount of the transaction
+ * @param {number} params.fee - Fee (negative for a reversed fee)
+ * @param {string} params.feePaidBy - "recipient" (default) or "sender"
+ * @param {Object} params.transaction - Transaction document (optional)
+ * @param {Object} params.session - MongoDB session of the balance update
+ * @returns {Promise<Array>} Created ledger entries
+ */
+const recordTransferWithFee = ({
+  from,
+  to,
+  amount,
+  fee = 0,
+  feePaidBy = "recipient",
+  transaction = null,
+  session = null,
+}) => {
+  const amountCents = toCents(amount);
+  const feeCents = toCents(fee);
+
+  if (feeCents === 0) {
+    return recordTransfer({ from, to, amount, transaction, session });
+  }
+
+  const sentCents = feePaidBy === "sender" ? amountCents + feeCents : amountCents;
+  const receivedCents = feePaidBy === "sender" ? amountCents : amountCents - feeCents;
+
+  // A fee can take the whole amount, leaving nothing on one side
+  const postings = [];
+  if (sentCents > 0) {
+    postings.push({ ...from, direction: "credit", amount: fromCents(sentCents) });
+  }
+  if (receivedCents > 0) {
+    postings.push({ ...to, direction: "debit", amount: fromCents(receivedCents) });
+  }
+  postings.push({
+    ...BANK_REVENUE,
+    direction: feeCents > 0 ? "debit" : "credit",
+    amount: fromCents(Math.abs(feeCents)),
+  });
+
+  return postJournal({
+    transaction: transaction?._id || null,
+    description: transaction?.type,
+    session,
+    postings,
+  });
+};
+
+/**
+ * Open the ledger with the balances that exist before it was introduced
+ * Posts one opening journal (wallets and reserve debited, equity credited).
+ * Does nothing once the ledger has entries.
+ * @returns {Promise<boolean>} True if an opening journal was written
+ */
+const openLedger = async () => {
+  if (await LedgerEntry.exists({})) {
+    return false;
+  }
+
+  const bank = await Bank.getOrCreateBank();
+  const wallets = await User.find({ "wallet.balance": { $gt: 0 } }).select("wallet.balance");
+
+  const postings = [];
+  let totalCents = 0;
+
+  const reserveCents = toCents(bank.bankBalance);
+  if (reserveCents > 0) {
+    postings.push({ ...BANK_RESERVE, direction: "debit", amount: fromCents(reserveCents) });
+    totalCents += reserveCents;
+  }
+
+  const revenueCents = toCents(bank.feeRevenue ?? 0);
+  if (revenueCents > 0) {
+    postings.push({ ...BANK_REVENUE, direction: "debit", amount: fromCents(revenueCents) });
+    totalCents += revenueCents;
+  }
+
+  for (const user of wallets) {
+    const cents = toCents(user.wallet.balance);
+    postings.push({ ...walletAccount(user._id), direction: "debit", amount: fromCents(cents) });
+    totalCents += cents;
+  }
+
+  if (totalCents === 0) {
+    return false;
+  }
+
+  postings.push({ account: "equity", direction: "credit", amount: fromCents(totalCents) });
+
+  await postJournal({ postings, description: "Opening balances" });
+  return true;
+};
+
+/**
+ * Check stored balances against the ledger and the total supply
+ * @returns {Promise<Object>} Reconciliation report
+ */
+const reconcileLedger = async () => {
+  const bank = await Bank.getOrCreateBank();
+  const users = await User.find({}).select("wallet.balance").lean();
+  const ledgerBalances = await LedgerEntry.getBalances();
+
+  // Ledger side
+  const ledgerWallets = new Map();
+  let ledgerReserveCents = 0;
+  let ledgerRevenueCents = 0;
+  let ledgerEquityCents = 0;
+  let totalDebitCents = 0;
+  let totalCreditCents = 0;
+
+  for (const row of ledgerBalances) {
+    totalDebitCents += toCents(row.debits);
+    totalCreditCents += toCents(row.credits);
+
+    if (row.account === "wallet") {
+      ledgerWallets.set(String(row.user), toCents(row.balance));
+    } else if (row.account === "bank_reserve") {
+      ledgerReserveCents = toCents(row.balance);
+    } else if (row.account === "bank_revenue") {
+      ledgerRevenueCents = toCents(row.balance);
+    } else if (row.account === "equity") {
+      ledgerEquityCents = -toCents(row.balance);
+    }
+  }
+
+  // Stored side
+  const mismatches = [];
+  let walletsCents = 0;
+
+  for (const user of users) {
+    const storedCents = toCents(user.wallet?.balance ?? 0);
+    const userId = String(user._id);
+    const ledgerCents = ledgerWallets.get(userId) || 0;
+    ledgerWallets.delete(userId);
+    walletsCents += storedCents;
+
+    if (storedCents !== ledgerCents) {
+      mismatches.push({
+        account: "wallet",
+        user: user._id,
+        storedBalance: fromCents(storedCents),
+        ledgerBalance: fromCents(ledgerCents),
+      });
+    }
+  }
+
+  // Wallets with postings whose user no longer exists
+  for (const [userId, ledgerCents] of ledgerWallets) {
+    if (ledgerCents !== 0) {
+      mismatches.push({
+        account: "wallet",
+        user: userId,
+        storedBalance: 0,
+        ledgerBalance: fromCents(ledgerCents),
+        userDeleted: true,
+      });
+    }
+  }
+
+  const reserveCents = toCents(bank.bankBalance);
+  if (reserveCents !== ledgerReserveCents) {
+    mismatches.push({
+      account: "bank_reserve",
+      storedBalance: fromCents(reserveCents),
+      ledgerBalance: fromCents(ledgerReserveCents),
+    });
+  }
+
+  const revenueCents = toCents(bank.feeRevenue ?? 0);
+  if (revenueCents !== ledgerRevenueCents) {
+    mismatches.push({
+      account: "bank_revenue",
+      storedBalance: fromCents(revenueCents),
+      ledgerBalance: fromCents(ledgerRevenueCents),
+    });
+  }
+
+  const initialSupplyCents = toCents(Bank.INITIAL_BANK_BALANCE);
+  const totalSupplyCents = walletsCents + reserveCents + revenueCents;
+  const ledgerBalanced = totalDebitCents === totalCreditCents;
+
+  return {
+    isReconciled:
+      totalSupplyCents === initialSupplyCents &&
+      ledgerBalanced &&
+      ledgerEquityCents === initialSupplyCents &&
+      mismatches.length === 0,
+    supply: {
+      initialSupply: fromCents(initialSupplyCents),
+      walletsTotal: fromCents(walletsCents),
+      bankReserve: fromCents(reserveCents),
+      bankRevenue: fromCents(revenueCents),
+      totalSupply: fromCents(totalSupplyCents),
+      difference: fromCents(totalSupplyCents - initialSupplyCents),
+      matchesInitialSupply: totalSupplyCents === initialSupplyCents,
+    },
+    ledger: {
+      totalDebits: fromCents(totalDebitCents),
+      totalCredits: fromCents(totalCreditCents),
+      balanced: ledgerBalanced,
+      equity: fromCents(ledgerEquityCents),
+      equityMatchesInitialSupply: ledgerEquityCents === initialSupplyCents,
+    },
+    mismatchCount: mismatches.length,
+    mismatches: mismatches.slice(0, MAX_REPORTED_MISMATCHES),
+    checkedAt: new Date(),
+  };
+};
+
+module.exports = {
+  BANK_RESERVE,
+  BANK_REVENUE,
+  walletAccount,
+  postJournal,
+  recordTransfer,
+  recordTransferWithFee,
+  openLedger,
+  reconcileLedger,
+};
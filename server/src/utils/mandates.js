@@ -0,0 +1,272 @@
+/**
+ * MANDATE BILLING UTILITIES
+ * =========================
+ * Charges subscription mandates from the customer's wallet
+ * - chargeMandate: charges one period inside a payment session
+ * - processDueMandates: charges every mandate whose attempt is due
+ *   (scheduled by the CRON manager)
+ *
+ * A failed charge makes the mandate past_due and is retried every
+ * MANDATE_RETRY_HOURS. After MANDATE_MAX_RETRIES failed retries the
+ * mandate is canceled. The business is told through the
+ * mandate.payment_failed and mandate.canceled webhook events.
+ */
+
+const mongoose = require("mongoose");
+const Mandate = require("../models/mandate.model");
+const SubscriptionPlan = require("../models/subscriptionPlan.model");
+const User = require("../models/user.model");
+const { payMerchant } = require("./cardPayments");
+const { enqueueEvent, dispatchDeliveries } = require("./webhooks");
+const { toCents } = require("./money");
+
+// Retries after a failed charge before the mandate is canceled
+const MANDATE_MAX_RETRIES = parseInt(process.env.MANDATE_MAX_RETRIES) || 3;
+
+// Hours between retries of a failed charge
+const MANDATE_RETRY_HOURS = parseInt(process.env.MANDATE_RETRY_HOURS) || 24;
+
+// How long the scheduler holds a mandate while charging it
+const LOCK_MS = 5 * 60 * 1000;
+
+// Mandates charged per scheduler run
+const BATCH_SIZE = 100;
+
+/**
+ * Add one billing interval to a date
+ * Monthly and yearly dates fall on the anchor day, moved back to the last day
+ * of shorter months (Jan 31 -> Feb 28 -> Mar 31). Pass the anchor when chaining
+ * dates, or a clamped date would keep its shorter day from then on.
+ * @param {Date} date - Start date
+ * @param {string} frequency - "weekly", "monthly" or "yearly"
+ * @param {number} anchorDay - Day of the month to keep (defaults to the day of `date`)
+ * @returns {Date}
+ */
+const addInterval = (date, frequency, anchorDay = new Date(date).getUTCDate()) => {
+  const next = new Date(date);
+
+  if (frequency === "weekly") {
+    next.setUTCDate(next.getUTCDate() + 7);
+    return next;
+  }
+
+  const months = frequency === "yearly" ? 12 : 1;
+  next.setUTCDate(1);
+  next.setUTCMonth(next.getUTCMonth() + months);
+
+  const lastDay = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+  next.setUTCDate(Math.min(anchorDay, lastDay));
+  return next;
+};
+
+/**
+ * Charge one period of a mandate inside a payment session
+ * @param {Object} mandate - Mandate document
+ * @param {Object} session - MongoDB session
+ * @param {Object} preloaded - Plan, customer and business already loaded in the session (optional)
+ * @returns {Promise<{transaction?: Object, plan?: Object, error?: {status: number, code: string, message: string}}>}
+ */
+const chargeMandate = async (mandate, session, preloaded = {}) => {
+  const plan = preloaded.plan || await SubscriptionPlan.findById(mandate.plan).session(session);
+  if (!plan) {
+    return { error: { status: 400, code: "PLAN_NOT_FOUND", message: "Subscription plan no longer exists." } };
+  }
+
+  if (toCents(plan.amount) > toCents(mandate.maxAmount)) {
+    return {
+      error: {
+        status: 400,
+        code: "MANDATE_LIMIT_EXCEEDED",
+        message: "Plan amount exceeds the mandate's maximum amount.",
+      },
+    };
+  }
+
+  const customer = preloaded.customer || await User.findById(mandate.customer).session(session);
+  if (!customer) {
+    return { error: { status: 404, code: "CUSTOMER_NOT_FOUND", message: "Customer account not found." } };
+  }
+
+  const business = preloaded.business || await User.findById(mandate.business).session(session);
+  if (!business || !business.businessInfo?.isVerified) {
+    return { error: { status: 400, code: "BUSINESS_UNAVAILABLE", message: "Business cannot accept payments." } };
+  }
+
+  const { transaction, error } = await payMerchant({
+    customer,
+    business,
+    amount: plan.amount,
+    paymentMethod: "wallet",
+    transactionCategory: "B2C",
+    description: `${plan.name} (${plan.interval} subscription)`,
+    mandate: mandate._id,
+    session,
+  });
+
+  return error ? { error } : { transaction, plan };
+};
+
+/**
+ * Move a mandate to its next period after a successful charge
+ * @param {Object} mandate - Mandate document (not saved)
+ * @param {Date} now - Charge time
+ */
+const advanceMandate = (mandate, now = new Date()) => {
+  mandate.status = "active";
+  mandate.failedAttempts = 0;
+  mandate.lastFailureReason = undefined;
+  mandate.lastChargedAt = now;
+  mandate.nextChargeAt = addInterval(mandate.nextChargeAt, mandate.frequency, mandate.anchorDay);
+  mandate.nextAttemptAt = mandate.nextChargeAt;
+  mandate.lockedUntil = null;
+};
+
+/**
+ * Webhook payload describing a mandate
+ * @param {Object} mandate - Mandate document
+ * @returns {Object}
+ */
+const mandateEventData = (mandate) => ({
+  mandateId: mandate._id,
+  customerId: mandate.customer,
+  planId: mandate.plan,
+  status: mandate.status,
+  failedAttempts: mandate.failedAttempts,
+  reason: mandate.lastFailureReason,
+  nextAttemptAt: mandate.status === "canceled" ? null : mandate.nextAttemptAt,
+  canceledBy: mandate.canceledBy,
+});
+
+/**
+ * Charge a due mandate and record the outcome
+ * @param {Object} mandate - Mandate document claimed by the scheduler
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>} true if the charge succeeded
+ */
+const billMandate = async (mandate, now = new Date()) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let failure;
+  try {
+    const { transaction, error } = await chargeMandate(mandate, session);
+
+    if (transaction) {
+      advanceMandate(mandate, now);
+      await mandate.save({ session });
+
+      const webhookDeliveries = await enqueueEvent(
+        mandate.business,
+        "payment.completed",
+        {
+          transactionId: transaction.reference,
+          amount: transaction.amount,
+          currency: "PHP",
+          status: transaction.status,
+          description: transaction.description,
+          paymentMethod: "wallet",
+          mandateId: mandate._id,
+          createdAt: transaction.createdAt,
+        },
+        session
+      );
+
+      await session.commitTransaction();
+      session.endSession();
+
+      dispatchDeliveries(webhookDeliveries);
+      return true;
+    }
+
+    failure = error.message;
+    await session.abortTransaction();
+    session.endSession();
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    failure = "Charge could not be processed.";
+    console.error(`❌ Failed to charge mandate ${mandate._id}:`, error.message);
+  }
+
+  // Record the failure outside the aborted payment
+  mandate.failedAttempts += 1;
+  mandate.lastFailureReason = failure;
+  mandate.lockedUntil = null;
+
+  if (mandate.failedAttempts > MANDATE_MAX_RETRIES) {
+    mandate.cancel("system", `Payment failed ${mandate.failedAttempts} times: ${failure}`.slice(0, 200));
+  } else {
+    mandate.status = "past_due";
+    mandate.nextAttemptAt = new Date(now.getTime() + MANDATE_RETRY_HOURS * 60 * 60 * 1000);
+  }
+
+  await mandate.save();
+
+  const events = mandate.status === "canceled"
+    ? ["mandate.payment_failed", "mandate.canceled"]
+    : ["mandate.payment_failed"];
+
+  for (const event of events) {
+    const webhookDeliveries = await enqueueEvent(mandate.business, event, mandateEventData(mandate));
+    dispatchDeliveries(webhookDeliveries);
+  }
+
+  return false;
+};
+
+/**
+ * Charge every active or past-due mandate whose next attempt is due
+ * @param {Date} now - Current time (for testing)
+ * @returns {Promise<{charged: number, failed: number}>}
+ */
+const processDueMandates = async (now = new Date()) => {
+  const due = await Mandate.find({
+    status: { $in: ["active", "past_due"] },
+    nextAttemptAt: { $lte: now },
+  })
+    .select("_id")
+    .sort({ nextAttemptAt: 1 })
+    .limit(BATCH_SIZE)
+    .lean();
+
+  const result = { charged: 0, failed: 0 };
+
+  for (const { _id } of due) {
+    try {
+      // Claim the mandate so another server (or a slow previous run) cannot charge it too
+      const mandate = await Mandate.findOneAndUpdate(
+        {
+          _id,
+          status: { $in: ["active", "past_due"] },
+          nextAttemptAt: { $lte: now },
+          $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }],
+        },
+        { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+        { new: true }
+      );
+
+      if (!mandate) continue;
+
+      if (await billMandate(mandate, now)) {
+        result.charged += 1;
+      } else {
+        result.failed += 1;
+      }
+    } catch (error) {
+      console.error(`❌ Failed to process mandate ${_id}:`, error.message);
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  MANDATE_MAX_RETRIES,
+  MANDATE_RETRY_HOURS,
+  addInterval,
+  chargeMandate,
+  advanceMandate,
+  mandateEventData,
+  billMandate,
+  processDueMandates,
+};
@@ -0,0 +1,71 @@
+/**
+ * MONEY FIELD MIGRATION
+ * =====================
+ * Converts transaction amounts stored as doubles to Decimal128
+ *
+ * Transaction amount and balance fields used to be plain Numbers. They are now
+ * Decimal128 (see models/transaction.model.js). This rewrites every field that
+ * is still a double/int/long as a Decimal128 rounded to centavos. Fields that
+ * are already Decimal128 are left alone, so the script is safe to run twice.
+ *
+ * USAGE:
+ * npm run migrate:money
+ */
+
+const mongoose = require("mongoose");
+const Transaction = require("../models/transaction.model");
+
+// Transaction fields that hold money
+const MONEY_FIELDS = [
+  "amount",
+  "refundedAmount",
+  "balanceBefore",
+  "balanceAfter",
+  "fromBalanceBefore",
+  "fromBalanceAfter",
+  "toBalanceBefore",
+  "toBalanceAfter",
+  "authorization.authorizedAmount",
+  "authorization.capturedAmount",
+];
+
+/**
+ * Convert every numeric money field to Decimal128
+ * @returns {Promise<Object>} Number of documents updated per field
+ */
+const migrateMoneyFields = async () => {
+  const results = {};
+
+  for (const field of MONEY_FIELDS) {
+    const result = await Transaction.collection.updateMany(
+      { [field]: { $type: ["double", "int", "long"] } },
+      [{ $set: { [field]: { $round: [{ $toDecimal: `$${field}` }, 2] } } }]
+    );
+    results[field] = result.modifiedCount;
+  }
+
+  return results;
+};
+
+module.exports = {
+  MONEY_FIELDS,
+  migrateMoneyFields,
+};
+
+// If run directly
+if (require.main === module) {
+  require("dotenv").config();
+
+  mongoose
+    .connect(process.env.MONGODB_URI || "mongodb://localhost:27017/banking-system")
+    .then(migrateMoneyFields)
+    .then((results) => {
+      console.log("✅ Money field migration completed:", results);
+      return mongoose.disconnect();
+    })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Money field migration failed:", error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,185 @@
+/**
+ * MONEY UTILITIES
+ * ===============
+ * Exact arithmetic for PHP amounts using integer centavos (minor units)
+ *
+ * WHY:
+ * Adding floats read from Decimal128 drifts (0.1 + 0.2 = 0.30000000000000004).
+ * Convert every amount to centavos with toCents(), do the arithmetic on
+ * integers, and convert back with toDecimal128() (storage) or fromCents()
+ * (API responses).
+ *
+ * USAGE:
+ * const balanceCents = toCents(user.wallet.balance);
+ * user.wallet.balance = toDecimal128(balanceCents - toCents(amount));
+ *
+ * Schema amounts use moneyField() (e.g. amount: moneyField({ required: true })).
+ */
+
+const mongoose = require("mongoose");
+
+const CURRENCY = "PHP";
+const MINOR_UNITS = 2; // 1 PHP = 100 centavos
+
+/**
+ * Convert an amount to integer centavos
+ * Accepts numbers, numeric strings and Decimal128. Digits beyond the second
+ * decimal place are rounded half away from zero.
+ * @param {number|string|Object} value - Amount in PHP
+ * @returns {number} Integer centavos
+ * @throws {TypeError} If the value is not a finite amount
+ */
+const toCents = (value) => {
+  if (value === null || value === undefined) {
+    throw new TypeError("Amount is required");
+  }
+
+  let text = value.toString().trim();
+
+  // Expand exponent notation (e.g. 1e-7) before parsing digits
+  if (/e/i.test(text)) {
+    const number = Number(text);
+    if (!Number.isFinite(number)) {
+      throw new TypeError(`Invalid amount: ${value}`);
+    }
+    text = number.toFixed(MINOR_UNITS + 1);
+  }
+
+  const match = /^([+-])?(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || (!match[2] && !match[3])) {
+    throw new TypeError(`Invalid amount: ${value}`);
+  }
+
+  const [, sign, whole = "", fraction = ""] = match;
+  const paddedFraction = fraction.padEnd(MINOR_UNITS + 1, "0");
+  let cents = parseInt(whole || "0", 10) * 100 + parseInt(paddedFraction.slice(0, MINOR_UNITS), 10);
+
+  // Round on the first dropped digit
+  if (parseInt(paddedFraction[MINOR_UNITS], 10) >= 5) {
+    cents += 1;
+  }
+
+  if (!Number.isSafeInteger(cents)) {
+    throw new TypeError(`Amount out of range: ${value}`);
+  }
+
+  return sign === "-" && cents !== 0 ? -cents : cents;
+};
+
+/**
+ * Convert centavos to a PHP amount
+ * @param {number} cents - Integer centavos
+ * @returns {number}
+ */
+const fromCents = (cents) => cents / 100;
+
+/**
+ * Format centavos as a fixed two-decimal string (e.g. "1234.50")
+ * @param {number} cents - Integer centavos
+ * @returns {string}
+ */
+const centsToString = (cents) => {
+  const sign = cents < 0 ? "-" : "";
+  const absolute = Math.abs(cents);
+  const whole = Math.floor(absolute / 100);
+  const fraction = String(absolute % 100).padStart(MINOR_UNITS, "0");
+  return `${sign}${whole}.${fraction}`;
+};
+
+/**
+ * Convert centavos to a Decimal128 for storage
+ * @param {number} cents - Integer centavos
+ * @returns {mongoose.Types.Decimal128}
+ */
+const toDecimal128 = (cents) => mongoose.Types.Decimal128.fromString(centsToString(cents));
+
+/**
+ * Round an amount to centavos
+ * @param {number|string|Object} value - Amount in PHP
+ * @returns {number}
+ */
+const roundMoney = (value) => fromCents(toCents(value));
+
+/**
+ * Add amounts exactly
+ * @param {...(number|string|Object)} values - Amounts in PHP
+ * @returns {number}
+ */
+const addMoney = (...values) => fromCents(values.reduce((total, value) => total + toCents(value), 0));
+
+/**
+ * Subtract one amount from another exactly
+ * @param {number|string|Object} a - Amount in PHP
+ * @param {number|string|Object} b - Amount to subtract
+ * @returns {number}
+ */
+const subtractMoney = (a, b) => fromCents(toCents(a) - toCents(b));
+
+/**
+ * Check that a value is a positive amount with at most two decimal places
+ * @param {any} value
+ * @returns {boolean}
+ */
+const isValidAmount = (value) => {
+  if (typeof value !== "number" || !Number.isFinite(value) || value <= 0) {
+    return false;
+  }
+  return fromCents(toCents(value)) === value;
+};
+
+/**
+ * Format an amount for display (e.g. "PHP 1,234.50")
+ * @param {number|string|Object} value - Amount in PHP
+ * @param {string} currency - Currency code
+ * @returns {string}
+ */
+const formatMoney = (value, currency = CURRENCY) => {
+  const amount = fromCents(toCents(value));
+  return `${currency} ${amount.toLocaleString("en-PH", {
+    minimumFractionDigits: MINOR_UNITS,
+    maximumFractionDigits: MINOR_UNITS,
+  })}`;
+};
+
+/**
+ * Schema type for an exact PHP amount
+ * Stored as Decimal128 rounded to centavos, read back as a number.
+ * @param {Object} options - Extra schema options (e.g. required, default)
+ * @param {number} options.minCents - Smallest accepted value in centavos (optional)
+ * @returns {Object} Schema type definition
+ */
+const moneyField = ({ minCents, ...options } = {}) => ({
+  type: mongoose.Schema.Types.Decimal128,
+  get: (value) => (value === null || value === undefined ? value : parseFloat(value.toString())),
+  set: (value) => {
+    if (value === null || value === undefined) return value;
+    try {
+      return toDecimal128(toCents(value));
+    } catch (error) {
+      return value; // Left for Mongoose to reject as a cast error
+    }
+  },
+  ...(minCents === undefined
+    ? {}
+    : {
+        validate: {
+          validator: (value) => value === null || value === undefined || toCents(value) >= minCents,
+          message: (props) => `${props.path} must be at least ${(minCents / 100).toFixed(2)}`,
+        },
+      }),
+  ...options,
+});
+
+module.exports = {
+  CURRENCY,
+  toCents,
+  fromCents,
+  centsToString,
+  toDecimal128,
+  roundMoney,
+  addMoney,
+  subtractMoney,
+  isValidAmount,
+  formatMoney,
+  moneyField,
+};
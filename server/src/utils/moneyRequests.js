@@ -0,0 +1,41 @@
+/**
+ * MONEY REQUEST UTILITIES
+ * =======================
+ * Helpers for requests of money between users (see models/moneyRequest.model.js)
+ * - closeIfAnswered: completes a request once every payer has answered
+ * - expireMoneyRequests: expires open requests past their expiry date
+ *   (scheduled by the CRON manager)
+ */
+
+const MoneyRequest = require("../models/moneyRequest.model");
+
+/**
+ * Mark a request "completed" when no part is pending anymore
+ * @param {Object} request - Money request document (not saved)
+ */
+const closeIfAnswered = (request) => {
+  if (!request.parts.some((part) => part.status === "pending")) {
+    request.status = "completed";
+  }
+};
+
+/**
+ * Expire open requests whose expiry date has passed, with their pending parts
+ * Parts already paid or declined keep their status.
+ * @param {Date} now - Current time (for testing)
+ * @returns {Promise<{expired: number}>}
+ */
+const expireMoneyRequests = async (now = new Date()) => {
+  const { modifiedCount } = await MoneyRequest.updateMany(
+    { status: "open", expiresAt: { $lte: now } },
+    { $set: { status: "expired", "parts.$[part].status": "expired" } },
+    { arrayFilters: [{ "part.status": "pending" }] }
+  );
+
+  return { expired: modifiedCount || 0 };
+};
+
+module.exports = {
+  closeIfAnswered,
+  expireMoneyRequests,
+};
@@ -0,0 +1,28 @@
+/**
+ * NOTIFICATION UTILITIES
+ * ======================
+ * Write messages to a user's in-app inbox (see models/notification.model.js)
+ */
+
+const Notification = require("../models/notification.model");
+
+/**
+ * Add a notification to a user's inbox
+ * @param {ObjectId|string} userId - User notified
+ * @param {Object} notification
+ * @param {string} notification.type - e.g. "invoice.sent"
+ * @param {string} notification.title - Short summary
+ * @param {string} notification.message - Details (optional)
+ * @param {Object} notification.data - References for the client (optional)
+ * @param {Object} session - MongoDB session (optional)
+ * @returns {Promise<Object>} The saved notification
+ */
+const notify = async (userId, { type, title, message, data = {} }, session = null) => {
+  const notification = new Notification({ user: userId, type, title, message, data });
+  await notification.save(session ? { session } : undefined);
+  return notification;
+};
+
+module.exports = {
+  notify,
+};
@@ -0,0 +1,63 @@
+/**
+ * PAGINATION UTILITIES
+ * ====================
+ * Page-based pagination shared by the list endpoints
+ * - getPagination: reads and checks ?page and ?limit
+ * - paginationInfo: the `pagination` block of a list response
+ *
+ * USAGE:
+ * const pagination = getPagination(req.query);
+ * if (!pagination) return res.status(400).json(INVALID_PAGINATION);
+ * const items = await Model.find(query).skip(pagination.skip).limit(pagination.limitNum);
+ * res.json({ pagination: paginationInfo(pagination.pageNum, pagination.limitNum, totalCount), ... });
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Response body for invalid ?page or ?limit
+const INVALID_PAGINATION = Object.freeze({
+  success: false,
+  message: `Invalid pagination parameters. Page must be >= 1, limit must be between 1 and ${MAX_LIMIT}`,
+});
+
+/**
+ * Parse pagination query parameters
+ * @param {Object} query - req.query
+ * @returns {{pageNum: number, limitNum: number, skip: number}|null} null if invalid
+ */
+const getPagination = ({ page, limit }) => {
+  const pageNum = parseInt(page) || 1;
+  const limitNum = parseInt(limit) || DEFAULT_LIMIT;
+
+  if (pageNum < 1 || limitNum < 1 || limitNum > MAX_LIMIT) {
+    return null;
+  }
+
+  return { pageNum, limitNum, skip: (pageNum - 1) * limitNum };
+};
+
+/**
+ * Build the pagination block of a list response
+ * @param {number} pageNum - Current page
+ * @param {number} limitNum - Page size
+ * @param {number} totalCount - Matching documents
+ * @returns {Object}
+ */
+const paginationInfo = (pageNum, limitNum, totalCount) => {
+  const totalPages = Math.ceil(totalCount / limitNum);
+  return {
+    page: pageNum,
+    limit: limitNum,
+    totalCount,
+    totalPages,
+    hasNextPage: pageNum < totalPages,
+    hasPrevPage: pageNum > 1,
+  };
+};
+
+module.exports = {
+  INVALID_PAGINATION,
+  getPagination,
+  paginationInfo,
+};
@@ -0,0 +1,121 @@
+/**
+ * PDF UTILITIES
+ * =============
+ * Minimal PDF writer for text reports (e.g. account statements)
+ * - A4 pages of fixed-width text (Courier, built into every PDF reader,
+ *   so no font is embedded and columns line up with padEnd/padStart)
+ * - Lines are paginated automatically, with a page number at the bottom
+ *
+ * Only printable ASCII is written; other characters become "?".
+ */
+
+// A4 in points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+
+const FONT_SIZE = 9;
+const LINE_HEIGHT = 12;
+
+// Lines of text per page, leaving room for the page number
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LINE_HEIGHT) - 2;
+
+// Characters per line at FONT_SIZE (Courier glyphs are 0.6 em wide)
+const CHARS_PER_LINE = Math.floor((PAGE_WIDTH - 2 * MARGIN) / (FONT_SIZE * 0.6));
+
+/**
+ * Escape text for a PDF string literal
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeText = (text) =>
+  String(text)
+    .replace(/[^\x20-\x7e]/g, "?")
+    .slice(0, CHARS_PER_LINE)
+    .replace(/([\\()])/g, "\\$1");
+
+/**
+ * Content stream of one page
+ * @param {Array<{text: string, bold?: boolean}>} lines
+ * @param {string} footer - Page number text
+ * @returns {string}
+ */
+const renderPage = (lines, footer) => {
+  const commands = [
+    "BT",
+    `${LINE_HEIGHT} TL`,
+    `${MARGIN} ${PAGE_HEIGHT - MARGIN} Td`,
+  ];
+
+  for (const line of lines) {
+    commands.push(`/${line.bold ? "F2" : "F1"} ${FONT_SIZE} Tf (${escapeText(line.text)}) Tj T*`);
+  }
+
+  commands.push("ET");
+  commands.push(`BT /F1 ${FONT_SIZE} Tf ${MARGIN} ${MARGIN / 2} Td (${escapeText(footer)}) Tj ET`);
+
+  return commands.join("\n");
+};
+
+/**
+ * Render lines of text as a PDF document
+ * @param {Array<string|{text: string, bold?: boolean}>} lines - Lines in order ("" for a blank line)
+ * @param {Object} options
+ * @param {string} options.title - Document title (shown by PDF readers)
+ * @returns {Buffer}
+ */
+const renderTextPdf = (lines, { title = "" } = {}) => {
+  const normalized = lines.map((line) => (typeof line === "string" ? { text: line } : line));
+
+  const pages = [];
+  for (let i = 0; i < normalized.length; i += LINES_PER_PAGE) {
+    pages.push(normalized.slice(i, i + LINES_PER_PAGE));
+  }
+  if (pages.length === 0) {
+    pages.push([]);
+  }
+
+  // Objects 1-5: catalog, page tree, fonts, info; then a page and its content per page
+  const objects = [];
+  const pageIds = pages.map((page, index) => 6 + index * 2);
+
+  objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`;
+  objects[3] = "<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>";
+  objects[4] = "<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>";
+  objects[5] = `<< /Title (${escapeText(title)}) /Producer (Smart City Banking System) >>`;
+
+  pages.forEach((page, index) => {
+    const pageId = pageIds[index];
+    const content = renderPage(page, `Page ${index + 1} of ${pages.length}`);
+
+    objects[pageId] =
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`;
+  });
+
+  // Body, then the cross-reference table of each object's byte offset
+  let pdf = "%PDF-1.4\n";
+  const offsets = [];
+
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf, "latin1");
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(pdf, "latin1");
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, "latin1");
+};
+
+module.exports = {
+  renderTextPdf,
+  CHARS_PER_LINE,
+  LINES_PER_PAGE,
+};
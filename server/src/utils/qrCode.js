@@ -0,0 +1,145 @@
+/**
+ * QR CODE PAYLOAD UTILITIES
+ * =========================
+ * Signed payloads for merchant QR codes that customers pay from their wallet
+ *
+ * PAYLOAD FORMAT:
+ *   SCBQR1.<base64url JSON>.<base64url HMAC-SHA256 of the JSON part>
+ *
+ * - Static codes only identify the merchant; the customer enters the amount.
+ *   They do not expire and can be paid any number of times.
+ * - Dynamic codes also fix the amount and expire; each can be paid once.
+ *
+ * The signature stops anyone from changing the merchant or amount of a
+ * printed or displayed code. Nothing is stored when a code is generated.
+ */
+
+const crypto = require("crypto");
+const { toCents, fromCents, centsToString } = require("./money");
+
+const QR_PAYLOAD_PREFIX = "SCBQR1";
+
+// Default lifetime of a dynamic QR code (in minutes)
+const QR_CODE_EXPIRY_MINUTES = parseInt(process.env.QR_CODE_EXPIRY_MINUTES) || 15;
+
+// Longest lifetime a business can ask for (in minutes)
+const MAX_QR_CODE_EXPIRY_MINUTES = 24 * 60;
+
+/**
+ * Secret QR payloads are signed with
+ * @returns {string}
+ */
+const getSigningSecret = () => process.env.QR_SIGNING_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Sign the encoded JSON part of a payload
+ * @param {string} body - base64url JSON
+ * @returns {string} base64url signature
+ */
+const signBody = (body) =>
+  crypto.createHmac("sha256", getSigningSecret()).update(`${QR_PAYLOAD_PREFIX}.${body}`).digest("base64url");
+
+/**
+ * Create a QR code payload for a business
+ * Passing an amount makes the code dynamic.
+ * @param {Object} params
+ * @param {ObjectId|string} params.businessId - Business receiving the payments
+ * @param {number} params.amount - Fixed amount (dynamic codes only)
+ * @param {string} params.description - Shown to the customer (optional)
+ * @param {number} params.expiresInMinutes - Dynamic code lifetime (default QR_CODE_EXPIRY_MINUTES)
+ * @param {Date} now - Current time (for testing)
+ * @returns {{qrCodeId: string, type: string, payload: string, amount?: number, description?: string, expiresAt?: Date}}
+ */
+const createQRPayload = (
+  { businessId, amount, description, expiresInMinutes = QR_CODE_EXPIRY_MINUTES },
+  now = new Date()
+) => {
+  const isDynamic = amount !== undefined && amount !== null;
+  const qrCodeId = `qr_${crypto.randomBytes(12).toString("hex")}`;
+
+  const data = {
+    id: qrCodeId,
+    type: isDynamic ? "dynamic" : "static",
+    businessId: businessId.toString(),
+  };
+
+  if (description) {
+    data.description = description;
+  }
+
+  let expiresAt;
+  if (isDynamic) {
+    expiresAt = new Date(now.getTime() + expiresInMinutes * 60 * 1000);
+    data.amount = centsToString(toCents(amount));
+    data.expiresAt = Math.floor(expiresAt.getTime() / 1000);
+  }
+
+  const body = Buffer.from(JSON.stringify(data)).toString("base64url");
+
+  return {
+    qrCodeId,
+    type: data.type,
+    payload: `${QR_PAYLOAD_PREFIX}.${body}.${signBody(body)}`,
+    amount: isDynamic ? fromCents(toCents(data.amount)) : undefined,
+    description,
+    expiresAt,
+  };
+};
+
+/**
+ * Verify and decode a QR code payload
+ * @param {string} payload - Scanned payload
+ * @param {Date} now - Current time (for testing)
+ * @returns {{valid: boolean, qrCode?: {id: string, type: string, businessId: string, amount?: number, description?: string, expiresAt?: Date}, error?: string}}
+ */
+const decodeQRPayload = (payload, now = new Date()) => {
+  const invalid = { valid: false, error: "Invalid QR code" };
+
+  if (typeof payload !== "string") {
+    return invalid;
+  }
+
+  const [prefix, body, signature, ...rest] = payload.trim().split(".");
+  if (prefix !== QR_PAYLOAD_PREFIX || !body || !signature || rest.length > 0) {
+    return invalid;
+  }
+
+  const expected = Buffer.from(signBody(body));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return invalid;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  } catch (error) {
+    return invalid;
+  }
+
+  const qrCode = {
+    id: data.id,
+    type: data.type,
+    businessId: data.businessId,
+    description: data.description,
+  };
+
+  if (data.type === "dynamic") {
+    qrCode.amount = fromCents(toCents(data.amount));
+    qrCode.expiresAt = new Date(data.expiresAt * 1000);
+
+    if (qrCode.expiresAt <= now) {
+      return { valid: false, error: "This QR code has expired" };
+    }
+  }
+
+  return { valid: true, qrCode };
+};
+
+module.exports = {
+  QR_PAYLOAD_PREFIX,
+  QR_CODE_EXPIRY_MINUTES,
+  MAX_QR_CODE_EXPIRY_MINUTES,
+  createQRPayload,
+  decodeQRPayload,
+};
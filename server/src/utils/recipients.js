@@ -0,0 +1,72 @@
+/**
+ * RECIPIENT UTILITIES
+ * ===================
+ * Find the user money is sent to from what the sender knows about them
+ * - findRecipient: by user ID, email (juan@smu.edu.ph) or handle (@juan_cruz)
+ * - maskName: the name shown to confirm a recipient before sending
+ */
+
+const User = require("../models/user.model");
+
+/**
+ * Build the user filter for a recipient identifier
+ * A leading "@" marks a handle; any other "@" an email; 24 hex digits a user ID.
+ * @param {string} to - User ID, email or handle
+ * @returns {Object} Mongo filter
+ */
+const getRecipientFilter = (to) => {
+  const value = String(to).trim().toLowerCase();
+
+  if (value.startsWith("@")) {
+    return { handle: value.slice(1) };
+  }
+
+  if (value.includes("@")) {
+    return { email: value };
+  }
+
+  // Handles are at most 20 characters, so they never look like an ID
+  if (/^[a-f0-9]{24}$/.test(value)) {
+    return { _id: value };
+  }
+
+  return { handle: value };
+};
+
+/**
+ * Find the user a transfer is addressed to
+ * @param {string} to - User ID, email or handle
+ * @param {Object} session - MongoDB session (optional)
+ * @returns {Promise<Object|null>} User document or null if not found
+ */
+const findRecipient = async (to, session = null) => {
+  return await User.findOne(getRecipientFilter(to)).session(session);
+};
+
+/**
+ * Partly hide a word, keeping its first two letters (e.g. "Juan" -> "Ju**")
+ * @param {string} word
+ * @returns {string}
+ */
+const maskWord = (word = "") => word.slice(0, 2) + "*".repeat(Math.max(word.length - 2, 1));
+
+/**
+ * Name shown to a sender to confirm the recipient without revealing it
+ * Businesses are shown by their (public) business name.
+ * @param {Object} user - User document
+ * @returns {string} e.g. "Ju** C."
+ */
+const maskName = (user) => {
+  if (user.accountType === "business" && user.businessInfo?.businessName) {
+    return user.businessInfo.businessName;
+  }
+
+  const { firstName = "", lastName = "" } = user.fullName || {};
+  return `${maskWord(firstName)} ${lastName.charAt(0).toUpperCase()}.`;
+};
+
+module.exports = {
+  getRecipientFilter,
+  findRecipient,
+  maskName,
+};
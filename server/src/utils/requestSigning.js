@@ -0,0 +1,98 @@
+/**
+ * REQUEST SIGNING UTILITIES
+ * =========================
+ * Optional HMAC signatures for public API requests
+ *
+ * When signing is enabled on an API key, every request must carry:
+ * - X-Timestamp: Unix time in seconds
+ * - X-Signature: hex HMAC-SHA256 of "<timestamp>.<METHOD>.<path>.<raw body>"
+ *   signed with the key's signing secret
+ *
+ * <path> is the full request path including the query string
+ * (e.g. /api/v1/public/transactions?page=2). <raw body> is the exact JSON
+ * sent, or an empty string for requests without a body.
+ *
+ * Requests whose timestamp is further than the tolerance window from the
+ * server clock are rejected, so a captured request cannot be replayed later.
+ */
+
+const crypto = require("crypto");
+const { computeSignature } = require("./webhooks");
+
+// Maximum age (either direction) of X-Timestamp, in seconds
+const SIGNATURE_TOLERANCE_SECONDS = parseInt(process.env.API_SIGNATURE_TOLERANCE_SECONDS) || 300;
+
+/**
+ * Generate a new request signing secret
+ * @returns {string}
+ */
+const generateSigningSecret = () => `scbsig_${crypto.randomBytes(32).toString("hex")}`;
+
+/**
+ * Compute the signature of a request
+ * @param {string} secret - API key signing secret
+ * @param {Object} request
+ * @param {string} request.method - HTTP method
+ * @param {string} request.path - Path including query string
+ * @param {number|string} request.timestamp - Unix timestamp (seconds)
+ * @param {string} request.body - Raw body ("" if none)
+ * @returns {string} Hex signature
+ */
+const computeRequestSignature = (secret, { method, path, timestamp, body = "" }) => {
+  return computeSignature(secret, timestamp, `${method.toUpperCase()}.${path}.${body}`);
+};
+
+/**
+ * Verify the signature headers of a request
+ * @param {string} secret - API key signing secret
+ * @param {Object} request
+ * @param {string} request.method - HTTP method
+ * @param {string} request.path - Path including query string
+ * @param {string} request.timestamp - X-Timestamp header
+ * @param {string} request.signature - X-Signature header
+ * @param {string} request.body - Raw body ("" if none)
+ * @param {number} now - Current Unix time in seconds (for testing)
+ * @returns {{valid: boolean, code?: string, message?: string}}
+ */
+const verifyRequestSignature = (
+  secret,
+  { method, path, timestamp, signature, body = "" },
+  now = Math.floor(Date.now() / 1000)
+) => {
+  if (!timestamp || !signature) {
+    return {
+      valid: false,
+      code: "MISSING_SIGNATURE",
+      message: "This API key requires signed requests. Provide X-Signature and X-Timestamp headers.",
+    };
+  }
+
+  const seconds = Number(timestamp);
+  if (!Number.isInteger(seconds) || Math.abs(now - seconds) > SIGNATURE_TOLERANCE_SECONDS) {
+    return {
+      valid: false,
+      code: "SIGNATURE_EXPIRED",
+      message: `X-Timestamp must be a Unix timestamp within ${SIGNATURE_TOLERANCE_SECONDS} seconds of the server time.`,
+    };
+  }
+
+  const expected = Buffer.from(computeRequestSignature(secret, { method, path, timestamp: seconds, body }), "hex");
+  const received = Buffer.from(String(signature), "hex");
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return {
+      valid: false,
+      code: "INVALID_SIGNATURE",
+      message: "Request signature does not match.",
+    };
+  }
+
+  return { valid: true };
+};
+
+module.exports = {
+  SIGNATURE_TOLERANCE_SECONDS,
+  generateSigningSecret,
+  computeRequestSignature,
+  verifyRequestSignature,
+};
@@ -0,0 +1,172 @@
+/**
+ * SANDBOX UTILITIES
+ * =================
+ * Test mode for API keys created with environment "test" (scb_test_ prefix)
+ *
+ * Test keys never look up real cards or move real money. Instead they accept
+ * the magic card numbers below, each producing a fixed outcome, and credit a
+ * separate sandbox balance (models/sandboxAccount.model.js). Sandbox
+ * transactions are stored with livemode: false and are excluded from live
+ * balances, reports and transaction histories.
+ */
+
+const Transaction = require("../models/transaction.model");
+const SandboxAccount = require("../models/sandboxAccount.model");
+const { toCents, fromCents } = require("./money");
+
+// CVV accepted by every test card (any other CVV returns INVALID_CVV)
+const TEST_CARD_CVV = "123";
+
+// Magic test card numbers and the error each one returns
+const TEST_CARDS = Object.freeze({
+  "4242424242424242": { outcome: "success", error: null },
+  "4000000000000002": {
+    outcome: "card_inactive",
+    error: { status: 400, code: "CARD_INACTIVE", message: "This card is not active." },
+  },
+  "4000000000000069": {
+    outcome: "card_expired",
+    error: { status: 400, code: "CARD_EXPIRED", message: "This card has expired." },
+  },
+  "4000000000000119": {
+    outcome: "card_locked",
+    error: {
+      status: 423,
+      code: "CARD_LOCKED",
+      message: "Card is temporarily locked due to multiple failed CVV attempts. Please try again later.",
+    },
+  },
+  "4000000000000044": {
+    outcome: "daily_limit_exceeded",
+    error: { status: 400, code: "DAILY_LIMIT_EXCEEDED", message: "Daily spending limit exceeded." },
+  },
+  "4000000000009995": {
+    outcome: "insufficient_funds",
+    error: { status: 400, code: "INSUFFICIENT_FUNDS", message: "Insufficient funds in card." },
+  },
+});
+
+/**
+ * Check whether a request is running in test mode
+ * @param {Object} apiKey - API key document from apiAuth
+ * @returns {boolean}
+ */
+const isTestKey = (apiKey) => apiKey?.environment === "test";
+
+/**
+ * Transaction filter selecting the mode of an API key
+ * @param {Object} apiKey - API key document from apiAuth
+ * @returns {Object} Query condition on livemode
+ */
+const livemodeFilter = (apiKey) => (isTestKey(apiKey) ? { livemode: false } : Transaction.LIVE);
+
+/**
+ * Authenticate a test card the way authenticateCard does for real cards
+ * Errors are returned in the same order: unknown card, card status, CVV,
+ * then the spending checks (daily limit, funds).
+ *
+ * @param {string} cardNumber - Card number
+ * @param {string} cvv - Plain CVV
+ * @returns {{card?: Object, error?: {status: number, code: string, message: string}}}
+ */
+const authenticateTestCard = (cardNumber, cvv) => {
+  const card = TEST_CARDS[String(cardNumber).replace(/\D/g, "")];
+
+  if (!card) {
+    return {
+      error: {
+        status: 404,
+        code: "CARD_NOT_FOUND",
+        message: "Card not found. Test API keys only accept test card numbers.",
+      },
+    };
+  }
+
+  const statusErrors = ["card_inactive", "card_expired", "card_locked"];
+  if (statusErrors.includes(card.outcome)) {
+    return { error: card.error };
+  }
+
+  if (cvv !== TEST_CARD_CVV) {
+    return { error: { status: 400, code: "INVALID_CVV", message: "Invalid CVV." } };
+  }
+
+  if (card.error) {
+    return { error: card.error };
+  }
+
+  return { card };
+};
+
+/**
+ * Record a completed sandbox card payment
+ * Credits the business's sandbox balance and stores the payment with livemode: false.
+ *
+ * @param {Object} params
+ * @param {Object} params.business - Business receiving the payment
+ * @param {Object} params.apiKey - Test API key (optional)
+ * @param {number} params.amount - Amount paid
+ * @param {string} params.cardNumber - Test card number (only the last 4 digits are kept)
+ * @param {string} params.description - Description (optional)
+ * @param {string} params.externalReference - Merchant reference (optional)
+ * @param {Object} params.split - Split charge the payment is part of (optional, see utils/splitPayments.js)
+ * @param {Object} params.session - MongoDB session
+ * @returns {Promise<Object>} The sandbox transaction
+ */
+const recordSandboxPayment = async ({
+  business,
+  apiKey = null,
+  amount,
+  cardNumber,
+  description,
+  externalReference,
+  split,
+  session,
+}) => {
+  const amountCents = toCents(amount);
+  const account = await SandboxAccount.adjustBalance(business._id, amountCents, session);
+  const balanceAfterCents = toCents(account.balance);
+
+  // Test keys have their own daily limits
+  if (apiKey) {
+    apiKey.recordTransaction(amount);
+    await apiKey.save({ session });
+  }
+
+  const transaction = new Transaction({
+    type: "payment",
+    to: business._id,
+    amount,
+    transactionCategory: "B2C",
+    paymentMethod: "card",
+    cardUsed: {
+      last4: cardNumber.slice(-4),
+      cardType: "SmartCity",
+    },
+    merchant: {
+      businessId: business._id,
+      businessName: business.businessInfo?.businessName || "Unknown Business",
+      apiKeyId: apiKey?._id,
+    },
+    split,
+    externalReference,
+    description,
+    status: "completed",
+    livemode: false,
+    toBalanceBefore: fromCents(balanceAfterCents - amountCents),
+    toBalanceAfter: fromCents(balanceAfterCents),
+  });
+
+  await transaction.save({ session });
+
+  return transaction;
+};
+
+module.exports = {
+  TEST_CARD_CVV,
+  TEST_CARDS,
+  isTestKey,
+  livemodeFilter,
+  authenticateTestCard,
+  recordSandboxPayment,
+};
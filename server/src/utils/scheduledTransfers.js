@@ -0,0 +1,189 @@
+/**
+ * SCHEDULED TRANSFER UTILITIES
+ * ============================
+ * Runs users' scheduled and recurring wallet transfers
+ * - runScheduledTransfer: makes one transfer through utils/transfers.js
+ * - processDueTransfers: runs every transfer whose date has come
+ *   (scheduled by the CRON manager)
+ *
+ * A failed run is not retried. It is recorded on the schedule and the sender
+ * is notified in their inbox; a recurring transfer then waits for its next date.
+ */
+
+const mongoose = require("mongoose");
+const ScheduledTransfer = require("../models/scheduledTransfer.model");
+const User = require("../models/user.model");
+const { addInterval } = require("./mandates");
+const { getTransferCategory, transferBetweenWallets } = require("./transfers");
+const { notify } = require("./notifications");
+const { formatMoney } = require("./money");
+
+// How long the scheduler holds a transfer while running it
+const LOCK_MS = 5 * 60 * 1000;
+
+// Transfers run per scheduler run
+const BATCH_SIZE = 100;
+
+/**
+ * First date of a recurring transfer after `now`
+ * Dates missed while the transfer was paused (or the scheduler was down) are skipped.
+ * @param {Date} from - Last scheduled date
+ * @param {string} frequency - "weekly" or "monthly"
+ * @param {Date} now - Current time
+ * @param {number} anchorDay - Day of the month monthly runs fall on (defaults to the day of `from`)
+ * @returns {Date}
+ */
+const nextRunAfter = (from, frequency, now, anchorDay = new Date(from).getUTCDate()) => {
+  let next = addInterval(from, frequency, anchorDay);
+  while (next <= now) {
+    next = addInterval(next, frequency, anchorDay);
+  }
+  return next;
+};
+
+/**
+ * Move a transfer past the date it just ran (or failed) on
+ * One-off transfers end with `status`; recurring ones end once past their end date.
+ * @param {Object} transfer - Scheduled transfer document (not saved)
+ * @param {Date} now - Run time
+ * @param {string} status - Final status of a one-off transfer ("completed" or "failed")
+ */
+const scheduleNextRun = (transfer, now, status) => {
+  if (transfer.frequency === "once") {
+    transfer.status = status;
+    return;
+  }
+
+  const next = nextRunAfter(transfer.nextRunAt, transfer.frequency, now, transfer.anchorDay);
+  if (transfer.endDate && next > transfer.endDate) {
+    transfer.status = "completed";
+  } else {
+    transfer.nextRunAt = next;
+  }
+};
+
+/**
+ * Make a due transfer and record the outcome
+ * @param {Object} transfer - Scheduled transfer claimed by the scheduler
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>} true if the transfer was made
+ */
+const runScheduledTransfer = async (transfer, now = new Date()) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let failure;
+  try {
+    const fromUser = await User.findById(transfer.user).session(session);
+    const toUser = await User.findById(transfer.recipient).session(session);
+
+    let error;
+    if (!fromUser || !toUser) {
+      error = { message: "Sender or recipient not found" };
+    } else {
+      const { transactionCategory, error: categoryError } = getTransferCategory(fromUser, toUser);
+      const result = categoryError
+        ? { error: categoryError }
+        : await transferBetweenWallets({
+            fromUser,
+            toUser,
+            amount: transfer.amount,
+            transactionCategory,
+            description: transfer.description || "Scheduled transfer",
+            scheduledTransfer: transfer._id,
+            session,
+          });
+
+      if (result.transaction) {
+        transfer.lastRunAt = now;
+        transfer.lastTransaction = result.transaction._id;
+        transfer.successfulRuns += 1;
+        transfer.lockedUntil = null;
+        scheduleNextRun(transfer, now, "completed");
+        await transfer.save({ session });
+
+        await session.commitTransaction();
+        session.endSession();
+        return true;
+      }
+
+      error = result.error;
+    }
+
+    failure = error.message;
+    await session.abortTransaction();
+    session.endSession();
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    failure = "Transfer could not be processed.";
+    console.error(`❌ Failed to run scheduled transfer ${transfer._id}:`, error.message);
+  }
+
+  // Record the failure outside the aborted transfer
+  transfer.failedRuns += 1;
+  transfer.lastFailureReason = failure;
+  transfer.lastFailedAt = now;
+  transfer.lockedUntil = null;
+  scheduleNextRun(transfer, now, "failed");
+  await transfer.save();
+
+  await notify(transfer.user, {
+    type: "scheduled_transfer.failed",
+    title: "Scheduled transfer failed",
+    message: `Your scheduled transfer of ${formatMoney(transfer.amount)} could not be made: ${failure}`,
+    data: { scheduledTransferId: transfer._id, reason: failure },
+  });
+
+  return false;
+};
+
+/**
+ * Run every active transfer whose next date has come
+ * @param {Date} now - Current time (for testing)
+ * @returns {Promise<{transferred: number, failed: number}>}
+ */
+const processDueTransfers = async (now = new Date()) => {
+  const due = await ScheduledTransfer.find({ status: "active", nextRunAt: { $lte: now } })
+    .select("_id")
+    .sort({ nextRunAt: 1 })
+    .limit(BATCH_SIZE)
+    .lean();
+
+  const result = { transferred: 0, failed: 0 };
+
+  for (const { _id } of due) {
+    try {
+      // Claim the transfer so another server (or a slow previous run) cannot run it too
+      const transfer = await ScheduledTransfer.findOneAndUpdate(
+        {
+          _id,
+          status: "active",
+          nextRunAt: { $lte: now },
+          $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }],
+        },
+        { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+        { new: true }
+      );
+
+      if (!transfer) continue;
+
+      if (await runScheduledTransfer(transfer, now)) {
+        result.transferred += 1;
+      } else {
+        result.failed += 1;
+      }
+    } catch (error) {
+      console.error(`❌ Failed to process scheduled transfer ${_id}:`, error.message);
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  nextRunAfter,
+  scheduleNextRun,
+  runScheduledTransfer,
+  processDueTransfers,
+};
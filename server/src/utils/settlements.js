@@ -0,0 +1,317 @@
+/**
+ * SETTLEMENT UTILITIES
+ * ====================
+ * Daily settlement batches and payouts for businesses
+ * - createSettlementBatches: groups each business's unsettled live payments
+ *   and refunds into one batch per day and totals their fees and net amount
+ * - payoutBatch: moves the net amount out of the business wallet into the
+ *   bank reserve (paid out to the business)
+ * - runDailySettlement: both steps (scheduled by the CRON manager)
+ *
+ * Settlement days are UTC days. See models/settlementBatch.model.js for the
+ * batch lifecycle. Fees were already kept when each payment was made (see
+ * utils/fees.js); the batch only reports them.
+ */
+
+const mongoose = require("mongoose");
+const SettlementBatch = require("../models/settlementBatch.model");
+const Transaction = require("../models/transaction.model");
+const User = require("../models/user.model");
+const Bank = require("../models/bank.model");
+const { getAvailableBalance } = require("./cardPayments");
+const { recordTransfer, walletAccount, BANK_RESERVE } = require("./ledger");
+const { toCents, fromCents, toDecimal128 } = require("./money");
+
+// Batches paid out per run
+const BATCH_SIZE = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Start (00:00 UTC) of the day a date falls on
+ * @param {Date} date
+ * @returns {Date}
+ */
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+/**
+ * Filter for live payments and refunds of a business not settled yet
+ * @param {Date} periodEnd - Only transactions created before this date
+ * @param {ObjectId} businessId - Business (optional, all businesses if omitted)
+ * @returns {Object} Transaction query
+ */
+const unsettledFilter = (periodEnd, businessId) => ({
+  ...Transaction.LIVE,
+  "merchant.businessId": businessId || { $ne: null },
+  settlementBatch: null,
+  createdAt: { $lt: periodEnd },
+  $or: [
+    { type: "payment", status: { $in: ["completed", "partially_refunded", "refunded"] } },
+    { type: "refund", status: "completed" },
+  ],
+});
+
+/**
+ * Create one business's batch for a settlement day
+ * Marks the transactions first, then totals what was marked, so payments made
+ * meanwhile are left for the next batch.
+ * @param {ObjectId} businessId - Business being settled
+ * @param {Date} periodStart - Settlement day (00:00 UTC)
+ * @returns {Promise<Object|null>} Batch, or null if there was nothing to settle or it already exists
+ */
+const createBatch = async (businessId, periodStart) => {
+  const periodEnd = new Date(periodStart.getTime() + DAY_MS);
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const business = await User.findById(businessId).session(session);
+
+    const batch = new SettlementBatch({
+      reference: SettlementBatch.generateReference(periodStart),
+      business: businessId,
+      businessName: business?.businessInfo?.businessName,
+      periodStart,
+      periodEnd,
+    });
+
+    const marked = await Transaction.updateMany(
+      unsettledFilter(periodEnd, businessId),
+      { $set: { settlementBatch: batch._id } },
+      { session }
+    );
+
+    if (marked.modifiedCount === 0) {
+      await session.abortTransaction();
+      session.endSession();
+      return null;
+    }
+
+    const totals = await Transaction.aggregate([
+      { $match: { settlementBatch: batch._id } },
+      {
+        $group: {
+          _id: "$type",
+          count: { $sum: 1 },
+          total: { $sum: "$amount" },
+          fees: { $sum: "$fee" },
+        },
+      },
+    ]).session(session);
+
+    const payments = totals.find((row) => row._id === "payment");
+    const refunds = totals.find((row) => row._id === "refund");
+
+    const grossCents = payments ? toCents(payments.total) : 0;
+    const refundCents = refunds ? toCents(refunds.total) : 0;
+    // Payment fees minus the fees given back with refunds
+    const feeCents = (payments ? toCents(payments.fees) : 0) - (refunds ? toCents(refunds.fees) : 0);
+    const netCents = grossCents - refundCents - feeCents;
+
+    batch.paymentCount = payments?.count || 0;
+    batch.grossAmount = fromCents(grossCents);
+    batch.refundCount = refunds?.count || 0;
+    batch.refundAmount = fromCents(refundCents);
+    batch.feeAmount = fromCents(feeCents);
+    batch.netAmount = fromCents(netCents);
+    batch.payout.amount = fromCents(Math.max(netCents, 0));
+    batch.setStatus("pending", `${marked.modifiedCount} transaction(s) settled`);
+
+    await batch.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return batch;
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+
+    // Another run already settled this business for the day
+    if (error.code === 11000) {
+      return null;
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Create the batches of a settlement day for every business with unsettled transactions
+ * @param {Date} day - Settlement day (default: yesterday, UTC)
+ * @returns {Promise<Array>} Created batches
+ */
+const createSettlementBatches = async (day = new Date(Date.now() - DAY_MS)) => {
+  const periodStart = startOfDay(day);
+  const periodEnd = new Date(periodStart.getTime() + DAY_MS);
+
+  const businessIds = await Transaction.distinct("merchant.businessId", unsettledFilter(periodEnd));
+
+  const batches = [];
+  for (const businessId of businessIds) {
+    try {
+      const batch = await createBatch(businessId, periodStart);
+      if (batch) {
+        batches.push(batch);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to create settlement batch for business ${businessId}:`, error.message);
+    }
+  }
+
+  return batches;
+};
+
+/**
+ * Pay out a pending or failed batch
+ * @param {ObjectId} batchId - Batch _id
+ * @param {string} note - Recorded in the status history (optional)
+ * @returns {Promise<{batch: Object, error?: string}|null>} null if the batch cannot be paid out (not found, already paid or being paid)
+ */
+const payoutBatch = async (batchId, note) => {
+  // Claim the batch so it cannot be paid out twice
+  const batch = await SettlementBatch.findOneAndUpdate(
+    { _id: batchId, status: { $in: ["pending", "failed"] } },
+    {
+      $set: { status: "processing" },
+      $inc: { "payout.attempts": 1 },
+      $push: { statusHistory: { status: "processing", at: new Date(), note } },
+    },
+    { new: true }
+  );
+
+  if (!batch) {
+    return null;
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let failure;
+  try {
+    const amountCents = toCents(batch.payout.amount);
+
+    if (amountCents > 0) {
+      const business = await User.findById(batch.business).session(session);
+      const bank = await Bank.getOrCreateBank(session);
+
+      if (!business) {
+        failure = "Business account not found";
+      } else if (toCents(getAvailableBalance(business)) < amountCents) {
+        failure = "Insufficient available balance in the business wallet";
+      }
+
+      if (!failure) {
+        const balanceCents = toCents(business.wallet.balance);
+        const payoutAmount = fromCents(amountCents);
+
+        business.wallet.balance = toDecimal128(balanceCents - amountCents);
+        await business.save({ session });
+        await bank.updateBalance(payoutAmount, "withdrawal", session);
+
+        const transaction = new Transaction({
+          type: "payout",
+          user: business._id,
+          amount: payoutAmount,
+          description: `Settlement ${batch.reference}`,
+          settlementBatch: batch._id,
+          balanceBefore: fromCents(balanceCents),
+          balanceAfter: fromCents(balanceCents - amountCents),
+        });
+
+        await transaction.save({ session });
+
+        await recordTransfer({
+          from: walletAccount(business._id),
+          to: BANK_RESERVE,
+          amount: payoutAmount,
+          transaction,
+          session,
+        });
+
+        batch.payout.transaction = transaction._id;
+      }
+    }
+
+    if (!failure) {
+      batch.payout.paidAt = new Date();
+      batch.payout.failureReason = undefined;
+      batch.setStatus("paid");
+      await batch.save({ session });
+
+      await session.commitTransaction();
+      session.endSession();
+
+      return { batch };
+    }
+
+    await session.abortTransaction();
+    session.endSession();
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    failure = "Payout could not be processed";
+    console.error(`❌ Failed to pay out settlement ${batch.reference}:`, error.message);
+  }
+
+  batch.payout.failureReason = failure;
+  batch.setStatus("failed", failure);
+  await batch.save();
+
+  return { batch, error: failure };
+};
+
+/**
+ * Pay out every pending batch
+ * Failed batches are left for an admin to retry.
+ * @returns {Promise<{paid: number, failed: number}>}
+ */
+const payoutPendingBatches = async () => {
+  const pending = await SettlementBatch.find({ status: "pending" })
+    .select("_id")
+    .sort({ periodStart: 1 })
+    .limit(BATCH_SIZE)
+    .lean();
+
+  const result = { paid: 0, failed: 0 };
+
+  for (const { _id } of pending) {
+    try {
+      const outcome = await payoutBatch(_id);
+      if (!outcome) continue;
+
+      if (outcome.error) {
+        result.failed += 1;
+      } else {
+        result.paid += 1;
+      }
+    } catch (error) {
+      console.error(`❌ Failed to pay out settlement batch ${_id}:`, error.message);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Settle a day and pay out the pending batches
+ * @param {Date} day - Settlement day (default: yesterday, UTC)
+ * @returns {Promise<{created: number, paid: number, failed: number}>}
+ */
+const runDailySettlement = async (day) => {
+  const batches = await createSettlementBatches(day);
+  const { paid, failed } = await payoutPendingBatches();
+
+  return { created: batches.length, paid, failed };
+};
+
+module.exports = {
+  startOfDay,
+  unsettledFilter,
+  createBatch,
+  createSettlementBatches,
+  payoutBatch,
+  payoutPendingBatches,
+  runDailySettlement,
+};
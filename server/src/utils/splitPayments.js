@@ -0,0 +1,254 @@
+/**
+ * SPLIT PAYMENT UTILITIES
+ * =======================
+ * One card charge paid out to several businesses (e.g. a food court order
+ * with items from several stalls)
+ *
+ * - The customer is debited once, for the total, in a "split_payment"
+ *   transaction (the parent) made under the calling business
+ * - Each business is credited in its own "payment" transaction (a split)
+ *   linked to the parent with split.parent, and pays its own payment fee
+ * - Splits settle, refund and can be disputed like any other payment. A split
+ *   can be refunded by its business or by the business that made the charge.
+ */
+
+const mongoose = require("mongoose");
+const Transaction = require("../models/transaction.model");
+const User = require("../models/user.model");
+const { getAvailableBalance } = require("./cardPayments");
+const { recordTransferWithFee, walletAccount } = require("./ledger");
+const { calculateFee, collectFee } = require("./fees");
+const { toCents, fromCents, toDecimal128 } = require("./money");
+
+// Businesses a single charge can be split between
+const MAX_SPLITS = 10;
+
+/**
+ * Load the businesses of a split charge inside the payment session
+ * Every business must be a verified business account other than the customer,
+ * and appear only once (each split is credited to its own loaded document).
+ * @param {Array<{businessId: string}>} splits - Requested splits
+ * @param {Object|null} customer - Paying user document (null for sandbox test cards)
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<{businesses?: Array<Object>, error?: {status: number, code: string, message: string}}>}
+ */
+const loadSplitBusinesses = async (splits, customer, session) => {
+  const businesses = [];
+
+  for (const { businessId } of splits) {
+    const business = mongoose.Types.ObjectId.isValid(businessId)
+      ? await User.findById(businessId).session(session)
+      : null;
+
+    if (!business || business.accountType !== "business" || !business.businessInfo?.isVerified ||
+        (customer && business._id.toString() === customer._id.toString())) {
+      return {
+        error: {
+          status: 400,
+          code: "INVALID_SPLIT_BUSINESS",
+          message: `Business ${businessId} cannot accept payments.`,
+        },
+      };
+    }
+
+    if (businesses.some((loaded) => loaded._id.toString() === business._id.toString())) {
+      return {
+        error: {
+          status: 400,
+          code: "DUPLICATE_SPLIT_BUSINESS",
+          message: "Each business can only appear once in the splits",
+        },
+      };
+    }
+
+    businesses.push(business);
+  }
+
+  return { businesses };
+};
+
+/**
+ * Pay several businesses from a customer's card in one payment session
+ * Checks the card's daily limit and the available balance against the total,
+ * debits the customer once, credits each business its amount minus its
+ * payment fee, and records the parent and one split per business.
+ *
+ * @param {Object} params
+ * @param {Object} params.customer - Paying user document (loaded in the session)
+ * @param {Object} params.initiator - Business making the charge (API key owner)
+ * @param {Object} params.apiKey - API key the charge is made with
+ * @param {Array<{business: Object, amount: number, description: string}>} params.splits - Businesses and amounts
+ * @param {string} params.cardNumber - Card number (only the last 4 digits are kept)
+ * @param {string} params.description - Description of the whole charge (optional)
+ * @param {string} params.externalReference - Merchant reference (optional)
+ * @param {Object} params.session - MongoDB session
+ * @returns {Promise<{parent?: Object, children?: Array<Object>, error?: {status: number, code: string, message: string}}>}
+ */
+const paySplitCharge = async ({
+  customer,
+  initiator,
+  apiKey,
+  splits,
+  cardNumber,
+  description,
+  externalReference,
+  session,
+}) => {
+  const totalCents = splits.reduce((sum, split) => sum + toCents(split.amount), 0);
+  const total = fromCents(totalCents);
+
+  // The limit and balance checks apply to the whole charge
+  if (!customer.canSpend(total)) {
+    return { error: { status: 400, code: "DAILY_LIMIT_EXCEEDED", message: "Daily spending limit exceeded." } };
+  }
+
+  if (toCents(getAvailableBalance(customer)) < totalCents) {
+    return { error: { status: 400, code: "INSUFFICIENT_FUNDS", message: "Insufficient funds in card." } };
+  }
+
+  const customerBalanceCents = toCents(customer.wallet.balance);
+  const cardUsed = { last4: cardNumber.slice(-4), cardType: "SmartCity" };
+
+  const parent = new Transaction({
+    type: "split_payment",
+    from: customer._id,
+    amount: total,
+    transactionCategory: "B2C",
+    paymentMethod: "card",
+    cardUsed,
+    merchant: {
+      businessId: initiator._id,
+      businessName: initiator.businessInfo?.businessName || "Unknown Business",
+      apiKeyId: apiKey?._id,
+    },
+    externalReference,
+    description,
+    status: "completed",
+    fromBalanceBefore: fromCents(customerBalanceCents),
+    fromBalanceAfter: fromCents(customerBalanceCents - totalCents),
+  });
+
+  // Debit the customer once
+  customer.wallet.balance = toDecimal128(customerBalanceCents - totalCents);
+  customer.recordSpending(total);
+  await customer.save({ session });
+
+  if (apiKey) {
+    apiKey.recordTransaction(total);
+    await apiKey.save({ session });
+  }
+
+  await parent.save({ session });
+
+  // Credit each business in its own payment, in the order given
+  const children = [];
+  let runningBalanceCents = customerBalanceCents;
+
+  for (const split of splits) {
+    const business = split.business;
+    const amountCents = toCents(split.amount);
+    const businessBalanceCents = toCents(business.wallet.balance);
+
+    const { feeCents, schedule } = await calculateFee({
+      transactionType: "payment",
+      transactionCategory: "B2C",
+      businessType: business.businessInfo?.businessType,
+      amount: split.amount,
+      session,
+    });
+    const creditCents = amountCents - feeCents;
+
+    business.wallet.balance = toDecimal128(businessBalanceCents + creditCents);
+    await business.save({ session });
+    await collectFee(feeCents, session);
+
+    const child = new Transaction({
+      type: "payment",
+      from: customer._id,
+      to: business._id,
+      amount: fromCents(amountCents),
+      transactionCategory: "B2C",
+      paymentMethod: "card",
+      cardUsed,
+      merchant: {
+        businessId: business._id,
+        businessName: business.businessInfo?.businessName || "Unknown Business",
+        apiKeyId: apiKey?._id,
+      },
+      split: {
+        parent: parent._id,
+        initiator: initiator._id,
+      },
+      externalReference,
+      description: split.description || description,
+      status: "completed",
+      fee: fromCents(feeCents),
+      feeSchedule: schedule?._id,
+      fromBalanceBefore: fromCents(runningBalanceCents),
+      fromBalanceAfter: fromCents(runningBalanceCents - amountCents),
+      toBalanceBefore: fromCents(businessBalanceCents),
+      toBalanceAfter: fromCents(businessBalanceCents + creditCents),
+    });
+
+    await child.save({ session });
+    runningBalanceCents -= amountCents;
+
+    // Post the movement and the fee to the ledger
+    await recordTransferWithFee({
+      from: walletAccount(customer._id),
+      to: walletAccount(business._id),
+      amount: fromCents(amountCents),
+      fee: fromCents(feeCents),
+      transaction: child,
+      session,
+    });
+
+    children.push(child);
+  }
+
+  return { parent, children };
+};
+
+/**
+ * Add a refund of one split to its parent's refunded total
+ * The parent becomes "refunded" once every split is fully refunded.
+ * @param {Object} split - Refunded split (payment) Transaction document
+ * @param {number} refundCents - Amount refunded now, in centavos
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Object|null>} The updated parent
+ */
+const recordSplitRefund = async (split, refundCents, session) => {
+  const parent = await Transaction.findById(split.split.parent).session(session);
+  if (!parent) return null;
+
+  const refundedCents = toCents(parent.refundedAmount || 0) + refundCents;
+  parent.refundedAmount = fromCents(refundedCents);
+  parent.status = refundedCents >= toCents(parent.amount) ? "refunded" : "partially_refunded";
+  await parent.save({ session });
+
+  return parent;
+};
+
+/**
+ * Format a split for API responses
+ * @param {Object} split - Split (payment) Transaction document
+ * @returns {Object}
+ */
+const formatSplit = (split) => ({
+  transactionId: split.reference,
+  businessId: split.merchant?.businessId,
+  businessName: split.merchant?.businessName,
+  amount: split.amount,
+  fee: split.fee || 0,
+  status: split.status,
+  refundedAmount: split.refundedAmount || 0,
+  description: split.description,
+});
+
+module.exports = {
+  MAX_SPLITS,
+  loadSplitBusinesses,
+  paySplitCharge,
+  recordSplitRefund,
+  formatSplit,
+};
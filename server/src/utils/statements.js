@@ -0,0 +1,365 @@
+/**
+ * STATEMENT UTILITIES
+ * ===================
+ * Account statements for a date range, built from the user's wallet postings
+ * in the ledger (see models/ledgerEntry.model.js)
+ * - buildStatement: opening balance, every transaction with its running
+ *   balance, closing balance and totals by type and transactionCategory
+ * - statementToCsv / statementToPdf: the same statement as a file
+ *
+ * Each journal is one statement line, so a transfer with a fee shows the
+ * amount the wallet actually moved (amount + fee). Periods are whole UTC days.
+ */
+
+const LedgerEntry = require("../models/ledgerEntry.model");
+const { CURRENCY, toCents, fromCents, centsToString } = require("./money");
+const { renderTextPdf } = require("./pdf");
+
+// Longest period of one statement
+const MAX_STATEMENT_DAYS = 366;
+
+// Most wallet postings in one statement
+const MAX_STATEMENT_ENTRIES = 5000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Counterparty fields shown on a statement line
+const PARTY_FIELDS = "fullName accountType businessInfo.businessName";
+
+/**
+ * Display name of an account holder
+ * @param {Object} user - User document
+ * @returns {string}
+ */
+const partyName = (user) => {
+  if (user.accountType === "business" && user.businessInfo?.businessName) {
+    return user.businessInfo.businessName;
+  }
+  return [user.fullName?.firstName, user.fullName?.lastName].filter(Boolean).join(" ");
+};
+
+/**
+ * Other side of a transaction, seen from the statement's account
+ * @param {Object} transaction - Transaction with from/to populated
+ * @param {string} userId - Statement account
+ * @returns {string|null} null for deposits and withdrawals
+ */
+const counterpartyOf = (transaction, userId) => {
+  const { from, to } = transaction;
+  const other = from?._id?.toString() === userId ? to : from;
+
+  return other?._id ? partyName(other) : null;
+};
+
+/**
+ * Add a line to a totals group
+ * @param {Object} totals - Totals keyed by type or category (in centavos)
+ * @param {string} key
+ * @param {number} netCents - Net change of the line
+ */
+const addToTotals = (totals, key, netCents) => {
+  totals[key] = totals[key] || { count: 0, moneyIn: 0, moneyOut: 0 };
+  totals[key].count += 1;
+  if (netCents >= 0) {
+    totals[key].moneyIn += netCents;
+  } else {
+    totals[key].moneyOut -= netCents;
+  }
+};
+
+/**
+ * Convert a totals group from centavos to PHP
+ * @param {Object} totals
+ * @returns {Object}
+ */
+const totalsFromCents = (totals) =>
+  Object.fromEntries(
+    Object.entries(totals).map(([key, { count, moneyIn, moneyOut }]) => [
+      key,
+      { count, moneyIn: fromCents(moneyIn), moneyOut: fromCents(moneyOut) },
+    ])
+  );
+
+/**
+ * Build the statement of a wallet for a period
+ * @param {Object} user - User document (the account holder)
+ * @param {Object} period
+ * @param {string} period.from - First day, YYYY-MM-DD
+ * @param {string} period.to - Last day (included), YYYY-MM-DD
+ * @returns {Promise<{statement?: Object, error?: string}>}
+ *   error if the period has more than MAX_STATEMENT_ENTRIES postings
+ */
+const buildStatement = async (user, { from, to }) => {
+  const userId = user._id.toString();
+  const start = new Date(`${from}T00:00:00.000Z`);
+  const end = new Date(new Date(`${to}T00:00:00.000Z`).getTime() + DAY_MS);
+
+  const [opening] = await LedgerEntry.getBalances({
+    account: "wallet",
+    user: user._id,
+    createdAt: { $lt: start },
+  });
+
+  const postings = await LedgerEntry.find({
+    account: "wallet",
+    user: user._id,
+    createdAt: { $gte: start, $lt: end },
+  })
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(MAX_STATEMENT_ENTRIES + 1)
+    .populate({
+      path: "transaction",
+      select: "reference type transactionCategory description from to",
+      populate: [
+        { path: "from", select: PARTY_FIELDS },
+        { path: "to", select: PARTY_FIELDS },
+      ],
+    });
+
+  if (postings.length > MAX_STATEMENT_ENTRIES) {
+    return { error: "This period has too many transactions for one statement. Choose a shorter period" };
+  }
+
+  // One line per journal, in the order it was posted
+  const journals = new Map();
+  for (const posting of postings) {
+    const cents = toCents(posting.amount);
+    const netCents = posting.direction === "debit" ? cents : -cents;
+    const journal = journals.get(posting.journalId);
+
+    if (journal) {
+      journal.netCents += netCents;
+    } else {
+      journals.set(posting.journalId, { posting, netCents });
+    }
+  }
+
+  const openingCents = opening ? toCents(opening.balance) : 0;
+  let balanceCents = openingCents;
+  let moneyInCents = 0;
+  let moneyOutCents = 0;
+  const byType = {};
+  const byCategory = {};
+
+  const entries = [...journals.values()].map(({ posting, netCents }) => {
+    const transaction = posting.transaction;
+    const type = transaction ? transaction.type : "opening_balance";
+    const category = transaction?.transactionCategory || null;
+
+    balanceCents += netCents;
+    if (netCents >= 0) {
+      moneyInCents += netCents;
+    } else {
+      moneyOutCents -= netCents;
+    }
+
+    addToTotals(byType, type, netCents);
+    if (category) {
+      addToTotals(byCategory, category, netCents);
+    }
+
+    return {
+      date: posting.createdAt,
+      reference: transaction?.reference || null,
+      type,
+      category,
+      description: transaction ? transaction.description || "" : posting.description || "",
+      counterparty: transaction ? counterpartyOf(transaction, userId) : null,
+      moneyIn: fromCents(Math.max(netCents, 0)),
+      moneyOut: fromCents(Math.max(-netCents, 0)),
+      balance: fromCents(balanceCents),
+    };
+  });
+
+  return {
+    statement: {
+      account: {
+        id: user._id,
+        name: partyName(user),
+        email: user.email,
+        handle: user.handle,
+        accountType: user.accountType,
+      },
+      currency: CURRENCY,
+      period: { from, to },
+      openingBalance: fromCents(openingCents),
+      closingBalance: fromCents(balanceCents),
+      moneyIn: fromCents(moneyInCents),
+      moneyOut: fromCents(moneyOutCents),
+      totals: {
+        byType: totalsFromCents(byType),
+        byCategory: totalsFromCents(byCategory),
+      },
+      count: entries.length,
+      entries,
+      generatedAt: new Date(),
+    },
+  };
+};
+
+/**
+ * Format an amount for a statement file (e.g. 1234.5 -> "1234.50")
+ * @param {number} amount - Amount in PHP
+ * @returns {string}
+ */
+const amountText = (amount) => centsToString(toCents(amount));
+
+/**
+ * Quote a CSV field
+ * Text starting with = + - @ is prefixed with ' so spreadsheets do not run it
+ * as a formula; amounts are left as numbers.
+ * @param {any} value
+ * @returns {string}
+ */
+const csvField = (value) => {
+  let text = value === null || value === undefined ? "" : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text) && !/^-\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render a statement as CSV: summary, transactions, then totals by type and category
+ * @param {Object} statement - From buildStatement
+ * @returns {string}
+ */
+const statementToCsv = (statement) => {
+  const rows = [
+    ["Statement of Account"],
+    ["Account Holder", statement.account.name],
+    ["Email", statement.account.email],
+    ["Account Type", statement.account.accountType],
+    ["Period", `${statement.period.from} to ${statement.period.to}`],
+    ["Currency", statement.currency],
+    ["Opening Balance", amountText(statement.openingBalance)],
+    ["Money In", amountText(statement.moneyIn)],
+    ["Money Out", amountText(statement.moneyOut)],
+    ["Closing Balance", amountText(statement.closingBalance)],
+    ["Generated At", statement.generatedAt.toISOString()],
+    [],
+    ["Date", "Reference", "Type", "Category", "Description", "Counterparty", "Money In", "Money Out", "Balance"],
+  ];
+
+  for (const entry of statement.entries) {
+    rows.push([
+      entry.date.toISOString(),
+      entry.reference,
+      entry.type,
+      entry.category,
+      entry.description,
+      entry.counterparty,
+      entry.moneyIn ? amountText(entry.moneyIn) : "",
+      entry.moneyOut ? amountText(entry.moneyOut) : "",
+      amountText(entry.balance),
+    ]);
+  }
+
+  for (const [title, heading, totals] of [
+    ["Totals by Type", "Type", statement.totals.byType],
+    ["Totals by Category", "Category", statement.totals.byCategory],
+  ]) {
+    rows.push([], [title], [heading, "Count", "Money In", "Money Out"]);
+    for (const [key, total] of Object.entries(totals)) {
+      rows.push([key, total.count, amountText(total.moneyIn), amountText(total.moneyOut)]);
+    }
+  }
+
+  return rows.map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+};
+
+/**
+ * Format an amount for a statement PDF column (e.g. "1,234.50")
+ * @param {number} amount - Amount in PHP
+ * @returns {string}
+ */
+const columnAmount = (amount) =>
+  amount.toLocaleString("en-PH", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+/**
+ * Render a statement as a PDF
+ * Columns: date, reference (first 8 characters), details, money in, money out, balance
+ * @param {Object} statement - From buildStatement
+ * @returns {Buffer}
+ */
+const statementToPdf = (statement) => {
+  const row = (date, reference, details, moneyIn, moneyOut, balance) =>
+    [
+      date.padEnd(10),
+      reference.padEnd(8),
+      details.slice(0, 35).padEnd(35),
+      moneyIn.padStart(12),
+      moneyOut.padStart(12),
+      balance.padStart(13),
+    ].join(" ");
+  const rule = "-".repeat(95);
+  const summary = (label, amount) => `${label.padEnd(18)}${statement.currency} ${columnAmount(amount)}`;
+
+  const lines = [
+    { text: "STATEMENT OF ACCOUNT", bold: true },
+    "",
+    `Account holder:   ${statement.account.name}`,
+    `Email:            ${statement.account.email || ""}`,
+    `Account type:     ${statement.account.accountType}`,
+    `Period:           ${statement.period.from} to ${statement.period.to} (UTC)`,
+    `Generated:        ${statement.generatedAt.toISOString()}`,
+    "",
+    summary("Opening balance:", statement.openingBalance),
+    summary("Money in:", statement.moneyIn),
+    summary("Money out:", statement.moneyOut),
+    { text: summary("Closing balance:", statement.closingBalance), bold: true },
+    "",
+    { text: row("Date", "Ref", "Details", "Money In", "Money Out", "Balance"), bold: true },
+    rule,
+    row(statement.period.from, "", "Opening balance", "", "", columnAmount(statement.openingBalance)),
+  ];
+
+  for (const entry of statement.entries) {
+    const details = [entry.type, entry.category && `(${entry.category})`, entry.counterparty && `- ${entry.counterparty}`]
+      .filter(Boolean)
+      .join(" ");
+
+    lines.push(
+      row(
+        entry.date.toISOString().slice(0, 10),
+        (entry.reference || "").slice(0, 8),
+        details,
+        entry.moneyIn ? columnAmount(entry.moneyIn) : "",
+        entry.moneyOut ? columnAmount(entry.moneyOut) : "",
+        columnAmount(entry.balance)
+      )
+    );
+    if (entry.description) {
+      lines.push(`${" ".repeat(20)}${entry.description}`);
+    }
+  }
+
+  lines.push(
+    rule,
+    row(statement.period.to, "", "Closing balance", "", "", columnAmount(statement.closingBalance))
+  );
+
+  for (const [title, totals] of [
+    ["TOTALS BY TYPE", statement.totals.byType],
+    ["TOTALS BY CATEGORY", statement.totals.byCategory],
+  ]) {
+    lines.push("", { text: title, bold: true });
+    for (const [key, total] of Object.entries(totals)) {
+      lines.push(row("", "", `${key} (${total.count})`, columnAmount(total.moneyIn), columnAmount(total.moneyOut), ""));
+    }
+  }
+
+  return renderTextPdf(lines, {
+    title: `Statement ${statement.period.from} to ${statement.period.to}`,
+  });
+};
+
+module.exports = {
+  MAX_STATEMENT_DAYS,
+  MAX_STATEMENT_ENTRIES,
+  buildStatement,
+  statementToCsv,
+  statementToPdf,
+};
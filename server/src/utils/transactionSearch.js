@@ -0,0 +1,346 @@
+/**
+ * TRANSACTION SEARCH UTILITIES
+ * ============================
+ * One query engine for the transaction lists:
+ * - GET /api/transactions (the user's own transactions)
+ * - GET /api/public/transactions (a merchant's transactions)
+ * - GET /api/transactions/search (admin, all transactions)
+ *
+ * Each list passes its own scope (which transactions the caller may see);
+ * the filters, sorts and pagination below are the same everywhere.
+ *
+ * PAGINATION:
+ * Cursor-based by default: each page returns nextCursor, which encodes the
+ * sort value and _id of its last transaction. The next page continues
+ * strictly after it, so transactions created meanwhile never shift or
+ * repeat results. `page` (offset pagination) is still accepted for
+ * existing integrations.
+ */
+
+const mongoose = require("mongoose");
+const Transaction = require("../models/transaction.model");
+const { findRecipient } = require("./recipients");
+const { toCents, toDecimal128, isValidAmount } = require("./money");
+
+// Sort options: field and direction (a leading "-" is newest / largest first)
+const SORTS = {
+  "-createdAt": { field: "createdAt", direction: -1 },
+  createdAt: { field: "createdAt", direction: 1 },
+  "-amount": { field: "amount", direction: -1 },
+  amount: { field: "amount", direction: 1 },
+};
+
+const DEFAULT_SORT = "-createdAt";
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Longest free-text search
+const MAX_QUERY_LENGTH = 100;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read a filter that accepts one or more values ("payment,refund" or repeated keys)
+ * @param {string|string[]} value - Query value
+ * @param {string[]} allowed - Accepted values
+ * @param {string} name - Query parameter (for the error)
+ * @returns {{values?: string[], error?: string}}
+ */
+const parseList = (value, allowed, name) => {
+  const values = (Array.isArray(value) ? value : [value])
+    .flatMap((item) => (typeof item === "string" ? item.split(",") : [null]))
+    .map((item) => (item === null ? item : item.trim()));
+
+  if (values.some((item) => !allowed.includes(item))) {
+    return { error: `${name} must be one or more of: ${allowed.join(", ")}` };
+  }
+
+  return { values };
+};
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Encode the position after a transaction
+ * @param {string} sort - Sort option
+ * @param {Object} transaction - Last transaction of the page
+ * @returns {string}
+ */
+const encodeCursor = (sort, transaction) => {
+  const value = transaction[SORTS[sort].field];
+
+  return Buffer.from(
+    JSON.stringify({
+      s: sort,
+      v: value instanceof Date ? value.toISOString() : String(value),
+      id: String(transaction._id),
+    })
+  ).toString("base64url");
+};
+
+/**
+ * Decode a cursor made by encodeCursor for the same sort
+ * @param {string} cursor
+ * @param {string} sort - Sort option of the request
+ * @returns {{value: Date|Object, id: mongoose.Types.ObjectId}|null} null if invalid
+ */
+const decodeCursor = (cursor, sort) => {
+  try {
+    const { s, v, id } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+
+    if (s !== sort || typeof v !== "string" || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+
+    const value = SORTS[sort].field === "createdAt" ? new Date(v) : toDecimal128(toCents(v));
+    if (value instanceof Date && isNaN(value.getTime())) {
+      return null;
+    }
+
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Parse and validate search options from a query string
+ *
+ * Filters (all optional):
+ * - type, transactionCategory, status, paymentMethod: one or more values
+ * - startDate, endDate: ISO dates; a date-only endDate includes that whole (UTC) day
+ * - minAmount, maxAmount: amount range in PHP
+ * - counterparty: user ID, email or handle of a party to the transaction
+ * - merchant: business ID, or part of the business name
+ * - q: text in the description, or an exact reference / externalReference
+ * Sort and pagination: sort, limit, cursor (or page)
+ *
+ * @param {Object} query - req.query
+ * @returns {{search?: Object, error?: string}}
+ */
+const parseTransactionSearch = (query) => {
+  const conditions = [];
+
+  for (const [name, field, allowed] of [
+    ["type", "type", Transaction.TYPES],
+    ["transactionCategory", "transactionCategory", Transaction.CATEGORIES],
+    ["status", "status", Transaction.STATUSES],
+    ["paymentMethod", "paymentMethod", Transaction.PAYMENT_METHODS],
+  ]) {
+    if (query[name] === undefined) continue;
+
+    const { values, error } = parseList(query[name], allowed, name);
+    if (error) {
+      return { error };
+    }
+    conditions.push({ [field]: values.length === 1 ? values[0] : { $in: values } });
+  }
+
+  if (query.startDate !== undefined || query.endDate !== undefined) {
+    const createdAt = {};
+
+    if (query.startDate !== undefined) {
+      const start = new Date(query.startDate);
+      if (typeof query.startDate !== "string" || isNaN(start.getTime())) {
+        return { error: "startDate must be a valid date" };
+      }
+      createdAt.$gte = start;
+    }
+
+    if (query.endDate !== undefined) {
+      const end = new Date(query.endDate);
+      if (typeof query.endDate !== "string" || isNaN(end.getTime())) {
+        return { error: "endDate must be a valid date" };
+      }
+      if (DATE_ONLY.test(query.endDate)) {
+        createdAt.$lt = new Date(end.getTime() + DAY_MS);
+      } else {
+        createdAt.$lte = end;
+      }
+    }
+
+    conditions.push({ createdAt });
+  }
+
+  if (query.minAmount !== undefined || query.maxAmount !== undefined) {
+    const minAmount = query.minAmount === undefined ? undefined : Number(query.minAmount);
+    const maxAmount = query.maxAmount === undefined ? undefined : Number(query.maxAmount);
+
+    if (
+      (minAmount !== undefined && !isValidAmount(minAmount)) ||
+      (maxAmount !== undefined && !isValidAmount(maxAmount))
+    ) {
+      return { error: "minAmount and maxAmount must be positive amounts with at most two decimal places" };
+    }
+
+    if (minAmount !== undefined && maxAmount !== undefined && minAmount > maxAmount) {
+      return { error: "minAmount cannot be greater than maxAmount" };
+    }
+
+    const amount = {};
+    if (minAmount !== undefined) amount.$gte = toDecimal128(toCents(minAmount));
+    if (maxAmount !== undefined) amount.$lte = toDecimal128(toCents(maxAmount));
+    conditions.push({ amount });
+  }
+
+  if (query.merchant !== undefined) {
+    if (typeof query.merchant !== "string" || !query.merchant.trim()) {
+      return { error: "merchant must be a business ID or name" };
+    }
+
+    const merchant = query.merchant.trim();
+    conditions.push(
+      /^[0-9a-f]{24}$/i.test(merchant)
+        ? { "merchant.businessId": merchant }
+        : { "merchant.businessName": { $regex: escapeRegex(merchant), $options: "i" } }
+    );
+  }
+
+  if (query.q !== undefined) {
+    if (typeof query.q !== "string" || !query.q.trim() || query.q.length > MAX_QUERY_LENGTH) {
+      return { error: `q must be a search text of at most ${MAX_QUERY_LENGTH} characters` };
+    }
+
+    const text = query.q.trim();
+    conditions.push({
+      $or: [
+        { description: { $regex: escapeRegex(text), $options: "i" } },
+        { reference: text },
+        { externalReference: text },
+      ],
+    });
+  }
+
+  if (query.counterparty !== undefined && (typeof query.counterparty !== "string" || !query.counterparty.trim())) {
+    return { error: "counterparty must be a user ID, email or handle" };
+  }
+
+  const sort = query.sort === undefined ? DEFAULT_SORT : query.sort;
+  if (!Object.prototype.hasOwnProperty.call(SORTS, sort)) {
+    return { error: `sort must be one of: ${Object.keys(SORTS).join(", ")}` };
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+  }
+
+  if (query.page !== undefined && query.cursor !== undefined) {
+    return { error: "Use either page or cursor, not both" };
+  }
+
+  let page = null;
+  if (query.page !== undefined) {
+    page = Number(query.page);
+    if (!Number.isInteger(page) || page < 1) {
+      return { error: "page must be a whole number of at least 1" };
+    }
+  }
+
+  let cursor = null;
+  if (query.cursor !== undefined) {
+    cursor = typeof query.cursor === "string" ? decodeCursor(query.cursor, sort) : null;
+    if (!cursor) {
+      return { error: "Invalid cursor. Cursors only work with the sort they were returned with" };
+    }
+  }
+
+  return {
+    search: {
+      conditions,
+      counterparty: query.counterparty ? query.counterparty.trim() : null,
+      sort,
+      limit,
+      page,
+      cursor,
+    },
+  };
+};
+
+/**
+ * Find one page of transactions
+ * @param {Object} scope - Filter of the transactions the caller may see
+ * @param {Object} search - From parseTransactionSearch
+ * @param {Object} options
+ * @param {Array<Array>} options.populate - Arguments of each populate() call
+ * @returns {Promise<{transactions: Array, pagination: Object}>}
+ *   pagination: { limit, sort, hasNextPage, nextCursor } with cursors, or
+ *   { page, limit, sort, total, totalPages, hasNextPage } with page
+ */
+const searchTransactions = async (scope, search, { populate = [] } = {}) => {
+  const { conditions, counterparty, sort, limit, page, cursor } = search;
+  const { field, direction } = SORTS[sort];
+  const and = [scope, ...conditions];
+
+  if (counterparty) {
+    const party = await findRecipient(counterparty);
+
+    // Nobody with that ID, email or handle: nothing can match
+    if (!party) {
+      return {
+        transactions: [],
+        pagination: page
+          ? { page, limit, sort, total: 0, totalPages: 0, hasNextPage: false }
+          : { limit, sort, hasNextPage: false, nextCursor: null },
+      };
+    }
+
+    and.push({ $or: [{ user: party._id }, { from: party._id }, { to: party._id }] });
+  }
+
+  const op = direction === -1 ? "$lt" : "$gt";
+  if (cursor) {
+    and.push({
+      $or: [
+        { [field]: { [op]: cursor.value } },
+        { [field]: cursor.value, _id: { [op]: cursor.id } },
+      ],
+    });
+  }
+
+  const filter = { $and: and };
+  const order = { [field]: direction, _id: direction };
+
+  const withPopulate = (query) => populate.reduce((result, args) => result.populate(...args), query);
+
+  if (page) {
+    const [transactions, total] = await Promise.all([
+      withPopulate(Transaction.find(filter).sort(order).skip((page - 1) * limit).limit(limit)),
+      Transaction.countDocuments(filter),
+    ]);
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      transactions,
+      pagination: { page, limit, sort, total, totalPages, hasNextPage: page < totalPages },
+    };
+  }
+
+  // One extra transaction tells whether there is a next page
+  const found = await withPopulate(Transaction.find(filter).sort(order).limit(limit + 1));
+  const transactions = found.slice(0, limit);
+  const hasNextPage = found.length > limit;
+
+  return {
+    transactions,
+    pagination: {
+      limit,
+      sort,
+      hasNextPage,
+      nextCursor: hasNextPage ? encodeCursor(sort, transactions[transactions.length - 1]) : null,
+    },
+  };
+};
+
+module.exports = {
+  SORTS,
+  parseTransactionSearch,
+  searchTransactions,
+  encodeCursor,
+};
@@ -0,0 +1,148 @@
+/**
+ * TRANSFER UTILITIES
+ * ==================
+ * Wallet-to-wallet transfers shared by the transfer endpoint, invoice payments
+ * and scheduled transfers
+ * - The sender pays the transfer fee on top of the amount (see utils/fees.js)
+ * - Funds held by card authorizations or disputes cannot be transferred
+ */
+
+const Transaction = require("../models/transaction.model");
+const { getAvailableBalance } = require("./cardPayments");
+const { recordTransferWithFee, walletAccount } = require("./ledger");
+const { calculateFee, collectFee } = require("./fees");
+const { toCents, fromCents, toDecimal128 } = require("./money");
+
+/**
+ * Category of a transfer between two users
+ * Transfers are C2C (personal to personal) or B2B (business to business);
+ * mixed transfers must go through the payment API.
+ * @param {Object} fromUser - Sending user document
+ * @param {Object} toUser - Receiving user document
+ * @returns {{transactionCategory?: string, error?: {status: number, message: string}}}
+ */
+const getTransferCategory = (fromUser, toUser) => {
+  const fromAccountType = fromUser.accountType;
+  const toAccountType = toUser.accountType;
+
+  if (fromAccountType !== toAccountType) {
+    return {
+      error: {
+        status: 400,
+        message: `Cannot transfer between ${fromAccountType} and ${toAccountType} accounts using this endpoint. ` +
+          `For Business-to-Consumer transactions, please use the payment API endpoint.`,
+      },
+    };
+  }
+
+  if (fromAccountType === "personal") {
+    return { transactionCategory: "C2C" };
+  }
+
+  if (fromAccountType === "business") {
+    return { transactionCategory: "B2B" };
+  }
+
+  return { error: { status: 400, message: "Invalid account type combination for transfer" } };
+};
+
+/**
+ * Move money between two wallets inside a MongoDB session
+ * Checks the sender's available balance, moves the money, records the transfer
+ * transaction and posts it to the ledger. Nothing is saved if it fails.
+ *
+ * @param {Object} params
+ * @param {Object} params.fromUser - Sending user document (loaded in the session)
+ * @param {Object} params.toUser - Receiving user document (loaded in the session)
+ * @param {number} params.amount - Amount to transfer
+ * @param {string} params.transactionCategory - "C2C", "B2B" or "B2C"
+ * @param {string} params.description - Description (optional)
+ * @param {ObjectId} params.invoice - Invoice paid (invoice payments only)
+ * @param {ObjectId} params.scheduledTransfer - Scheduled transfer being run (scheduled runs only)
+ * @param {ObjectId} params.moneyRequest - Money request paid (accepted requests only)
+ * @param {Object} params.session - MongoDB session
+ * @returns {Promise<{transaction?: Object, error?: {status: number, message: string}}>}
+ */
+const transferBetweenWallets = async ({
+  fromUser,
+  toUser,
+  amount,
+  transactionCategory,
+  description,
+  invoice,
+  scheduledTransfer,
+  moneyRequest,
+  session,
+}) => {
+  // Exact centavo arithmetic (see utils/money.js)
+  const fromBalanceCents = toCents(fromUser.wallet.balance);
+  const toBalanceCents = toCents(toUser.wallet.balance);
+  const amountCents = toCents(amount);
+  const transferAmount = fromCents(amountCents);
+
+  // Transfer fee charged to the sender on top of the amount
+  const { feeCents, schedule } = await calculateFee({
+    transactionType: "transfer",
+    transactionCategory,
+    businessType: fromUser.businessInfo?.businessType,
+    amount: transferAmount,
+    session,
+  });
+  const debitCents = amountCents + feeCents;
+
+  // Funds held by pending card authorizations cannot be transferred
+  if (toCents(getAvailableBalance(fromUser)) < debitCents) {
+    return {
+      error: {
+        status: 400,
+        message: feeCents > 0 ? "Insufficient funds to cover the amount and fee" : "Insufficient funds",
+      },
+    };
+  }
+
+  fromUser.wallet.balance = toDecimal128(fromBalanceCents - debitCents);
+  toUser.wallet.balance = toDecimal128(toBalanceCents + amountCents);
+
+  await fromUser.save({ session });
+  await toUser.save({ session });
+  await collectFee(feeCents, session);
+
+  const transaction = new Transaction({
+    type: "transfer",
+    from: fromUser._id,
+    to: toUser._id,
+    amount: transferAmount,
+    transactionCategory,
+    description,
+    invoice,
+    scheduledTransfer,
+    moneyRequest,
+    fee: fromCents(feeCents),
+    feeSchedule: schedule?._id,
+    fromBalanceBefore: fromCents(fromBalanceCents),
+    fromBalanceAfter: fromCents(fromBalanceCents - debitCents),
+    toBalanceBefore: fromCents(toBalanceCents),
+    toBalanceAfter: fromCents(toBalanceCents + amountCents),
+    // reference auto-generated
+  });
+
+  await transaction.save({ session });
+
+  // Post the movement and the fee to the ledger
+  await recordTransferWithFee({
+    from: walletAccount(fromUser._id),
+    to: walletAccount(toUser._id),
+    amount: transferAmount,
+    fee: fromCents(feeCents),
+    feePaidBy: "sender",
+    transaction,
+    session,
+  });
+
+  return { transaction };
+};
+
+module.exports = {
+  getTransferCategory,
+  transferBetweenWallets,
+};
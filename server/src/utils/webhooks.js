@@ -0,0 +1,253 @@
+/**
+ * WEBHOOK UTILITIES
+ * =================
+ * Signing, queueing and delivery of business webhook events
+ *
+ * FLOW:
+ * 1. Controllers call enqueueEvent() inside their MongoDB session, so an
+ *    event is only queued if the payment/refund/revocation is committed
+ * 2. After committing, dispatchDeliveries() attempts delivery right away
+ * 3. The CRON manager calls processDueDeliveries() every minute to retry
+ *    failed attempts with exponential backoff
+ *
+ * SIGNATURE:
+ * X-Webhook-Signature: t=<unix timestamp>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ */
+
+const crypto = require("crypto");
+const axios = require("axios");
+const WebhookEndpoint = require("../models/webhookEndpoint.model");
+const WebhookDelivery = require("../models/webhookDelivery.model");
+
+// Attempts before a delivery is marked failed
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+// Delay before the first retry (doubles after every failed attempt)
+const WEBHOOK_RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 60;
+// Receiver response timeout
+const WEBHOOK_TIMEOUT_MS = 10000;
+// Lease that stops other instances from picking up a delivery in progress
+const DELIVERY_LEASE_MS = 5 * 60 * 1000;
+
+/**
+ * Compute the HMAC signature of a payload
+ * @param {string} secret - Endpoint signing secret
+ * @param {number} timestamp - Unix timestamp (seconds)
+ * @param {string} body - Raw JSON body
+ * @returns {string} Hex HMAC-SHA256
+ */
+const computeSignature = (secret, timestamp, body) => {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+};
+
+/**
+ * Build the X-Webhook-Signature header value
+ * @param {string} secret - Endpoint signing secret
+ * @param {string} body - Raw JSON body
+ * @param {number} timestamp - Unix timestamp (seconds), defaults to now
+ * @returns {string}
+ */
+const buildSignatureHeader = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  return `t=${timestamp},v1=${computeSignature(secret, timestamp, body)}`;
+};
+
+/**
+ * Verify an X-Webhook-Signature header (reference implementation for receivers)
+ * @param {string} header - X-Webhook-Signature header value
+ * @param {string} secret - Endpoint signing secret
+ * @param {string} body - Raw request body
+ * @param {number} toleranceSeconds - Maximum accepted age of the timestamp
+ * @returns {boolean}
+ */
+const verifySignatureHeader = (header, secret, body, toleranceSeconds = 300) => {
+  if (!header || !secret) return false;
+
+  const parts = Object.fromEntries(
+    header.split(",").map((part) => {
+      const [key, ...value] = part.trim().split("=");
+      return [key, value.join("=")];
+    })
+  );
+
+  const timestamp = parseInt(parts.t);
+  if (!timestamp || !parts.v1) return false;
+
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(secret, timestamp, body), "hex");
+  const received = Buffer.from(parts.v1, "hex");
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Get the delay before the next attempt
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (attempts) => {
+  return WEBHOOK_RETRY_BASE_SECONDS * 1000 * Math.pow(2, attempts - 1);
+};
+
+/**
+ * Queue an event for every active endpoint of a business subscribed to it
+ * @param {ObjectId} businessId - Business user ID
+ * @param {string} event - Event type (e.g. "payment.completed")
+ * @param {Object} data - Event data
+ * @param {Object} session - MongoDB session (optional)
+ * @returns {Promise<Array>} Created deliveries
+ */
+const enqueueEvent = async (businessId, event, data, session = null) => {
+  const endpoints = await WebhookEndpoint.find({
+    business: businessId,
+    isActive: true,
+    events: event,
+  }).session(session);
+
+  if (endpoints.length === 0) {
+    return [];
+  }
+
+  const createdAt = new Date().toISOString();
+  const deliveries = endpoints.map((endpoint) => {
+    const delivery = new WebhookDelivery({
+      endpoint: endpoint._id,
+      business: businessId,
+      event,
+    });
+    delivery.payload = {
+      id: delivery.eventId,
+      type: event,
+      createdAt,
+      data,
+    };
+    return delivery;
+  });
+
+  return WebhookDelivery.insertMany(deliveries, { session });
+};
+
+/**
+ * Make one delivery attempt and record its outcome
+ * @param {Object} delivery - WebhookDelivery document
+ * @returns {Promise<Object>} The updated delivery
+ */
+const attemptDelivery = async (delivery) => {
+  const endpoint = await WebhookEndpoint.findById(delivery.endpoint).select("+secret");
+  const attemptedAt = new Date();
+  const logEntry = { attemptedAt };
+
+  if (!endpoint || !endpoint.isActive) {
+    logEntry.error = "Endpoint deleted or disabled";
+    delivery.attemptLog.push(logEntry);
+    delivery.status = "failed";
+    await delivery.save();
+    return delivery;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+
+  try {
+    const response = await axios.post(endpoint.url, body, {
+      timeout: WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true, // Record every status code instead of throwing
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "SmartCityBank-Webhooks/1.0",
+        "X-Webhook-Id": delivery.eventId,
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Signature": buildSignatureHeader(endpoint.secret, body),
+      },
+    });
+    logEntry.statusCode = response.status;
+  } catch (error) {
+    logEntry.error = (error.message || "Request failed").substring(0, 500);
+  }
+
+  logEntry.durationMs = Date.now() - attemptedAt.getTime();
+  delivery.attemptLog.push(logEntry);
+  delivery.attempts += 1;
+
+  if (logEntry.statusCode >= 200 && logEntry.statusCode < 300) {
+    delivery.status = "succeeded";
+    delivery.deliveredAt = new Date();
+  } else if (delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+    delivery.status = "failed";
+  } else {
+    delivery.status = "pending";
+    delivery.nextAttemptAt = new Date(Date.now() + getRetryDelay(delivery.attempts));
+  }
+
+  await delivery.save();
+  return delivery;
+};
+
+/**
+ * Attempt freshly queued deliveries without waiting for the CRON job
+ * Call after the session that queued them has been committed.
+ * Failures are left for the retry job.
+ * @param {Array} deliveries - Deliveries returned by enqueueEvent()
+ */
+const dispatchDeliveries = (deliveries) => {
+  if (!deliveries || deliveries.length === 0 || process.env.NODE_ENV === "test") {
+    return;
+  }
+
+  setImmediate(async () => {
+    for (const delivery of deliveries) {
+      try {
+        const claimed = await WebhookDelivery.findOneAndUpdate(
+          { _id: delivery._id, status: "pending", nextAttemptAt: { $lte: new Date() } },
+          { $set: { nextAttemptAt: new Date(Date.now() + DELIVERY_LEASE_MS) } },
+          { new: true }
+        );
+        if (claimed) {
+          await attemptDelivery(claimed);
+        }
+      } catch (error) {
+        console.error(`❌ Webhook delivery ${delivery._id} failed:`, error.message);
+      }
+    }
+  });
+};
+
+/**
+ * Deliver every pending delivery that is due
+ * Each delivery is claimed with a lease so several server instances can run
+ * this job at the same time without sending an event twice.
+ * @param {number} limit - Maximum deliveries per run
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+const processDueDeliveries = async (limit = 50) => {
+  let processed = 0;
+
+  while (processed < limit) {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { status: "pending", nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(now.getTime() + DELIVERY_LEASE_MS) } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+
+    if (!delivery) break;
+
+    await attemptDelivery(delivery);
+    processed += 1;
+  }
+
+  return processed;
+};
+
+module.exports = {
+  WEBHOOK_MAX_ATTEMPTS,
+  computeSignature,
+  buildSignatureHeader,
+  verifySignatureHeader,
+  getRetryDelay,
+  enqueueEvent,
+  attemptDelivery,
+  dispatchDeliveries,
+  processDueDeliveries,
+};